@@ -1,34 +1,23 @@
-import fetch from 'node-fetch';
-import fs from 'fs';
+import { tickerSync, TICKER_APIS } from './src/tickerSync.js';
 
-const API_URL = 'https://creator.bid/api/agents?type=user&limit=24&page=1&chain=8453&sortBy=marketCap&sortDirection=desc&search=';
+const API_QUERY = '?type=user&limit=24&page=1&chain=8453&sortBy=marketCap&sortDirection=desc&search=';
 const OUTPUT_FILE = 'bid.json';
 
-function loadExistingBid() {
-  try {
-    if (fs.existsSync(OUTPUT_FILE)) {
-      const data = fs.readFileSync(OUTPUT_FILE, 'utf-8');
-      return JSON.parse(data);
-    }
-  } catch (e) {
-    console.error('Failed to load existing bid.json:', e.message);
-  }
-  return [];
-}
-
-async function fetchAgentData() {
-  const res = await fetch(API_URL);
-  if (!res.ok) throw new Error('Failed to fetch agent data');
-  const json = await res.json();
+async function fetchAgentData(fetchJson) {
+  const json = await fetchJson(`${TICKER_APIS.CREATOR_BID}${API_QUERY}`);
   if (!json.agents || !Array.isArray(json.agents)) throw new Error('Invalid API response');
   return json.agents;
 }
 
 async function main() {
+  if (process.argv.includes('--offline')) {
+    tickerSync.offline = true;
+  }
+
   let added = 0, updated = 0, removed = 0;
-  let results = [];
-  try {
-    const agents = await fetchAgentData();
+  // bid.json is only replaced after the fetch succeeded and the new list validated
+  const result = await tickerSync.sync('BID', async ({ current: existing, fetchJson }) => {
+    const agents = await fetchAgentData(fetchJson);
     const apiMap = new Map();
     for (const agent of agents) {
       if (!agent || !agent.marketCap || !agent.agentKey || !agent.agentKey.agentKeyAddress) continue;
@@ -40,8 +29,7 @@ async function main() {
         mcapInETH: mcap
       });
     }
-    // Load existing bid.json
-    const existing = loadExistingBid();
+    // Index the existing bid.json
     const existingMap = new Map();
     for (const entry of existing) {
       if (entry && entry.tokenAddress) {
@@ -73,20 +61,16 @@ async function main() {
         existingMap.delete(tokenAddress);
       }
     }
-    results = Array.from(existingMap.values());
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(results, null, 2));
-    console.log(`Saved ${results.length} entries to ${OUTPUT_FILE}`);
+    return Array.from(existingMap.values());
+  }, { allowShrink: process.argv.includes('--allow-shrink') });
+
+  if (result.success && !result.offline) {
+    console.log(`Saved ${result.after} entries to ${OUTPUT_FILE}`);
     console.log(`Added: ${added}, Updated: ${updated}, Removed: ${removed}`);
-  } catch (err) {
-    console.error('Error:', err.message);
-    try {
-      fs.writeFileSync(OUTPUT_FILE, JSON.stringify(results, null, 2));
-      console.log(`Saved ${results.length} entries to ${OUTPUT_FILE}`);
-    } catch (e) {
-      console.error('Failed to write bid.json:', e.message);
-    }
+  } else if (!result.offline) {
+    console.error('Error:', result.error);
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+main();
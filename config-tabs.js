@@ -200,5 +200,13 @@ function switchConfigTab(targetTab) {
                 initializeWalletGridForSettings();
             }, 100);
         }
+
+        if (targetTab === 'token-lists') {
+            loadTokenLists();
+        }
+
+        if (targetTab === 'ticker-filters') {
+            loadTickerFilters();
+        }
     }
 }
@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
 import { executeRpcWithFallback, getRandomProvider } from './src/config.js';
+import { swapRouter, HUB_TOKENS } from './src/bots/services/swapRouter.js';
+import { dexVenues, VENUES } from './src/bots/services/dexVenues.js';
 import fs from 'fs';
 
 // Use the multi-provider setup from config instead of single RPC
@@ -16,6 +18,8 @@ const UNISWAP_V2_FACTORY_ABI = [
 const VIRTUAL_TOKEN_ADDRESS = "0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b";
 // WETH token address on Base
 const WETH_ADDRESS = "0x4200000000000000000000000000000000000006";
+// USDC token address on Base (6 decimals)
+const USDC_ADDRESS = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
 
 // Standard ERC-20 ABI for token metadata
 const ERC20_ABI = [
@@ -285,9 +289,10 @@ async function main() {
         console.log('');
         console.log('Features:');
         console.log('  • 🎯 Detects ticker symbol from contract address');
-        console.log('  • 🏊 Finds Uniswap V2 pool address vs VIRTUAL and WETH');
-        console.log('  • 📊 Shows pool reserves and details (filters: ≥10k VIRTUAL or ≥5 WETH)');
-        console.log('  • 💫 Defaults to VIRTUAL and WETH token pairing');
+        console.log('  • 🏊 Finds Uniswap V2 pool address vs VIRTUAL, WETH and USDC');
+        console.log('  • 📊 Shows pool reserves and details (filters: ≥10k VIRTUAL, ≥5 WETH or ≥10k USDC)');
+        console.log('  • 🏊 Lists Uniswap V3 (every fee tier) and Aerodrome (stable/volatile) pools');
+        console.log('  • 🧭 Shows the best multi-hop route to VIRTUAL, WETH and USDC');
         console.log('');
         console.log('Examples:');
         console.log('  node find-pool.mjs 0xEe8099a19C27dcb05ead0b3D1c23bBF32D340f67');
@@ -303,10 +308,11 @@ async function main() {
         return;
     }
 
-    // Search for both VIRTUAL and WETH pools
-    const [virtualResult, wethResult] = await Promise.all([
+    // Search for VIRTUAL, WETH and USDC pools
+    const [virtualResult, wethResult, usdcResult] = await Promise.all([
         findPoolWithMetadata(tokenAddress, VIRTUAL_TOKEN_ADDRESS),
-        findPoolWithMetadata(tokenAddress, WETH_ADDRESS)
+        findPoolWithMetadata(tokenAddress, WETH_ADDRESS),
+        findPoolWithMetadata(tokenAddress, USDC_ADDRESS)
     ]);
 
     // Helper to check if a pool passes the filter
@@ -330,10 +336,18 @@ async function main() {
     function getSymbolForAddress(address, tokenMetadata) {
         if (address.toLowerCase() === VIRTUAL_TOKEN_ADDRESS.toLowerCase()) return 'VIRTUAL';
         if (address.toLowerCase() === WETH_ADDRESS.toLowerCase()) return 'WETH';
+        if (address.toLowerCase() === USDC_ADDRESS.toLowerCase()) return 'USDC';
         if (address.toLowerCase() === (tokenMetadata?.address || '').toLowerCase()) return tokenMetadata?.symbol || 'TOKEN';
         return address;
     }
 
+    // Helper to get decimals for a token address (USDC has 6, the token its own)
+    function getDecimalsForAddress(address, tokenMetadata) {
+        if (address.toLowerCase() === USDC_ADDRESS.toLowerCase()) return 6;
+        if (address.toLowerCase() === (tokenMetadata?.address || '').toLowerCase()) return Number(tokenMetadata?.decimals ?? 18);
+        return 18;
+    }
+
     // Get decimals for VIRTUAL and WETH
     const virtualDecimals = virtualResult.tokenMetadata && virtualResult.tokenMetadata.decimals ? virtualResult.tokenMetadata.decimals : 18;
     const wethDecimals = 18; // WETH is always 18
@@ -352,6 +366,12 @@ async function main() {
             ...wethResult
         });
     }
+    if (poolPassesFilter(usdcResult, USDC_ADDRESS, 10000, 6)) {
+        pools.push({
+            pair: 'USDC',
+            ...usdcResult
+        });
+    }
 
     // Display results
     console.log('\n🎯 ENHANCED RESULTS:');
@@ -363,7 +383,7 @@ async function main() {
         console.log(`Name: ${meta.name}`);
         console.log(`Decimals: ${meta.decimals}`);
         console.log(`Address: ${meta.address}`);
-        console.log('No valid pool found (must have ≥10,000 VIRTUAL or ≥5 WETH in pool)');
+        console.log('No valid pool found (must have ≥10,000 VIRTUAL, ≥5 WETH or ≥10,000 USDC in pool)');
     } else {
         // Show token metadata once
         const meta = pools[0].tokenMetadata;
@@ -378,11 +398,43 @@ async function main() {
             // Get symbols for token0 and token1
             const symbol0 = getSymbolForAddress(token0, pool.tokenMetadata);
             const symbol1 = getSymbolForAddress(token1, pool.tokenMetadata);
-            // Always use 18 decimals for display (Base tokens)
+            // Format each reserve with its own token's decimals
             console.log(`  Token0: ${token0} (${symbol0})`);
             console.log(`  Token1: ${token1} (${symbol1})`);
-            console.log(`  Reserve0: ${ethers.formatUnits(reserves.reserve0, 18)} ${symbol0}`);
-            console.log(`  Reserve1: ${ethers.formatUnits(reserves.reserve1, 18)} ${symbol1}`);
+            console.log(`  Reserve0: ${ethers.formatUnits(reserves.reserve0, getDecimalsForAddress(token0, pool.tokenMetadata))} ${symbol0}`);
+            console.log(`  Reserve1: ${ethers.formatUnits(reserves.reserve1, getDecimalsForAddress(token1, pool.tokenMetadata))} ${symbol1}`);
+        }
+    }
+
+    // Best multi-hop route for selling one token into each hub (tokens with no direct pool may still route)
+    const meta = virtualResult.tokenMetadata || wethResult.tokenMetadata;
+    const symbols = { [tokenAddress.toLowerCase()]: meta.symbol };
+    const oneToken = ethers.parseUnits('1', meta.decimals);
+
+    // Uniswap V3 and Aerodrome pools (the V2 factory above cannot see them)
+    console.log('\n🏊 Uniswap V3 / Aerodrome pools:');
+    let venuePoolCount = 0;
+    for (const hub of HUB_TOKENS) {
+        const venuePools = await dexVenues.findPools(tokenAddress, hub.address, [VENUES.UNISWAP_V3, VENUES.AERODROME]);
+        for (const pool of venuePools) {
+            const price = await executeRpcWithFallback(async (provider) => {
+                return await dexVenues.getPoolPrice(pool, { address: tokenAddress, decimals: meta.decimals }, provider, hub.decimals);
+            });
+            console.log(`  ${pool.label} vs ${hub.symbol}: ${pool.address} (1 ${meta.symbol} = ${price.toPrecision(6)} ${hub.symbol})`);
+            venuePoolCount++;
+        }
+    }
+    if (venuePoolCount === 0) {
+        console.log('  None found');
+    }
+
+    console.log('\n🧭 Best routes (1 token in):');
+    for (const hub of HUB_TOKENS) {
+        try {
+            const route = await swapRouter.findBestRoute(oneToken, tokenAddress, hub.address);
+            console.log(`  → ${hub.symbol}: ${swapRouter.describe(route, symbols)} = ${ethers.formatUnits(route.amountOut, hub.decimals)} ${hub.symbol}`);
+        } catch (error) {
+            console.log(`  → ${hub.symbol}: ${error.message}`);
         }
     }
     return pools;
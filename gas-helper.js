@@ -1,60 +1,82 @@
 /**
- * Gas Helper with Bot-Specific Multipliers
- * Fetches dynamic gas prices and applies appropriate multipliers
- * All bots get 2x gas except JeetBot (3x for turbo mode)
- * Priority fee is 50% of base fee
+ * Gas Helper with Named Gas Profiles
+ * Resolves the gas profile selected in the status panel (economy, normal, turbo, custom)
+ * and fetches its fee-history based gas price from the backend
+ * "Bot default" uses turbo for JeetBot and normal for every other bot
  */
 
 // Import ipcRenderer at the top level
 
+// Fallback multiplier and priority share per profile (mirrors GAS_PROFILES in src/config/constants.js)
+const GAS_PROFILE_FALLBACKS = {
+    economy: { multiplier: 1, priorityPercentage: 10 },
+    normal: { multiplier: 2, priorityPercentage: 50 },
+    turbo: { multiplier: 3, priorityPercentage: 50 }
+};
+
+/**
+ * Get the gas profile a bot will run with
+ * @param {string} botType - The bot type (buybot, sellbot, jeetbot, etc.)
+ * @returns {string} economy, normal, turbo or custom
+ */
+function getGasProfileForBot(botType = 'default') {
+    const select = typeof document !== 'undefined' ? document.getElementById('gas-profile-select') : null;
+    if (select && select.value) {
+        return select.value;
+    }
+    return botType === 'jeetbot' ? 'turbo' : 'normal';
+}
+
+/**
+ * Get the custom gas price entered for the custom profile
+ * @returns {string|null} Gas price in gwei or null when empty
+ */
+function getCustomGasPrice() {
+    const input = typeof document !== 'undefined' ? document.getElementById('gas-profile-custom-price') : null;
+    const value = input ? parseFloat(input.value) : NaN;
+    return !isNaN(value) && value > 0 ? value.toString() : null;
+}
+
 /**
  * Get current gas price for a specific bot type
  * @param {string} botType - The bot type (buybot, sellbot, jeetbot, etc.)
  * @returns {Promise<string>} Gas price in gwei (total including priority fee)
  */
 async function getCurrentGasPrice(botType = 'default') {
-    // Test message to verify function is being called
-    const testMsg = ` Gas helper called for ${botType.toUpperCase()}`;
-    console.log(testMsg);
-    if (typeof window !== 'undefined' && window.addConsoleMessage) {
-        window.addConsoleMessage(testMsg, 'info');
+    const profile = getGasProfileForBot(botType);
+
+    if (profile === 'custom') {
+        const customGasPrice = getCustomGasPrice() || '0.02';
+        const customMsg = ` ${botType.toUpperCase()}: custom gas profile = ${customGasPrice} gwei`;
+        console.log(customMsg);
+        if (typeof window !== 'undefined' && window.addConsoleMessage) {
+            window.addConsoleMessage(customMsg, 'info');
+        }
+        return customGasPrice;
     }
-    
+
     try {
-        console.log(' Making IPC call to get-current-gas-price...');
-        
-        // Use the existing IPC handler to get gas price from backend
-        const result = await require('electron').ipcRenderer.invoke('get-current-gas-price');
-        
+        console.log(` Making IPC call to get-current-gas-price (${profile})...`);
+
+        // Use the existing IPC handler to get the profile's gas price from backend
+        const result = await require('electron').ipcRenderer.invoke('get-current-gas-price', profile);
+
         console.log(' IPC result:', JSON.stringify(result, null, 2));
-        
+
         if (result.success && result.data) {
-            console.log(' Raw backend data:', JSON.stringify(result.data, null, 2));
-            
-            const networkBaseGas = parseFloat(result.data.baseGasPrice);
-            console.log(' Parsed networkBaseGas:', networkBaseGas);
-            
-            // Apply bot-specific multiplier to base gas
-            let multiplier = 2; // Default 2x for all bots
-            if (botType === 'jeetbot') {
-                multiplier = 3; // JeetBot uses 3x (turbo mode - faster than others)
-            }
-            
-            const adjustedBaseGas = networkBaseGas * multiplier;
-            const priorityFee = adjustedBaseGas * 0.5; // 50% of adjusted base
-            const totalGasPrice = (adjustedBaseGas + priorityFee).toFixed(6);
-            
+            const { baseGasPrice, priorityFee, totalGasPrice, source } = result.data;
+            const totalGas = parseFloat(totalGasPrice).toFixed(6);
+
             // Use both console.log and addConsoleMessage for visibility
-            const logMessage = ` ${botType.toUpperCase()}: Network ${networkBaseGas} × ${multiplier} = ${adjustedBaseGas.toFixed(6)} base + ${priorityFee.toFixed(6)} priority = ${totalGasPrice} total`;
+            const logMessage = ` ${botType.toUpperCase()}: ${profile} profile - network ${baseGasPrice} gwei (${source}) → ${totalGas} gwei total (${priorityFee} gwei priority)`;
             console.log(logMessage);
-            
+
             // Also add to in-app console if available
             if (typeof window !== 'undefined' && window.addConsoleMessage) {
                 window.addConsoleMessage(logMessage, 'info');
             }
-            
-            console.log(` RETURNING GAS PRICE: ${totalGasPrice}`);
-            return totalGasPrice;
+
+            return totalGas;
         } else {
             const errorMsg = ` Gas service returned unsuccessful result: ${JSON.stringify(result)}`;
             console.log(errorMsg);
@@ -69,35 +91,33 @@ async function getCurrentGasPrice(botType = 'default') {
             window.addConsoleMessage(errorMsg, 'error');
         }
     }
-    
-    // Fallback to default gas price with multiplier
+
+    // Fallback to default gas price with the profile's multiplier
     console.log(' Using fallback gas calculation...');
     const baseFallback = 0.02;
-    let multiplier = 2;
-    if (botType === 'jeetbot') {
-        multiplier = 3;
-    }
-    
+    const { multiplier, priorityPercentage } = GAS_PROFILE_FALLBACKS[profile] || GAS_PROFILE_FALLBACKS.normal;
+
     const adjustedBaseGas = baseFallback * multiplier;
-    const priorityFee = adjustedBaseGas * 0.5; // 50% of adjusted base
+    const priorityFee = adjustedBaseGas * priorityPercentage / 100;
     const totalFallbackGas = (adjustedBaseGas + priorityFee).toFixed(6);
-    
-    const fallbackMsg = ` ${botType.toUpperCase()}: Fallback ${baseFallback} × ${multiplier} = ${adjustedBaseGas.toFixed(6)} base + ${priorityFee.toFixed(6)} priority = ${totalFallbackGas} total`;
+
+    const fallbackMsg = ` ${botType.toUpperCase()}: Fallback ${baseFallback} × ${multiplier} = ${adjustedBaseGas.toFixed(6)} base + ${priorityFee.toFixed(6)} priority (${profile}) = ${totalFallbackGas} total`;
     console.log(fallbackMsg);
     if (typeof window !== 'undefined' && window.addConsoleMessage) {
         window.addConsoleMessage(fallbackMsg, 'info');
     }
-    
-    console.log(` RETURNING FALLBACK GAS PRICE: ${totalFallbackGas}`);
+
     return totalFallbackGas;
 }
 
 // Make available globally for renderer
 if (typeof window !== 'undefined') {
     window.getCurrentGasPrice = getCurrentGasPrice;
+    window.getGasProfileForBot = getGasProfileForBot;
+    window.getCustomGasPrice = getCustomGasPrice;
 }
 
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getCurrentGasPrice };
+    module.exports = { getCurrentGasPrice, getGasProfileForBot, getCustomGasPrice };
 }
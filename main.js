@@ -535,6 +535,9 @@ function getNpmScriptForBot(botType) {
     'jeetbot': 'jeetbot',
     'snipebot': 'snipebot',
     'mmbot': 'mmbot',
+    'orderbot': 'orderbot',
+    'orderbot-watch': 'orderbot',
+    'limitbuy': 'orderbot',
     'transferbot': 'transferbot',
     'stargate': 'stargate',
     'contactbot': 'contactbot',
@@ -1261,6 +1264,7 @@ ipcMain.handle('get-all-wallets', async (event) => {
     return {
       success: true,
       wallets: dbData ? dbData.wallets : [],
+      walletGroups: dbData?.walletGroups || {},
       config: dbData ? dbData.config : {}
     };
   } catch (error) {
@@ -1464,6 +1468,8 @@ ipcMain.handle('delete-wallet', async (event, walletId) => {
     
     // Remove the wallet from plaintext storage
     dbData.wallets.splice(walletIndex, 1);
+    const { WalletGroups } = await import('./src/wallets/groups.js');
+    WalletGroups.pruneGroups(dbData);
     
     // Save to plaintext storage (primary system)
     const saveResult = writeWalletsDB(dbData);
@@ -1506,6 +1512,62 @@ ipcMain.handle('delete-wallet', async (event, walletId) => {
   }
 });
 
+// Create or replace a wallet group (G:name selector)
+ipcMain.handle('save-wallet-group', async (event, name, addresses) => {
+  try {
+    const dbData = readWalletsDB();
+    if (!dbData) throw new Error('Failed to read database');
+
+    const { WalletGroups } = await import('./src/wallets/groups.js');
+    const groupName = WalletGroups.setGroup(dbData, name, addresses);
+
+    if (!writeWalletsDB(dbData)) {
+      throw new Error('Failed to save database');
+    }
+    return { success: true, name: groupName, walletGroups: dbData.walletGroups };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a wallet group
+ipcMain.handle('delete-wallet-group', async (event, name) => {
+  try {
+    const dbData = readWalletsDB();
+    if (!dbData) throw new Error('Failed to read database');
+
+    const { WalletGroups } = await import('./src/wallets/groups.js');
+    if (!WalletGroups.deleteGroup(dbData, name)) {
+      throw new Error(`Wallet group "${name}" not found`);
+    }
+
+    if (!writeWalletsDB(dbData)) {
+      throw new Error('Failed to save database');
+    }
+    return { success: true, walletGroups: dbData.walletGroups };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Add or remove a tag (T:tag selector) on a set of wallets
+ipcMain.handle('set-wallet-tag', async (event, addresses, tag, enabled = true) => {
+  try {
+    const dbData = readWalletsDB();
+    if (!dbData) throw new Error('Failed to read database');
+
+    const { WalletGroups } = await import('./src/wallets/groups.js');
+    const changed = WalletGroups.setTag(dbData, addresses, tag, enabled);
+
+    if (changed > 0 && !writeWalletsDB(dbData)) {
+      throw new Error('Failed to save database');
+    }
+    return { success: true, changed, wallets: dbData.wallets };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Update config
 ipcMain.handle('update-config', async (event, config) => {
   try {
@@ -1551,6 +1613,12 @@ ipcMain.handle('run-bot', async (event, botType, args) => {
     // Load configuration from JSON database and inject as environment variables
     const dbData = readWalletsDB();
     const env = { ...process.env };
+
+    // G:group / T:tag selectors become B<n> here so wallet decryption and the bot see plain indices
+    if (dbData && Array.isArray(args)) {
+      const { WalletGroups } = await import('./src/wallets/groups.js');
+      args = WalletGroups.expandSelectors(args, dbData);
+    }
     
     if (dbData && dbData.config) {
       // Multi-provider RPC configuration
@@ -1856,6 +1924,12 @@ ipcMain.handle('run-bot-multi', async (event, botType, args, ticker) => {
     // Load configuration from JSON database and inject as environment variables
     const dbData = readWalletsDB();
     const env = { ...process.env };
+
+    // G:group / T:tag selectors become B<n> here so wallet decryption and the bot see plain indices
+    if (dbData && Array.isArray(args)) {
+      const { WalletGroups } = await import('./src/wallets/groups.js');
+      args = WalletGroups.expandSelectors(args, dbData);
+    }
     
     if (dbData && dbData.config) {
       // Multi-provider RPC configuration
@@ -2088,6 +2162,22 @@ ipcMain.handle('stop-bot', async (event) => {
   }
 });
 
+// Pause or resume running TWAP schedules (bots read PAUSE/RESUME lines from stdin)
+ipcMain.handle('set-bot-paused', async (event, paused) => {
+  const command = paused ? 'PAUSE\n' : 'RESUME\n';
+  const processes = [
+    event.sender.botProcess,
+    ...(event.sender.botProcesses || []).map(botInfo => botInfo.process)
+  ].filter(botProcess => botProcess && botProcess.stdin && !botProcess.stdin.destroyed);
+
+  processes.forEach(botProcess => botProcess.stdin.write(command));
+
+  if (processes.length > 0) {
+    return { success: true, message: `${paused ? 'Paused' : 'Resumed'} ${processes.length} bot process(es)` };
+  }
+  return { success: false, message: 'No running bot to pause' };
+});
+
 // Handle file operations
 ipcMain.handle('read-file', async (event, filePath) => {
   try {
@@ -2250,17 +2340,26 @@ ipcMain.handle('get-app-version', async (event) => {
   }
 });
 
+// The main process reads chain data on demand only: plain HTTP providers, so the GUI never holds
+// WebSocket connections of its own next to the bots. Must run before any module that uses the provider pool
+async function useHttpProviders() {
+  const { providerManager } = await import('./src/providers/manager.js');
+  providerManager.useHttpOnly();
+  return providerManager;
+}
+
 // Gas Price IPC Handler
-ipcMain.handle('get-current-gas-price', async (event) => {
+ipcMain.handle('get-current-gas-price', async (event, profile = null) => {
   try {
     console.log('🔍 [MAIN-GAS-DEBUG] UI requested gas price data');
     
     // Import gas price service dynamically
+    await useHttpProviders();
     const { gasPriceService } = await import('./src/providers/gasPriceService.js');
     console.log('🔍 [MAIN-GAS-DEBUG] Gas price service imported successfully');
     
-    // Get current gas price breakdown
-    const gasData = await gasPriceService.getGasPriceBreakdown();
+    // Get current gas price breakdown for the requested gas profile (default: normal)
+    const gasData = await gasPriceService.getGasPriceBreakdown(profile);
     console.log('🔍 [MAIN-GAS-DEBUG] Gas data retrieved:', gasData ? 'SUCCESS' : 'FAILED');
     
     if (gasData) {
@@ -2282,6 +2381,406 @@ ipcMain.handle('get-current-gas-price', async (event) => {
   }
 });
 
+// Provider health scores for the System Status panel (one HTTP probe of every RPC per call)
+ipcMain.handle('get-provider-health', async (event) => {
+  try {
+    const providerManager = await useHttpProviders();
+    await providerManager.probeProviders();
+    
+    return {
+      success: true,
+      providers: providerManager.getHealthScores()
+    };
+  } catch (error) {
+    console.error('❌ Error getting provider health:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Trade ledger query for the History tab
+ipcMain.handle('get-trade-history', async (event, filters = {}) => {
+  try {
+    const { tradeLedger } = await import('./src/tradeLedger.js');
+    
+    return {
+      success: true,
+      trades: tradeLedger.query(filters),
+      filters: tradeLedger.getFilterOptions()
+    };
+  } catch (error) {
+    console.error('❌ Error reading trade ledger:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Realised/unrealised PnL per wallet and token from the trade ledger
+ipcMain.handle('get-pnl', async (event, filters = {}, method = 'fifo') => {
+  try {
+    await useHttpProviders();
+    const { pnlTracker } = await import('./src/bots/services/pnlTracker.js');
+    const pnl = await pnlTracker.getPnL({
+      wallets: filters.wallet ? [filters.wallet] : [],
+      token: filters.token || null
+    }, method);
+    
+    return {
+      success: true,
+      ...pnl
+    };
+  } catch (error) {
+    console.error('❌ Error calculating PnL:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Export the trade ledger as tax/accounting CSV
+ipcMain.handle('export-trades', async (event, filters = {}, format = 'generic') => {
+  try {
+    await useHttpProviders();
+    const { taxExport } = await import('./src/taxExport.js');
+    const result = await taxExport.exportTrades(filters, format);
+    
+    return {
+      success: true,
+      csv: result.csv,
+      entries: result.entries,
+      fileName: taxExport.getDefaultFileName(format)
+    };
+  } catch (error) {
+    console.error('❌ Error exporting trades:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// List saved stop-loss / take-profit orders
+ipcMain.handle('get-orders', async (event, filters = {}) => {
+  try {
+    const { orderStore } = await import('./src/bots/services/orderStore.js');
+    
+    return {
+      success: true,
+      orders: orderStore.list(filters)
+    };
+  } catch (error) {
+    console.error('❌ Error loading orders:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Cancel an active order (a running orderbot picks this up on its next sync)
+ipcMain.handle('cancel-order', async (event, orderId) => {
+  try {
+    const { orderStore } = await import('./src/bots/services/orderStore.js');
+    return orderStore.cancel(orderId);
+  } catch (error) {
+    console.error('❌ Error cancelling order:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Token blacklist/allowlist shared by every bot (token-lists.json beside wallets.json)
+ipcMain.handle('get-token-lists', async (event) => {
+  try {
+    const { tokenListStore } = await import('./src/bots/services/tokenListStore.js');
+
+    return {
+      success: true,
+      lists: tokenListStore.load()
+    };
+  } catch (error) {
+    console.error('❌ Error loading token lists:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('add-token-list-entry', async (event, listName, entry) => {
+  try {
+    const { tokenListStore } = await import('./src/bots/services/tokenListStore.js');
+    return tokenListStore.add(listName, entry);
+  } catch (error) {
+    console.error('❌ Error adding token list entry:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('remove-token-list-entry', async (event, listName, key) => {
+  try {
+    const { tokenListStore } = await import('./src/bots/services/tokenListStore.js');
+    return tokenListStore.remove(listName, key);
+  } catch (error) {
+    console.error('❌ Error removing token list entry:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Token search and lookup for the GUI go through the same token registry the bots resolve with
+ipcMain.handle('search-tokens', async (event, query, options = {}) => {
+  try {
+    const { tokenRegistry } = await import('./src/tokenRegistry.js');
+    return {
+      success: true,
+      tokens: tokenRegistry.searchCandidates(query, options)
+    };
+  } catch (error) {
+    console.error('❌ Error searching token registry:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('lookup-token', async (event, input, options = {}) => {
+  try {
+    const { tokenRegistry, parseTokenInput } = await import('./src/tokenRegistry.js');
+    const { symbol } = parseTokenInput(input);
+    return {
+      success: true,
+      token: tokenRegistry.lookup(input, options),
+      candidates: tokenRegistry.candidates(symbol, options)
+    };
+  } catch (error) {
+    console.error('❌ Error looking up token:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Import/export take absolute paths from the open/save dialogs
+ipcMain.handle('import-token-lists', async (event, filePath, replace = false) => {
+  try {
+    const { tokenListStore } = await import('./src/bots/services/tokenListStore.js');
+    return tokenListStore.importJson(fs.readFileSync(filePath, 'utf8'), replace);
+  } catch (error) {
+    console.error('❌ Error importing token lists:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('export-token-lists', async (event, filePath) => {
+  try {
+    const { tokenListStore } = await import('./src/bots/services/tokenListStore.js');
+    fs.writeFileSync(filePath, tokenListStore.exportJson(), 'utf8');
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('❌ Error exporting token lists:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Ticker filter presets (ticker-filters.json beside wallets.json); the databases they prune live in userData
+// when packaged (where the ticker update writes them) and in the app folder in development
+async function getTickerSync() {
+  const { TickerSync } = await import('./src/tickerSync.js');
+  return new TickerSync({ dir: app.isPackaged ? app.getPath('userData') : __dirname });
+}
+
+ipcMain.handle('get-ticker-filters', async (event) => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    const data = tickerFilters.load();
+    const summaries = {};
+    Object.entries(data.presets).forEach(([name, preset]) => {
+      summaries[name] = tickerFilters.describeRules(preset.rules);
+    });
+
+    return {
+      success: true,
+      ...data,
+      summaries
+    };
+  } catch (error) {
+    console.error('❌ Error loading ticker filter presets:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('save-ticker-filter-preset', async (event, name, rules, description = '') => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    return tickerFilters.savePreset(name, rules, description);
+  } catch (error) {
+    console.error('❌ Error saving ticker filter preset:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('delete-ticker-filter-preset', async (event, name) => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    return tickerFilters.deletePreset(name);
+  } catch (error) {
+    console.error('❌ Error deleting ticker filter preset:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('set-active-ticker-filter-preset', async (event, name) => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    return tickerFilters.setActivePreset(name);
+  } catch (error) {
+    console.error('❌ Error activating ticker filter preset:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('preview-ticker-filter', async (event, name) => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    return await tickerFilters.preview({ preset: name, sync: await getTickerSync() });
+  } catch (error) {
+    console.error('❌ Error previewing ticker filter preset:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+ipcMain.handle('apply-ticker-filter', async (event, name) => {
+  try {
+    const { tickerFilters } = await import('./src/tickerFilters.js');
+    return await tickerFilters.apply({ preset: name, sync: await getTickerSync() });
+  } catch (error) {
+    console.error('❌ Error applying ticker filter preset:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Signing wallet for stuck transaction replacements (decrypted with the master password)
+async function getSigningWallet(walletIndex) {
+  const wallet = readWalletsDB()?.wallets?.[walletIndex];
+  if (!wallet) {
+    throw new Error(`Wallet B${walletIndex + 1} not found`);
+  }
+  
+  let privateKey = wallet.privateKey;
+  if (wallet.encryptedPrivateKey) {
+    if (!global.masterPassword) {
+      throw new Error('Master password not available. Please enter your password first.');
+    }
+    privateKey = WalletEncryption.decryptPrivateKey(wallet.encryptedPrivateKey, global.masterPassword);
+  }
+  if (!privateKey) {
+    throw new Error(`Wallet B${walletIndex + 1} has no usable private key`);
+  }
+  
+  const { ethers } = await import('ethers');
+  const providerManager = await useHttpProviders();
+  return new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`, providerManager.getPrimaryProvider());
+}
+
+// Pending, stuck and gapped nonces per wallet for the Stuck Transactions view
+ipcMain.handle('get-stuck-transactions', async (event) => {
+  try {
+    await useHttpProviders();
+    const { nonceManager } = await import('./src/providers/nonceManager.js');
+    const wallets = (readWalletsDB()?.wallets || [])
+      .map((wallet, index) => ({ index, name: wallet.name || `Wallet ${index + 1}`, address: wallet.address }))
+      .filter(wallet => wallet.address);
+    
+    const results = [];
+    for (const wallet of wallets) {
+      const status = await nonceManager.inspect(wallet.address);
+      results.push({ ...wallet, ...status });
+    }
+    
+    return {
+      success: true,
+      wallets: results
+    };
+  } catch (error) {
+    console.error('❌ Error checking stuck transactions:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Resend a stuck transaction with the same nonce and higher fees
+ipcMain.handle('speed-up-transaction', async (event, walletIndex, nonce) => {
+  try {
+    await useHttpProviders();
+    const { nonceManager } = await import('./src/providers/nonceManager.js');
+    const tx = await nonceManager.speedUp(await getSigningWallet(walletIndex), nonce);
+    return { success: true, hash: tx.hash };
+  } catch (error) {
+    console.error('❌ Error speeding up transaction:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// Replace a stuck transaction (or fill a nonce gap) with a 0 ETH self-transfer
+ipcMain.handle('cancel-transaction', async (event, walletIndex, nonce) => {
+  try {
+    await useHttpProviders();
+    const { nonceManager } = await import('./src/providers/nonceManager.js');
+    const tx = await nonceManager.cancel(await getSigningWallet(walletIndex), nonce);
+    return { success: true, hash: tx.hash };
+  } catch (error) {
+    console.error('❌ Error cancelling transaction:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
 ipcMain.handle('save-env-config', async (event, config) => {
   try {
     const dbData = readWalletsDB() || { wallets: [] };
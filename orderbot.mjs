@@ -0,0 +1,10 @@
+/**
+ * OrderBot Entry Point
+ * Stop-loss, take-profit and trailing-stop orders watched as a long-running process
+ */
+
+import { runOrderBot } from './src/bots/orderbot.js';
+
+// Pass command line arguments to the orderbot
+const args = process.argv.slice(2);
+runOrderBot(args).then(() => process.exit(0)).catch(() => process.exit(1));
@@ -48,6 +48,7 @@ try {
 // Global state
 let currentBot = null;
 let isRunning = false;
+let isPaused = false; // Pause button state for TWAP schedules
 let consoleLines = [];
 let detailedConsoleLines = [];
 let isSimpleLogView = true;
@@ -57,7 +58,7 @@ let mmBotPriceCheckCounter = 0; // Counter for MM bot periodic status updates
 let customTickers = [];
 let selectedWallets = new Set();
 let availableWallets = [];
-let tokenDatabase = []; // Will store base.json data
+let walletGroups = {}; // Group name -> member addresses (G:name selectors)
 let searchTimeout = null; // For debouncing search
 let walletSelectionTimeout = null; // For debouncing wallet selection updates
 let addressDetectionTimeouts = {}; // For debouncing address detection
@@ -312,11 +313,14 @@ const elements = {
     botForms: document.querySelectorAll('.bot-form'),
     console: document.getElementById('console'),
     stopBtn: document.getElementById('stop-bot'),
+    pauseBtn: document.getElementById('pause-bot'),
     balanceCheckBtn: document.getElementById('balance-check'),
     activeBot: document.getElementById('active-bot'),
     walletCount: document.getElementById('wallet-count'),
     connectionStatus: document.getElementById('connection-status'),
     gasPriceStatus: document.getElementById('gas-price-status'),
+    providerHealthStatus: document.getElementById('provider-health-status'),
+    providerHealthTable: document.getElementById('provider-health-table'),
     botTitle: document.getElementById('bot-title'),
     botDescription: document.getElementById('bot-description')
 };
@@ -343,6 +347,14 @@ const botConfigs = {
         title: '📊 Market Making Bot Configuration',
         description: 'Configure market making parameters (Multi-wallet)'
     },
+    orderbot: {
+        title: '🎯 Order Bot Configuration',
+        description: 'Stop-loss, take-profit and trailing-stop sell orders (Multi-wallet)'
+    },
+    limitbuy: {
+        title: '🛒 Limit Buy Configuration',
+        description: 'Buy when the price falls to a limit, with optional expiry (Multi-wallet)'
+    },
     jeetbot: {
         title: '🚀 JeetBot Configuration',
         description: 'Configure Genesis token claiming and trading'
@@ -387,6 +399,10 @@ const botConfigs = {
         title: '🔄 Fetch All + Export',
         description: 'Complete token database refresh and Excel export'
     },
+    history: {
+        title: '📜 Trade History',
+        description: 'Swaps, approvals, transfers and bridges recorded by all bots'
+    },
     documentation: {
         title: '📚 User Guide',
         description: 'Complete documentation and help for TRUSTBOT features'
@@ -774,9 +790,6 @@ function loadDocumentationSection(section) {
 initializeUI();
 setupEventListeners();
 
-// Load token database silently
-loadTokenDatabase();
-
 // Initialize currency labels
 updateCurrencyLabels();
 
@@ -793,6 +806,7 @@ function setupEventListeners() {
     
     // Stop button
     elements.stopBtn.addEventListener('click', stopBot);
+    elements.pauseBtn?.addEventListener('click', togglePauseBot);
 
     // Balance check button removed per user request
 
@@ -1249,6 +1263,18 @@ function selectBot(botType) {
     if (botType === 'documentation') {
         initDocumentation();
     }
+
+    // Load the trade ledger when History is opened
+    if (botType === 'history') {
+        loadTradeHistory();
+    }
+
+    // Load saved orders when Order Bot or Limit Buy is opened
+    if (botType === 'orderbot') {
+        loadOrders('sell');
+    } else if (botType === 'limitbuy') {
+        loadOrders('buy');
+    }
     
     // Update navigation
     elements.botNav.forEach(btn => {
@@ -1312,7 +1338,7 @@ async function runBot(botType, customArgs = null) {
     }
 
     // Utility bots that don't require ticker selection (including FSH mode)
-    const utilityBots = ['transferbot', 'stargate', 'contactbot', 'detect', 'ticker-search', 'ticker-fetch', 'ticker-export', 'ticker-runall', 'sellbot-fsh', 'snipebot'];
+    const utilityBots = ['transferbot', 'stargate', 'contactbot', 'detect', 'ticker-search', 'ticker-fetch', 'ticker-export', 'ticker-runall', 'sellbot-fsh', 'snipebot', 'orderbot-watch'];
     
     if (utilityBots.includes(botType)) {
         // Handle utility bots separately
@@ -1388,6 +1414,9 @@ async function runBot(botType, customArgs = null) {
                     case 'snipebot':
                         args = getSnipeBotArgs();
                         break;
+                    case 'orderbot-watch':
+                        args = await getOrderWatchArgs();
+                        break;
                 }
             }
 
@@ -1400,7 +1429,7 @@ async function runBot(botType, customArgs = null) {
             addConsoleMessage(`Starting ${botType.toUpperCase()}`, 'info');
             
             // Run the utility bot
-            await ipcRenderer.invoke('run-bot', botType, args);
+            await ipcRenderer.invoke('run-bot', botType, appendGasProfileArgs(botType, args));
             
         } catch (error) {
             addConsoleMessage(`Failed to start ${botType}: ${error.message}`, 'error');
@@ -1483,6 +1512,12 @@ async function runBot(botType, customArgs = null) {
                         addConsoleMessage('⚠️ MMBot only supports one token at a time. Please select a single token.', 'warning');
                         setBotRunning(false);
                         return;
+                        case 'orderbot':
+                        case 'limitbuy':
+                        // OrderBot places orders for one token at a time
+                        addConsoleMessage('⚠️ OrderBot only supports one token at a time. Please select a single token.', 'warning');
+                        setBotRunning(false);
+                        return;
                         case 'jeetbot':
                         // JeetBot doesn't use ticker selection
                         args = getJeetBotArgs();
@@ -1502,7 +1537,7 @@ async function runBot(botType, customArgs = null) {
             addConsoleMessage(`📦 Combined command for tokens: ${tokenList}`, 'info');
             
             // Run single bot command with all tokens
-            await ipcRenderer.invoke('run-bot', botType, args);
+            await ipcRenderer.invoke('run-bot', botType, appendGasProfileArgs(botType, args));
         } else {
             // Single ticker (or JeetBot with Genesis Contract)
             const ticker = selectedTickers[0] || null; // ticker can be null for JeetBot with Genesis
@@ -1525,6 +1560,12 @@ async function runBot(botType, customArgs = null) {
                     case 'mmbot':
                         args = getMMBotArgsForTicker(ticker);
                         break;
+                    case 'orderbot':
+                        args = getOrderBotArgsForTicker(ticker);
+                        break;
+                    case 'limitbuy':
+                        args = getLimitBuyArgsForTicker(ticker);
+                        break;
                     case 'jeetbot':
                         args = getJeetBotArgsForTicker(ticker);
                         break;
@@ -1546,7 +1587,7 @@ async function runBot(botType, customArgs = null) {
             }
             
             // Run the bot
-            await ipcRenderer.invoke('run-bot', botType, args);
+            await ipcRenderer.invoke('run-bot', botType, appendGasProfileArgs(botType, args));
         }
         
     } catch (error) {
@@ -1626,6 +1667,7 @@ async function getBuyBotArgsMultiTicker(tickers) {
         }
         
         args.push(twapIntervals);
+        args.push(...getTwapAlgorithmArgs(''));
     }
     
     // Currency (if ETH selected, add ETH parameter)
@@ -1644,6 +1686,28 @@ async function getBuyBotArgsMultiTicker(tickers) {
     return args;
 }
 
+/**
+ * Build the ALGO-/LIMIT- arguments from a TWAP settings group
+ * @param {string} prefix - Element id prefix ('' for BuyBot, 'sell-' for SellBot)
+ * @returns {Array} Extra TWAP arguments
+ */
+function getTwapAlgorithmArgs(prefix) {
+    const args = [];
+    const algo = document.getElementById(`${prefix}twap-algo`)?.value || 'TWAP';
+    if (algo === 'POV') {
+        const percent = document.getElementById(`${prefix}twap-pov-percent`)?.value || '10';
+        args.push(`ALGO-POV-${percent}`);
+    } else if (algo !== 'TWAP') {
+        args.push(`ALGO-${algo}`);
+    }
+
+    const priceLimit = document.getElementById(`${prefix}twap-price-limit`)?.value?.trim();
+    if (priceLimit) {
+        args.push(`LIMIT-${priceLimit}`);
+    }
+    return args;
+}
+
 async function getSellBotArgs() {
     if (selectedTickers && selectedTickers.length > 0) {
         return await getSellBotArgsMultiTicker(selectedTickers);
@@ -1710,6 +1774,7 @@ async function getSellBotArgsMultiTicker(tickers) {
         args.push('twap');
         args.push(processedAmount);
         args.push(duration);
+        args.push(...getTwapAlgorithmArgs('sell-'));
         
         // Currency (if ETH selected, add ETH parameter)
         if (currency === 'ETH') {
@@ -1737,7 +1802,7 @@ async function getSellBotArgsMultiTicker(tickers) {
     
     // Add all tokens
     tickers.forEach(ticker => {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
     });
     
     // Add amounts for each token (same amount for all)
@@ -2026,9 +2091,35 @@ async function stopBot() {
     }
 }
 
+async function togglePauseBot() {
+    if (!isRunning) {
+        addConsoleMessage('❌ No bot is currently running', 'warning');
+        return;
+    }
+
+    const pause = !isPaused;
+    try {
+        const result = await ipcRenderer.invoke('set-bot-paused', pause);
+        if (result.success) {
+            isPaused = pause;
+            elements.pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+            addConsoleMessage(isPaused ? '⏸️ Pause sent - TWAP schedules hold before their next slice' : '▶️ Resume sent', 'info');
+        } else {
+            addConsoleMessage(`❌ ${result.message}`, 'warning');
+        }
+    } catch (error) {
+        addConsoleMessage(`❌ Failed to ${pause ? 'pause' : 'resume'} bot: ${error.message}`, 'error');
+    }
+}
+
 function setBotRunning(running) {
     isRunning = running;
     elements.stopBtn.disabled = !running;
+    if (elements.pauseBtn) {
+        isPaused = false;
+        elements.pauseBtn.disabled = !running;
+        elements.pauseBtn.textContent = 'Pause';
+    }
     
     if (running) {
         elements.activeBot.textContent = `🟢 ${currentBot?.toUpperCase() || 'Unknown'}`;
@@ -2085,6 +2176,691 @@ function showBalanceModal(balances) {
     modal.style.display = 'block';
 }
 
+/**
+ * Load trade ledger rows for the History tab using the current filters
+ */
+async function loadTradeHistory() {
+    const results = document.getElementById('history-results');
+    if (!results) return;
+
+    // Date inputs are local days; the ledger stores ISO timestamps
+    const fromDate = document.getElementById('history-from').value;
+    const toDate = document.getElementById('history-to').value;
+    const filters = {
+        wallet: document.getElementById('history-wallet').value,
+        botType: document.getElementById('history-bot').value,
+        token: document.getElementById('history-token').value.trim(),
+        from: fromDate ? `${fromDate}T00:00:00` : '',
+        to: toDate ? `${toDate}T23:59:59.999` : ''
+    };
+
+    try {
+        const result = await ipcRenderer.invoke('get-trade-history', filters);
+
+        if (!result.success) {
+            results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+            return;
+        }
+
+        updateHistoryFilterOptions(result.filters);
+
+        if (result.trades.length === 0) {
+            results.innerHTML = '<div class="history-empty">No transactions recorded for these filters</div>';
+            return;
+        }
+
+        const formatAmount = (amount, token) => amount ? `${Number(amount).toFixed(6)} ${escapeHistoryValue(token)}` : '';
+        let html = '<table class="balance-table">';
+        html += '<thead><tr><th>Time</th><th>Bot</th><th>Type</th><th>Wallet</th><th>Token</th><th>Spent</th><th>Received</th><th>Gas (ETH)</th><th>Provider</th><th>TX</th></tr></thead><tbody>';
+
+        result.trades.forEach(trade => {
+            const token = trade.token && trade.token.startsWith('0x') ? `${trade.token.slice(0, 8)}...` : trade.token;
+            html += `<tr>
+                <td>${new Date(trade.timestamp).toLocaleString()}</td>
+                <td>${escapeHistoryValue(trade.bot_type)}</td>
+                <td>${escapeHistoryValue(trade.direction || trade.type)}</td>
+                <td>${trade.wallet.slice(0, 8)}...</td>
+                <td>${escapeHistoryValue(token || '')}</td>
+                <td>${formatAmount(trade.spent_amount, trade.spent_token)}</td>
+                <td>${formatAmount(trade.received_amount, trade.received_token)}</td>
+                <td>${trade.gas_paid_eth ? trade.gas_paid_eth.toFixed(8) : ''}</td>
+                <td>${escapeHistoryValue(trade.provider || '')}</td>
+                <td>${trade.tx_hash ? `<a href="https://basescan.org/tx/${trade.tx_hash}" target="_blank">${trade.tx_hash.slice(0, 10)}...</a>` : ''}</td>
+            </tr>`;
+        });
+
+        html += '</tbody></table>';
+        results.innerHTML = html;
+        addConsoleMessage(`📜 Loaded ${result.trades.length} ledger entries`, 'info');
+    } catch (error) {
+        results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(error.message)}</div>`;
+    }
+}
+
+/**
+ * Calculate realised/unrealised PnL for the History tab wallet and token filters
+ */
+async function loadPnL() {
+    const results = document.getElementById('pnl-results');
+    if (!results) return;
+
+    const filters = {
+        wallet: document.getElementById('history-wallet').value,
+        token: document.getElementById('history-token').value.trim()
+    };
+    const method = document.getElementById('pnl-method').value;
+
+    results.innerHTML = '<div class="history-empty">Calculating PnL...</div>';
+
+    try {
+        const result = await ipcRenderer.invoke('get-pnl', filters, method);
+
+        if (!result.success) {
+            results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+            return;
+        }
+
+        if (result.positions.length === 0) {
+            results.innerHTML = '<div class="history-empty">No recorded swaps for these filters</div>';
+            return;
+        }
+
+        const signed = (value) => value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value.toFixed(4)}`;
+        const pnlColor = (value) => value === null || value === 0 ? '' : ` style="color: ${value > 0 ? '#56d364' : '#ff5252'};"`;
+        let html = '<table class="balance-table">';
+        html += '<thead><tr><th>Wallet</th><th>Token</th><th>Quote</th><th>Holding</th><th>Avg Cost</th><th>Cost Basis</th><th>Price</th><th>Realised</th><th>Unrealised</th></tr></thead><tbody>';
+
+        result.positions.forEach(position => {
+            html += `<tr>
+                <td>${position.wallet.slice(0, 8)}...</td>
+                <td>${escapeHistoryValue(position.token)}</td>
+                <td>${escapeHistoryValue(position.quote)}</td>
+                <td>${position.holding.toFixed(4)}</td>
+                <td>${position.avgCost.toFixed(8)}</td>
+                <td>${position.costBasis.toFixed(4)}</td>
+                <td>${position.currentPrice !== null ? position.currentPrice.toFixed(8) : 'n/a'}</td>
+                <td${pnlColor(position.realisedPnl)}>${signed(position.realisedPnl)}</td>
+                <td${pnlColor(position.unrealisedPnl)}>${signed(position.unrealisedPnl)}</td>
+            </tr>`;
+        });
+
+        Object.entries(result.totals).forEach(([quote, total]) => {
+            html += `<tr>
+                <td colspan="2"><strong>Total</strong></td>
+                <td>${escapeHistoryValue(quote)}</td>
+                <td colspan="2"></td>
+                <td>${total.costBasis.toFixed(4)}</td>
+                <td>${[total.unpriced > 0 ? `${total.unpriced} unpriced` : '', total.unconverted > 0 ? `${total.unconverted} swaps unconverted` : ''].filter(Boolean).join(', ')}</td>
+                <td${pnlColor(total.realisedPnl)}><strong>${signed(total.realisedPnl)}</strong></td>
+                <td${pnlColor(total.unrealisedPnl)}><strong>${signed(total.unrealisedPnl)}</strong></td>
+            </tr>`;
+        });
+
+        html += '</tbody></table>';
+        results.innerHTML = html;
+        addConsoleMessage(`📈 PnL calculated for ${result.positions.length} positions (${method.toUpperCase()})`, 'info');
+    } catch (error) {
+        results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(error.message)}</div>`;
+    }
+}
+
+async function exportTrades() {
+    const format = document.getElementById('export-format').value;
+    const wallet = document.getElementById('history-wallet').value;
+    const fromDate = document.getElementById('history-from').value;
+    const toDate = document.getElementById('history-to').value;
+    const filters = {
+        wallets: wallet ? [wallet] : [],
+        from: fromDate ? `${fromDate}T00:00:00` : '',
+        to: toDate ? `${toDate}T23:59:59.999` : ''
+    };
+
+    try {
+        const result = await ipcRenderer.invoke('export-trades', filters, format);
+
+        if (!result.success) {
+            addConsoleMessage(`Failed to export trades: ${result.error}`, 'error');
+            return;
+        }
+
+        const saveResult = await ipcRenderer.invoke('show-save-dialog', {
+            title: 'Export Trades',
+            defaultPath: result.fileName,
+            filters: [
+                { name: 'CSV Files', extensions: ['csv'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+
+        if (!saveResult.canceled && saveResult.filePath) {
+            await ipcRenderer.invoke('write-file', saveResult.filePath, result.csv);
+            addConsoleMessage(`📄 Exported ${result.entries} entries (${format}) to: ${saveResult.filePath}`, 'success');
+        }
+    } catch (error) {
+        addConsoleMessage(`Failed to export trades: ${error.message}`, 'error');
+    }
+}
+
+// Saved order tables per side (Order Bot = sell, Limit Buy = buy)
+const ORDER_RESULTS = {
+    sell: { elementId: 'orders-results', empty: 'No saved orders' },
+    buy: { elementId: 'limit-orders-results', empty: 'No limit buy orders' }
+};
+
+function formatOrderPrice(price) {
+    return price !== null && price !== undefined ? price.toFixed(10) : '';
+}
+
+function formatOrderResult(order) {
+    if (order.txHash) {
+        return `${escapeHistoryValue(order.trigger)} ${order.txHash.slice(0, 10)}...`;
+    }
+    return escapeHistoryValue(order.error || '');
+}
+
+function getOrderCancelButton(order, side) {
+    return order.status === 'active'
+        ? `<button class="btn btn-secondary" onclick="cancelOrder('${escapeHistoryValue(order.id)}', '${side}')">Cancel</button>`
+        : '';
+}
+
+function renderSellOrderRows(orders) {
+    let html = '<thead><tr><th>Order</th><th>Status</th><th>Wallet</th><th>Token</th><th>Size</th><th>Stop-Loss</th><th>Take-Profit</th><th>Trailing</th><th>Expires</th><th>Result</th><th></th></tr></thead><tbody>';
+
+    orders.forEach(order => {
+        html += `<tr>
+            <td>${escapeHistoryValue(order.id)}</td>
+            <td>${escapeHistoryValue(order.status)}</td>
+            <td>${escapeHistoryValue(order.walletSelector)}</td>
+            <td>${escapeHistoryValue(order.token.symbol)}</td>
+            <td>${escapeHistoryValue(order.tokenAmount)}</td>
+            <td>${formatOrderPrice(order.stopPrice)}</td>
+            <td>${formatOrderPrice(order.targetPrice)}</td>
+            <td>${order.trailingPercent ? `${order.trailingPercent}% (peak ${formatOrderPrice(order.peakPrice)})` : ''}</td>
+            <td>${order.expiresAt ? new Date(order.expiresAt).toLocaleString() : ''}</td>
+            <td>${formatOrderResult(order)}</td>
+            <td>${getOrderCancelButton(order, 'sell')}</td>
+        </tr>`;
+    });
+
+    return html + '</tbody>';
+}
+
+function renderBuyOrderRows(orders) {
+    // Wallets placed in one command share a group; show how many have filled
+    const groups = {};
+    orders.forEach(order => {
+        const group = groups[order.groupId] || (groups[order.groupId] = { total: 0, filled: 0 });
+        group.total++;
+        if (order.status === 'filled' || order.status === 'partially-filled') group.filled++;
+    });
+
+    let html = '<thead><tr><th>Order</th><th>Group</th><th>Status</th><th>Wallet</th><th>Token</th><th>VIRTUAL</th><th>Limit</th><th>Expires</th><th>Result</th><th></th></tr></thead><tbody>';
+
+    orders.forEach(order => {
+        const group = groups[order.groupId];
+        const spent = order.virtualSpent !== undefined ? `${order.virtualSpent} / ${order.virtualAmount}` : order.virtualAmount;
+        html += `<tr>
+            <td>${escapeHistoryValue(order.id)}</td>
+            <td>${escapeHistoryValue(order.groupId)} (${group.filled}/${group.total} filled)</td>
+            <td>${escapeHistoryValue(order.status)}</td>
+            <td>${escapeHistoryValue(order.walletSelector)}</td>
+            <td>${escapeHistoryValue(order.token.symbol)}</td>
+            <td>${escapeHistoryValue(spent)}</td>
+            <td>${formatOrderPrice(order.limitPrice)}</td>
+            <td>${order.expiresAt ? new Date(order.expiresAt).toLocaleString() : ''}</td>
+            <td>${formatOrderResult(order)}</td>
+            <td>${getOrderCancelButton(order, 'buy')}</td>
+        </tr>`;
+    });
+
+    return html + '</tbody>';
+}
+
+async function loadOrders(side = 'sell') {
+    const { elementId, empty } = ORDER_RESULTS[side];
+    const results = document.getElementById(elementId);
+    if (!results) return;
+
+    try {
+        const result = await ipcRenderer.invoke('get-orders', { side });
+
+        if (!result.success) {
+            results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+            return;
+        }
+
+        if (result.orders.length === 0) {
+            results.innerHTML = `<div class="history-empty">${empty}</div>`;
+            return;
+        }
+
+        const rows = side === 'buy' ? renderBuyOrderRows(result.orders) : renderSellOrderRows(result.orders);
+        results.innerHTML = `<table class="balance-table">${rows}</table>`;
+    } catch (error) {
+        results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(error.message)}</div>`;
+    }
+}
+
+async function cancelOrder(orderId, side = 'sell') {
+    const result = await ipcRenderer.invoke('cancel-order', orderId);
+    if (result.success) {
+        addConsoleMessage(`🚫 Order ${orderId} cancelled`, 'success');
+    } else {
+        addConsoleMessage(`Failed to cancel order: ${result.error}`, 'error');
+    }
+    loadOrders(side);
+}
+
+/**
+ * List pending, stuck and gapped nonces for every wallet (History tab)
+ */
+async function loadStuckTransactions() {
+    const results = document.getElementById('stuck-tx-results');
+    if (!results) return;
+
+    results.innerHTML = '<div class="history-empty">Checking pending nonces...</div>';
+
+    try {
+        const result = await ipcRenderer.invoke('get-stuck-transactions');
+
+        if (!result.success) {
+            results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+            return;
+        }
+
+        const rows = result.wallets.flatMap(wallet => wallet.transactions.map(tx => ({ wallet, tx })));
+        if (rows.length === 0) {
+            results.innerHTML = '<div class="history-empty">No pending transactions</div>';
+            return;
+        }
+
+        const statusColor = { stuck: '#ff9800', blocked: '#ff5252', gap: '#ff5252' };
+        let html = '<table class="balance-table">';
+        html += '<thead><tr><th>Wallet</th><th>Nonce</th><th>Status</th><th>Transaction</th><th>Hash</th><th>Age</th><th></th></tr></thead><tbody>';
+
+        rows.forEach(({ wallet, tx }) => {
+            const color = statusColor[tx.status] ? ` style="color: ${statusColor[tx.status]};"` : '';
+            const speedUp = tx.tracked && tx.status !== 'gap'
+                ? `<button class="btn btn-secondary" onclick="replaceStuckTransaction('speed-up', ${wallet.index}, ${tx.nonce})">Speed Up</button> `
+                : '';
+            html += `<tr>
+                <td>${escapeHistoryValue(wallet.name)}</td>
+                <td>${tx.nonce}</td>
+                <td${color}>${escapeHistoryValue(tx.status)}</td>
+                <td>${escapeHistoryValue(tx.label || (tx.tracked ? '' : 'not sent by this app'))}</td>
+                <td>${tx.hash ? `${tx.hash.slice(0, 10)}...` : ''}</td>
+                <td>${tx.ageMs !== undefined ? `${Math.round(tx.ageMs / 1000)}s` : ''}</td>
+                <td>${speedUp}<button class="btn btn-secondary" onclick="replaceStuckTransaction('cancel', ${wallet.index}, ${tx.nonce})">${tx.status === 'gap' ? 'Fill Gap' : 'Cancel'}</button></td>
+            </tr>`;
+        });
+
+        results.innerHTML = html + '</tbody></table>';
+    } catch (error) {
+        results.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(error.message)}</div>`;
+    }
+}
+
+/**
+ * Speed up or cancel a pending nonce with a same-nonce replacement
+ * @param {string} action - 'speed-up' or 'cancel'
+ * @param {number} walletIndex - Wallet index (B1 = 0)
+ * @param {number} nonce - Nonce to replace
+ */
+async function replaceStuckTransaction(action, walletIndex, nonce) {
+    const result = await ipcRenderer.invoke(`${action}-transaction`, walletIndex, nonce);
+    if (result.success) {
+        addConsoleMessage(`${action === 'cancel' ? '🚫 Cancel' : '🚀 Speed-up'} sent for B${walletIndex + 1} nonce ${nonce}: ${result.hash}`, 'success');
+    } else {
+        addConsoleMessage(`Failed to replace nonce ${nonce}: ${result.error}`, 'error');
+    }
+    loadStuckTransactions();
+}
+
+/**
+ * Render the token blacklist and allowlist (Settings → Token Lists)
+ */
+async function loadTokenLists() {
+    const containers = {
+        blacklist: document.getElementById('token-blacklist-results'),
+        allowlist: document.getElementById('token-allowlist-results')
+    };
+    if (!containers.blacklist || !containers.allowlist) return;
+
+    try {
+        const result = await ipcRenderer.invoke('get-token-lists');
+
+        if (!result.success) {
+            containers.blacklist.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+            containers.allowlist.innerHTML = '';
+            return;
+        }
+
+        Object.entries(containers).forEach(([listName, container]) => {
+            const entries = result.lists[listName];
+            if (entries.length === 0) {
+                container.innerHTML = `<div class="history-empty">${listName === 'allowlist' ? 'Allowlist is empty - any token not blacklisted can be bought' : 'Blacklist is empty'}</div>`;
+                return;
+            }
+
+            let html = '<table class="balance-table">';
+            html += '<thead><tr><th>Address</th><th>Ticker</th><th>Reason</th><th>Added</th><th></th></tr></thead><tbody>';
+            entries.forEach(entry => {
+                const key = escapeHistoryValue(entry.address || entry.ticker);
+                const added = entry.addedAt && new Date(entry.addedAt).getTime() > 0 ? new Date(entry.addedAt).toLocaleString() : 'default';
+                html += `<tr>
+                    <td>${entry.address ? `${escapeHistoryValue(entry.address.slice(0, 10))}...` : ''}</td>
+                    <td>${escapeHistoryValue(entry.ticker || '')}</td>
+                    <td>${escapeHistoryValue(entry.reason || '')}</td>
+                    <td>${added}</td>
+                    <td><button type="button" class="btn btn-secondary" onclick="removeTokenListEntry('${listName}', '${key}')">Remove</button></td>
+                </tr>`;
+            });
+            container.innerHTML = html + '</tbody></table>';
+        });
+    } catch (error) {
+        containers.blacklist.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(error.message)}</div>`;
+    }
+}
+
+async function addTokenListEntry() {
+    const listName = document.getElementById('token-list-name').value;
+    const entry = {
+        address: document.getElementById('token-list-address').value.trim(),
+        ticker: document.getElementById('token-list-ticker').value.trim(),
+        reason: document.getElementById('token-list-reason').value.trim()
+    };
+
+    const result = await ipcRenderer.invoke('add-token-list-entry', listName, entry);
+    if (result.success) {
+        addConsoleMessage(`${listName === 'blacklist' ? '🚫' : '✅'} Added ${result.entry.ticker || result.entry.address} to the ${listName}`, 'success');
+        ['token-list-address', 'token-list-ticker', 'token-list-reason'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    } else {
+        addConsoleMessage(`Failed to update ${listName}: ${result.error}`, 'error');
+    }
+    loadTokenLists();
+}
+
+async function removeTokenListEntry(listName, key) {
+    const result = await ipcRenderer.invoke('remove-token-list-entry', listName, key);
+    if (result.success) {
+        addConsoleMessage(`🗑️ Removed ${key} from the ${listName}`, 'success');
+    } else {
+        addConsoleMessage(`Failed to update ${listName}: ${result.error}`, 'error');
+    }
+    loadTokenLists();
+}
+
+async function importTokenLists() {
+    try {
+        const openResult = await ipcRenderer.invoke('show-open-dialog', {
+            title: 'Import Token Lists',
+            properties: ['openFile'],
+            filters: [
+                { name: 'JSON Files', extensions: ['json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (openResult.canceled || !openResult.filePaths?.length) return;
+
+        const replace = document.getElementById('token-list-import-mode').value === 'replace';
+        const result = await ipcRenderer.invoke('import-token-lists', openResult.filePaths[0], replace);
+        if (result.success) {
+            addConsoleMessage(`📥 Imported ${result.blacklist} blacklist and ${result.allowlist} allowlist entries${replace ? ' (lists replaced)' : ''}`, 'success');
+        } else {
+            addConsoleMessage(`Failed to import token lists: ${result.error}`, 'error');
+        }
+        loadTokenLists();
+    } catch (error) {
+        addConsoleMessage(`Failed to import token lists: ${error.message}`, 'error');
+    }
+}
+
+async function exportTokenLists() {
+    try {
+        const saveResult = await ipcRenderer.invoke('show-save-dialog', {
+            title: 'Export Token Lists',
+            defaultPath: 'token-lists.json',
+            filters: [
+                { name: 'JSON Files', extensions: ['json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (saveResult.canceled || !saveResult.filePath) return;
+
+        const result = await ipcRenderer.invoke('export-token-lists', saveResult.filePath);
+        if (result.success) {
+            addConsoleMessage(`📤 Token lists exported to: ${result.filePath}`, 'success');
+        } else {
+            addConsoleMessage(`Failed to export token lists: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        addConsoleMessage(`Failed to export token lists: ${error.message}`, 'error');
+    }
+}
+
+// Ticker filter presets as last loaded, and the preset whose preview the Apply button applies
+let tickerFilterData = null;
+let previewedTickerFilter = null;
+
+/**
+ * Load the ticker filter presets into Settings → Ticker Filters
+ * @param {string} selectName - Preset to select (default the current selection or the active preset)
+ */
+async function loadTickerFilters(selectName = null) {
+    const select = document.getElementById('ticker-filter-preset');
+    if (!select) return;
+
+    const result = await ipcRenderer.invoke('get-ticker-filters');
+    if (!result.success) {
+        addConsoleMessage(`Failed to load ticker filter presets: ${result.error}`, 'error');
+        return;
+    }
+
+    tickerFilterData = result;
+    const selected = selectName || (result.presets[select.value] ? select.value : result.activePreset);
+    select.innerHTML = Object.keys(result.presets).map(name =>
+        `<option value="${escapeHistoryValue(name)}">${escapeHistoryValue(name)}${name === result.activePreset ? ' (active)' : ''}</option>`
+    ).join('');
+    select.value = selected;
+    selectTickerFilterPreset();
+}
+
+/**
+ * Fill the rule form from the selected preset
+ */
+function selectTickerFilterPreset() {
+    const name = document.getElementById('ticker-filter-preset').value;
+    const preset = tickerFilterData?.presets[name];
+    if (!preset) return;
+
+    const { rules } = preset;
+    const setValue = (id, value) => {
+        document.getElementById(id).value = value === null || value === undefined ? '' : value;
+    };
+    setValue('ticker-filter-name', name);
+    setValue('ticker-filter-description', preset.description);
+    setValue('ticker-filter-min-mcap', rules.minMcap);
+    setValue('ticker-filter-min-liquidity', rules.minLiquidity);
+    setValue('ticker-filter-min-volume', rules.minVolume24h);
+    setValue('ticker-filter-labels-include', rules.labelsInclude.join(', '));
+    setValue('ticker-filter-labels-exclude', rules.labelsExclude.join(', '));
+    setValue('ticker-filter-min-age', rules.minAgeDays);
+    setValue('ticker-filter-max-age', rules.maxAgeDays);
+    setValue('ticker-filter-missing', String(rules.keepMissingData));
+    document.querySelectorAll('.ticker-filter-chain').forEach(checkbox => {
+        checkbox.checked = rules.chains.includes(checkbox.value);
+    });
+
+    document.getElementById('ticker-filter-active').textContent = name === tickerFilterData.activePreset
+        ? `⭐ Active preset - ${tickerFilterData.summaries[name]}`
+        : tickerFilterData.summaries[name];
+    resetTickerFilterPreview();
+}
+
+function resetTickerFilterPreview() {
+    previewedTickerFilter = null;
+    document.getElementById('ticker-filter-apply').disabled = true;
+    document.getElementById('ticker-filter-preview-results').innerHTML = '';
+}
+
+async function saveTickerFilterPreset() {
+    const value = id => document.getElementById(id).value.trim();
+    const name = value('ticker-filter-name');
+    const rules = {
+        chains: Array.from(document.querySelectorAll('.ticker-filter-chain:checked')).map(checkbox => checkbox.value),
+        minMcap: value('ticker-filter-min-mcap'),
+        minLiquidity: value('ticker-filter-min-liquidity'),
+        minVolume24h: value('ticker-filter-min-volume'),
+        labelsInclude: value('ticker-filter-labels-include'),
+        labelsExclude: value('ticker-filter-labels-exclude'),
+        minAgeDays: value('ticker-filter-min-age'),
+        maxAgeDays: value('ticker-filter-max-age'),
+        keepMissingData: value('ticker-filter-missing') === 'true'
+    };
+
+    const result = await ipcRenderer.invoke('save-ticker-filter-preset', name, rules, value('ticker-filter-description'));
+    if (result.success) {
+        addConsoleMessage(`💾 Saved ticker filter preset "${result.preset.name}"`, 'success');
+        loadTickerFilters(result.preset.name);
+    } else {
+        addConsoleMessage(`Failed to save ticker filter preset: ${result.error}`, 'error');
+    }
+}
+
+async function activateTickerFilterPreset() {
+    const name = document.getElementById('ticker-filter-preset').value;
+    const result = await ipcRenderer.invoke('set-active-ticker-filter-preset', name);
+    if (result.success) {
+        addConsoleMessage(`⭐ "${name}" is now the active ticker filter preset`, 'success');
+        loadTickerFilters(name);
+    } else {
+        addConsoleMessage(`Failed to activate ticker filter preset: ${result.error}`, 'error');
+    }
+}
+
+async function deleteTickerFilterPreset() {
+    const name = document.getElementById('ticker-filter-preset').value;
+    if (!confirm(`Delete ticker filter preset "${name}"?`)) return;
+
+    const result = await ipcRenderer.invoke('delete-ticker-filter-preset', name);
+    if (result.success) {
+        addConsoleMessage(`🗑️ Deleted ticker filter preset "${name}"`, 'success');
+        loadTickerFilters(result.activePreset);
+    } else {
+        addConsoleMessage(`Failed to delete ticker filter preset: ${result.error}`, 'error');
+    }
+}
+
+/**
+ * Show what the selected (saved) preset would prune from each ticker database, without writing anything
+ */
+async function previewTickerFilter() {
+    const name = document.getElementById('ticker-filter-preset').value;
+    const container = document.getElementById('ticker-filter-preview-results');
+    resetTickerFilterPreview();
+    container.innerHTML = '<div class="history-empty">⏳ Evaluating preset (liquidity rules read every pool on-chain)...</div>';
+
+    const result = await ipcRenderer.invoke('preview-ticker-filter', name);
+    if (!result.success) {
+        container.innerHTML = `<div class="history-empty">❌ ${escapeHistoryValue(result.error)}</div>`;
+        return;
+    }
+
+    let html = `<div class="history-empty">${escapeHistoryValue(result.preset.name)}: ${escapeHistoryValue(result.summary)}</div>`;
+    html += '<table class="balance-table"><thead><tr><th>Chain</th><th>File</th><th>Total</th><th>Kept</th><th>Pruned</th><th>By rule</th></tr></thead><tbody>';
+    result.chains.forEach(chain => {
+        const byRule = Object.entries(chain.byReason).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+        html += `<tr>
+            <td>${chain.chain}</td>
+            <td>${escapeHistoryValue(chain.file)}</td>
+            <td>${chain.total}</td>
+            <td>${chain.kept}</td>
+            <td>${chain.pruned}</td>
+            <td>${escapeHistoryValue(byRule)}</td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+
+    const pruned = result.chains.flatMap(chain => chain.prunedTokens.map(token => ({ ...token, chain: chain.chain })));
+    if (pruned.length > 0) {
+        html += '<table class="balance-table"><thead><tr><th>Chain</th><th>Token</th><th>Address</th><th>Pruned because</th></tr></thead><tbody>';
+        pruned.slice(0, 200).forEach(token => {
+            html += `<tr>
+                <td>${token.chain}</td>
+                <td>${escapeHistoryValue(token.symbol)}</td>
+                <td>${escapeHistoryValue(String(token.tokenAddress).slice(0, 10))}...</td>
+                <td>${escapeHistoryValue(token.reasons.join(', '))}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        if (pruned.length > 200) {
+            html += `<div class="history-empty">… and ${pruned.length - 200} more</div>`;
+        }
+    }
+    container.innerHTML = html;
+
+    previewedTickerFilter = name;
+    document.getElementById('ticker-filter-apply').disabled = pruned.length === 0;
+}
+
+async function applyTickerFilter() {
+    const name = previewedTickerFilter;
+    if (!name || name !== document.getElementById('ticker-filter-preset').value) {
+        addConsoleMessage('Preview the preset before applying it', 'warning');
+        return;
+    }
+    if (!confirm(`Prune the ticker databases with preset "${name}"? This can be undone with npm run ticker:sync rollback.`)) return;
+
+    document.getElementById('ticker-filter-apply').disabled = true;
+    const result = await ipcRenderer.invoke('apply-ticker-filter', name);
+    Object.entries(result.results || {}).forEach(([chain, sync]) => {
+        if (sync.success && !sync.unchanged) {
+            addConsoleMessage(`🧹 ${chain}: ${sync.before} → ${sync.after} tokens (${sync.removed.length} pruned)`, 'success');
+        }
+    });
+    if (result.success) {
+        addConsoleMessage(`✅ Applied ticker filter preset "${name}"`, 'success');
+    } else {
+        addConsoleMessage(`Failed to apply ticker filter preset: ${result.error}`, 'error');
+    }
+    resetTickerFilterPreview();
+}
+
+/**
+ * Refresh the History filter dropdowns, keeping the current selection
+ * @param {Object} options - Distinct wallets, tokens and bot types from the ledger
+ */
+function updateHistoryFilterOptions(options) {
+    const fillSelect = (id, values, allLabel) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` +
+            values.map(value => `<option value="${escapeHistoryValue(value)}">${escapeHistoryValue(value)}</option>`).join('');
+        select.value = selected;
+    };
+
+    fillSelect('history-wallet', options.wallets, 'All wallets');
+    fillSelect('history-bot', options.botTypes, 'All bots');
+    document.getElementById('history-token-options').innerHTML =
+        options.tokens.map(token => `<option value="${escapeHistoryValue(token)}"></option>`).join('');
+}
+
+/**
+ * Escape ledger values (token symbols come from on-chain metadata) before rendering
+ * @param {string} value - Raw value
+ * @returns {string} HTML-safe value
+ */
+function escapeHistoryValue(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function closeModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
@@ -2750,6 +3526,10 @@ async function openDocs() {
     }
 }
 
+// Provider health refresh (each refresh probes every RPC once)
+const PROVIDER_HEALTH_REFRESH_MS = 30000;
+let providerHealthInterval = null;
+
 async function checkSystemStatus() {
     try {
         // Check if configuration exists and get wallet data
@@ -2775,6 +3555,12 @@ async function checkSystemStatus() {
         // Update gas price display
         await updateGasPriceStatus();
         
+        // Update provider health table (and keep it live)
+        await updateProviderHealth();
+        if (!providerHealthInterval) {
+            providerHealthInterval = setInterval(updateProviderHealth, PROVIDER_HEALTH_REFRESH_MS);
+        }
+        
     } catch (error) {
         elements.connectionStatus.textContent = '🔴 Error';
         elements.connectionStatus.classList.remove('status-connected');
@@ -2782,6 +3568,44 @@ async function checkSystemStatus() {
     }
 }
 
+/**
+ * Update the provider health table in the System Status panel
+ */
+async function updateProviderHealth() {
+    if (!elements.providerHealthStatus || !elements.providerHealthTable) return;
+
+    try {
+        const result = await ipcRenderer.invoke('get-provider-health');
+        if (!result.success) {
+            elements.providerHealthStatus.textContent = 'Unavailable';
+            elements.providerHealthStatus.title = result.error;
+            elements.providerHealthTable.innerHTML = '';
+            return;
+        }
+
+        const healthyCount = result.providers.filter(p => p.healthy).length;
+        elements.providerHealthStatus.textContent = `${healthyCount}/${result.providers.length} healthy`;
+        elements.providerHealthStatus.title = '';
+
+        let html = '<thead><tr><th>RPC</th><th>Score</th><th>ms</th><th>Err</th><th>Lag</th><th>WS</th></tr></thead><tbody>';
+        result.providers.forEach(p => {
+            const title = escapeHistoryValue(p.lastError ? `Last error: ${p.lastError}` : `Block ${p.blockNumber ?? 'unknown'}`);
+            html += `<tr class="${p.healthy ? '' : 'provider-unhealthy'}" title="${title}">
+                <td>${p.preferredForSends ? '⚡' : ''}${escapeHistoryValue(p.name)}</td>
+                <td>${p.score}</td>
+                <td>${p.latencyMs ?? '-'}</td>
+                <td>${Math.round(p.errorRate * 100)}%</td>
+                <td>${p.blockLag}</td>
+                <td>${p.websocket ? p.wsDisconnects : '-'}</td>
+            </tr>`;
+        });
+        elements.providerHealthTable.innerHTML = html + '</tbody>';
+    } catch (error) {
+        elements.providerHealthStatus.textContent = 'Error';
+        elements.providerHealthTable.innerHTML = '';
+    }
+}
+
 // Function to update connection status with temporary messages
 function updateConnectionStatus(message, duration = 3000) {
     const originalText = elements.connectionStatus.textContent;
@@ -3554,22 +4378,6 @@ function clearAllTickers() {
     updateTickerSelection();
 }
 
-// Load token database from base.json
-async function loadTokenDatabase() {
-    try {
-        const response = await fetch('./base.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        tokenDatabase = await response.json();
-        // Token database loaded silently
-    } catch (error) {
-        console.error('Error loading token database:', error);
-        addConsoleMessage('⚠️ Could not load token database', 'warning');
-        tokenDatabase = []; // fallback to empty array
-    }
-}
-
 // Handle token search input
 function handleTokenSearch() {
     // Check both the new token field input and the old custom ticker search
@@ -3606,28 +4414,41 @@ function handleTokenSearchEnter(event) {
     }
 }
 
-// Perform the actual token search
-function performTokenSearch(query) {
-    const resultsDiv = document.getElementById('search-results');
-    const statusDiv = document.getElementById('search-status');
-    
+// Bot argument for a selected token: SYMBOL@address pins the exact contract, so a ticker
+// shared by several tokens is never refused as ambiguous or resolved to another token
+function getTokenArg(ticker) {
+    if (ticker.symbol && ticker.address && /^0x[a-fA-F0-9]{40}$/.test(ticker.address)) {
+        return `${ticker.symbol}@${ticker.address}`;
+    }
+    return ticker.symbol || ticker.address;
+}
+
+// Perform the actual token search (token registry in the main process)
+async function performTokenSearch(query) {
     showSearchStatus('Searching...', 'searching');
     
     let results = [];
+    try {
+        const response = await ipcRenderer.invoke('search-tokens', query, { limit: 10 });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        results = response.tokens;
+    } catch (error) {
+        console.error('Error searching token registry:', error);
+        showSearchStatus('⚠️ Could not search token registry', 'not-found');
+        hideSearchResults();
+        return;
+    }
     
     // Check if input looks like an address (starts with 0x and is long enough)
     const isAddress = query.startsWith('0x') && query.length > 10;
     
     if (isAddress) {
         // Search by address (CA → ticker)
-        const normalizedQuery = query.toLowerCase();
-        results = tokenDatabase.filter(token => 
-            token.tokenAddress && token.tokenAddress.toLowerCase().includes(normalizedQuery)
-        );
-        
         if (results.length > 0) {
             const exactMatch = results.find(token => 
-                token.tokenAddress.toLowerCase() === normalizedQuery
+                token.address.toLowerCase() === query.toLowerCase()
             );
             if (exactMatch) {
                 showSearchStatus(`✅ Found: ${exactMatch.symbol}`, 'verified');
@@ -3639,17 +4460,14 @@ function performTokenSearch(query) {
         }
     } else {
         // Search by symbol (ticker → CA)
-        const normalizedQuery = query.toUpperCase();
-        results = tokenDatabase.filter(token => 
-            token.symbol && token.symbol.toUpperCase().includes(normalizedQuery)
-        );
-        
         if (results.length > 0) {
             const exactMatch = results.find(token => 
-                token.symbol.toUpperCase() === normalizedQuery
+                token.symbol.toUpperCase() === query.toUpperCase()
             );
-            if (exactMatch) {
-                showSearchStatus(`✅ Found: ${exactMatch.tokenAddress}`, 'verified');
+            if (exactMatch && exactMatch.tickerCount > 1) {
+                showSearchStatus(`⚠️ ${exactMatch.tickerCount} tokens use ${exactMatch.symbol} - compare them below and pick one`, 'found');
+            } else if (exactMatch) {
+                showSearchStatus(`✅ Found: ${exactMatch.address}`, 'verified');
             } else {
                 showSearchStatus(`Found ${results.length} matches`, 'found');
             }
@@ -3678,9 +4496,13 @@ function displaySearchResults(results, originalQuery) {
     limitedResults.forEach(token => {
         const resultItem = document.createElement('div');
         resultItem.className = 'search-result-item';
+        const shared = token.tickerCount > 1
+            ? ` <span class="result-ambiguous" title="${token.tickerCount} tokens use this ticker">#${token.index} of ${token.tickerCount}</span>`
+            : '';
         resultItem.innerHTML = `
-            <span class="result-symbol">${token.symbol}</span>
-            <span class="result-address">${token.tokenAddress}</span>
+            <span class="result-symbol">${escapeHistoryValue(token.symbol)}${shared}</span>
+            <span class="result-signals">${escapeHistoryValue(formatTokenSignals(token))}</span>
+            <span class="result-address">${token.address}</span>
         `;
         
         resultItem.addEventListener('click', () => {
@@ -3694,24 +4516,38 @@ function displaySearchResults(results, originalQuery) {
     resultsDiv.style.display = 'block';
 }
 
+// Confidence signals of a search candidate: label, liquidity, market cap, age and origin
+function formatTokenSignals(token) {
+    const amount = (values) => Object.entries(values || {})
+        .map(([unit, value]) => `${Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 })} ${unit}`)
+        .join(' / ');
+    return [
+        token.labels && token.labels.length > 0 ? token.labels.slice(0, 2).join(', ') : null,
+        Object.keys(token.liquidity || {}).length > 0 ? `liq ${amount(token.liquidity)}` : (token.lpAddress ? null : 'no pool'),
+        Object.keys(token.marketCap || {}).length > 0 ? `mcap ${amount(token.marketCap)}` : null,
+        token.ageDays !== null && token.ageDays !== undefined ? `${token.ageDays}d old` : null,
+        token.inRegistry ? null : 'typed-in CA'
+    ].filter(Boolean).join(' · ');
+}
+
 // Select a search result
 function selectSearchResult(token) {
     const searchInput = document.getElementById('token-field-input') || document.getElementById('custom-ticker-search');
     if (!searchInput) return;
     
     // Update input with selected token info
-    searchInput.value = `${token.symbol} - ${token.tokenAddress}`;
+    searchInput.value = `${token.symbol} - ${token.address}`;
     
     // Store selected token data for adding
     searchInput.dataset.selectedSymbol = token.symbol;
-    searchInput.dataset.selectedAddress = token.tokenAddress;
+    searchInput.dataset.selectedAddress = token.address;
     
     hideSearchResults();
     showSearchStatus(`✅ Selected: ${token.symbol}`, 'verified');
 }
 
 // Add token from search
-function addTokenFromSearch() {
+async function addTokenFromSearch() {
     const searchInput = document.getElementById('token-field-input') || document.getElementById('custom-ticker-search');
     if (!searchInput) return;
     
@@ -3738,18 +4574,21 @@ function addTokenFromSearch() {
         } else if (query.startsWith('0x')) {
             // Just an address - use the address as both symbol and address
             address = query;
-            const foundToken = tokenDatabase.find(token => 
-                token.tokenAddress && token.tokenAddress.toLowerCase() === address.toLowerCase()
-            );
+            const { token: foundToken } = await ipcRenderer.invoke('lookup-token', address);
             symbol = foundToken ? foundToken.symbol : address;
         } else {
             // Just a symbol - search for address
             symbol = query.toUpperCase();
-            const foundToken = tokenDatabase.find(token => 
-                token.symbol && token.symbol.toUpperCase() === symbol
-            );
+            const { token: foundToken, candidates = [] } = await ipcRenderer.invoke('lookup-token', query);
+            if (!foundToken && candidates.length > 1) {
+                addConsoleMessage(`⚠️ ${candidates.length} tokens use the ticker ${symbol} - pick one from the search results`, 'warning');
+                performTokenSearch(symbol);
+                return;
+            }
             if (foundToken) {
-                address = foundToken.tokenAddress;
+                // SYMBOL@0x… / SYMBOL@<n> picks one of several tokens sharing the ticker
+                symbol = foundToken.symbol;
+                address = foundToken.address;
             } else {
                 addConsoleMessage('❌ Token not found. Please enter a valid contract address.', 'error');
                 return;
@@ -3968,7 +4807,7 @@ function getBuyBotArgsForTicker(ticker) {
         args.push(...walletSelectors);
     }
     if (buyType === 'twap') {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
         args.push('TWAP');
         if (!amount) {
             args.push('100');
@@ -4013,7 +4852,7 @@ function getBuyBotArgsForTicker(ticker) {
             args.push('BID-MODE');
         }
     } else {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
         if (!amount) {
             args.push('100');
         } else if (amount === 'MAX') {
@@ -4059,7 +4898,7 @@ function getSellBotArgsForTicker(ticker) {
         args.push(...walletSelectors);
     }
     if (sellType === 'twap') {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
         args.push('TWAP');
         if (!amount) {
             args.push('50%');
@@ -4099,7 +4938,7 @@ function getSellBotArgsForTicker(ticker) {
             args.push('BID-MODE');
         }
     } else {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
         if (!amount) {
             args.push('50%');
         } else if (amount === 'MAX') {
@@ -4132,7 +4971,7 @@ function getFarmBotArgsForTicker(ticker) {
             .sort();
         args.push(...walletSelectors);
     }
-    args.push(ticker.symbol || ticker.address);
+    args.push(getTokenArg(ticker));
     if (!amount) {
         args.push('100');
     } else if (amount === 'MAX') {
@@ -4154,6 +4993,102 @@ function getFarmBotArgsForTicker(ticker) {
 
 
 
+function getOrderBotArgsForTicker(ticker) {
+    const amount = document.getElementById('order-amount').value.trim();
+    const stopLoss = document.getElementById('order-stop-loss').value.trim();
+    const takeProfit = document.getElementById('order-take-profit').value.trim();
+    const trailing = document.getElementById('order-trailing').value.trim();
+
+    // Format: [wallets] <token> [T-amount] [SL-level] [TP-level] [TS-percent]
+    if (!stopLoss && !takeProfit && !trailing) {
+        addConsoleMessage('❌ Enter at least one of Stop-Loss, Take-Profit or Trailing Stop', 'error');
+        return null;
+    }
+
+    const args = [];
+
+    // Add wallet selection (B1 B2 B3 format)
+    if (selectedWallets.size > 0) {
+        const walletSelectors = Array.from(selectedWallets)
+            .map(index => `B${index + 1}`)
+            .sort(); // Sort to ensure consistent order
+        args.push(...walletSelectors);
+    }
+
+    args.push(getTokenArg(ticker));
+
+    if (amount) {
+        args.push(`T-${amount === 'MAX' ? '100%' : amount}`);
+    }
+    if (stopLoss) {
+        args.push(`SL-${stopLoss}`);
+    }
+    if (takeProfit) {
+        args.push(`TP-${takeProfit}`);
+    }
+    if (trailing) {
+        args.push(`TS-${trailing.includes('%') ? trailing : `${trailing}%`}`);
+    }
+
+    const expiry = document.getElementById('order-expiry').value.trim();
+    if (expiry) {
+        args.push(`EXP-${expiry}`);
+    }
+
+    return args;
+}
+
+function getLimitBuyArgsForTicker(ticker) {
+    const virtualAmount = document.getElementById('limit-virtual-amount').value.trim();
+    const limitPrice = document.getElementById('limit-price').value.trim();
+    const expiry = document.getElementById('limit-expiry').value.trim();
+
+    // Format: [wallets] <token> BUY-<virtual> AT-<level> [EXP-time]
+    if (!virtualAmount || !limitPrice) {
+        addConsoleMessage('❌ Enter the VIRTUAL amount per wallet and a limit price', 'error');
+        return null;
+    }
+
+    const args = [];
+
+    // Add wallet selection (B1 B2 B3 format)
+    if (selectedWallets.size > 0) {
+        const walletSelectors = Array.from(selectedWallets)
+            .map(index => `B${index + 1}`)
+            .sort(); // Sort to ensure consistent order
+        args.push(...walletSelectors);
+    }
+
+    args.push(getTokenArg(ticker));
+    args.push(`BUY-${virtualAmount}`);
+    args.push(`AT-${limitPrice}`);
+
+    if (expiry) {
+        args.push(`EXP-${expiry}`);
+    }
+
+    return args;
+}
+
+/**
+ * Build WATCH arguments from the wallets that own active saved orders
+ * @returns {Promise<Array|null>} Arguments or null when nothing is active
+ */
+async function getOrderWatchArgs() {
+    const result = await ipcRenderer.invoke('get-orders', { status: 'active' });
+    if (!result.success) {
+        addConsoleMessage(`❌ Failed to load orders: ${result.error}`, 'error');
+        return null;
+    }
+    if (result.orders.length === 0) {
+        addConsoleMessage('📭 No active orders to watch', 'warning');
+        return null;
+    }
+
+    const walletSelectors = [...new Set(result.orders.map(order => order.walletSelector))].sort();
+    return [...walletSelectors, 'WATCH'];
+}
+
 function getMMBotArgsForTicker(ticker) {
     const virtualAmount = document.getElementById('mm-virtual-amount').value.trim();
     const tokenAmount = document.getElementById('mm-token-amount').value.trim();
@@ -4176,7 +5111,7 @@ function getMMBotArgsForTicker(ticker) {
     }
     
     // Token (single token - mmbot is now single-token only)
-    args.push(ticker.symbol || ticker.address);
+    args.push(getTokenArg(ticker));
     
     // V-amount (VIRTUAL amount)
     let vAmount = virtualAmount || '1%'; // Default 1% of VIRTUAL balance
@@ -4547,6 +5482,14 @@ function updateMMVirtualAmount() {
     }
 }
 
+function updateOrderAmount() {
+    const preset = document.getElementById('order-amount-preset').value;
+    const input = document.getElementById('order-amount');
+    if (preset) {
+        input.value = preset;
+    }
+}
+
 function updateMMTokenAmount() {
     const preset = document.getElementById('mm-token-preset').value;
     const input = document.getElementById('mm-token-amount');
@@ -5121,6 +6064,7 @@ async function setupWalletSelection() {
         
         if (result.success && result.wallets && result.wallets.length > 0) {
             availableWallets = result.wallets;
+            walletGroups = result.walletGroups || {};
             populateWalletGrid();
             
             // Auto-select first wallet (B1) by default if no wallets are selected
@@ -5426,6 +6370,7 @@ async function refreshWallets() {
         if (result && result.success && Array.isArray(result.wallets)) {
             // Store wallets in global variable
             availableWallets = result.wallets;
+            walletGroups = result.walletGroups || {};
             
             // Populate wallet grid
             populateWalletGrid();
@@ -5522,6 +6467,10 @@ function populateWalletGrid() {
         walletItem.className = `wallet-item ${selectedWallets.has(index) ? 'selected' : ''}`;
         walletItem.onclick = () => toggleWallet(index);
         
+        const tags = Array.isArray(wallet.tags) && wallet.tags.length > 0
+            ? `<span class="wallet-tags">${wallet.tags.map(tag => `#${escapeHistoryValue(tag)}`).join(' ')}</span>`
+            : '';
+        
         // Create wallet item HTML
         walletItem.innerHTML = `
             <input type="checkbox" id="wallet-${index}" 
@@ -5529,6 +6478,7 @@ function populateWalletGrid() {
             <div class="wallet-info">
                 <span class="wallet-name">${walletName}</span>
                 <span class="wallet-address">${addressSuffix}</span>
+                ${tags}
             </div>
         `;
         
@@ -5539,10 +6489,169 @@ function populateWalletGrid() {
     // Add all elements to the DOM at once (single reflow)
     walletGrid.appendChild(fragment);
     
+    renderWalletGroupBar();
+    
     // Update wallet selection count
     updateWalletSelection();
 }
 
+/**
+ * Render group and tag chips above the wallet grid
+ */
+function renderWalletGroupBar() {
+    const chips = document.getElementById('wallet-group-chips');
+    if (!chips) return;
+    
+    const indexByAddress = new Map(
+        availableWallets.map((wallet, index) => [(wallet.address || '').toLowerCase(), index])
+    );
+    const groupChips = Object.entries(walletGroups).map(([name, addresses]) => {
+        const count = addresses.filter(address => indexByAddress.has(address.toLowerCase())).length;
+        const safeName = escapeHistoryValue(name);
+        return `<span class="wallet-group-chip" onclick="selectWalletGroup('G', '${safeName}')" title="Select G:${safeName}">
+                    👥 ${safeName} <small>${count}</small>
+                    <button class="chip-remove" onclick="event.stopPropagation(); deleteWalletGroup('${safeName}')" title="Delete group">✕</button>
+                </span>`;
+    });
+    
+    const tagCounts = new Map();
+    availableWallets.forEach(wallet => {
+        (wallet.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    });
+    const tagChips = [...tagCounts.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([tag, count]) => {
+        const safeTag = escapeHistoryValue(tag);
+        return `<span class="wallet-group-chip wallet-tag-chip" onclick="selectWalletGroup('T', '${safeTag}')" title="Select T:${safeTag}">
+                    #${safeTag} <small>${count}</small>
+                    <button class="chip-remove" onclick="event.stopPropagation(); removeWalletTag('${safeTag}')" title="Remove tag from every wallet">✕</button>
+                </span>`;
+    });
+    
+    chips.innerHTML = groupChips.length + tagChips.length > 0
+        ? [...groupChips, ...tagChips].join('')
+        : '<span class="history-empty">No groups or tags yet</span>';
+}
+
+/**
+ * Replace the current selection with the wallets of a group or tag
+ * @param {string} kind - 'G' for a group, 'T' for a tag
+ * @param {string} name - Group or tag name
+ */
+function selectWalletGroup(kind, name) {
+    let indices;
+    if (kind === 'G') {
+        const members = new Set((walletGroups[name] || []).map(address => address.toLowerCase()));
+        indices = availableWallets
+            .map((wallet, index) => members.has((wallet.address || '').toLowerCase()) ? index : -1)
+            .filter(index => index !== -1);
+    } else {
+        indices = availableWallets
+            .map((wallet, index) => (wallet.tags || []).includes(name) ? index : -1)
+            .filter(index => index !== -1);
+    }
+    
+    selectedWallets = new Set(indices);
+    populateWalletGrid();
+    addConsoleMessage(`👥 ${kind}:${name} selected ${indices.map(index => `B${index + 1}`).join(' ') || 'no wallets'}`, 'info');
+}
+
+/**
+ * Read the group/tag name input and the addresses of the selected wallets
+ * @private
+ */
+function getWalletGroupInput() {
+    const input = document.getElementById('wallet-group-name');
+    const name = input ? input.value.trim() : '';
+    const addresses = Array.from(selectedWallets)
+        .map(index => availableWallets[index]?.address)
+        .filter(Boolean);
+    
+    if (!name) {
+        addConsoleMessage('⚠️ Enter a group or tag name first', 'warning');
+        return null;
+    }
+    if (addresses.length === 0) {
+        addConsoleMessage('⚠️ Select at least one wallet first', 'warning');
+        return null;
+    }
+    return { input, name, addresses };
+}
+
+/**
+ * Save the selected wallets as a named group (replaces an existing group of that name)
+ */
+async function saveWalletGroup() {
+    const data = getWalletGroupInput();
+    if (!data) return;
+    
+    const result = await ipcRenderer.invoke('save-wallet-group', data.name, data.addresses);
+    if (!result.success) {
+        addConsoleMessage(`❌ Failed to save group: ${result.error}`, 'error');
+        return;
+    }
+    
+    walletGroups = result.walletGroups;
+    data.input.value = '';
+    renderWalletGroupBar();
+    addConsoleMessage(`👥 Saved group G:${result.name} with ${data.addresses.length} wallet${data.addresses.length !== 1 ? 's' : ''}`, 'success');
+}
+
+/**
+ * Delete a wallet group; the wallets themselves are kept
+ * @param {string} name - Group name
+ */
+async function deleteWalletGroup(name) {
+    if (!confirm(`Delete wallet group "${name}"? The wallets themselves are kept.`)) return;
+    
+    const result = await ipcRenderer.invoke('delete-wallet-group', name);
+    if (!result.success) {
+        addConsoleMessage(`❌ Failed to delete group: ${result.error}`, 'error');
+        return;
+    }
+    
+    walletGroups = result.walletGroups || {};
+    renderWalletGroupBar();
+    addConsoleMessage(`🗑️ Deleted group G:${name}`, 'info');
+}
+
+/**
+ * Add the tag typed in the group/tag input to the selected wallets
+ */
+async function tagSelectedWallets() {
+    const data = getWalletGroupInput();
+    if (!data) return;
+    
+    const result = await ipcRenderer.invoke('set-wallet-tag', data.addresses, data.name, true);
+    if (!result.success) {
+        addConsoleMessage(`❌ Failed to tag wallets: ${result.error}`, 'error');
+        return;
+    }
+    
+    availableWallets = result.wallets;
+    data.input.value = '';
+    populateWalletGrid();
+    addConsoleMessage(`🏷️ Tagged ${result.changed} wallet${result.changed !== 1 ? 's' : ''} with T:${data.name.toLowerCase()}`, 'success');
+}
+
+/**
+ * Remove a tag from every wallet carrying it
+ * @param {string} tag - Tag name
+ */
+async function removeWalletTag(tag) {
+    const addresses = availableWallets
+        .filter(wallet => (wallet.tags || []).includes(tag))
+        .map(wallet => wallet.address);
+    
+    const result = await ipcRenderer.invoke('set-wallet-tag', addresses, tag, false);
+    if (!result.success) {
+        addConsoleMessage(`❌ Failed to remove tag: ${result.error}`, 'error');
+        return;
+    }
+    
+    availableWallets = result.wallets;
+    populateWalletGrid();
+    addConsoleMessage(`🏷️ Removed T:${tag} from ${result.changed} wallet${result.changed !== 1 ? 's' : ''}`, 'info');
+}
+
 /**
  * Toggle wallet selection state
  */
@@ -5574,6 +6683,11 @@ function toggleWallet(walletIndex) {
 window.refreshWallets = refreshWallets;
 window.populateWalletGrid = populateWalletGrid;
 window.toggleWallet = toggleWallet;
+window.selectWalletGroup = selectWalletGroup;
+window.saveWalletGroup = saveWalletGroup;
+window.deleteWalletGroup = deleteWalletGroup;
+window.tagSelectedWallets = tagSelectedWallets;
+window.removeWalletTag = removeWalletTag;
 
 /**
  * Listen for private key input to show derived address
@@ -6522,6 +7636,78 @@ function updateJeetGasPrice() {
     }
 }
 
+// Bots whose command parsers accept GP-, MAXFEE- and MAXRUN- arguments
+const GAS_PROFILE_BOTS = ['buybot', 'sellbot', 'farmbot', 'mmbot', 'jeetbot', 'orderbot', 'orderbot-watch', 'limitbuy'];
+
+// Gas profile saved in wallets.json (config.gasProfile), '' when bots use their own default
+let savedGasProfile = '';
+
+/**
+ * Load the saved gas profile and preselect it in the status panel
+ */
+async function loadSavedGasProfile() {
+    try {
+        const response = await ipcRenderer.invoke('get-env-config');
+        savedGasProfile = response?.config?.gasProfile || '';
+    } catch (error) {
+        console.warn('⚠️ Could not load the saved gas profile:', error.message);
+    }
+    
+    const select = document.getElementById('gas-profile-select');
+    if (select && !select.value && savedGasProfile) {
+        select.value = savedGasProfile;
+        updateGasProfile();
+    }
+}
+
+// Show the custom gas input when the custom profile is selected
+function updateGasProfile() {
+    const select = document.getElementById('gas-profile-select');
+    const customRow = document.getElementById('gas-profile-custom-row');
+    
+    if (select && customRow) {
+        customRow.style.display = select.value === 'custom' ? 'flex' : 'none';
+    }
+    
+    updateGasPriceStatus();
+}
+
+/**
+ * Add the status panel's gas profile and fee caps to a bot command
+ * GP- is only added when the picked profile differs from the saved one, so "Bot default" and the saved
+ * profile leave the choice to the bot (wallets.json gasProfile, then its own default)
+ * @param {string} botType - Bot type being launched
+ * @param {Array} args - Bot arguments
+ * @returns {Array} Arguments with GP-, MAXFEE- and MAXRUN- (and gas<price> for custom)
+ */
+function appendGasProfileArgs(botType, args) {
+    if (!Array.isArray(args) || !GAS_PROFILE_BOTS.includes(botType)) {
+        return args;
+    }
+    
+    const profile = document.getElementById('gas-profile-select')?.value || '';
+    const result = args.filter(arg => !/^(GP|MAXFEE|MAXRUN)-/i.test(arg));
+    if (profile && profile !== savedGasProfile) {
+        result.push(`GP-${profile}`);
+        
+        if (profile === 'custom' && !result.some(arg => /^gas\d/i.test(arg))) {
+            result.push(`gas${window.getCustomGasPrice() || '0.02'}`);
+        }
+    }
+    
+    const maxFee = parseFloat(document.getElementById('gas-max-fee-per-gas')?.value);
+    if (!isNaN(maxFee) && maxFee > 0) {
+        result.push(`MAXFEE-${maxFee}`);
+    }
+    
+    const maxRunFee = parseFloat(document.getElementById('gas-max-run-fee')?.value);
+    if (!isNaN(maxRunFee) && maxRunFee > 0) {
+        result.push(`MAXRUN-${maxRunFee}`);
+    }
+    
+    return result;
+}
+
 // Dynamic Gas Price Display System
 let gasUpdateInterval = null;
 
@@ -6529,6 +7715,7 @@ let gasUpdateInterval = null;
  * Initialize dynamic gas price display
  */
 function initializeDynamicGasDisplay() {
+    loadSavedGasProfile();
     updateAllGasPriceDisplays();
     
     // DON'T auto-update - only update on demand during transactions
@@ -6540,8 +7727,11 @@ function initializeDynamicGasDisplay() {
  */
 async function updateGasPriceStatus() {
     try {
-        console.log('🔍 [UI-GAS-DEBUG] Requesting gas price from backend...');
-        const gasData = await ipcRenderer.invoke('get-current-gas-price');
+        const profile = window.getGasProfileForBot(currentBot);
+        console.log(`🔍 [UI-GAS-DEBUG] Requesting ${profile} gas price from backend...`);
+        const gasData = profile === 'custom'
+            ? { success: true, data: { totalGasPrice: window.getCustomGasPrice() || '0.02', source: 'Custom' } }
+            : await ipcRenderer.invoke('get-current-gas-price', profile);
         
         console.log('🔍 [UI-GAS-DEBUG] Received gas data:', gasData);
         if (gasData && gasData.success && elements.gasPriceStatus) {
@@ -6549,7 +7739,7 @@ async function updateGasPriceStatus() {
             
             // Use the actual totalGasPrice from the now-fixed backend
             elements.gasPriceStatus.textContent = `${parseFloat(totalGasPrice).toFixed(5)} gwei`;
-            elements.gasPriceStatus.title = `Gas: ${totalGasPrice} gwei (${source || 'Dynamic'})`;
+            elements.gasPriceStatus.title = `Gas: ${totalGasPrice} gwei (${profile} profile, ${source || 'Dynamic'})`;
         } else if (elements.gasPriceStatus) {
             elements.gasPriceStatus.textContent = 'Unavailable';
         }
@@ -6729,7 +7919,7 @@ function getBuyBotArgsMultiTicker(tickers) {
         args.push(...walletSelectors);
     }
     tickers.forEach(ticker => {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
     });
     const finalAmount = amount || '100';
     const processedAmount = finalAmount === 'MAX' ? '99.99%' : finalAmount;
@@ -6775,7 +7965,7 @@ function getSellBotArgsMultiTicker(tickers) {
         args.push(...walletSelectors);
     }
     tickers.forEach(ticker => {
-        args.push(ticker.symbol || ticker.address);
+        args.push(getTokenArg(ticker));
     });
     const finalAmount = amount || '50%';
     const processedAmount = finalAmount === 'MAX' ? '99.99%' : finalAmount;
@@ -7130,26 +8320,15 @@ function handleBidTokenSearchEnter(event) {
  */
 async function performBidTokenSearch(query) {
     try {
-        const response = await fetch('./bid.json');
-        const bidData = await response.json();
-        
-        const results = [];
-        
-        // Search by symbol
-        Object.entries(bidData).forEach(([symbol, data]) => {
-            if (symbol.toLowerCase().includes(query.toLowerCase()) && data.address) {
-                results.push({
-                    symbol: symbol,
-                    address: data.address,
-                    source: 'bid.json'
-                });
-            }
-        });
+        const response = await ipcRenderer.invoke('search-tokens', query, { limit: 10, bidMode: true });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
         
-        displayBidSearchResults(results, query);
+        displayBidSearchResults(response.tokens, query);
         
     } catch (error) {
-        console.error('Error searching bid.json:', error);
+        console.error('Error searching BID tokens:', error);
         showBidSearchStatus('Error searching BID tokens', 'error');
     }
 }
@@ -7961,26 +9140,15 @@ function handleBidTokenSearchEnter(event) {
  */
 async function performBidTokenSearch(query) {
     try {
-        const response = await fetch('./bid.json');
-        const bidData = await response.json();
-        
-        const results = [];
-        
-        // Search by symbol
-        Object.entries(bidData).forEach(([symbol, data]) => {
-            if (symbol.toLowerCase().includes(query.toLowerCase()) && data.address) {
-                results.push({
-                    symbol: symbol,
-                    address: data.address,
-                    source: 'bid.json'
-                });
-            }
-        });
+        const response = await ipcRenderer.invoke('search-tokens', query, { limit: 10, bidMode: true });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
         
-        displayBidSearchResults(results, query);
+        displayBidSearchResults(response.tokens, query);
         
     } catch (error) {
-        console.error('Error searching bid.json:', error);
+        console.error('Error searching BID tokens:', error);
         showBidSearchStatus('Error searching BID tokens', 'error');
     }
 }
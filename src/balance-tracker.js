@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { provider, VIRTUAL_TOKEN_ADDRESS } from './config.js';
+import { pnlTracker } from './bots/services/pnlTracker.js';
 
 // Standard ERC20 ABI for balance checking
 const ERC20_ABI = [
@@ -270,6 +271,55 @@ export function displayBalanceSummary(differences, operationName = 'OPERATION')
   console.log(`💰 ============================================================`);
 }
 
+// Display realised/unrealised PnL for the wallets from the trade ledger (FIFO or average cost)
+export async function displayPnLSummary(wallets, options = {}) {
+  const { method = 'fifo', token = null } = options;
+
+  let pnl;
+  try {
+    pnl = await pnlTracker.getPnL({ wallets: wallets.map(wallet => wallet.address), token }, method);
+  } catch (error) {
+    console.log(`⚠️ PnL unavailable: ${error.message}`);
+    return null;
+  }
+
+  console.log(`\n📈 ==================== PnL SUMMARY (${method.toUpperCase()}) ====================`);
+
+  if (pnl.positions.length === 0) {
+    console.log('   No recorded swaps for these wallets');
+    console.log(`📈 ============================================================`);
+    return pnl;
+  }
+
+  const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(4)}`;
+
+  pnl.positions.forEach(position => {
+    console.log(`\n🤖 ${formatAddress(position.wallet)} • ${position.token} (${position.quote}):`);
+    console.log(`   📦 Holding: ${formatAmount(position.holding)} ${position.token} @ avg ${position.avgCost.toFixed(8)} ${position.quote}`);
+    console.log(`   💸 Cost Basis: ${position.costBasis.toFixed(4)} ${position.quote}`);
+    console.log(`   ✅ Realised PnL: ${signed(position.realisedPnl)} ${position.quote}`);
+    if (position.unrealisedPnl !== null) {
+      console.log(`   📊 Unrealised PnL: ${signed(position.unrealisedPnl)} ${position.quote}${position.currentPrice ? ` (price ${position.currentPrice.toFixed(8)})` : ''}`);
+    } else {
+      console.log(`   📊 Unrealised PnL: n/a (no ${position.quote} price)`);
+    }
+    if (position.untrackedSold > 0) {
+      console.log(`   ⚠️ ${formatAmount(position.untrackedSold)} ${position.token} sold without a recorded buy (excluded from PnL)`);
+    }
+    if (position.unconverted > 0) {
+      console.log(`   ⚠️ ${position.unconverted} swap(s) in a currency with no ${position.quote} rate (excluded from PnL)`);
+    }
+  });
+
+  console.log('\n📊 TOTALS:');
+  Object.entries(pnl.totals).forEach(([quote, total]) => {
+    console.log(`   ${quote}: realised ${signed(total.realisedPnl)} | unrealised ${signed(total.unrealisedPnl)}${total.unpriced > 0 ? ` (${total.unpriced} unpriced)` : ''}`);
+  });
+
+  console.log(`📈 ============================================================`);
+  return pnl;
+}
+
 // Helper function to format address
 export function formatAddress(address) {
   return `${address.slice(0, 6)}...${address.slice(-4)}`;
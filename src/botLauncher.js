@@ -25,6 +25,9 @@ function getBotFileForExecution(botType) {
     'jeetbot': 'jeetbot.mjs',
     'snipebot': 'src/bots/snipe-prebuilt.mjs',
     'mmbot': 'mmbot.mjs',
+    'orderbot': 'orderbot.mjs',
+    'orderbot-watch': 'orderbot.mjs',
+    'limitbuy': 'orderbot.mjs',
     'transferbot': 'transferbot.mjs',
     'stargate': 'stargate.mjs',
     'contactbot': 'contactbot.mjs',
@@ -54,6 +57,9 @@ function getNpmScriptForBot(botType) {
     'jeetbot': 'jeetbot',
     'snipebot': 'sniperbot',
     'mmbot': 'mmbot',
+    'orderbot': 'orderbot',
+    'orderbot-watch': 'orderbot',
+    'limitbuy': 'orderbot',
     'transferbot': 'transferbot',
     'stargate': 'stargate',
     'contactbot': 'contactbot',
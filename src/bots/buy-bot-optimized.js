@@ -9,6 +9,11 @@ import { log, sleep, getRandomInt } from '../utils.js';
 import { CLIInterface } from './services/cliInterface.js';
 import { CONTRACTS, ABIS, DEFAULT_SETTINGS } from './config/constants.js';
 import { gasPriceService } from '../providers/gasPriceService.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { dryRun } from '../providers/dryRun.js';
+import { bestExecution } from './services/bestExecution.js';
+import { swapRouter } from './services/swapRouter.js';
+import { priceImpactGuard } from './services/priceImpactGuard.js';
 
 /**
  * BuyBot - Executes buy operations for tokens
@@ -62,6 +67,20 @@ export class BuyBot {
     return this.inputTokenAddress;
   }
 
+  /**
+   * Get the TRUSTSWAP quote path matching the swap executed by executeBuy
+   * @returns {Array<string>} Quote path [tokenIn, tokenOut]
+   */
+  getQuotePath() {
+    // ETH and VIRTUAL inputs both execute swapVirtualWithFee (VIRTUAL → token)
+    if (this.isETHSwap() || this.inputTokenAddress.toLowerCase() === CONTRACTS.VIRTUAL.toLowerCase()) {
+      return [CONTRACTS.VIRTUAL, this.tokenInfo.address];
+    }
+    
+    // Other inputs execute swapForVirtualWithFee (token → VIRTUAL)
+    return [this.inputTokenAddress, CONTRACTS.VIRTUAL];
+  }
+
   /**
    * Check if this is an ETH swap
    * @returns {boolean} True if ETH swap
@@ -93,9 +112,10 @@ export class BuyBot {
    * Check and approve input token spending (skip for ETH)
    * @param {Object} wallet - Wallet instance
    * @param {number} amount - Amount to approve
+   * @param {string} spender - Contract the swap is sent to (TRUSTSWAP or the Uniswap V2 router)
    * @returns {boolean} True if approval was needed and executed
    */
-  async checkAndApproveInput(wallet, amount) {
+  async checkAndApproveInput(wallet, amount, spender = CONTRACTS.TRUSTSWAP) {
     // Skip approval for ETH
     if (this.isETHSwap()) {
       return false;
@@ -109,13 +129,14 @@ export class BuyBot {
       wallet
     );
 
-    const currentAllowance = await inputContract.allowance(wallet.address, CONTRACTS.TRUSTSWAP);
+    const currentAllowance = await inputContract.allowance(wallet.address, spender);
+    const spenderName = spender === CONTRACTS.TRUSTSWAP ? 'TRUSTSWAP' : 'Uniswap V2 router';
     // SURGICAL FIX: Truncate amount to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
     const truncatedAmount = parseFloat(amount.toFixed(12)).toString();
     const amountWei = ethers.parseUnits(truncatedAmount, inputDecimals);
 
     if (currentAllowance < amountWei) {
-      console.log(`   🔓 Approving UNLIMITED ${this.inputTokenSymbol} for TRUSTSWAP (${wallet.address.slice(0, 8)})...`);
+      console.log(`   🔓 Approving UNLIMITED ${this.inputTokenSymbol} for ${spenderName} (${wallet.address.slice(0, 8)})...`);
       
       // Use replacement fee handler for approval transaction
       await executeTransactionWithReplacementFee(
@@ -123,15 +144,17 @@ export class BuyBot {
           const walletWithProvider = wallet.connect(currentProvider);
           const contractWithProvider = inputContract.connect(walletWithProvider);
           
-          return await contractWithProvider.approve(CONTRACTS.TRUSTSWAP, ethers.MaxUint256, {
+          return await contractWithProvider.approve(spender, ethers.MaxUint256, {
             maxFeePerGas: gasParams.maxFeePerGas,
             maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
             gasLimit: 200000n
           });
-        }
+        },
+        { wallet, label: 'approve' }
       );
       
-      console.log(`   ✅ ${this.inputTokenSymbol} UNLIMITED TRUSTSWAP approval confirmed`);
+      console.log(`   ✅ ${this.inputTokenSymbol} UNLIMITED ${spenderName} approval confirmed`);
       return true;
     }
     return false;
@@ -221,14 +244,35 @@ export class BuyBot {
     };
   }
 
+  /**
+   * Execute a buy, split into chunks or refused when its price impact is above the configured maximum
+   * @param {Object} wallet - Wallet instance
+   * @param {number} inputAmount - Input amount
+   * @param {number|null} slippage - Slippage percentage (null uses S-<bps> or wallets.json default)
+   * @returns {Object} Transaction result (summed over chunks when split)
+   */
+  async executeBuy(wallet, inputAmount, slippage = null) {
+    // The input amount enters the input/VIRTUAL pool, or VIRTUAL/token for VIRTUAL and ETH buys
+    // (ETH is measured at the VIRTUAL it converts to)
+    const [tokenIn, tokenOut] = this.getQuotePath();
+    const via = this.isETHSwap() ? [CONTRACTS.WETH, CONTRACTS.VIRTUAL] : null;
+    return await priceImpactGuard.execute(
+      inputAmount,
+      { tokenIn, tokenOut, via, decimalsIn: 18, symbolIn: this.inputTokenSymbol },
+      amount => this.executeBuyOrder(wallet, amount, slippage),
+      ['inputSpent', 'tokensReceived', 'expectedTokens']
+    );
+  }
+
   /**
    * Execute single buy transaction
    * @param {Object} wallet - Wallet instance
    * @param {number} inputAmount - Input amount
-   * @param {number} slippage - Slippage percentage
+   * @param {number|null} slippage - Slippage percentage (null uses S-<bps> or wallets.json default)
    * @returns {Object} Transaction result
+   * @private
    */
-  async executeBuy(wallet, inputAmount, slippage) {
+  async executeBuyOrder(wallet, inputAmount, slippage = null) {
     try {
       // Check input token balance
       const balance = await this.getInputBalance(wallet);
@@ -251,24 +295,42 @@ export class BuyBot {
       );
       const tokenBalanceBefore = await tokenContract.balanceOf(wallet.address);
 
+      const inputDecimals = this.isETHSwap() ? 18 : 18;
+      // SURGICAL FIX: Truncate to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
+      const truncatedInputAmount = parseFloat(inputAmount.toFixed(12)).toString();
+      const amountInWei = ethers.parseUnits(truncatedInputAmount, inputDecimals);
+
+      // Quote TRUSTSWAP and the direct V2 route before approval; the better one is used as reference
+      // (ETH input keeps TRUSTSWAP: no approval is made for the VIRTUAL it spends)
+      const quotePath = this.getQuotePath();
+      const outputIsVirtual = quotePath[1] === CONTRACTS.VIRTUAL;
+      const slippageBps = slippageGuard.getSlippageBps(slippage !== null ? Math.round(slippage * 100) : null);
+      const execution = await bestExecution.select(amountInWei, quotePath, {
+        decimalsOut: outputIsVirtual ? 18 : this.tokenInfo.decimals,
+        symbolOut: outputIsVirtual ? 'VIRTUAL' : this.tokenInfo.symbol,
+        allowDirect: !this.isETHSwap()
+      });
+
       // Check and approve if needed (skip for ETH)
-      await this.checkAndApproveInput(wallet, inputAmount);
+      await this.checkAndApproveInput(wallet, inputAmount, execution.spender);
 
-      // Calculate minimum amount out
-      const { expectedOut, minAmountOut, minAmountOutFormatted } = await this.calculateAmountOut(inputAmount, slippage);
+      console.log(`   💰 Buying ${this.tokenInfo.symbol} with ${inputAmount} ${this.inputTokenSymbol} (${execution.label})`);
+
+      // Re-quote right before signing and derive minimum amount out
+      const protection = await slippageGuard.protect(amountInWei, quotePath, {
+        ...execution.quoteOptions,
+        referenceQuote: execution.referenceQuote,
+        slippageBps,
+        decimalsOut: outputIsVirtual ? 18 : this.tokenInfo.decimals,
+        symbolOut: outputIsVirtual ? 'VIRTUAL' : this.tokenInfo.symbol
+      });
+      const minAmountOut = protection.minAmountOut;
 
       // Prepare TRUSTSWAP swap
       const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, ABIS.TRUSTSWAP, wallet);
       const deadline = Math.floor(Date.now() / 1000) + DEFAULT_SETTINGS.TRANSACTION_DEADLINE;
-      const inputDecimals = this.isETHSwap() ? 18 : 18;
-      // SURGICAL FIX: Truncate to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
-      const truncatedInputAmount = parseFloat(inputAmount.toFixed(12)).toString();
-      const amountInWei = ethers.parseUnits(truncatedInputAmount, inputDecimals);
 
-      console.log(`   💰 Buying ${this.tokenInfo.symbol} with ${inputAmount} ${this.inputTokenSymbol} (TRUSTSWAP)`);
-      console.log(`   📈 Expected: ~${expectedOut.toFixed(4)} ${this.tokenInfo.symbol}`);
-      console.log(`   🛡️ Min out: ${minAmountOutFormatted.toFixed(4)} ${this.tokenInfo.symbol} (${slippage}% slippage)`);
-      console.log(`   💱 Method: TRUSTSWAP contract (0.25% fee)`);
+      console.log(`   💱 Method: ${execution.direct ? 'Uniswap V2 router (no platform fee)' : 'TRUSTSWAP contract (0.25% fee)'}`);
 
       // Execute swap with replacement fee handler
       const swapResult = await executeTransactionWithReplacementFee(
@@ -283,6 +345,7 @@ export class BuyBot {
             gasOptions = {
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: DEFAULT_SETTINGS.DEFAULT_GAS_LIMIT
             };
             
@@ -314,7 +377,14 @@ export class BuyBot {
           
           let swapTx;
           
-          if (this.isETHSwap()) {
+          if (execution.direct) {
+            // Same path as the quote, straight through the Uniswap V2 router
+            swapTx = await swapRouter.swap(walletWithProvider, quotePath, {
+              amountIn: amountInWei,
+              minAmountOut,
+              deadline
+            }, gasOptions);
+          } else if (this.isETHSwap()) {
             // ETH → Token using TRUSTSWAP (ETH → WETH → VIRTUAL → Token) 
             // For BuyBot, we assume input is always VIRTUAL, so this should use swapVirtualWithFee
             swapTx = await trustSwapWithProvider.swapVirtualWithFee(
@@ -348,18 +418,19 @@ export class BuyBot {
             }
           }
 
-          console.log(`   📝 TRUSTSWAP Transaction: ${swapTx.hash}`);
+          console.log(`   📝 ${execution.direct ? 'Uniswap V2' : 'TRUSTSWAP'} Transaction: ${swapTx.hash}`);
           
           return swapTx;
-        }
+        },
+        { wallet, label: 'buy' }
       );
 
       // Get token balance AFTER transaction to calculate actual tokens received
       const tokenBalanceAfter = await tokenContract.balanceOf(wallet.address);
-      const tokensReceived = parseFloat(ethers.formatUnits(
+      const tokensReceived = dryRun.receivedAmount(parseFloat(ethers.formatUnits(
         tokenBalanceAfter - tokenBalanceBefore, 
         this.tokenInfo.decimals
-      ));
+      )), protection.quotedOut);
 
       console.log(`   🎯 Actual tokens received: ${tokensReceived.toFixed(6)} ${this.tokenInfo.symbol}`);
 
@@ -368,8 +439,11 @@ export class BuyBot {
         wallet: wallet.address.slice(0, 8),
         inputSpent: inputAmount,
         inputSymbol: this.inputTokenSymbol,
-        expectedTokens: expectedOut,
+        expectedTokens: protection.quotedOut,
         tokensReceived: tokensReceived, // Now returning actual received amount
+        venue: execution.venue,
+        venueSavings: execution.savings,
+        slippageProtection: protection,
         txHash: swapResult.hash,
         gasUsed: swapResult.receipt.gasUsed.toString()
       };
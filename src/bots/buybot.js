@@ -11,6 +11,12 @@ import { CommandParser } from './services/commandParser.js';
 import { TokenResolver } from './services/tokenResolver.js';
 import { TransactionTracker } from './services/transactionTracker.js';
 import { ExecutionManager } from './services/executionManager.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { bestExecution } from './services/bestExecution.js';
+import { tokenSafety } from './services/tokenSafety.js';
+import { gasPriceService } from '../providers/gasPriceService.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
 import { EXECUTION_MODES } from './config/constants.js';
 import { provider } from '../config.js';
 
@@ -262,6 +268,29 @@ async function main(args) {
     // Validate the command
     CommandParser.validateCommand(parsedCommand);
     
+    // Apply S-<bps> slippage override (falls back to wallets.json slippageBasisPoints)
+    slippageGuard.setSlippageBps(parsedCommand.slippageBps);
+    
+    // Apply VENUE- override (default compares TRUSTSWAP and the direct V2 route per trade)
+    bestExecution.setForcedVenue(parsedCommand.forcedVenue);
+    
+    // Apply MAXRISK-<score> / FORCE to the pre-trade token safety check
+    tokenSafety.configure({ maxRiskScore: parsedCommand.maxRiskScore, force: parsedCommand.force });
+    
+    // Select the gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-) for this run
+    gasPriceService.configure({
+      profile: parsedCommand.gasProfile,
+      customGasPrice: parsedCommand.customGasPrice,
+      maxFeePerGasGwei: parsedCommand.maxFeePerGasGwei,
+      maxRunFeeEth: parsedCommand.maxRunFeeEth
+    });
+    
+    // DRY-RUN: simulate every write (eth_call or local fork) instead of broadcasting
+    if (parsedCommand.dryRun) {
+      dryRun.enable();
+      parsedCommand.selectedWallets = dryRun.connectWallets(parsedCommand.selectedWallets);
+    }
+    
     // Initialize services
     const tokenResolver = new TokenResolver(alchemy, parsedCommand.bidMode);
     const tracker = new TransactionTracker();
@@ -344,6 +373,8 @@ async function main(args) {
     
     // Display transaction summary
     tracker.displaySummary({ detailed: true });
+    dryRun.displaySummary();
+    revertDecoder.displaySummary();
     
     const totalTransactions = results.length;
     const successfulTransactions = results.filter(r => 
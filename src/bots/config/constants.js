@@ -7,7 +7,14 @@ export const CONTRACTS = {
   VIRTUAL: '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b',
   TRUSTSWAP: '0x74fa2835311Da3118BF2971Fa11E8070e4ff1693',
   UNISWAP_V2_ROUTER: '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24',
+  UNISWAP_V2_FACTORY: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
   WETH: '0x4200000000000000000000000000000000000006',
+  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  UNISWAP_V3_FACTORY: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+  UNISWAP_V3_QUOTER: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+  UNISWAP_V3_ROUTER: '0x2626664c2603336E57B271c5C0b26F421741e481',
+  AERODROME_FACTORY: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
+  AERODROME_ROUTER: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43',
   ETH_VIRTUAL_POOL: '0xE31c372a7Af875b3B5E0F3713B17ef51556da667'
 };
 
@@ -27,7 +34,55 @@ export const ABIS = {
   
   UNISWAP_V2: [
     "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
-    "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)"
+    "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)",
+    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
+    "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
+    "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
+  ],
+  
+  UNISWAP_V2_FACTORY: [
+    "function getPair(address tokenA, address tokenB) external view returns (address pair)"
+  ],
+  
+  UNISWAP_V2_PAIR: [
+    "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    "function token0() external view returns (address)"
+  ],
+  
+  UNISWAP_V3_FACTORY: [
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+  ],
+  
+  UNISWAP_V3_POOL: [
+    "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+    "function liquidity() external view returns (uint128)"
+  ],
+  
+  // QuoterV2 functions are non-view (they revert internally), call them with staticCall
+  UNISWAP_V3_QUOTER: [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+  ],
+  
+  // SwapRouter02 (no deadline in the swap struct, wrap calls in multicall(deadline, data))
+  UNISWAP_V3_ROUTER: [
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) external payable",
+    "function multicall(uint256 deadline, bytes[] data) external payable returns (bytes[] memory results)"
+  ],
+  
+  AERODROME_FACTORY: [
+    "function getPool(address tokenA, address tokenB, bool stable) external view returns (address pool)"
+  ],
+  
+  AERODROME_POOL: [
+    "function getReserves() external view returns (uint256 reserve0, uint256 reserve1, uint256 blockTimestampLast)"
+  ],
+  
+  AERODROME_ROUTER: [
+    "function getAmountsOut(uint256 amountIn, (address from, address to, bool stable, address factory)[] routes) external view returns (uint256[] memory amounts)",
+    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) external payable",
+    "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) external",
+    "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) external"
   ],
   
   WETH: [
@@ -42,6 +97,13 @@ export const ABIS = {
     'function decimals() view returns (uint8)',
     'function symbol() view returns (string)',
     'function name() view returns (string)'
+  ],
+
+  // Custom errors a swap can revert with (Error(string) and Panic(uint256) are decoded by ethers)
+  SWAP_ERRORS: [
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error SafeERC20FailedOperation(address token)"
   ]
 };
 
@@ -21,24 +21,6 @@ export const GENESIS_ABI = [
   'function claimAgentToken(address userAddress) external'
 ];
 
-// Blacklisted tokens configuration
-export const BLACKLISTED_TOKENS = {
-  addresses: [
-    '0x4200000000000000000000000000000000000042', // OP token on Base
-    '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca', // USDbC on Base
-    '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', // USDC on Base
-    '0x4ed4e862860bed51a9570b96d89af5e1b0efefed', // DEGEN token on Base
-    '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', // DAI on Base
-  ].map(addr => addr.toLowerCase()), // Store in lowercase for easy comparison
-  tickers: [
-    'OP',      // Optimism token
-    'USDbC',   // USD Base Coin
-    'USDC',    // USD Coin  
-    'DEGEN',   // Degen token
-    'DAI',     // DAI stablecoin
-  ].map(ticker => ticker.toUpperCase()) // Store in uppercase for easy comparison
-};
-
 // Mode constants
 export const MODES = {
   JEET: 'JEET',
@@ -202,6 +202,14 @@ export class FarmBot {
         this.settings.GAS_PRICE = parsedCommand.customGasPrice;
       }
       
+      // Select the gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-) for this run
+      gasPriceService.configure({
+        profile: parsedCommand.gasProfile,
+        customGasPrice: parsedCommand.customGasPrice,
+        maxFeePerGasGwei: parsedCommand.maxFeePerGasGwei,
+        maxRunFeeEth: parsedCommand.maxRunFeeEth
+      });
+      
       // Resolve token information
       console.log(`\n🔍 Resolving token: ${parsedCommand.tokenInput}...`);
       const tokenInfo = await this.tokenResolver.getTokenInfo(parsedCommand.tokenInput);
@@ -267,6 +275,14 @@ export class FarmBot {
       this.settings.GAS_PRICE = parsedCommand.customGasPrice;
     }
     
+    // Select the gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-) for this run
+    gasPriceService.configure({
+      profile: parsedCommand.gasProfile,
+      customGasPrice: parsedCommand.customGasPrice,
+      maxFeePerGasGwei: parsedCommand.maxFeePerGasGwei,
+      maxRunFeeEth: parsedCommand.maxRunFeeEth
+    });
+    
     // Resolve token information
     console.log(`\n🔍 Resolving token: ${parsedCommand.tokenInput}...`);
     const tokenInfo = await this.tokenResolver.getTokenInfo(parsedCommand.tokenInput);
@@ -24,11 +24,17 @@ import { TokenBlacklist } from './services/tokenBlacklist.js';
 import { RebuyManager } from './services/rebuyManager.js';
 import { ApprovalManager } from './services/approvalManager.js';
 import { JeetSwapExecutor } from './services/jeetSwapExecutor.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { ArgumentParser } from '../parsing/index.js';
+import { WalletGroups } from '../wallets/groups.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
 import { sleep, logWithTimestamp } from '../utils/index.js';
 import { 
   takeBalanceSnapshot, 
   calculateBalanceDifferences, 
-  displayBalanceSummary 
+  displayBalanceSummary,
+  displayPnLSummary
 } from '../balance-tracker.js';
 
 // Minimum balance settings for all modes
@@ -179,6 +185,18 @@ export class JeetBot {
     
     // Update config with parsed arguments
     Object.assign(this.config, parsedArgs);
+    slippageGuard.setSlippageBps(parsedArgs.slippageBps);
+    // JeetBot races other sellers, so it defaults to the turbo gas profile
+    gasPriceService.configure({
+      profile: parsedArgs.gasProfile,
+      customGasPrice: parsedArgs.customGasPrice,
+      maxFeePerGasGwei: parsedArgs.maxFeePerGasGwei,
+      maxRunFeeEth: parsedArgs.maxRunFeeEth,
+      defaultProfile: 'turbo'
+    });
+    if (parsedArgs.dryRun) {
+      dryRun.enable();
+    }
     
     // Step 1.5: Resolve Genesis Contract Address for GENESIS_TICKER input type
     if (this.config.INPUT_TYPE === 'GENESIS_TICKER') {
@@ -266,6 +284,9 @@ export class JeetBot {
       return false;
     }
     
+    // DRY-RUN: reconnect selected wallets so every write is simulated
+    this.wallets = dryRun.connectWallets(this.wallets);
+    
     // Step 5: Check WebSocket Providers Status
     const wsValidation = this.validateWebSocketProviders();
     if (!wsValidation.valid) {
@@ -301,6 +322,12 @@ export class JeetBot {
     const result = {
       valid: true,
       delayMinutes: 0,
+      slippageBps: null,
+      dryRun: false,
+      customGasPrice: null,
+      gasProfile: null,
+      maxFeePerGasGwei: null,
+      maxRunFeeEth: null,
       REBUY_MODE: false,
       REBUY_PERCENTAGE: null,
       REBUY_INTERVAL_MINUTES: null,
@@ -316,9 +343,30 @@ export class JeetBot {
     
     console.log(`🔍 DEBUG: Starting command parsing...`);
     
-    // Parse D- delay argument
-    for (const arg of args) {
-      if (arg.startsWith('D-') || arg.startsWith('d-')) {
+    // Expand G:group / T:tag selectors into B selectors
+    try {
+      args = WalletGroups.expandSelectors(args);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+    
+    // Parse gas price (gas0.06), gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-)
+    let afterGasArgs;
+    try {
+      const { customGasPrice, remainingArgs: afterGasPrice } = ArgumentParser.parseGasPrice(args);
+      const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs } = ArgumentParser.parseGasProfile(afterGasPrice);
+      Object.assign(result, { customGasPrice, gasProfile, maxFeePerGasGwei, maxRunFeeEth });
+      afterGasArgs = remainingArgs;
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+    
+    // Parse D- delay, S- slippage and DRY-RUN arguments
+    for (const arg of afterGasArgs) {
+      if (arg.toUpperCase() === 'DRY-RUN' || arg.toUpperCase() === 'DRYRUN') {
+        result.dryRun = true;
+        console.log(`🧪 DRY-RUN detected: swaps will be simulated, nothing will be broadcast`);
+      } else if (arg.startsWith('D-') || arg.startsWith('d-')) {
         const delayValue = parseFloat(arg.substring(2));
         if (!isNaN(delayValue) && delayValue > 0) {
           result.delayMinutes = delayValue;
@@ -326,6 +374,14 @@ export class JeetBot {
         } else {
           return { valid: false, error: 'Invalid delay format. Use D-X where X is minutes (e.g., D-55)' };
         }
+      } else if (/^S-\d+$/i.test(arg)) {
+        const slippageBps = parseInt(arg.substring(2));
+        if (slippageBps >= 1 && slippageBps <= 9999) {
+          result.slippageBps = slippageBps;
+          console.log(`🛡️ S-${slippageBps} slippage detected: ${(slippageBps / 100).toFixed(2)}% below quote`);
+        } else {
+          return { valid: false, error: 'Invalid slippage format. Use S-X where X is basis points 1-9999 (e.g., S-300 for 3%)' };
+        }
       } else {
         filteredArgs.push(arg);
       }
@@ -715,8 +771,8 @@ export class JeetBot {
     console.log('=======================================');
     console.log('');
     console.log('📋 FORMAT:');
-    console.log('  jeetbot <wallets> <input> [mode] [D-delay]');
-    console.log('  jeetbot <wallets> <input> JEET REBUY <n%> <I-minutes> [D-delay]');
+    console.log('  jeetbot <wallets> <input> [mode] [D-delay] [S-bps] [GP-profile] [DRY-RUN]');
+    console.log('  jeetbot <wallets> <input> JEET REBUY <n%> <I-minutes> [D-delay] [S-bps] [GP-profile] [DRY-RUN]');
     console.log('');
     console.log('👛 WALLET SELECTORS:');
     console.log('  • Single wallet: B1, B2, B3, etc.');
@@ -753,6 +809,21 @@ export class JeetBot {
     console.log('  • Format: D-X (X = minutes to delay before starting)');
     console.log('  • Example: D-30 (wait 30 minutes before starting)');
     console.log('');
+    console.log('🛡️ SLIPPAGE:');
+    console.log('  • Format: S-X (X = basis points below the pre-sign quote)');
+    console.log('  • Example: S-300 (accept at most 3% less VIRTUAL than quoted)');
+    console.log('  • Default: 25% for JeetBot sells');
+    console.log('');
+    console.log('⛽ GAS PROFILE:');
+    console.log('  • GP-economy / GP-normal / GP-turbo - Fee-history based gas (default: turbo)');
+    console.log('  • GP-custom gas0.06 - Fixed 0.06 gwei max fee');
+    console.log('  • MAXFEE-0.5 - Never pay more than 0.5 gwei per gas');
+    console.log('  • MAXRUN-0.002 - Stop selling once this run has spent 0.002 ETH on gas');
+    console.log('');
+    console.log('🧪 DRY-RUN:');
+    console.log('  • DRY-RUN - Simulate sells/rebuys with eth_call/estimateGas, nothing is broadcast');
+    console.log('  • Set dryRunForkUrl in wallets.json to run against an Anvil/Hardhat fork instead');
+    console.log('');
     console.log('📝 EXAMPLES:');
     console.log('  jeetbot B1 0x1234...abcd JEET                    (Genesis contract)');
     console.log('  jeetbot B1 GENESIS-0x1234...abcd JEET           (Explicit genesis)');
@@ -941,7 +1012,7 @@ export class JeetBot {
                           this.config.INPUT_TYPE === 'GENESIS_TICKER' ? this.config.GENESIS_TICKER_SYMBOL : null;
       if (TokenBlacklist.isTokenBlacklisted(detectedCA, inputTicker)) {
         console.log('\n🚫 ==================== BLACKLISTED TOKEN DETECTED ====================');
-        console.log('❌ OPERATION BLOCKED: This token is on the HARDCODED BLACKLIST');
+        console.log(`❌ OPERATION BLOCKED: ${TokenBlacklist.getBlacklistStatus(detectedCA, inputTicker).reason}`);
         console.log('🛑 JEETBOT WILL NOT SELL BLACKLISTED TOKENS FOR SAFETY');
         throw new Error('Token is blacklisted and cannot be sold via JEETBOT');
       }
@@ -1078,6 +1149,7 @@ export class JeetBot {
         const afterSnapshot = await takeBalanceSnapshot(this.wallets, [VIRTUAL_TOKEN_ADDRESS]);
         const differences = calculateBalanceDifferences(this.beforeSnapshot, afterSnapshot);
         displayBalanceSummary(differences, 'JEET BOT FINAL RESULTS');
+        await displayPnLSummary(this.wallets, { token: this.tokenInfo?.address });
       } catch (error) {
         console.log(`⚠️ Could not generate final balance summary: ${error.message}`);
       }
@@ -1118,6 +1190,8 @@ export class JeetBot {
       if (this.config.MODE === 'JEET') {
         await this.showFinalSummary();
       }
+      dryRun.displaySummary();
+      revertDecoder.displaySummary();
       
     } catch (error) {
       console.error('❌ JEET Bot error:', error);
@@ -1175,7 +1249,7 @@ export class JeetBot {
                           this.config.INPUT_TYPE === 'GENESIS_TICKER' ? this.config.GENESIS_TICKER_SYMBOL : null;
       if (TokenBlacklist.isTokenBlacklisted(detectedCA, inputTicker)) {
         console.log('\n🚫 ==================== BLACKLISTED TOKEN DETECTED ====================');
-        console.log('❌ OPERATION BLOCKED: This token is on the HARDCODED BLACKLIST');
+        console.log(`❌ OPERATION BLOCKED: ${TokenBlacklist.getBlacklistStatus(detectedCA, inputTicker).reason}`);
         console.log('🛑 ONLYREBUY WILL NOT BUY BLACKLISTED TOKENS FOR SAFETY');
         throw new Error('Token is blacklisted and cannot be bought via ONLYREBUY');
       }
@@ -1219,15 +1293,12 @@ export class JeetBot {
   }
 
   /**
-   * Get gas price with 1x multiplier + 50% priority (INSTANT speed)
+   * Get gas price from the selected gas profile (turbo unless GP- says otherwise)
    */
   async getGasPrice() {
     try {
-      // Use JeetBot-specific gas pricing (1x multiplier + 50% priority)
-      const gasPrice = await gasPriceService.getJeetBotGasPrice();
-      const gasPriceData = await gasPriceService.getCurrentGasPriceWithMultiplier(1);
-      
-      console.log(`⛽ JeetBot Dynamic Gas: ${gasPriceData.baseGasPrice} gwei × 1 = ${gasPriceData.gasPrice} gwei + ${gasPriceData.priorityFee} gwei (50% priority) = ${gasPriceData.totalGasFee} gwei`);
+      const gasPrice = await gasPriceService.getLegacyGasPrice();
+      console.log(`⛽ JeetBot ${gasPriceService.profile} gas: ${ethers.formatUnits(gasPrice, 'gwei')} gwei`);
       
       return gasPrice;
     } catch (error) {
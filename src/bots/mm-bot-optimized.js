@@ -12,6 +12,12 @@ import { CONTRACTS, ABIS } from './config/constants.js';
 import { log, sleep } from '../utils.js';
 import { executeTransactionWithReplacementFee } from '../config.js';
 import { gasPriceService } from '../providers/gasPriceService.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
+import { TransactionExecutor } from '../providers/transactionExecutor.js';
+import { bestExecution } from './services/bestExecution.js';
+import { swapRouter } from './services/swapRouter.js';
 
 /**
  * Optimized MMBot class
@@ -48,7 +54,7 @@ export class MMBot {
    * @param {number} amount - Amount to approve
    * @returns {boolean} True if approval was needed and completed
    */
-  async checkAndApproveToken(wallet, amount) {
+  async checkAndApproveToken(wallet, amount, spender = CONTRACTS.TRUSTSWAP) {
     try {
       const tokenContract = new ethers.Contract(
         this.tokenInfo.address,
@@ -56,11 +62,12 @@ export class MMBot {
         wallet
       );
 
-      const currentAllowance = await tokenContract.allowance(wallet.address, CONTRACTS.TRUSTSWAP);
+      const currentAllowance = await tokenContract.allowance(wallet.address, spender);
       const amountWei = ethers.parseUnits(amount.toString(), this.tokenInfo.decimals);
+      const spenderName = spender === CONTRACTS.TRUSTSWAP ? 'TRUSTSWAP' : 'Uniswap V2 router';
 
       if (currentAllowance < amountWei) {
-        console.log(`   🔓 Approving UNLIMITED ${this.tokenInfo.symbol} for TRUSTSWAP (${wallet.address.slice(0, 8)})...`);
+        console.log(`   🔓 Approving UNLIMITED ${this.tokenInfo.symbol} for ${spenderName} (${wallet.address.slice(0, 8)})...`);
         
         // Use replacement fee handler for approval transaction
         await executeTransactionWithReplacementFee(
@@ -68,15 +75,17 @@ export class MMBot {
             const walletWithProvider = wallet.connect(currentProvider);
             const contractWithProvider = tokenContract.connect(walletWithProvider);
             
-            return await contractWithProvider.approve(CONTRACTS.TRUSTSWAP, ethers.MaxUint256, {
+            return await contractWithProvider.approve(spender, ethers.MaxUint256, {
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: 200000n
             });
-          }
+          },
+          { wallet, label: 'approve' }
         );
         
-        console.log(`   ✅ ${this.tokenInfo.symbol} UNLIMITED TRUSTSWAP approval confirmed`);
+        console.log(`   ✅ ${this.tokenInfo.symbol} UNLIMITED ${spenderName} approval confirmed`);
         return true;
       }
       return false;
@@ -266,7 +275,9 @@ export class MMBot {
           console.log(`   ✅ Wallet ${i + 1}: Buy successful - ${result.txHash}`);
           this.tracker.trackBuy(wallet.address, amount.virtualAmount, result.tokensReceived, {
             txHash: result.txHash,
-            blockNumber: result.blockNumber
+            blockNumber: result.blockNumber,
+            tokenSymbol: this.tokenInfo.symbol,
+            tokenAddress: this.tokenInfo.address
           });
         } else {
           this.tracker.trackFailure(wallet.address, 'buy', result.error);
@@ -371,7 +382,9 @@ export class MMBot {
           console.log(`   ✅ Wallet ${i + 1}: Sell successful - ${result.txHash}`);
           this.tracker.trackSell(wallet.address, sellAmount, result.virtualReceived, {
             txHash: result.txHash,
-            blockNumber: result.blockNumber
+            blockNumber: result.blockNumber,
+            tokenSymbol: this.tokenInfo.symbol,
+            tokenAddress: this.tokenInfo.address
           });
         } else {
           this.tracker.trackFailure(wallet.address, 'sell', result.error);
@@ -404,9 +417,6 @@ export class MMBot {
         throw new Error(`Invalid token amount: ${tokenAmount}`);
       }
       
-      // Check and approve token spending BEFORE executing swap
-      await this.checkAndApproveToken(wallet, tokenAmount);
-      
     const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, [
       'function swapForVirtualWithFee(address tokenIn, uint256 amountIn, uint256 amountOutMin, uint256 deadline) external returns (uint256[] memory)'
     ], wallet);
@@ -423,7 +433,12 @@ export class MMBot {
         throw new Error(`Invalid token amount after parsing: ${tokenAmountWei.toString()}`);
       }
       
-      console.log(`     💱 Selling ${tokenAmountStr} tokens (${tokenAmountWei.toString()} wei)`);
+      // Pick TRUSTSWAP or the direct V2 route, then approve that venue BEFORE executing swap
+      const quotePath = [this.tokenInfo.address, this.virtualCA];
+      const execution = await bestExecution.select(tokenAmountWei, quotePath, { symbolOut: 'VIRTUAL' });
+      await this.checkAndApproveToken(wallet, tokenAmount, execution.spender);
+      
+      console.log(`     💱 Selling ${tokenAmountStr} tokens (${tokenAmountWei.toString()} wei) via ${execution.label}`);
     
     // Get VIRTUAL balance before
     const virtualContract = new ethers.Contract(this.virtualCA, [
@@ -431,14 +446,29 @@ export class MMBot {
     ], wallet);
     const virtualBefore = await virtualContract.balanceOf(wallet.address);
     
-    const tx = await trustSwap.swapForVirtualWithFee(
-      this.tokenInfo.address,
-      tokenAmountWei,
-      0, // Accept any amount
-      deadline
-    );
+    // Quote right before signing (same 15% default as MM buys unless S- is given)
+    const protection = await slippageGuard.protect(tokenAmountWei, quotePath, {
+      ...execution.quoteOptions,
+      referenceQuote: execution.referenceQuote,
+      slippageBps: slippageGuard.getSlippageBps(1500),
+      symbolOut: 'VIRTUAL'
+    });
+    
+    const tx = execution.direct
+      ? await swapRouter.swap(wallet, quotePath, {
+        amountIn: tokenAmountWei,
+        minAmountOut: protection.minAmountOut,
+        deadline
+      })
+      : await trustSwap.swapForVirtualWithFee(
+        this.tokenInfo.address,
+        tokenAmountWei,
+        protection.minAmountOut,
+        deadline
+      );
     
     const receipt = await tx.wait();
+    TransactionExecutor.recordConfirmed(tx, receipt);
       
       // Check if transaction was successful
       if (receipt.status === 0) {
@@ -447,13 +477,15 @@ export class MMBot {
     
     // Get VIRTUAL balance after
     const virtualAfter = await virtualContract.balanceOf(wallet.address);
-    const virtualReceived = parseFloat(ethers.formatUnits(virtualAfter - virtualBefore, 18));
+    const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatUnits(virtualAfter - virtualBefore, 18)), protection.quotedOut);
     
     return {
       success: true,
       txHash: tx.hash,
       blockNumber: receipt.blockNumber,
-      virtualReceived
+      virtualReceived,
+      venue: execution.venue,
+      slippageProtection: protection
     };
     } catch (error) {
       console.log(`     ❌ Sell direct error: ${error.message}`);
@@ -636,6 +668,8 @@ export class MMBot {
     
     // Display final summary
     this.tracker.displaySummary();
+    dryRun.displaySummary();
+    revertDecoder.displaySummary();
     console.log('\n🏁 Market making completed!');
   }
   
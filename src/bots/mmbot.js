@@ -13,6 +13,12 @@ import { provider } from '../config/index.js';
 import { MMTracker } from './services/mmTracker.js';
 import { PriceMonitor } from './services/priceMonitor.js';
 import { SwapExecutor } from './services/swapExecutor.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { bestExecution } from './services/bestExecution.js';
+import { tokenSafety } from './services/tokenSafety.js';
+import { gasPriceService } from '../providers/gasPriceService.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
 import { TransactionTracker } from './services/transactionTracker.js';
 import { CONTRACTS } from './config/constants.js';
 
@@ -154,6 +160,20 @@ export async function runMMBot(args) {
     WalletParser.parse = originalParse;
     console.log('🔄 Restored original WalletParser method');
     
+    slippageGuard.setSlippageBps(config.slippageBps);
+    bestExecution.setForcedVenue(config.forcedVenue);
+    tokenSafety.configure({ maxRiskScore: config.maxRiskScore, force: config.force });
+    gasPriceService.configure({
+      profile: config.gasProfile,
+      customGasPrice: config.customGasPrice,
+      maxFeePerGasGwei: config.maxFeePerGasGwei,
+      maxRunFeeEth: config.maxRunFeeEth
+    });
+    if (config.dryRun) {
+      dryRun.enable();
+      config.selectedWallets = dryRun.connectWallets(config.selectedWallets);
+    }
+    
     // Resolve token
     const resolver = new TokenResolver();
     const tokenInfo = await resolver.getTokenInfo(config.token);
@@ -164,6 +184,9 @@ export async function runMMBot(args) {
     
     console.log(`✅ Token resolved: ${tokenInfo.symbol}`);
     
+    // Market making buys the token, so it must pass the pre-trade safety check (unless FORCE)
+    await tokenSafety.assertSafe(tokenInfo);
+    
     // Check if pool exists
     if (!tokenInfo.poolAddress) {
       throw new Error(`No liquidity pool found for ${tokenInfo.symbol}. Market making requires an active pool.`);
@@ -184,12 +207,16 @@ export async function runMMBot(args) {
     process.on('SIGINT', () => {
       console.log('\n\n🛑 Received interrupt signal...');
       mmbot.stop();
+      dryRun.displaySummary();
+      revertDecoder.displaySummary();
       process.exit(0);
     });
     // Handle SIGTERM (Stop button or OS termination)
     process.on('SIGTERM', () => {
       console.log('\n\n🛑 Received termination signal...');
       mmbot.stop();
+      dryRun.displaySummary();
+      revertDecoder.displaySummary();
       process.exit(0);
     });
     
@@ -0,0 +1,764 @@
+/**
+ * Optimized Order Bot
+ * Watches pool prices and sells when a stop-loss, take-profit or trailing stop is hit,
+ * or buys when a limit buy price is reached
+ */
+
+import { ethers } from 'ethers';
+import { TokenResolver } from './services/tokenResolver.js';
+import { PriceMonitor } from './services/priceMonitor.js';
+import { SellSwapExecutor } from './services/sellSwapExecutor.js';
+import { SwapExecutor } from './services/swapExecutor.js';
+import { BuyBot } from './buy-bot-optimized.js';
+import { wsPriceService } from './services/websocketPriceService.js';
+import { dexVenues } from './services/dexVenues.js';
+import { orderStore, ORDER_STATUS, ORDER_SIDE } from './services/orderStore.js';
+import { CONTRACTS, ABIS, DEFAULT_SETTINGS } from './config/constants.js';
+import { executeRpcWithFallback } from '../config.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
+import { tradeLedger } from '../tradeLedger.js';
+import { sleep } from '../utils.js';
+import { findPoolWithMetadata } from '../../find-pool.mjs';
+
+// Re-read orders.json this often to pick up GUI cancellations and new orders
+const SYNC_INTERVAL_MS = 5000;
+
+// A TRIGGERED order this old was left behind by an orderbot that stopped mid-fill
+const STALE_TRIGGER_MS = 5 * 60 * 1000;
+
+// Pool reserve polling when WebSocket is unavailable, and as a heartbeat alongside it
+const POLL_INTERVAL_MS = 15000;
+const WS_HEARTBEAT_MS = 60000;
+
+const TRIGGER_LABELS = {
+  'stop-loss': '🛑 STOP-LOSS',
+  'take-profit': '💰 TAKE-PROFIT',
+  'trailing-stop': '📉 TRAILING STOP',
+  'limit-buy': '🛒 LIMIT BUY'
+};
+
+/**
+ * OrderBot - Conditional sell orders and limit buys for one or more wallets
+ */
+export class OrderBot {
+  constructor(wallets, settings = {}) {
+    this.wallets = wallets;
+    this.settings = settings;
+    this.resolver = new TokenResolver();
+
+    // Dry runs never write order state, so saved orders are left untouched
+    this.persist = !settings.dryRun;
+
+    this.orders = new Map(); // order id -> order
+    this.pools = new Map(); // pool address -> { tokenInfo, listenerId, lastPollAt }
+    this.executing = new Set();
+    this.skippedOrders = new Set();
+    this.useWebSocket = true;
+  }
+
+  /**
+   * Get the B-selector for a wallet
+   * @param {Object} wallet - Wallet instance
+   * @returns {string} Wallet selector (B1, B2, ...)
+   */
+  getWalletSelector(wallet) {
+    return `B${wallet.index + 1}`;
+  }
+
+  /**
+   * Find a loaded wallet by address
+   * @param {string} address - Wallet address
+   * @returns {Object|undefined} Wallet instance
+   */
+  findWallet(address) {
+    return this.wallets.find(wallet => wallet.address.toLowerCase() === address.toLowerCase());
+  }
+
+  /**
+   * Resolve a token and its VIRTUAL pool (orders need a pool price to watch)
+   * @param {string} tokenInput - Ticker or contract address
+   * @returns {Promise<Object>} Token info with poolAddress
+   */
+  async resolveToken(tokenInput) {
+    const tokenInfo = await this.resolver.getTokenInfo(tokenInput);
+    if (!tokenInfo) {
+      throw new Error(`Token not found: ${tokenInput}`);
+    }
+
+    // Tokens traded on Uniswap V3/Aerodrome are watched on that pool
+    let poolAddress = tokenInfo.poolAddress || tokenInfo.venuePool?.address;
+    if (!poolAddress) {
+      const poolResult = await findPoolWithMetadata(tokenInfo.address, CONTRACTS.VIRTUAL);
+      if (!poolResult.success) {
+        throw new Error(`No VIRTUAL pool found for ${tokenInfo.symbol}; orders need a pool price to watch`);
+      }
+      poolAddress = poolResult.poolAddress;
+    }
+
+    return {
+      symbol: tokenInfo.symbol,
+      address: tokenInfo.address,
+      decimals: Number(tokenInfo.decimals),
+      poolAddress,
+      venuePool: tokenInfo.venuePool || null,
+      isDirectCA: !!tokenInfo.isDirectCA
+    };
+  }
+
+  /**
+   * Get the current pool price
+   * @param {Object} tokenInfo - Token info with poolAddress
+   * @returns {Promise<number>} VIRTUAL per token
+   */
+  async getPrice(tokenInfo) {
+    if (tokenInfo.venuePool) {
+      return await executeRpcWithFallback(async (provider) => await dexVenues.getPoolPrice(tokenInfo.venuePool, tokenInfo, provider));
+    }
+    return await new PriceMonitor(tokenInfo, CONTRACTS.VIRTUAL).getCurrentPrice();
+  }
+
+  /**
+   * Check whether an order is a limit buy
+   * @param {Object} order - Order
+   * @returns {boolean} True for limit buys
+   */
+  static isBuy(order) {
+    return order.side === ORDER_SIDE.BUY;
+  }
+
+  /**
+   * Convert an SL-/TP-/AT- level into a price
+   * @param {Object} level - { value, isPercent }
+   * @param {number} price - Current price
+   * @param {number} direction - -1 for levels below the price, 1 for levels above
+   * @returns {number} Trigger price in VIRTUAL
+   */
+  resolveLevel(level, price, direction) {
+    return level.isPercent ? price * (1 + direction * level.value / 100) : level.value;
+  }
+
+  /**
+   * Build sell order fields from SL-/TP-/TS- levels
+   * @param {Object} config - Parsed orderbot command
+   * @param {number} price - Current price
+   * @returns {Object} Order fields shared by every wallet
+   */
+  buildSellOrder(config, price) {
+    const stopPrice = config.stopLoss ? this.resolveLevel(config.stopLoss, price, -1) : null;
+    const targetPrice = config.takeProfit ? this.resolveLevel(config.takeProfit, price, 1) : null;
+
+    if (stopPrice !== null && stopPrice >= price) {
+      throw new Error(`Stop-loss ${stopPrice.toFixed(10)} must be below the current price ${price.toFixed(10)}`);
+    }
+    if (targetPrice !== null && targetPrice <= price) {
+      throw new Error(`Take-profit ${targetPrice.toFixed(10)} must be above the current price ${price.toFixed(10)}`);
+    }
+
+    return {
+      side: ORDER_SIDE.SELL,
+      tokenAmount: config.tokenAmount,
+      stopPrice,
+      targetPrice,
+      trailingPercent: config.trailingPercent,
+      peakPrice: config.trailingPercent ? price : null
+    };
+  }
+
+  /**
+   * Build limit buy order fields from BUY-/AT- (wallets in one command share a group id)
+   * @param {Object} config - Parsed orderbot command
+   * @param {number} price - Current price
+   * @returns {Object} Order fields shared by every wallet
+   */
+  buildBuyOrder(config, price) {
+    const limitPrice = this.resolveLevel(config.limitPrice, price, -1);
+
+    if (limitPrice >= price) {
+      throw new Error(`Limit price ${limitPrice.toFixed(10)} must be below the current price ${price.toFixed(10)} (use a buybot to buy now)`);
+    }
+
+    return {
+      side: ORDER_SIDE.BUY,
+      groupId: orderStore.createId().replace('ord-', 'grp-'),
+      virtualAmount: config.virtualAmount,
+      limitPrice
+    };
+  }
+
+  /**
+   * Create one order per wallet and save it
+   * @param {Object} config - Parsed orderbot command
+   * @returns {Promise<Array<Object>>} Created orders
+   */
+  async createOrders(config) {
+    const tokenInfo = await this.resolveToken(config.token);
+    const price = await this.getPrice(tokenInfo);
+
+    const fields = config.side === ORDER_SIDE.BUY ? this.buildBuyOrder(config, price) : this.buildSellOrder(config, price);
+
+    const definitions = this.wallets.map(wallet => ({
+      wallet: wallet.address,
+      walletSelector: this.getWalletSelector(wallet),
+      token: tokenInfo,
+      entryPrice: price,
+      expiresAt: config.expiresAt,
+      ...fields
+    }));
+
+    let created;
+    if (this.persist) {
+      created = orderStore.add(definitions);
+    } else {
+      const now = new Date().toISOString();
+      created = definitions.map(order => ({ id: orderStore.createId(), status: ORDER_STATUS.ACTIVE, createdAt: now, updatedAt: now, ...order }));
+      console.log('🧪 DRY-RUN: orders are kept in memory only and will not be saved');
+    }
+
+    console.log(`\n📝 Created ${created.length} order(s) for ${tokenInfo.symbol} at ${price.toFixed(10)} VIRTUAL:`);
+    created.forEach((order) => {
+      this.orders.set(order.id, order);
+      console.log(`   ${order.id} ${order.walletSelector} ${OrderBot.describeSize(order)} | ${OrderBot.describeLevels(order)}`);
+    });
+
+    return created;
+  }
+
+  /**
+   * Describe an order's size
+   * @param {Object} order - Order
+   * @returns {string} Description
+   */
+  static describeSize(order) {
+    return OrderBot.isBuy(order) ? `${order.virtualAmount} VIRTUAL` : order.tokenAmount;
+  }
+
+  /**
+   * Describe an order's trigger levels
+   * @param {Object} order - Order
+   * @returns {string} Description
+   */
+  static describeLevels(order) {
+    const levels = [];
+    if (OrderBot.isBuy(order)) levels.push(`BUY at ${order.limitPrice.toFixed(10)}`);
+    if (order.stopPrice !== null && order.stopPrice !== undefined) levels.push(`SL ${order.stopPrice.toFixed(10)}`);
+    if (order.targetPrice !== null && order.targetPrice !== undefined) levels.push(`TP ${order.targetPrice.toFixed(10)}`);
+    if (order.trailingPercent) levels.push(`TS ${order.trailingPercent}% (peak ${order.peakPrice.toFixed(10)})`);
+    if (order.expiresAt) levels.push(`expires ${order.expiresAt}`);
+    return levels.join(', ');
+  }
+
+  /**
+   * Print saved orders
+   * @param {Array<Object>} orders - Orders to print
+   */
+  static displayOrders(orders) {
+    if (orders.length === 0) {
+      console.log('📭 No saved orders');
+      return;
+    }
+
+    console.log(`\n📋 SAVED ORDERS (${orders.length}):`);
+    console.log(`════════════════════════`);
+    orders.forEach((order) => {
+      console.log(`   ${order.id} [${order.status.toUpperCase()}] ${order.walletSelector} ${OrderBot.describeSize(order)} ${order.token.symbol} | ${OrderBot.describeLevels(order)}`);
+      if (order.txHash) console.log(`      ✅ ${order.trigger}: ${order.txHash}`);
+      if (order.error) console.log(`      ❌ ${order.error}`);
+    });
+
+    // Limit buys placed across several wallets fill wallet by wallet
+    const groups = new Map();
+    orders.filter(order => order.groupId).forEach((order) => {
+      groups.set(order.groupId, [...(groups.get(order.groupId) || []), order]);
+    });
+    groups.forEach((group, groupId) => {
+      if (group.length < 2) return;
+      const filled = group.filter(order => order.status === ORDER_STATUS.FILLED || order.status === ORDER_STATUS.PARTIALLY_FILLED);
+      const spent = filled.reduce((sum, order) => sum + (order.virtualSpent || 0), 0);
+      console.log(`   🛒 ${groupId} ${group[0].token.symbol}: ${filled.length}/${group.length} wallet(s) filled, ${spent.toFixed(6)} VIRTUAL spent`);
+    });
+  }
+
+  /**
+   * Update an order in memory and (outside dry-run) in orders.json
+   * @param {Object} order - Order
+   * @param {Object} changes - Fields to update
+   * @param {string|null} expectedStatus - Only update while the saved order still has this status
+   * @returns {boolean} False when the saved order had moved on (e.g. cancelled from the GUI) and nothing changed
+   */
+  updateOrder(order, changes, expectedStatus = null) {
+    if (this.persist && !orderStore.update(order.id, changes, expectedStatus)) {
+      const stored = orderStore.load().find(o => o.id === order.id);
+      if (expectedStatus && stored) {
+        order.status = stored.status;
+        return false;
+      }
+    }
+    Object.assign(order, changes);
+    return true;
+  }
+
+  /**
+   * Pick up saved orders for the loaded wallets and cancellations made from the GUI
+   */
+  syncOrders() {
+    for (const stored of orderStore.load()) {
+      const known = this.orders.get(stored.id);
+
+      if (known) {
+        if (stored.status === ORDER_STATUS.CANCELLED && known.status === ORDER_STATUS.ACTIVE) {
+          known.status = ORDER_STATUS.CANCELLED;
+          console.log(`🚫 Order ${known.id} cancelled`);
+        }
+        continue;
+      }
+
+      if (stored.status !== ORDER_STATUS.ACTIVE) {
+        continue;
+      }
+
+      if (this.findWallet(stored.wallet)) {
+        this.orders.set(stored.id, { ...stored });
+        console.log(`📥 Watching order ${stored.id} ${stored.walletSelector} ${OrderBot.describeSize(stored)} ${stored.token.symbol} | ${OrderBot.describeLevels(stored)}`);
+      } else if (!this.skippedOrders.has(stored.id)) {
+        this.skippedOrders.add(stored.id);
+        console.log(`⚠️ Order ${stored.id} belongs to ${stored.walletSelector} (${stored.wallet.slice(0, 8)}...), which is not selected - skipping`);
+      }
+    }
+  }
+
+  /**
+   * Get orders that are still waiting for a trigger
+   * @returns {Array<Object>} Active orders
+   */
+  getActiveOrders() {
+    return Array.from(this.orders.values()).filter(order => order.status === ORDER_STATUS.ACTIVE);
+  }
+
+  /**
+   * Expire active orders whose EXP- time has passed
+   */
+  expireOrders() {
+    const now = Date.now();
+
+    this.getActiveOrders()
+      .filter(order => order.expiresAt && new Date(order.expiresAt).getTime() <= now && !this.executing.has(order.id))
+      .forEach((order) => {
+        if (this.updateOrder(order, { status: ORDER_STATUS.EXPIRED }, ORDER_STATUS.ACTIVE)) {
+          console.log(`⏰ Order ${order.id} ${order.walletSelector} ${order.token.symbol} expired`);
+        }
+      });
+  }
+
+  /**
+   * Start price watches for pools with active orders and stop the rest
+   * Falls back to polling pool reserves when no WebSocket provider is configured
+   */
+  async ensureWatches() {
+    const activePools = new Map();
+    this.getActiveOrders().forEach(order => activePools.set(order.token.poolAddress, order.token));
+
+    for (const [poolAddress, tokenInfo] of activePools) {
+      if (this.pools.has(poolAddress)) continue;
+
+      const entry = { tokenInfo, listenerId: null, lastPollAt: 0 };
+      this.pools.set(poolAddress, entry);
+
+      if (this.useWebSocket) {
+        try {
+          entry.listenerId = await wsPriceService.startPriceWatch(poolAddress, tokenInfo, (update) => {
+            this.onPrice(poolAddress, update.currentPrice, `WebSocket ${update.provider}`);
+          });
+        } catch (error) {
+          this.useWebSocket = false;
+          console.log(`⚠️ WebSocket price watch unavailable (${error.message}) - polling pool reserves every ${POLL_INTERVAL_MS / 1000}s`);
+        }
+      }
+    }
+
+    for (const [poolAddress, entry] of this.pools) {
+      if (activePools.has(poolAddress)) continue;
+      if (entry.listenerId) {
+        wsPriceService.stopPriceMonitoring(entry.listenerId);
+      }
+      this.pools.delete(poolAddress);
+    }
+  }
+
+  /**
+   * Poll pool reserves (always when WebSocket is unavailable, otherwise as a heartbeat)
+   */
+  async pollPrices() {
+    const now = Date.now();
+
+    for (const [poolAddress, entry] of this.pools) {
+      const interval = entry.listenerId ? WS_HEARTBEAT_MS : POLL_INTERVAL_MS;
+      if (now - entry.lastPollAt < interval) continue;
+
+      entry.lastPollAt = now;
+      try {
+        const price = await this.getPrice(entry.tokenInfo);
+        await this.onPrice(poolAddress, price, 'pool reserves');
+      } catch (error) {
+        console.log(`⚠️ Price check failed for ${entry.tokenInfo.symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check a price against an order, raising the trailing-stop peak on new highs
+   * @param {Object} order - Active order
+   * @param {number} price - Current price
+   * @returns {Object|null} { type, level } when the order should fire
+   */
+  checkTrigger(order, price) {
+    if (OrderBot.isBuy(order)) {
+      return price <= order.limitPrice ? { type: 'limit-buy', level: order.limitPrice } : null;
+    }
+    if (order.trailingPercent) {
+      if (price > order.peakPrice) {
+        this.updateOrder(order, { peakPrice: price });
+      }
+      const trailPrice = order.peakPrice * (1 - order.trailingPercent / 100);
+      if (price <= trailPrice) {
+        return { type: 'trailing-stop', level: trailPrice };
+      }
+    }
+    if (order.stopPrice !== null && price <= order.stopPrice) {
+      return { type: 'stop-loss', level: order.stopPrice };
+    }
+    if (order.targetPrice !== null && price >= order.targetPrice) {
+      return { type: 'take-profit', level: order.targetPrice };
+    }
+    return null;
+  }
+
+  /**
+   * Handle a price update for a pool
+   * @param {string} poolAddress - Pool address
+   * @param {number} price - Current price
+   * @param {string} source - Price source for logs
+   */
+  async onPrice(poolAddress, price, source) {
+    const triggered = [];
+
+    this.getActiveOrders()
+      .filter(order => order.token.poolAddress === poolAddress && !this.executing.has(order.id))
+      .forEach((order) => {
+        const trigger = this.checkTrigger(order, price);
+        if (trigger) {
+          triggered.push(this.executeOrder(order, trigger, price, source));
+        }
+      });
+
+    await Promise.all(triggered);
+  }
+
+  /**
+   * Work out how many tokens an order sells from the wallet's current balance
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} order - Order
+   * @returns {Promise<BigInt>} Amount in token units
+   */
+  async getSellAmount(wallet, order) {
+    const balance = await executeRpcWithFallback(async (provider) => {
+      const tokenContract = new ethers.Contract(order.token.address, ABIS.ERC20_MINIMAL, provider);
+      return await tokenContract.balanceOf(wallet.address);
+    }, 3, 3000);
+
+    if (order.tokenAmount.endsWith('%')) {
+      const basisPoints = BigInt(Math.round(parseFloat(order.tokenAmount) * 100));
+      return balance * basisPoints / 10000n;
+    }
+
+    const amount = ethers.parseUnits(order.tokenAmount, order.token.decimals);
+    return amount > balance ? balance : amount;
+  }
+
+  /**
+   * Sell the order's token amount for VIRTUAL
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} order - Order
+   * @param {Object} trigger - { type, level }
+   * @param {number} price - Price that fired the order
+   * @returns {Promise<Object>} Order changes for the fill
+   */
+  async executeSell(wallet, order, trigger, price) {
+    const { symbol } = order.token;
+    const amountWei = await this.getSellAmount(wallet, order);
+    if (amountWei === 0n) {
+      throw new Error(`No ${symbol} balance to sell`);
+    }
+
+    const tokenAmount = ethers.formatUnits(amountWei, order.token.decimals);
+    const result = await SellSwapExecutor.executeDirectSellToVirtual(wallet, order.token, tokenAmount, this.settings.customGasPrice);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    tradeLedger.recordTrade({
+      wallet: wallet.address,
+      spentToken: symbol,
+      spentAmount: parseFloat(tokenAmount),
+      receivedToken: 'VIRTUAL',
+      receivedAmount: result.virtualReceived,
+      txHash: result.txHash,
+      tokenAddress: order.token.address,
+      direction: 'sell',
+      provider: result.rpcProvider,
+      metadata: { orderId: order.id, trigger: trigger.type, triggerPrice: price }
+    });
+
+    console.log(`✅ Order ${order.id} filled: sold ${tokenAmount} ${symbol} for ${result.virtualReceived.toFixed(6)} VIRTUAL (${result.txHash})`);
+    return {
+      status: ORDER_STATUS.FILLED,
+      txHash: result.txHash,
+      soldAmount: tokenAmount,
+      virtualReceived: result.virtualReceived
+    };
+  }
+
+  /**
+   * Buy with the order's VIRTUAL amount, or with what the wallet holds when it has less (partial fill)
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} order - Order
+   * @param {Object} trigger - { type, level }
+   * @param {number} price - Price that fired the order
+   * @returns {Promise<Object>} Order changes for the fill
+   */
+  async executeBuy(wallet, order, trigger, price) {
+    const { symbol } = order.token;
+    const balance = await executeRpcWithFallback(async (provider) => {
+      const virtualContract = new ethers.Contract(CONTRACTS.VIRTUAL, ABIS.ERC20_MINIMAL, provider);
+      return await virtualContract.balanceOf(wallet.address);
+    }, 3, 3000);
+
+    // Trim dust below 12 decimals so the swap amount never rounds above the balance
+    const requestedWei = ethers.parseUnits(order.virtualAmount.toString(), 18);
+    const spendWei = requestedWei > balance ? balance - balance % 1000000n : requestedWei;
+    if (spendWei === 0n) {
+      throw new Error('No VIRTUAL balance to buy with');
+    }
+
+    const virtualAmount = parseFloat(ethers.formatUnits(spendWei, 18));
+    const partial = spendWei < requestedWei;
+    if (partial) {
+      console.log(`⚠️ ${order.walletSelector} holds ${virtualAmount} VIRTUAL - partially filling ${order.virtualAmount} VIRTUAL order`);
+    }
+
+    const result = order.token.venuePool
+      ? await SwapExecutor.executeVenueBuy(wallet, order.token, virtualAmount, this.settings.customGasPrice)
+      : await new BuyBot([wallet], order.token, CONTRACTS.VIRTUAL, DEFAULT_SETTINGS, this.settings.customGasPrice).executeBuy(wallet, virtualAmount);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    tradeLedger.recordTrade({
+      wallet: wallet.address,
+      spentToken: 'VIRTUAL',
+      spentAmount: virtualAmount,
+      receivedToken: symbol,
+      receivedAmount: result.tokensReceived,
+      txHash: result.txHash,
+      tokenAddress: order.token.address,
+      direction: 'buy',
+      metadata: { orderId: order.id, groupId: order.groupId, trigger: trigger.type, triggerPrice: price }
+    });
+
+    console.log(`✅ Order ${order.id} ${partial ? 'partially filled' : 'filled'}: bought ${result.tokensReceived.toFixed(6)} ${symbol} for ${virtualAmount} VIRTUAL (${result.txHash})`);
+    return {
+      status: partial ? ORDER_STATUS.PARTIALLY_FILLED : ORDER_STATUS.FILLED,
+      txHash: result.txHash,
+      virtualSpent: virtualAmount,
+      tokensReceived: result.tokensReceived
+    };
+  }
+
+  /**
+   * Execute a triggered order
+   * @param {Object} order - Order
+   * @param {Object} trigger - { type, level }
+   * @param {number} price - Price that fired the order
+   * @param {string} source - Price source for logs
+   */
+  async executeOrder(order, trigger, price, source) {
+    if (this.executing.has(order.id) || order.status !== ORDER_STATUS.ACTIVE) {
+      return;
+    }
+    this.executing.add(order.id);
+
+    const { symbol } = order.token;
+    const comparison = trigger.type === 'take-profit' ? '>=' : '<=';
+    console.log(`\n${TRIGGER_LABELS[trigger.type]} hit for ${symbol} (${order.walletSelector}, ${order.id}): ${price.toFixed(10)} ${comparison} ${trigger.level.toFixed(10)} [${source}]`);
+
+    // Claimed only while still active, so a cancellation saved since the last sync wins
+    const claimed = this.updateOrder(order, {
+      status: ORDER_STATUS.TRIGGERED,
+      trigger: trigger.type,
+      triggerPrice: price,
+      triggeredAt: new Date().toISOString()
+    }, ORDER_STATUS.ACTIVE);
+    if (!claimed) {
+      console.log(`🚫 Order ${order.id} is ${order.status} - not executing`);
+      this.executing.delete(order.id);
+      return;
+    }
+
+    try {
+      const wallet = this.findWallet(order.wallet);
+      if (!wallet) {
+        throw new Error(`Wallet ${order.walletSelector} is not loaded`);
+      }
+
+      const fill = OrderBot.isBuy(order)
+        ? await this.executeBuy(wallet, order, trigger, price)
+        : await this.executeSell(wallet, order, trigger, price);
+
+      this.updateOrder(order, { ...fill, filledAt: new Date().toISOString() });
+
+    } catch (error) {
+      this.updateOrder(order, { status: ORDER_STATUS.FAILED, error: error.message });
+      console.log(`❌ Order ${order.id} failed: ${error.message}`);
+    } finally {
+      this.executing.delete(order.id);
+    }
+  }
+
+  /**
+   * Settle orders an earlier orderbot left TRIGGERED when it stopped mid-fill: filled when the ledger holds
+   * a swap for them that the chain confirms, failed when nothing was mined. Orders whose wallet still has
+   * a pending transaction are left for the next start
+   */
+  async recoverTriggeredOrders() {
+    const stale = orderStore.load().filter(order =>
+      order.status === ORDER_STATUS.TRIGGERED &&
+      !this.executing.has(order.id) &&
+      this.findWallet(order.wallet) &&
+      Date.now() - new Date(order.triggeredAt || order.updatedAt).getTime() >= STALE_TRIGGER_MS
+    );
+
+    for (const order of stale) {
+      try {
+        const changes = await this.checkTriggeredOrder(order);
+        if (!changes) {
+          console.log(`⏳ Order ${order.id} ${order.walletSelector} still has a pending transaction - left triggered`);
+        } else if (orderStore.update(order.id, changes, ORDER_STATUS.TRIGGERED)) {
+          console.log(changes.txHash
+            ? `✅ Order ${order.id} ${order.walletSelector} ${order.token.symbol} was filled before the restart (${changes.txHash})`
+            : `❌ Order ${order.id} ${order.walletSelector} ${order.token.symbol}: ${changes.error}`);
+        }
+      } catch (error) {
+        console.log(`⚠️ Could not re-check triggered order ${order.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Look for the fill of a triggered order on chain
+   * @param {Object} order - Order left TRIGGERED
+   * @returns {Promise<Object|null>} Order changes, or null while the wallet has a pending transaction
+   */
+  async checkTriggeredOrder(order) {
+    // Swaps the wallet confirmed since the trigger; the executor records them before the amounts are known
+    const tokenAddress = order.token.address.toLowerCase();
+    const swaps = tradeLedger.query({ wallet: order.wallet, from: order.triggeredAt, limit: null, order: 'asc' })
+      .filter(row => row.type === 'swap' &&
+        (row.metadata?.orderId === order.id || !row.token_address || row.token_address === tokenAddress));
+
+    for (const row of swaps) {
+      const receipt = await executeRpcWithFallback(provider => provider.getTransactionReceipt(row.tx_hash), 3, 3000);
+      if (receipt?.status !== 1) {
+        continue;
+      }
+
+      const amounts = !row.spent_amount ? {} : OrderBot.isBuy(order)
+        ? { virtualSpent: row.spent_amount, tokensReceived: row.received_amount }
+        : { soldAmount: String(row.spent_amount), virtualReceived: row.received_amount };
+      return { status: ORDER_STATUS.FILLED, txHash: row.tx_hash, ...amounts, filledAt: row.timestamp, recovered: true };
+    }
+
+    const [latest, pending] = await executeRpcWithFallback(provider => Promise.all([
+      provider.getTransactionCount(order.wallet, 'latest'),
+      provider.getTransactionCount(order.wallet, 'pending')
+    ]), 3, 3000);
+    if (pending > latest) {
+      return null;
+    }
+
+    return {
+      status: ORDER_STATUS.FAILED,
+      error: 'Orderbot stopped after the trigger and no confirmed fill was found - check the wallet before placing it again'
+    };
+  }
+
+  /**
+   * Watch active orders until all have fired, expired or been cancelled, or the bot is stopped
+   * Orders left active when the bot stops stay saved and can be resumed with WATCH
+   */
+  async run() {
+    if (this.persist) {
+      await this.recoverTriggeredOrders();
+    }
+    this.syncOrders();
+
+    if (this.getActiveOrders().length === 0) {
+      console.log('📭 No active orders for the selected wallets');
+      return;
+    }
+
+    console.log(`\n👀 Watching ${this.getActiveOrders().length} active order(s)...`);
+    let lastSync = Date.now();
+
+    while (!global.isTerminating) {
+      if (Date.now() - lastSync >= SYNC_INTERVAL_MS) {
+        this.syncOrders();
+        lastSync = Date.now();
+      }
+
+      this.expireOrders();
+      await this.ensureWatches();
+      await this.pollPrices();
+
+      if (this.getActiveOrders().length === 0 && this.executing.size === 0) {
+        break;
+      }
+      await sleep(1000);
+    }
+
+    await this.cleanup();
+    this.displaySummary();
+  }
+
+  /**
+   * Stop price watches
+   */
+  async cleanup() {
+    for (const entry of this.pools.values()) {
+      if (entry.listenerId) {
+        wsPriceService.stopPriceMonitoring(entry.listenerId);
+      }
+    }
+    this.pools.clear();
+
+    if (wsPriceService.isInitialized) {
+      await wsPriceService.cleanup();
+    }
+  }
+
+  /**
+   * Display the orders handled in this session
+   */
+  displaySummary() {
+    const orders = Array.from(this.orders.values());
+    const count = (status) => orders.filter(order => order.status === status).length;
+
+    OrderBot.displayOrders(orders);
+    console.log(`\n📊 Filled: ${count(ORDER_STATUS.FILLED)} | Partially filled: ${count(ORDER_STATUS.PARTIALLY_FILLED)} | Failed: ${count(ORDER_STATUS.FAILED)} | Cancelled: ${count(ORDER_STATUS.CANCELLED)} | Expired: ${count(ORDER_STATUS.EXPIRED)} | Still active: ${count(ORDER_STATUS.ACTIVE)}`);
+    if (count(ORDER_STATUS.ACTIVE) > 0 && this.persist) {
+      console.log('💡 Active orders are saved - resume them with: orderbot [wallets] WATCH');
+    }
+
+    dryRun.displaySummary();
+    revertDecoder.displaySummary();
+  }
+}
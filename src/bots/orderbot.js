@@ -0,0 +1,150 @@
+/**
+ * Order Bot - Main Entry Point
+ * Creates, lists, cancels and watches stop-loss / take-profit / trailing-stop and limit buy orders
+ */
+
+import { ethers } from 'ethers';
+import { OrderBot } from './order-bot-optimized.js';
+import { OrderCommandParser } from './services/orderCommandParser.js';
+import { orderStore } from './services/orderStore.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { bestExecution } from './services/bestExecution.js';
+import { gasPriceService } from '../providers/gasPriceService.js';
+import { dryRun } from '../providers/dryRun.js';
+import { tradingWallets, walletsReady } from '../wallets.js';
+import { provider } from '../config.js';
+
+// Export termination flag globally so other modules can check it
+global.isTerminating = false;
+
+// Signal handlers for graceful shutdown (active orders stay saved)
+process.on('SIGTERM', () => {
+  console.log('\n👋 Received SIGTERM. Shutting down gracefully...');
+  global.isTerminating = true;
+});
+
+process.on('SIGINT', () => {
+  console.log('\n👋 Received SIGINT. Shutting down gracefully...');
+  global.isTerminating = true;
+});
+
+/**
+ * Load wallets keeping their B-index (B1 = index 0) so saved orders map back to the same keys
+ * @param {Array<string>} walletSelectors - B-selectors (all wallets when empty)
+ * @returns {Promise<Array>} Wallet instances with index and name
+ */
+async function loadWallets(walletSelectors) {
+  const wallets = [];
+
+  // GUI launches pass the selected keys as B1-B20 environment variables
+  for (let i = 0; i < 20; i++) {
+    const privateKey = process.env[`B${i + 1}`];
+    if (privateKey && privateKey.length > 0) {
+      try {
+        const wallet = new ethers.Wallet(privateKey, provider);
+        wallet.name = `Wallet ${i + 1}`;
+        wallet.index = i;
+        wallets.push(wallet);
+      } catch (error) {
+        console.error(`❌ Error creating wallet from B${i + 1}: ${error.message}`);
+      }
+    }
+  }
+
+  // CLI: fall back to the wallets module
+  if (wallets.length === 0) {
+    console.log('⏳ Waiting for wallet initialization...');
+    await Promise.race([walletsReady, new Promise(resolve => setTimeout(resolve, 10000))]);
+    tradingWallets.forEach((wallet, i) => {
+      if (wallet && wallet.privateKey) {
+        const connected = new ethers.Wallet(wallet.privateKey, provider);
+        connected.name = wallet.name || `Wallet ${i + 1}`;
+        connected.index = i;
+        wallets.push(connected);
+      }
+    });
+  }
+
+  if (walletSelectors.length === 0) {
+    return wallets;
+  }
+
+  return walletSelectors.map((selector) => {
+    const index = parseInt(selector.substring(1)) - 1;
+    const wallet = wallets.find(w => w.index === index);
+    if (!wallet) {
+      throw new Error(`Wallet ${selector} is not available`);
+    }
+    return wallet;
+  });
+}
+
+/**
+ * Main entry point for orderbot
+ * @param {Array} args - Command line arguments
+ */
+export async function runOrderBot(args) {
+  if (!args || args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    OrderCommandParser.showUsage();
+    return;
+  }
+
+  try {
+    console.log('\n🎯 ORDERBOT INITIALIZED');
+    console.log('=======================');
+
+    const config = OrderCommandParser.parseCommand(args);
+
+    if (config.mode === 'list') {
+      OrderBot.displayOrders(orderStore.list());
+      return;
+    }
+
+    if (config.mode === 'cancel') {
+      const result = orderStore.cancel(config.orderId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      console.log(`🚫 Order ${config.orderId} cancelled`);
+      return;
+    }
+
+    let wallets = await loadWallets(config.walletSelectors);
+    if (wallets.length === 0) {
+      throw new Error('No wallets available. Select wallets (B1, B2, ...) or check your wallet settings.');
+    }
+    console.log(`👛 Using ${wallets.length} wallet(s): ${wallets.map(w => `B${w.index + 1}`).join(' ')}`);
+
+    // Apply S-<bps> slippage override (falls back to wallets.json slippageBasisPoints)
+    slippageGuard.setSlippageBps(config.slippageBps);
+
+    // Apply VENUE- override (default compares TRUSTSWAP and the direct V2 route per trade)
+    bestExecution.setForcedVenue(config.forcedVenue);
+
+    // Select the gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-) for this run
+    gasPriceService.configure({
+      profile: config.gasProfile,
+      customGasPrice: config.customGasPrice,
+      maxFeePerGasGwei: config.maxFeePerGasGwei,
+      maxRunFeeEth: config.maxRunFeeEth
+    });
+
+    // DRY-RUN: simulate every write (eth_call or local fork) instead of broadcasting
+    if (config.dryRun) {
+      dryRun.enable();
+      wallets = dryRun.connectWallets(wallets);
+    }
+
+    const orderBot = new OrderBot(wallets, config);
+
+    if (config.mode === 'create') {
+      await orderBot.createOrders(config);
+    }
+
+    await orderBot.run();
+
+  } catch (error) {
+    console.error(`❌ OrderBot error: ${error.message}`);
+    throw error;
+  }
+}
@@ -24,8 +24,13 @@ import { TokenResolver } from './services/tokenResolver.js';
 import { TransactionTracker } from './services/transactionTracker.js';
 import { SellCommandParser } from './services/sellCommandParser.js';
 import { SellSwapExecutor } from './services/sellSwapExecutor.js';
+import { slippageGuard } from './services/slippageGuard.js';
+import { bestExecution } from './services/bestExecution.js';
+import { dryRun } from '../providers/dryRun.js';
+import { revertDecoder } from './services/revertDecoder.js';
 import { SellAmountCalculator } from './services/sellAmountCalculator.js';
 import { FSHModeHandler } from './services/fshModeHandler.js';
+import { TokenBlacklist } from './services/tokenBlacklist.js';
 import { CONTRACTS } from './config/constants.js';
 import { tradingWallets } from '../wallets.js';
 
@@ -104,6 +109,26 @@ export class SellBot {
       
       SellCommandParser.validateCommand(parsedCommand);
       
+      // Apply S-<bps> slippage override (falls back to wallets.json slippageBasisPoints)
+      slippageGuard.setSlippageBps(parsedCommand.slippageBps);
+      
+      // Apply VENUE- override (default compares TRUSTSWAP and the direct V2 route per trade)
+      bestExecution.setForcedVenue(parsedCommand.forcedVenue);
+      
+      // Select the gas profile (GP-) and fee caps (MAXFEE-, MAXRUN-) for this run
+      gasPriceService.configure({
+        profile: parsedCommand.gasProfile,
+        customGasPrice: parsedCommand.customGasPrice,
+        maxFeePerGasGwei: parsedCommand.maxFeePerGasGwei,
+        maxRunFeeEth: parsedCommand.maxRunFeeEth
+      });
+      
+      // DRY-RUN: simulate every write (eth_call or local fork) instead of broadcasting
+      if (parsedCommand.dryRun) {
+        dryRun.enable();
+        parsedCommand.selectedWallets = dryRun.connectWallets(parsedCommand.selectedWallets || []);
+      }
+      
       // Debug output to help troubleshoot command structure issues
       log(`\n===== DEBUG: SELLBOT COMMAND STRUCTURE =====`);
       log(`Mode: ${parsedCommand.mode}`);
@@ -234,6 +259,9 @@ export class SellBot {
           this.tracker.displaySummary();
         }
         throw error;
+      } finally {
+        dryRun.displaySummary();
+        revertDecoder.displaySummary();
       }
       
     } catch (error) {
@@ -532,6 +560,7 @@ export class SellBot {
     }
     
     log(`✅ Token resolved: ${tokenInfo.symbol} (${tokenInfo.address})`);
+    TokenBlacklist.assertAllowed(tokenInfo.address, tokenInfo.symbol, 'sell');
     
     try {
       // Resolve currency information for TWAP
@@ -546,13 +575,12 @@ export class SellBot {
             isVirtual: false
           };
         } else if (currency.startsWith('C-') || currency.startsWith('c-')) {
-          const tokenSymbol = currency.substring(2);
-          currencyInfo = await this.resolver.getTokenInfo(tokenSymbol);
+          // getCurrencyInfo also accepts currencies that only reach VIRTUAL through a multi-hop route
+          currencyInfo = await this.resolver.getCurrencyInfo(currency);
           
           if (!currencyInfo) {
-            throw new Error(`Currency token not found: ${tokenSymbol}`);
+            throw new Error(`Currency token not found or not routable: ${currency.substring(2)}`);
           }
-          currencyInfo.isVirtual = false;
         } else {
           throw new Error(`Unsupported currency: ${currency}`);
         }
@@ -570,7 +598,8 @@ export class SellBot {
         customGasPrice,
         this.tracker,
         parsedCommand.bidMode,
-        parsedCommand.intervals // Pass user-specified order count
+        parsedCommand.intervals, // Pass user-specified order count
+        { algo: parsedCommand.algo, participationPct: parsedCommand.participationPct, priceLimit: parsedCommand.priceLimit }
       );
     
       // Display final summary
@@ -638,6 +667,11 @@ export class SellBot {
       
       log(`✅ Token resolved: ${tokenInfo.symbol} (${tokenInfo.address})`);
       
+      if (TokenBlacklist.isTokenBlacklisted(tokenInfo.address, tokenInfo.symbol)) {
+        TokenBlacklist.logBlacklistWarning(tokenInfo.address, tokenInfo.symbol, log);
+        continue;
+      }
+      
       // Execute for each wallet
     for (const wallet of selectedWallets) {
       // Additional wallet validation check
@@ -753,7 +787,8 @@ export class SellBot {
             tokenInfo.symbol,
             calculated.amount,
             'ETH',
-            sellResult.ethReceived
+            sellResult.ethReceived,
+            { txHash: sellResult.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(sellResult.slippageProtection) }
           );
           
           return {
@@ -787,7 +822,8 @@ export class SellBot {
             tokenInfo.symbol,
             calculated.amount,
             'VIRTUAL',
-            sellResult.virtualReceived
+            sellResult.virtualReceived,
+            { txHash: sellResult.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(sellResult.slippageProtection) }
           );
           
       return {
@@ -846,11 +882,10 @@ export class SellBot {
         // Resolve currency information
         let currencyInfo;
         if (targetCurrency.startsWith('C-') || targetCurrency.startsWith('c-')) {
-          const tokenSymbol = targetCurrency.substring(2);
-          currencyInfo = await this.resolver.getTokenInfo(tokenSymbol);
+          currencyInfo = await this.resolver.getCurrencyInfo(targetCurrency);
       
           if (!currencyInfo) {
-        throw new Error(`Currency token not found: ${tokenSymbol}`);
+        throw new Error(`Currency token not found or not routable: ${targetCurrency.substring(2)}`);
       }
         } else {
           throw new Error(`Unsupported currency: ${targetCurrency}`);
@@ -928,12 +963,11 @@ export class SellBot {
     log(`👛 Using ${validWallets.length} validated wallets for BID-MODE FSH`);
     
     try {
-      // Import bid database functions
-      const { getAllBidTokens } = await import('../bidDatabase.js');
+      const { tokenRegistry, TOKEN_SOURCES } = await import('../tokenRegistry.js');
       const { executeRpcWithFallback } = await import('../config.js');
       
-      // Get all tokens from bid.json
-      const bidTokens = getAllBidTokens();
+      // Get all tokens imported from bid.json
+      const bidTokens = tokenRegistry.list({ source: TOKEN_SOURCES.BID });
       
       if (bidTokens.length === 0) {
         log('❌ No tokens found in bid.json database');
@@ -955,16 +989,16 @@ export class SellBot {
         // Check balances for all bid tokens
         for (const bidToken of bidTokens) {
           try {
-            if (!bidToken.tokenAddress || !bidToken.symbol) continue;
+            if (!bidToken.symbol) continue;
             
             // Skip VIRTUAL and blacklisted tokens
-            if (bidToken.tokenAddress.toLowerCase() === CONTRACTS.VIRTUAL.toLowerCase()) continue;
-            if (bidToken.symbol === 'TRUST') continue;
+            if (bidToken.address.toLowerCase() === CONTRACTS.VIRTUAL.toLowerCase()) continue;
+            if (TokenBlacklist.isTokenBlacklisted(bidToken.address, bidToken.symbol)) continue;
             
             // Get token balance
             const result = await executeRpcWithFallback(async (provider) => {
               const tokenContract = new ethers.Contract(
-                bidToken.tokenAddress,
+                bidToken.address,
                 ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)'],
                 provider
               );
@@ -986,14 +1020,14 @@ export class SellBot {
               const sellFormattedBalance = parseFloat(ethers.formatUnits(sellBalance, result.decimals));
               
               walletTokens.push({
-                address: bidToken.tokenAddress,
+                address: bidToken.address,
                 symbol: bidToken.symbol,
                 name: bidToken.symbol,
                 decimals: result.decimals,
                 balance: sellBalance,
                 formattedBalance: sellFormattedBalance,
-                lpAddress: bidToken.lpAddress,
-                mcapInETH: bidToken.mcapInETH,
+                lpAddress: tokenRegistry.getPool(bidToken, 'WETH'),
+                mcapInETH: bidToken.marketCap.ETH ?? null,
                 bidMode: true
               });
               
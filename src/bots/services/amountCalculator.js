@@ -102,9 +102,10 @@ export class AmountCalculator {
    * @param {number} totalAmount - Total amount to trade
    * @param {number} durationMinutes - Duration in minutes
    * @param {number} intervals - User-specified intervals (optional)
+   * @param {number} minTransactions - Fewest transactions allowed (price impact limit)
    * @returns {Object} TWAP parameters
    */
-  static calculateTWAPParameters(totalAmount, durationMinutes, intervals = null) {
+  static calculateTWAPParameters(totalAmount, durationMinutes, intervals = null, minTransactions = 1) {
     const totalSeconds = durationMinutes * 60;
     const minInterval = 30; // seconds
     
@@ -113,12 +114,17 @@ export class AmountCalculator {
     
     // Robust intervals validation - check for valid number
     const validIntervals = intervals && !isNaN(parseInt(intervals)) && parseInt(intervals) > 0;
-    const numTransactions = validIntervals ? 
+    let numTransactions = validIntervals ? 
       Math.max(1, parseInt(intervals)) : 
       Math.max(1, Math.floor(totalSeconds / minInterval));
       
     console.log(`🔍 AmountCalculator TWAP Result: numTransactions=${numTransactions} (${validIntervals ? 'from intervals=' + intervals : 'from duration/minInterval fallback'})`);
     
+    if (numTransactions < minTransactions) {
+      console.log(`📐 Price impact: raising TWAP transactions from ${numTransactions} to ${minTransactions} to keep each one under the limit`);
+      numTransactions = minTransactions;
+    }
+    
     const baseAmountPerTx = totalAmount / numTransactions;
     const baseDelaySeconds = totalSeconds / numTransactions;
     
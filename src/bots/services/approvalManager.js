@@ -62,12 +62,14 @@ export class ApprovalManager {
               const approveTx = await tokenContractWithProvider.approve(TRUSTSWAP_CONTRACT, ethers.MaxUint256, {
                 maxFeePerGas: gasParams.maxFeePerGas,
                 maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+                nonce: gasParams.nonce,
                 gasLimit: APPROVAL_GAS_LIMIT
               });
               
               log(`Wallet ${walletName}: TRUSTSWAP approval transaction broadcasted via ${currentProvider._providerName}: ${approveTx.hash}`);
               return approveTx;
-            }
+            },
+            { wallet, label: 'approve' }
           );
 
           console.log(`   🔧 RPC USED: ${approvalResult.provider} for wallet ${walletName} TRUSTSWAP approval`);
@@ -0,0 +1,201 @@
+/**
+ * Best Execution Service
+ * Quotes TRUSTSWAP (platform fee included) and the direct or routed Uniswap V2 path for each trade
+ * and picks whichever returns more
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACTS } from '../config/constants.js';
+import { slippageGuard } from './slippageGuard.js';
+import { swapRouter } from './swapRouter.js';
+
+export const EXECUTION_VENUES = {
+  AUTO: 'AUTO',
+  TRUSTSWAP: 'TRUSTSWAP',
+  UNISWAP_V2: 'UNISWAP_V2'
+};
+
+const VENUE_LABELS = {
+  [EXECUTION_VENUES.TRUSTSWAP]: 'TRUSTSWAP (0.25% fee)',
+  [EXECUTION_VENUES.UNISWAP_V2]: 'Uniswap V2 direct'
+};
+
+/**
+ * BestExecution - Per-trade venue selection between TRUSTSWAP and the Uniswap V2 router
+ */
+export class BestExecution {
+  constructor() {
+    this.forcedVenue = null; // Set from the VENUE-<name> argument
+  }
+
+  /**
+   * Force every trade of this run onto one venue (VENUE- argument)
+   * @param {string|null} venue - EXECUTION_VENUES value; null or AUTO compares both
+   */
+  setForcedVenue(venue) {
+    this.forcedVenue = venue && venue !== EXECUTION_VENUES.AUTO ? venue : null;
+    if (this.forcedVenue) {
+      console.log(`🏁 Execution venue forced to ${VENUE_LABELS[this.forcedVenue]} from VENUE- argument`);
+    }
+  }
+
+  /**
+   * Human-readable venue name
+   * @param {string} venue - EXECUTION_VENUES value
+   * @returns {string} Venue label
+   */
+  describe(venue) {
+    return VENUE_LABELS[venue] || venue;
+  }
+
+  /**
+   * Build the execution plan for a venue
+   * @param {string} venue - EXECUTION_VENUES value
+   * @param {Object} referenceQuote - Quote from slippageGuard.quote
+   * @param {Object} extra - Savings details
+   * @returns {Object} Execution plan
+   * @private
+   */
+  _plan(venue, referenceQuote, extra = {}) {
+    const direct = venue === EXECUTION_VENUES.UNISWAP_V2;
+    return {
+      venue,
+      label: this.describe(venue),
+      direct,
+      spender: direct ? CONTRACTS.UNISWAP_V2_ROUTER : CONTRACTS.TRUSTSWAP,
+      quoteOptions: direct ? { direct: true } : {},
+      referenceQuote,
+      savings: null,
+      ...extra
+    };
+  }
+
+  /**
+   * Quote both venues and choose the one with the higher output
+   * A venue that cannot quote (no direct V2 pair, TRUSTSWAP unavailable) loses automatically.
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {Array<string>} path - Swap path [tokenIn, tokenOut]
+   * @param {Object} options - Selection options
+   * @param {number} options.decimalsOut - Output token decimals for logging
+   * @param {string} options.symbolOut - Output token symbol for logging
+   * @param {boolean} options.allowDirect - Whether this swap can be sent to the V2 router at all
+   * @returns {Promise<Object>} Plan { venue, label, direct, spender, quoteOptions, referenceQuote, savings }
+   * @throws {Error} If the forced venue, or both venues, fail to quote
+   */
+  async select(amountIn, path, options = {}) {
+    const { decimalsOut = 18, symbolOut = 'tokens', allowDirect = true } = options;
+
+    if (!allowDirect || this.forcedVenue === EXECUTION_VENUES.TRUSTSWAP) {
+      if (!allowDirect && this.forcedVenue === EXECUTION_VENUES.UNISWAP_V2) {
+        console.log(`   ⚠️ VENUE-V2 not available for this swap, using TRUSTSWAP`);
+      }
+      return this._plan(EXECUTION_VENUES.TRUSTSWAP, await slippageGuard.quote(amountIn, path));
+    }
+
+    if (this.forcedVenue === EXECUTION_VENUES.UNISWAP_V2) {
+      console.log(`   🏁 Venue: ${this.describe(EXECUTION_VENUES.UNISWAP_V2)} (forced)`);
+      return this._plan(EXECUTION_VENUES.UNISWAP_V2, await slippageGuard.quote(amountIn, path, { direct: true }));
+    }
+
+    const [trustswapResult, directResult] = await Promise.allSettled([
+      slippageGuard.quote(amountIn, path),
+      slippageGuard.quote(amountIn, path, { direct: true })
+    ]);
+
+    if (trustswapResult.status === 'rejected' && directResult.status === 'rejected') {
+      throw new Error(`No venue returned a quote (TRUSTSWAP: ${trustswapResult.reason.message}; Uniswap V2: ${directResult.reason.message})`);
+    }
+    if (directResult.status === 'rejected') {
+      console.log(`   🏁 Venue: ${this.describe(EXECUTION_VENUES.TRUSTSWAP)} (no direct Uniswap V2 quote)`);
+      return this._plan(EXECUTION_VENUES.TRUSTSWAP, trustswapResult.value);
+    }
+    if (trustswapResult.status === 'rejected') {
+      console.log(`   🏁 Venue: ${this.describe(EXECUTION_VENUES.UNISWAP_V2)} (TRUSTSWAP quote failed: ${trustswapResult.reason.message})`);
+      return this._plan(EXECUTION_VENUES.UNISWAP_V2, directResult.value);
+    }
+
+    return this._pickBetter(trustswapResult.value, directResult.value, { decimalsOut, symbolOut });
+  }
+
+  /**
+   * Compare a TRUSTSWAP quote with a Uniswap V2 quote and plan the higher one
+   * @param {Object} trustswapQuote - Quote from slippageGuard.quote
+   * @param {Object} directQuote - Uniswap V2 quote (slippageGuard direct quote or swapRouter route)
+   * @param {Object} options - { decimalsOut, symbolOut } for logging
+   * @returns {Object} Execution plan with savings
+   * @private
+   */
+  _pickBetter(trustswapQuote, directQuote, { decimalsOut, symbolOut }) {
+    // Ties stay on TRUSTSWAP, the historical default
+    const directWins = directQuote.amountOut > trustswapQuote.amountOut;
+    const [best, runnerUp] = directWins ? [directQuote, trustswapQuote] : [trustswapQuote, directQuote];
+    const venue = directWins ? EXECUTION_VENUES.UNISWAP_V2 : EXECUTION_VENUES.TRUSTSWAP;
+    const otherVenue = directWins ? EXECUTION_VENUES.TRUSTSWAP : EXECUTION_VENUES.UNISWAP_V2;
+
+    const savedWei = best.amountOut - runnerUp.amountOut;
+    const savedBps = runnerUp.amountOut > 0n ? Number(savedWei * 10000n / runnerUp.amountOut) : 0;
+    const saved = parseFloat(ethers.formatUnits(savedWei, decimalsOut));
+    console.log(`   🏁 Venue: ${this.describe(venue)} - saves ${saved.toFixed(6)} ${symbolOut} (${(savedBps / 100).toFixed(2)}%) vs ${this.describe(otherVenue)}`);
+
+    return this._plan(venue, best, {
+      savings: { amount: saved, bps: savedBps, versus: otherVenue }
+    });
+  }
+
+  /**
+   * Quote TRUSTSWAP next to the best routed Uniswap V2 path (direct or via WETH/USDC) and choose the higher output
+   * Used for the VIRTUAL ↔ currency legs of two-step trades, where TRUSTSWAP swaps directly against VIRTUAL.
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {Object} options - Selection options
+   * @param {number} options.decimalsOut - Output token decimals for logging
+   * @param {string} options.symbolOut - Output token symbol for logging
+   * @param {Object} options.symbols - Extra address → symbol names for route logging
+   * @param {boolean} options.allowTrustswap - Whether this leg can be sent to TRUSTSWAP at all
+   * @returns {Promise<Object>} Plan { venue, label, direct, spender, quoteOptions, referenceQuote, savings, path }
+   * @throws {Error} If the forced venue, or both venues, fail to quote
+   */
+  async selectRoute(amountIn, tokenIn, tokenOut, options = {}) {
+    const { decimalsOut = 18, symbolOut = 'tokens', symbols = {}, allowTrustswap = true } = options;
+    const trustswapPath = [tokenIn, tokenOut];
+    const withPath = (plan) => ({ ...plan, path: plan.direct ? plan.referenceQuote.path : trustswapPath });
+    const findRoute = async () => {
+      const route = await swapRouter.findBestRoute(amountIn, tokenIn, tokenOut);
+      swapRouter.logRoute(route, { decimalsOut, symbols });
+      return route;
+    };
+
+    if (allowTrustswap && this.forcedVenue === EXECUTION_VENUES.TRUSTSWAP) {
+      return withPath(this._plan(EXECUTION_VENUES.TRUSTSWAP, await slippageGuard.quote(amountIn, trustswapPath)));
+    }
+    if (!allowTrustswap || this.forcedVenue === EXECUTION_VENUES.UNISWAP_V2) {
+      if (!allowTrustswap && this.forcedVenue === EXECUTION_VENUES.TRUSTSWAP) {
+        console.log(`   ⚠️ VENUE-TRUSTSWAP not available for this swap, using Uniswap V2`);
+      }
+      return withPath(this._plan(EXECUTION_VENUES.UNISWAP_V2, await findRoute()));
+    }
+
+    const [trustswapResult, routeResult] = await Promise.allSettled([
+      slippageGuard.quote(amountIn, trustswapPath),
+      findRoute()
+    ]);
+
+    if (trustswapResult.status === 'rejected' && routeResult.status === 'rejected') {
+      throw new Error(`No venue returned a quote (TRUSTSWAP: ${trustswapResult.reason.message}; Uniswap V2: ${routeResult.reason.message})`);
+    }
+    if (routeResult.status === 'rejected') {
+      console.log(`   🏁 Venue: ${this.describe(EXECUTION_VENUES.TRUSTSWAP)} (no Uniswap V2 route: ${routeResult.reason.message})`);
+      return withPath(this._plan(EXECUTION_VENUES.TRUSTSWAP, trustswapResult.value));
+    }
+    if (trustswapResult.status === 'rejected') {
+      console.log(`   🏁 Venue: ${this.describe(EXECUTION_VENUES.UNISWAP_V2)} (TRUSTSWAP quote failed: ${trustswapResult.reason.message})`);
+      return withPath(this._plan(EXECUTION_VENUES.UNISWAP_V2, routeResult.value));
+    }
+
+    return withPath(this._pickBetter(trustswapResult.value, routeResult.value, { decimalsOut, symbolOut }));
+  }
+}
+
+// Export singleton instance
+export const bestExecution = new BestExecution();
@@ -23,13 +23,19 @@ export class CommandParser {
     let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
     let { selectedWallets, remainingArgs: afterWallets } = ArgumentParser.parseAndSelectWallets(afterBidMode);
     let { customGasPrice, remainingArgs: afterGas } = ArgumentParser.parseGasPrice(afterWallets);
+    let { slippageBps, remainingArgs: afterSlippageArg } = ArgumentParser.parseSlippage(afterGas);
+    let { dryRun, remainingArgs: afterSlippage } = ArgumentParser.parseDryRun(afterSlippageArg);
+    let { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfileArg } = ArgumentParser.parseGasProfile(afterSlippage);
+    let { maxRiskScore, force, remainingArgs: afterRiskArg } = ArgumentParser.parseRiskCheck(afterGasProfileArg);
+    let { forcedVenue, remainingArgs: afterVenueArg } = ArgumentParser.parseVenue(afterRiskArg);
+    let { algo, participationPct, priceLimit, remainingArgs: afterGasProfile } = ArgumentParser.parseExecutionAlgo(afterVenueArg);
     
     // Remove TWAP from args and get remaining
-    const twapArgs = afterGas.filter(arg => arg.toUpperCase() !== 'TWAP');
+    const twapArgs = afterGasProfile.filter(arg => arg.toUpperCase() !== 'TWAP');
     
     // Parse TWAP format: [token] [amount] [duration] [intervals] [C-currency]
     if (twapArgs.length < 3) {
-      throw new Error('TWAP format: buybot [wallets] <token> twap <amount> <duration> [intervals] [C-currency] [gas]');
+      throw new Error('TWAP format: buybot [wallets] <token> twap <amount> <duration> [intervals] [C-currency] [gas] [GP-profile] [MAXFEE-gwei] [MAXRUN-eth] [S-bps] [VENUE-name] [ALGO-name] [LIMIT-price] [MAXRISK-score] [FORCE] [DRY-RUN]');
     }
     
     const token = twapArgs[0];
@@ -95,6 +101,17 @@ export class CommandParser {
       intervals, // Add user-specified order count
       currency,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      maxRiskScore,
+      force,
+      forcedVenue,
+      algo,
+      participationPct,
+      priceLimit,
+      dryRun,
       bidMode,
       // Add tokenAmountPairs array to prevent errors in executeTWAP
       tokenAmountPairs,
@@ -105,7 +122,7 @@ export class CommandParser {
   }
 
   /**
-   * Parse new command format: [wallets] [tokens...] [amounts...] [C-currency] L-X slow gas0.X BID-MODE
+   * Parse new command format: [wallets] [tokens...] [amounts...] [C-currency] L-X slow gas0.X GP-profile MAXFEE-gwei MAXRUN-eth S-bps VENUE-name MAXRISK-score FORCE DRY-RUN BID-MODE
    * @param {Array} args - Command arguments
    * @returns {Object} Parsed command
    */
@@ -120,7 +137,12 @@ export class CommandParser {
     let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
     let { selectedWallets, remainingArgs: afterWallets } = ArgumentParser.parseAndSelectWallets(afterBidMode);
     let { customGasPrice, remainingArgs: afterGas } = ArgumentParser.parseGasPrice(afterWallets);
-    let { loops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterGas);
+    let { slippageBps, remainingArgs: afterSlippageArg } = ArgumentParser.parseSlippage(afterGas);
+    let { dryRun, remainingArgs: afterSlippage } = ArgumentParser.parseDryRun(afterSlippageArg);
+    let { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterSlippage);
+    let { maxRiskScore, force, remainingArgs: afterRisk } = ArgumentParser.parseRiskCheck(afterGasProfile);
+    let { forcedVenue, remainingArgs: afterVenue } = ArgumentParser.parseVenue(afterRisk);
+    let { loops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterVenue);
     let { slowMode, remainingArgs: afterModes } = ArgumentParser.parseExecutionMode(afterLoops);
     
     // Step 2: Check for currency (C-TOKEN format or ETH exception)
@@ -177,6 +199,24 @@ export class CommandParser {
     console.log(`   🔄 Loops: ${loops}`);
     console.log(`   ⚡ Mode: ${slowMode ? 'SEQUENTIAL (tokens & wallets)' : 'PARALLEL WALLETS (tokens sequential)'}`);
     console.log(`   ⛽ Gas: ${customGasPrice || '0.02'} gwei`);
+    if (gasProfile) {
+      console.log(`   ⛽ Gas profile: ${gasProfile}`);
+    }
+    if (slippageBps !== null) {
+      console.log(`   🛡️ Slippage: ${slippageBps} bps`);
+    }
+    if (maxRiskScore !== null) {
+      console.log(`   🛡️ Max token risk: ${maxRiskScore}/100`);
+    }
+    if (force) {
+      console.log(`   ⚠️ FORCE: buying tokens above the risk limit`);
+    }
+    if (forcedVenue) {
+      console.log(`   🏁 Venue: ${forcedVenue}`);
+    }
+    if (dryRun) {
+      console.log(`   🧪 DRY-RUN: simulating, nothing will be broadcast`);
+    }
     if (bidMode) {
       console.log(`   🎯 BID-MODE: Using bid.json database`);
     }
@@ -188,6 +228,14 @@ export class CommandParser {
       loops,
       slowMode,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      maxRiskScore,
+      force,
+      forcedVenue,
+      dryRun,
       currency,
       bidMode
     };
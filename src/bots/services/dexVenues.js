@@ -0,0 +1,386 @@
+/**
+ * DEX Venues Service
+ * Pool discovery, quoting, pricing and swap execution across Uniswap V2, Uniswap V3 and Aerodrome on Base
+ */
+
+import { ethers } from 'ethers';
+import { executeRpcWithFallback } from '../../config.js';
+import { CONTRACTS, ABIS } from '../config/constants.js';
+import { swapRouter } from './swapRouter.js';
+
+export const VENUES = {
+  UNISWAP_V2: 'UNISWAP_V2',
+  UNISWAP_V3: 'UNISWAP_V3',
+  AERODROME: 'AERODROME'
+};
+
+const VENUE_NAMES = {
+  [VENUES.UNISWAP_V2]: 'Uniswap V2',
+  [VENUES.UNISWAP_V3]: 'Uniswap V3',
+  [VENUES.AERODROME]: 'Aerodrome'
+};
+
+// Uniswap V3 fee tiers on Base, in hundredths of a bip (100 = 0.01%)
+export const V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+// Swap event topic per venue (V3 and Aerodrome emit different Swap signatures than V2)
+const SWAP_TOPICS = {
+  [VENUES.UNISWAP_V2]: ethers.id('Swap(address,uint256,uint256,uint256,uint256,address)'),
+  [VENUES.UNISWAP_V3]: ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)'),
+  [VENUES.AERODROME]: ethers.id('Swap(address,address,uint256,uint256,uint256,uint256)')
+};
+
+// SwapRouter02 recipient meaning "keep the output in the router" (needed before unwrapWETH9)
+const V3_ROUTER_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+// Pool lookups are cached this long (liquidity can be added or pulled at any time)
+const POOL_CACHE_TTL_MS = 60000;
+
+/**
+ * DexVenues - One interface over the Uniswap V2, Uniswap V3 and Aerodrome pools of a token pair
+ * Pools are described as { venue, address, token0, token1, fee, stable, label }
+ */
+export class DexVenues {
+  constructor() {
+    this.poolCache = new Map(); // 'tokenA:tokenB' (sorted, lowercase) → { pools, checkedAt }
+  }
+
+  /**
+   * Human-readable venue name for a pool
+   * @param {Object} pool - Pool descriptor
+   * @returns {string} e.g. "Uniswap V3 0.30%" or "Aerodrome volatile"
+   */
+  describe(pool) {
+    if (pool.venue === VENUES.UNISWAP_V3) {
+      return `${VENUE_NAMES[pool.venue]} ${(pool.fee / 10000).toFixed(2)}%`;
+    }
+    if (pool.venue === VENUES.AERODROME) {
+      return `${VENUE_NAMES[pool.venue]} ${pool.stable ? 'stable' : 'volatile'}`;
+    }
+    return VENUE_NAMES[VENUES.UNISWAP_V2];
+  }
+
+  /**
+   * Build a pool descriptor (token0/token1 follow the address sort order every venue uses)
+   * @param {string} venue - Venue from VENUES
+   * @param {string} address - Pool address
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @param {Object} extra - { fee } for V3, { stable } for Aerodrome
+   * @returns {Object} Pool descriptor
+   * @private
+   */
+  _pool(venue, address, tokenA, tokenB, extra = {}) {
+    const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const pool = { venue, address, token0, token1, fee: null, stable: null, ...extra };
+    return { ...pool, label: this.describe(pool) };
+  }
+
+  /**
+   * Find every pool with liquidity for a token pair
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @param {Array<string>} venues - Venues to search (all by default)
+   * @returns {Promise<Array<Object>>} Pool descriptors
+   */
+  async findPools(tokenA, tokenB, venues = Object.values(VENUES)) {
+    const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':');
+    const cached = this.poolCache.get(key);
+    let pools = cached && Date.now() - cached.checkedAt < POOL_CACHE_TTL_MS ? cached.pools : null;
+
+    if (!pools) {
+      const lookups = await Promise.allSettled([
+        this._findV2Pools(tokenA, tokenB),
+        this._findV3Pools(tokenA, tokenB),
+        this._findAerodromePools(tokenA, tokenB)
+      ]);
+      pools = lookups.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+      this.poolCache.set(key, { pools, checkedAt: Date.now() });
+    }
+
+    return pools.filter(pool => venues.includes(pool.venue));
+  }
+
+  /**
+   * Uniswap V2 pair with reserves
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<Array<Object>>} Zero or one pool descriptor
+   * @private
+   */
+  async _findV2Pools(tokenA, tokenB) {
+    const pairAddress = await swapRouter.getPair(tokenA, tokenB);
+    if (!pairAddress) {
+      return [];
+    }
+
+    const reserves = await executeRpcWithFallback(async (provider) => {
+      const pair = new ethers.Contract(pairAddress, ABIS.UNISWAP_V2_PAIR, provider);
+      return await pair.getReserves();
+    }, 2, 1000);
+
+    return reserves.reserve0 > 0n && reserves.reserve1 > 0n
+      ? [this._pool(VENUES.UNISWAP_V2, pairAddress, tokenA, tokenB)]
+      : [];
+  }
+
+  /**
+   * Uniswap V3 pools with in-range liquidity, one per fee tier
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<Array<Object>>} Pool descriptors
+   * @private
+   */
+  async _findV3Pools(tokenA, tokenB) {
+    return await executeRpcWithFallback(async (provider) => {
+      const factory = new ethers.Contract(CONTRACTS.UNISWAP_V3_FACTORY, ABIS.UNISWAP_V3_FACTORY, provider);
+      const addresses = await Promise.all(V3_FEE_TIERS.map(fee => factory.getPool(tokenA, tokenB, fee)));
+
+      const pools = [];
+      for (let i = 0; i < V3_FEE_TIERS.length; i++) {
+        if (addresses[i] === ethers.ZeroAddress) continue;
+        const liquidity = await new ethers.Contract(addresses[i], ABIS.UNISWAP_V3_POOL, provider).liquidity();
+        if (liquidity > 0n) {
+          pools.push(this._pool(VENUES.UNISWAP_V3, addresses[i], tokenA, tokenB, { fee: V3_FEE_TIERS[i] }));
+        }
+      }
+      return pools;
+    }, 2, 1000);
+  }
+
+  /**
+   * Aerodrome volatile and stable pools with reserves
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<Array<Object>>} Pool descriptors
+   * @private
+   */
+  async _findAerodromePools(tokenA, tokenB) {
+    return await executeRpcWithFallback(async (provider) => {
+      const factory = new ethers.Contract(CONTRACTS.AERODROME_FACTORY, ABIS.AERODROME_FACTORY, provider);
+
+      const pools = [];
+      for (const stable of [false, true]) {
+        const address = await factory.getPool(tokenA, tokenB, stable);
+        if (address === ethers.ZeroAddress) continue;
+        const reserves = await new ethers.Contract(address, ABIS.AERODROME_POOL, provider).getReserves();
+        if (reserves.reserve0 > 0n && reserves.reserve1 > 0n) {
+          pools.push(this._pool(VENUES.AERODROME, address, tokenA, tokenB, { stable }));
+        }
+      }
+      return pools;
+    }, 2, 1000);
+  }
+
+  /**
+   * Quote a single-pool swap on the pool's own venue
+   * @param {Object} pool - Pool descriptor
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Promise<BigInt>} Output amount in wei (after the pool fee)
+   */
+  async quote(pool, amountIn, tokenIn, tokenOut) {
+    return await executeRpcWithFallback(async (provider) => {
+      if (pool.venue === VENUES.UNISWAP_V3) {
+        const quoter = new ethers.Contract(CONTRACTS.UNISWAP_V3_QUOTER, ABIS.UNISWAP_V3_QUOTER, provider);
+        const result = await quoter.quoteExactInputSingle.staticCall({
+          tokenIn,
+          tokenOut,
+          amountIn,
+          fee: pool.fee,
+          sqrtPriceLimitX96: 0
+        });
+        return result.amountOut;
+      }
+
+      if (pool.venue === VENUES.AERODROME) {
+        const router = new ethers.Contract(CONTRACTS.AERODROME_ROUTER, ABIS.AERODROME_ROUTER, provider);
+        const amounts = await router.getAmountsOut(amountIn, this._aerodromeRoutes(pool, tokenIn, tokenOut));
+        return amounts[amounts.length - 1];
+      }
+
+      const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, provider);
+      const amounts = await router.getAmountsOut(amountIn, [tokenIn, tokenOut]);
+      return amounts[amounts.length - 1];
+    }, 2, 1000);
+  }
+
+  /**
+   * Quote every pool of a pair and pick the one with the highest output
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {Array<string>} venues - Venues to consider (all by default)
+   * @returns {Promise<Object>} { pool, amountOut, alternatives: [{ pool, amountOut }] }
+   * @throws {Error} If no pool on the given venues returns a quote
+   */
+  async findBestPool(amountIn, tokenIn, tokenOut, venues = Object.values(VENUES)) {
+    const pools = await this.findPools(tokenIn, tokenOut, venues);
+    const quotes = (await Promise.allSettled(pools.map(async pool => ({
+      pool,
+      amountOut: await this.quote(pool, amountIn, tokenIn, tokenOut)
+    }))))
+      .filter(result => result.status === 'fulfilled' && result.value.amountOut > 0n)
+      .map(result => result.value)
+      .sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+
+    if (quotes.length === 0) {
+      throw new Error(`No ${venues.map(venue => VENUE_NAMES[venue]).join('/')} pool between ${tokenIn.slice(0, 8)}... and ${tokenOut.slice(0, 8)}... returned a quote`);
+    }
+
+    return { ...quotes[0], alternatives: quotes.slice(1) };
+  }
+
+  /**
+   * Best Uniswap V3/Aerodrome pool for a token that has no Uniswap V2 pair with the paired token
+   * (TRUSTSWAP only trades against V2 liquidity, so these tokens have to be swapped on the pool's own venue)
+   * @param {string} tokenAddress - Token address
+   * @param {string} pairedToken - Paired token address (VIRTUAL by default)
+   * @returns {Promise<Object|null>} Pool descriptor, or null when a V2 pair exists or no pool is found
+   */
+  async findVenuePool(tokenAddress, pairedToken = CONTRACTS.VIRTUAL) {
+    if (await swapRouter.getPair(tokenAddress, pairedToken)) {
+      return null;
+    }
+
+    try {
+      // Rank pools by what one paired token buys
+      const best = await this.findBestPool(ethers.parseEther('1'), pairedToken, tokenAddress, [VENUES.UNISWAP_V3, VENUES.AERODROME]);
+      return best.pool;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Current price of a token in the other token of its pool
+   * @param {Object} pool - Pool descriptor
+   * @param {Object} tokenInfo - { address, decimals } of the priced token
+   * @param {Object} provider - Provider to read the pool with
+   * @param {number} pairedDecimals - Decimals of the other pool token
+   * @returns {Promise<number>} Paired tokens per token
+   */
+  async getPoolPrice(pool, tokenInfo, provider, pairedDecimals = 18) {
+    const tokenIsToken0 = pool.token0.toLowerCase() === tokenInfo.address.toLowerCase();
+    const tokenDecimals = Number(tokenInfo.decimals ?? 18);
+    const decimalsScale = 10 ** (tokenDecimals - pairedDecimals);
+
+    if (pool.venue === VENUES.UNISWAP_V3) {
+      const slot0 = await new ethers.Contract(pool.address, ABIS.UNISWAP_V3_POOL, provider).slot0();
+      const sqrtPrice = Number(slot0.sqrtPriceX96) / 2 ** 96;
+      const token1PerToken0 = sqrtPrice * sqrtPrice; // raw units
+      return (tokenIsToken0 ? token1PerToken0 : 1 / token1PerToken0) * decimalsScale;
+    }
+
+    const abi = pool.venue === VENUES.AERODROME ? ABIS.AERODROME_POOL : ABIS.UNISWAP_V2_PAIR;
+    const reserves = await new ethers.Contract(pool.address, abi, provider).getReserves();
+    const tokenReserve = tokenIsToken0 ? reserves.reserve0 : reserves.reserve1;
+    const pairedReserve = tokenIsToken0 ? reserves.reserve1 : reserves.reserve0;
+    return parseFloat(ethers.formatUnits(pairedReserve, pairedDecimals)) / parseFloat(ethers.formatUnits(tokenReserve, tokenDecimals));
+  }
+
+  /**
+   * Swap event topic emitted by pools of a venue
+   * @param {string} venue - Venue from VENUES
+   * @returns {string} Event topic hash
+   */
+  swapTopic(venue = VENUES.UNISWAP_V2) {
+    return SWAP_TOPICS[venue] || SWAP_TOPICS[VENUES.UNISWAP_V2];
+  }
+
+  /**
+   * Token amounts moved by a Swap event, regardless of direction
+   * @param {string} venue - Venue from VENUES
+   * @param {Object} log - Swap event log
+   * @returns {Object} { amount0, amount1 } in wei (always positive)
+   */
+  swapAmounts(venue, log) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    if (venue === VENUES.UNISWAP_V3) {
+      // V3 reports signed pool deltas
+      const [amount0, amount1] = coder.decode(['int256', 'int256', 'uint160', 'uint128', 'int24'], log.data);
+      return { amount0: amount0 < 0n ? -amount0 : amount0, amount1: amount1 < 0n ? -amount1 : amount1 };
+    }
+
+    // V2 and Aerodrome both log amount0In, amount1In, amount0Out, amount1Out
+    const [amount0In, amount1In, amount0Out, amount1Out] = coder.decode(['uint256', 'uint256', 'uint256', 'uint256'], log.data);
+    return { amount0: amount0In + amount0Out, amount1: amount1In + amount1Out };
+  }
+
+  /**
+   * Router that must be approved to spend the input token of a pool swap
+   * @param {Object} pool - Pool descriptor
+   * @returns {string} Router address
+   */
+  spenderFor(pool) {
+    if (pool.venue === VENUES.UNISWAP_V3) return CONTRACTS.UNISWAP_V3_ROUTER;
+    if (pool.venue === VENUES.AERODROME) return CONTRACTS.AERODROME_ROUTER;
+    return CONTRACTS.UNISWAP_V2_ROUTER;
+  }
+
+  /**
+   * Single-hop Aerodrome route
+   * @param {Object} pool - Aerodrome pool descriptor
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Array<Object>} Router routes
+   * @private
+   */
+  _aerodromeRoutes(pool, tokenIn, tokenOut) {
+    return [{ from: tokenIn, to: tokenOut, stable: pool.stable, factory: CONTRACTS.AERODROME_FACTORY }];
+  }
+
+  /**
+   * Send a single-pool swap through the venue's router
+   * @param {Object} signer - Wallet connected to a provider
+   * @param {Object} pool - Pool descriptor
+   * @param {Object} params - Swap parameters
+   * @param {string} params.tokenIn - Input token address (WETH for ETH)
+   * @param {string} params.tokenOut - Output token address (WETH for ETH)
+   * @param {BigInt} params.amountIn - Input amount in wei
+   * @param {BigInt} params.minAmountOut - Minimum output in wei
+   * @param {number} params.deadline - Unix deadline
+   * @param {boolean} params.ethIn - Pay native ETH
+   * @param {boolean} params.ethOut - Receive native ETH
+   * @param {Object} overrides - Gas and nonce overrides
+   * @returns {Promise<Object>} Sent transaction
+   */
+  async swap(signer, pool, { tokenIn, tokenOut, amountIn, minAmountOut, deadline, ethIn = false, ethOut = false }, overrides = {}) {
+    const txOverrides = ethIn ? { ...overrides, value: amountIn } : overrides;
+
+    if (pool.venue === VENUES.UNISWAP_V3) {
+      const router = new ethers.Contract(CONTRACTS.UNISWAP_V3_ROUTER, ABIS.UNISWAP_V3_ROUTER, signer);
+      const calls = [router.interface.encodeFunctionData('exactInputSingle', [{
+        tokenIn,
+        tokenOut,
+        fee: pool.fee,
+        recipient: ethOut ? V3_ROUTER_ADDRESS_THIS : signer.address,
+        amountIn,
+        amountOutMinimum: minAmountOut,
+        sqrtPriceLimitX96: 0
+      }])];
+      if (ethOut) {
+        calls.push(router.interface.encodeFunctionData('unwrapWETH9', [minAmountOut, signer.address]));
+      }
+      return await router.multicall(deadline, calls, txOverrides);
+    }
+
+    if (pool.venue === VENUES.AERODROME) {
+      const router = new ethers.Contract(CONTRACTS.AERODROME_ROUTER, ABIS.AERODROME_ROUTER, signer);
+      const routes = this._aerodromeRoutes(pool, tokenIn, tokenOut);
+      if (ethIn) {
+        return await router.swapExactETHForTokensSupportingFeeOnTransferTokens(minAmountOut, routes, signer.address, deadline, txOverrides);
+      }
+      if (ethOut) {
+        return await router.swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, minAmountOut, routes, signer.address, deadline, txOverrides);
+      }
+      return await router.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, minAmountOut, routes, signer.address, deadline, txOverrides);
+    }
+
+    return await swapRouter.swap(signer, [tokenIn, tokenOut], { amountIn, minAmountOut, deadline, ethIn, ethOut }, overrides);
+  }
+}
+
+// Export singleton instance
+export const dexVenues = new DexVenues();
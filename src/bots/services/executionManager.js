@@ -8,6 +8,10 @@ import { ArgumentParser, ResultProcessor } from '../../parsing/argParser.js';
 import { BuyBot } from '../buy-bot-optimized.js';
 import { SwapExecutor } from './swapExecutor.js';
 import { AmountCalculator } from './amountCalculator.js';
+import { slippageGuard } from './slippageGuard.js';
+import { tokenSafety } from './tokenSafety.js';
+import { priceImpactGuard } from './priceImpactGuard.js';
+import { ExecutionSchedule, EXECUTION_ALGOS } from './executionScheduler.js';
 import { CONTRACTS, DEFAULT_SETTINGS } from '../config/constants.js';
 import { provider } from '../../config.js';
 import { sleep } from '../../utils.js';
@@ -82,11 +86,14 @@ export class ExecutionManager {
       } else if (bidMode && !currencyInfo.isEth) {
         console.log(`    🎯 BID-MODE: Using TRUSTSWAP.swapETHForTokensWithFee`);
         result = await SwapExecutor.executeETHBuy(wallet, tokenInfo, actualAmount, customGasPrice, tracker);
+      } else if (currencyInfo.isVirtual && tokenInfo.venuePool) {
+        // VIRTUAL liquidity on Uniswap V3/Aerodrome (TRUSTSWAP only reaches V2 pools)
+        result = await SwapExecutor.executeVenueBuy(wallet, tokenInfo, actualAmount, customGasPrice, tracker);
       } else if (currencyInfo.isVirtual) {
         // Direct buy with VIRTUAL
         try {
           const buyBot = new BuyBot([wallet], tokenInfo, CONTRACTS.VIRTUAL, DEFAULT_SETTINGS, customGasPrice);
-          result = await buyBot.executeBuy(wallet, actualAmount, DEFAULT_SETTINGS.MAX_SLIPPAGE_PERCENT);
+          result = await buyBot.executeBuy(wallet, actualAmount);
           
           // Ensure result is valid
           if (!result) {
@@ -102,7 +109,8 @@ export class ExecutionManager {
               'VIRTUAL',
               actualAmount,
               tokenInfo.symbol,
-              result.tokensReceived || 0
+              result.tokensReceived || 0,
+              { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
             );
           }
         } catch (buyError) {
@@ -191,6 +199,7 @@ export class ExecutionManager {
         if (!tokenInfo) {
           throw new Error(`Failed to get token info for ${pair.tokenInput}`);
         }
+        await tokenSafety.assertSafe(tokenInfo);
         
         const currencyInfo = await resolver.getCurrencyInfo(pair.currency);
         if (!currencyInfo) {
@@ -319,6 +328,7 @@ export class ExecutionManager {
         if (!tokenInfo) {
           throw new Error(`Failed to get token info for ${pair.tokenInput}`);
         }
+        await tokenSafety.assertSafe(tokenInfo);
         
         const currencyInfo = await resolver.getCurrencyInfo(pair.currency);
         if (!currencyInfo) {
@@ -414,6 +424,7 @@ export class ExecutionManager {
     if (!tokenInfo) {
       throw new Error(`Failed to get token info for ${tokenInput}`);
     }
+    await tokenSafety.assertSafe(tokenInfo);
     console.log(`🔍 Step 4: Token info retrieved successfully`);
     
     console.log(`🔍 Step 5: Getting currency info for ${currency}...`);
@@ -463,9 +474,15 @@ export class ExecutionManager {
       console.log(`📊 Percentage resolution: ${percentage}% of ${walletBalance.toFixed(6)} ${currencyInfo.symbol} = ${resolvedAmount.toFixed(6)} ${currencyInfo.symbol}`);
     }
     
+    // Size the slices so the largest randomized one (1.2x base) stays within the price impact limit;
+    // only direct VIRTUAL buys spend the whole amount in one measurable V2 pool
+    const minTransactions = currencyInfo.isVirtual && !bidMode && !tokenInfo.venuePool
+      ? await priceImpactGuard.minSlices(resolvedAmount, { tokenIn: CONTRACTS.VIRTUAL, tokenOut: tokenInfo.address }, 1.2)
+      : 1;
+    
     // Calculate TWAP parameters
-    console.log(`🔍 ExecutionManager: About to call calculateTWAPParameters(${resolvedAmount}, ${duration}, ${intervals})`);
-    const { numTransactions, baseAmountPerTx, baseDelaySeconds } = AmountCalculator.calculateTWAPParameters(resolvedAmount, duration, intervals);
+    console.log(`🔍 ExecutionManager: About to call calculateTWAPParameters(${resolvedAmount}, ${duration}, ${intervals}, ${minTransactions})`);
+    const { numTransactions, baseAmountPerTx, baseDelaySeconds } = AmountCalculator.calculateTWAPParameters(resolvedAmount, duration, intervals, minTransactions);
     console.log(`🔍 ExecutionManager: calculateTWAPParameters returned: numTransactions=${numTransactions}`);
     
     console.log(`\n🎯 TWAP Configuration:`);
@@ -474,33 +491,33 @@ export class ExecutionManager {
     console.log(`📊 Transactions: ${numTransactions}`);
     console.log(`💵 Base amount per TX: ${AmountCalculator.formatAmount(baseAmountPerTx, currencyInfo.symbol)}`);
     console.log(`⏳ Base delay: ${Math.round(baseDelaySeconds)}s`);
-    console.log(`🛡️ Slippage: ${DEFAULT_SETTINGS.MAX_SLIPPAGE_PERCENT}%`);
+    console.log(`🛡️ Slippage: ${(slippageGuard.getSlippageBps() / 100).toFixed(2)}% (re-quoted before each swap)`);
     
-    const results = [];
-    let remainingAmount = resolvedAmount;
+    const { algo = EXECUTION_ALGOS.TWAP, participationPct = null, priceLimit = null } = twapConfig;
+    const bidEth = bidMode && currencyInfo.isEth;
+    const schedule = new ExecutionSchedule({
+      side: 'buy',
+      algo,
+      totalAmount: resolvedAmount,
+      durationMinutes: duration,
+      slices: numTransactions,
+      tokenInfo,
+      pairedToken: bidEth ? CONTRACTS.WETH : CONTRACTS.VIRTUAL,
+      pairedSymbol: bidEth ? 'ETH' : 'VIRTUAL',
+      inputSymbol: currencyInfo.symbol,
+      inputIsPaired: currencyInfo.isVirtual || bidEth,
+      participationPct,
+      priceLimit,
+      amountJitter: 0.2, // ±20% per transaction
+      delayJitter: 0.3   // ±30% of the base delay
+    });
     
-    for (let i = 0; i < numTransactions && remainingAmount > 0; i++) {
-      // Check for termination signal
-      if (global.isTerminating) {
-        console.log('\n🛑 Termination signal received. Stopping TWAP execution...');
-        break;
-      }
-      
-      console.log(`\n📊 TWAP Transaction ${i + 1}/${numTransactions}`);
-      
-      // Add randomness to amount
-      const currentAmount = AmountCalculator.randomizeAmount(baseAmountPerTx, remainingAmount);
-      
-      if (currentAmount === 0) {
-        console.log('   ⚠️ Amount too small, skipping...');
-        break;
-      }
-      
+    const { results } = await schedule.run(async (currentAmount) => {
       // Random wallet selection
       const wallet = selectedWallets[Math.floor(Math.random() * selectedWallets.length)];
       const walletIndex = selectedWallets.indexOf(wallet);
       
-      const result = await this.executeSingleBuy({
+      return await this.executeSingleBuy({
         wallet,
         walletIndex,
         tokenInfo,
@@ -510,18 +527,7 @@ export class ExecutionManager {
         tracker,
         bidMode
       });
-      
-      results.push(result);
-      remainingAmount -= currentAmount;
-      
-      // Random delay (±30% of base delay)
-      if (i < numTransactions - 1 && remainingAmount > 0) {
-        const randomDelayMultiplier = 0.7 + Math.random() * 0.6; // 0.7 to 1.3
-        const delay = Math.round(baseDelaySeconds * randomDelayMultiplier);
-        console.log(`   ⏳ Next transaction in ${delay}s... (Remaining: ${AmountCalculator.formatAmount(remainingAmount, currencyInfo.symbol)})`);
-        await sleep(delay * 1000);
-      }
-    }
+    });
     
     // Summary
     const successful = results.filter(r => r.success).length;
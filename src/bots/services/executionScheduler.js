@@ -0,0 +1,456 @@
+/**
+ * Execution Scheduler Service
+ * Runs TWAP-mode orders as even TWAP, randomised-interval TWAP, VWAP-like or volume-participation (POV)
+ * schedules, with an optional price limit and PAUSE/RESUME control
+ */
+
+import readline from 'readline';
+import { executeRpcWithFallback } from '../../config.js';
+import { sleep } from '../../utils/common.js';
+import { dexVenues, VENUES } from './dexVenues.js';
+import { wsPriceService } from './websocketPriceService.js';
+
+export const EXECUTION_ALGOS = {
+  TWAP: 'TWAP',
+  RTWAP: 'RTWAP',
+  VWAP: 'VWAP',
+  POV: 'POV'
+};
+
+const ALGO_LABELS = {
+  [EXECUTION_ALGOS.TWAP]: 'TWAP (even intervals)',
+  [EXECUTION_ALGOS.RTWAP]: 'Randomised TWAP',
+  [EXECUTION_ALGOS.VWAP]: 'VWAP (volume profile of the same window yesterday)',
+  [EXECUTION_ALGOS.POV]: 'POV (share of observed pool volume)'
+};
+
+// Randomised TWAP gaps are drawn between these fractions of the even interval, then rescaled to fit the duration
+const RTWAP_GAP_RANGE = [0.3, 1.7];
+
+// Part of a VWAP schedule spread evenly, so buckets that were quiet yesterday still trade a little
+const VWAP_EVEN_SHARE = 0.2;
+
+// Base produces a block every 2 seconds; the VWAP profile is read in getLogs windows of this many blocks
+const BLOCK_TIME_SECONDS = 2;
+const VWAP_LOG_BLOCK_RANGE = 2000;
+
+// POV checks the volume seen since its last slice at least this often
+const POV_MIN_POLL_SECONDS = 15;
+
+// Slices smaller than this are not sent
+const MIN_SLICE_AMOUNT = 0.000001;
+
+/**
+ * ScheduleControl - PAUSE/RESUME for running schedules, read line by line from stdin
+ * The GUI Pause button writes the same commands to the bot process.
+ */
+export class ScheduleControl {
+  constructor() {
+    this.paused = false;
+    this.pausedAt = null;
+    this.pausedMs = 0; // Total paused time, so schedules can push their end time back
+    this._reader = null;
+  }
+
+  /**
+   * Start reading PAUSE/RESUME commands from stdin
+   */
+  listen() {
+    if (this._reader || !process.stdin) {
+      return;
+    }
+    this._reader = readline.createInterface({ input: process.stdin });
+    this._reader.on('line', line => this.handleCommand(line));
+    console.log('⏯️ Send PAUSE or RESUME (or use the Pause button) to hold the schedule between slices');
+  }
+
+  /**
+   * Stop reading stdin so the process can exit when the schedule is done
+   */
+  stopListening() {
+    if (this._reader) {
+      this._reader.close();
+      this._reader = null;
+      process.stdin.pause();
+    }
+  }
+
+  /**
+   * Apply a control command
+   * @param {string} line - Input line (PAUSE or RESUME, case-insensitive)
+   */
+  handleCommand(line) {
+    const command = line.trim().toUpperCase();
+    if (command === 'PAUSE') {
+      this.pause();
+    } else if (command === 'RESUME') {
+      this.resume();
+    }
+  }
+
+  /**
+   * Hold the schedule before its next slice
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.pausedAt = Date.now();
+    console.log('⏸️ Schedule paused - the slice in flight finishes, nothing new is sent until RESUME');
+  }
+
+  /**
+   * Continue a paused schedule
+   */
+  resume() {
+    if (!this.paused) return;
+    const pausedFor = Date.now() - this.pausedAt;
+    this.pausedMs += pausedFor;
+    this.paused = false;
+    this.pausedAt = null;
+    console.log(`▶️ Schedule resumed after ${Math.round(pausedFor / 1000)}s`);
+  }
+
+  /**
+   * Wait until the schedule is resumed (or the bot is stopped)
+   */
+  async waitWhilePaused() {
+    while (this.paused && !global.isTerminating) {
+      await sleep(500);
+    }
+  }
+
+  /**
+   * Sleep for an amount of unpaused time
+   * @param {number} ms - Milliseconds to wait while running
+   */
+  async sleep(ms) {
+    let remaining = ms;
+    while (remaining > 0 && !global.isTerminating) {
+      if (this.paused) {
+        await this.waitWhilePaused();
+        continue;
+      }
+      const step = Math.min(1000, remaining);
+      await sleep(step);
+      remaining -= step;
+    }
+  }
+}
+
+/**
+ * ExecutionSchedule - One TWAP-mode order worked over time by an execution algorithm
+ */
+export class ExecutionSchedule {
+  /**
+   * @param {Object} options - Schedule options
+   * @param {string} options.side - 'buy' or 'sell'
+   * @param {string} options.algo - EXECUTION_ALGOS value
+   * @param {number} options.totalAmount - Input amount to work (currency for buys, tokens for sells)
+   * @param {number} options.durationMinutes - Schedule duration
+   * @param {number} options.slices - Slice count for TWAP, RTWAP and VWAP (POV polls at the same pace)
+   * @param {Object} options.tokenInfo - Traded token { address, symbol, decimals, venuePool }
+   * @param {string} options.pairedToken - Token the pool prices against (VIRTUAL, or WETH in BID-MODE)
+   * @param {string} options.pairedSymbol - Symbol of the paired token
+   * @param {string} options.inputSymbol - Symbol of the input amount
+   * @param {boolean} options.inputIsPaired - Whether the input amount is the paired token (VIRTUAL buys)
+   * @param {number|null} options.participationPct - POV share of observed volume
+   * @param {number|null} options.priceLimit - Buys skip slices above it, sells below it (paired token per token)
+   * @param {number} options.amountJitter - Random ± fraction applied to TWAP slice sizes
+   * @param {number} options.delayJitter - Random ± fraction applied to TWAP gaps
+   */
+  constructor(options) {
+    this.side = options.side;
+    this.algo = options.algo || EXECUTION_ALGOS.TWAP;
+    this.totalAmount = options.totalAmount;
+    this.durationMinutes = options.durationMinutes;
+    this.slices = Math.max(1, options.slices || 1);
+    this.tokenInfo = options.tokenInfo;
+    this.pairedToken = options.pairedToken;
+    this.pairedSymbol = options.pairedSymbol || 'VIRTUAL';
+    this.inputSymbol = options.inputSymbol || 'tokens';
+    this.inputIsPaired = options.inputIsPaired ?? this.side === 'buy';
+    this.participationPct = options.participationPct ?? 10;
+    this.priceLimit = options.priceLimit ?? null;
+    this.amountJitter = options.amountJitter || 0;
+    this.delayJitter = options.delayJitter || 0;
+    this.pool = null;
+  }
+
+  /**
+   * Human-readable algorithm name
+   * @param {string} algo - EXECUTION_ALGOS value
+   * @returns {string} Algorithm label
+   */
+  static describe(algo) {
+    return ALGO_LABELS[algo] || algo;
+  }
+
+  /**
+   * Run the schedule
+   * @param {Function} executeSlice - async (amount, sliceNumber) => executor result with success (and txHash)
+   * @returns {Promise<Object>} { results, filled, skipped, unfilled }
+   * @throws {Error} If the algorithm or price limit cannot be served for this token
+   */
+  async run(executeSlice) {
+    if (this.algo === EXECUTION_ALGOS.POV && this.side === 'buy' && !this.inputIsPaired) {
+      throw new Error(`ALGO-POV buys must spend ${this.pairedSymbol}: pool volume is measured in it, not ${this.inputSymbol}`);
+    }
+    if ([EXECUTION_ALGOS.VWAP, EXECUTION_ALGOS.POV].includes(this.algo) || this.priceLimit !== null) {
+      this.pool = await this._resolvePool();
+    }
+
+    console.log(`🧮 Algorithm: ${ExecutionSchedule.describe(this.algo)}${this.algo === EXECUTION_ALGOS.POV ? ` at ${this.participationPct}%` : ''}`);
+    if (this.priceLimit !== null) {
+      console.log(`🚧 Price limit: ${this.side === 'buy' ? 'skip slices above' : 'skip slices below'} ${this.priceLimit} ${this.pairedSymbol} per ${this.tokenInfo.symbol}`);
+    }
+
+    this.state = { results: [], filled: 0, skipped: 0 };
+    scheduleControl.listen();
+    try {
+      if (this.algo === EXECUTION_ALGOS.POV) {
+        await this._runParticipation(executeSlice);
+      } else {
+        await this._runSlices(await this._plan(), executeSlice);
+      }
+    } finally {
+      scheduleControl.stopListening();
+    }
+
+    const unfilled = Math.max(0, this.totalAmount - this.state.filled);
+    console.log(`🧮 Schedule done: ${this.state.filled.toFixed(6)} of ${this.totalAmount.toFixed(6)} ${this.inputSymbol} filled, ${this.state.skipped} slice(s) skipped`);
+    return { ...this.state, unfilled };
+  }
+
+  /**
+   * Find the pool the price limit, VWAP profile and POV volume are read from
+   * @returns {Promise<Object>} Pool descriptor
+   * @private
+   */
+  async _resolvePool() {
+    if (this.tokenInfo.venuePool) {
+      return this.tokenInfo.venuePool;
+    }
+    const [pool] = await dexVenues.findPools(this.tokenInfo.address, this.pairedToken, [VENUES.UNISWAP_V2]);
+    if (!pool) {
+      throw new Error(`No ${this.tokenInfo.symbol}/${this.pairedSymbol} pool to read prices and volume from`);
+    }
+    return pool;
+  }
+
+  /**
+   * Slice amounts and the gap after each slice for TWAP, RTWAP and VWAP
+   * @returns {Promise<Array<Object>>} [{ amount, gapMs }]
+   * @private
+   */
+  async _plan() {
+    const n = this.slices;
+    const evenGapMs = this.durationMinutes * 60000 / n;
+
+    let weights = Array(n).fill(1 / n);
+    if (this.algo === EXECUTION_ALGOS.VWAP) {
+      weights = await this._volumeProfile(n);
+    }
+
+    let gaps = Array(n).fill(evenGapMs);
+    if (this.algo === EXECUTION_ALGOS.RTWAP && n > 1) {
+      const [low, high] = RTWAP_GAP_RANGE;
+      const draws = Array.from({ length: n - 1 }, () => low + Math.random() * (high - low));
+      const scale = (n - 1) / draws.reduce((sum, draw) => sum + draw, 0);
+      gaps = [...draws.map(draw => draw * scale * evenGapMs), 0];
+    }
+
+    return weights.map((weight, i) => ({ amount: this.totalAmount * weight, gapMs: gaps[i] }));
+  }
+
+  /**
+   * Share of yesterday's swap volume in each slice window of the schedule
+   * @param {number} buckets - Number of slices
+   * @returns {Promise<Array<number>>} Weights summing to 1 (even when no volume could be read)
+   * @private
+   */
+  async _volumeProfile(buckets) {
+    const even = Array(buckets).fill(1 / buckets);
+    try {
+      const windowBlocks = Math.ceil(this.durationMinutes * 60 / BLOCK_TIME_SECONDS);
+      const latest = await executeRpcWithFallback(async (provider) => await provider.getBlockNumber());
+      const fromBlock = latest - Math.ceil(86400 / BLOCK_TIME_SECONDS);
+      const toBlock = fromBlock + windowBlocks;
+      const tokenIsToken0 = this.pool.token0.toLowerCase() === this.tokenInfo.address.toLowerCase();
+      const volumes = Array(buckets).fill(0);
+
+      for (let start = fromBlock; start <= toBlock; start += VWAP_LOG_BLOCK_RANGE) {
+        const end = Math.min(start + VWAP_LOG_BLOCK_RANGE - 1, toBlock);
+        const logs = await executeRpcWithFallback(async (provider) => await provider.getLogs({
+          address: this.pool.address,
+          topics: [dexVenues.swapTopic(this.pool.venue)],
+          fromBlock: start,
+          toBlock: end
+        }), 2, 15000);
+
+        logs.forEach(swapLog => {
+          const { amount0, amount1 } = dexVenues.swapAmounts(this.pool.venue, swapLog);
+          const tokenSide = tokenIsToken0 ? amount0 : amount1;
+          const pairedSide = tokenIsToken0 ? amount1 : amount0;
+          const bucket = Math.min(buckets - 1, Math.floor((swapLog.blockNumber - fromBlock) / windowBlocks * buckets));
+          volumes[bucket] += Number(this.inputIsPaired ? pairedSide : tokenSide);
+        });
+      }
+
+      const total = volumes.reduce((sum, volume) => sum + volume, 0);
+      if (total === 0) {
+        console.log('   ⚠️ VWAP: no swaps in the same window yesterday, using even slices');
+        return even;
+      }
+
+      const weights = volumes.map(volume => (1 - VWAP_EVEN_SHARE) * volume / total + VWAP_EVEN_SHARE / buckets);
+      console.log(`   📊 VWAP profile: ${weights.map(weight => `${(weight * 100).toFixed(1)}%`).join(' ')}`);
+      return weights;
+    } catch (error) {
+      console.log(`   ⚠️ VWAP: volume history unavailable (${error.message}), using even slices`);
+      return even;
+    }
+  }
+
+  /**
+   * Check the pool price against the limit
+   * @returns {Promise<boolean>} True when the slice may be sent
+   * @private
+   */
+  async _priceAllows() {
+    if (this.priceLimit === null) {
+      return true;
+    }
+
+    let price;
+    try {
+      price = await executeRpcWithFallback(async (provider) =>
+        await dexVenues.getPoolPrice(this.pool, this.tokenInfo, provider));
+    } catch (error) {
+      console.log(`   ⏭️ Slice skipped: price unavailable (${error.message})`);
+      return false;
+    }
+
+    const beyond = this.side === 'buy' ? price > this.priceLimit : price < this.priceLimit;
+    if (beyond) {
+      console.log(`   ⏭️ Slice skipped: price ${price.toFixed(10)} is ${this.side === 'buy' ? 'above' : 'below'} the ${this.priceLimit} limit`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Send one slice after the pause and price checks
+   * @param {number} amount - Slice amount
+   * @param {number} sliceNumber - 1-based slice number
+   * @param {Function} executeSlice - Slice executor
+   * @returns {Promise<Object|null>} Executor result, or null when skipped
+   * @private
+   */
+  async _sendSlice(amount, sliceNumber, executeSlice) {
+    await scheduleControl.waitWhilePaused();
+    if (global.isTerminating) {
+      return null;
+    }
+
+    if (!await this._priceAllows()) {
+      this.state.skipped++;
+      return null;
+    }
+
+    const result = await executeSlice(amount, sliceNumber);
+    this.state.results.push(result);
+    if (result.success) {
+      this.state.filled += result.filledAmount ?? amount;
+    }
+    return result;
+  }
+
+  /**
+   * Run a precomputed TWAP, RTWAP or VWAP plan
+   * @param {Array<Object>} plan - [{ amount, gapMs }]
+   * @param {Function} executeSlice - Slice executor
+   * @private
+   */
+  async _runSlices(plan, executeSlice) {
+    let remaining = this.totalAmount;
+
+    for (let i = 0; i < plan.length && remaining > 0; i++) {
+      if (global.isTerminating) {
+        console.log('\n🛑 Termination signal received. Stopping schedule...');
+        break;
+      }
+
+      console.log(`\n📊 Slice ${i + 1}/${plan.length}`);
+
+      const jitter = this.amountJitter ? 1 - this.amountJitter + Math.random() * 2 * this.amountJitter : 1;
+      const amount = Math.min(plan[i].amount * jitter, remaining);
+      if (amount < MIN_SLICE_AMOUNT) {
+        console.log('   ⚠️ Amount too small, skipping...');
+        break;
+      }
+
+      // Skipped slices are not carried over: the limit caps what the schedule buys or sells
+      await this._sendSlice(amount, i + 1, executeSlice);
+      remaining -= amount;
+
+      if (i < plan.length - 1 && remaining > 0 && plan[i].gapMs > 0) {
+        const delayJitter = this.delayJitter ? 1 - this.delayJitter + Math.random() * 2 * this.delayJitter : 1;
+        const delaySeconds = Math.round(plan[i].gapMs * delayJitter / 1000);
+        console.log(`   ⏳ Next slice in ${delaySeconds}s... (Remaining: ${remaining.toFixed(6)} ${this.inputSymbol})`);
+        await scheduleControl.sleep(delaySeconds * 1000);
+      }
+    }
+  }
+
+  /**
+   * Run a POV schedule: each slice is a share of the pool volume seen since the previous one
+   * Our own swaps are left out of the observed volume.
+   * @param {Function} executeSlice - Slice executor
+   * @private
+   */
+  async _runParticipation(executeSlice) {
+    const pending = []; // { transactionHash, volume } seen since the last slice
+    const ownTransactions = new Set();
+    const listenerId = await wsPriceService.startVolumeWatch(this.pool, this.tokenInfo, (swap) => {
+      pending.push({ transactionHash: swap.transactionHash, volume: this.inputIsPaired ? swap.pairedVolume : swap.tokenVolume });
+    });
+
+    const pollMs = Math.max(POV_MIN_POLL_SECONDS * 1000, this.durationMinutes * 60000 / this.slices);
+    const pausedAtStart = scheduleControl.pausedMs;
+    const startedAt = Date.now();
+    const endsAt = () => startedAt + this.durationMinutes * 60000 + (scheduleControl.pausedMs - pausedAtStart);
+    let remaining = this.totalAmount;
+    let sliceNumber = 0;
+
+    try {
+      while (remaining >= MIN_SLICE_AMOUNT && Date.now() < endsAt() && !global.isTerminating) {
+        await scheduleControl.sleep(pollMs);
+        if (global.isTerminating) break;
+
+        const observed = pending.splice(0)
+          .filter(swap => !ownTransactions.has(swap.transactionHash))
+          .reduce((sum, swap) => sum + swap.volume, 0);
+        const amount = Math.min(observed * this.participationPct / 100, remaining);
+        if (amount < MIN_SLICE_AMOUNT) {
+          console.log(`   💤 POV: no outside volume since the last check (remaining ${remaining.toFixed(6)} ${this.inputSymbol})`);
+          continue;
+        }
+
+        sliceNumber++;
+        console.log(`\n📊 POV slice ${sliceNumber}: ${amount.toFixed(6)} ${this.inputSymbol} (${this.participationPct}% of ${observed.toFixed(6)} traded)`);
+        const result = await this._sendSlice(amount, sliceNumber, executeSlice);
+        [result?.txHash, ...(result?.txHashes || [])].filter(Boolean).forEach(hash => ownTransactions.add(hash));
+        remaining -= amount;
+      }
+    } finally {
+      wsPriceService.stopPriceMonitoring(listenerId);
+    }
+
+    if (remaining >= MIN_SLICE_AMOUNT && !global.isTerminating) {
+      console.log(`   ⌛ POV: duration ended with ${remaining.toFixed(6)} ${this.inputSymbol} unfilled`);
+    }
+  }
+}
+
+// Export singleton instance
+export const scheduleControl = new ScheduleControl();
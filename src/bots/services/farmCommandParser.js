@@ -22,7 +22,7 @@ const DEFAULT_SETTINGS = {
 export class FarmCommandParser {
   /**
    * Parse farmbot command arguments
-   * Format: [wallets] <token> <amount> [C-currency] [L-loops] [gas] [BID-MODE]
+   * Format: [wallets] <token> <amount> [C-currency] [L-loops] [gas] [GP-profile] [BID-MODE]
    * @param {string[]} args - Command line arguments
    * @param {Object[]} availableWallets - Available wallets from config
    * @returns {Object} Parsed command object
@@ -34,7 +34,8 @@ export class FarmCommandParser {
     let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
     let { selectedWallets, remainingArgs: afterWallets } = WalletParser.parse(afterBidMode, availableWallets);
     let { customGasPrice, remainingArgs: afterGas } = ArgumentParser.parseGasPrice(afterWallets);
-    let { loops: parsedLoops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterGas, 'farmbot');
+    let { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterGas);
+    let { loops: parsedLoops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterGasProfile, 'farmbot');
     
     // Step 2: Parse single token and amount
     if (afterLoops.length < 2) {
@@ -70,6 +71,9 @@ export class FarmCommandParser {
       amount: parseFloat(amount),
       loops,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
       bidMode,
       // Currency support - C-TOKEN parsing (not currently implemented in farmbot)
       currency: null
@@ -6,7 +6,9 @@
 import { ethers } from 'ethers';
 import { sleep, logWithTimestamp } from '../../utils/index.js';
 import { executeTransactionWithReplacementFee } from '../../config.js';
+import { nonceManager } from '../../providers/nonceManager.js';
 import { providerManager } from '../../providers/manager.js';
+import { TransactionExecutor } from '../../providers/transactionExecutor.js';
 
 const TRANSACTION_TIMEOUT = 5000; // 5 seconds
 
@@ -121,8 +123,9 @@ export class FarmExecutor {
     
     if (virtualAllowance < virtualAmount) {
       console.log(`📝 [${wallet.name}] Approving VIRTUAL for TRUSTSWAP...`);
-      const approvalTx = await virtualContract.approve(trustswapAddress, ethers.MaxUint256, gasParams);
-      await approvalTx.wait();
+      const approvalTx = await nonceManager.send(wallet, nonce => virtualContract.approve(trustswapAddress, ethers.MaxUint256, { ...gasParams, nonce }), 'approve');
+      const approvalReceipt = await approvalTx.wait();
+      TransactionExecutor.recordConfirmed(approvalTx, approvalReceipt);
       console.log(`✅ [${wallet.name}] VIRTUAL approval confirmed: ${approvalTx.hash}`);
     } else {
       console.log(`✅ [${wallet.name}] VIRTUAL already approved`);
@@ -138,8 +141,9 @@ export class FarmExecutor {
     
     if (tokenAllowance < tokenAmount) {
       console.log(`📝 [${wallet.name}] Approving ${tokenInfo.symbol} for TRUSTSWAP...`);
-      const approvalTx = await tokenContract.approve(trustswapAddress, ethers.MaxUint256, gasParams);
-      await approvalTx.wait();
+      const approvalTx = await nonceManager.send(wallet, nonce => tokenContract.approve(trustswapAddress, ethers.MaxUint256, { ...gasParams, nonce }), 'approve');
+      const approvalReceipt = await approvalTx.wait();
+      TransactionExecutor.recordConfirmed(approvalTx, approvalReceipt);
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} approval confirmed: ${approvalTx.hash}`);
     } else {
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} already approved`);
@@ -185,9 +189,9 @@ export class FarmExecutor {
     // Step 3: Check approvals before executing transactions
     await this.checkApprovals(wallet, tokenInfo, amountIn, sellAmount, gasPrice, virtualTokenAddress);
       
-    // Step 4: Get base nonce and execute parallel transactions
+    // Step 4: Reserve two consecutive nonces and execute parallel transactions
     const provider = wallet.provider;
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    const baseNonce = await nonceManager.reserve(wallet.address, provider, 2);
     
     console.log(`⚡ [${wallet.name}] Executing parallel buy/sell with nonces ${baseNonce} and ${baseNonce + 1}...`);
       
@@ -211,7 +215,9 @@ export class FarmExecutor {
             nonce: baseNonce
           }
         ),
-      'buy'
+      'buy',
+      wallet,
+      baseNonce
     );
     
     // Small delay to prevent "replacement fee too low" error
@@ -229,7 +235,9 @@ export class FarmExecutor {
             nonce: baseNonce + 1
           }
       ),
-      'sell'
+      'sell',
+      wallet,
+      baseNonce + 1
     );
     
     // Execute both transactions in parallel
@@ -281,6 +289,8 @@ export class FarmExecutor {
         Promise.all([buyResult.tx.wait(), sellResult.tx.wait()]),
         confirmationTimeout(5000) // 5 second confirmation timeout
       ]);
+      TransactionExecutor.recordConfirmed(buyResult.tx, buyReceipt);
+      TransactionExecutor.recordConfirmed(sellResult.tx, sellReceipt);
     } catch (error) {
       console.log(`⏱️ [${wallet.name}] Confirmation timeout - continuing to next wallet`);
       
@@ -335,15 +345,20 @@ export class FarmExecutor {
    * Execute transaction with timeout wrapper
    * @param {Promise} txPromise - Transaction promise
    * @param {string} txType - Transaction type for logging
+   * @param {Object} wallet - Sending wallet
+   * @param {number} nonce - Nonce reserved for the transaction
    * @returns {Promise<Object>} Result with timeout handling
    */
-  async _executeTransactionWithTimeout(txPromise, txType) {
+  async _executeTransactionWithTimeout(txPromise, txType, wallet, nonce) {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error(`${txType} transaction timeout`)), TRANSACTION_TIMEOUT);
     });
     
+    // Tracked even when it is broadcast after the timeout, so a late transaction still shows up as pending
+    const trackedPromise = nonceManager.trackSend(wallet.address, nonce, txPromise, `farm ${txType}`);
+    
     try {
-      const tx = await Promise.race([txPromise, timeoutPromise]);
+      const tx = await Promise.race([trackedPromise, timeoutPromise]);
       return { tx, timeout: false };
     } catch (error) {
       if (error.message.includes('timeout')) {
@@ -564,9 +579,9 @@ export class FarmExecutor {
     // Step 3: Check approvals before parallel execution
     await this.checkETHApprovals(wallet, tokenInfo, sellAmount, gasPrice);
     
-    // Step 4: Get base nonce and execute parallel transactions (like original farmbot)
+    // Step 4: Reserve two consecutive nonces and execute parallel transactions (like original farmbot)
     const provider = wallet.provider;
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    const baseNonce = await nonceManager.reserve(wallet.address, provider, 2);
     
     console.log(`⚡ [${wallet.name}] Executing parallel ETH buy/sell with nonces ${baseNonce} and ${baseNonce + 1}...`);
     
@@ -589,7 +604,9 @@ export class FarmExecutor {
           nonce: baseNonce
         }
       ),
-      'buy'
+      'buy',
+      wallet,
+      baseNonce
     );
     
     const sellPromise = this._executeTransactionWithTimeout(
@@ -604,7 +621,9 @@ export class FarmExecutor {
           nonce: baseNonce + 1
         }
       ),
-      'sell'
+      'sell',
+      wallet,
+      baseNonce + 1
     );
     
     // Execute both transactions in parallel
@@ -657,6 +676,8 @@ export class FarmExecutor {
         Promise.all([buyResult.tx.wait(), sellResult.tx.wait()]),
         confirmationTimeout(5000) // 5 second confirmation timeout
       ]);
+      TransactionExecutor.recordConfirmed(buyResult.tx, buyReceipt);
+      TransactionExecutor.recordConfirmed(sellResult.tx, sellReceipt);
     } catch (error) {
       console.log(`⏱️ [${wallet.name}] BID-MODE confirmation timeout - continuing to next wallet`);
       
@@ -784,8 +805,9 @@ export class FarmExecutor {
     
     if (tokenAllowance < tokenAmount) {
       console.log(`📝 [${wallet.name}] Approving ${tokenInfo.symbol} for TRUSTSWAP...`);
-      const approvalTx = await tokenContract.approve(trustswapAddress, ethers.MaxUint256, gasParams);
-      await approvalTx.wait();
+      const approvalTx = await nonceManager.send(wallet, nonce => tokenContract.approve(trustswapAddress, ethers.MaxUint256, { ...gasParams, nonce }), 'approve');
+      const approvalReceipt = await approvalTx.wait();
+      TransactionExecutor.recordConfirmed(approvalTx, approvalReceipt);
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} approval confirmed: ${approvalTx.hash}`);
     } else {
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} already approved`);
@@ -818,8 +840,9 @@ export class FarmExecutor {
     
     if (currentAllowance < amount) {
       console.log(`📝 [${wallet.name}] Approving ${tokenInfo.symbol} for sell...`);
-      const approvalTx = await tokenContract.approve(trustswapAddress, ethers.MaxUint256, gasParams);
-      await approvalTx.wait();
+      const approvalTx = await nonceManager.send(wallet, nonce => tokenContract.approve(trustswapAddress, ethers.MaxUint256, { ...gasParams, nonce }), 'approve');
+      const approvalReceipt = await approvalTx.wait();
+      TransactionExecutor.recordConfirmed(approvalTx, approvalReceipt);
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} approved for sell: ${approvalTx.hash}`);
     } else {
       console.log(`✅ [${wallet.name}] ${tokenInfo.symbol} already approved for sell`);
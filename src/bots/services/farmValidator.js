@@ -7,6 +7,7 @@ import { ethers } from 'ethers';
 import { walletsDB, VIRTUAL_TOKEN_ADDRESS } from '../../config/index.js';
 import { TRUSTSWAP_CONTRACT } from '../config/jeetConstants.js';
 import { ERC20_ABI } from '../../config/constants.js';
+import { nonceManager } from '../../providers/nonceManager.js';
 
 export class FarmValidator {
   /**
@@ -201,14 +202,15 @@ export class FarmValidator {
       
       if (allowance === 0n) {
         console.log(`🔓 [${wallet.name}] Approving token for trading...`);
-        const tx = await tokenContract.approve(
+        const tx = await nonceManager.send(wallet.connect(provider), nonce => tokenContract.approve(
           TRUSTSWAP_CONTRACT,
           ethers.MaxUint256,
           {
             gasPrice: ethers.parseUnits('0.02', 'gwei'),
-            gasLimit: 100000
+            gasLimit: 100000,
+            nonce
           }
-        );
+        ), 'approve');
         
         const receipt = await tx.wait();
         console.log(`✅ [${wallet.name}] Token approved: ${receipt.hash}`);
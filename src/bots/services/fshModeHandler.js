@@ -7,6 +7,9 @@ import { ethers } from 'ethers';
 import { Alchemy, Network } from 'alchemy-sdk';
 import { getAlchemyConfig, executeRpcWithFallback } from '../../config.js';
 import { log } from '../../utils.js';
+import { TokenBlacklist } from './tokenBlacklist.js';
+import { dexVenues } from './dexVenues.js';
+import { tokenRegistry } from '../../tokenRegistry.js';
 
 /**
  * FSHModeHandler - Manages Flash Sell All operations
@@ -15,7 +18,6 @@ export class FSHModeHandler {
   constructor() {
     this.VIRTUAL_CA = '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b';
     this.WETH_CA = '0x4200000000000000000000000000000000000006'; // WETH on Base
-    this.EXCLUDED_TOKEN = '0xC841b4eaD3F70bE99472FFdB88E5c3C7aF6A481a'; // TRUST token
     this.MINIMUM_BALANCE = 20; // Minimum token balance to consider (changed from 100 to 20)
     this.POOL_BATCH_SIZE = 20; // Batch size for pool validation
     this.UNISWAP_V2_FACTORY = '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6';
@@ -80,11 +82,6 @@ export class FSHModeHandler {
         return false;
       }
       
-      if (token.contractAddress.toLowerCase() === this.EXCLUDED_TOKEN.toLowerCase()) {
-        excludedTokens.push({ reason: 'TRUST token (excluded)', address: token.contractAddress });
-        return false;
-      }
-      
       return true;
     });
     
@@ -178,8 +175,7 @@ export class FSHModeHandler {
   async getWalletTokenBalancesRpcFallback(walletAddress) {
     try {
       log(`🔄 Using RPC fallback for balance checking...`);
-      const { getAllBaseTokens } = await import('../../baseDatabase.js');
-      const knownTokens = getAllBaseTokens();
+      const knownTokens = tokenRegistry.list();
       
       if (knownTokens.length === 0) {
         log(`❌ No known tokens in database for RPC fallback`);
@@ -197,7 +193,7 @@ export class FSHModeHandler {
         const batch = knownTokens.slice(i, i + this.POOL_BATCH_SIZE);
         const balancePromises = batch.map(async (tokenData) => {
           try {
-            const tokenAddress = tokenData.tokenAddress;
+            const tokenAddress = tokenData.address;
             if (!tokenAddress) {
               return { excluded: true, reason: 'No token address' };
             }
@@ -206,10 +202,6 @@ export class FSHModeHandler {
               return { excluded: true, reason: 'VIRTUAL token (excluded)', symbol: tokenData.symbol };
             }
             
-            if (tokenAddress.toLowerCase() === this.EXCLUDED_TOKEN.toLowerCase()) {
-              return { excluded: true, reason: 'TRUST token (excluded)', symbol: tokenData.symbol };
-            }
-            
             const result = await executeRpcWithFallback(async (provider) => {
               const tokenContract = new ethers.Contract(
                 tokenAddress,
@@ -296,8 +288,7 @@ export class FSHModeHandler {
     if (!tokenAddress || (!this.VIRTUAL_CA && !this.WETH_CA)) return null;
     
     if (tokenAddress.toLowerCase() === this.VIRTUAL_CA.toLowerCase() || 
-        tokenAddress.toLowerCase() === this.WETH_CA.toLowerCase() ||
-        tokenAddress.toLowerCase() === this.EXCLUDED_TOKEN.toLowerCase()) {
+        tokenAddress.toLowerCase() === this.WETH_CA.toLowerCase()) {
       return null;
     }
     
@@ -473,7 +464,15 @@ export class FSHModeHandler {
   async scanWalletForTokensWithPools(wallet, walletIndex) {
     log(`\n📱 Scanning Wallet B${walletIndex + 1}: ${wallet.address.slice(0,8)}...`);
     const tokensWithPools = [];
-    const tokens = await this.getWalletTokenBalances(wallet.address);
+    
+    // Blacklist/allowlist is checked once symbols are known, so ticker entries apply to both balance sources
+    const tokens = (await this.getWalletTokenBalances(wallet.address)).filter(token => {
+      const status = TokenBlacklist.getBlacklistStatus(token.address, token.symbol);
+      if (status.isBlacklisted) {
+        log(`   🚫 ${token.symbol}: skipped - blocked by token ${status.list} (${status.reason})`);
+      }
+      return !status.isBlacklisted;
+    });
     
     if (tokens.length === 0) {
       log("❌ No sellable tokens found");
@@ -488,7 +487,11 @@ export class FSHModeHandler {
       const poolPromises = batch.map(async (token) => {
         try {
           const pairInfo = await this.findUniswapV2Pair(token.address);
-          return { token, pairInfo };
+          // No V2 pool: the VIRTUAL liquidity may sit on Uniswap V3 or Aerodrome instead
+          const venuePool = pairInfo?.isTrustSwapFallback
+            ? await dexVenues.findVenuePool(token.address, this.VIRTUAL_CA).catch(() => null)
+            : null;
+          return { token, pairInfo, venuePool };
         } catch (error) {
           return { token, pairInfo: null, error: error.message };
         }
@@ -497,7 +500,7 @@ export class FSHModeHandler {
       const batchResults = await Promise.allSettled(poolPromises);
       batchResults.forEach((result) => {
         if (result.status === 'fulfilled') {
-          const { token, pairInfo, error } = result.value;
+          const { token, pairInfo, venuePool, error } = result.value;
           
           log(`    🔍 ${token.symbol}: ${token.formattedBalance.toFixed(2)} tokens (${token.address.slice(0,8)}...)`);
           
@@ -510,6 +513,18 @@ export class FSHModeHandler {
             log(`       → Checked VIRTUAL pool: No pool or no liquidity`);
             log(`       → Checked WETH pool: No pool, no liquidity, or <10 WETH reserves`);
             log(`       → Token will be skipped from FSH`);
+          } else if (venuePool && token.formattedBalance >= this.MINIMUM_BALANCE) {
+            tokensWithPools.push({
+              ...token,
+              pairInfo: pairInfo,
+              venuePool: venuePool,
+              walletIndex: walletIndex,
+              useTrustSwapFallback: false,
+              preferredCurrency: 'VIRTUAL'
+            });
+            
+            log(`       ✅ Valid ${venuePool.label} VIRTUAL pool found (${venuePool.address.slice(0,8)}...)`);
+            log(`       → Will sell for VIRTUAL on ${venuePool.label}`);
           } else if (pairInfo.isTrustSwapFallback) {
             const skipReason = pairInfo.skipReason || 'no V2 pool';
             log(`       🔄 TRUSTSWAP fallback - ${skipReason}`);
@@ -2,8 +2,10 @@
 
 import { ethers } from 'ethers';
 import { executeTransactionWithReplacementFee } from '../../config.js';
+import { tradeLedger } from '../../tradeLedger.js';
 import { 
   TRUSTSWAP_ABI, 
+  ERC20_ABI,
   VIRTUAL_TOKEN_ADDRESS,
   DEFAULT_SLIPPAGE
 } from '../config/jeetConstants.js';
@@ -11,6 +13,8 @@ import {
 const TRUSTSWAP_CONTRACT = '0x2FE16B70724Df66419E125dE84e58276057A56A0';
 import { log } from '../../utils/logger.js';
 import { sleep } from '../../utils/common.js';
+import { slippageGuard } from './slippageGuard.js';
+import { dryRun } from '../../providers/dryRun.js';
 
 export class JeetSwapExecutor {
   /**
@@ -31,10 +35,21 @@ export class JeetSwapExecutor {
       
       // Calculate amounts
       const amountIn = ethers.parseUnits(tokenAmount.toString(), tokenInfo.decimals);
-      const slippagePercent = DEFAULT_SLIPPAGE; // 25%
+      const path = [tokenInfo.address, VIRTUAL_TOKEN_ADDRESS];
       
-      // Store the provider and expected output for later use
-      let expectedOut = 0n;
+      // Quote right before signing; S-<bps> overrides the JeetBot default
+      const protection = await slippageGuard.protect(amountIn, path, {
+        slippageBps: slippageGuard.getSlippageBps(DEFAULT_SLIPPAGE),
+        symbolOut: 'VIRTUAL',
+        trustswapAddress: TRUSTSWAP_CONTRACT
+      });
+      const minAmountOut = protection.minAmountOut;
+      
+      // Record VIRTUAL balance before the swap to measure the realised output
+      const virtualContract = new ethers.Contract(VIRTUAL_TOKEN_ADDRESS, ERC20_ABI, wallet);
+      const balanceBefore = await virtualContract.balanceOf(wallet.address);
+      
+      // Store the provider for later use
       let usedProvider = null;
       
       // Execute swap with RPC fallback
@@ -50,17 +65,6 @@ export class JeetSwapExecutor {
           const trustswapContract = new ethers.Contract(TRUSTSWAP_CONTRACT, TRUSTSWAP_ABI, walletWithProvider);
           
           try {
-            // Get expected output with fee
-            const path = [tokenInfo.address, VIRTUAL_TOKEN_ADDRESS];
-            const [amounts, feeAmount] = await trustswapContract.getAmountsOutWithFee(amountIn, path);
-            expectedOut = amounts[amounts.length - 1];
-            
-            // Calculate minimum output with slippage
-            const minAmountOut = expectedOut * BigInt(10000 - slippagePercent) / 10000n;
-            
-            log(`📊 Expected: ${ethers.formatUnits(expectedOut, 18)} VIRTUAL (after 0.25% fee)`);
-            log(`📉 Min output: ${ethers.formatUnits(minAmountOut, 18)} VIRTUAL (${slippagePercent/100}% slippage)`);
-            
             const deadline = Math.floor(Date.now() / 1000) + 1800; // 30 minutes
             
             const swapTx = await trustswapContract.swapForVirtualWithFee(
@@ -71,6 +75,7 @@ export class JeetSwapExecutor {
               {
                 maxFeePerGas: gasParams.maxFeePerGas,
                 maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+                nonce: gasParams.nonce,
                 gasLimit: 350000n
               }
             );
@@ -81,32 +86,27 @@ export class JeetSwapExecutor {
             log(`❌ Contract call failed: ${contractError.message}`);
             throw contractError;
           }
-        }
+        },
+        { wallet, label: 'sell' }
       );
       
       if (swapResult && swapResult.receipt) {
-        // Use the stored expected output or calculate it again with final provider
-        let virtualReceived;
-        if (expectedOut > 0n) {
-          virtualReceived = parseFloat(ethers.formatUnits(expectedOut, 18));
-        } else {
-          // Fallback: calculate again with final provider
-          try {
-            const finalProvider = usedProvider || swapResult.provider;
-            if (finalProvider) {
-              const walletWithProvider = wallet.connect(finalProvider);
-              const trustswapContract = new ethers.Contract(TRUSTSWAP_CONTRACT, TRUSTSWAP_ABI, walletWithProvider);
-              const path = [tokenInfo.address, VIRTUAL_TOKEN_ADDRESS];
-              const [amounts] = await trustswapContract.getAmountsOutWithFee(amountIn, path);
-              virtualReceived = parseFloat(ethers.formatUnits(amounts[amounts.length - 1], 18));
-            } else {
-              virtualReceived = 0; // Fallback value
-            }
-          } catch (fallbackError) {
-            log(`⚠️ Could not calculate received amount: ${fallbackError.message}`);
-            virtualReceived = 0;
-          }
-        }
+        // Calculate VIRTUAL received (the quote stays in the slippage metadata)
+        const balanceAfter = await virtualContract.balanceOf(wallet.address);
+        const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore)), protection.quotedOut);
+        
+        tradeLedger.recordTrade({
+          wallet: wallet.address,
+          spentToken: tokenInfo.symbol,
+          spentAmount: tokenAmount,
+          receivedToken: 'VIRTUAL',
+          receivedAmount: virtualReceived,
+          txHash: swapResult.hash,
+          tokenAddress: tokenInfo.address,
+          direction: 'sell',
+          provider: swapResult.provider,
+          metadata: slippageGuard.toTrackerMetadata(protection)
+        });
         
         return {
           success: true,
@@ -114,7 +114,8 @@ export class JeetSwapExecutor {
           gasUsed: swapResult.receipt.gasUsed.toString(),
           virtualReceived: virtualReceived,
           method: 'TRUSTSWAP-DEFAULT',
-          provider: usedProvider || swapResult.provider
+          provider: usedProvider || swapResult.provider,
+          slippageProtection: protection
         };
       }
       
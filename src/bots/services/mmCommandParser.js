@@ -20,7 +20,12 @@ export class MMCommandParser {
     
     // Step 1: Parse wallet selection and gas
     const { selectedWallets, remainingArgs: afterWallets } = WalletParser.parse(args, tradingWallets);
-    const { customGasPrice, remainingArgs: afterGas } = ArgumentParser.parseGasPrice(afterWallets);
+    const { customGasPrice, remainingArgs: afterGasPrice } = ArgumentParser.parseGasPrice(afterWallets);
+    const { slippageBps, remainingArgs: afterSlippage } = ArgumentParser.parseSlippage(afterGasPrice);
+    const { dryRun, remainingArgs: afterDryRun } = ArgumentParser.parseDryRun(afterSlippage);
+    const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterDryRun);
+    const { maxRiskScore, force, remainingArgs: afterRisk } = ArgumentParser.parseRiskCheck(afterGasProfile);
+    const { forcedVenue, remainingArgs: afterGas } = ArgumentParser.parseVenue(afterRisk);
     
     // Step 2: Extract token (first argument)
     if (afterGas.length < 1) {
@@ -117,7 +122,11 @@ export class MMCommandParser {
     console.log(`   ⏰ Interval: ${checkInterval}s`);
     console.log(`   🔄 Loops: ${normalizedLoops ?? 'INFINITE'}`);
     console.log(`   🎯 Chase Mode: ${chaseMode ? 'ON' : 'OFF'}`);
-    console.log(`   ⛽ Gas: ${customGasPrice || '0.02'} gwei`);
+    console.log(`   ⛽ Gas: ${customGasPrice || '0.02'} gwei${gasProfile ? ` (${gasProfile} profile)` : ''}`);
+    console.log(`   🛡️ Slippage: ${slippageBps ? `${slippageBps} bps` : '15% (default)'}`);
+    console.log(`   🛡️ Max token risk: ${maxRiskScore ?? 'wallets.json default'}${force ? ' (FORCE)' : ''}`);
+    console.log(`   🏁 Venue: ${forcedVenue || 'AUTO (best of TRUSTSWAP / Uniswap V2)'}`);
+    console.log(`   🧪 Dry Run: ${dryRun ? 'ON (nothing will be broadcast)' : 'OFF'}`);
     
     return {
       selectedWallets,
@@ -129,7 +138,15 @@ export class MMCommandParser {
       checkInterval,
       loops: normalizedLoops, // null means infinite
       chaseMode,
-      customGasPrice
+      customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      maxRiskScore,
+      force,
+      forcedVenue,
+      dryRun
     };
   }
   
@@ -141,7 +158,7 @@ export class MMCommandParser {
     console.log('=====================================');
     console.log('');
     console.log('📋 FORMAT:');
-    console.log('  mmbot [wallets] <token> <V-amount> <T-amount> <RL-range> <RH-range> [I-interval] [L-loops] [CHASE] [gas]');
+    console.log('  mmbot [wallets] <token> <V-amount> <T-amount> <RL-range> <RH-range> [I-interval] [L-loops] [CHASE] [S-bps] [VENUE-name] [MAXRISK-score] [FORCE] [DRY-RUN] [gas] [GP-profile]');
     console.log('');
     console.log('👛 WALLET SELECTION:');
     console.log('  • B1 B3 B5 - Use specific wallets');
@@ -172,6 +189,26 @@ export class MMCommandParser {
     console.log('🎯 CHASE MODE:');
     console.log('  • CHASE - Update base price dynamically');
     console.log('');
+    console.log('🛡️ SLIPPAGE:');
+    console.log('  • S-300 - Accept at most 3% below the pre-sign quote');
+    console.log('  • (empty) - 15% for buys and sells');
+    console.log('');
+    console.log('🏁 VENUE:');
+    console.log('  • (empty) / VENUE-AUTO - Quote TRUSTSWAP and the direct Uniswap V2 route, trade on the better one');
+    console.log('  • VENUE-TRUSTSWAP / VENUE-V2 - Always trade on that venue');
+    console.log('');
+    console.log('⛽ GAS PROFILE:');
+    console.log('  • GP-economy / GP-normal / GP-turbo - Fee-history based gas (normal is the default)');
+    console.log('  • MAXFEE-0.5 - Never pay more than 0.5 gwei per gas');
+    console.log('  • MAXRUN-0.002 - Stop trading once this run has spent 0.002 ETH on gas');
+    console.log('');
+    console.log('🛡️ TOKEN SAFETY:');
+    console.log('  • MAXRISK-60 - Refuse to buy tokens with a risk score above 60 (honeypot, tax, ownership, liquidity)');
+    console.log('  • FORCE - Report risky tokens but buy them anyway');
+    console.log('');
+    console.log('🧪 DRY-RUN:');
+    console.log('  • DRY-RUN - Simulate every buy/sell with eth_call/estimateGas, nothing is broadcast');
+    console.log('');
     console.log('📝 EXAMPLES:');
     console.log('  mmbot TRUST V-1% T-2% RL-3% RH-3% I-0.5 L-2');
     console.log('  mmbot B1 B3 TRUST V-100 T-50% RL-2% RH-5% CHASE');
@@ -3,6 +3,8 @@
  * Tracks buy/sell history and manages position tracking
  */
 
+import { tradeLedger } from '../../tradeLedger.js';
+
 /**
  * MMTracker - Tracks market making positions and history
  */
@@ -42,7 +44,7 @@ export class MMTracker {
    * @param {string} walletAddress - Wallet address
    * @param {number} virtualSpent - VIRTUAL amount spent
    * @param {number} tokensReceived - Tokens received
-   * @param {Object} metadata - Additional transaction data
+   * @param {Object} metadata - Additional transaction data (txHash, blockNumber, tokenSymbol, tokenAddress)
    */
   trackBuy(walletAddress, virtualSpent, tokensReceived, metadata = {}) {
     this.initializeWallet(walletAddress);
@@ -78,6 +80,18 @@ export class MMTracker {
       walletAddress,
       ...buyRecord
     });
+
+    tradeLedger.recordTrade({
+      wallet: walletAddress,
+      spentToken: 'VIRTUAL',
+      spentAmount: virtualSpent,
+      receivedToken: metadata.tokenSymbol || 'TOKEN',
+      receivedAmount: tokensReceived,
+      txHash: metadata.txHash,
+      tokenAddress: metadata.tokenAddress,
+      direction: 'buy',
+      metadata: { mode: this.mode }
+    });
     
     return buyRecord;
   }
@@ -87,7 +101,7 @@ export class MMTracker {
    * @param {string} walletAddress - Wallet address
    * @param {number} tokensSold - Tokens sold
    * @param {number} virtualReceived - VIRTUAL received
-   * @param {Object} metadata - Additional transaction data
+   * @param {Object} metadata - Additional transaction data (txHash, blockNumber, tokenSymbol, tokenAddress)
    */
   trackSell(walletAddress, tokensSold, virtualReceived, metadata = {}) {
     this.initializeWallet(walletAddress);
@@ -124,6 +138,18 @@ export class MMTracker {
       walletAddress,
       ...sellRecord
     });
+
+    tradeLedger.recordTrade({
+      wallet: walletAddress,
+      spentToken: metadata.tokenSymbol || 'TOKEN',
+      spentAmount: tokensSold,
+      receivedToken: 'VIRTUAL',
+      receivedAmount: virtualReceived,
+      txHash: metadata.txHash,
+      tokenAddress: metadata.tokenAddress,
+      direction: 'sell',
+      metadata: { mode: this.mode }
+    });
     
     // Check if a loop is completed
     if (position.lastAction === 'buy' && this.statistics.totalBuys === this.statistics.totalSells) {
@@ -0,0 +1,256 @@
+/**
+ * Order Command Parser Service
+ * Parses orderbot command arguments
+ */
+
+import { ArgumentParser } from '../../parsing/index.js';
+import { WalletGroups } from '../../wallets/groups.js';
+
+// EXP- duration units
+const EXPIRY_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * OrderCommandParser - Parses stop-loss / take-profit / trailing-stop and limit buy order commands
+ */
+export class OrderCommandParser {
+  /**
+   * Parse an SL-/TP-/AT- price level
+   * @param {string} value - Level without prefix (10% or 0.0012)
+   * @param {string} label - Level name for errors
+   * @returns {Object} { value, isPercent }
+   */
+  static parseLevel(value, label) {
+    const isPercent = value.endsWith('%');
+    const number = parseFloat(value.replace('%', ''));
+
+    if (isNaN(number) || number <= 0) {
+      throw new Error(`Invalid ${label}: ${value}. Use a percentage (10%) or a price in VIRTUAL (0.0012)`);
+    }
+    // Levels below the current price cannot drop 100% or more
+    if (isPercent && (label === 'SL' || label === 'AT') && number >= 100) {
+      throw new Error(`Invalid ${label} percentage! Must be between 0% and 100%`);
+    }
+
+    return { value: number, isPercent };
+  }
+
+  /**
+   * Parse an EXP- expiry (duration from now or an absolute date)
+   * @param {string} value - Expiry without prefix (30m, 12h, 7d or 2025-06-30T18:00)
+   * @returns {string} Expiry as ISO timestamp
+   */
+  static parseExpiry(value) {
+    const duration = value.match(/^(\d+(?:\.\d+)?)([mhd])$/i);
+    if (duration) {
+      const ms = parseFloat(duration[1]) * EXPIRY_UNITS_MS[duration[2].toLowerCase()];
+      if (ms <= 0) {
+        throw new Error(`Invalid EXP expiry: ${value}. Must be in the future`);
+      }
+      return new Date(Date.now() + ms).toISOString();
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid EXP expiry: ${value}. Use a duration (30m, 12h, 7d) or a date (2025-06-30T18:00)`);
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error(`Invalid EXP expiry: ${value} is in the past`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Parse orderbot command format
+   * @param {Array} args - Command arguments
+   * @returns {Object} Parsed configuration
+   */
+  static parseCommand(args) {
+    console.log('🔍 Parsing orderbot command format...');
+
+    const { customGasPrice, remainingArgs: afterGasPrice } = ArgumentParser.parseGasPrice(args);
+    const { slippageBps, remainingArgs: afterSlippage } = ArgumentParser.parseSlippage(afterGasPrice);
+    const { forcedVenue, remainingArgs: afterVenue } = ArgumentParser.parseVenue(afterSlippage);
+    const { dryRun, remainingArgs: afterDryRun } = ArgumentParser.parseDryRun(afterVenue);
+    const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterDryRun);
+
+    // Wallet selectors keep their B-index so orders can be resumed with the same keys;
+    // groups and tags are resolved now rather than at resume time
+    const expandedArgs = WalletGroups.expandSelectors(afterGasProfile);
+    const walletSelectors = expandedArgs.filter(arg => /^B\d+$/i.test(arg)).map(arg => arg.toUpperCase());
+    const paramArgs = expandedArgs.filter(arg => !/^B\d+$/i.test(arg));
+
+    const config = {
+      mode: 'create',
+      side: 'sell',
+      walletSelectors,
+      token: null,
+      tokenAmount: '100%',
+      stopLoss: null,
+      takeProfit: null,
+      trailingPercent: null,
+      virtualAmount: null,
+      limitPrice: null,
+      expiresAt: null,
+      orderId: null,
+      customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      forcedVenue,
+      dryRun
+    };
+
+    const command = (paramArgs[0] || '').toUpperCase();
+    if (command === 'LIST' || command === 'WATCH') {
+      config.mode = command.toLowerCase();
+      return config;
+    }
+    if (command === 'CANCEL') {
+      if (!paramArgs[1]) {
+        throw new Error('Order id must be specified: orderbot CANCEL <order-id>');
+      }
+      config.mode = 'cancel';
+      config.orderId = paramArgs[1];
+      return config;
+    }
+
+    if (paramArgs.length < 1) {
+      throw new Error('Token symbol must be specified');
+    }
+    config.token = paramArgs[0];
+
+    let hasTokenAmount = false;
+    paramArgs.slice(1).forEach((arg) => {
+      const upper = arg.toUpperCase();
+
+      if (upper.startsWith('BUY-')) {
+        const amount = parseFloat(arg.substring(4));
+        if (isNaN(amount) || amount <= 0) {
+          throw new Error(`Invalid BUY amount: ${arg}. Use BUY-10 for 10 VIRTUAL per wallet`);
+        }
+        config.side = 'buy';
+        config.virtualAmount = amount;
+      } else if (upper.startsWith('AT-')) {
+        config.limitPrice = this.parseLevel(arg.substring(3), 'AT');
+      } else if (upper.startsWith('EXP-')) {
+        config.expiresAt = this.parseExpiry(arg.substring(4));
+      } else if (upper.startsWith('T-')) {
+        const amount = arg.substring(2);
+        const number = parseFloat(amount.replace('%', ''));
+        if (isNaN(number) || number <= 0 || (amount.endsWith('%') && number > 100)) {
+          throw new Error(`Invalid T-amount: ${arg}. Use T-50% or T-1000`);
+        }
+        config.tokenAmount = amount;
+        hasTokenAmount = true;
+      } else if (upper.startsWith('SL-')) {
+        config.stopLoss = this.parseLevel(arg.substring(3), 'SL');
+      } else if (upper.startsWith('TP-')) {
+        config.takeProfit = this.parseLevel(arg.substring(3), 'TP');
+      } else if (upper.startsWith('TS-')) {
+        const trailing = parseFloat(arg.substring(3).replace('%', ''));
+        if (isNaN(trailing) || trailing <= 0 || trailing >= 100) {
+          throw new Error('Invalid TS trailing stop! Must be between 0% and 100%');
+        }
+        config.trailingPercent = trailing;
+      } else {
+        throw new Error(`Unknown orderbot argument: ${arg}`);
+      }
+    });
+
+    const hasSellLevels = config.stopLoss || config.takeProfit || config.trailingPercent;
+    if (config.side === 'buy') {
+      if (!config.limitPrice) {
+        throw new Error('Limit buys need a price: BUY-<virtual> AT-<price or % below current>');
+      }
+      if (hasSellLevels || hasTokenAmount) {
+        throw new Error('BUY- limit orders cannot be combined with T-, SL-, TP- or TS-');
+      }
+    } else if (config.limitPrice) {
+      throw new Error('AT- is only used with BUY-<virtual> limit orders');
+    } else if (!hasSellLevels) {
+      throw new Error('Specify at least one of SL-, TP- or TS- (sell) or BUY- with AT- (limit buy) for the order');
+    }
+
+    const describeLevel = (level) => level ? `${level.value}${level.isPercent ? '%' : ' VIRTUAL'}` : 'none';
+    console.log(`📋 Parsed configuration:`);
+    console.log(`   🪙 Token: ${config.token}`);
+    console.log(`   👛 Wallets: ${walletSelectors.length > 0 ? walletSelectors.join(' ') : 'ALL'}`);
+    if (config.side === 'buy') {
+      console.log(`   🛒 Limit buy: ${config.virtualAmount} VIRTUAL per wallet`);
+      console.log(`   🎯 Limit price (AT): ${config.limitPrice.isPercent ? `${config.limitPrice.value}% below current` : `${config.limitPrice.value} VIRTUAL`}`);
+    } else {
+      console.log(`   🎯 TOKEN Amount: ${config.tokenAmount} per wallet`);
+      console.log(`   🛑 Stop-loss (SL): ${describeLevel(config.stopLoss)}`);
+      console.log(`   💰 Take-profit (TP): ${describeLevel(config.takeProfit)}`);
+      console.log(`   📉 Trailing stop (TS): ${config.trailingPercent ? `${config.trailingPercent}%` : 'none'}`);
+    }
+    console.log(`   ⏰ Expires: ${config.expiresAt || 'never'}`);
+    console.log(`   ⛽ Gas: ${customGasPrice || '0.02'} gwei${gasProfile ? ` (${gasProfile} profile)` : ''}`);
+    console.log(`   🛡️ Slippage: ${slippageBps ? `${slippageBps} bps` : '15% (default)'}`);
+    console.log(`   🏁 Venue: ${forcedVenue || 'AUTO (best of TRUSTSWAP / Uniswap V2)'}`);
+    console.log(`   🧪 Dry Run: ${dryRun ? 'ON (nothing will be broadcast or saved)' : 'OFF'}`);
+
+    return config;
+  }
+
+  /**
+   * Display usage help
+   */
+  static showUsage() {
+    console.log('🎯 ORDERBOT - STOP-LOSS / TAKE-PROFIT / LIMIT BUY ORDERS');
+    console.log('=======================================================');
+    console.log('');
+    console.log('📋 FORMAT:');
+    console.log('  orderbot [wallets] <token> [T-amount] [SL-level] [TP-level] [TS-percent] [EXP-time] [S-bps] [VENUE-name] [DRY-RUN] [gas] [GP-profile]');
+    console.log('  orderbot [wallets] <token> BUY-<virtual> AT-<level> [EXP-time] [S-bps] [VENUE-name] [DRY-RUN] [gas] [GP-profile]');
+    console.log('  orderbot [wallets] WATCH        - Resume watching saved orders');
+    console.log('  orderbot LIST                   - List saved orders');
+    console.log('  orderbot CANCEL <order-id>      - Cancel an active order');
+    console.log('');
+    console.log('👛 WALLET SELECTION:');
+    console.log('  • B1 B3 B5 - One order per wallet');
+    console.log('  • (empty) - All wallets');
+    console.log('');
+    console.log('💰 SIZE (per wallet, measured when the order fires):');
+    console.log('  • T-50% - Sell 50% of the token balance');
+    console.log('  • T-1000 - Sell 1000 tokens');
+    console.log('  • (empty) - Sell 100%');
+    console.log('');
+    console.log('🎯 LEVELS (price in VIRTUAL per token):');
+    console.log('  • SL-10% - Sell when price drops 10% below the current price');
+    console.log('  • SL-0.0012 - Sell when price drops to 0.0012 VIRTUAL');
+    console.log('  • TP-25% - Sell when price rises 25% above the current price');
+    console.log('  • TS-8% - Trailing stop: sell when price falls 8% from its highest point');
+    console.log('  • Levels can be combined; the first one hit sells and closes the order');
+    console.log('');
+    console.log('🛒 LIMIT BUY (per wallet, each wallet fills on its own):');
+    console.log('  • BUY-10 AT-0.0008 - Buy with 10 VIRTUAL when price falls to 0.0008 VIRTUAL');
+    console.log('  • BUY-10 AT-15% - Buy with 10 VIRTUAL when price falls 15% below the current price');
+    console.log('  • A wallet holding less VIRTUAL than BUY- spends what it has (partially filled)');
+    console.log('');
+    console.log('⏰ EXPIRY:');
+    console.log('  • EXP-30m / EXP-12h / EXP-7d - Expire after a duration');
+    console.log('  • EXP-2025-06-30T18:00 - Expire at a date and time');
+    console.log('  • (empty) - Never expires');
+    console.log('');
+    console.log('🏁 VENUE:');
+    console.log('  • (empty) / VENUE-AUTO - Quote TRUSTSWAP and the direct Uniswap V2 route, fill on the better one');
+    console.log('  • VENUE-TRUSTSWAP / VENUE-V2 - Always fill on that venue');
+    console.log('');
+    console.log('⛽ GAS PROFILE:');
+    console.log('  • GP-economy / GP-normal / GP-turbo - Fee-history based gas (normal is the default)');
+    console.log('  • MAXFEE-0.5 - Never pay more than 0.5 gwei per gas');
+    console.log('  • MAXRUN-0.002 - Stop filling once this run has spent 0.002 ETH on gas');
+    console.log('');
+    console.log('📝 EXAMPLES:');
+    console.log('  orderbot B1 B2 TRUST T-50% SL-10% TP-30%');
+    console.log('  orderbot B1 TRUST TS-8%');
+    console.log('  orderbot B1 B2 B3 TRUST BUY-25 AT-20% EXP-24h');
+    console.log('  orderbot B1 B2 WATCH');
+  }
+}
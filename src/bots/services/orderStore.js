@@ -0,0 +1,174 @@
+/**
+ * Order Store Service
+ * Persists conditional orders (stop-loss, take-profit, trailing stop, limit buy) in orders.json next to wallets.json
+ * so they survive app restarts and can be listed/cancelled from the GUI while the orderbot is running
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { withFileLock } from '../../utils/fileLock.js';
+
+// Order lifecycle
+export const ORDER_STATUS = {
+  ACTIVE: 'active',
+  TRIGGERED: 'triggered',
+  FILLED: 'filled',
+  PARTIALLY_FILLED: 'partially-filled',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Orders saved before limit buys existed have no side and are sells
+export const ORDER_SIDE = {
+  BUY: 'buy',
+  SELL: 'sell'
+};
+
+/**
+ * OrderStore - JSON-backed order persistence shared by the orderbot process and the GUI
+ */
+export class OrderStore {
+  /**
+   * Get the orders file path (stored beside wallets.json)
+   * @returns {string} Absolute path to orders.json
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), 'orders.json');
+  }
+
+  /**
+   * Load all orders from disk
+   * @returns {Array<Object>} Orders (empty when the file does not exist yet)
+   */
+  load() {
+    const ordersPath = this.getPath();
+    if (!fs.existsSync(ordersPath)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
+      return Array.isArray(data.orders) ? data.orders : [];
+    } catch (error) {
+      console.log(`⚠️ Could not read orders.json: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write all orders to disk (temp file + rename so readers never see a partial file)
+   * @param {Array<Object>} orders - Orders to persist
+   */
+  save(orders) {
+    const ordersPath = this.getPath();
+    const tempPath = `${ordersPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ orders }, null, 2));
+    fs.renameSync(tempPath, ordersPath);
+  }
+
+  /**
+   * Read-modify-write orders.json under the cross-process lock, so the orderbot and the GUI never
+   * overwrite each other's changes
+   * @param {Function} mutator - (orders) => result, changing orders in place; a falsy result skips the write
+   * @returns {*} Mutator result
+   * @private
+   */
+  _mutate(mutator) {
+    return withFileLock(this.getPath(), () => {
+      const orders = this.load();
+      const result = mutator(orders);
+      if (result) {
+        this.save(orders);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Create a short order id
+   * @returns {string} Order id
+   */
+  createId() {
+    return `ord-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * List orders, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Order status
+   * @param {string} filters.side - Order side (buy or sell)
+   * @param {Array<string>} filters.wallets - Wallet addresses
+   * @returns {Array<Object>} Orders
+   */
+  list(filters = {}) {
+    const wallets = (filters.wallets || []).map(wallet => wallet.toLowerCase());
+
+    return this.load()
+      .filter(order => !filters.status || order.status === filters.status)
+      .filter(order => !filters.side || (order.side || ORDER_SIDE.SELL) === filters.side)
+      .filter(order => wallets.length === 0 || wallets.includes(order.wallet.toLowerCase()))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Add new orders
+   * @param {Array<Object>} orders - Order definitions without id/status
+   * @returns {Array<Object>} Stored orders
+   */
+  add(orders) {
+    const now = new Date().toISOString();
+    const created = orders.map(order => ({
+      id: this.createId(),
+      status: ORDER_STATUS.ACTIVE,
+      createdAt: now,
+      updatedAt: now,
+      ...order
+    }));
+
+    this._mutate(orders => orders.push(...created));
+    return created;
+  }
+
+  /**
+   * Update an order (re-reads the file under the lock so concurrent GUI cancellations are kept)
+   * @param {string} id - Order id
+   * @param {Object} changes - Fields to update
+   * @param {string|null} expectedStatus - Only update while the order still has this status
+   * @returns {Object|null} Updated order, or null if not found or no longer in expectedStatus
+   */
+  update(id, changes, expectedStatus = null) {
+    return this._mutate((orders) => {
+      const order = orders.find(o => o.id === id);
+      if (!order || (expectedStatus && order.status !== expectedStatus)) {
+        return null;
+      }
+
+      Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+      return order;
+    });
+  }
+
+  /**
+   * Cancel an active order
+   * @param {string} id - Order id
+   * @returns {Object} { success, order } or { success: false, error }
+   */
+  cancel(id) {
+    const cancelled = this.update(id, { status: ORDER_STATUS.CANCELLED }, ORDER_STATUS.ACTIVE);
+    if (cancelled) {
+      return { success: true, order: cancelled };
+    }
+
+    const order = this.load().find(o => o.id === id);
+    if (!order) {
+      return { success: false, error: `Order not found: ${id}` };
+    }
+    return { success: false, error: `Order ${id} is ${order.status} and can no longer be cancelled` };
+  }
+}
+
+// Create singleton instance
+export const orderStore = new OrderStore();
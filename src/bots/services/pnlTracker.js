@@ -0,0 +1,344 @@
+/**
+ * PnL Tracker Service
+ * Cost-basis tracking (FIFO or average cost) and realised/unrealised PnL from the trade ledger
+ */
+
+import { tradeLedger } from '../../tradeLedger.js';
+import { provider } from '../../config.js';
+import { PriceMonitor } from './priceMonitor.js';
+import { wsPriceService } from './websocketPriceService.js';
+import { CONTRACTS } from '../config/constants.js';
+import { findPoolWithMetadata } from '../../../find-pool.mjs';
+
+// Cost-basis methods
+export const PNL_METHODS = ['fifo', 'average'];
+
+// Every position is kept in VIRTUAL; ETH legs are converted at the VIRTUAL/ETH price of the trade's block
+export const BASIS_CURRENCY = 'VIRTUAL';
+
+// WebSocket prices older than this are ignored in favour of pool reserves
+const WS_PRICE_MAX_AGE_MS = 60000;
+
+/**
+ * PnLTracker - Builds per-wallet, per-token positions from recorded swaps
+ */
+export class PnLTracker {
+  constructor() {
+    this.poolCache = new Map(); // token address -> { poolAddress, decimals }
+  }
+
+  /**
+   * Normalise a quote currency symbol (WETH and ETH share one basis)
+   * @param {string} symbol - Currency symbol
+   * @returns {string} Quote currency
+   */
+  normalizeQuote(symbol) {
+    const upper = String(symbol).toUpperCase();
+    return upper === 'WETH' ? 'ETH' : upper;
+  }
+
+  /**
+   * Build positions from swaps in execution order
+   * Positions are keyed by wallet and token, so a token bought with ETH and sold for VIRTUAL stays one position.
+   * Each leg's cost or proceeds is converted to the basis currency with the rate at trade time; swaps in a
+   * currency without a rate are counted as unconverted and left out.
+   * @param {Array<Object>} swaps - Ledger swap rows, oldest first
+   * @param {string} method - Cost-basis method: fifo or average
+   * @param {Map<number, number>} rates - Swap id → basis currency per unit of the swap's quote currency
+   * @returns {Array<Object>} Positions with holding, cost basis and realised PnL
+   */
+  calculatePositions(swaps, method = 'fifo', rates = new Map()) {
+    if (!PNL_METHODS.includes(method)) {
+      throw new Error(`Invalid PnL method: ${method}. Use ${PNL_METHODS.join(' or ')}`);
+    }
+
+    const positions = new Map();
+
+    swaps.forEach((swap) => {
+      const isBuy = swap.direction === 'buy';
+      const quote = this.normalizeQuote(isBuy ? swap.spent_token : swap.received_token);
+      const key = `${swap.wallet}:${(swap.token_address || swap.token).toLowerCase()}`;
+      const rate = quote === BASIS_CURRENCY ? 1 : rates.get(swap.id) ?? null;
+
+      if (!positions.has(key)) {
+        positions.set(key, {
+          wallet: swap.wallet,
+          token: swap.token,
+          tokenAddress: swap.token_address || null,
+          quote: BASIS_CURRENCY,
+          method,
+          lots: [],
+          holding: 0,
+          costBasis: 0,
+          bought: 0,
+          spent: 0,
+          sold: 0,
+          proceeds: 0,
+          realisedPnl: 0,
+          untrackedSold: 0,
+          unconverted: 0,
+          buys: 0,
+          sells: 0
+        });
+      }
+
+      const position = positions.get(key);
+      position.tokenAddress = position.tokenAddress || swap.token_address || null;
+
+      if (rate === null) {
+        position.unconverted++;
+        return;
+      }
+
+      if (isBuy) {
+        this.applyBuy(position, swap.received_amount, swap.spent_amount * rate);
+      } else {
+        this.applySell(position, swap.spent_amount, swap.received_amount * rate);
+      }
+    });
+
+    return Array.from(positions.values()).map(({ lots, ...position }) => ({
+      ...position,
+      avgCost: position.holding > 0 ? position.costBasis / position.holding : 0
+    }));
+  }
+
+  /**
+   * Add a buy to a position
+   * @param {Object} position - Position being built
+   * @param {number} amount - Tokens received
+   * @param {number} cost - Basis currency spent
+   */
+  applyBuy(position, amount, cost) {
+    position.buys++;
+    position.bought += amount;
+    position.spent += cost;
+    position.holding += amount;
+    position.costBasis += cost;
+
+    if (position.method === 'fifo') {
+      position.lots.push({ amount, cost });
+    }
+  }
+
+  /**
+   * Remove a sell from a position and realise PnL on the matched amount
+   * Tokens sold beyond the tracked holding (bought outside the bots) have no basis and are excluded
+   * @param {Object} position - Position being built
+   * @param {number} amount - Tokens sold
+   * @param {number} proceeds - Basis currency received
+   */
+  applySell(position, amount, proceeds) {
+    position.sells++;
+    position.sold += amount;
+    position.proceeds += proceeds;
+
+    const matched = Math.min(amount, position.holding);
+    const matchedProceeds = amount > 0 ? proceeds * (matched / amount) : 0;
+    let costRemoved = 0;
+
+    if (position.method === 'fifo') {
+      let remaining = matched;
+      while (remaining > 0 && position.lots.length > 0) {
+        const lot = position.lots[0];
+        const take = Math.min(remaining, lot.amount);
+        const lotCost = lot.cost * (take / lot.amount);
+
+        costRemoved += lotCost;
+        lot.amount -= take;
+        lot.cost -= lotCost;
+        remaining -= take;
+
+        if (lot.amount <= 1e-12) {
+          position.lots.shift();
+        }
+      }
+    } else if (position.holding > 0) {
+      costRemoved = position.costBasis * (matched / position.holding);
+    }
+
+    position.holding -= matched;
+    position.costBasis -= costRemoved;
+    position.realisedPnl += matchedProceeds - costRemoved;
+    position.untrackedSold += amount - matched;
+
+    if (position.holding <= 1e-12) {
+      position.holding = 0;
+      position.costBasis = 0;
+    }
+  }
+
+  /**
+   * Get token price in VIRTUAL, preferring a fresh WebSocket price over pool reserves
+   * @param {string} tokenAddress - Token contract address
+   * @returns {Promise<number|null>} VIRTUAL per token, or null if no pool is found
+   */
+  async getPriceInVirtual(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+
+    if (!this.poolCache.has(key)) {
+      const poolResult = await findPoolWithMetadata(tokenAddress, CONTRACTS.VIRTUAL);
+      this.poolCache.set(key, poolResult.success ? {
+        poolAddress: poolResult.poolAddress,
+        decimals: Number(poolResult.tokenMetadata?.decimals ?? 18)
+      } : null);
+    }
+
+    const pool = this.poolCache.get(key);
+    if (!pool) {
+      return null;
+    }
+
+    const cached = wsPriceService.getLatestPrice(pool.poolAddress);
+    if (cached && Date.now() - cached.timestamp < WS_PRICE_MAX_AGE_MS) {
+      return cached.price;
+    }
+
+    const monitor = new PriceMonitor({ address: tokenAddress, poolAddress: pool.poolAddress, decimals: pool.decimals }, CONTRACTS.VIRTUAL);
+    return await monitor.getCurrentPrice();
+  }
+
+  /**
+   * Get the VIRTUAL/ETH pool price
+   * A historical block needs an archive RPC; without one the current price is used
+   * @param {string|number} blockTag - Block to price at (latest by default)
+   * @returns {Promise<number>} VIRTUAL per ETH
+   */
+  async getVirtualPerEth(blockTag = 'latest') {
+    const monitor = new PriceMonitor({ address: CONTRACTS.WETH, poolAddress: CONTRACTS.ETH_VIRTUAL_POOL, decimals: 18 }, CONTRACTS.VIRTUAL);
+    try {
+      return await monitor.getCurrentPrice(blockTag);
+    } catch (error) {
+      if (blockTag === 'latest') {
+        throw error;
+      }
+      console.log(`⚠️ PnL: no VIRTUAL/ETH price at block ${blockTag} (${error.message.split('\n')[0]}), using the current price`);
+      return await monitor.getCurrentPrice();
+    }
+  }
+
+  /**
+   * Block a swap was mined in (from the ledger row, else from its receipt)
+   * @param {Object} swap - Ledger swap row
+   * @returns {Promise<string|number>} Block number, or latest when it cannot be found
+   */
+  async getTradeBlock(swap) {
+    if (swap.block_number) {
+      return Number(swap.block_number);
+    }
+    if (!swap.tx_hash) {
+      return 'latest';
+    }
+
+    try {
+      const receipt = await provider.getTransactionReceipt(swap.tx_hash);
+      return receipt ? receipt.blockNumber : 'latest';
+    } catch {
+      return 'latest';
+    }
+  }
+
+  /**
+   * Rate at trade time from each swap's quote currency to the basis currency
+   * VIRTUAL legs need no rate and ETH/WETH legs use the VIRTUAL/ETH pool at the trade's block;
+   * other currencies get no rate
+   * @param {Array<Object>} swaps - Ledger swap rows
+   * @returns {Promise<Map<number, number>>} Swap id → VIRTUAL per unit of the quote currency
+   */
+  async getTradeRates(swaps) {
+    const rates = new Map();
+    const ethRates = new Map(); // block → VIRTUAL per ETH
+
+    for (const swap of swaps) {
+      const quote = this.normalizeQuote(swap.direction === 'buy' ? swap.spent_token : swap.received_token);
+      if (quote !== 'ETH') {
+        continue;
+      }
+
+      const blockTag = await this.getTradeBlock(swap);
+      if (!ethRates.has(blockTag)) {
+        ethRates.set(blockTag, await this.getVirtualPerEth(blockTag).catch((error) => {
+          console.log(`⚠️ PnL: could not price ETH in VIRTUAL (${error.message.split('\n')[0]})`);
+          return null;
+        }));
+      }
+      if (ethRates.get(blockTag) !== null) {
+        rates.set(swap.id, ethRates.get(blockTag));
+      }
+    }
+
+    return rates;
+  }
+
+  /**
+   * Mark open positions to the current VIRTUAL pool price
+   * @param {Array<Object>} positions - Positions from calculatePositions()
+   * @returns {Promise<Array<Object>>} Positions with currentPrice, marketValue and unrealisedPnl
+   */
+  async markToMarket(positions) {
+    const prices = new Map();
+
+    for (const position of positions) {
+      position.currentPrice = null;
+      position.marketValue = null;
+      position.unrealisedPnl = null;
+
+      if (position.holding <= 0) {
+        position.unrealisedPnl = 0;
+        continue;
+      }
+      if (!position.tokenAddress) {
+        continue;
+      }
+
+      try {
+        if (!prices.has(position.tokenAddress)) {
+          prices.set(position.tokenAddress, await this.getPriceInVirtual(position.tokenAddress));
+        }
+        const price = prices.get(position.tokenAddress);
+        if (price === null) continue;
+
+        position.currentPrice = price;
+        position.marketValue = position.holding * price;
+        position.unrealisedPnl = position.marketValue - position.costBasis;
+      } catch (error) {
+        console.log(`⚠️ PnL: could not price ${position.token} (${error.message})`);
+      }
+    }
+
+    return positions;
+  }
+
+  /**
+   * Calculate realised and unrealised PnL from the trade ledger
+   * @param {Object} filters - Ledger filters (wallets, token)
+   * @param {string} method - Cost-basis method: fifo or average
+   * @returns {Promise<Object>} { method, positions, totals } with totals in the basis currency
+   */
+  async getPnL(filters = {}, method = 'fifo') {
+    const swaps = tradeLedger.getSwaps(filters);
+    const rates = await this.getTradeRates(swaps);
+    const positions = await this.markToMarket(this.calculatePositions(swaps, method, rates));
+
+    const totals = {};
+    positions.forEach((position) => {
+      if (!totals[position.quote]) {
+        totals[position.quote] = { costBasis: 0, realisedPnl: 0, unrealisedPnl: 0, unpriced: 0, unconverted: 0 };
+      }
+      const total = totals[position.quote];
+      total.costBasis += position.costBasis;
+      total.unconverted += position.unconverted;
+      total.realisedPnl += position.realisedPnl;
+      if (position.unrealisedPnl === null) {
+        total.unpriced++;
+      } else {
+        total.unrealisedPnl += position.unrealisedPnl;
+      }
+    });
+
+    return { method, positions, totals };
+  }
+}
+
+// Export singleton instance
+export const pnlTracker = new PnLTracker();
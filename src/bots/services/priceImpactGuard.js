@@ -0,0 +1,290 @@
+/**
+ * Price Impact Guard Service
+ * Estimates how far an order moves a Uniswap V2 pool from its reserves and splits
+ * or refuses orders above the configured maximum
+ */
+
+import { ethers } from 'ethers';
+import { executeRpcWithFallback } from '../../config.js';
+import { configLoader } from '../../config/loader.js';
+import { PRICE_IMPACT_DEFAULTS } from '../../config/constants.js';
+import { ABIS } from '../config/constants.js';
+import { sleep } from '../../utils/common.js';
+import { swapRouter } from './swapRouter.js';
+
+export const IMPACT_ACTIONS = {
+  EXECUTE: 'execute',
+  SPLIT: 'split',
+  REFUSE: 'refuse'
+};
+
+/**
+ * PriceImpactGuard - Reserve-based price impact estimation and order splitting
+ */
+export class PriceImpactGuard {
+  constructor() {
+    this._config = null;
+  }
+
+  /**
+   * Get price impact configuration from wallets.json (cached)
+   * @returns {Object} Price impact configuration
+   */
+  getConfig() {
+    if (!this._config) {
+      try {
+        this._config = configLoader.getPriceImpactConfig();
+      } catch (error) {
+        console.log(`⚠️ Price impact guard: config unavailable (${error.message}), using defaults`);
+        this._config = { ...PRICE_IMPACT_DEFAULTS };
+      }
+    }
+    return this._config;
+  }
+
+  /**
+   * Read the V2 pair reserves for a swap direction
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Promise<Object|null>} { pairAddress, reserveIn, reserveOut }, or null without a funded V2 pair
+   */
+  async getReserves(tokenIn, tokenOut) {
+    const pairAddress = await swapRouter.getPair(tokenIn, tokenOut);
+    if (!pairAddress) {
+      return null;
+    }
+
+    const [reserves, token0] = await executeRpcWithFallback(async (provider) => {
+      const pair = new ethers.Contract(pairAddress, ABIS.UNISWAP_V2_PAIR, provider);
+      return await Promise.all([pair.getReserves(), pair.token0()]);
+    }, 2, 1000);
+
+    const inIsToken0 = token0.toLowerCase() === tokenIn.toLowerCase();
+    const reserveIn = inIsToken0 ? reserves.reserve0 : reserves.reserve1;
+    const reserveOut = inIsToken0 ? reserves.reserve1 : reserves.reserve0;
+    if (reserveIn === 0n || reserveOut === 0n) {
+      return null;
+    }
+
+    return { pairAddress, reserveIn, reserveOut };
+  }
+
+  /**
+   * Price impact of an input amount: execution price vs the pool mid price (LP fee excluded)
+   * For a constant-product pool this is amountIn / (reserveIn + amountIn).
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {BigInt} reserveIn - Input token reserve in wei
+   * @returns {number} Impact in basis points
+   */
+  impactBps(amountIn, reserveIn) {
+    return Number(amountIn * 10000n / (reserveIn + amountIn));
+  }
+
+  /**
+   * Largest input that stays within an impact limit
+   * @param {BigInt} reserveIn - Input token reserve in wei
+   * @param {number} maxImpactBps - Impact limit in basis points
+   * @returns {BigInt} Maximum input amount in wei
+   */
+  maxAmountIn(reserveIn, maxImpactBps) {
+    return reserveIn * BigInt(maxImpactBps) / BigInt(10000 - maxImpactBps);
+  }
+
+  /**
+   * Convert a decimal amount to wei without NUMERIC_FAULT on long fractions
+   * @param {number} amount - Decimal amount
+   * @param {number} decimals - Token decimals
+   * @returns {BigInt} Amount in wei
+   * @private
+   */
+  _toWei(amount, decimals) {
+    return ethers.parseUnits(parseFloat(amount.toFixed(Math.min(12, decimals))).toString(), decimals);
+  }
+
+  /**
+   * Estimate the price impact of an order
+   * An input that crosses other hops before the measured pool (ETH → VIRTUAL ahead of VIRTUAL/token) is
+   * converted along route.via first, so the impact is that of the amount actually reaching the pool
+   * @param {number} amount - Input amount (decimal)
+   * @param {Object} route - { tokenIn, tokenOut, decimalsIn, via } (via: V2 path from the input to tokenIn)
+   * @returns {Promise<Object|null>} { impactBps, maxAmount, reserveIn, pairAddress, amountWei, poolWei }, or null when there is no V2 pair to measure
+   */
+  async estimate(amount, route) {
+    const { tokenIn, tokenOut, decimalsIn = 18, via = null } = route;
+    const reserves = await this.getReserves(tokenIn, tokenOut);
+    if (!reserves) {
+      return null;
+    }
+
+    const amountWei = this._toWei(amount, decimalsIn);
+    const poolWei = via ? (await swapRouter.quotePath(amountWei, via)).amountOut : amountWei;
+    if (amountWei === 0n || poolWei === 0n) {
+      return null;
+    }
+
+    // The limit is in pool-input units; maxAmount is expressed back in the order's input at the quoted rate
+    const { maxPriceImpactBps } = this.getConfig();
+    const maxAmountWei = this.maxAmountIn(reserves.reserveIn, maxPriceImpactBps) * amountWei / poolWei;
+    return {
+      impactBps: this.impactBps(poolWei, reserves.reserveIn),
+      maxAmount: parseFloat(ethers.formatUnits(maxAmountWei, decimalsIn)),
+      reserveIn: reserves.reserveIn,
+      pairAddress: reserves.pairAddress,
+      amountWei,
+      poolWei
+    };
+  }
+
+  /**
+   * Decide whether an order can go out as-is, must be split, or is refused
+   * @param {number} amount - Input amount (decimal)
+   * @param {Object} route - { tokenIn, tokenOut, decimalsIn, symbolIn, via }
+   * @returns {Promise<Object>} Plan { action, chunks, impactBps, chunkImpactBps, reason }
+   */
+  async plan(amount, route) {
+    const { maxPriceImpactBps, action, maxChunks } = this.getConfig();
+    const symbolIn = route.symbolIn || 'tokens';
+
+    let estimate;
+    try {
+      estimate = await this.estimate(amount, route);
+    } catch (error) {
+      console.log(`   ⚠️ Price impact guard: reserves unavailable (${error.message}), order not checked`);
+      return { action: IMPACT_ACTIONS.EXECUTE, chunks: [amount], impactBps: null };
+    }
+    if (!estimate) {
+      return { action: IMPACT_ACTIONS.EXECUTE, chunks: [amount], impactBps: null };
+    }
+
+    const limit = `${(maxPriceImpactBps / 100).toFixed(2)}%`;
+    console.log(`   📐 Price impact: ${(estimate.impactBps / 100).toFixed(2)}% (limit ${limit})`);
+    if (estimate.impactBps <= maxPriceImpactBps) {
+      return { action: IMPACT_ACTIONS.EXECUTE, chunks: [amount], impactBps: estimate.impactBps };
+    }
+
+    const chunkCount = estimate.maxAmount > 0 ? Math.ceil(amount / estimate.maxAmount) : Infinity;
+    if (action !== IMPACT_ACTIONS.SPLIT || chunkCount > maxChunks) {
+      const reason = action !== IMPACT_ACTIONS.SPLIT
+        ? `impact ${(estimate.impactBps / 100).toFixed(2)}% is above the ${limit} limit`
+        : `impact ${(estimate.impactBps / 100).toFixed(2)}% would need ${chunkCount} chunks (max ${maxChunks}) to stay under ${limit}`;
+      console.log(`   🚫 Price impact guard: order refused - ${reason}`);
+      return {
+        action: IMPACT_ACTIONS.REFUSE,
+        chunks: [],
+        impactBps: estimate.impactBps,
+        reason: `Price impact guard: ${amount} ${symbolIn} refused - ${reason}`
+      };
+    }
+
+    // Split in wei so chunk amounts never carry more decimals than the token has
+    const decimalsIn = route.decimalsIn ?? 18;
+    const amountWei = this._toWei(amount, decimalsIn);
+    const chunkWei = amountWei / BigInt(chunkCount);
+    const chunks = Array.from({ length: chunkCount }, (_, i) =>
+      parseFloat(ethers.formatUnits(i === chunkCount - 1 ? amountWei - chunkWei * BigInt(chunkCount - 1) : chunkWei, decimalsIn))
+    );
+    const chunkImpactBps = this.impactBps(chunkWei * estimate.poolWei / estimate.amountWei, estimate.reserveIn);
+    console.log(`   ✂️ Splitting into ${chunkCount} chunks of ${chunks[0].toFixed(6)} ${symbolIn} (~${(chunkImpactBps / 100).toFixed(2)}% each)`);
+    return {
+      action: IMPACT_ACTIONS.SPLIT,
+      chunks,
+      impactBps: estimate.impactBps,
+      chunkImpactBps
+    };
+  }
+
+  /**
+   * Run an order through the guard: as-is, split into sequential chunks, or refused
+   * @param {number} amount - Input amount (decimal)
+   * @param {Object} route - { tokenIn, tokenOut, decimalsIn, symbolIn, via }
+   * @param {Function} runOrder - async (chunkAmount) => executor result
+   * @param {Array<string>} sumFields - Result fields added up across chunks (amounts spent/received)
+   * @returns {Promise<Object>} Executor result; split orders carry chunkResults, txHashes and filledAmount
+   */
+  async execute(amount, route, runOrder, sumFields = []) {
+    const plan = await this.plan(amount, route);
+
+    if (plan.action === IMPACT_ACTIONS.EXECUTE) {
+      return await runOrder(amount);
+    }
+    if (plan.action === IMPACT_ACTIONS.REFUSE) {
+      return { success: false, reason: 'price_impact', error: plan.reason, priceImpactBps: plan.impactBps };
+    }
+
+    const { chunkDelayMs } = this.getConfig();
+    const chunkResults = [];
+    for (let i = 0; i < plan.chunks.length; i++) {
+      if (global.isTerminating) {
+        console.log('   🛑 Termination signal received, stopping remaining chunks');
+        break;
+      }
+
+      console.log(`   ✂️ Chunk ${i + 1}/${plan.chunks.length}: ${plan.chunks[i].toFixed(6)} ${route.symbolIn || 'tokens'}`);
+      const result = await runOrder(plan.chunks[i]);
+      chunkResults.push({ amount: plan.chunks[i], result });
+      if (!result.success) {
+        console.log(`   ⚠️ Chunk ${i + 1} failed, skipping the remaining ${plan.chunks.length - i - 1}`);
+        break;
+      }
+
+      if (i < plan.chunks.length - 1 && chunkDelayMs > 0) {
+        await sleep(chunkDelayMs);
+      }
+    }
+
+    return this._mergeChunkResults(chunkResults, plan, sumFields);
+  }
+
+  /**
+   * Combine chunk results into one order result
+   * @param {Array<Object>} chunkResults - [{ amount, result }]
+   * @param {Object} plan - Plan from plan()
+   * @param {Array<string>} sumFields - Fields added up across successful chunks
+   * @returns {Object} Merged result (fields of the last successful chunk, summed amounts)
+   * @private
+   */
+  _mergeChunkResults(chunkResults, plan, sumFields) {
+    const filled = chunkResults.filter(chunk => chunk.result.success);
+    if (filled.length === 0) {
+      return { ...chunkResults[0]?.result, success: false, priceImpactBps: plan.impactBps, chunkResults };
+    }
+
+    const merged = { ...filled[filled.length - 1].result };
+    sumFields.forEach(field => {
+      merged[field] = filled.reduce((sum, chunk) => sum + (Number(chunk.result[field]) || 0), 0);
+    });
+
+    return {
+      ...merged,
+      success: true,
+      partial: filled.length < plan.chunks.length,
+      filledAmount: filled.reduce((sum, chunk) => sum + chunk.amount, 0),
+      txHashes: filled.map(chunk => chunk.result.txHash),
+      priceImpactBps: plan.impactBps,
+      chunkResults
+    };
+  }
+
+  /**
+   * Smallest number of TWAP slices that keeps every slice under the impact limit
+   * @param {number} totalAmount - Total input amount (decimal)
+   * @param {Object} route - { tokenIn, tokenOut, decimalsIn }
+   * @param {number} maxSliceMultiplier - Largest slice relative to the average (TWAP randomisation)
+   * @returns {Promise<number>} Minimum slice count (1 when the pool cannot be measured)
+   */
+  async minSlices(totalAmount, route, maxSliceMultiplier = 1) {
+    try {
+      const estimate = await this.estimate(totalAmount, route);
+      if (!estimate || estimate.maxAmount <= 0) {
+        return 1;
+      }
+      return Math.max(1, Math.ceil(totalAmount * maxSliceMultiplier / estimate.maxAmount));
+    } catch (error) {
+      console.log(`   ⚠️ Price impact guard: reserves unavailable (${error.message}), TWAP slices not adjusted`);
+      return 1;
+    }
+  }
+}
+
+// Export singleton instance
+export const priceImpactGuard = new PriceImpactGuard();
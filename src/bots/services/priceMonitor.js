@@ -20,9 +20,10 @@ export class PriceMonitor {
   
   /**
    * Get current price from pool reserves
+   * @param {string|number} blockTag - Block to read the reserves at (latest by default)
    * @returns {number} Current price in VIRTUAL per token
    */
-  async getCurrentPrice() {
+  async getCurrentPrice(blockTag = 'latest') {
     if (!this.tokenInfo.poolAddress) {
       throw new Error('No pool address available for price monitoring');
     }
@@ -38,7 +39,7 @@ export class PriceMonitor {
     );
     
     const [reserves, token0, token1] = await Promise.all([
-      pairContract.getReserves(),
+      pairContract.getReserves({ blockTag }),
       pairContract.token0(),
       pairContract.token1()
     ]);
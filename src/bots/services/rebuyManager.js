@@ -2,7 +2,9 @@
 
 import { ethers } from 'ethers';
 import { executeTransactionWithReplacementFee } from '../../config.js';
-import { ERC20_ABI, TRUSTSWAP_CONTRACT, VIRTUAL_TOKEN_ADDRESS, TRUSTSWAP_ABI } from '../config/jeetConstants.js';
+import { ERC20_ABI, TRUSTSWAP_CONTRACT, VIRTUAL_TOKEN_ADDRESS, TRUSTSWAP_ABI, DEFAULT_SLIPPAGE } from '../config/jeetConstants.js';
+import { slippageGuard } from './slippageGuard.js';
+import { TransactionTracker } from './transactionTracker.js';
 
 import { log } from '../../utils/logger.js';
 import { sleep } from '../../utils/common.js';
@@ -22,6 +24,7 @@ export class RebuyManager {
     this.targetPrice = null; // Price at which to rebuy
     this.running = false;
     this.maxRetries = 3;
+    this.tracker = new TransactionTracker(); // Quoted vs realised output of every rebuy
   }
 
   /**
@@ -479,12 +482,14 @@ export class RebuyManager {
             ethers.MaxUint256, // Unlimited approval
             {
               maxFeePerGas: gasParams.maxFeePerGas,
-              maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas
+              maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce
             }
           );
           
           return tx;
-        }
+        },
+        { wallet, label: 'approve' }
       );
       
       log(`✅ B${walletIndex}: VIRTUAL approval successful! TX: ${result.hash}`);
@@ -575,6 +580,11 @@ export class RebuyManager {
     log(`   ✅ Successful: ${successCount}/${rebuyAmounts.length} wallets`);
     log(`   ❌ Failed: ${rebuyAmounts.length - successCount}/${rebuyAmounts.length} wallets`);
     
+    const slippage = this.tracker.getSlippageStats()[this.tokenInfo.symbol];
+    if (slippage) {
+      log(`   🛡️ Quoted ${slippage.quoted.toFixed(6)} → realised ${slippage.realised.toFixed(6)} ${this.tokenInfo.symbol} (${slippage.deviationPercent >= 0 ? '+' : ''}${slippage.deviationPercent.toFixed(2)}%, worst ${slippage.worstPercent.toFixed(2)}%)`);
+    }
+    
     return {
       success: successCount > 0,
       totalWallets: rebuyAmounts.length,
@@ -585,7 +595,7 @@ export class RebuyManager {
   }
 
   /**
-   * Execute a single rebuy swap using TRUSTSWAP contract
+   * Execute a single rebuy swap using TRUSTSWAP contract, with a quote-derived minimum output
    * @param {Object} wallet - Wallet instance
    * @param {number} virtualAmount - Amount of VIRTUAL to spend
    * @returns {Promise<Object>} Swap result
@@ -595,6 +605,15 @@ export class RebuyManager {
       // Get token balance before transaction
       const tokenContract = new ethers.Contract(this.tokenInfo.address, ERC20_ABI, wallet.connect(provider));
       const tokenBalanceBefore = await tokenContract.balanceOf(wallet.address);
+      const virtualAmountWei = ethers.parseUnits(virtualAmount.toString(), 18);
+      
+      // Quote right before signing; S-<bps> overrides the JeetBot default
+      const protection = await slippageGuard.protect(virtualAmountWei, [VIRTUAL_TOKEN_ADDRESS, this.tokenInfo.address], {
+        slippageBps: slippageGuard.getSlippageBps(DEFAULT_SLIPPAGE),
+        decimalsOut: this.tokenInfo.decimals,
+        symbolOut: this.tokenInfo.symbol,
+        trustswapAddress: TRUSTSWAP_CONTRACT
+      });
       
       const result = await executeTransactionWithReplacementFee(
         async (provider, gasParams) => {
@@ -605,29 +624,38 @@ export class RebuyManager {
           );
           
           const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
-          const virtualAmountWei = ethers.parseUnits(virtualAmount.toString(), 18);
           
           // Execute swap: VIRTUAL -> Token
           const tx = await trustswapContract.swapVirtualWithFee(
             virtualAmountWei,
-            0, // Accept any amount of tokens
+            protection.minAmountOut,
             this.tokenInfo.address,
             deadline,
             {
               maxFeePerGas: gasParams.maxFeePerGas,
-              maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas
+              maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce
             }
           );
           
           // Return the transaction object (not the result)
           return tx;
-        }
+        },
+        { wallet, label: 'rebuy' }
       );
       
       // Calculate tokens received after transaction
       const tokenBalanceAfter = await tokenContract.balanceOf(wallet.address);
       const tokensReceived = parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, this.tokenInfo.decimals));
       
+      this.tracker.addTransaction(wallet.address, 'VIRTUAL', virtualAmount, this.tokenInfo.symbol, tokensReceived, {
+        txHash: result.hash,
+        tokenAddress: this.tokenInfo.address,
+        direction: 'buy',
+        provider: result.provider,
+        ...slippageGuard.toTrackerMetadata(protection)
+      });
+      
       return {
         success: true,
         txHash: result.hash,
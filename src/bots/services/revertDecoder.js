@@ -0,0 +1,268 @@
+/**
+ * Revert Decoder Service
+ * Decodes revert reasons and custom errors of failed swaps and classifies why they failed
+ */
+
+import { ethers } from 'ethers';
+import { ABIS } from '../config/constants.js';
+
+/**
+ * Failure classes, checked in order against the decoded reason
+ * retryable: whether sending the same swap again can succeed
+ */
+export const FAILURE_TYPES = {
+  INSUFFICIENT_OUTPUT: {
+    label: 'insufficient output',
+    retryable: true,
+    hint: 'price moved past the slippage limit before the swap was mined',
+    patterns: [/INSUFFICIENT_OUTPUT_AMOUNT/i, /insufficient output/i, /too little received/i, /slippage/i]
+  },
+  EXPIRED_DEADLINE: {
+    label: 'expired deadline',
+    retryable: true,
+    hint: 'the swap was mined after its deadline',
+    patterns: [/EXPIRED/i, /deadline/i]
+  },
+  ALLOWANCE: {
+    label: 'allowance',
+    retryable: false,
+    hint: 'the router is not approved for this amount; approve the token and run again',
+    patterns: [/ERC20InsufficientAllowance/, /allowance/i, /TRANSFER_FROM_FAILED/i, /SafeERC20FailedOperation/]
+  },
+  BALANCE: {
+    label: 'insufficient balance',
+    retryable: false,
+    hint: 'the wallet holds less than the swap amount',
+    patterns: [/ERC20InsufficientBalance/, /exceeds balance/i, /insufficient balance/i]
+  },
+  TRANSFER_TAX: {
+    label: 'transfer tax',
+    retryable: false,
+    hint: 'the token takes a fee on transfer; raise slippage (S-<bps>) above the tax',
+    patterns: [/UniswapV2: K$/, /TRANSFER_FAILED/i, /INSUFFICIENT_INPUT_AMOUNT/i, /transfer tax/i, /fee on transfer/i]
+  },
+  OUT_OF_GAS: {
+    label: 'out of gas',
+    retryable: false,
+    hint: 'the gas limit was too low for the swap',
+    patterns: [/out of gas/i]
+  },
+  UNKNOWN: {
+    label: 'unknown revert',
+    retryable: true,
+    hint: 'no revert reason matched a known failure',
+    patterns: []
+  }
+};
+
+// Share of the gas limit a reverted receipt must use to count as out of gas
+const OUT_OF_GAS_USAGE_PERCENT = 99n;
+
+/**
+ * RevertDecoder - Revert reason decoding and failure classification for swaps
+ */
+export class RevertDecoder {
+  constructor() {
+    // Swap functions make the interface able to name the call that failed; errors decode the revert data
+    this.interface = new ethers.Interface([...ABIS.TRUSTSWAP, ...ABIS.UNISWAP_V2, ...ABIS.SWAP_ERRORS]);
+    this.failures = []; // Transactions given up on this run, for the final summary
+  }
+
+  /**
+   * Decode revert data into an error name, arguments and readable reason
+   * @param {string} data - Revert data (0x-prefixed)
+   * @returns {Object|null} { name, args, reason } or null when the data does not match a known error
+   */
+  decode(data) {
+    if (!data || data === '0x' || typeof data !== 'string') {
+      return null;
+    }
+
+    try {
+      const parsed = this.interface.parseError(data);
+      if (!parsed) {
+        return null;
+      }
+
+      if (parsed.name === 'Error') {
+        return { name: parsed.name, args: [...parsed.args], reason: parsed.args[0] };
+      }
+      if (parsed.name === 'Panic') {
+        return { name: parsed.name, args: [...parsed.args], reason: `Panic(0x${parsed.args[0].toString(16)})` };
+      }
+
+      const args = [...parsed.args];
+      return { name: parsed.name, args, reason: `${parsed.name}(${args.map(arg => arg.toString()).join(', ')})` };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the revert data carried by an ethers or JSON-RPC error
+   * @param {Error} error - Error thrown by a call, gas estimate or send
+   * @returns {string|null} Revert data
+   */
+  extractRevertData(error) {
+    const candidates = [
+      error?.data,
+      error?.info?.error?.data,
+      error?.error?.data,
+      error?.error?.error?.data
+    ];
+
+    for (const candidate of candidates) {
+      if (typeof candidate === 'string' && candidate.startsWith('0x') && candidate.length >= 10) {
+        return candidate;
+      }
+      if (typeof candidate?.data === 'string' && candidate.data.startsWith('0x')) {
+        return candidate.data;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Classify a revert reason (plus the receipt when the transaction was mined)
+   * @param {string|null} reason - Decoded revert reason or error message
+   * @param {Object} context - Extra context
+   * @param {Object} context.receipt - Reverted receipt
+   * @param {Object} context.tx - Sent transaction (for its gas limit)
+   * @returns {Object} Failure { type, label, retryable, hint, reason }
+   */
+  classify(reason, { receipt = null, tx = null } = {}) {
+    let type = Object.keys(FAILURE_TYPES).find(key =>
+      reason && FAILURE_TYPES[key].patterns.some(pattern => pattern.test(reason))
+    );
+
+    // A revert without a reason that burned the whole gas limit ran out of gas
+    if (!type && receipt?.gasUsed && tx?.gasLimit &&
+        BigInt(receipt.gasUsed) * 100n >= BigInt(tx.gasLimit) * OUT_OF_GAS_USAGE_PERCENT) {
+      type = 'OUT_OF_GAS';
+    }
+
+    const { label, retryable, hint } = FAILURE_TYPES[type || 'UNKNOWN'];
+    return { type: type || 'UNKNOWN', label, retryable, hint, reason: reason || null };
+  }
+
+  /**
+   * Classify an error thrown before or while confirming a transaction
+   * @param {Error} error - Thrown error
+   * @returns {Object|null} Failure, or null when the error is not a revert (network, nonce, gas price)
+   */
+  fromError(error) {
+    if (error?.failure) {
+      return error.failure;
+    }
+
+    const decoded = this.decode(this.extractRevertData(error));
+    const isRevert = decoded || error?.code === 'CALL_EXCEPTION' ||
+      /execution reverted|out of gas/i.test(error?.message || '');
+    if (!isRevert) {
+      return null;
+    }
+
+    return this.classify(decoded?.reason || error.reason || error.shortMessage || error.message, {
+      receipt: error.receipt,
+      tx: error.transaction
+    });
+  }
+
+  /**
+   * Explain a mined revert
+   * Nodes with debug_traceTransaction report the revert exactly as it happened in its block. Otherwise the
+   * transaction is replayed with eth_call on the state before its block, which misses anything mined ahead
+   * of it in the same block (a front-run), so the reason found that way may be missing or differ.
+   * @param {Object} tx - Sent transaction
+   * @param {Object} receipt - Receipt with status 0
+   * @param {Object} provider - Provider to replay with
+   * @returns {Promise<Object>} Failure
+   */
+  async explain(tx, receipt, provider) {
+    let reason = await this._traceReason(receipt.hash || tx.hash, provider);
+
+    if (reason === null) {
+      try {
+        await provider.call({
+          from: tx.from,
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          gasLimit: tx.gasLimit,
+          blockTag: receipt.blockNumber - 1
+        });
+      } catch (error) {
+        const decoded = this.decode(this.extractRevertData(error));
+        reason = decoded?.reason || error.reason || error.shortMessage || null;
+      }
+    }
+
+    return this.classify(reason, { receipt, tx });
+  }
+
+  /**
+   * Revert reason from debug_traceTransaction (callTracer)
+   * @private
+   * @returns {Promise<string|null>} Reason, or null when the node has no debug API
+   */
+  async _traceReason(hash, provider) {
+    if (!hash || typeof provider?.send !== 'function') {
+      return null;
+    }
+
+    try {
+      const trace = await provider.send('debug_traceTransaction', [hash, { tracer: 'callTracer' }]);
+      const decoded = this.decode(trace?.output);
+      return decoded?.reason || trace?.revertReason || trace?.error || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Describe a failure in one line
+   * @param {Object} failure - Failure from classify/explain/fromError
+   * @returns {string} Description
+   */
+  describe(failure) {
+    return `${failure.label}${failure.reason ? ` (${failure.reason})` : ''} - ${failure.hint}`;
+  }
+
+  /**
+   * Remember a transaction the executor gave up on
+   * @param {Object} failure - Failure classification
+   * @param {string|null} label - Transaction label (buy, sell, approve, ...)
+   * @param {string|null} hash - Last broadcast hash, if any
+   */
+  record(failure, label = null, hash = null) {
+    this.failures.push({ ...failure, txLabel: label, hash, failedAt: Date.now() });
+  }
+
+  /**
+   * Display failed transactions grouped by cause (no-op when nothing failed)
+   */
+  displaySummary() {
+    if (this.failures.length === 0) {
+      return;
+    }
+
+    const byType = new Map();
+    this.failures.forEach(failure => {
+      byType.set(failure.type, [...(byType.get(failure.type) || []), failure]);
+    });
+
+    console.log(`\n🧾 FAILED TRANSACTIONS BY CAUSE:`);
+    console.log(`════════════════════════`);
+    for (const [type, failures] of byType) {
+      const { label, hint } = FAILURE_TYPES[type];
+      console.log(`   ❌ ${label}: ${failures.length} - ${hint}`);
+      failures.forEach(failure => {
+        const target = failure.hash ? ` ${failure.hash.slice(0, 10)}...` : '';
+        console.log(`      • ${failure.txLabel || 'transaction'}${target}${failure.reason ? `: ${failure.reason}` : ''}`);
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export const revertDecoder = new RevertDecoder();
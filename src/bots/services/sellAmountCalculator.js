@@ -249,9 +249,10 @@ export class SellAmountCalculator {
     const durationSeconds = duration * 60;
     
     // Use user-specified intervals if provided, otherwise use duration-based calculation
-    const chunks = twapSettings.intervals ? 
+    // (never fewer than twapSettings.minChunks, the count that keeps each chunk under the price impact limit)
+    const chunks = Math.max(twapSettings.minChunks || 1, twapSettings.intervals ? 
       Math.max(1, parseInt(twapSettings.intervals)) : 
-      Math.max(1, Math.floor(durationSeconds / minInterval));
+      Math.max(1, Math.floor(durationSeconds / minInterval)));
       
     const chunkSize = totalAmount / chunks;
     const interval = Math.floor(durationSeconds / chunks);
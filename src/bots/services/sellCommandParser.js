@@ -16,11 +16,16 @@ export class SellCommandParser {
    * @returns {Object} Parsed FSH configuration
    */
   static parseFSHCommand(args) {
-    const fshIndex = args.findIndex(arg => arg.toLowerCase() === 'fsh');
+    // Strip slippage override (S-<bps>), DRY-RUN and gas profile arguments before locating FSH
+    const { slippageBps, remainingArgs: afterSlippage } = ArgumentParser.parseSlippage(args);
+    const { dryRun, remainingArgs: afterDryRun } = ArgumentParser.parseDryRun(afterSlippage);
+    const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: fshArgs } = ArgumentParser.parseGasProfile(afterDryRun);
+    
+    const fshIndex = fshArgs.findIndex(arg => arg.toLowerCase() === 'fsh');
     if (fshIndex === -1) return null;
     
     // Check for BID-MODE
-    let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
+    let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(fshArgs);
     
     // Parse wallets up to FSH
     const walletArgs = afterBidMode.slice(0, fshIndex);
@@ -38,6 +43,11 @@ export class SellCommandParser {
       mode: 'fsh',
       selectedWallets,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      dryRun,
       bidMode
     };
   }
@@ -53,11 +63,16 @@ export class SellCommandParser {
     console.log(`🔍 SellBot TWAP Debug: twapIndex=${twapIndex}, args.length=${args.length}`);
     if (twapIndex === -1 || args.length < twapIndex + 3) return null;
     
-    // Command format: [token] [wallets] twap [amount] [duration] [currency] [gas] [BID-MODE]
+    // Command format: [token] [wallets] twap [amount] [duration] [currency] [gas] [S-bps] [VENUE-name] [ALGO-name] [LIMIT-price] [DRY-RUN] [BID-MODE]
     // Example: TRUST B1 twap 1000 5 BID-MODE
     
-    // Step 1: Parse BID-MODE, wallets and gas from the full args first
-    let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
+    // Step 1: Parse slippage, venue, algorithm, DRY-RUN, gas profile, BID-MODE, wallets and gas from the full args first
+    const { slippageBps, remainingArgs: afterSlippage } = ArgumentParser.parseSlippage(args);
+    const { forcedVenue, remainingArgs: afterVenue } = ArgumentParser.parseVenue(afterSlippage);
+    const { algo, participationPct, priceLimit, remainingArgs: afterAlgo } = ArgumentParser.parseExecutionAlgo(afterVenue);
+    const { dryRun, remainingArgs: afterDryRun } = ArgumentParser.parseDryRun(afterAlgo);
+    const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterDryRun);
+    let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(afterGasProfile);
     const { selectedWallets } = WalletParser.parse(afterBidMode, tradingWallets);
     const { customGasPrice } = ArgumentParser.parseGasPrice(afterBidMode);
     
@@ -135,6 +150,15 @@ export class SellCommandParser {
       intervals, // Add user-specified order count
       currency,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      forcedVenue,
+      algo,
+      participationPct,
+      priceLimit,
+      dryRun,
       bidMode,
       // Add tokenAmountPairs array to prevent errors in validation
       tokenAmountPairs,
@@ -166,6 +190,7 @@ export class SellCommandParser {
       console.log(`   🪙 Token: ${twapConfig.tokenInput}`);
       console.log(`   💰 Amount: ${twapConfig.amount}`);
       console.log(`   ⏱️ Duration: ${twapConfig.duration} minutes`);
+      console.log(`   🧮 Algorithm: ${twapConfig.algo}${twapConfig.participationPct ? ` ${twapConfig.participationPct}%` : ''}${twapConfig.priceLimit ? ` (limit ${twapConfig.priceLimit})` : ''}`);
       console.log(`   💱 Currency: ${twapConfig.currency || 'VIRTUAL'}`);
       console.log(`   ⛽ Gas: ${twapConfig.customGasPrice || '0.02'} gwei`);
       return twapConfig;
@@ -177,7 +202,11 @@ export class SellCommandParser {
     let { bidMode, remainingArgs: afterBidMode } = ArgumentParser.parseBidMode(args);
     const { selectedWallets, remainingArgs: afterWallets } = WalletParser.parse(afterBidMode, tradingWallets);
     const { customGasPrice, remainingArgs: afterGas } = ArgumentParser.parseGasPrice(afterWallets);
-    const { loops: parsedLoops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterGas);
+    const { slippageBps, remainingArgs: afterSlippage } = ArgumentParser.parseSlippage(afterGas);
+    const { forcedVenue, remainingArgs: afterVenue } = ArgumentParser.parseVenue(afterSlippage);
+    const { dryRun, remainingArgs: afterDryRun } = ArgumentParser.parseDryRun(afterVenue);
+    const { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs: afterGasProfile } = ArgumentParser.parseGasProfile(afterDryRun);
+    const { loops: parsedLoops, remainingArgs: afterLoops } = ArgumentParser.parseLoops(afterGasProfile);
     
     // Step 2: Parse slow mode
     let slowMode = false;
@@ -235,6 +264,18 @@ export class SellCommandParser {
     console.log(`   🔄 Loops: ${parsedLoops}`);
     console.log(`   ⚡ Mode: ${slowMode ? 'SEQUENTIAL' : 'PARALLEL'}`);
     console.log(`   ⛽ Gas: ${customGasPrice || '0.02'} gwei`);
+    if (gasProfile) {
+      console.log(`   ⛽ Gas profile: ${gasProfile}`);
+    }
+    if (slippageBps !== null) {
+      console.log(`   🛡️ Slippage: ${slippageBps} bps`);
+    }
+    if (forcedVenue) {
+      console.log(`   🏁 Venue: ${forcedVenue}`);
+    }
+    if (dryRun) {
+      console.log(`   🧪 DRY-RUN: simulating, nothing will be broadcast`);
+    }
     if (bidMode) {
       console.log(`   🎯 BID-MODE: Using bid.json database`);
     }
@@ -247,6 +288,12 @@ export class SellCommandParser {
       currency,
       slowMode,
       customGasPrice,
+      gasProfile,
+      maxFeePerGasGwei,
+      maxRunFeeEth,
+      slippageBps,
+      forcedVenue,
+      dryRun,
       bidMode
     };
   }
@@ -289,9 +336,9 @@ export class SellCommandParser {
     console.log('=====================================================');
     console.log('');
     console.log('📋 FORMATS:');
-    console.log('  sellbot [wallets] [tokens...] [amounts...] [L-loops] [currency] [slow] [gas]');
-    console.log('  sellbot [wallets] [token] twap [amount] [duration] [currency] [gas]');
-    console.log('  sellbot [wallets] fsh [gas]');
+    console.log('  sellbot [wallets] [tokens...] [amounts...] [L-loops] [currency] [slow] [gas] [GP-profile] [S-bps] [VENUE-name] [DRY-RUN]');
+    console.log('  sellbot [wallets] [token] twap [amount] [duration] [currency] [gas] [GP-profile] [S-bps] [VENUE-name] [ALGO-name] [LIMIT-price] [DRY-RUN]');
+    console.log('  sellbot [wallets] fsh [gas] [GP-profile] [S-bps] [DRY-RUN]');
     console.log('');
     console.log('👛 WALLET SELECTION:');
     console.log('  • B1 B3 B5 - Use specific wallets');
@@ -310,6 +357,32 @@ export class SellCommandParser {
     console.log('  • ETH');
     console.log('  • C-TOKEN (e.g., C-VADER)');
     console.log('');
+    console.log('🛡️ SLIPPAGE:');
+    console.log('  • S-300 - Max 3% below the quote taken right before signing');
+    console.log('  • (empty) - Use slippageBasisPoints from wallets.json');
+    console.log('');
+    console.log('🏁 VENUE:');
+    console.log('  • (empty) / VENUE-AUTO - Quote TRUSTSWAP and the direct Uniswap V2 route, sell on the better one');
+    console.log('  • VENUE-TRUSTSWAP / VENUE-V2 - Always sell on that venue');
+    console.log('');
+    console.log('🧮 TWAP ALGORITHM:');
+    console.log('  • (empty) / ALGO-TWAP - Even chunks at even intervals');
+    console.log('  • ALGO-RTWAP - Even chunks at randomised intervals (same total duration)');
+    console.log('  • ALGO-VWAP - Chunks sized by the pool volume of the same window yesterday');
+    console.log('  • ALGO-POV-10 - Each chunk sells 10% of the pool volume traded since the last one');
+    console.log('  • LIMIT-0.0012 - Skip chunks while the price is below 0.0012 VIRTUAL (ETH in BID-MODE)');
+    console.log('  • Type PAUSE / RESUME (or use the Pause button) to hold a running schedule');
+    console.log('');
+    console.log('⛽ GAS PROFILE:');
+    console.log('  • GP-economy / GP-normal / GP-turbo - Fee-history based gas (normal is the default)');
+    console.log('  • GP-custom gas0.05 - Fixed 0.05 gwei max fee');
+    console.log('  • MAXFEE-0.5 - Never pay more than 0.5 gwei per gas on any transaction');
+    console.log('  • MAXRUN-0.002 - Stop sending once this run has spent 0.002 ETH on gas');
+    console.log('');
+    console.log('🧪 DRY-RUN:');
+    console.log('  • DRY-RUN - Simulate every swap with eth_call/estimateGas, nothing is broadcast');
+    console.log('  • Set dryRunForkUrl in wallets.json to run against an Anvil/Hardhat fork instead');
+    console.log('');
     console.log('💥 FSH MODE:');
     console.log('  • Flash sell ALL tokens from ALL wallets');
     console.log('');
@@ -5,9 +5,13 @@
 
 import { ethers } from 'ethers';
 import { SellSwapExecutor } from './sellSwapExecutor.js';
+import { slippageGuard } from './slippageGuard.js';
+import { priceImpactGuard } from './priceImpactGuard.js';
+import { ExecutionSchedule } from './executionScheduler.js';
 import { SellAmountCalculator } from './sellAmountCalculator.js';
 import { FSHModeHandler } from './fshModeHandler.js';
 import { sleep, log } from '../../utils.js';
+import { CONTRACTS } from '../config/constants.js';
 import { ResultProcessor } from '../../parsing/resultProcessor.js';
 
 /**
@@ -91,7 +95,8 @@ export class SellExecutionManager {
                   tokenInfo.symbol,
                   calculated.amount,
                   'ETH',
-                  result.ethReceived
+                  result.ethReceived,
+                  { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
                 );
               }
             } else if (currencyInfo && !currencyInfo.isVirtual) {
@@ -119,7 +124,8 @@ export class SellExecutionManager {
                   tokenInfo.symbol,
                   calculated.amount,
                   'VIRTUAL',
-                  result.virtualReceived
+                  result.virtualReceived,
+                  { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
                 );
               }
             }
@@ -246,7 +252,8 @@ export class SellExecutionManager {
                 tokenInfo.symbol,
                 calculated.amount,
                 'ETH',
-                result.ethReceived
+                result.ethReceived,
+                { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
               );
             }
           } else if (currencyInfo && !currencyInfo.isVirtual) {
@@ -274,7 +281,8 @@ export class SellExecutionManager {
                 tokenInfo.symbol,
                 calculated.amount,
                 'VIRTUAL',
-                result.virtualReceived
+                result.virtualReceived,
+                { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
               );
             }
           }
@@ -324,9 +332,11 @@ export class SellExecutionManager {
    * @param {string} customGasPrice - Custom gas price
    * @param {Object} tracker - Transaction tracker
    * @param {boolean} bidMode - Whether BID-MODE is enabled
+   * @param {number|string} intervals - User-specified chunk count
+   * @param {Object} algorithm - { algo, participationPct, priceLimit } from ALGO-/LIMIT- arguments
    * @returns {Object} Execution results
    */
-  static async executeTWAPSell(selectedWallets, tokenInfo, amountStr, duration, currencyInfo = null, customGasPrice = null, tracker = null, bidMode = false, intervals = null) {
+  static async executeTWAPSell(selectedWallets, tokenInfo, amountStr, duration, currencyInfo = null, customGasPrice = null, tracker = null, bidMode = false, intervals = null, algorithm = {}) {
     log('\n🕐 TWAP EXECUTION MODE');
     log('=====================');
     log(`📊 Token: ${tokenInfo.symbol}`);
@@ -363,38 +373,54 @@ export class SellExecutionManager {
           continue;
         }
         
+        // Smallest chunk count that keeps every chunk within the price impact limit
+        // (BID-MODE ETH sells go token → WETH, everything else starts with token → VIRTUAL)
+        const minChunks = tokenInfo.venuePool ? 1 : await priceImpactGuard.minSlices(calculated.amount, {
+          tokenIn: tokenInfo.address,
+          tokenOut: bidMode && currencyInfo?.isEth ? CONTRACTS.WETH : CONTRACTS.VIRTUAL,
+          decimalsIn: tokenInfo.decimals
+        });
+        
         // Calculate TWAP chunks
         const twapCalc = SellAmountCalculator.calculateTWAPChunks(
           calculated.amount,
           duration,
-          { intervals } // Pass user-specified order count
+          { intervals, minChunks } // Pass user-specified order count
         );
         
         log(`\n💼 Wallet ${wallet.address.slice(0,8)} TWAP sell:`);
         log(`   📊 Total: ${twapCalc.totalAmount.toFixed(6)} ${tokenInfo.symbol}`);
-        log(`   🔢 Chunks: ${twapCalc.chunks}`);
+        log(`   🔢 Chunks: ${twapCalc.chunks}${minChunks > 1 && twapCalc.chunks === minChunks ? ' (raised to stay under the price impact limit)' : ''}`);
         log(`   💰 Per chunk: ${twapCalc.chunkSize.toFixed(6)} ${tokenInfo.symbol}`);
         log(`   ⏱️ Interval: ${twapCalc.interval} seconds`);
         
-        const chunkResults = [];
+        const bidEth = bidMode && currencyInfo && currencyInfo.isEth;
+        const schedule = new ExecutionSchedule({
+          side: 'sell',
+          algo: algorithm.algo,
+          totalAmount: twapCalc.totalAmount,
+          durationMinutes: duration,
+          slices: twapCalc.chunks,
+          tokenInfo,
+          pairedToken: bidEth ? CONTRACTS.WETH : CONTRACTS.VIRTUAL,
+          pairedSymbol: bidEth ? 'ETH' : 'VIRTUAL',
+          inputSymbol: tokenInfo.symbol,
+          inputIsPaired: false,
+          participationPct: algorithm.participationPct,
+          priceLimit: algorithm.priceLimit
+        });
         
-        for (let i = 0; i < twapCalc.chunks; i++) {
-          // Check for termination signal
-          if (global.isTerminating) {
-            log('\n🛑 Termination signal received. Stopping TWAP sell execution...');
-            break;
-          }
-          
-          log(`\n   🔄 Chunk ${i + 1}/${twapCalc.chunks}${bidMode ? ' (BID-MODE)' : ''}...`);
+        const run = await schedule.run(async (chunkAmount, chunkNumber) => {
+          log(`\n   🔄 Chunk ${chunkNumber}${bidMode ? ' (BID-MODE)' : ''}: ${chunkAmount.toFixed(6)} ${tokenInfo.symbol}...`);
           
           let result;
           
           // BID-MODE: Direct Token → ETH swap using TRUSTSWAP
-          if (bidMode && currencyInfo && currencyInfo.isEth) {
+          if (bidEth) {
             result = await SellSwapExecutor.executeETHSell(
               wallet,
               tokenInfo,
-              twapCalc.chunkSize,
+              chunkAmount,
               customGasPrice
             );
             
@@ -402,9 +428,10 @@ export class SellExecutionManager {
               tracker.addTransaction(
                 wallet.address,
                 tokenInfo.symbol,
-                twapCalc.chunkSize,
+                chunkAmount,
                 'ETH',
-                result.ethReceived
+                result.ethReceived,
+                { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
               );
             }
           } else if (currencyInfo && !currencyInfo.isVirtual) {
@@ -412,7 +439,7 @@ export class SellExecutionManager {
               wallet,
               tokenInfo,
               currencyInfo,
-              twapCalc.chunkSize,
+              chunkAmount,
               customGasPrice,
               tracker
             );
@@ -420,7 +447,7 @@ export class SellExecutionManager {
             result = await SellSwapExecutor.executeDirectSellToVirtual(
               wallet,
               tokenInfo,
-              twapCalc.chunkSize,
+              chunkAmount,
               customGasPrice
             );
             
@@ -428,25 +455,22 @@ export class SellExecutionManager {
               tracker.addTransaction(
                 wallet.address,
                 tokenInfo.symbol,
-                twapCalc.chunkSize,
+                chunkAmount,
                 'VIRTUAL',
-                result.virtualReceived
+                result.virtualReceived,
+                { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
               );
             }
           }
           
-          chunkResults.push({
-            chunk: i + 1,
-            success: result.success,
-            result
-          });
-          
-          // Wait for interval (except after last chunk)
-          if (i < twapCalc.chunks - 1) {
-            log(`   ⏳ Waiting ${twapCalc.interval} seconds...`);
-            await sleep(twapCalc.interval * 1000);
-          }
-        }
+          return result;
+        });
+        
+        const chunkResults = run.results.map((result, i) => ({
+          chunk: i + 1,
+          success: result.success,
+          result
+        }));
         
         const successfulChunks = chunkResults.filter(r => r.success).length;
         
@@ -456,7 +480,9 @@ export class SellExecutionManager {
           totalAmount: twapCalc.totalAmount,
           chunks: twapCalc.chunks,
           successfulChunks,
-          failedChunks: twapCalc.chunks - successfulChunks,
+          failedChunks: chunkResults.length - successfulChunks,
+          skippedChunks: run.skipped,
+          unfilledAmount: run.unfilled,
           chunkResults
         });
         
@@ -527,13 +553,16 @@ export class SellExecutionManager {
               }
             };
             
-            const result = await SellSwapExecutor.executeFSHTrustSwap(
-              wallet,
-              tokenInfo,
-              tokenInfo.formattedBalance * 0.999, // Sell 99.9%
-              customGasPrice,
-              fshConfig
-            );
+            // Tokens found on a Uniswap V3/Aerodrome pool are sold there (TRUSTSWAP only reaches V2)
+            const result = tokenInfo.venuePool
+              ? await SellSwapExecutor.executeVenueSell(wallet, tokenInfo, tokenInfo.formattedBalance * 0.999, customGasPrice)
+              : await SellSwapExecutor.executeFSHTrustSwap(
+                wallet,
+                tokenInfo,
+                tokenInfo.formattedBalance * 0.999, // Sell 99.9%
+                customGasPrice,
+                fshConfig
+              );
             
             if (result.success && tracker) {
               tracker.addTransaction(
@@ -541,7 +570,8 @@ export class SellExecutionManager {
                 tokenInfo.symbol,
                 tokenInfo.formattedBalance,
                 'VIRTUAL',
-                result.virtualReceived
+                result.virtualReceived,
+                { txHash: result.txHash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(result.slippageProtection) }
               );
             }
             
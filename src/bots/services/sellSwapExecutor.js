@@ -7,12 +7,20 @@ import { ethers } from 'ethers';
 import { executeTransactionWithReplacementFee, executeRpcWithFallback } from '../../config.js';
 import { log } from '../../utils.js';
 import { gasPriceService } from '../../providers/gasPriceService.js';
+import { slippageGuard } from './slippageGuard.js';
+import { dryRun } from '../../providers/dryRun.js';
+import { TransactionExecutor } from '../../providers/transactionExecutor.js';
+import { swapRouter } from './swapRouter.js';
+import { dexVenues } from './dexVenues.js';
+import { bestExecution } from './bestExecution.js';
+import { priceImpactGuard } from './priceImpactGuard.js';
 
 // Constants
 const CONTRACTS = {
   TRUSTSWAP: '0x74fa2835311Da3118BF2971Fa11E8070e4ff1693',
   VIRTUAL: '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b',
-  WETH: '0x4200000000000000000000000000000000000006'
+  WETH: '0x4200000000000000000000000000000000000006',
+  UNISWAP_V2_ROUTER: '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24'
 };
 
 const TRUSTSWAP_ABI = [
@@ -67,9 +75,11 @@ export class SellSwapExecutor {
           return await tokenContract.approve(spenderAddress, ethers.MaxUint256, {
             maxFeePerGas: gasParams.maxFeePerGas,
             maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
             gasLimit: 200000n
           });
-        }
+        },
+        { wallet, label: 'approve' }
       );
       
       console.log(`   ✅ ${tokenSymbol} UNLIMITED approval confirmed: ${approvalResult.hash}`);
@@ -100,6 +110,10 @@ export class SellSwapExecutor {
       
       const tokenAmountWei = ethers.parseUnits(tokenAmount.toString(), tokenInfo.decimals);
       
+      // Reference quote before approval so pool movement while approving is detected
+      const quotePath = [tokenInfo.address, CONTRACTS.VIRTUAL];
+      const referenceQuote = await slippageGuard.quote(tokenAmountWei, quotePath);
+      
       // Check and approve token for TRUSTSWAP contract
       await this.checkAndApproveToken(wallet, tokenInfo.address, CONTRACTS.TRUSTSWAP, tokenAmountWei, tokenInfo.symbol, gasPrice);
       
@@ -107,6 +121,12 @@ export class SellSwapExecutor {
       const virtualContract = new ethers.Contract(CONTRACTS.VIRTUAL, ERC20_ABI, wallet);
       const balanceBefore = await virtualContract.balanceOf(wallet.address);
       
+      // Re-quote right before signing and derive minimum VIRTUAL output
+      const protection = await slippageGuard.protect(tokenAmountWei, quotePath, {
+        referenceQuote,
+        symbolOut: 'VIRTUAL'
+      });
+      
       // Execute swap using TRUSTSWAP contract
       const swapResult = await executeTransactionWithReplacementFee(
         async (currentProvider, gasParams) => {
@@ -116,20 +136,22 @@ export class SellSwapExecutor {
           return await trustSwap.swapForVirtualWithFee(
             tokenInfo.address,
             tokenAmountWei,
-            0, // Let TRUSTSWAP handle slippage internally
+            protection.minAmountOut,
             deadline,
             {
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: gasLimit
             }
           );
-        }
+        },
+        { wallet, label: 'sell' }
       );
       
       // Calculate VIRTUAL received
       const balanceAfter = await virtualContract.balanceOf(wallet.address);
-      const virtualReceived = parseFloat(ethers.formatEther(balanceAfter - balanceBefore));
+      const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore)), protection.quotedOut);
       
       console.log(`    ✅ Fallback Success: ${virtualReceived.toFixed(6)} VIRTUAL received`);
       
@@ -139,6 +161,7 @@ export class SellSwapExecutor {
         virtualReceived: virtualReceived,
         gasUsed: swapResult.receipt.gasUsed.toString(),
         isFallback: true,
+        slippageProtection: protection,
         rpcProvider: swapResult.provider
       };
       
@@ -153,15 +176,126 @@ export class SellSwapExecutor {
   }
   
   /**
-   * Execute direct sell to VIRTUAL using TRUSTSWAP
+   * Execute sell to VIRTUAL on the token's Uniswap V3/Aerodrome pool (tokenInfo.venuePool)
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} tokenInfo - Token information with venuePool
+   * @param {number} tokenAmount - Amount to sell
+   * @param {string} customGasPrice - Custom gas price
+   * @returns {Object} Transaction result
+   */
+  static async executeVenueSell(wallet, tokenInfo, tokenAmount, customGasPrice = null) {
+    const pool = tokenInfo.venuePool;
+    
+    try {
+      console.log(`  🔄 Selling ${tokenAmount} ${tokenInfo.symbol} for VIRTUAL (${pool.label})...`);
+      
+      const gasPrice = customGasPrice ? 
+        ethers.parseUnits(customGasPrice, 'gwei') : 
+        await gasPriceService.getLegacyGasPrice();
+      const gasLimit = 500000n;
+      const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+      
+      const tokenAmountWei = ethers.parseUnits(tokenAmount.toString(), tokenInfo.decimals);
+      
+      // Reference quote before approval so pool movement while approving is detected
+      const quotePath = [tokenInfo.address, CONTRACTS.VIRTUAL];
+      const quoteOptions = { venuePool: pool };
+      const referenceQuote = await slippageGuard.quote(tokenAmountWei, quotePath, quoteOptions);
+      
+      // Check and approve token for the venue router
+      await this.checkAndApproveToken(wallet, tokenInfo.address, dexVenues.spenderFor(pool), tokenAmountWei, tokenInfo.symbol, gasPrice);
+      
+      // Record VIRTUAL balance before swap
+      const virtualContract = new ethers.Contract(CONTRACTS.VIRTUAL, ERC20_ABI, wallet);
+      const balanceBefore = await virtualContract.balanceOf(wallet.address);
+      
+      // Re-quote right before signing and derive minimum VIRTUAL output
+      const protection = await slippageGuard.protect(tokenAmountWei, quotePath, {
+        ...quoteOptions,
+        referenceQuote,
+        symbolOut: 'VIRTUAL'
+      });
+      
+      const swapResult = await executeTransactionWithReplacementFee(
+        async (currentProvider, gasParams) => {
+          return await dexVenues.swap(wallet.connect(currentProvider), pool, {
+            tokenIn: tokenInfo.address,
+            tokenOut: CONTRACTS.VIRTUAL,
+            amountIn: tokenAmountWei,
+            minAmountOut: protection.minAmountOut,
+            deadline
+          }, {
+            maxFeePerGas: gasParams.maxFeePerGas,
+            maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
+            gasLimit: gasLimit
+          });
+        },
+        { wallet, label: 'sell' }
+      );
+      
+      // Calculate VIRTUAL received
+      const balanceAfter = await virtualContract.balanceOf(wallet.address);
+      const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore)), protection.quotedOut);
+      
+      console.log(`    ✅ Received: ${virtualReceived.toFixed(6)} VIRTUAL (${pool.label})`);
+      
+      return {
+        success: true,
+        txHash: swapResult.hash,
+        virtualReceived: virtualReceived,
+        gasUsed: swapResult.receipt.gasUsed.toString(),
+        isFallback: false,
+        venue: pool.venue,
+        slippageProtection: protection,
+        rpcProvider: swapResult.provider
+      };
+      
+    } catch (error) {
+      console.log(`    ❌ ${pool.label} sell failed: ${error.message}`);
+      return { 
+        success: false, 
+        error: error.message,
+        venue: pool.venue
+      };
+    }
+  }
+  
+  /**
+   * Execute direct sell to VIRTUAL, split into chunks or refused when its price impact on the
+   * token/VIRTUAL V2 pool is above the configured maximum
    * @param {Object} wallet - Wallet instance
    * @param {Object} tokenInfo - Token information
    * @param {number} tokenAmount - Amount to sell
    * @param {string} customGasPrice - Custom gas price
    * @param {boolean} useFallback - Force fallback mode
-   * @returns {Object} Transaction result
+   * @returns {Object} Transaction result (summed over chunks when split)
    */
   static async executeDirectSellToVirtual(wallet, tokenInfo, tokenAmount, customGasPrice = null, useFallback = false) {
+    // TRUSTSWAP cannot reach Uniswap V3/Aerodrome liquidity (and V2 reserves say nothing about those pools)
+    if (tokenInfo.venuePool) {
+      return await this.executeVenueSell(wallet, tokenInfo, tokenAmount, customGasPrice);
+    }
+
+    return await priceImpactGuard.execute(
+      tokenAmount,
+      { tokenIn: tokenInfo.address, tokenOut: CONTRACTS.VIRTUAL, decimalsIn: tokenInfo.decimals, symbolIn: tokenInfo.symbol },
+      amount => this.executeDirectSellOrder(wallet, tokenInfo, amount, customGasPrice, useFallback),
+      ['virtualReceived']
+    );
+  }
+
+  /**
+   * Execute a single sell to VIRTUAL on TRUSTSWAP or the direct Uniswap V2 route, whichever quotes more
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} tokenInfo - Token information
+   * @param {number} tokenAmount - Amount to sell
+   * @param {string} customGasPrice - Custom gas price
+   * @param {boolean} useFallback - Force fallback mode
+   * @returns {Object} Transaction result
+   * @private
+   */
+  static async executeDirectSellOrder(wallet, tokenInfo, tokenAmount, customGasPrice = null, useFallback = false) {
     // Force fallback if specified, no pool available, or explicitly flagged to use fallback
     const shouldUseFallback = useFallback || tokenInfo.useTrustSwapFallback || tokenInfo.isDirectCA;
     
@@ -183,38 +317,60 @@ export class SellSwapExecutor {
       
       const tokenAmountWei = ethers.parseUnits(tokenAmount.toString(), tokenInfo.decimals);
       
-      // Check and approve token for TRUSTSWAP contract
-      await this.checkAndApproveToken(wallet, tokenInfo.address, CONTRACTS.TRUSTSWAP, tokenAmountWei, tokenInfo.symbol, gasPrice);
+      // Quote TRUSTSWAP and the direct V2 route before approval; the better one is used as reference
+      const quotePath = [tokenInfo.address, CONTRACTS.VIRTUAL];
+      const execution = await bestExecution.select(tokenAmountWei, quotePath, { symbolOut: 'VIRTUAL' });
+      
+      // Check and approve token for the chosen venue
+      await this.checkAndApproveToken(wallet, tokenInfo.address, execution.spender, tokenAmountWei, tokenInfo.symbol, gasPrice);
       
       // Record VIRTUAL balance before swap
       const virtualContract = new ethers.Contract(CONTRACTS.VIRTUAL, ERC20_ABI, wallet);
       const balanceBefore = await virtualContract.balanceOf(wallet.address);
       
-      // Execute swap using TRUSTSWAP contract
+      // Re-quote right before signing and derive minimum VIRTUAL output
+      const protection = await slippageGuard.protect(tokenAmountWei, quotePath, {
+        ...execution.quoteOptions,
+        referenceQuote: execution.referenceQuote,
+        symbolOut: 'VIRTUAL'
+      });
+      
+      // Execute swap on TRUSTSWAP or straight through the Uniswap V2 router
       const swapResult = await executeTransactionWithReplacementFee(
         async (currentProvider, gasParams) => {
           const walletWithProvider = wallet.connect(currentProvider);
-          const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, TRUSTSWAP_ABI, walletWithProvider);
+          const overrides = {
+            maxFeePerGas: gasParams.maxFeePerGas,
+            maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
+            gasLimit: gasLimit
+          };
           
+          if (execution.direct) {
+            return await swapRouter.swap(walletWithProvider, quotePath, {
+              amountIn: tokenAmountWei,
+              minAmountOut: protection.minAmountOut,
+              deadline
+            }, overrides);
+          }
+          
+          const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, TRUSTSWAP_ABI, walletWithProvider);
           return await trustSwap.swapForVirtualWithFee(
             tokenInfo.address,
             tokenAmountWei,
-            0, // Minimum output handled by contract
+            protection.minAmountOut,
             deadline,
-            {
-              maxFeePerGas: gasParams.maxFeePerGas,
-              maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
-              gasLimit: gasLimit
-            }
+            overrides
           );
-        }
+        },
+        { wallet, label: 'sell' }
       );
       
       // Calculate VIRTUAL received
       const balanceAfter = await virtualContract.balanceOf(wallet.address);
-      const virtualReceived = parseFloat(ethers.formatEther(balanceAfter - balanceBefore));
+      const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore)), protection.quotedOut);
       
-      console.log(`    ✅ Received: ${virtualReceived.toFixed(6)} VIRTUAL`);
+      console.log(`    ✅ Received: ${virtualReceived.toFixed(6)} VIRTUAL (${execution.label})`);
       
       return {
         success: true,
@@ -222,14 +378,17 @@ export class SellSwapExecutor {
         virtualReceived: virtualReceived,
         gasUsed: swapResult.receipt.gasUsed.toString(),
         isFallback: false,
+        venue: execution.venue,
+        venueSavings: execution.savings,
+        slippageProtection: protection,
         rpcProvider: swapResult.provider
       };
       
     } catch (error) {
       console.log(`    ❌ Direct sell failed: ${error.message}`);
       
-      // Try fallback if main method fails
-      if (!tokenInfo.isDirectCA) {
+      // Try fallback if main method fails (never retry past a slippage abort at a worse price)
+      if (!tokenInfo.isDirectCA && !slippageGuard.isSlippageAbort(error)) {
         console.log(`    🔄 Attempting TRUSTSWAP fallback...`);
         return await this.executeTrustSwapFallback(wallet, tokenInfo, tokenAmount, customGasPrice);
       } else {
@@ -244,6 +403,8 @@ export class SellSwapExecutor {
   
   /**
    * Execute two-step sell: Token → VIRTUAL → Currency
+   * Step 2 uses the better of TRUSTSWAP and the best Uniswap V2 path from VIRTUAL to the currency
+   * (direct or via WETH/USDC)
    * @param {Object} wallet - Wallet instance
    * @param {Object} tokenInfo - Token information
    * @param {Object} currencyInfo - Currency information
@@ -254,8 +415,7 @@ export class SellSwapExecutor {
    */
   static async executeTwoStepSell(wallet, tokenInfo, currencyInfo, tokenAmount, customGasPrice = null, tracker = null) {
     try {
-      const strategyText = currencyInfo.isEth ? 'WETH unwrap' : 'TRUSTSWAP';
-      console.log(`\n🔄 Two-step sell: ${tokenInfo.symbol} → VIRTUAL → ${currencyInfo.symbol} (TRUSTSWAP + ${strategyText})`);
+      console.log(`\n🔄 Two-step sell: ${tokenInfo.symbol} → VIRTUAL → ${currencyInfo.symbol} (${tokenInfo.venuePool ? tokenInfo.venuePool.label : 'TRUSTSWAP'} + best of TRUSTSWAP/Uniswap V2)`);
       
       const gasPrice = customGasPrice ? 
         ethers.parseUnits(customGasPrice, 'gwei') : 
@@ -286,91 +446,99 @@ export class SellSwapExecutor {
       // Step 2: Buy target currency with VIRTUAL
       console.log(`   🔄 Step 2: Buying ${currencyInfo.symbol} with ${virtualForStep2.toFixed(6)} VIRTUAL...`);
       
-      const virtualAmountWei = ethers.parseUnits(virtualForStep2.toString(), 18);
+      const virtualAmountWei = ethers.parseUnits(parseFloat(virtualForStep2.toFixed(12)).toString(), 18);
       let step2Tx, step2Receipt, finalAmount, step2Result;
       
-      // Check and approve VIRTUAL for TRUSTSWAP
-      await this.checkAndApproveToken(wallet, CONTRACTS.VIRTUAL, CONTRACTS.TRUSTSWAP, virtualAmountWei, 'VIRTUAL', gasPrice);
+      // Best of TRUSTSWAP and the best Uniswap V2 path from VIRTUAL to the currency (direct or via WETH/USDC),
+      // quoted before approval so pool movement while approving is detected
+      const currencyAddress = currencyInfo.isEth ? CONTRACTS.WETH : currencyInfo.address;
+      const step2Execution = await bestExecution.selectRoute(virtualAmountWei, CONTRACTS.VIRTUAL, currencyAddress, {
+        decimalsOut: currencyInfo.isEth ? 18 : currencyInfo.decimals,
+        symbolOut: currencyInfo.symbol,
+        symbols: { [currencyAddress.toLowerCase()]: currencyInfo.symbol }
+      });
+      
+      // Check and approve VIRTUAL for the chosen venue
+      await this.checkAndApproveToken(wallet, CONTRACTS.VIRTUAL, step2Execution.spender, virtualAmountWei, 'VIRTUAL', gasPrice);
       
-      if (currencyInfo.isEth) {
-        // Step 2a: Swap VIRTUAL for WETH using TrustSwap
-        const ethBalanceBefore = await executeRpcWithFallback(async (provider) => {
-          return await provider.getBalance(wallet.address);
-        });
-        
-        step2Result = await executeTransactionWithReplacementFee(
-          async (currentProvider, gasParams) => {
-            const walletWithProvider = wallet.connect(currentProvider);
+      // Re-quote right before signing and derive minimum currency output
+      const step2Protection = await slippageGuard.protect(virtualAmountWei, step2Execution.path, {
+        ...step2Execution.quoteOptions,
+        referenceQuote: step2Execution.referenceQuote,
+        decimalsOut: currencyInfo.isEth ? 18 : currencyInfo.decimals,
+        symbolOut: currencyInfo.symbol
+      });
+      
+      // Measure what arrives: native ETH (the router unwraps WETH), WETH from TRUSTSWAP (unwrapped below)
+      // or the currency token
+      const wethOut = currencyInfo.isEth && !step2Execution.direct;
+      const currencyContract = currencyInfo.isEth && !wethOut ? null : new ethers.Contract(currencyAddress, ERC20_ABI, wallet);
+      const readBalance = async () => currencyContract
+        ? await currencyContract.balanceOf(wallet.address)
+        : await executeRpcWithFallback(async (provider) => await provider.getBalance(wallet.address));
+      const balanceBefore = await readBalance();
+      
+      step2Result = await executeTransactionWithReplacementFee(
+        async (currentProvider, gasParams) => {
+          const walletWithProvider = wallet.connect(currentProvider);
+          const overrides = {
+            maxFeePerGas: gasParams.maxFeePerGas,
+            maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
+            gasLimit: gasLimit
+          };
+          
+          if (!step2Execution.direct) {
             const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, TRUSTSWAP_ABI, walletWithProvider);
-            
             return await trustSwap.swapVirtualWithFee(
               virtualAmountWei,
-              0, // Minimum WETH output
-              CONTRACTS.WETH, // Use WETH address for TrustSwap
+              step2Protection.minAmountOut,
+              currencyAddress,
               deadline,
-              {
-                maxFeePerGas: gasParams.maxFeePerGas,
-                maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
-                gasLimit: gasLimit
-              }
+              overrides
             );
           }
-        );
-        
-        step2Tx = { hash: step2Result.hash };
-        step2Receipt = step2Result.receipt;
-        
-        // Step 2b: Unwrap WETH to ETH
-        const wethContract = new ethers.Contract(CONTRACTS.WETH, WETH_ABI, wallet);
-        const wethBalance = await wethContract.balanceOf(wallet.address);
+          
+          return await swapRouter.swap(walletWithProvider, step2Execution.path, {
+            amountIn: virtualAmountWei,
+            minAmountOut: step2Protection.minAmountOut,
+            deadline,
+            ethOut: currencyInfo.isEth
+          }, overrides);
+        },
+        { wallet, label: 'sell step 2' }
+      );
+      
+      step2Tx = { hash: step2Result.hash };
+      step2Receipt = step2Result.receipt;
+      
+      const balanceAfter = await readBalance();
+      if (wethOut) {
+        // TRUSTSWAP pays WETH: count what this swap delivered and unwrap exactly that
+        const wethReceived = balanceAfter - balanceBefore;
+        finalAmount = dryRun.receivedAmount(parseFloat(ethers.formatEther(wethReceived)), step2Protection.quotedOut);
         
-        if (wethBalance > 0) {
-          console.log(`   🔄 Unwrapping ${ethers.formatEther(wethBalance)} WETH to ETH...`);
+        if (wethReceived > 0n) {
+          console.log(`   🔄 Unwrapping ${ethers.formatEther(wethReceived)} WETH to ETH...`);
           try {
-            const unwrapTx = await wethContract.withdraw(wethBalance, {
+            const wethContract = new ethers.Contract(CONTRACTS.WETH, WETH_ABI, wallet);
+            const unwrapTx = await wethContract.withdraw(wethReceived, {
               gasPrice,
               gasLimit: 50000n
             });
-            await unwrapTx.wait();
+            const unwrapReceipt = await unwrapTx.wait();
+            TransactionExecutor.recordConfirmed(unwrapTx, unwrapReceipt);
             console.log(`   ✅ WETH unwrapped to ETH: ${unwrapTx.hash}`);
           } catch (unwrapError) {
             console.log(`   ⚠️ WETH unwrap failed: ${unwrapError.message} (keeping as WETH)`);
           }
         }
-        
-        const ethBalanceAfter = await executeRpcWithFallback(async (provider) => {
-          return await provider.getBalance(wallet.address);
-        });
-        finalAmount = parseFloat(ethers.formatEther(ethBalanceAfter - ethBalanceBefore + step2Receipt.gasUsed * gasPrice));
-        
+      } else if (currencyInfo.isEth) {
+        // Add back the gas paid for step 2 so only the swap output is counted
+        const gasCost = BigInt(step2Receipt.gasUsed || 0n) * BigInt(step2Receipt.gasPrice || step2Receipt.effectiveGasPrice || 0n);
+        finalAmount = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore + gasCost)), step2Protection.quotedOut);
       } else {
-        // Use TRUSTSWAP for other tokens
-        step2Result = await executeTransactionWithReplacementFee(
-          async (currentProvider, gasParams) => {
-            const walletWithProvider = wallet.connect(currentProvider);
-            const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, TRUSTSWAP_ABI, walletWithProvider);
-            
-            return await trustSwap.swapVirtualWithFee(
-              virtualAmountWei,
-              0, // Minimum output
-              currencyInfo.address,
-              deadline,
-              {
-                maxFeePerGas: gasParams.maxFeePerGas,
-                maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
-                gasLimit: gasLimit
-              }
-            );
-          }
-        );
-        
-        step2Tx = { hash: step2Result.hash };
-        step2Receipt = step2Result.receipt;
-        
-        // Get final currency balance
-        const currencyContract = new ethers.Contract(currencyInfo.address, ERC20_ABI, wallet);
-        const finalBalance = await currencyContract.balanceOf(wallet.address);
-        finalAmount = parseFloat(ethers.formatUnits(finalBalance, currencyInfo.decimals));
+        finalAmount = dryRun.receivedAmount(parseFloat(ethers.formatUnits(balanceAfter - balanceBefore, currencyInfo.decimals)), step2Protection.quotedOut);
       }
       
       console.log(`   ✅ Step 2 completed: ${step2Tx.hash}`);
@@ -382,7 +550,8 @@ export class SellSwapExecutor {
           tokenInfo.symbol,
           tokenAmount,
           currencyInfo.symbol,
-          finalAmount
+          finalAmount,
+          { txHash: step2Tx.hash, tokenAddress: tokenInfo.address, direction: 'sell', ...slippageGuard.toTrackerMetadata(step2Protection) }
         );
       }
       
@@ -393,6 +562,7 @@ export class SellSwapExecutor {
         txHash: step2Tx.hash,
         finalAmount: finalAmount,
         twoStep: true,
+        slippageProtection: step2Protection,
         step1RpcProvider: step1Result.rpcProvider,
         step2RpcProvider: step2Result ? (step2Result.provider || 'unknown') : 'unknown'
       };
@@ -424,6 +594,11 @@ export class SellSwapExecutor {
       
       const tokenAmountWei = ethers.parseUnits(tokenAmount.toString(), tokenInfo.decimals);
       
+      // Reference quote before approval so pool movement while approving is detected
+      const quotePath = [tokenInfo.address, CONTRACTS.VIRTUAL];
+      const quoteOptions = { trustswapAddress: fshConfig.CONTRACT_ADDRESS };
+      const referenceQuote = await slippageGuard.quote(tokenAmountWei, quotePath, quoteOptions);
+      
       // FSH-specific token approval
       await this.checkAndApproveToken(wallet, tokenInfo.address, fshConfig.CONTRACT_ADDRESS, tokenAmountWei, tokenInfo.symbol, gasPrice);
       
@@ -431,6 +606,15 @@ export class SellSwapExecutor {
       const virtualContract = new ethers.Contract(CONTRACTS.VIRTUAL, ERC20_ABI, wallet);
       const balanceBefore = await virtualContract.balanceOf(wallet.address);
       
+      // Re-quote right before signing; configured MIN_AMOUNT_OUT acts as a floor
+      const protection = await slippageGuard.protect(tokenAmountWei, quotePath, {
+        ...quoteOptions,
+        referenceQuote,
+        symbolOut: 'VIRTUAL'
+      });
+      const configuredMinOut = BigInt(fshConfig.SETTINGS.MIN_AMOUNT_OUT || 0);
+      const minAmountOut = protection.minAmountOut > configuredMinOut ? protection.minAmountOut : configuredMinOut;
+      
       // Execute FSH-specific TRUSTSWAP swap
       const swapResult = await executeTransactionWithReplacementFee(
         async (currentProvider, gasParams) => {
@@ -440,20 +624,22 @@ export class SellSwapExecutor {
           return await fshTrustSwap.swapForVirtualWithFee(
             tokenInfo.address,
             tokenAmountWei,
-            fshConfig.SETTINGS.MIN_AMOUNT_OUT,
+            minAmountOut,
             deadline,
             {
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: gasLimit
             }
           );
-        }
+        },
+        { wallet, label: 'sell' }
       );
       
       // Calculate VIRTUAL received from FSH operation
       const balanceAfter = await virtualContract.balanceOf(wallet.address);
-      const virtualReceived = parseFloat(ethers.formatEther(balanceAfter - balanceBefore));
+      const virtualReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(balanceAfter - balanceBefore)), protection.quotedOut);
       
       console.log(`  ✅ FSH-TRUSTSWAP: Success! ${virtualReceived.toFixed(6)} VIRTUAL received`);
       
@@ -463,6 +649,7 @@ export class SellSwapExecutor {
         virtualReceived: virtualReceived,
         gasUsed: swapResult.receipt.gasUsed.toString(),
         isFSHTrustSwap: true,
+        slippageProtection: protection,
         contractAddress: fshConfig.CONTRACT_ADDRESS
       };
       
@@ -507,6 +694,12 @@ export class SellSwapExecutor {
       });
       
       console.log(`   💰 Selling: ${tokenAmount} ${tokenInfo.symbol}`);
+      
+      // Quote right before signing and derive minimum ETH output
+      const protection = await slippageGuard.protect(tokenAmountWei, [tokenInfo.address, CONTRACTS.WETH], {
+        symbolOut: 'ETH'
+      });
+      
       console.log(`   🔄 Executing TRUSTSWAP.swapTokensForETHWithFee...`);
       
       // Execute ETH swap using TRUSTSWAP
@@ -518,15 +711,17 @@ export class SellSwapExecutor {
           return await trustSwap.swapTokensForETHWithFee(
             tokenInfo.address,
             tokenAmountWei,
-            0, // Minimum ETH output (let TRUSTSWAP handle slippage)
+            protection.minAmountOut,
             deadline,
             {
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: gasLimit
             }
           );
-        }
+        },
+        { wallet, label: 'sell' }
       );
       
       // Calculate ETH received (accounting for gas used)
@@ -536,7 +731,7 @@ export class SellSwapExecutor {
       
       const gasUsed = swapResult.receipt.gasUsed;
       const gasCost = gasUsed * gasPrice;
-      const ethReceived = parseFloat(ethers.formatEther(ethBalanceAfter - ethBalanceBefore + gasCost));
+      const ethReceived = dryRun.receivedAmount(parseFloat(ethers.formatEther(ethBalanceAfter - ethBalanceBefore + gasCost)), protection.quotedOut);
       
       console.log(`   ✅ ETH received: ${ethReceived.toFixed(6)} ETH`);
       console.log(`   📊 Gas used: ${gasUsed.toString()} (${ethers.formatEther(gasCost)} ETH)`);
@@ -548,6 +743,7 @@ export class SellSwapExecutor {
         ethReceived: ethReceived,
         gasUsed: gasUsed.toString(),
         gasCost: parseFloat(ethers.formatEther(gasCost)),
+        slippageProtection: protection,
         bidMode: true,
         rpcProvider: swapResult.provider
       };
@@ -0,0 +1,241 @@
+/**
+ * Slippage Guard Service
+ * Quotes TRUSTSWAP swaps right before signing and derives a protected minimum output
+ */
+
+import { ethers } from 'ethers';
+import { executeRpcWithFallback } from '../../config.js';
+import { configLoader } from '../../config/loader.js';
+import { SLIPPAGE_DEFAULTS } from '../../config/constants.js';
+import { CONTRACTS, ABIS } from '../config/constants.js';
+import { sleep } from '../../utils/common.js';
+import { dexVenues } from './dexVenues.js';
+
+// TRUSTSWAP platform fee, applied to Uniswap V2 fallback quotes
+const TRUSTSWAP_FEE_BPS = 25n;
+
+/**
+ * SlippageGuard - Quote-based amountOutMin protection for TRUSTSWAP swaps
+ */
+export class SlippageGuard {
+  constructor() {
+    this.overrideBps = null; // Set from the S-<bps> argument
+    this._config = null;
+  }
+
+  /**
+   * Set slippage override for this run (S-<bps> argument)
+   * @param {number|null} bps - Slippage in basis points, null to clear
+   */
+  setSlippageBps(bps) {
+    this.overrideBps = bps === null || bps === undefined ? null : bps;
+    if (this.overrideBps !== null) {
+      console.log(`🛡️ Slippage guard: ${this.overrideBps} bps (${(this.overrideBps / 100).toFixed(2)}%) from S- argument`);
+    }
+  }
+
+  /**
+   * Get slippage configuration from wallets.json (cached)
+   * @returns {Object} Slippage configuration
+   */
+  getConfig() {
+    if (!this._config) {
+      try {
+        this._config = configLoader.getSlippageConfig();
+      } catch (error) {
+        console.log(`⚠️ Slippage guard: config unavailable (${error.message}), using defaults`);
+        this._config = { ...SLIPPAGE_DEFAULTS };
+      }
+    }
+    return this._config;
+  }
+
+  /**
+   * Resolve slippage in basis points
+   * Priority: S-<bps> argument > bot-specific fallback > wallets.json default
+   * @param {number|null} fallbackBps - Bot-specific slippage in basis points
+   * @returns {number} Slippage in basis points
+   */
+  getSlippageBps(fallbackBps = null) {
+    if (this.overrideBps !== null) {
+      return this.overrideBps;
+    }
+    if (fallbackBps !== null && fallbackBps !== undefined) {
+      return fallbackBps;
+    }
+    return this.getConfig().slippageBasisPoints;
+  }
+
+  /**
+   * Quote expected output via TRUSTSWAP getAmountsOutWithFee, falling back to Uniswap V2 getAmountsOut
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {Array<string>} path - Swap path [tokenIn, tokenOut]
+   * @param {Object} options - Quote options
+   * @param {string} options.trustswapAddress - TRUSTSWAP contract to quote against
+   * @param {boolean} options.direct - Swap goes straight through the Uniswap V2 router (no TRUSTSWAP fee)
+   * @param {Object} options.venuePool - Single pool (Uniswap V3/Aerodrome) the swap is sent to, from dexVenues
+   * @returns {Promise<Object>} Quote with amountOut (wei), feeAmount and source
+   */
+  async quote(amountIn, path, options = {}) {
+    const { trustswapAddress = CONTRACTS.TRUSTSWAP, direct = false, venuePool = null } = options;
+
+    if (venuePool) {
+      return {
+        amountOut: await dexVenues.quote(venuePool, amountIn, path[0], path[path.length - 1]),
+        feeAmount: 0n,
+        source: venuePool.venue
+      };
+    }
+
+    if (direct) {
+      const amounts = await executeRpcWithFallback(async (provider) => {
+        const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, provider);
+        return await router.getAmountsOut(amountIn, path);
+      }, 2, 3000);
+
+      return {
+        amountOut: amounts[amounts.length - 1],
+        feeAmount: 0n,
+        source: 'UNISWAP_V2'
+      };
+    }
+
+    try {
+      const [amounts, feeAmount] = await executeRpcWithFallback(async (provider) => {
+        const trustSwap = new ethers.Contract(trustswapAddress, ABIS.TRUSTSWAP, provider);
+        return await trustSwap.getAmountsOutWithFee(amountIn, path);
+      }, 2, 3000);
+
+      return {
+        amountOut: amounts[amounts.length - 1],
+        feeAmount,
+        source: 'TRUSTSWAP'
+      };
+    } catch (error) {
+      console.log(`   ⚠️ TRUSTSWAP quote failed (${error.message}), trying Uniswap V2 getAmountsOut...`);
+    }
+
+    const amountInAfterFee = amountIn - (amountIn * TRUSTSWAP_FEE_BPS / 10000n);
+    const amounts = await executeRpcWithFallback(async (provider) => {
+      const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, provider);
+      return await router.getAmountsOut(amountInAfterFee, path);
+    }, 2, 3000);
+
+    return {
+      amountOut: amounts[amounts.length - 1],
+      feeAmount: amountIn - amountInAfterFee,
+      source: 'UNISWAP_V2'
+    };
+  }
+
+  /**
+   * Apply slippage tolerance to a quoted output
+   * @param {BigInt} amountOut - Quoted output in wei
+   * @param {number} slippageBps - Slippage in basis points
+   * @returns {BigInt} Minimum acceptable output in wei
+   */
+  calculateMinAmountOut(amountOut, slippageBps) {
+    return amountOut * BigInt(10000 - slippageBps) / 10000n;
+  }
+
+  /**
+   * Re-quote right before signing and derive amountOutMin
+   * When a reference quote is given and the pool has moved beyond the slippage
+   * tolerance since then, re-quote up to maxRequotes times and abort if it does not recover.
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {Array<string>} path - Swap path [tokenIn, tokenOut]
+   * @param {Object} options - Guard options
+   * @param {Object} options.referenceQuote - Earlier quote to measure pool movement against
+   * @param {number} options.slippageBps - Slippage in basis points (defaults to getSlippageBps())
+   * @param {number} options.decimalsOut - Output token decimals for logging
+   * @param {string} options.symbolOut - Output token symbol for logging
+   * @param {string} options.trustswapAddress - TRUSTSWAP contract to quote against
+   * @param {boolean} options.direct - Quote the Uniswap V2 router directly (routed swaps)
+   * @param {Object} options.venuePool - Quote this Uniswap V3/Aerodrome pool instead of TRUSTSWAP
+   * @returns {Promise<Object>} Protection result with quotedOut, minAmountOut (wei) and formatted values
+   * @throws {Error} If the pool moved too far on every re-quote
+   */
+  async protect(amountIn, path, options = {}) {
+    const {
+      referenceQuote = null,
+      slippageBps = this.getSlippageBps(),
+      decimalsOut = 18,
+      symbolOut = 'tokens'
+    } = options;
+    const { maxRequotes, requoteDelayMs } = this.getConfig();
+
+    if (slippageBps < 0 || slippageBps >= 10000) {
+      throw new Error(`Invalid slippage: ${slippageBps} bps. Must be between 0 and 9999`);
+    }
+
+    const reference = referenceQuote ? referenceQuote.amountOut : null;
+    const floor = reference ? this.calculateMinAmountOut(reference, slippageBps) : null;
+    let lastMovedBps = 0;
+
+    for (let attempt = 0; attempt <= maxRequotes; attempt++) {
+      const fresh = await this.quote(amountIn, path, options);
+
+      if (fresh.amountOut === 0n) {
+        throw new Error(`Slippage guard: ${fresh.source} quoted zero ${symbolOut} output`);
+      }
+
+      if (floor === null || fresh.amountOut >= floor) {
+        const minAmountOut = this.calculateMinAmountOut(fresh.amountOut, slippageBps);
+        const quotedOut = parseFloat(ethers.formatUnits(fresh.amountOut, decimalsOut));
+        const minOut = parseFloat(ethers.formatUnits(minAmountOut, decimalsOut));
+
+        console.log(`   📊 Quote (${fresh.source}): ${quotedOut.toFixed(6)} ${symbolOut}`);
+        console.log(`   🛡️ Min out: ${minOut.toFixed(6)} ${symbolOut} (${(slippageBps / 100).toFixed(2)}% slippage)`);
+
+        return {
+          quotedAmountOut: fresh.amountOut,
+          minAmountOut,
+          quotedOut,
+          minOut,
+          slippageBps,
+          source: fresh.source,
+          requotes: attempt
+        };
+      }
+
+      lastMovedBps = Number((reference - fresh.amountOut) * 10000n / reference);
+      console.log(`   ⚠️ Slippage guard: pool moved ${(lastMovedBps / 100).toFixed(2)}% against us since quote (limit ${(slippageBps / 100).toFixed(2)}%)`);
+
+      if (attempt < maxRequotes) {
+        console.log(`   🔄 Re-quoting in ${requoteDelayMs}ms (${attempt + 1}/${maxRequotes})...`);
+        await sleep(requoteDelayMs);
+      }
+    }
+
+    throw new Error(`Slippage guard: pool moved ${(lastMovedBps / 100).toFixed(2)}% (limit ${(slippageBps / 100).toFixed(2)}%) after ${maxRequotes} re-quotes, aborting swap`);
+  }
+
+  /**
+   * Check whether an error is a slippage guard abort
+   * @param {Error} error - Error to check
+   * @returns {boolean} True if the swap was aborted by the guard
+   */
+  isSlippageAbort(error) {
+    return !!error?.message?.startsWith('Slippage guard:');
+  }
+
+  /**
+   * Build tracker metadata comparing quoted and realised output
+   * @param {Object} protection - Result from protect()
+   * @returns {Object} Metadata for TransactionTracker.addTransaction
+   */
+  toTrackerMetadata(protection) {
+    if (!protection) {
+      return {};
+    }
+    return {
+      quotedAmount: protection.quotedOut,
+      minAmountOut: protection.minOut,
+      slippageBps: protection.slippageBps,
+      quoteSource: protection.source
+    };
+  }
+}
+
+// Export singleton instance
+export const slippageGuard = new SlippageGuard();
@@ -5,11 +5,19 @@
 
 import { ethers } from 'ethers';
 import { provider } from '../../config.js';
-import { AmountCalculator } from './amountCalculator.js';
 import { CONTRACTS, ABIS, DEFAULT_SETTINGS } from '../config/constants.js';
 import { wsApprovalService } from './websocketApprovalService.js';
 import { executeTransactionWithReplacementFee } from '../../config.js';
 import { gasPriceService } from '../../providers/gasPriceService.js';
+import { slippageGuard } from './slippageGuard.js';
+import { dryRun } from '../../providers/dryRun.js';
+import { TransactionExecutor } from '../../providers/transactionExecutor.js';
+import { nonceManager } from '../../providers/nonceManager.js';
+import { wsTransactionService } from './websocketTransactionService.js';
+import { revertDecoder } from './revertDecoder.js';
+import { swapRouter } from './swapRouter.js';
+import { dexVenues } from './dexVenues.js';
+import { bestExecution } from './bestExecution.js';
 
 /**
  * SwapExecutor - Handles swap transaction execution with WebSocket enhancements
@@ -55,12 +63,14 @@ export class SwapExecutor {
       
       if (currentAllowance < amountWei) {
         console.log(`Approving UNLIMITED ${tokenSymbol} for ${spenderAddress === CONTRACTS.TRUSTSWAP ? 'TRUSTSWAP' : 'contract'}...`);
-        const approveTx = await tokenContract.approve(spenderAddress, ethers.MaxUint256, {
+        const approveTx = await nonceManager.send(wallet, nonce => tokenContract.approve(spenderAddress, ethers.MaxUint256, {
           maxFeePerGas: gasParams.maxFeePerGas,
           maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+          nonce,
           gasLimit: 200000n
-        });
-        await approveTx.wait(); // Polling fallback
+        }), 'approve');
+        const approveReceipt = await approveTx.wait(); // Polling fallback
+        TransactionExecutor.recordConfirmed(approveTx, approveReceipt);
         console.log(` approval confirmed: ${approveTx.hash}`);
         return true;
       } else {
@@ -77,12 +87,13 @@ export class SwapExecutor {
    * @param {number} amount - Amount to approve
    * @param {Object} gasParams - Gas parameters
    * @param {number} decimals - Token decimals
+   * @param {string} spenderAddress - Contract that spends the currency
    */
-  static async checkAndApproveCurrency(wallet, currencyAddress, amount, gasParams, decimals = 18) {
+  static async checkAndApproveCurrency(wallet, currencyAddress, amount, gasParams, decimals = 18, spenderAddress = CONTRACTS.TRUSTSWAP) {
     // SURGICAL FIX: Truncate amount to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
     const truncatedAmount = parseFloat(amount.toFixed(12)).toString();
     const amountWei = ethers.parseUnits(truncatedAmount, decimals);
-    return await this.checkAndApproveToken(wallet, currencyAddress, CONTRACTS.TRUSTSWAP, amountWei, 'CURRENCY', gasParams);
+    return await this.checkAndApproveToken(wallet, currencyAddress, spenderAddress, amountWei, 'CURRENCY', gasParams);
   }
 
   /**
@@ -98,6 +109,10 @@ export class SwapExecutor {
 
   /**
    * Execute two-step buy: currency → VIRTUAL → target token
+   * Step 1 uses the better of TRUSTSWAP and the best Uniswap V2 path from the currency to VIRTUAL
+   * (direct or via WETH/USDC; native ETH always takes the V2 router);
+   * step 2 uses the better of TRUSTSWAP and the direct Uniswap V2 route, or the token's
+   * Uniswap V3/Aerodrome pool when tokenInfo.venuePool is set
    * @param {Object} wallet - Wallet instance
    * @param {Object} currencyInfo - Currency information
    * @param {Object} tokenInfo - Token information
@@ -108,7 +123,8 @@ export class SwapExecutor {
    */
   static async executeTwoStepBuy(wallet, currencyInfo, tokenInfo, currencyAmount, customGasPrice = null, tracker = null) {
     try {
-      console.log(`\nTwo-step buy: ${currencyInfo.symbol} → VIRTUAL → ${tokenInfo.symbol} (${currencyInfo.isEth ? 'Uniswap V2' : 'TRUSTSWAP'} + TRUSTSWAP)`);
+      const venuePool = tokenInfo.venuePool || null;
+      console.log(`\nTwo-step buy: ${currencyInfo.symbol} → VIRTUAL → ${tokenInfo.symbol} (best of TRUSTSWAP/Uniswap V2 + ${venuePool ? venuePool.label : 'best of TRUSTSWAP/Uniswap V2'})`);
       
       const gasPrice = customGasPrice ? 
         ethers.parseUnits(customGasPrice, 'gwei') : 
@@ -119,89 +135,125 @@ export class SwapExecutor {
       // Create TRUSTSWAP contract instance with wallet signer
       const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, ABIS.TRUSTSWAP, wallet);
       
-      // Calculate expected amounts for both steps
-      const { expectedOut: expectedVirtual, minAmountOut: minVirtualOut } = await AmountCalculator.calculateCurrencyToVirtual(
-        currencyAmount, 
-        currencyInfo, 
-        DEFAULT_SETTINGS.MAX_SLIPPAGE_PERCENT
-      );
+      // SURGICAL FIX: Truncate ETH to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
+      const truncatedAmount = currencyInfo.isEth ? 
+        parseFloat(currencyAmount.toFixed(12)).toString() : 
+        currencyAmount.toString();
+      const currencyAmountWei = ethers.parseUnits(truncatedAmount, currencyInfo.decimals);
+      
+      // Reference quotes for both steps (pool movement is checked again right before signing)
+      const slippageBps = slippageGuard.getSlippageBps();
+      const currencyAddress = currencyInfo.isEth ? CONTRACTS.WETH : currencyInfo.address;
+      const step1Execution = await bestExecution.selectRoute(currencyAmountWei, currencyAddress, CONTRACTS.VIRTUAL, {
+        symbolOut: 'VIRTUAL',
+        symbols: { [currencyAddress.toLowerCase()]: currencyInfo.symbol },
+        allowTrustswap: !currencyInfo.isEth
+      });
+      const step1Reference = step1Execution.referenceQuote;
+      const step1Path = step1Execution.path;
+      const expectedVirtual = parseFloat(ethers.formatUnits(step1Reference.amountOut, 18));
       const virtualForStep2 = expectedVirtual * 0.99; // Conservative for step 2
-      const step2Calculation = await AmountCalculator.calculateVirtualToToken(
-        virtualForStep2, 
-        tokenInfo, 
-        DEFAULT_SETTINGS.MAX_SLIPPAGE_PERCENT
-      );
+      const virtualAmountWei = ethers.parseUnits(parseFloat(virtualForStep2.toFixed(12)).toString(), 18);
+      const step2Path = [CONTRACTS.VIRTUAL, tokenInfo.address];
+      // Step 2 goes to the token's V3/Aerodrome pool, otherwise to whichever of TRUSTSWAP and the direct V2 route quotes more
+      const step2Execution = venuePool ? null : await bestExecution.select(virtualAmountWei, step2Path, {
+        decimalsOut: tokenInfo.decimals,
+        symbolOut: tokenInfo.symbol
+      });
+      const step2Options = venuePool ? { venuePool } : step2Execution.quoteOptions;
+      const step2Reference = venuePool
+        ? await slippageGuard.quote(virtualAmountWei, step2Path, step2Options)
+        : step2Execution.referenceQuote;
       
       // Pre-approve everything before parallel execution
       if (!currencyInfo.isEth) {
-        await this.checkAndApproveCurrency(wallet, currencyInfo.address, currencyAmount, customGasPrice, currencyInfo.decimals);
+        await this.checkAndApproveCurrency(wallet, currencyInfo.address, currencyAmount, customGasPrice, currencyInfo.decimals, step1Execution.spender);
       }
       
-      // Check and approve VIRTUAL for TRUSTSWAP contract
-      const virtualAmountWei = ethers.parseUnits(virtualForStep2.toString(), 18);
-      await this.checkAndApproveToken(wallet, CONTRACTS.VIRTUAL, CONTRACTS.TRUSTSWAP, virtualAmountWei, 'VIRTUAL', gasPrice);
+      // Check and approve VIRTUAL for the step 2 contract
+      const step2Spender = venuePool ? dexVenues.spenderFor(venuePool) : step2Execution.spender;
+      await this.checkAndApproveToken(wallet, CONTRACTS.VIRTUAL, step2Spender, virtualAmountWei, 'VIRTUAL', gasPrice);
+      
+      // Re-quote both steps right before signing
+      const step1Protection = await slippageGuard.protect(currencyAmountWei, step1Path, {
+        ...step1Execution.quoteOptions,
+        referenceQuote: step1Reference,
+        slippageBps,
+        symbolOut: 'VIRTUAL'
+      });
+      const step2Protection = await slippageGuard.protect(virtualAmountWei, step2Path, {
+        ...step2Options,
+        referenceQuote: step2Reference,
+        slippageBps,
+        decimalsOut: tokenInfo.decimals,
+        symbolOut: tokenInfo.symbol
+      });
+      const minVirtualOut = step1Protection.minAmountOut;
+      
+      // Record token balance before swaps to report realised output
+      const tokenContract = new ethers.Contract(tokenInfo.address, ABIS.ERC20_MINIMAL, provider);
+      const tokenBalanceBefore = await tokenContract.balanceOf(wallet.address);
       
-      // Execute parallel transactions with consecutive nonces
-      const baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
+      // Execute parallel transactions with two consecutive reserved nonces
+      const baseNonce = await nonceManager.reserve(wallet.address, provider, 2);
       const transactions = [];
       let currentNonce = baseNonce;
       
-      // Step 1: Currency → VIRTUAL (ETH uses Uniswap V2, others use TRUSTSWAP)
-    // SURGICAL FIX: Truncate ETH to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
-    const truncatedAmount = currencyInfo.isEth ? 
-      parseFloat(currencyAmount.toFixed(12)).toString() : 
-      currencyAmount.toString();
-    const currencyAmountWei = ethers.parseUnits(truncatedAmount, currencyInfo.decimals);
-      let step1Promise;
-      
-      if (currencyInfo.isEth) {
-        // ETH → VIRTUAL using Uniswap V2 Router (direct ETH handling)
-        const uniswapRouterWithWallet = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, wallet);
-        const path = [CONTRACTS.WETH, CONTRACTS.VIRTUAL]; // ETH → WETH → VIRTUAL
-        
-        step1Promise = uniswapRouterWithWallet.swapExactETHForTokens(
-          minVirtualOut,
-          path,
-          wallet.address,
+      // Step 1: Currency → VIRTUAL on the venue chosen above (native ETH is wrapped by the V2 router)
+      const step1Overrides = {
+        gasPrice,
+        gasLimit,
+        nonce: currentNonce++
+      };
+      const step1Promise = step1Execution.direct
+        ? swapRouter.swap(wallet, step1Path, {
+          amountIn: currencyAmountWei,
+          minAmountOut: minVirtualOut,
           deadline,
-          {
-            value: currencyAmountWei, // ETH sent with transaction
-            gasPrice,
-            gasLimit,
-            nonce: currentNonce++
-          }
-        );
-      } else {
-        // Other currencies → VIRTUAL using TRUSTSWAP
-        step1Promise = trustSwap.swapForVirtualWithFee(
+          ethIn: currencyInfo.isEth
+        }, step1Overrides)
+        : trustSwap.swapForVirtualWithFee(
           currencyInfo.address,
           currencyAmountWei,
           minVirtualOut,
           deadline,
-          {
-            gasPrice,
-            gasLimit,
-            nonce: currentNonce++
-          }
+          step1Overrides
         );
-      }
-      transactions.push(step1Promise);
+      transactions.push(nonceManager.trackSend(wallet.address, baseNonce, step1Promise, 'buy step 1'));
       
-      // Step 2: VIRTUAL → Target Token using TRUSTSWAP
+      // Step 2: VIRTUAL → Target Token on the venue chosen above
       // Increase gas price by 15% to avoid "replacement fee too low" error in parallel execution
       const step2GasPrice = gasPrice + (gasPrice * 15n / 100n);
-      const step2Promise = trustSwap.swapVirtualWithFee(
-        virtualAmountWei,
-        step2Calculation.minAmountOut,
-        tokenInfo.address,
-        deadline,
-        {
-          gasPrice: step2GasPrice,
-          gasLimit,
-          nonce: currentNonce++
-        }
-      );
-      transactions.push(step2Promise);
+      const step2Overrides = {
+        gasPrice: step2GasPrice,
+        gasLimit,
+        nonce: currentNonce++
+      };
+      let step2Promise;
+      if (venuePool) {
+        step2Promise = dexVenues.swap(wallet, venuePool, {
+          tokenIn: CONTRACTS.VIRTUAL,
+          tokenOut: tokenInfo.address,
+          amountIn: virtualAmountWei,
+          minAmountOut: step2Protection.minAmountOut,
+          deadline
+        }, step2Overrides);
+      } else if (step2Execution.direct) {
+        step2Promise = swapRouter.swap(wallet, step2Path, {
+          amountIn: virtualAmountWei,
+          minAmountOut: step2Protection.minAmountOut,
+          deadline
+        }, step2Overrides);
+      } else {
+        step2Promise = trustSwap.swapVirtualWithFee(
+          virtualAmountWei,
+          step2Protection.minAmountOut,
+          tokenInfo.address,
+          deadline,
+          step2Overrides
+        );
+      }
+      transactions.push(nonceManager.trackSend(wallet.address, baseNonce + 1, step2Promise, 'buy step 2'));
       
       console.log(`   Executing sequential transactions: Step 1 (nonce ${baseNonce}) then Step 2 (nonce ${baseNonce + 1})`);
       
@@ -213,18 +265,28 @@ export class SwapExecutor {
       
       // Execute Step 2 after delay
       const step2Tx = await transactions[1];
-      const [step1Receipt, step2Receipt] = await Promise.all([step1Tx.wait(), step2Tx.wait()]);
+      const [step1Receipt, step2Receipt] = await Promise.all([
+        wsTransactionService.watchTransaction(step1Tx),
+        wsTransactionService.watchTransaction(step2Tx)
+      ]);
+      TransactionExecutor.recordConfirmed(step1Tx, step1Receipt);
+      TransactionExecutor.recordConfirmed(step2Tx, step2Receipt);
       
       const sameBlock = step1Receipt.blockNumber === step2Receipt.blockNumber;
       console.log(`   SAME BLOCK: Step 1 (${step1Receipt.blockNumber}) | Step 2 (${step2Receipt.blockNumber})`);
       
+      // Calculate tokens actually received
+      const tokenBalanceAfter = await tokenContract.balanceOf(wallet.address);
+      const tokensReceived = dryRun.receivedAmount(parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, tokenInfo.decimals)), step2Protection.quotedOut);
+      
       if (tracker) {
         tracker.addTransaction(
           wallet.address,
           currencyInfo.symbol,
           currencyAmount,
           tokenInfo.symbol,
-          step2Calculation.expectedTokens
+          tokensReceived,
+          { txHash: step2Tx.hash, tokenAddress: tokenInfo.address, direction: 'buy', ...slippageGuard.toTrackerMetadata(step2Protection) }
         );
       }
       
@@ -235,12 +297,117 @@ export class SwapExecutor {
         txHash: step2Tx.hash,
         sameBlock: sameBlock,
         twoStep: true,
-        tokensReceived: step2Calculation.expectedTokens
+        tokensReceived: tokensReceived,
+        slippageProtection: step2Protection
       };
       
     } catch (error) {
       console.log(`Two-step buy failed: ${error.message}`);
-      return { success: false, error: error.message };
+      const failure = revertDecoder.fromError(error);
+      if (failure) {
+        revertDecoder.record(failure, 'buy', error.receipt?.hash || null);
+      }
+      return { success: false, error: error.message, failure };
+    }
+  }
+
+  /**
+   * Execute VIRTUAL buy on the token's Uniswap V3/Aerodrome pool (tokenInfo.venuePool)
+   * @param {Object} wallet - Wallet instance
+   * @param {Object} tokenInfo - Token information with venuePool
+   * @param {number} virtualAmount - Amount of VIRTUAL to spend
+   * @param {string} customGasPrice - Custom gas price
+   * @param {Object} tracker - Transaction tracker
+   * @returns {Object} Transaction result
+   */
+  static async executeVenueBuy(wallet, tokenInfo, virtualAmount, customGasPrice = null, tracker = null) {
+    const pool = tokenInfo.venuePool;
+    
+    try {
+      console.log(`\nVIRTUAL Buy: ${virtualAmount} VIRTUAL → ${tokenInfo.symbol} (${pool.label})`);
+      
+      const gasPrice = customGasPrice ? 
+        ethers.parseUnits(customGasPrice, 'gwei') : 
+        await gasPriceService.getLegacyGasPrice();
+      const gasLimit = 500000n;
+      const deadline = Math.floor(Date.now() / 1000) + DEFAULT_SETTINGS.TRANSACTION_DEADLINE;
+      
+      // SURGICAL FIX: Truncate to 12 decimals to prevent NUMERIC_FAULT in TWAP mode
+      const virtualAmountWei = ethers.parseUnits(parseFloat(virtualAmount.toFixed(12)).toString(), 18);
+      
+      // Reference quote before approval so pool movement while approving is detected
+      const quotePath = [CONTRACTS.VIRTUAL, tokenInfo.address];
+      const quoteOptions = { venuePool: pool };
+      const referenceQuote = await slippageGuard.quote(virtualAmountWei, quotePath, quoteOptions);
+      
+      await this.checkAndApproveToken(wallet, CONTRACTS.VIRTUAL, dexVenues.spenderFor(pool), virtualAmountWei, 'VIRTUAL', gasPrice);
+      
+      // Record token balance before swap
+      const tokenContract = new ethers.Contract(tokenInfo.address, ABIS.ERC20_MINIMAL, provider);
+      const tokenBalanceBefore = await tokenContract.balanceOf(wallet.address);
+      
+      // Re-quote right before signing and derive minimum token output
+      const protection = await slippageGuard.protect(virtualAmountWei, quotePath, {
+        ...quoteOptions,
+        referenceQuote,
+        decimalsOut: tokenInfo.decimals,
+        symbolOut: tokenInfo.symbol
+      });
+      
+      const swapResult = await executeTransactionWithReplacementFee(
+        async (currentProvider, gasParams) => {
+          return await dexVenues.swap(wallet.connect(currentProvider), pool, {
+            tokenIn: CONTRACTS.VIRTUAL,
+            tokenOut: tokenInfo.address,
+            amountIn: virtualAmountWei,
+            minAmountOut: protection.minAmountOut,
+            deadline
+          }, {
+            maxFeePerGas: gasParams.maxFeePerGas,
+            maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+            nonce: gasParams.nonce,
+            gasLimit: gasLimit
+          });
+        },
+        { wallet, label: 'buy' }
+      );
+      
+      // Calculate tokens received
+      const tokenBalanceAfter = await tokenContract.balanceOf(wallet.address);
+      const tokensReceived = dryRun.receivedAmount(parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, tokenInfo.decimals)), protection.quotedOut);
+      
+      console.log(`   Tokens received: ${tokensReceived.toFixed(6)} ${tokenInfo.symbol}`);
+      console.log(`   Transaction: ${swapResult.hash}`);
+      
+      if (tracker) {
+        tracker.addTransaction(
+          wallet.address,
+          'VIRTUAL',
+          virtualAmount,
+          tokenInfo.symbol,
+          tokensReceived,
+          { txHash: swapResult.hash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(protection) }
+        );
+      }
+      
+      return {
+        success: true,
+        txHash: swapResult.hash,
+        inputSpent: virtualAmount,
+        tokensReceived: tokensReceived,
+        slippageProtection: protection,
+        gasUsed: swapResult.receipt.gasUsed.toString(),
+        venue: pool.venue,
+        rpcProvider: swapResult.provider
+      };
+      
+    } catch (error) {
+      console.log(`   ${pool.label} buy failed: ${error.message}`);
+      const failure = revertDecoder.fromError(error);
+      if (failure) {
+        revertDecoder.record(failure, 'buy', error.receipt?.hash || null);
+      }
+      return { success: false, error: error.message, failure, venue: pool.venue };
     }
   }
 
@@ -272,6 +439,13 @@ export class SwapExecutor {
       const tokenBalanceBefore = await tokenContract.balanceOf(wallet.address);
       
       console.log(`   Buying with: ${ethAmount} ETH`);
+      
+      // Quote right before signing and derive minimum token output
+      const protection = await slippageGuard.protect(ethAmountWei, [CONTRACTS.WETH, tokenInfo.address], {
+        decimalsOut: tokenInfo.decimals,
+        symbolOut: tokenInfo.symbol
+      });
+      
       console.log(`   Executing TRUSTSWAP.swapETHForTokensWithFee...`);
       
       // Execute ETH swap using TRUSTSWAP
@@ -282,21 +456,23 @@ export class SwapExecutor {
           
           return await trustSwap.swapETHForTokensWithFee(
             tokenInfo.address,
-            0, // Minimum token output (let TRUSTSWAP handle slippage)
+            protection.minAmountOut,
             deadline,
             {
               value: ethAmountWei, // ETH sent with transaction
               maxFeePerGas: gasParams.maxFeePerGas,
               maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+              nonce: gasParams.nonce,
               gasLimit: gasLimit
             }
           );
-        }
+        },
+        { wallet, label: 'buy' }
       );
       
       // Calculate tokens received
       const tokenBalanceAfter = await tokenContract.balanceOf(wallet.address);
-      const tokensReceived = parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, tokenInfo.decimals));
+      const tokensReceived = dryRun.receivedAmount(parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, tokenInfo.decimals)), protection.quotedOut);
       
       console.log(`   Tokens received: ${tokensReceived.toFixed(6)} ${tokenInfo.symbol}`);
       console.log(`   Gas used: ${swapResult.receipt.gasUsed.toString()}`);
@@ -309,7 +485,8 @@ export class SwapExecutor {
           'ETH',
           ethAmount,
           tokenInfo.symbol,
-          tokensReceived
+          tokensReceived,
+          { txHash: swapResult.hash, tokenAddress: tokenInfo.address, ...slippageGuard.toTrackerMetadata(protection) }
         );
       }
       
@@ -317,6 +494,7 @@ export class SwapExecutor {
         success: true,
         txHash: swapResult.hash,
         tokensReceived: tokensReceived,
+        slippageProtection: protection,
         gasUsed: swapResult.receipt.gasUsed.toString(),
         bidMode: true,
         rpcProvider: swapResult.provider
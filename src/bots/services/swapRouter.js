@@ -0,0 +1,224 @@
+/**
+ * Swap Router Service
+ * Finds the best Uniswap V2 path between two tokens through the VIRTUAL, WETH and USDC hubs
+ * and executes it in a single router transaction
+ */
+
+import { ethers } from 'ethers';
+import { executeRpcWithFallback } from '../../config.js';
+import { CONTRACTS, ABIS } from '../config/constants.js';
+
+// Intermediate tokens a path may pass through (most Base liquidity sits against one of these)
+export const HUB_TOKENS = [
+  { symbol: 'VIRTUAL', address: CONTRACTS.VIRTUAL, decimals: 18 },
+  { symbol: 'WETH', address: CONTRACTS.WETH, decimals: 18 },
+  { symbol: 'USDC', address: CONTRACTS.USDC, decimals: 6 }
+];
+
+// Longest path considered: tokenIn → hub → hub → tokenOut
+const MAX_HUBS_PER_PATH = 2;
+
+// Missing pairs are re-checked after this long (a pool may be created later); existing pairs are cached for the run
+const MISSING_PAIR_TTL_MS = 60000;
+
+/**
+ * SwapRouter - Multi-hop path discovery and quoting on the Uniswap V2 router
+ */
+export class SwapRouter {
+  constructor() {
+    this.pairCache = new Map(); // 'tokenA:tokenB' (sorted, lowercase) → { pair, checkedAt }
+  }
+
+  /**
+   * Get the V2 pair address for two tokens (cached)
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<string|null>} Pair address, or null when no pool exists
+   */
+  async getPair(tokenA, tokenB) {
+    const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':');
+    const cached = this.pairCache.get(key);
+    if (cached && (cached.pair || Date.now() - cached.checkedAt < MISSING_PAIR_TTL_MS)) {
+      return cached.pair;
+    }
+
+    const pairAddress = await executeRpcWithFallback(async (provider) => {
+      const factory = new ethers.Contract(CONTRACTS.UNISWAP_V2_FACTORY, ABIS.UNISWAP_V2_FACTORY, provider);
+      return await factory.getPair(tokenA, tokenB);
+    }, 2, 1000);
+
+    const pair = pairAddress && pairAddress !== ethers.ZeroAddress ? pairAddress : null;
+    this.pairCache.set(key, { pair, checkedAt: Date.now() });
+    return pair;
+  }
+
+  /**
+   * List every candidate path from tokenIn to tokenOut through up to MAX_HUBS_PER_PATH distinct hubs
+   * @param {string} tokenIn - Input token address (WETH for ETH)
+   * @param {string} tokenOut - Output token address (WETH for ETH)
+   * @returns {Array<Array<string>>} Candidate paths, direct path first
+   */
+  candidatePaths(tokenIn, tokenOut) {
+    const endpoints = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+    const hubs = HUB_TOKENS.map(hub => hub.address).filter(hub => !endpoints.includes(hub.toLowerCase()));
+    const paths = [[tokenIn, tokenOut]];
+
+    const extend = (path, remaining, depth) => {
+      if (depth === MAX_HUBS_PER_PATH) {
+        return;
+      }
+      remaining.forEach(hub => {
+        const withHub = [...path, hub];
+        paths.push([...withHub, tokenOut]);
+        extend(withHub, remaining.filter(other => other !== hub), depth + 1);
+      });
+    };
+    extend([tokenIn], hubs, 0);
+
+    return paths;
+  }
+
+  /**
+   * Find the candidate paths whose every hop has a V2 pool
+   * @param {string} tokenIn - Input token address (WETH for ETH)
+   * @param {string} tokenOut - Output token address (WETH for ETH)
+   * @returns {Promise<Array<Array<string>>>} Paths that can be swapped
+   */
+  async findPaths(tokenIn, tokenOut) {
+    const candidates = this.candidatePaths(tokenIn, tokenOut);
+
+    // Look up each distinct hop once
+    const hops = new Map();
+    candidates.forEach(path => {
+      for (let i = 0; i < path.length - 1; i++) {
+        const key = [path[i].toLowerCase(), path[i + 1].toLowerCase()].sort().join(':');
+        if (!hops.has(key)) {
+          hops.set(key, this.getPair(path[i], path[i + 1]).catch(() => null));
+        }
+      }
+    });
+    const pairs = new Map();
+    for (const [key, lookup] of hops) {
+      pairs.set(key, await lookup);
+    }
+
+    return candidates.filter(path => path.slice(0, -1).every((token, i) =>
+      pairs.get([token.toLowerCase(), path[i + 1].toLowerCase()].sort().join(':'))
+    ));
+  }
+
+  /**
+   * Quote a path with the V2 router (getAmountsOut already takes the 0.3% pool fee per hop)
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {Array<string>} path - Swap path
+   * @returns {Promise<Object>} { path, amounts, amountOut }
+   */
+  async quotePath(amountIn, path) {
+    const amounts = await executeRpcWithFallback(async (provider) => {
+      const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, provider);
+      return await router.getAmountsOut(amountIn, path);
+    }, 2, 1000);
+
+    return { path, amounts: [...amounts], amountOut: amounts[amounts.length - 1] };
+  }
+
+  /**
+   * Quote every swappable path and pick the one with the highest output
+   * @param {BigInt} amountIn - Input amount in wei
+   * @param {string} tokenIn - Input token address (WETH for ETH)
+   * @param {string} tokenOut - Output token address (WETH for ETH)
+   * @returns {Promise<Object>} Best route { path, amounts, amountOut, alternatives }
+   * @throws {Error} If no path has liquidity
+   */
+  async findBestRoute(amountIn, tokenIn, tokenOut) {
+    const paths = await this.findPaths(tokenIn, tokenOut);
+    if (paths.length === 0) {
+      throw new Error(`No Uniswap V2 route from ${this.symbolFor(tokenIn)} to ${this.symbolFor(tokenOut)} via ${HUB_TOKENS.map(hub => hub.symbol).join('/')}`);
+    }
+
+    const quotes = (await Promise.allSettled(paths.map(path => this.quotePath(amountIn, path))))
+      .filter(result => result.status === 'fulfilled' && result.value.amountOut > 0n)
+      .map(result => result.value)
+      .sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+
+    if (quotes.length === 0) {
+      throw new Error(`No Uniswap V2 route from ${this.symbolFor(tokenIn)} to ${this.symbolFor(tokenOut)} returned a quote`);
+    }
+
+    return { ...quotes[0], alternatives: quotes.slice(1) };
+  }
+
+  /**
+   * Symbol of a hub token, or a shortened address
+   * @param {string} address - Token address
+   * @param {Object} symbols - Extra address → symbol names (lowercase keys)
+   * @returns {string} Display name
+   */
+  symbolFor(address, symbols = {}) {
+    const lower = address.toLowerCase();
+    const hub = HUB_TOKENS.find(token => token.address.toLowerCase() === lower);
+    return symbols[lower] || hub?.symbol || `${address.slice(0, 8)}...`;
+  }
+
+  /**
+   * Describe a route as "TOKEN → VIRTUAL → WETH"
+   * @param {Object} route - Route from findBestRoute
+   * @param {Object} symbols - Extra address → symbol names (lowercase keys)
+   * @returns {string} Path description
+   */
+  describe(route, symbols = {}) {
+    return route.path.map(address => this.symbolFor(address, symbols)).join(' → ');
+  }
+
+  /**
+   * Log the chosen route and how much it beats the next best path
+   * @param {Object} route - Route from findBestRoute
+   * @param {Object} options - Display options
+   * @param {number} options.decimalsOut - Output token decimals
+   * @param {Object} options.symbols - Extra address → symbol names (lowercase keys)
+   */
+  logRoute(route, { decimalsOut = 18, symbols = {} } = {}) {
+    const out = parseFloat(ethers.formatUnits(route.amountOut, decimalsOut));
+    console.log(`   🧭 Route: ${this.describe(route, symbols)} (${out.toFixed(6)} out)`);
+
+    const runnerUp = route.alternatives?.[0];
+    if (runnerUp) {
+      const gainBps = Number((route.amountOut - runnerUp.amountOut) * 10000n / runnerUp.amountOut);
+      console.log(`   🧭 Beats ${this.describe(runnerUp, symbols)} by ${(gainBps / 100).toFixed(2)}% (${route.alternatives.length + 1} paths quoted)`);
+    }
+  }
+
+  /**
+   * Send a route through the V2 router (fee-on-transfer safe variants)
+   * @param {Object} signer - Wallet connected to a provider
+   * @param {Array<string>} path - Swap path
+   * @param {Object} params - Swap parameters
+   * @param {BigInt} params.amountIn - Input amount in wei
+   * @param {BigInt} params.minAmountOut - Minimum output in wei
+   * @param {number} params.deadline - Unix deadline
+   * @param {boolean} params.ethIn - Pay native ETH (path starts with WETH)
+   * @param {boolean} params.ethOut - Receive native ETH (path ends with WETH)
+   * @param {Object} overrides - Gas and nonce overrides
+   * @returns {Promise<Object>} Sent transaction
+   */
+  async swap(signer, path, { amountIn, minAmountOut, deadline, ethIn = false, ethOut = false }, overrides = {}) {
+    const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, signer);
+
+    if (ethIn) {
+      return await router.swapExactETHForTokensSupportingFeeOnTransferTokens(
+        minAmountOut, path, signer.address, deadline, { ...overrides, value: amountIn }
+      );
+    }
+    if (ethOut) {
+      return await router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+        amountIn, minAmountOut, path, signer.address, deadline, overrides
+      );
+    }
+    return await router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+      amountIn, minAmountOut, path, signer.address, deadline, overrides
+    );
+  }
+}
+
+// Export singleton instance
+export const swapRouter = new SwapRouter();
@@ -1,52 +1,32 @@
-// Token blacklist service
+// Token blacklist service (enforces the user-editable lists in token-lists.json)
 
-import { BLACKLISTED_TOKENS } from '../config/jeetConstants.js';
+import { tokenListStore } from './tokenListStore.js';
 
 export class TokenBlacklist {
   /**
-   * Check if a token is blacklisted by address or ticker
+   * Check if a token is blocked by the blacklist (or, when buying, missing from a non-empty allowlist)
    * @param {string} tokenAddress - Token contract address
    * @param {string} [ticker] - Optional ticker symbol
+   * @param {Object} [options] - { buying } - the token is a buy/snipe target
    * @returns {boolean} True if blacklisted
    */
-  static isTokenBlacklisted(tokenAddress, ticker = null) {
-    // Check by address first (case-insensitive)
-    if (tokenAddress && BLACKLISTED_TOKENS.addresses.includes(tokenAddress.toLowerCase())) {
-      return true;
-    }
-    
-    // Check by ticker if provided (case-insensitive)
-    if (ticker && BLACKLISTED_TOKENS.tickers.includes(ticker.toUpperCase())) {
-      return true;
-    }
-    
-    return false;
+  static isTokenBlacklisted(tokenAddress, ticker = null, options = {}) {
+    return this.getBlacklistStatus(tokenAddress, ticker, options).isBlacklisted;
   }
 
   /**
    * Get blacklist reason for a token
    * @param {string} tokenAddress - Token contract address
    * @param {string} [ticker] - Optional ticker symbol
-   * @returns {{isBlacklisted: boolean, reason: string|null}} Blacklist status and reason
+   * @param {Object} [options] - { buying } - the token is a buy/snipe target (the allowlist applies)
+   * @returns {{isBlacklisted: boolean, reason: string|null, list: string|null}} Blacklist status and reason
    */
-  static getBlacklistStatus(tokenAddress, ticker = null) {
-    if (tokenAddress && BLACKLISTED_TOKENS.addresses.includes(tokenAddress.toLowerCase())) {
-      return {
-        isBlacklisted: true,
-        reason: `address ${tokenAddress}`
-      };
-    }
-    
-    if (ticker && BLACKLISTED_TOKENS.tickers.includes(ticker.toUpperCase())) {
-      return {
-        isBlacklisted: true,
-        reason: `ticker ${ticker}`
-      };
-    }
-    
+  static getBlacklistStatus(tokenAddress, ticker = null, options = {}) {
+    const status = tokenListStore.check(tokenAddress, ticker, options);
     return {
-      isBlacklisted: false,
-      reason: null
+      isBlacklisted: !status.allowed,
+      reason: status.reason,
+      list: status.list
     };
   }
 
@@ -58,23 +38,38 @@ export class TokenBlacklist {
    */
   static logBlacklistWarning(tokenAddress, ticker, logger = console.log) {
     const status = this.getBlacklistStatus(tokenAddress, ticker);
-    
+
     if (status.isBlacklisted) {
       logger(`\n🚫 ==================== BLACKLISTED TOKEN DETECTED ====================`);
-      logger(`❌ OPERATION BLOCKED: This token is on the HARDCODED BLACKLIST`);
-      logger(`🔒 Blacklisted ${status.reason}`);
-      logger(`⚠️  JEETBOT WILL NOT SELL BLACKLISTED TOKENS FOR SAFETY`);
-      logger(`💡 If you need to sell this token, please use sellbot directly`);
+      logger(`❌ OPERATION BLOCKED: This token is blocked by the token ${status.list}`);
+      logger(`🔒 Blocked ${status.reason}`);
+      logger(`⚠️  BOTS WILL NOT TRADE OR TRANSFER BLOCKED TOKENS FOR SAFETY`);
+      logger(`💡 Edit the lists in Settings → Token Lists to allow this token`);
       logger(`🚫 ===================================================================`);
     }
   }
 
+  /**
+   * Throw when a token is blocked (for flows that abort instead of skipping)
+   * @param {string} tokenAddress - Token contract address
+   * @param {string} [ticker] - Optional ticker symbol
+   * @param {string} action - What was attempted (sell, snipe, transfer, ...)
+   */
+  static assertAllowed(tokenAddress, ticker = null, action = 'trade') {
+    const status = this.getBlacklistStatus(tokenAddress, ticker);
+    if (status.isBlacklisted) {
+      const error = new Error(`Token ${ticker || tokenAddress} is blocked by the token ${status.list} (${status.reason}) - refusing to ${action}`);
+      error.blacklisted = true;
+      throw error;
+    }
+  }
+
   /**
    * Get all blacklisted addresses
    * @returns {string[]} Array of blacklisted addresses
    */
   static getBlacklistedAddresses() {
-    return [...BLACKLISTED_TOKENS.addresses];
+    return tokenListStore.load().blacklist.filter(entry => entry.address).map(entry => entry.address.toLowerCase());
   }
 
   /**
@@ -82,6 +77,6 @@ export class TokenBlacklist {
    * @returns {string[]} Array of blacklisted tickers
    */
   static getBlacklistedTickers() {
-    return [...BLACKLISTED_TOKENS.tickers];
+    return tokenListStore.load().blacklist.filter(entry => entry.ticker).map(entry => entry.ticker.toUpperCase());
   }
-} 
\ No newline at end of file
+}
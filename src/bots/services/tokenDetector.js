@@ -9,59 +9,16 @@ import {
 } from '../config/jeetConstants.js';
 import { log, formatTimestampUTC } from '../../utils/logger.js';
 import { sleep } from '../../utils/common.js';
-import { ConfigLoader } from '../../config/loader.js';
+import { providerManager } from '../../providers/manager.js';
 
-// Dynamic WebSocket provider configuration from wallets.json
+// WebSocket providers come from the shared provider manager (best health first)
+// Providers whose WebSocket does not support eth_subscribe are skipped
 function getWebSocketProviders() {
-  const configLoader = new ConfigLoader();
-  // SURGICAL FIX: Use getRpcConfigurations() which decodes base64 URLs instead of getConfig() which returns raw base64
-  const rpcConfigs = configLoader.getRpcConfigurations();
-  
-  const providers = [];
-  
-  // Initialize providers from decoded RPC configurations
-  for (const rpcConfig of rpcConfigs) {
-    if (rpcConfig.wsUrl && rpcConfig.rpcUrl) {
-      // Filter out providers that don't support WebSocket subscriptions (eth_subscribe)
-      const providerName = rpcConfig.name.toLowerCase();
-      const wsUrl = rpcConfig.wsUrl.toLowerCase();
-      
-      // Skip providers known to not support eth_subscribe
-      if (wsUrl.includes('blastapi.io') || wsUrl.includes('blast') || 
-          providerName.includes('blast') || providerName.includes('quicknode')) {
-        log(`⚠️ ${rpcConfig.name}: Skipping - WebSocket subscriptions not supported by this provider`);
-        continue;
-      }
-      
-      try {
-        const rpcProvider = new ethers.JsonRpcProvider(rpcConfig.rpcUrl);
-        const wsProvider = new ethers.WebSocketProvider(rpcConfig.wsUrl);
-        
-        rpcProvider._providerName = `${rpcConfig.name}-RPC`;
-        wsProvider._providerName = `${rpcConfig.name}-WebSocket`;
-        
-        // Determine provider capabilities based on name
-        const supportsPendingTx = rpcConfig.name.toLowerCase().includes('alchemy');
-        const priority = rpcConfig.name.toLowerCase().includes('infura') ? 1 : 2;
-        
-        providers.push({
-          name: rpcConfig.name,
-          rpcProvider: rpcProvider,
-          wsProvider: wsProvider,
-          priority: priority,
-          supportsPendingTx: supportsPendingTx,
-          supportsBlocks: true
-        });
-        
-        log(`✅ ${rpcConfig.name} WebSocket provider loaded for token detection (${supportsPendingTx ? 'full support' : 'blocks only'})`);
-      } catch (error) {
-        log(`⚠️ Failed to create ${rpcConfig.name} WebSocket provider: ${error.message}`);
-      }
-    }
-  }
-  
-  // Sort by priority (Infura first, then Alchemy)
-  providers.sort((a, b) => a.priority - b.priority);
+  const providers = providerManager.getProviderPairs({ requireSubscriptions: true }).map(pair => ({
+    ...pair,
+    supportsPendingTx: pair.name.toLowerCase().includes('alchemy'),
+    supportsBlocks: true
+  }));
   
   if (providers.length === 0) {
     throw new Error('No WebSocket providers available from wallets.json configuration');
@@ -75,7 +32,18 @@ export class TokenDetector {
   constructor() {
     this.isDetecting = false;
     this.providers = [];
-    this.activeConnections = [];
+    this.activeListeners = []; // { wsProvider, event, listener } registered on shared providers
+  }
+
+  /**
+   * Register a listener on a shared WebSocket provider and remember it for cleanup
+   * @param {ethers.WebSocketProvider} wsProvider - Shared WebSocket provider
+   * @param {string|Object} event - Event name or log filter
+   * @param {Function} listener - Event listener
+   */
+  addListener(wsProvider, event, listener) {
+    wsProvider.on(event, listener);
+    this.activeListeners.push({ wsProvider, event, listener });
   }
 
   async detectTokenCAWebSocket(genesisContractAddress) {
@@ -146,22 +114,20 @@ export class TokenDetector {
 
       process.on('SIGINT', handleInterrupt);
 
-      // Setup listeners for each provider (Infura first, then Alchemy)
+      // Setup listeners for each provider (healthiest first)
       this.providers.forEach((providerConfig, index) => {
         const { name, wsProvider, supportsPendingTx, supportsBlocks } = providerConfig;
         const providerName = `${name}-WebSocket-Events`;
         
         log(`🔗 Setting up ${name} WebSocket listeners (priority ${index + 1})...`);
         log(`📡 ${name} capabilities: ${supportsPendingTx ? 'pending+blocks' : 'blocks-only'}`);
-        
-        // Store active connection for cleanup
-        this.activeConnections.push(wsProvider);
+
 
         // Method 1: Listen for pending transactions (only for providers that support it)
         if (supportsPendingTx) {
           log(`⚡ ${name}: Setting up pending transaction listener...`);
           try {
-            wsProvider.on('pending', async (txHash) => {
+            this.addListener(wsProvider, 'pending', async (txHash) => {
             if (isDetected) return;
 
           try {
@@ -232,7 +198,7 @@ export class TokenDetector {
         if (supportsBlocks) {
           log(`📦 ${name}: Setting up block listener...`);
           try {
-            wsProvider.on('block', async (blockNumber) => {
+            this.addListener(wsProvider, 'block', async (blockNumber) => {
             if (isDetected) return;
             
             try {
@@ -283,7 +249,7 @@ export class TokenDetector {
         }
 
         // Connection monitoring per provider
-        wsProvider.on('error', (error) => {
+        this.addListener(wsProvider, 'error', (error) => {
           log(`❌ ${name} WebSocket error: ${error.message}`);
           if (index === this.providers.length - 1 && !isDetected) {
             // If this is the last provider and still no detection, reject
@@ -308,21 +274,16 @@ export class TokenDetector {
   }
 
   cleanup() {
-    if (this.activeConnections.length > 0) {
-      log(`🧹 Cleaning up ${this.activeConnections.length} WebSocket connections...`);
-      this.activeConnections.forEach(wsProvider => {
+    if (this.activeListeners.length > 0) {
+      log(`🧹 Removing ${this.activeListeners.length} WebSocket listeners (connections stay with the provider manager)...`);
+      this.activeListeners.forEach(({ wsProvider, event, listener }) => {
         try {
-          if (wsProvider && wsProvider.removeAllListeners) {
-            wsProvider.removeAllListeners();
-      }
-          if (wsProvider && wsProvider.destroy) {
-            wsProvider.destroy();
-          }
+          wsProvider.off(event, listener);
         } catch (error) {
           // Ignore cleanup errors
-      }
-    });
-      this.activeConnections = [];
+        }
+      });
+      this.activeListeners = [];
     }
   }
 } 
\ No newline at end of file
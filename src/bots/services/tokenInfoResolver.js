@@ -4,6 +4,7 @@ import { ethers } from 'ethers';
 import { executeRpcWithFallback } from '../../config/index.js';
 import { ERC20_ABI } from '../config/jeetConstants.js';
 import { log } from '../../utils/logger.js';
+import { tokenRegistry } from '../../tokenRegistry.js';
 
 export class TokenInfoResolver {
   /**
@@ -50,10 +51,9 @@ export class TokenInfoResolver {
         log(`🔄 Trying database lookup fallback...`);
       }
       
-      // FALLBACK METHOD 1: Check base.json database
+      // FALLBACK METHOD 1: Check the token registry
       try {
-        const { resolveToken } = await import('../../baseDatabase.js');
-        const resolveResult = await resolveToken(tokenCA);
+        const resolveResult = await tokenRegistry.resolve(tokenCA, { tickerSearch: false });
         
         if (resolveResult.success && resolveResult.lpAddress) {
           log(`✅ Database fallback: Found ${resolveResult.symbol} with pool ${resolveResult.lpAddress.slice(0, 8)}...`);
@@ -114,8 +114,7 @@ export class TokenInfoResolver {
         if (searchSuccess) {
           // Try to re-resolve token after ticker search updated the database
           log(`🔄 Re-attempting token resolution after ticker search...`);
-          const { resolveToken } = await import('../../baseDatabase.js');
-          const retryResolveResult = await resolveToken(tokenCA);
+          const retryResolveResult = await tokenRegistry.resolve(tokenCA, { tickerSearch: false });
           
           if (retryResolveResult.success && retryResolveResult.lpAddress) {
             log(`✅ Ticker search fallback: Pool found ${retryResolveResult.lpAddress.slice(0, 8)}...`);
@@ -242,8 +241,7 @@ export class TokenInfoResolver {
         // Ticker symbol - resolve from database
         log(`🔤 Resolving ticker symbol: ${input}`);
         
-        const { resolveToken } = await import('../../baseDatabase.js');
-        const result = await resolveToken(input);
+        const result = await tokenRegistry.resolve(input);
         
         if (result.success) {
           log(`✅ Ticker resolved: ${input} → ${result.address}`);
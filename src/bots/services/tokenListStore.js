@@ -0,0 +1,271 @@
+/**
+ * Token List Store
+ * Persists the user-editable token blacklist and allowlist in token-lists.json next to wallets.json
+ * so every bot process and the GUI share one copy
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+export const TOKEN_LISTS = {
+  BLACKLIST: 'blacklist',
+  ALLOWLIST: 'allowlist'
+};
+
+// Seeded into a new token-lists.json (previously hardcoded in jeetConstants.js, snipe-prebuilt.mjs and FSHModeHandler)
+const DEFAULT_BLACKLIST = [
+  { address: '0x4200000000000000000000000000000000000042', ticker: 'OP', reason: 'OP token on Base' },
+  { address: '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca', ticker: 'USDbC', reason: 'USD Base Coin' },
+  { address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', ticker: 'USDC', reason: 'USD Coin' },
+  { address: '0x4ed4e862860bed51a9570b96d89af5e1b0efefed', ticker: 'DEGEN', reason: 'Degen token' },
+  { address: '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', ticker: 'DAI', reason: 'DAI stablecoin' },
+  { address: '0xc841b4ead3f70be99472ffdb88e5c3c7af6a481a', ticker: 'TRUST', reason: 'TRUST token' }
+];
+
+/**
+ * TokenListStore - JSON-backed blacklist/allowlist shared by the bot processes and the GUI
+ * Entries match a token by address, ticker or both: { address, ticker, reason, addedAt }
+ */
+export class TokenListStore {
+  /**
+   * Get the token lists file path (stored beside wallets.json)
+   * @returns {string} Absolute path to token-lists.json
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), 'token-lists.json');
+  }
+
+  /**
+   * Load both lists from disk
+   * A missing file is created with the default blacklist, so its entries keep the date they were first seeded
+   * @returns {Object} { blacklist, allowlist }
+   */
+  load() {
+    const listsPath = this.getPath();
+    if (!fs.existsSync(listsPath)) {
+      const addedAt = new Date().toISOString();
+      const lists = {
+        blacklist: DEFAULT_BLACKLIST.map(entry => ({ ...entry, addedAt })),
+        allowlist: []
+      };
+      try {
+        this.save(lists);
+      } catch (error) {
+        console.log(`⚠️ Could not create token-lists.json: ${error.message}`);
+      }
+      return lists;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(listsPath, 'utf8'));
+      return {
+        blacklist: Array.isArray(data.blacklist) ? data.blacklist : [],
+        allowlist: Array.isArray(data.allowlist) ? data.allowlist : []
+      };
+    } catch (error) {
+      console.log(`⚠️ Could not read token-lists.json: ${error.message}`);
+      return { blacklist: [], allowlist: [] };
+    }
+  }
+
+  /**
+   * Write both lists to disk (temp file + rename so readers never see a partial file)
+   * @param {Object} lists - { blacklist, allowlist }
+   */
+  save(lists) {
+    const listsPath = this.getPath();
+    const tempPath = `${listsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ blacklist: lists.blacklist, allowlist: lists.allowlist }, null, 2));
+    fs.renameSync(tempPath, listsPath);
+  }
+
+  /**
+   * Build a validated entry from user input
+   * @param {Object} input - { address, ticker, reason, addedAt }
+   * @returns {Object} Normalized entry (lowercase address, uppercase ticker)
+   * @private
+   */
+  _normalize(input) {
+    const address = (input.address || '').trim();
+    const ticker = (input.ticker || '').trim().replace(/^\$/, '');
+
+    if (!address && !ticker) {
+      throw new Error('Entry needs a token address or ticker');
+    }
+    if (address && !ethers.isAddress(address)) {
+      throw new Error(`Invalid token address: ${address}`);
+    }
+
+    return {
+      address: address ? address.toLowerCase() : null,
+      ticker: ticker ? ticker.toUpperCase() : null,
+      reason: (input.reason || '').trim(),
+      addedAt: input.addedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check whether an entry matches a token
+   * @param {Object} entry - List entry
+   * @param {string|null} address - Lowercase token address
+   * @param {string|null} ticker - Uppercase ticker
+   * @returns {boolean} True when the address or ticker matches
+   * @private
+   */
+  _matches(entry, address, ticker) {
+    return Boolean((address && entry.address && entry.address.toLowerCase() === address) ||
+      (ticker && entry.ticker && entry.ticker.toUpperCase() === ticker));
+  }
+
+  /**
+   * Replace the entry with the same key (address, or ticker for ticker-only entries) or append
+   * @param {Array<Object>} entries - Current list entries
+   * @param {Object} entry - Normalized entry
+   * @returns {Array<Object>} Updated entries
+   * @private
+   */
+  _upsert(entries, entry) {
+    const key = existing => existing.address ? existing.address.toLowerCase() : `$${(existing.ticker || '').toUpperCase()}`;
+    return [...entries.filter(existing => key(existing) !== key(entry)), entry];
+  }
+
+  /**
+   * Find the entry of a list that matches a token
+   * @param {string} listName - 'blacklist' or 'allowlist'
+   * @param {string|null} address - Token address
+   * @param {string|null} ticker - Token ticker
+   * @param {Object} lists - Already loaded lists (loads from disk when omitted)
+   * @returns {Object|null} Matching entry
+   */
+  find(listName, address, ticker = null, lists = this.load()) {
+    const lowerAddress = address ? address.toLowerCase() : null;
+    const upperTicker = ticker ? ticker.toUpperCase() : null;
+    return lists[listName].find(entry => this._matches(entry, lowerAddress, upperTicker)) || null;
+  }
+
+  /**
+   * Add an entry to a list (an existing entry for the same address/ticker is replaced)
+   * @param {string} listName - 'blacklist' or 'allowlist'
+   * @param {Object} input - { address, ticker, reason }
+   * @returns {Object} { success, entry } or { success: false, error }
+   */
+  add(listName, input) {
+    if (!Object.values(TOKEN_LISTS).includes(listName)) {
+      return { success: false, error: `Unknown token list: ${listName}` };
+    }
+
+    let entry;
+    try {
+      entry = this._normalize({ ...input, addedAt: null });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const lists = this.load();
+    lists[listName] = this._upsert(lists[listName], entry);
+    this.save(lists);
+    return { success: true, entry };
+  }
+
+  /**
+   * Remove the entry matching an address or ticker
+   * @param {string} listName - 'blacklist' or 'allowlist'
+   * @param {string} key - Entry address, or ticker for ticker-only entries
+   * @returns {Object} { success, entry } or { success: false, error }
+   */
+  remove(listName, key) {
+    const lists = this.load();
+    const value = (key || '').trim();
+    const index = (lists[listName] || []).findIndex(entry =>
+      entry.address ? entry.address.toLowerCase() === value.toLowerCase()
+        : (entry.ticker || '').toUpperCase() === value.toUpperCase()
+    );
+    if (index === -1) {
+      return { success: false, error: `No ${listName} entry for ${value}` };
+    }
+
+    const [entry] = lists[listName].splice(index, 1);
+    this.save(lists);
+    return { success: true, entry };
+  }
+
+  /**
+   * Decide whether bots may trade or move a token
+   * The blacklist always wins; a non-empty allowlist additionally blocks buying every token not on it
+   * (sells and transfers of tokens already held are never held back by the allowlist)
+   * @param {string|null} address - Token address
+   * @param {string|null} ticker - Token ticker
+   * @param {Object} options - { buying } - the token is a buy/snipe target
+   * @returns {Object} { allowed, list, entry, reason }
+   */
+  check(address, ticker = null, { buying = false } = {}) {
+    const lists = this.load();
+
+    const blacklisted = this.find(TOKEN_LISTS.BLACKLIST, address, ticker, lists);
+    if (blacklisted) {
+      const match = address && blacklisted.address === address.toLowerCase() ? `address ${address}` : `ticker ${ticker}`;
+      return {
+        allowed: false,
+        list: TOKEN_LISTS.BLACKLIST,
+        entry: blacklisted,
+        reason: `${match}${blacklisted.reason ? ` (${blacklisted.reason})` : ''}`
+      };
+    }
+
+    if (buying && lists.allowlist.length > 0 && !this.find(TOKEN_LISTS.ALLOWLIST, address, ticker, lists)) {
+      return {
+        allowed: false,
+        list: TOKEN_LISTS.ALLOWLIST,
+        entry: null,
+        reason: `${ticker || address} is not on the allowlist`
+      };
+    }
+
+    return { allowed: true, list: null, entry: null, reason: null };
+  }
+
+  /**
+   * Export both lists as JSON
+   * @returns {string} Pretty-printed { blacklist, allowlist }
+   */
+  exportJson() {
+    return JSON.stringify(this.load(), null, 2);
+  }
+
+  /**
+   * Import lists from JSON (entries keep their reason and added date)
+   * @param {string} json - JSON with blacklist and/or allowlist arrays
+   * @param {boolean} replace - Replace the current lists instead of merging into them
+   * @returns {Object} { success, blacklist, allowlist } entry counts or { success: false, error }
+   */
+  importJson(json, replace = false) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return { success: false, error: `Invalid JSON: ${error.message}` };
+    }
+
+    const lists = replace ? { blacklist: [], allowlist: [] } : this.load();
+    const imported = { blacklist: 0, allowlist: 0 };
+
+    try {
+      for (const listName of Object.values(TOKEN_LISTS)) {
+        for (const input of data[listName] || []) {
+          lists[listName] = this._upsert(lists[listName], this._normalize(input));
+          imported[listName]++;
+        }
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    this.save(lists);
+    return { success: true, ...imported };
+  }
+}
+
+// Create singleton instance
+export const tokenListStore = new TokenListStore();
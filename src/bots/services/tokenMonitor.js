@@ -1,7 +1,7 @@
 // Token monitor service for continuous wallet monitoring and swap execution
 
 import { ethers } from 'ethers';
-import { executeRpcWithFallback } from '../../config/index.js';
+import { executeRpcWithFallback, providerManager } from '../../config/index.js';
 import { 
   ERC20_ABI, 
   TOKEN_DUST_THRESHOLD,
@@ -13,49 +13,16 @@ import { sleep } from '../../utils/common.js';
 import { JeetSwapExecutor } from './jeetSwapExecutor.js';
 import { TokenInfoResolver } from './tokenInfoResolver.js';
 import { TokenBlacklist } from './tokenBlacklist.js';
-import { ConfigLoader } from '../../config/loader.js';
 
-// Dynamic WebSocket provider configuration from wallets.json
+// WebSocket providers come from the shared provider manager (best health first)
 function getWebSocketProviders() {
-  const configLoader = new ConfigLoader();
-  const rpcConfigs = configLoader.getRpcConfigurations(); // Use decoded configurations
-  
-  const providers = [];
-  
-  // Create providers from decoded RPC configurations
-  rpcConfigs.forEach((rpcConfig, index) => {
-    if (rpcConfig.wsUrl && rpcConfig.rpcUrl) {
-      try {
-        const rpcProvider = new ethers.JsonRpcProvider(rpcConfig.rpcUrl);
-        const wsProvider = new ethers.WebSocketProvider(rpcConfig.wsUrl);
-        
-        rpcProvider._providerName = `${rpcConfig.name}-RPC`;
-        wsProvider._providerName = `${rpcConfig.name}-WebSocket`;
-        
-        providers.push({
-          name: rpcConfig.name,
-          rpcProvider: rpcProvider,
-          wsProvider: wsProvider,
-          priority: index + 1 // Priority based on order
-        });
-        
-        log(`✅ ${rpcConfig.name} WebSocket provider loaded for balance monitoring`);
-      } catch (error) {
-        log(`⚠️ Failed to create ${rpcConfig.name} WebSocket provider: ${error.message}`);
-      }
-    } else {
-      log(`⚠️ ${rpcConfig.name} WebSocket URL not configured for balance monitoring`);
-    }
-  });
-  
-  // Sort by priority (Infura first, then Alchemy)
-  providers.sort((a, b) => a.priority - b.priority);
+  const providers = providerManager.getProviderPairs({ requireSubscriptions: true });
   
   if (providers.length === 0) {
     throw new Error('No WebSocket providers available for balance monitoring');
   }
   
-  log(`🔗 Balance monitoring providers: ${providers.map(p => p.name).join(' → ')} (priority order)`);
+  log(`🔗 Balance monitoring providers: ${providers.map(p => p.name).join(' → ')} (health order)`);
   return providers;
 }
 
@@ -71,7 +38,7 @@ export class TokenMonitor {
     this.dustWallets = new Map();
     this.tokenInfo = null;
     this.wsProviders = [];
-    this.activeConnections = [];
+    this.activeListeners = []; // { wsProvider, event, listener } registered on shared providers
     this.balanceCache = new Map(); // Cache for balance tracking
     this.transferEventFilter = null;
     this.currentProvider = null;
@@ -88,14 +55,14 @@ export class TokenMonitor {
 
   /**
    * Setup WebSocket Transfer event listeners for real-time balance monitoring
-   * Uses SEQUENTIAL fallback: Infura primary → Alchemy fallback (NOT parallel)
+   * Uses SEQUENTIAL fallback: healthiest provider primary → next provider fallback (NOT parallel)
    */
   async setupWebSocketBalanceMonitoring() {
     try {
       // Load WebSocket providers
       this.wsProviders = getWebSocketProviders();
       log(`📡 Setting up SEQUENTIAL WebSocket balance monitoring with ${this.wsProviders.length} providers`);
-      log(`🎯 Strategy: Infura PRIMARY → Alchemy FALLBACK (sequential, not parallel)`);
+      log(`🎯 Strategy: ${this.wsProviders[0].name} PRIMARY → next provider FALLBACK (sequential, not parallel)`);
       
       // Create Transfer event filter for this token
       const transferTopic = ethers.id("Transfer(address,address,uint256)");
@@ -104,7 +71,7 @@ export class TokenMonitor {
         topics: [transferTopic]
       };
       
-      // Start with primary provider (Infura)
+      // Start with primary provider (healthiest)
       await this.setupPrimaryWebSocketProvider();
       
       log(`✅ Sequential WebSocket Transfer event listener established`);
@@ -118,25 +85,52 @@ export class TokenMonitor {
   }
 
   /**
-   * Setup primary WebSocket provider (Infura) with automatic fallback to Alchemy
+   * Register a listener on a shared WebSocket provider and remember it for cleanup
+   * @param {ethers.WebSocketProvider} wsProvider - Shared WebSocket provider
+   * @param {string|Object} event - Event name or log filter
+   * @param {Function} listener - Event listener
+   */
+  addListener(wsProvider, event, listener) {
+    wsProvider.on(event, listener);
+    this.activeListeners.push({ wsProvider, event, listener });
+  }
+
+  /**
+   * Remove this monitor's listeners (the shared connections stay open for other services)
+   * @param {ethers.WebSocketProvider} wsProvider - Only remove listeners on this provider (all when omitted)
+   */
+  removeListeners(wsProvider = null) {
+    this.activeListeners = this.activeListeners.filter((entry) => {
+      if (wsProvider && entry.wsProvider !== wsProvider) {
+        return true;
+      }
+      try {
+        entry.wsProvider.off(entry.event, entry.listener);
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Setup primary WebSocket provider (healthiest) with automatic fallback to the next one
    */
   async setupPrimaryWebSocketProvider() {
-    const primaryProvider = this.wsProviders[0]; // Infura first
+    const primaryProvider = this.wsProviders[0]; // Healthiest first
     const { name, wsProvider } = primaryProvider;
     
     log(`🔗 Setting up PRIMARY ${name} Transfer event listener...`);
     
-    // Store active connection for cleanup
-    this.activeConnections.push(wsProvider);
     this.currentProvider = primaryProvider;
     
     // Listen for Transfer events on PRIMARY provider only
-    wsProvider.on(this.transferEventFilter, (event) => {
+    this.addListener(wsProvider, this.transferEventFilter, (event) => {
       this.handleTransferEvent(event, name);
     });
     
     // Connection monitoring with automatic fallback (ethers.js v6 compatible)
-    wsProvider.on('error', (error) => {
+    this.addListener(wsProvider, 'error', (error) => {
       log(`❌ ${name} WebSocket error in balance monitoring: ${error.message}`);
       this.handleProviderFailure(primaryProvider);
     });
@@ -163,30 +157,22 @@ export class TokenMonitor {
         return;
       }
       
-      // Cleanup failed provider
-      try {
-        if (failedProvider.wsProvider && failedProvider.wsProvider.removeAllListeners) {
-          failedProvider.wsProvider.removeAllListeners();
-        }
-      } catch (cleanupError) {
-        // Ignore cleanup errors
-      }
+      // Cleanup our listeners on the failed provider
+      this.removeListeners(failedProvider.wsProvider);
       
       // Setup fallback provider
       const { name, wsProvider } = nextProvider;
       log(`🔄 Switching to FALLBACK ${name} WebSocket provider...`);
       
-      // Store new active connection
-      this.activeConnections.push(wsProvider);
       this.currentProvider = nextProvider;
       
       // Listen for Transfer events on FALLBACK provider
-      wsProvider.on(this.transferEventFilter, (event) => {
+      this.addListener(wsProvider, this.transferEventFilter, (event) => {
         this.handleTransferEvent(event, name);
       });
       
       // Connection monitoring for fallback
-      wsProvider.on('error', (error) => {
+      this.addListener(wsProvider, 'error', (error) => {
         log(`❌ FALLBACK ${name} WebSocket error: ${error.message}`);
         // Could add additional fallback logic here if needed
       });
@@ -721,24 +707,12 @@ export class TokenMonitor {
   }
 
   /**
-   * Cleanup WebSocket connections and resources
+   * Cleanup WebSocket listeners and resources (connections are owned by the provider manager)
    */
   cleanup() {
-    if (this.activeConnections.length > 0) {
-      log(`🧹 Cleaning up ${this.activeConnections.length} WebSocket balance monitoring connections...`);
-      this.activeConnections.forEach(wsProvider => {
-        try {
-          if (wsProvider && wsProvider.removeAllListeners) {
-            wsProvider.removeAllListeners();
-          }
-          if (wsProvider && wsProvider.destroy) {
-            wsProvider.destroy();
-          }
-        } catch (error) {
-          // Ignore cleanup errors
-        }
-      });
-      this.activeConnections = [];
+    if (this.activeListeners.length > 0) {
+      log(`🧹 Removing ${this.activeListeners.length} WebSocket balance monitoring listeners...`);
+      this.removeListeners();
     }
     
     // Clear balance cache
@@ -5,10 +5,10 @@
 
 import { ethers } from 'ethers';
 import { provider } from '../../config.js';
-import { runTickerSearchFallback } from '../../utils.js';
-import { resolveToken } from '../../baseDatabase.js';
-import { resolveBidToken } from '../../bidDatabase.js';
+import { tokenRegistry, TOKEN_SOURCES, parseTokenInput } from '../../tokenRegistry.js';
 import { CONTRACTS, ABIS } from '../config/constants.js';
+import { swapRouter, HUB_TOKENS } from './swapRouter.js';
+import { dexVenues } from './dexVenues.js';
 
 /**
  * TokenResolver - Resolves token and currency information
@@ -86,12 +86,19 @@ export class TokenResolver {
     try {
       console.log(`\n🔍 Getting token info for: ${tokenInput} ${this.bidMode ? '(BID-MODE)' : ''}`);
       
+      // SYMBOL@<full address> of a token the registry does not know yet: trade the contract as given
+      const { addressPrefix } = parseTokenInput(tokenInput);
+      if (addressPrefix && this.isContractAddress(addressPrefix) && !tokenRegistry.get(addressPrefix)) {
+        tokenInput = addressPrefix;
+      }
+      
       // Check if input is a contract address
       if (this.isContractAddress(tokenInput)) {
         console.log(`🎯 Contract Address detected - using TRUSTSWAP delegation immediately`);
         
         // Get token metadata directly from contract
         const metadata = await this.getTokenMetadataFromCA(tokenInput);
+        this.recordToken({ ...metadata, address: tokenInput });
         
         return {
           symbol: metadata.symbol,
@@ -99,86 +106,62 @@ export class TokenResolver {
           address: tokenInput,
           decimals: metadata.decimals,
           poolAddress: null, // Force TRUSTSWAP fallback
+          venuePool: await this.findVenuePool(tokenInput),
           isDirectCA: true // Flag to indicate this was a direct CA input
         };
       }
       
-      // BID-MODE: Use bid.json database
+      // BID-MODE resolves only bid.json tokens, with their WETH pool as poolAddress
+      const resolveResult = await tokenRegistry.resolve(tokenInput, { bidMode: this.bidMode });
+      
+      // Several tokens share the ticker: refuse rather than guess (SYMBOL@0x… / SYMBOL@<n> picks one)
+      if (resolveResult.source === 'ambiguous') {
+        console.log(`🚫 Not trading ${tokenInput}: ${resolveResult.error}`);
+        return null;
+      }
+      
       if (this.bidMode) {
-        console.log(`🎯 BID-MODE: Using bid.json database for token resolution`);
-        const bidResult = await resolveBidToken(tokenInput);
-        
-        if (bidResult.success) {
-          console.log(`✅ BID-MODE: Token resolved from bid.json: ${bidResult.symbol} (${bidResult.address})`);
-          
-          // Get token decimals from contract
-          const tokenContract = new ethers.Contract(
-            bidResult.address,
-            ['function decimals() view returns (uint8)'],
-            provider
-          );
-          const decimals = await tokenContract.decimals();
-          
-          return {
-            symbol: bidResult.symbol,
-            name: bidResult.name,
-            address: bidResult.address,
-            decimals: decimals,
-            poolAddress: bidResult.lpAddress,
-            mcapInETH: bidResult.mcapInETH,
-            bidMode: true
-          };
-        } else {
-          console.log(`❌ BID-MODE: Token not found in bid.json: ${tokenInput}`);
+        if (!resolveResult.success) {
+          console.log(`❌ BID-MODE: Token not found in bid.json tokens: ${tokenInput}`);
           return null;
         }
+        
+        console.log(`✅ BID-MODE: Token resolved: ${resolveResult.symbol} (${resolveResult.address})`);
+        return {
+          symbol: resolveResult.symbol,
+          name: resolveResult.name,
+          address: resolveResult.address,
+          decimals: await this.getDecimals(resolveResult),
+          poolAddress: resolveResult.lpAddress,
+          mcapInETH: resolveResult.mcapInETH,
+          bidMode: true
+        };
       }
       
-      // Original ticker-based lookup for non-CA inputs
-      const resolveResult = await resolveToken(tokenInput);
-      
       if (resolveResult.success && resolveResult.lpAddress) {
         console.log(`✅ Token resolved: ${resolveResult.symbol} (${resolveResult.address})`);
         
-        const tokenContract = new ethers.Contract(
-          resolveResult.address,
-          ['function decimals() view returns (uint8)'],
-          provider
-        );
-        const decimals = await tokenContract.decimals();
-        
         return {
           symbol: resolveResult.symbol,
           name: resolveResult.name,
           address: resolveResult.address,
-          decimals: decimals,
+          decimals: await this.getDecimals(resolveResult),
           poolAddress: resolveResult.lpAddress
         };
       }
       
-      // Fallback to ticker search
-      if (resolveResult.success && !resolveResult.lpAddress) {
-        console.log('🔍 Using ticker search fallback...');
-        const searchSuccess = await runTickerSearchFallback(resolveResult.symbol);
-        
-        if (searchSuccess) {
-          const retryResult = await resolveToken(tokenInput);
-          if (retryResult.success && retryResult.lpAddress) {
-            const tokenContract = new ethers.Contract(
-              retryResult.address,
-              ['function decimals() view returns (uint8)'],
-              provider
-            );
-            const decimals = await tokenContract.decimals();
-            
-            return {
-              symbol: retryResult.symbol,
-              name: retryResult.name,
-              address: retryResult.address,
-              decimals: decimals,
-              poolAddress: retryResult.lpAddress
-            };
-          }
+      // Known token without a Uniswap V2 pool: its liquidity may sit on Uniswap V3 or Aerodrome
+      if (resolveResult.success) {
+        const venuePool = await this.findVenuePool(resolveResult.address);
+        if (venuePool) {
+          return {
+            symbol: resolveResult.symbol,
+            name: resolveResult.name,
+            address: resolveResult.address,
+            decimals: await this.getDecimals(resolveResult),
+            poolAddress: null,
+            venuePool
+          };
         }
       }
       
@@ -237,55 +220,59 @@ export class TokenResolver {
         return null;
       }
       
-      const resolveResult = await resolveToken(tokenSymbol);
+      // Routing hubs (WETH, USDC) need no database lookup
+      const hub = HUB_TOKENS.find(token => token.symbol === tokenSymbol.toUpperCase());
+      if (hub) {
+        console.log(`✅ Using routing hub currency: ${hub.symbol} (${hub.address})`);
+        return {
+          symbol: hub.symbol,
+          name: hub.symbol,
+          address: hub.address,
+          decimals: hub.decimals,
+          poolAddress: null,
+          isVirtual: hub.address === CONTRACTS.VIRTUAL
+        };
+      }
+      
+      if (this.isContractAddress(tokenSymbol)) {
+        const metadata = await this.getTokenMetadataFromCA(tokenSymbol);
+        return await this.getRoutedCurrencyInfo({ ...metadata, address: tokenSymbol });
+      }
+      
+      const resolveResult = await tokenRegistry.resolve(tokenSymbol);
+      
+      if (resolveResult.source === 'ambiguous') {
+        console.log(`🚫 Not using C-${tokenSymbol} as currency: ${resolveResult.error}`);
+        return null;
+      }
       
       if (resolveResult.success && resolveResult.lpAddress) {
         console.log(`✅ Currency resolved: ${resolveResult.symbol} (${resolveResult.address})`);
         
-        const tokenContract = new ethers.Contract(
-          resolveResult.address,
-          ['function decimals() view returns (uint8)'],
-          provider
-        );
-        const decimals = await tokenContract.decimals();
-        
         return {
           symbol: resolveResult.symbol,
           name: resolveResult.name,
           address: resolveResult.address,
-          decimals: decimals,
+          decimals: await this.getDecimals(resolveResult),
           poolAddress: resolveResult.lpAddress,
           isVirtual: false
         };
       }
       
-      if (resolveResult.success && !resolveResult.lpAddress) {
-        console.log('🔍 Currency found but no pool, trying ticker search...');
-        const searchSuccess = await runTickerSearchFallback(resolveResult.symbol);
-        
-        if (searchSuccess) {
-          const retryResult = await resolveToken(tokenSymbol);
-          if (retryResult.success && retryResult.lpAddress) {
-            const tokenContract = new ethers.Contract(
-              retryResult.address,
-              ['function decimals() view returns (uint8)'],
-              provider
-            );
-            const decimals = await tokenContract.decimals();
-            
-            return {
-              symbol: retryResult.symbol,
-              name: retryResult.name,
-              address: retryResult.address,
-              decimals: decimals,
-              poolAddress: retryResult.lpAddress,
-              isVirtual: false
-            };
-          }
+      // No VIRTUAL pool: still usable when a multi-hop route (via WETH/USDC) reaches VIRTUAL
+      if (resolveResult.success) {
+        const routed = await this.getRoutedCurrencyInfo({
+          symbol: resolveResult.symbol,
+          name: resolveResult.name,
+          address: resolveResult.address,
+          decimals: await this.getDecimals(resolveResult)
+        });
+        if (routed) {
+          return routed;
         }
       }
       
-      console.log(`❌ Currency not found or no pool vs VIRTUAL: ${currencyInput}`);
+      console.log(`❌ Currency not found or no route to VIRTUAL: ${currencyInput}`);
       return null;
       
     } catch (error) {
@@ -293,4 +280,73 @@ export class TokenResolver {
       return null;
     }
   }
+
+  /**
+   * Token decimals from the registry, read from the contract (and recorded) when not yet known
+   * @param {Object} resolved - Resolve result from tokenRegistry.resolve
+   * @returns {Promise<number>} Token decimals
+   */
+  async getDecimals(resolved) {
+    if (resolved.decimals !== null && resolved.decimals !== undefined) {
+      return resolved.decimals;
+    }
+
+    const tokenContract = new ethers.Contract(resolved.address, ['function decimals() view returns (uint8)'], provider);
+    const decimals = Number(await tokenContract.decimals());
+    this.recordToken({ address: resolved.address, symbol: resolved.symbol, decimals });
+    return decimals;
+  }
+
+  /**
+   * Record a token seen on-chain in the token registry (lookup failures never block trading)
+   * @param {Object} token - { address, symbol, name, decimals }
+   */
+  recordToken(token) {
+    try {
+      tokenRegistry.upsert({ ...token, decimals: token.symbol === 'UNKNOWN' ? null : token.decimals }, TOKEN_SOURCES.CONTRACT);
+    } catch (error) {
+      console.log(`⚠️ Token registry update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the Uniswap V3/Aerodrome VIRTUAL pool to trade a token on when it has no Uniswap V2 VIRTUAL pair
+   * @param {string} tokenAddress - Token contract address
+   * @returns {Promise<Object|null>} Pool descriptor from dexVenues, or null
+   */
+  async findVenuePool(tokenAddress) {
+    try {
+      const venuePool = await dexVenues.findVenuePool(tokenAddress, CONTRACTS.VIRTUAL);
+      if (venuePool) {
+        console.log(`🏊 No Uniswap V2 VIRTUAL pair - using ${venuePool.label} pool ${venuePool.address}`);
+      }
+      return venuePool;
+    } catch (error) {
+      console.log(`⚠️ Venue pool lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build currency info for a token without a VIRTUAL pool, if the swap router finds a path to VIRTUAL
+   * @param {Object} token - { symbol, name, address, decimals }
+   * @returns {Object|null} Currency information or null when no route exists
+   */
+  async getRoutedCurrencyInfo(token) {
+    const paths = await swapRouter.findPaths(token.address, CONTRACTS.VIRTUAL);
+    if (paths.length === 0) {
+      console.log(`❌ No Uniswap V2 route between ${token.symbol} and VIRTUAL`);
+      return null;
+    }
+
+    console.log(`✅ Currency resolved via routing: ${token.symbol} (${token.address}) - ${paths.length} path(s) to VIRTUAL`);
+    return {
+      symbol: token.symbol,
+      name: token.name,
+      address: token.address,
+      decimals: Number(token.decimals),
+      poolAddress: null,
+      isVirtual: false
+    };
+  }
 } 
\ No newline at end of file
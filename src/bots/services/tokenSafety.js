@@ -0,0 +1,461 @@
+/**
+ * Token Safety Service
+ * Pre-trade honeypot, transfer-tax, ownership and liquidity checks combined into one risk score
+ */
+
+import { ethers } from 'ethers';
+import { providerManager } from '../../providers/manager.js';
+import { configLoader } from '../../config/loader.js';
+import { SAFETY_DEFAULTS } from '../../config/constants.js';
+import { CONTRACTS, ABIS } from '../config/constants.js';
+import { revertDecoder } from './revertDecoder.js';
+import { dexVenues } from './dexVenues.js';
+
+// Risk points per finding; a token's score is their sum, capped at 100
+const RISK_POINTS = {
+  noPool: 100,
+  buyBlocked: 100,
+  sellBlocked: 100,
+  taxPerPercent: 2,          // 10% effective tax = 20 points
+  simulationUnavailable: 20,
+  lowLiquidity: 30,
+  activeOwner: 10,
+  blacklist: 30,
+  mutableFees: 20,
+  tradingControl: 20,
+  mint: 15,
+  upgradeable: 25
+};
+
+// Owner-only functions looked up in the token bytecode (by selector)
+const RISKY_FUNCTIONS = {
+  blacklist: [
+    'blacklist(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)', 'blacklistAddress(address,bool)',
+    'isBlacklisted(address)', 'addBot(address)', 'addBots(address[])', 'setBots(address[],bool)', 'setBot(address,bool)'
+  ],
+  mutableFees: [
+    'setFee(uint256)', 'setFees(uint256,uint256)', 'setTax(uint256)', 'setTaxes(uint256,uint256)',
+    'setBuyTax(uint256)', 'setSellTax(uint256)', 'updateFees(uint256,uint256)', 'setSwapTaxes(uint256,uint256)'
+  ],
+  tradingControl: [
+    'pause()', 'setTradingEnabled(bool)', 'setTrading(bool)', 'setMaxTxAmount(uint256)', 'setMaxWalletSize(uint256)',
+    'setCooldownEnabled(bool)'
+  ],
+  mint: ['mint(address,uint256)', 'mint(uint256)']
+};
+
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1167_PREFIX = '363d3d373d3d3d363d73';
+const OWNER_ABI = ['function owner() view returns (address)'];
+
+// Binary search steps when measuring received amounts (~0.01% precision)
+const TAX_SEARCH_STEPS = 14;
+
+/**
+ * TokenSafetyChecker - Simulated buy → sell round trip and contract scan before buying a token
+ */
+export class TokenSafetyChecker {
+  constructor() {
+    this.maxRiskOverride = null; // Set from the MAXRISK-<score> argument
+    this.force = false;          // Set from the FORCE argument
+    this.reports = new Map();    // token address → report
+    this.routerInterface = new ethers.Interface(ABIS.UNISWAP_V2);
+    this.tokenInterface = new ethers.Interface(ABIS.ERC20_MINIMAL);
+    this._config = null;
+  }
+
+  /**
+   * Set the risk limit for this run (MAXRISK-<score> and FORCE arguments)
+   * @param {Object} options - Safety options
+   * @param {number|null} options.maxRiskScore - Highest acceptable score, null for the wallets.json value
+   * @param {boolean} options.force - Buy tokens above the limit anyway
+   */
+  configure({ maxRiskScore = null, force = false } = {}) {
+    this.maxRiskOverride = maxRiskScore ?? null;
+    this.force = !!force;
+    if (this.maxRiskOverride !== null) {
+      console.log(`🛡️ Token safety: max risk score ${this.maxRiskOverride} from MAXRISK- argument`);
+    }
+    if (this.force) {
+      console.log('⚠️ Token safety: FORCE given - risky tokens are reported but not refused');
+    }
+  }
+
+  /**
+   * Get safety configuration from wallets.json (cached)
+   * @returns {Object} Safety configuration
+   */
+  getConfig() {
+    if (!this._config) {
+      try {
+        this._config = configLoader.getSafetyConfig();
+      } catch (error) {
+        console.log(`⚠️ Token safety: config unavailable (${error.message}), using defaults`);
+        this._config = { ...SAFETY_DEFAULTS };
+      }
+    }
+    return this._config;
+  }
+
+  /**
+   * Resolve the highest acceptable risk score
+   * Priority: MAXRISK- argument > wallets.json maxRiskScore > default
+   * @returns {number} Risk score limit (0-100)
+   */
+  getMaxRiskScore() {
+    return this.maxRiskOverride ?? this.getConfig().maxRiskScore;
+  }
+
+  /**
+   * Run every check against a token (reports are reused for cacheValidityMs)
+   * @param {string} tokenAddress - Token contract address
+   * @param {Object} options - Check options
+   * @param {boolean} options.refresh - Ignore a cached report
+   * @returns {Promise<Object>} Report with score, checks, buyTaxBps, sellTaxBps and pool
+   */
+  async check(tokenAddress, { refresh = false } = {}) {
+    const token = ethers.getAddress(tokenAddress);
+    const config = this.getConfig();
+    const cached = this.reports.get(token.toLowerCase());
+    if (!refresh && cached && Date.now() - cached.checkedAt < config.cacheValidityMs) {
+      return cached;
+    }
+
+    const provider = providerManager.getPrimaryProvider();
+    const checks = [];
+    let buyTaxBps = null;
+    let sellTaxBps = null;
+
+    const pool = await this._findPool(token, provider);
+    const venuePool = pool ? null : await dexVenues.findVenuePool(token).catch(() => null);
+    if (venuePool) {
+      // The round trip is simulated against the Uniswap V2 router, so V3/Aerodrome-only tokens skip it
+      checks.push({ name: 'pool', risk: RISK_POINTS.simulationUnavailable, detail: `only a ${venuePool.label} VIRTUAL pool (${venuePool.address.slice(0, 10)}...) - taxes not simulated` });
+      checks.push(...await this._checkContract(token, provider));
+    } else if (!pool) {
+      checks.push({ name: 'pool', risk: RISK_POINTS.noPool, detail: 'no Uniswap V2 pool with VIRTUAL or WETH and no Uniswap V3/Aerodrome VIRTUAL pool' });
+    } else {
+      checks.push(this._checkLiquidity(pool, config));
+
+      const [roundTrip, contractChecks] = await Promise.all([
+        this._simulateRoundTrip(token, pool, provider, config),
+        this._checkContract(token, provider)
+      ]);
+      checks.push(...roundTrip.checks, ...contractChecks);
+      buyTaxBps = roundTrip.buyTaxBps;
+      sellTaxBps = roundTrip.sellTaxBps;
+    }
+
+    const report = {
+      token,
+      score: Math.min(100, checks.reduce((sum, check) => sum + check.risk, 0)),
+      checks,
+      buyTaxBps,
+      sellTaxBps,
+      pool,
+      checkedAt: Date.now()
+    };
+    this.reports.set(token.toLowerCase(), report);
+    return report;
+  }
+
+  /**
+   * Check a token before buying and refuse it when it scores above the limit
+   * @param {Object} tokenInfo - Resolved token ({ address, symbol })
+   * @returns {Promise<Object>} Report (also returned for forced buys)
+   * @throws {Error} If the score is above the limit and FORCE was not given
+   */
+  async assertSafe(tokenInfo) {
+    const symbol = tokenInfo.symbol || tokenInfo.address;
+    console.log(`\n🛡️ Token safety check: ${symbol} (${tokenInfo.address})`);
+
+    const report = await this.check(tokenInfo.address);
+    const maxRiskScore = this.getMaxRiskScore();
+    this.displayReport(report);
+
+    if (report.score <= maxRiskScore) {
+      console.log(`✅ ${symbol} passed (risk ${report.score}/100, limit ${maxRiskScore})`);
+      return report;
+    }
+
+    if (this.force) {
+      console.log(`⚠️ ${symbol} risk ${report.score}/100 is above the limit ${maxRiskScore} - buying anyway (FORCE)`);
+      return report;
+    }
+
+    throw new Error(`Token safety: ${symbol} refused - risk ${report.score}/100 is above the limit ${maxRiskScore}. Pass FORCE to buy anyway or raise MAXRISK-<score>`);
+  }
+
+  /**
+   * Display a safety report
+   * @param {Object} report - Report from check()
+   */
+  displayReport(report) {
+    const formatTax = (bps) => bps === null ? 'n/a' : `${(bps / 100).toFixed(2)}%`;
+
+    console.log(`   📊 Risk score: ${report.score}/100 | buy tax ${formatTax(report.buyTaxBps)} | sell tax ${formatTax(report.sellTaxBps)}`);
+    report.checks.forEach(check => {
+      console.log(`   ${check.risk > 0 ? '⚠️' : '✅'} ${check.name}: ${check.detail}${check.risk > 0 ? ` (+${check.risk})` : ''}`);
+    });
+  }
+
+  /**
+   * Find the token's Uniswap V2 pool, preferring VIRTUAL over WETH
+   * @private
+   */
+  async _findPool(token, provider) {
+    const factory = new ethers.Contract(CONTRACTS.UNISWAP_V2_FACTORY, ABIS.UNISWAP_V2_FACTORY, provider);
+
+    for (const [quote, quoteAddress] of [['VIRTUAL', CONTRACTS.VIRTUAL], ['WETH', CONTRACTS.WETH]]) {
+      const pair = await factory.getPair(token, quoteAddress);
+      if (pair === ethers.ZeroAddress) {
+        continue;
+      }
+
+      const pairContract = new ethers.Contract(pair, ABIS.UNISWAP_V2_PAIR, provider);
+      const [[reserve0, reserve1], token0] = await Promise.all([pairContract.getReserves(), pairContract.token0()]);
+      const quoteReserve = token0.toLowerCase() === quoteAddress.toLowerCase() ? reserve0 : reserve1;
+
+      // ETH reaches VIRTUAL pools through the WETH/VIRTUAL pool
+      const buyPath = quote === 'VIRTUAL' ? [CONTRACTS.WETH, CONTRACTS.VIRTUAL, token] : [CONTRACTS.WETH, token];
+      return { pair, quote, quoteReserve, buyPath, sellPath: [...buyPath].reverse() };
+    }
+    return null;
+  }
+
+  /**
+   * Flag pools whose quote-side reserve is below the configured minimum
+   * @private
+   */
+  _checkLiquidity(pool, config) {
+    const reserve = parseFloat(ethers.formatEther(pool.quoteReserve));
+    const minimum = pool.quote === 'VIRTUAL' ? config.minLiquidityVirtual : config.minLiquidityEth;
+    const detail = `${reserve.toFixed(4)} ${pool.quote} in pool ${pool.pair.slice(0, 10)}... (minimum ${minimum})`;
+
+    return { name: 'liquidity', risk: reserve < minimum ? RISK_POINTS.lowLiquidity : 0, detail };
+  }
+
+  /**
+   * Simulate buying with probeAmountEth and selling the tokens received, both through eth_call
+   * Effective taxes are measured by searching for the highest amountOutMin each swap still accepts
+   * @private
+   */
+  async _simulateRoundTrip(token, pool, provider, config) {
+    const checks = [];
+    const trader = ethers.Wallet.createRandom().address;
+    const probeAmount = ethers.parseEther(config.probeAmountEth.toString());
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+    const router = new ethers.Contract(CONTRACTS.UNISWAP_V2_ROUTER, ABIS.UNISWAP_V2, provider);
+    const traderOverride = { [trader]: { balance: ethers.toQuantity(probeAmount * 2n) } };
+
+    try {
+      // Buy: ETH → token
+      const expectedTokens = (await router.getAmountsOut(probeAmount, pool.buyPath)).at(-1);
+      const buy = (amountOutMin) => this._succeeds(provider, {
+        from: trader,
+        to: CONTRACTS.UNISWAP_V2_ROUTER,
+        value: probeAmount,
+        data: this.routerInterface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [amountOutMin, pool.buyPath, trader, deadline])
+      }, traderOverride);
+
+      if (!await buy(0n)) {
+        checks.push({ name: 'buy', risk: RISK_POINTS.buyBlocked, detail: 'simulated buy reverts (trading disabled or buys blocked)' });
+        return { checks, buyTaxBps: null, sellTaxBps: null };
+      }
+      const receivedTokens = await this._searchReceived(expectedTokens, buy);
+      const buyTaxBps = this._taxBps(expectedTokens, receivedTokens);
+      checks.push(this._taxCheck('buy tax', buyTaxBps));
+
+      // Sell: token → ETH, with the trader's balance and router allowance written into the token's storage
+      const tokenOverride = await this._overrideHoldings(token, trader, receivedTokens, provider).catch(() => null);
+      if (!tokenOverride) {
+        checks.push({ name: 'sell', risk: RISK_POINTS.simulationUnavailable, detail: 'could not locate the balance storage to simulate a sell' });
+        return { checks, buyTaxBps, sellTaxBps: null };
+      }
+
+      const sellAmount = tokenOverride.balance < receivedTokens ? tokenOverride.balance : receivedTokens;
+      const expectedEth = (await router.getAmountsOut(sellAmount, pool.sellPath)).at(-1);
+      const overrides = { ...traderOverride, [token]: { stateDiff: tokenOverride.stateDiff } };
+      const sell = (amountOutMin) => this._succeeds(provider, {
+        from: trader,
+        to: CONTRACTS.UNISWAP_V2_ROUTER,
+        data: this.routerInterface.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [sellAmount, amountOutMin, pool.sellPath, trader, deadline])
+      }, overrides);
+
+      if (!await sell(0n)) {
+        checks.push({ name: 'sell', risk: RISK_POINTS.sellBlocked, detail: 'simulated sell reverts - likely honeypot' });
+        return { checks, buyTaxBps, sellTaxBps: null };
+      }
+      const sellTaxBps = this._taxBps(expectedEth, await this._searchReceived(expectedEth, sell));
+      checks.push(this._taxCheck('sell tax', sellTaxBps));
+
+      return { checks, buyTaxBps, sellTaxBps };
+    } catch (error) {
+      checks.push({ name: 'simulation', risk: RISK_POINTS.simulationUnavailable, detail: `round trip could not be simulated (${error.shortMessage || error.message})` });
+      return { checks, buyTaxBps: null, sellTaxBps: null };
+    }
+  }
+
+  /**
+   * Scan ownership, proxy and owner-only functions in the token bytecode
+   * @private
+   */
+  async _checkContract(token, provider) {
+    const checks = [];
+
+    try {
+      let code = (await provider.getCode(token)).toLowerCase();
+
+      // Scan the implementation behind EIP-1967 proxies and EIP-1167 clones
+      const implementationSlot = await provider.getStorage(token, EIP1967_IMPLEMENTATION_SLOT);
+      if (BigInt(implementationSlot) !== 0n) {
+        const implementation = ethers.getAddress(ethers.dataSlice(implementationSlot, 12));
+        checks.push({ name: 'upgradeable', risk: RISK_POINTS.upgradeable, detail: `proxy to ${implementation.slice(0, 10)}... - the admin can replace the code` });
+        code = (await provider.getCode(implementation)).toLowerCase();
+      } else if (code.startsWith(`0x${EIP1167_PREFIX}`)) {
+        code = (await provider.getCode(`0x${code.slice(2 + EIP1167_PREFIX.length, 2 + EIP1167_PREFIX.length + 40)}`)).toLowerCase();
+      }
+
+      const owner = await new ethers.Contract(token, OWNER_ABI, provider).owner().catch(() => null);
+      if (owner === null) {
+        checks.push({ name: 'ownership', risk: 0, detail: 'no owner() function' });
+      } else if (owner === ethers.ZeroAddress) {
+        checks.push({ name: 'ownership', risk: 0, detail: 'renounced' });
+      } else {
+        checks.push({ name: 'ownership', risk: RISK_POINTS.activeOwner, detail: `owned by ${owner}` });
+      }
+
+      // Privileged switches stop mattering once ownership is renounced (without owner() they may be role-gated)
+      const renounced = owner === ethers.ZeroAddress;
+      for (const [group, signatures] of Object.entries(RISKY_FUNCTIONS)) {
+        const found = signatures.filter(signature => code.includes(`63${ethers.id(signature).slice(2, 10)}`));
+        if (found.length > 0) {
+          checks.push({
+            name: group,
+            risk: renounced ? 0 : RISK_POINTS[group],
+            detail: `${found.join(', ')}${renounced ? ' (owner renounced)' : ''}`
+          });
+        }
+      }
+    } catch (error) {
+      checks.push({ name: 'contract', risk: RISK_POINTS.simulationUnavailable, detail: `contract scan failed (${error.shortMessage || error.message})` });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Find the storage keys behind balanceOf(trader) and allowance(trader, router) with eth_createAccessList
+   * and return a state override granting the trader `amount` tokens and an unlimited router allowance
+   * @private
+   */
+  async _overrideHoldings(token, trader, amount, provider) {
+    const balanceData = this.tokenInterface.encodeFunctionData('balanceOf', [trader]);
+    const allowanceData = this.tokenInterface.encodeFunctionData('allowance', [trader, CONTRACTS.UNISWAP_V2_ROUTER]);
+
+    const balanceKeys = await this._touchedKeys(provider, token, balanceData);
+    const allowanceKeys = await this._touchedKeys(provider, token, allowanceData);
+
+    for (const balanceKey of balanceKeys) {
+      const stateDiff = { [balanceKey]: ethers.toBeHex(amount, 32) };
+      const balance = this.tokenInterface.decodeFunctionResult('balanceOf',
+        await this._call(provider, { to: token, data: balanceData }, { [token]: { stateDiff } }))[0];
+      if (balance === 0n) {
+        continue;
+      }
+
+      for (const allowanceKey of allowanceKeys.filter(key => key !== balanceKey)) {
+        const withAllowance = { ...stateDiff, [allowanceKey]: ethers.toBeHex(ethers.MaxUint256, 32) };
+        const allowance = this.tokenInterface.decodeFunctionResult('allowance',
+          await this._call(provider, { to: token, data: allowanceData }, { [token]: { stateDiff: withAllowance } }))[0];
+        if (allowance >= amount) {
+          return { balance, stateDiff: withAllowance };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Storage keys of the token contract read by a call
+   * @private
+   */
+  async _touchedKeys(provider, token, data) {
+    const result = await provider.send('eth_createAccessList', [{ to: token, data }, 'latest']);
+    return (result.accessList || [])
+      .filter(entry => entry.address.toLowerCase() === token.toLowerCase())
+      .flatMap(entry => entry.storageKeys);
+  }
+
+  /**
+   * eth_call with state overrides
+   * @private
+   */
+  async _call(provider, tx, overrides) {
+    const request = { ...tx, value: tx.value ? ethers.toQuantity(tx.value) : undefined };
+    return await provider.send('eth_call', [request, 'latest', overrides]);
+  }
+
+  /**
+   * Whether a simulated call succeeds; reverts return false, RPC errors are thrown
+   * ethers reports every failed eth_call as CALL_EXCEPTION, so the node's own message decides
+   * @private
+   */
+  async _succeeds(provider, tx, overrides) {
+    try {
+      await this._call(provider, tx, overrides);
+      return true;
+    } catch (error) {
+      const message = error.info?.error?.message || error.message || '';
+      if (/revert/i.test(message) || revertDecoder.extractRevertData(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Highest amountOutMin (≤ expected) the swap still accepts, i.e. the amount actually received
+   * @private
+   */
+  async _searchReceived(expected, accepts) {
+    if (await accepts(expected)) {
+      return expected;
+    }
+
+    let low = 0n;
+    let high = expected + 1n;
+    for (let step = 0; step < TAX_SEARCH_STEPS && high - low > 1n; step++) {
+      const middle = (low + high) / 2n;
+      if (await accepts(middle)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Effective tax in basis points
+   * @private
+   */
+  _taxBps(expected, received) {
+    if (expected === 0n || received >= expected) {
+      return 0;
+    }
+    return Number((expected - received) * 10000n / expected);
+  }
+
+  /**
+   * Risk check for a measured tax
+   * @private
+   */
+  _taxCheck(name, taxBps) {
+    const risk = Math.min(100, Math.round(taxBps / 100 * RISK_POINTS.taxPerPercent));
+    return { name, risk, detail: `${(taxBps / 100).toFixed(2)}% effective` };
+  }
+}
+
+// Export singleton instance
+export const tokenSafety = new TokenSafetyChecker();
@@ -3,6 +3,8 @@
  * Tracks and summarizes trading transactions
  */
 
+import { tradeLedger } from '../../tradeLedger.js';
+
 /**
  * TransactionTracker - Tracks trading transactions and provides summaries
  */
@@ -19,7 +21,7 @@ export class TransactionTracker {
    * @param {number} spentAmount - Amount spent
    * @param {string} receivedToken - Token received
    * @param {number} receivedAmount - Amount received
-   * @param {Object} metadata - Additional transaction metadata
+   * @param {Object} metadata - Additional transaction metadata (txHash, tokenAddress and direction are used by the trade ledger)
    */
   addTransaction(walletAddress, spentCurrency, spentAmount, receivedToken, receivedAmount, metadata = {}) {
     if (!this.walletTotals.has(walletAddress)) {
@@ -44,6 +46,21 @@ export class TransactionTracker {
       receivedAmount,
       ...metadata
     });
+
+    // Persist to the SQLite trade ledger (merges with the executor's row by tx hash)
+    const { txHash, tokenAddress, direction, provider, ...details } = metadata;
+    tradeLedger.recordTrade({
+      wallet: walletAddress,
+      spentToken: spentCurrency,
+      spentAmount,
+      receivedToken,
+      receivedAmount,
+      txHash,
+      tokenAddress,
+      direction,
+      provider,
+      metadata: details
+    });
   }
 
   /**
@@ -103,10 +120,47 @@ export class TransactionTracker {
       console.log(`      ${amount.toFixed(6)} ${token}`);
     });
     
+    const slippageStats = this.getSlippageStats();
+    if (Object.keys(slippageStats).length > 0) {
+      console.log(`\n🛡️ SLIPPAGE (quoted vs realised):`);
+      Object.entries(slippageStats).forEach(([token, stats]) => {
+        console.log(`   ${token}: quoted ${stats.quoted.toFixed(6)} → realised ${stats.realised.toFixed(6)} (${stats.deviationPercent >= 0 ? '+' : ''}${stats.deviationPercent.toFixed(2)}%, worst ${stats.worstPercent.toFixed(2)}% over ${stats.swaps} swaps)`);
+      });
+    }
+    
     console.log(`\n📈 Total Transactions: ${this.transactions.length}`);
     console.log(`👛 Active Wallets: ${walletCount}`);
   }
 
+  /**
+   * Compare quoted output against realised output for slippage-protected swaps
+   * @returns {Object} Per received token: quoted, realised, deviationPercent, worstPercent, swaps
+   */
+  getSlippageStats() {
+    const stats = {};
+    
+    this.transactions.forEach((tx) => {
+      if (!tx.quotedAmount || tx.quotedAmount <= 0) return;
+      
+      if (!stats[tx.receivedToken]) {
+        stats[tx.receivedToken] = { quoted: 0, realised: 0, deviationPercent: 0, worstPercent: 0, swaps: 0 };
+      }
+      
+      const tokenStats = stats[tx.receivedToken];
+      const deviation = (tx.receivedAmount - tx.quotedAmount) / tx.quotedAmount * 100;
+      tokenStats.quoted += tx.quotedAmount;
+      tokenStats.realised += tx.receivedAmount;
+      tokenStats.worstPercent = Math.min(tokenStats.worstPercent, deviation);
+      tokenStats.swaps++;
+    });
+    
+    Object.values(stats).forEach((tokenStats) => {
+      tokenStats.deviationPercent = (tokenStats.realised - tokenStats.quoted) / tokenStats.quoted * 100;
+    });
+    
+    return stats;
+  }
+
   /**
    * Get summary statistics
    * @returns {Object} Summary statistics
@@ -133,6 +187,7 @@ export class TransactionTracker {
       activeWallets,
       totalSpentByCurrency,
       totalReceivedByToken,
+      slippage: this.getSlippageStats(),
       transactions: this.transactions
     };
   }
@@ -2,13 +2,14 @@
 // Replaces polling-based price monitoring with real-time Swap events
 
 import { ethers } from 'ethers';
-import { ConfigLoader } from '../../config/loader.js';
+import { providerManager } from '../../providers/manager.js';
 import { log } from '../../utils/logger.js';
+import { dexVenues } from './dexVenues.js';
 
 /**
  * WebSocket Price Service
  * Monitors price changes via Swap events instead of periodic polling
- * Used by: MMBot (range trading), REBUY mode (price drop detection)
+ * Used by: MMBot (range trading), REBUY mode (price drop detection), OrderBot (stop-loss/take-profit), POV schedules (swap volume)
  */
 export class WebSocketPriceService {
   constructor() {
@@ -19,69 +20,31 @@ export class WebSocketPriceService {
   }
 
   /**
-   * Initialize WebSocket providers (Infura primary, Alchemy fallback)
+   * Initialize WebSocket providers from the shared provider manager (healthiest first)
    */
   async initialize() {
     if (this.isInitialized) return;
 
-    const configLoader = new ConfigLoader();
-    const config = configLoader.getConfig();
-
-    // PRIMARY: Infura WebSocket
-    if (config.wsUrlInfura && config.rpcUrlInfura) {
-        try {
-        const infuraWsProvider = new ethers.WebSocketProvider(config.wsUrlInfura);
-        const infuraRpcProvider = new ethers.JsonRpcProvider(config.rpcUrlInfura);
-          
-          this.providers.push({
-          name: 'Infura',
-          wsProvider: infuraWsProvider,
-          rpcProvider: infuraRpcProvider,
-          priority: 1
-          });
-          
-        log(`✅ WebSocket Price Service: Infura provider initialized`);
-        } catch (error) {
-        log(`❌ Infura WebSocket price service initialization failed: ${error.message}`);
-      }
-    }
-
-    // FALLBACK: Alchemy WebSocket
-    if (config.wsUrl && config.rpcUrl) {
-      try {
-        const alchemyWsProvider = new ethers.WebSocketProvider(config.wsUrl);
-        const alchemyRpcProvider = new ethers.JsonRpcProvider(config.rpcUrl);
-        
-        this.providers.push({
-          name: 'Alchemy',
-          wsProvider: alchemyWsProvider,
-          rpcProvider: alchemyRpcProvider,
-          priority: 2
-        });
-        
-        log(`✅ WebSocket Price Service: Alchemy provider initialized`);
-      } catch (error) {
-        log(`❌ Alchemy WebSocket price service initialization failed: ${error.message}`);
-      }
-    }
+    this.providers = providerManager.getProviderPairs({ requireSubscriptions: true });
 
     if (this.providers.length === 0) {
       throw new Error('No WebSocket providers available for price service');
     }
 
     this.isInitialized = true;
-    log(`🚀 WebSocket Price Service initialized with ${this.providers.length} providers`);
+    log(`🚀 WebSocket Price Service initialized with ${this.providers.length} providers: ${this.providers.map(p => p.name).join(' → ')}`);
   }
 
   /**
    * Monitor price range for MMBot (buy/sell triggers)
-   * @param {string} poolAddress - Uniswap V2 pool address
+   * @param {string|Object} pool - Uniswap V2 pool address, or a Uniswap V3/Aerodrome pool from dexVenues
    * @param {Object} priceRange - {buyThreshold: number, sellThreshold: number, basePrice: number}
    * @param {Function} priceCallback - Callback when price moves outside range
    * @returns {string} Listener ID for cleanup
    */
-  async startPriceRangeMonitoring(poolAddress, priceRange, priceCallback) {
+  async startPriceRangeMonitoring(pool, priceRange, priceCallback) {
     if (!this.isInitialized) await this.initialize();
+    const { poolAddress, venuePool } = this._resolvePool(pool);
 
     const listenerId = `price-range-${poolAddress}-${Date.now()}`;
     
@@ -95,16 +58,16 @@ export class WebSocketPriceService {
       const { name, wsProvider } = providerConfig;
 
       try {
-        // Swap event filter for this pool
+        // Swap event filter for this pool (the event signature differs per venue)
         const swapFilter = {
           address: poolAddress,
-          topics: [ethers.id("Swap(address,uint256,uint256,uint256,uint256,address)")]
+          topics: [dexVenues.swapTopic(venuePool?.venue)]
         };
 
         const swapListener = async (event) => {
           try {
             // Get current reserves to calculate new price
-            const newPrice = await this.calculatePoolPrice(poolAddress, wsProvider);
+            const newPrice = await this.calculatePoolPrice(poolAddress, wsProvider, null, venuePool);
             
             if (newPrice === null) return;
 
@@ -168,13 +131,14 @@ export class WebSocketPriceService {
 
   /**
    * Monitor price drops for REBUY mode
-   * @param {string} poolAddress - Uniswap V2 pool address  
+   * @param {string|Object} pool - Uniswap V2 pool address, or a Uniswap V3/Aerodrome pool from dexVenues
    * @param {Object} rebuyConfig - {basePrice: number, dropPercentage: number}
    * @param {Function} rebuyCallback - Callback when price drops enough for rebuy
    * @returns {string} Listener ID for cleanup
    */
-  async startRebuyPriceMonitoring(poolAddress, rebuyConfig, rebuyCallback) {
+  async startRebuyPriceMonitoring(pool, rebuyConfig, rebuyCallback) {
     if (!this.isInitialized) await this.initialize();
+    const { poolAddress, venuePool } = this._resolvePool(pool);
 
     const listenerId = `rebuy-price-${poolAddress}-${Date.now()}`;
     const targetPrice = rebuyConfig.basePrice * (1 - rebuyConfig.dropPercentage / 100);
@@ -189,16 +153,16 @@ export class WebSocketPriceService {
       const { name, wsProvider } = providerConfig;
 
       try {
-        // Swap event filter for this pool
+        // Swap event filter for this pool (the event signature differs per venue)
         const swapFilter = {
           address: poolAddress,
-          topics: [ethers.id("Swap(address,uint256,uint256,uint256,uint256,address)")]
+          topics: [dexVenues.swapTopic(venuePool?.venue)]
         };
 
         const swapListener = async (event) => {
           try {
             // Get current price
-            const currentPrice = await this.calculatePoolPrice(poolAddress, wsProvider);
+            const currentPrice = await this.calculatePoolPrice(poolAddress, wsProvider, null, venuePool);
             
             if (currentPrice === null) return;
 
@@ -258,14 +222,166 @@ export class WebSocketPriceService {
     return listenerId;
   }
 
+  /**
+   * Monitor every price update for a pool (used by OrderBot stop-loss/take-profit orders)
+   * @param {string|Object} pool - Uniswap V2 pool address, or a Uniswap V3/Aerodrome pool from dexVenues
+   * @param {Object} tokenInfo - {address, decimals, venuePool} of the traded token (orients the reserves)
+   * @param {Function} priceCallback - Callback with each new price
+   * @returns {string} Listener ID for cleanup
+   */
+  async startPriceWatch(pool, tokenInfo, priceCallback) {
+    if (!this.isInitialized) await this.initialize();
+    const { poolAddress, venuePool } = this._resolvePool(pool, tokenInfo);
+
+    const listenerId = `price-watch-${poolAddress}-${Date.now()}`;
+
+    log(`📡 WebSocket: Starting price watch for pool ${poolAddress.slice(0, 8)}...`);
+
+    // Setup listeners on all providers
+    this.providers.forEach((providerConfig, index) => {
+      const { name, wsProvider } = providerConfig;
+
+      try {
+        // Swap event filter for this pool (the event signature differs per venue)
+        const swapFilter = {
+          address: poolAddress,
+          topics: [dexVenues.swapTopic(venuePool?.venue)]
+        };
+
+        const swapListener = async (event) => {
+          try {
+            const currentPrice = await this.calculatePoolPrice(poolAddress, wsProvider, tokenInfo, venuePool);
+
+            if (currentPrice === null) return;
+
+            // Update price cache
+            this.priceCache.set(poolAddress, {
+              price: currentPrice,
+              timestamp: Date.now(),
+              provider: name
+            });
+
+            priceCallback({
+              currentPrice,
+              poolAddress,
+              provider: name,
+              timestamp: Date.now(),
+              transactionHash: event.transactionHash,
+              source: 'websocket-swap-event'
+            });
+
+          } catch (error) {
+            log(`⚠️ WebSocket (${name}): Error processing price watch event: ${error.message}`);
+          }
+        };
+
+        wsProvider.on(swapFilter, swapListener);
+
+        // Store listener for cleanup
+        this.activePriceListeners.set(`${listenerId}-${index}`, {
+          provider: wsProvider,
+          filter: swapFilter,
+          listener: swapListener,
+          providerName: name,
+          poolAddress
+        });
+
+        log(`📡 WebSocket (${name}): Price watch listener established`);
+
+      } catch (error) {
+        log(`❌ Failed to setup price watch listener on ${name}: ${error.message}`);
+      }
+    });
+
+    return listenerId;
+  }
+
+  /**
+   * Monitor swap volume for a pool (used by POV execution schedules)
+   * Every provider sees the same events, so each log is reported once.
+   * @param {Object} pool - Pool descriptor from dexVenues (needs venue, address and token0)
+   * @param {Object} tokenInfo - {address, decimals} of the traded token
+   * @param {Function} volumeCallback - Callback with {tokenVolume, pairedVolume, transactionHash} per swap
+   * @param {number} pairedDecimals - Decimals of the other pool token
+   * @returns {string} Listener ID for cleanup
+   */
+  async startVolumeWatch(pool, tokenInfo, volumeCallback, pairedDecimals = 18) {
+    if (!this.isInitialized) await this.initialize();
+    const { poolAddress, venuePool } = this._resolvePool(pool);
+    const tokenIsToken0 = venuePool.token0.toLowerCase() === tokenInfo.address.toLowerCase();
+
+    const listenerId = `volume-watch-${poolAddress}-${Date.now()}`;
+    const seenLogs = new Set();
+
+    log(`📡 WebSocket: Starting volume watch for pool ${poolAddress.slice(0, 8)}...`);
+
+    // Setup listeners on all providers
+    this.providers.forEach((providerConfig, index) => {
+      const { name, wsProvider } = providerConfig;
+
+      try {
+        const swapFilter = {
+          address: poolAddress,
+          topics: [dexVenues.swapTopic(venuePool.venue)]
+        };
+
+        const swapListener = (event) => {
+          try {
+            const logKey = `${event.transactionHash}:${event.index}`;
+            if (seenLogs.has(logKey)) return;
+            seenLogs.add(logKey);
+
+            const { amount0, amount1 } = dexVenues.swapAmounts(venuePool.venue, event);
+            volumeCallback({
+              tokenVolume: parseFloat(ethers.formatUnits(tokenIsToken0 ? amount0 : amount1, tokenInfo.decimals ?? 18)),
+              pairedVolume: parseFloat(ethers.formatUnits(tokenIsToken0 ? amount1 : amount0, pairedDecimals)),
+              poolAddress,
+              provider: name,
+              timestamp: Date.now(),
+              transactionHash: event.transactionHash,
+              source: 'websocket-swap-event'
+            });
+
+          } catch (error) {
+            log(`⚠️ WebSocket (${name}): Error processing volume event: ${error.message}`);
+          }
+        };
+
+        wsProvider.on(swapFilter, swapListener);
+
+        // Store listener for cleanup
+        this.activePriceListeners.set(`${listenerId}-${index}`, {
+          provider: wsProvider,
+          filter: swapFilter,
+          listener: swapListener,
+          providerName: name,
+          poolAddress
+        });
+
+        log(`📡 WebSocket (${name}): Volume watch listener established`);
+
+      } catch (error) {
+        log(`❌ Failed to setup volume watch listener on ${name}: ${error.message}`);
+      }
+    });
+
+    return listenerId;
+  }
+
   /**
    * Calculate current pool price from reserves
    * @param {string} poolAddress - Pool address
    * @param {Object} provider - WebSocket provider
+   * @param {Object|null} tokenInfo - {address, decimals} of the traded token (token0 is assumed when omitted)
+   * @param {Object|null} venuePool - Uniswap V3/Aerodrome pool from dexVenues (null for Uniswap V2)
    * @returns {Promise<number|null>} Current price or null if failed
    */
-  async calculatePoolPrice(poolAddress, provider) {
+  async calculatePoolPrice(poolAddress, provider, tokenInfo = null, venuePool = null) {
     try {
+      if (venuePool) {
+        return await dexVenues.getPoolPrice(venuePool, tokenInfo || { address: venuePool.token0, decimals: 18 }, provider);
+      }
+
       const pairContract = new ethers.Contract(poolAddress, [
         'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
         'function token0() external view returns (address)',
@@ -278,6 +394,14 @@ export class WebSocketPriceService {
         pairContract.token1()
       ]);
 
+      // Orient reserves by the traded token when it is known
+      if (tokenInfo) {
+        const tokenIsToken0 = token0.toLowerCase() === tokenInfo.address.toLowerCase();
+        const tokenReserve = tokenIsToken0 ? reserves.reserve0 : reserves.reserve1;
+        const virtualReserve = tokenIsToken0 ? reserves.reserve1 : reserves.reserve0;
+        return parseFloat(ethers.formatUnits(virtualReserve, 18)) / parseFloat(ethers.formatUnits(tokenReserve, tokenInfo.decimals ?? 18));
+      }
+
       // Determine which reserve is VIRTUAL (assuming token1 is VIRTUAL for now)
       // This would need to be configured per pool in real implementation
       const reserve0Formatted = parseFloat(ethers.formatUnits(reserves.reserve0, 18));
@@ -295,6 +419,21 @@ export class WebSocketPriceService {
     }
   }
 
+  /**
+   * Split a pool argument into its address and venue pool
+   * @param {string|Object} pool - Uniswap V2 pool address or a dexVenues pool descriptor
+   * @param {Object|null} tokenInfo - Traded token, whose venuePool is used when it matches the address
+   * @returns {Object} { poolAddress, venuePool }
+   * @private
+   */
+  _resolvePool(pool, tokenInfo = null) {
+    if (typeof pool === 'object' && pool !== null) {
+      return { poolAddress: pool.address, venuePool: pool };
+    }
+    const venuePool = tokenInfo?.venuePool?.address?.toLowerCase() === pool.toLowerCase() ? tokenInfo.venuePool : null;
+    return { poolAddress: pool, venuePool };
+  }
+
   /**
    * Get latest cached price for a pool
    * @param {string} poolAddress - Pool address
@@ -347,16 +486,7 @@ export class WebSocketPriceService {
     // Clear price cache
     this.priceCache.clear();
 
-    // Close WebSocket connections
-    for (const provider of this.providers) {
-      try {
-        if (provider.wsProvider && provider.wsProvider.destroy) {
-          await provider.wsProvider.destroy();
-        }
-      } catch (error) {
-        // Silent cleanup
-      }
-    }
+    // WebSocket connections are shared and owned by the provider manager
 
     this.providers = [];
     this.isInitialized = false;
@@ -2,7 +2,7 @@
 // Reduces RPC costs by using push notifications instead of polling
 
 import { ethers } from 'ethers';
-import { ConfigLoader } from '../../config/loader.js';
+import { providerManager } from '../../providers/manager.js';
 import { ERC20_ABI } from '../config/jeetConstants.js';
 import { log } from '../../utils/logger.js';
 
@@ -13,78 +13,23 @@ import { log } from '../../utils/logger.js';
 export class WebSocketService {
   constructor() {
     this.providers = [];
-    this.activeConnections = [];
     this.eventListeners = new Map(); // Track active listeners
     this.isInitialized = false;
   }
 
   /**
-   * Initialize WebSocket providers from wallets.json
+   * Initialize WebSocket providers from the shared provider manager (healthiest first)
    */
   async initialize() {
     if (this.isInitialized) return;
 
     try {
-      const configLoader = new ConfigLoader();
-      // SURGICAL FIX: Use getRpcConfigurations() which decodes base64 URLs instead of getConfig() which returns raw base64
-      const config = configLoader.getRpcConfigurations();
-      
-      this.providers = [];
-      
-      // PRIMARY: Infura WebSocket
-      if (config.wsUrlInfura && config.rpcUrlInfura) {
-        try {
-          const infuraRpcProvider = new ethers.JsonRpcProvider(config.rpcUrlInfura);
-          const infuraWsProvider = new ethers.WebSocketProvider(config.wsUrlInfura);
-          
-          infuraRpcProvider._providerName = 'Infura-RPC';
-          infuraWsProvider._providerName = 'Infura-WebSocket';
-          
-          this.providers.push({
-            name: 'Infura',
-            rpcProvider: infuraRpcProvider,
-            wsProvider: infuraWsProvider,
-            priority: 1
-          });
-          
-          log(`✅ WebSocket Service: Infura provider initialized`);
-        } catch (error) {
-          log(`⚠️ WebSocket Service: Failed to create Infura provider: ${error.message}`);
-        }
-      }
-      
-      // FALLBACK: Alchemy WebSocket
-      if (config.wsUrl && config.rpcUrl) {
-        try {
-          const alchemyRpcProvider = new ethers.JsonRpcProvider(config.rpcUrl);
-          const alchemyWsProvider = new ethers.WebSocketProvider(config.wsUrl);
-          
-          alchemyRpcProvider._providerName = 'Alchemy-RPC';
-          alchemyWsProvider._providerName = 'Alchemy-WebSocket';
-          
-          this.providers.push({
-            name: 'Alchemy',
-            rpcProvider: alchemyRpcProvider,
-            wsProvider: alchemyWsProvider,
-            priority: 2
-          });
-          
-          log(`✅ WebSocket Service: Alchemy provider initialized`);
-        } catch (error) {
-          log(`⚠️ WebSocket Service: Failed to create Alchemy provider: ${error.message}`);
-        }
-      }
-      
-      // Sort by priority
-      this.providers.sort((a, b) => a.priority - b.priority);
+      this.providers = providerManager.getProviderPairs({ requireSubscriptions: true });
       
       if (this.providers.length === 0) {
         throw new Error('No WebSocket providers available');
       }
       
-      // Store connections for cleanup
-      this.activeConnections = this.providers.map(p => p.wsProvider);
-      
       this.isInitialized = true;
       log(`🔗 WebSocket Service initialized with ${this.providers.length} providers: ${this.providers.map(p => p.name).join(' → ')}`);
       
@@ -426,10 +371,10 @@ export class WebSocketService {
   }
 
   /**
-   * Cleanup all WebSocket connections
+   * Cleanup all WebSocket listeners (connections are shared and owned by the provider manager)
    */
   cleanup() {
-    log(`🧹 WebSocket Service: Cleaning up ${this.eventListeners.size} listeners and ${this.activeConnections.length} connections...`);
+    log(`🧹 WebSocket Service: Cleaning up ${this.eventListeners.size} listeners...`);
     
     // Remove all event listeners
     for (const [key, listener] of this.eventListeners.entries()) {
@@ -441,21 +386,6 @@ export class WebSocketService {
     }
     this.eventListeners.clear();
     
-    // Close WebSocket connections
-    this.activeConnections.forEach(wsProvider => {
-      try {
-        if (wsProvider && wsProvider.removeAllListeners) {
-          wsProvider.removeAllListeners();
-        }
-        if (wsProvider && wsProvider.destroy) {
-          wsProvider.destroy();
-        }
-      } catch (error) {
-        // Ignore cleanup errors
-      }
-    });
-    
-    this.activeConnections = [];
     this.providers = [];
     this.isInitialized = false;
     
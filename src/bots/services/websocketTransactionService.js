@@ -2,9 +2,11 @@
 // Replaces polling for transaction confirmation, approval checking, and price monitoring
 
 import { ethers } from 'ethers';
-import { ConfigLoader } from '../../config/loader.js';
+import { providerManager } from '../../providers/manager.js';
 import { ERC20_ABI, TRUSTSWAP_ABI } from '../config/jeetConstants.js';
 import { log } from '../../utils/logger.js';
+import { revertDecoder } from './revertDecoder.js';
+import { dryRun } from '../../providers/dryRun.js';
 
 /**
  * WebSocket Transaction Service
@@ -24,59 +26,19 @@ export class WebSocketTransactionService {
   }
 
   /**
-   * Initialize WebSocket providers (Infura first, Alchemy fallback)
+   * Initialize WebSocket providers from the shared provider manager (healthiest first)
    */
   async initialize() {
     if (this.isInitialized) return;
 
-    const configLoader = new ConfigLoader();
-    // SURGICAL FIX: Use getRpcConfigurations() which decodes base64 URLs instead of getConfig() which returns raw base64
-    const config = configLoader.getRpcConfigurations();
-
-    // PRIMARY: Infura WebSocket
-    if (config.wsUrlInfura && config.rpcUrlInfura) {
-      try {
-        const infuraWsProvider = new ethers.WebSocketProvider(config.wsUrlInfura);
-        const infuraRpcProvider = new ethers.JsonRpcProvider(config.rpcUrlInfura);
-        
-        this.providers.push({
-          name: 'Infura',
-          wsProvider: infuraWsProvider,
-          rpcProvider: infuraRpcProvider,
-          priority: 1
-        });
-        
-        log(`✅ WebSocket Transaction Service: Infura WebSocket initialized`);
-      } catch (error) {
-        log(`❌ Infura WebSocket initialization failed: ${error.message}`);
-      }
-    }
-
-    // FALLBACK: Alchemy WebSocket
-    if (config.wsUrl && config.rpcUrl) {
-      try {
-        const alchemyWsProvider = new ethers.WebSocketProvider(config.wsUrl);
-        const alchemyRpcProvider = new ethers.JsonRpcProvider(config.rpcUrl);
-        
-        this.providers.push({
-          name: 'Alchemy',
-          wsProvider: alchemyWsProvider,
-          rpcProvider: alchemyRpcProvider,
-          priority: 2
-        });
-        
-        log(`✅ WebSocket Transaction Service: Alchemy WebSocket initialized`);
-      } catch (error) {
-        log(`❌ Alchemy WebSocket initialization failed: ${error.message}`);
-      }
-    }
+    this.providers = providerManager.getProviderPairs({ requireSubscriptions: true });
 
     if (this.providers.length === 0) {
       throw new Error('No WebSocket providers available for transaction service');
     }
 
     this.isInitialized = true;
-    log(`🚀 WebSocket Transaction Service initialized with ${this.providers.length} providers`);
+    log(`🚀 WebSocket Transaction Service initialized with ${this.providers.length} providers: ${this.providers.map(p => p.name).join(' → ')}`);
   }
 
   /**
@@ -91,13 +53,14 @@ export class WebSocketTransactionService {
 
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
+      const blockListeners = []; // { wsProvider, blockListener } on the shared providers
       let isResolved = false;
 
       // Set timeout
       const timeoutId = setTimeout(() => {
         if (!isResolved) {
           isResolved = true;
-          this.pendingTransactions.delete(txHash);
+          this.stopConfirmationMonitoring(txHash);
           reject(new Error(`Transaction confirmation timeout after ${timeout}ms`));
         }
       }, timeout);
@@ -120,9 +83,7 @@ export class WebSocketTransactionService {
               
               if (currentConfirmations >= confirmations) {
                 isResolved = true;
-                clearTimeout(timeoutId);
-                wsProvider.removeListener('block', blockListener);
-                this.pendingTransactions.delete(txHash);
+                this.stopConfirmationMonitoring(txHash);
                 
                 log(`✅ WebSocket: Transaction confirmed! ${txHash.slice(0, 10)}... (${currentConfirmations} confirmations)`);
                 resolve(receipt);
@@ -134,6 +95,7 @@ export class WebSocketTransactionService {
         };
 
         wsProvider.on('block', blockListener);
+        blockListeners.push({ wsProvider, blockListener });
       }
 
       // Track pending transaction
@@ -141,13 +103,58 @@ export class WebSocketTransactionService {
         hash: txHash,
         confirmations,
         startTime,
-        timeout: timeoutId
+        timeout: timeoutId,
+        blockListeners
       });
 
       log(`📡 WebSocket: Monitoring transaction ${txHash.slice(0, 10)}... for ${confirmations} confirmations`);
     });
   }
 
+  /**
+   * Wait for a sent transaction's receipt and explain it when the transaction reverted
+   * Falls back to polling (tx.wait) when WebSocket monitoring is unavailable or times out
+   * @param {Object} tx - Sent transaction response
+   * @param {Object} options - Watch options
+   * @param {number} options.confirmations - Required confirmations (default 1)
+   * @param {number} options.timeout - WebSocket timeout in milliseconds before polling (default 60s)
+   * @returns {Promise<Object>} Receipt of the successful transaction
+   * @throws {Error} On revert, with the classification in error.failure and the receipt in error.receipt
+   */
+  async watchTransaction(tx, { confirmations = 1, timeout = 60000 } = {}) {
+    // Simulated transactions never reach the WebSocket providers
+    if (dryRun.isEnabled()) {
+      return await tx.wait(confirmations);
+    }
+
+    let receipt;
+    try {
+      receipt = await this.waitForTransactionConfirmation(tx.hash, confirmations, timeout);
+    } catch (wsError) {
+      log(`⚠️ WebSocket confirmation failed, falling back to polling: ${wsError.message}`);
+      // ethers throws CALL_EXCEPTION for reverted receipts; keep the receipt to explain it
+      receipt = await tx.wait(confirmations).catch(error => {
+        if (error.receipt) return error.receipt;
+        throw error;
+      });
+    }
+
+    if (receipt.status !== 0) {
+      return receipt;
+    }
+
+    const provider = this.providers[0]?.wsProvider || tx.provider;
+    const failure = await revertDecoder.explain(tx, receipt, provider);
+    log(`❌ Transaction ${tx.hash.slice(0, 10)}... reverted in block ${receipt.blockNumber}: ${revertDecoder.describe(failure)}`);
+
+    const error = new Error(`Transaction reverted (${failure.label})${failure.reason ? `: ${failure.reason}` : ''}`);
+    error.code = 'CALL_EXCEPTION';
+    error.failure = failure;
+    error.receipt = receipt;
+    error.transaction = tx;
+    throw error;
+  }
+
   /**
    * Monitor approval events (for all bots)
    * @param {string} tokenAddress - Token contract address
@@ -307,6 +314,21 @@ export class WebSocketTransactionService {
     }
   }
 
+  /**
+   * Stop watching a transaction for confirmations
+   * @param {string} txHash - Transaction hash
+   */
+  stopConfirmationMonitoring(txHash) {
+    const pending = this.pendingTransactions.get(txHash);
+    if (pending) {
+      clearTimeout(pending.timeout);
+      for (const { wsProvider, blockListener } of pending.blockListeners) {
+        wsProvider.removeListener('block', blockListener);
+      }
+      this.pendingTransactions.delete(txHash);
+    }
+  }
+
   /**
    * Stop monitoring price range
    * @param {string} subscriptionId - Subscription ID to cancel
@@ -351,21 +373,11 @@ export class WebSocketTransactionService {
     }
 
     // Clear pending transactions
-    for (const [hash, txData] of this.pendingTransactions) {
-      clearTimeout(txData.timeout);
+    for (const [hash] of this.pendingTransactions) {
+      this.stopConfirmationMonitoring(hash);
     }
-    this.pendingTransactions.clear();
 
-    // Close WebSocket connections
-    for (const provider of this.providers) {
-      try {
-        if (provider.wsProvider && provider.wsProvider.destroy) {
-          await provider.wsProvider.destroy();
-        }
-      } catch (error) {
-        // Silent cleanup
-      }
-    }
+    // WebSocket connections are shared and owned by the provider manager
 
     this.providers = [];
     this.isInitialized = false;
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 
 import { ethers } from 'ethers';
-import { TokenResolver } from './src/bots/services/tokenResolver.js';
+import { TokenResolver } from './services/tokenResolver.js';
+import { providerManager } from '../providers/manager.js';
+import { ArgumentParser } from '../parsing/argumentParser.js';
+import { WalletGroups } from '../wallets/groups.js';
+import { tokenSafety } from './services/tokenSafety.js';
+import { TokenBlacklist } from './services/tokenBlacklist.js';
 import { performance } from 'node:perf_hooks';
 import fs from 'fs';
 import path from 'path';
@@ -20,16 +25,6 @@ function localTs() {
 
 const VIRTUAL_TOKEN_ADDRESS = '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b';
 const TRUSTSWAP_CONTRACT = '0x74fa2835311Da3118BF2971Fa11E8070e4ff1693'; // Using the one from jeetSwapExecutor
-const BLACKLISTED_TOKENS = {
-  addresses: [
-    '0x4200000000000000000000000000000000000042',
-    '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca',
-    '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
-    '0x4ed4e862860bed51a9570b96d89af5e1b0efefed',
-    '0x50c5725949a6f0c72e6c4a641f24049a917db0cb',
-  ].map(addr => addr.toLowerCase()),
-  tickers: ['OP', 'USDbC', 'USDC', 'DEGEN', 'DAI'].map(ticker => ticker.toUpperCase())
-};
 
 // ABIs
 const TRUSTSWAP_ABI = [
@@ -59,24 +54,9 @@ function loadConfig() {
 // Create wallet instances
 function createWallets(config) {
   const wallets = [];
-  const providers = [];
   
-  // Create providers (Alchemy + Infura + QuickNode when available)
-  if (config.config.rpcUrl) {
-    const p = new ethers.JsonRpcProvider(config.config.rpcUrl, 8453, { name: 'Alchemy' });
-    p._label = 'Alchemy';
-    providers.push(p);
-  }
-  if (config.config.rpcUrlInfura) {
-    const p = new ethers.JsonRpcProvider(config.config.rpcUrlInfura, 8453, { name: 'Infura' });
-    p._label = 'Infura';
-    providers.push(p);
-  }
-  if (config.config.rpcUrlQuickNode) {
-    const p = new ethers.JsonRpcProvider(config.config.rpcUrlQuickNode, 8453, { name: 'QuickNode' });
-    p._label = 'QuickNode';
-    providers.push(p);
-  }
+  // Shared provider pool, fastest healthy provider first
+  const providers = providerManager.getSendProviders();
   
   // Create wallets with first provider
   const provider = providers[0];
@@ -227,15 +207,14 @@ async function buildAndSignSwapTx(wallet, tokenCA, virtualAmount, provider, preC
 }
 
 // Detect token and prebuild + sign all swap txs
-async function detectAndPrepareSignedSwaps(genesisAddress, wsUrl, wallets, buyAmount, providers, preCtxList) {
+async function detectAndPrepareSignedSwaps(genesisAddress, wsProvider, wallets, buyAmount, providers, preCtxList) {
   return new Promise((resolve, reject) => {
     console.log(`\n🔍 DETECTING TOKEN CA FOR GENESIS: ${genesisAddress}`);
     console.log(`📡 Using WebSocket for MAXIMUM SPEED detection`);
-    console.log(`🔗 WSS: ${wsUrl}`);
+    console.log(`🔗 WSS: ${wsProvider._providerName}`);
     console.log(`⏳ Will update status every 60 seconds...`);
     console.log(`[${localTs()}] Detection start`);
     
-    const wsProvider = new ethers.WebSocketProvider(wsUrl, 8453);
     const genesisContract = new ethers.Contract(genesisAddress, GENESIS_ABI, wsProvider);
     
     let detected = false;
@@ -275,7 +254,7 @@ async function detectAndPrepareSignedSwaps(genesisAddress, wsUrl, wallets, buyAm
           (async () => {
             try {
               const buildStart = performance.now();
-              // Use the single Alchemy provider only
+              // Use the fastest healthy provider only
               const alchemyProvider = providers[0];
               const signedPackages = await Promise.all(wallets.map(async (wallet, i) => {
                 const preCtx = preCtxList[i];
@@ -283,13 +262,9 @@ async function detectAndPrepareSignedSwaps(genesisAddress, wsUrl, wallets, buyAm
               }));
               const buildEnd = performance.now();
               console.log(`⚙️  Pre-sign completed in ${(buildEnd - buildStart).toFixed(3)} ms for ${wallets.length} wallets`);
-              // Avoid calling destroy() which may attempt eth_unsubscribe on closed sockets; use removeAllListeners
-              try {
-                wsProvider.removeAllListeners?.();
-              } catch {}
+              // The WebSocket is shared through the provider manager; only our block listener is removed
               resolve({ tokenCA, detectionPerf, signedPackages });
             } catch (err) {
-              try { wsProvider.removeAllListeners?.(); } catch {}
               reject(err);
             }
           })();
@@ -317,9 +292,14 @@ async function snipePrebuilt(args) {
   const config = loadConfig();
   const { wallets, providers } = createWallets(config);
   
+  // MAXRISK-<score> / FORCE for the pre-trade token safety check
+  const { maxRiskScore, force, remainingArgs } = ArgumentParser.parseRiskCheck(args);
+  tokenSafety.configure({ maxRiskScore, force });
+  args = WalletGroups.expandSelectors(remainingArgs, config);
+  
   const selectedWallets = parseWalletSelectors(args, wallets);
   if (selectedWallets.length === 0) {
-    console.error('❌ No wallets selected! Use B1, B2, B1-B5, etc.');
+    console.error('❌ No wallets selected! Use B1, B2, B1-B5, G:group, T:tag, etc.');
     process.exit(1);
   }
   
@@ -422,6 +402,18 @@ async function snipePrebuilt(args) {
     process.exit(1);
   }
 
+  // Genesis tokens are bought in their launch block, before a pool exists to simulate against
+  if (normalTokenCA) {
+    try {
+      await tokenSafety.assertSafe({ address: normalTokenCA, symbol: tokenInputArg });
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+  } else {
+    console.log('🛡️ Token safety check skipped: Genesis tokens are sniped before their pool exists');
+  }
+
   console.log(`\n📋 SNIPER CONFIGURATION:`);
   console.log(`🎯 Genesis: ${genesisAddress}`);
   console.log(`👛 Wallets: ${selectedWallets.length} selected`);
@@ -462,10 +454,13 @@ async function snipePrebuilt(args) {
   let tokenCA, detectionPerf, signedPackages;
   if (genesisAddress) {
   console.log(`\n🔍 PHASE 3: Starting ultra-fast token detection (WSS block-driven)...`);
-  const wsUrl = config.config.wsUrl || config.config.rpcUrl.replace('https', 'wss');
+  const wsProvider = providerManager.getProviderPairs({ requireSubscriptions: true })[0]?.wsProvider;
+  if (!wsProvider) {
+    throw new Error('No WebSocket provider with subscription support configured for Genesis detection');
+  }
     ({ tokenCA, detectionPerf, signedPackages } = await detectAndPrepareSignedSwaps(
     genesisAddress,
-    wsUrl,
+    wsProvider,
     selectedWallets,
     buyAmount,
     providers,
@@ -578,9 +573,11 @@ async function snipePrebuilt(args) {
   }
 
   // Blacklist check before broadcasting
-  if (BLACKLISTED_TOKENS.addresses.includes(tokenCA.toLowerCase())) {
+  const inputTicker = tokenInputArg && !ethers.isAddress(tokenInputArg) ? tokenInputArg : null;
+  const blacklistStatus = TokenBlacklist.getBlacklistStatus(tokenCA, inputTicker, { buying: true });
+  if (blacklistStatus.isBlacklisted) {
     console.error(`\n🚫 BLACKLISTED TOKEN DETECTED!`);
-    console.error(`❌ Token ${tokenCA} is blacklisted - aborting!`);
+    console.error(`❌ Token ${tokenCA} is blocked by the token ${blacklistStatus.list}: ${blacklistStatus.reason} - aborting!`);
     process.exit(1);
   }
 
@@ -717,10 +714,16 @@ function showUsage() {
   console.log('==============================');
   console.log('');
   console.log('snipe-prebuilt <wallets> <genesis> [amount]');
+  console.log('snipe-prebuilt <wallets> <ticker|CA> [amount] [MAXRISK-score] [FORCE]');
+  console.log('');
+  console.log('TOKEN SAFETY (ticker/CA mode):');
+  console.log('  MAXRISK-60 - Refuse tokens with a risk score above 60 (default from wallets.json)');
+  console.log('  FORCE      - Buy even when the token is above the risk limit');
   console.log('');
   console.log('EXAMPLES:');
   console.log('  node snipe-prebuilt.mjs B1 0x1234...abcd');
   console.log('  node snipe-prebuilt.mjs B1-B5 G-TICKER 50');
+  console.log('  node snipe-prebuilt.mjs G:snipers G-TICKER 50');
 }
 
 async function main() {
@@ -1,5 +1,11 @@
 import { ethers } from 'ethers';
 import { gasPriceService } from './providers/gasPriceService.js';
+import { dryRun } from './providers/dryRun.js';
+import { nonceManager } from './providers/nonceManager.js';
+import { providerManager } from './providers/manager.js';
+import { TransactionExecutor } from './providers/transactionExecutor.js';
+import { wsTransactionService } from './bots/services/websocketTransactionService.js';
+import { revertDecoder } from './bots/services/revertDecoder.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
@@ -32,27 +38,6 @@ function loadWalletsDB() {
 const walletsDB = loadWalletsDB();
 const config = walletsDB.config;
 
-// Helper function to decode base64 encoded RPC URLs
-function decodeRpcUrl(encodedUrl) {
-  if (!encodedUrl) return '';
-  try {
-    // Check if it's already a valid URL (starts with http/https/ws/wss)
-    if (
-      encodedUrl.startsWith('http://') ||
-      encodedUrl.startsWith('https://') ||
-      encodedUrl.startsWith('ws://') ||
-      encodedUrl.startsWith('wss://')
-    ) {
-      return encodedUrl;
-    }
-    // Decode base64 encoded URL
-    return Buffer.from(encodedUrl, 'base64').toString('utf8');
-  } catch (error) {
-    console.warn(`⚠️ Failed to decode RPC URL: ${encodedUrl}`);
-    return encodedUrl; // Return as-is if decoding fails
-  }
-}
-
 // Export walletsDB for access to polling interval and other settings
 export { walletsDB };
 
@@ -195,137 +180,42 @@ console.log(`🔑 Loaded ${TRADING_WALLET_KEYS.length} trading wallet keys from
 console.log(`🌐 Network: ${NETWORK.name} (Chain ID: ${NETWORK.chainId})`);
 console.log(`💰 Virtual Token: ${VIRTUAL_TOKEN_ADDRESS}`);
 
-// Multi-Provider RPC Configuration - Alchemy, QuickNode, and Infura
-// Decode base64 encoded URLs from wallets.json
-const rpcConfigs = [
-  {
-    name: 'Alchemy',
-    rpcUrl: decodeRpcUrl(config.rpcUrl),
-    wsUrl: decodeRpcUrl(config.wsUrl)
-  },
-  {
-    name: 'QuickNode/BlastAPI',
-    rpcUrl: decodeRpcUrl(config.rpcUrlQuickNode),
-    wsUrl: decodeRpcUrl(config.wsUrlQuickNode)
-  },
-  {
-    name: 'Infura',
-    rpcUrl: decodeRpcUrl(config.rpcUrlInfura),
-    wsUrl: decodeRpcUrl(config.wsUrlInfura)
-  }
-];
+// Providers come from the shared ProviderManager so every bot and service uses one pool,
+// one health-scored failover policy and one set of WebSocket connections
+providerManager.initialize();
 
-// Add dynamic RPCs (R1, R2, R3...) - decode base64 encoded URLs
-if (config.dynamicRpcs && Array.isArray(config.dynamicRpcs)) {
-  config.dynamicRpcs.forEach((rpc, index) => {
-    if (rpc.enabled !== false && rpc.rpcUrl) {
-      rpcConfigs.push({
-        name: rpc.name || `R${index + 1}`,
-        rpcUrl: decodeRpcUrl(rpc.rpcUrl),
-        wsUrl: decodeRpcUrl(rpc.wsUrl)
-      });
-    }
-  });
-}
+// Primary provider (first available) and backup WebSocket
+export const provider = providerManager.getPrimaryProvider();
+export const wsProvider = providerManager.getPrimaryWsProvider();
 
-// Initialize providers
+// Shared pool (same arrays as providerManager, kept for callers that read rpcPool directly)
 export const rpcPool = {
-  providers: [],
-  wsProviders: [],
+  providers: providerManager.httpProviders,
+  wsProviders: providerManager.wsProviders,
   currentIndex: 0,
-  failedProviders: new Set(),
-  lastResetTime: Date.now()
+  health: providerManager.health
 };
 
-// Initialize HTTP providers
-rpcConfigs.forEach(rpcConfig => {
-  if (rpcConfig.rpcUrl) {
-    try {
-      const provider = new ethers.JsonRpcProvider(rpcConfig.rpcUrl);
-      provider._providerName = rpcConfig.name;
-      rpcPool.providers.push(provider);
-      console.log(`✅ ${rpcConfig.name} HTTP provider initialized`);
-    } catch (error) {
-      console.log(`❌ Failed to initialize ${rpcConfig.name} HTTP provider: ${error.message}`);
-    }
-  } else {
-    console.log(`⚠️ ${rpcConfig.name} HTTP URL not configured`);
-  }
-});
-
-// Initialize WebSocket providers
-rpcConfigs.forEach(rpcConfig => {
-  if (rpcConfig.wsUrl) {
-    try {
-      const wsProvider = new ethers.WebSocketProvider(rpcConfig.wsUrl);
-      wsProvider._providerName = rpcConfig.name;
-      rpcPool.wsProviders.push(wsProvider);
-      console.log(`✅ ${rpcConfig.name} WebSocket provider initialized`);
-    } catch (error) {
-      console.log(`❌ Failed to initialize ${rpcConfig.name} WebSocket provider: ${error.message}`);
-    }
-  } else {
-    console.log(`⚠️ ${rpcConfig.name} WebSocket URL not configured`);
-  }
-});
-
-// Primary provider (first available) and backup WebSocket
-export const provider = rpcPool.providers[0];
-export const wsProvider = rpcPool.wsProviders[0];
-
-if (!provider) {
-  throw new Error('❌ No HTTP providers available! Please check your wallets.json configuration.');
-}
-
-console.log(`🚀 Multi-Provider Pool initialized with ${rpcPool.providers.length} HTTP + ${rpcPool.wsProviders.length} WebSocket providers`);
-
 // Provider management functions
 export function getAllProviders() {
-  return rpcPool.providers.filter(p => !rpcPool.failedProviders.has(p._providerName));
+  return providerManager.getAllProviders();
 }
 
 export function getAllWsProviders() {
-  return rpcPool.wsProviders.filter(p => !rpcPool.failedProviders.has(p._providerName));
+  return providerManager.getAllWsProviders();
 }
 
 export function getRandomProvider() {
-  const availableProviders = getAllProviders();
-  if (availableProviders.length === 0) {
-    // Reset failed providers if all are marked as failed
-    rpcPool.failedProviders.clear();
-    return rpcPool.providers[0];
-  }
-  const randomIndex = Math.floor(Math.random() * availableProviders.length);
-  return availableProviders[randomIndex];
+  return providerManager.getRandomProvider();
 }
 
 export function markProviderFailed(providerName) {
-  rpcPool.failedProviders.add(providerName);
-  console.log(`⚠️ Provider ${providerName} marked as failed`);
-  
-  // Reset failed providers after 5 minutes
-  const now = Date.now();
-  if (now - rpcPool.lastResetTime > 300000) { // 5 minutes
-    rpcPool.failedProviders.clear();
-    rpcPool.lastResetTime = now;
-    console.log(`🔄 Failed providers reset`);
-  }
+  providerManager.markProviderFailed(providerName);
 }
 
 // Enhanced provider selection with specific provider preferences
 export function getProviderByPreference(preferredProviders = ['Alchemy', 'QuickNode/BlastAPI', 'Infura']) {
-  const availableProviders = getAllProviders();
-  
-  // Try to get preferred provider in order
-  for (const preferredName of preferredProviders) {
-    const provider = availableProviders.find(p => p._providerName === preferredName);
-    if (provider) {
-      return provider;
-    }
-  }
-  
-  // Fallback to random available provider
-  return getRandomProvider();
+  return providerManager.getProviderByPreference(preferredProviders);
 }
 
 // Get Alchemy-compatible API configuration with fallbacks
@@ -354,155 +244,39 @@ export function getAlchemyConfig() {
   };
 }
 
-// Enhanced RPC call with provider fallbacks
+// Enhanced RPC call with provider fallbacks (shared executor, legacy retry/timeout defaults)
 export async function executeRpcWithFallback(rpcCall, maxRetries = 2, timeout = 5000) {
-  const availableProviders = getAllProviders();
-  let lastError = null;
-  
-  for (let i = 0; i < availableProviders.length; i++) {
-    const provider = availableProviders[i];
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        console.log(`📡 RPC call via ${provider._providerName} (attempt ${attempt + 1}/${maxRetries})`);
-        
-        // Add timeout wrapper
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`${provider._providerName} RPC timeout after ${timeout}ms`)), timeout)
-        );
-        
-        const result = await Promise.race([rpcCall(provider), timeoutPromise]);
-        
-        console.log(`✅ RPC call successful via ${provider._providerName}`);
-        return result;
-        
-      } catch (error) {
-        lastError = error;
-        console.log(`❌ RPC call failed via ${provider._providerName} (attempt ${attempt + 1}): ${error.message}`);
-        
-        // If it's a timeout or network error, retry
-        if (error.message.includes('timeout') || 
-            error.message.includes('network') || 
-            error.message.includes('connection') ||
-            error.message.includes('502') ||
-            error.message.includes('503') ||
-            error.message.includes('504')) {
-          
-          if (attempt < maxRetries - 1) {
-            console.log(`🔄 Retrying RPC call with ${provider._providerName} in 1 second...`);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            continue;
-          }
-        } else {
-          // For non-network errors, don't retry with same provider
-          break;
-        }
-      }
-    }
-    
-    // Mark provider as temporarily failed if all retries failed
-    markProviderFailed(provider._providerName);
-    console.log(`⚠️ ${provider._providerName} marked as failed, trying next provider...`);
-  }
-  
-  throw new Error(`❌ RPC call failed across all providers. Last error: ${lastError?.message}`);
+  return TransactionExecutor.executeRpcWithFallback(rpcCall, maxRetries, timeout);
 }
 
-// Enhanced transaction broadcasting with RANDOM provider selection and fallback rotation
-export async function executeTransactionWithReplacementFee(transactionFunction, maxRetries = 16, maxProviderRetries = 2) {
-  const allProviders = getAllProviders();
+// Enhanced transaction broadcasting with health-scored provider selection and fallback rotation
+// options.wallet reserves the nonce from the nonce manager up front (transactionFunction must pass gasParams.nonce);
+// options.label names the transaction in the stuck transactions view
+export async function executeTransactionWithReplacementFee(transactionFunction, { maxRetries = 16, maxProviderRetries = 2, wallet = null, label = null } = {}) {
   let lastError = null;
   
-  // Get gas price from gas helper if available (for renderer context)
-  let gasParams = null;
-  try {
-    if (typeof window !== 'undefined' && window.getCurrentGasPrice) {
-      // Detect bot type from call stack or transaction function
-      let botType = 'buybot'; // Default to buybot type (2x multiplier)
-      
-      // Check if this is a JeetBot transaction by examining the call stack
-      const stack = new Error().stack;
-      if (stack && (stack.includes('jeetSwapExecutor') || stack.includes('JeetSwapExecutor') || stack.includes('jeet-bot'))) {
-        botType = 'jeetbot'; // Use 3x multiplier for JeetBot (turbo mode)
-        console.log('🎯 Config.js: Detected JeetBot transaction, using 3x gas multiplier (turbo mode)');
-        if (window.addConsoleMessage) {
-          window.addConsoleMessage('🎯 Config.js: Detected JeetBot transaction, using 3x gas multiplier (turbo mode)', 'info');
-        }
-      }
-      
-      const gasPrice = await window.getCurrentGasPrice(botType);
-      const totalGasPriceWei = ethers.parseUnits(gasPrice, 'gwei');
-      
-      // Create gasParams with 50% priority fee (as calculated by gas helper)
-      gasParams = {
-        maxFeePerGas: totalGasPriceWei,
-        maxPriorityFeePerGas: totalGasPriceWei * 50n / 100n  // 50% of total as priority
-      };
-      
-      // Log gas parameter creation with detailed console logging
-      const maxFeeGwei = ethers.formatUnits(gasParams.maxFeePerGas, 'gwei');
-      const priorityGwei = ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei');
-      console.log(`⛽ Config.js: Created gasParams from gas helper (${botType}) - maxFee: ${maxFeeGwei} gwei, priority: ${priorityGwei} gwei`);
-      
-      // Also add to detailed console if available
-      if (window.addConsoleMessage) {
-        window.addConsoleMessage(`⛽ Config.js: Using dynamic gas (${botType}) - ${maxFeeGwei} gwei maxFee + ${priorityGwei} gwei priority`, 'info');
-      }
-    } else {
-      // Backend context: fallback to gasPriceService
-      console.log('⚠️ Config.js: Gas helper not available (backend context), using gasPriceService fallback');
-      
-      try {
-        // Detect bot type from call stack (same logic as renderer)
-        let botType = 'buybot'; // Default 2x multiplier
-        const stack = new Error().stack;
-        if (stack && (stack.includes('jeetSwapExecutor') || stack.includes('JeetSwapExecutor') || stack.includes('jeet-bot'))) {
-          botType = 'jeetbot'; // 3x multiplier for JeetBot
-          console.log('🎯 Config.js: Detected JeetBot transaction (backend), using 3x gas multiplier (turbo mode)');
-        }
-        
-        // Get gas from gasPriceService with appropriate multiplier
-        const gasData = botType === 'jeetbot' 
-          ? await gasPriceService.getCurrentGasPriceWithMultiplier(3.0) // 3x for JeetBot
-          : await gasPriceService.getCurrentGasPrice(); // 2x for others (default)
-        
-        // Create gasParams from gasPriceService data
-        gasParams = {
-          maxFeePerGas: ethers.parseUnits(gasData.totalGasFee, 'gwei'),
-          maxPriorityFeePerGas: ethers.parseUnits(gasData.priorityFee, 'gwei')
-        };
-        
-        const maxFeeGwei = ethers.formatUnits(gasParams.maxFeePerGas, 'gwei');
-        const priorityGwei = ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei');
-        console.log(`⛽ Config.js: Created gasParams from gasPriceService (${botType}) - maxFee: ${maxFeeGwei} gwei, priority: ${priorityGwei} gwei`);
-        
-      } catch (error) {
-        console.log(`❌ Config.js: gasPriceService fallback failed: ${error.message}`);
-        // Final fallback: create basic gasParams with hardcoded values
-        gasParams = {
-          maxFeePerGas: ethers.parseUnits('0.02', 'gwei'),
-          maxPriorityFeePerGas: ethers.parseUnits('0.01', 'gwei')
-        };
-        console.log('⚠️ Config.js: Using hardcoded fallback gas: 0.02 gwei maxFee + 0.01 gwei priority');
-      }
-    }
-  } catch (error) {
-    console.log(`❌ Config.js: Error getting gas from helper: ${error.message}`);
-    if (typeof window !== 'undefined' && window.addConsoleMessage) {
-      window.addConsoleMessage(`❌ Config.js: Gas helper error: ${error.message}`, 'error');
-    }
+  // Gas from the run's selected profile (GP- argument, wallets.json gasProfile or the bot default), capped by MAXFEE-
+  // Throws once the run has spent its MAXRUN- budget
+  const gasParams = await gasPriceService.getGasParams();
+  console.log(`⛽ Config.js: ${gasPriceService.profile} gas profile - maxFee: ${ethers.formatUnits(gasParams.maxFeePerGas, 'gwei')} gwei, priority: ${ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei')} gwei`);
+  
+  // DRY-RUN: simulate once instead of broadcasting to Base
+  if (dryRun.isEnabled()) {
+    return await dryRun.executeTransaction(transactionFunction, gasParams, providerManager.getSendProviders()[0]);
   }
   
+  // One nonce for the whole call, so a retry after a broadcast replaces the pending transaction instead of
+  // queueing the same trade twice. Without a wallet it is taken from the first broadcast
+  let nonce = wallet ? await nonceManager.reserve(wallet.address, providerManager.getSendProviders()[0]) : null;
+  let sentTxs = [];
+  
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    // RANDOM PROVIDER SELECTION: Randomly select first provider, then try others if it fails
-    const providerPool = [...allProviders]; // Create a copy to avoid modifying original
-    const randomIndex = Math.floor(Math.random() * providerPool.length);
-    const randomProvider = providerPool.splice(randomIndex, 1)[0]; // Remove and get random provider
-    const orderedProviders = [randomProvider, ...providerPool]; // Random first, then others
+    // Fastest healthy provider first (re-ranked every cycle as health scores change)
+    const orderedProviders = providerManager.getSendProviders();
     
-    console.log(`🎲 Random provider selection: Starting with ${randomProvider._providerName}, fallback to [${providerPool.map(p => p._providerName).join(', ')}]`);
+    console.log(`⚡ Provider selection: Starting with ${orderedProviders[0]._providerName}, fallback to [${orderedProviders.slice(1).map(p => p._providerName).join(', ')}]`);
     
-    // Try each provider with retry logic (random first, then others)
+    // Try each provider with retry logic (best first, then others)
     for (const currentProvider of orderedProviders) {
       let providerErrors = [];
       
@@ -512,15 +286,28 @@ export async function executeTransactionWithReplacementFee(transactionFunction,
           const retryInfo = providerAttempt > 0 ? ` (retry ${providerAttempt + 1}/${maxProviderRetries})` : '';
           console.log(`📡 Attempting transaction via ${currentProvider._providerName}${retryInfo} (broadcast attempt ${attempt + 1})`);
           
+          // Re-sending a broadcast nonce needs higher fees than the pending version
+          const sendParams = sentTxs.length > 0
+            ? { ...await nonceManager.getReplacementFees(sentTxs[sentTxs.length - 1], gasParams), nonce }
+            : { ...gasParams, nonce };
+          
           // Execute transaction - pass gasParams if available, otherwise let bot handle gas
-          const tx = await transactionFunction(currentProvider, gasParams);
+          const startedAt = Date.now();
+          const tx = await transactionFunction(currentProvider, sendParams);
+          providerManager.recordSuccess(currentProvider._providerName, Date.now() - startedAt);
           
           console.log(`✅ Transaction submitted via ${currentProvider._providerName}: ${tx.hash}`);
+          if (wallet && sentTxs.length === 0 && tx.nonce !== nonce) {
+            nonceManager.release(wallet.address, nonce);
+          }
+          nonce = tx.nonce;
+          sentTxs.push(tx);
+          nonceManager.track(tx, label);
           
           // Log gas settings used in transaction (if gasParams were provided)
           if (gasParams) {
-            const maxFeeGwei = ethers.formatUnits(gasParams.maxFeePerGas, 'gwei');
-            const priorityGwei = ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei');
+            const maxFeeGwei = ethers.formatUnits(sendParams.maxFeePerGas, 'gwei');
+            const priorityGwei = ethers.formatUnits(sendParams.maxPriorityFeePerGas, 'gwei');
             console.log(`⛽ Transaction gas: ${maxFeeGwei} gwei (maxFee) + ${priorityGwei} gwei (priority)`);
             
             if (typeof window !== 'undefined' && window.addConsoleMessage) {
@@ -529,7 +316,8 @@ export async function executeTransactionWithReplacementFee(transactionFunction,
           }
           
           // Wait for 2 confirmations (on Base, should be ~4 seconds) to ensure balance updates
-          const receipt = await tx.wait(2);
+          // Throws with the decoded failure class when the transaction reverted
+          const receipt = await wsTransactionService.watchTransaction(tx, { confirmations: 2 });
           console.log(`🎯 Transaction confirmed in block ${receipt.blockNumber}`);
           
           // Log final gas usage from receipt
@@ -540,6 +328,8 @@ export async function executeTransactionWithReplacementFee(transactionFunction,
             }
           }
           
+          TransactionExecutor.recordConfirmed(tx, receipt, currentProvider._providerName);
+          
           return { hash: tx.hash, receipt: receipt, provider: currentProvider._providerName };
           
         } catch (error) {
@@ -548,6 +338,55 @@ export async function executeTransactionWithReplacementFee(transactionFunction,
           
           const retryInfo = providerAttempt > 0 ? ` (retry ${providerAttempt + 1}/${maxProviderRetries})` : '';
           console.log(`❌ Transaction failed via ${currentProvider._providerName}${retryInfo}: ${error.message}`);
+          if (TransactionExecutor._isRetryableError(error)) {
+            providerManager.recordFailure(currentProvider._providerName, error);
+          }
+          
+          // Reverts (simulated or mined) are classified to decide whether another attempt can succeed
+          const failure = revertDecoder.fromError(error);
+          if (failure) {
+            console.log(`🧾 Revert classified: ${revertDecoder.describe(failure)}`);
+          }
+          
+          // A version of this nonce may have been mined while waiting or retrying
+          if (sentTxs.length > 0 || error.message?.includes('nonce too low')) {
+            const receipt = sentTxs.length > 0
+              ? await nonceManager.findReceipt(sentTxs.map(sent => sent.hash), currentProvider).catch(() => null)
+              : null;
+            
+            if (receipt?.status === 1) {
+              const minedTx = sentTxs.find(sent => sent.hash === receipt.hash);
+              console.log(`🎯 Transaction ${receipt.hash} already confirmed in block ${receipt.blockNumber}`);
+              TransactionExecutor.recordConfirmed(minedTx, receipt, currentProvider._providerName);
+              return { hash: receipt.hash, receipt: receipt, provider: currentProvider._providerName };
+            }
+            
+            // Reverted, or the nonce was used by another transaction: the next retry needs a fresh nonce
+            if (receipt || error.message?.includes('nonce too low')) {
+              // A reverted version still paid for its gas
+              if (receipt) {
+                gasPriceService.recordFeeSpent(receipt);
+              }
+              if (sentTxs.length > 0) {
+                nonceManager.confirm(sentTxs[0].from, nonce);
+              } else if (wallet) {
+                nonceManager.release(wallet.address, nonce);
+              }
+              nonce = wallet ? await nonceManager.reserve(wallet.address, currentProvider) : null;
+              sentTxs = [];
+            }
+          }
+          
+          // Allowance, balance, transfer tax and out-of-gas reverts fail the same way on every retry
+          if (failure && !failure.retryable) {
+            if (wallet && sentTxs.length === 0) {
+              nonceManager.release(wallet.address, nonce);
+            }
+            revertDecoder.record(failure, label, error.receipt?.hash || null);
+            const revertError = new Error(`❌ Transaction failed: ${revertDecoder.describe(failure)}`);
+            revertError.failure = failure;
+            throw revertError;
+          }
           
           // Check for "already known" error - this means transaction was already broadcast successfully
           if (error.message?.includes('already known')) {
@@ -589,8 +428,17 @@ export async function executeTransactionWithReplacementFee(transactionFunction,
     console.log(`⚠️ All providers failed for attempt ${attempt + 1}, escalating gas for next attempt`);
   }
   
-  // All attempts exhausted
-  throw new Error(`❌ Transaction failed after ${maxRetries} broadcast cycles across all providers. Last error: ${lastError?.message}`);
+  // All attempts exhausted (a broadcast nonce stays tracked so it shows up as stuck)
+  if (wallet && sentTxs.length === 0) {
+    nonceManager.release(wallet.address, nonce);
+  }
+  const failure = revertDecoder.fromError(lastError);
+  if (failure) {
+    revertDecoder.record(failure, label, lastError.receipt?.hash || null);
+  }
+  const finalError = new Error(`❌ Transaction failed after ${maxRetries} broadcast cycles across all providers. Last error: ${lastError?.message}`);
+  finalError.failure = failure;
+  throw finalError;
 }
 
 // Function to auto-resolve wallet addresses from private keys
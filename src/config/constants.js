@@ -74,6 +74,30 @@ export const DEFAULT_GAS_CONFIG = {
   baseFeeMultiplier: 1.01        // multiply base fee by this factor for maxFeePerGas
 };
 
+/**
+ * Named gas profiles
+ * The network price is the next block's base fee plus the eth_feeHistory priority-fee percentile;
+ * maxFeePerGas = network price × multiplier + priorityPercentage% of that (custom uses the gas<price> argument)
+ */
+export const GAS_PROFILES = {
+  economy: { multiplier: 1, priorityPercentage: 10, rewardPercentile: 25 },
+  normal: { multiplier: 2, priorityPercentage: 50, rewardPercentile: 50 },
+  turbo: { multiplier: 3, priorityPercentage: 50, rewardPercentile: 90 },
+  custom: { multiplier: 1, priorityPercentage: 50, rewardPercentile: 50 }
+};
+
+/**
+ * Gas pricing defaults
+ */
+export const GAS_DEFAULTS = {
+  profile: 'normal',
+  fallbackGasPrice: '0.02',   // gwei, used when no provider answers
+  cacheValidityMs: 60000,
+  feeHistoryBlocks: 20,       // blocks sampled by eth_feeHistory
+  maxFeePerGasGwei: null,     // per-transaction cap on maxFeePerGas (MAXFEE-<gwei>), null = no cap
+  maxRunFeeEth: null          // per-run cap on gas spent (MAXRUN-<eth>), null = no cap
+};
+
 /**
  * Transaction retry configuration
  */
@@ -89,14 +113,48 @@ export const TRANSACTION_CONFIG = {
   providerRetryDelay: 500
 };
 
+/**
+ * Nonce manager configuration
+ */
+export const NONCE_CONFIG = {
+  stuckAfterMs: 60000, // a pending transaction older than this is reported as stuck
+  replacementBumpPercent: 15, // nodes reject same-nonce replacements under +10% fees
+  droppedAfterMs: 15000, // a tracked transaction the node doesn't know after this long was dropped, not still propagating
+  cancelGasLimit: 21000n
+};
+
 /**
  * Provider configuration
  */
 export const PROVIDER_CONFIG = {
-  failedProviderResetTime: 300000, // 5 minutes
+  failedProviderCooldown: 30000, // 30 seconds out of routing after exhausting retries
   rpcTimeout: 500, // milliseconds
   maxRpcRetries: 3,
-  preferredProviders: ['Alchemy', 'QuickNode/BlastAPI', 'Infura']
+  preferredProviders: ['Alchemy', 'QuickNode/BlastAPI', 'Infura'],
+  // WebSocket reconnection
+  wsHeartbeatInterval: 15000, // eth_blockNumber ping interval
+  wsHeartbeatTimeout: 5000, // missed ping reply forces a reconnect
+  wsReconnectBaseDelay: 1000, // first reconnect delay, doubled per failed attempt
+  wsReconnectMaxDelay: 30000,
+  wsBackfillMaxBlocks: 1800, // eth_getLogs gap limit (~1 hour of Base blocks)
+  // Providers whose WebSocket endpoints do not support eth_subscribe
+  noSubscriptionProviders: ['blast', 'quicknode'],
+  // Health scoring
+  healthWindow: 50, // rolling samples per provider
+  healthCheckInterval: 30000, // block-height probe interval
+  wsDisconnectWindow: 3600000, // count WebSocket disconnects over the last hour
+  minHealthScore: 50,
+  maxBlockLag: 3, // blocks behind the leading provider before it is unhealthy
+  maxErrorRate: 0.5, // share of failed calls in the window before it is unhealthy
+  healthPenalties: {
+    latencyMsPerPoint: 50, // 1 point per 50ms average latency
+    maxLatency: 30,
+    errorRate: 40, // 100% errors = 40 points
+    perBlockLag: 5,
+    maxBlockLag: 20,
+    perWsDisconnect: 2,
+    maxWsDisconnects: 10
+  }
 };
 
 /**
@@ -116,4 +174,34 @@ export const JEET_DEFAULTS = {
   uniswapRouter: '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24',
   slippageBasisPoints: 4000,
   pollIntervalMs: 10
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Slippage protection defaults
+ */
+export const SLIPPAGE_DEFAULTS = {
+  slippageBasisPoints: 1000, // 10% below the pre-sign quote
+  maxRequotes: 2,            // Re-quote attempts before aborting when the pool moved
+  requoteDelayMs: 1000       // Wait between re-quotes (~1 block on Base)
+};
+
+/**
+ * Pre-trade token safety check defaults
+ */
+export const SAFETY_DEFAULTS = {
+  maxRiskScore: 50,          // buys of tokens scoring above this are refused unless FORCE is given
+  probeAmountEth: '0.01',    // ETH simulated through the buy → sell round trip
+  minLiquidityVirtual: 1000, // VIRTUAL reserve below this counts as low liquidity
+  minLiquidityEth: 0.5,      // WETH reserve below this counts as low liquidity
+  cacheValidityMs: 300000    // reuse a token's report for 5 minutes
+};
+
+/**
+ * Price impact guardrail defaults
+ */
+export const PRICE_IMPACT_DEFAULTS = {
+  maxPriceImpactBps: 300,    // orders moving the pool price more than 3% are split or refused
+  action: 'split',           // 'split' into chunks under the limit, or 'refuse' the order
+  maxChunks: 10,             // refuse instead of splitting into more chunks than this
+  chunkDelayMs: 3000         // pause between chunks so arbitrage can refill the pool
+};
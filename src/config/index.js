@@ -53,8 +53,7 @@ export const rpcPool = {
   providers: providerManager.httpProviders,
   wsProviders: providerManager.wsProviders,
   currentIndex: 0,
-  failedProviders: providerManager.failedProviders,
-  lastResetTime: providerManager.lastResetTime
+  health: providerManager.health
 };
 
 // Export provider functions
@@ -62,6 +61,8 @@ export const getAllProviders = () => providerManager.getAllProviders();
 export const getAllWsProviders = () => providerManager.getAllWsProviders();
 export const getRandomProvider = () => providerManager.getRandomProvider();
 export const markProviderFailed = (name) => providerManager.markProviderFailed(name);
+export const getSendProviders = () => providerManager.getSendProviders();
+export const getProviderHealthScores = () => providerManager.getHealthScores();
 export const getProviderByPreference = (prefs) => providerManager.getProviderByPreference(prefs);
 export const getAlchemyConfig = () => providerManager.getAlchemyConfig();
 
@@ -1,6 +1,6 @@
 import fs from 'fs';
 import { ethers } from 'ethers';
-import { NETWORK_DEFAULTS, JEET_DEFAULTS } from './constants.js';
+import { NETWORK_DEFAULTS, JEET_DEFAULTS, SLIPPAGE_DEFAULTS, GAS_DEFAULTS, SAFETY_DEFAULTS, PRICE_IMPACT_DEFAULTS } from './constants.js';
 
 // Helper function to decode base64 encoded RPC URLs
 function decodeRpcUrl(encodedUrl) {
@@ -136,6 +136,72 @@ export class ConfigLoader {
     };
   }
 
+  /**
+   * Get dry-run configuration
+   * @returns {Object} Dry-run configuration (optional Anvil/Hardhat fork URL)
+   */
+  getDryRunConfig() {
+    const config = this.getConfig();
+    return {
+      forkUrl: config.dryRunForkUrl || null
+    };
+  }
+
+  /**
+   * Get slippage protection configuration
+   * @returns {Object} Slippage configuration (basis points, re-quote settings)
+   */
+  getSlippageConfig() {
+    const config = this.getConfig();
+    return {
+      slippageBasisPoints: config.slippageBasisPoints || SLIPPAGE_DEFAULTS.slippageBasisPoints,
+      maxRequotes: config.slippageMaxRequotes ?? SLIPPAGE_DEFAULTS.maxRequotes,
+      requoteDelayMs: config.slippageRequoteDelayMs ?? SLIPPAGE_DEFAULTS.requoteDelayMs
+    };
+  }
+
+  /**
+   * Get gas profile and fee cap configuration
+   * @returns {Object} Gas configuration
+   */
+  getGasConfig() {
+    const config = this.getConfig();
+    return {
+      profile: config.gasProfile || null,
+      maxFeePerGasGwei: config.maxFeePerGasGwei ?? GAS_DEFAULTS.maxFeePerGasGwei,
+      maxRunFeeEth: config.maxRunFeeEth ?? GAS_DEFAULTS.maxRunFeeEth
+    };
+  }
+
+  /**
+   * Get pre-trade token safety check configuration
+   * @returns {Object} Safety configuration
+   */
+  getSafetyConfig() {
+    const config = this.getConfig();
+    return {
+      maxRiskScore: config.maxRiskScore ?? SAFETY_DEFAULTS.maxRiskScore,
+      probeAmountEth: config.safetyProbeAmountEth || SAFETY_DEFAULTS.probeAmountEth,
+      minLiquidityVirtual: config.minLiquidityVirtual ?? SAFETY_DEFAULTS.minLiquidityVirtual,
+      minLiquidityEth: config.minLiquidityEth ?? SAFETY_DEFAULTS.minLiquidityEth,
+      cacheValidityMs: SAFETY_DEFAULTS.cacheValidityMs
+    };
+  }
+
+  /**
+   * Get price impact guardrail configuration
+   * @returns {Object} Price impact configuration
+   */
+  getPriceImpactConfig() {
+    const config = this.getConfig();
+    return {
+      maxPriceImpactBps: config.maxPriceImpactBps ?? PRICE_IMPACT_DEFAULTS.maxPriceImpactBps,
+      action: config.priceImpactAction || PRICE_IMPACT_DEFAULTS.action,
+      maxChunks: config.priceImpactMaxChunks ?? PRICE_IMPACT_DEFAULTS.maxChunks,
+      chunkDelayMs: config.priceImpactChunkDelayMs ?? PRICE_IMPACT_DEFAULTS.chunkDelayMs
+    };
+  }
+
   /**
    * Get virtual token address with checksumming
    * @returns {string|undefined} Checksummed virtual token address
@@ -180,6 +180,211 @@ export class ArgumentParser {
     return { delayMinutes, remainingArgs };
   }
   
+  /**
+   * Parse slippage argument (S-300 format, basis points)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with slippageBps (null if not given) and remainingArgs
+   */
+  static parseSlippage(args) {
+    let slippageBps = null;
+    const remainingArgs = [];
+    const errors = [];
+    
+    for (const arg of args) {
+      const slippageMatch = arg.match(/^S-(\d+)$/i);
+      
+      if (slippageMatch) {
+        slippageBps = parseInt(slippageMatch[1]);
+        
+        if (slippageBps <= 0 || slippageBps >= 10000) {
+          errors.push('Slippage must be between 1 and 9999 bps. Use S-300 for 3%');
+        }
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    
+    return { slippageBps, remainingArgs };
+  }
+  
+  /**
+   * Parse gas profile and fee caps (GP-turbo, MAXFEE-0.5, MAXRUN-0.002)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with gasProfile, maxFeePerGasGwei, maxRunFeeEth and remainingArgs
+   */
+  static parseGasProfile(args) {
+    let gasProfile = null;
+    let maxFeePerGasGwei = null;
+    let maxRunFeeEth = null;
+    const remainingArgs = [];
+    const errors = [];
+    
+    for (const arg of args) {
+      const profileMatch = arg.match(/^GP-(\w+)$/i);
+      const maxFeeMatch = arg.match(/^MAXFEE-(\d+(?:\.\d+)?)$/i);
+      const maxRunMatch = arg.match(/^MAXRUN-(\d+(?:\.\d+)?)$/i);
+      
+      if (profileMatch) {
+        gasProfile = profileMatch[1].toLowerCase();
+        if (!['economy', 'normal', 'turbo', 'custom'].includes(gasProfile)) {
+          errors.push('Gas profile must be economy, normal, turbo or custom. Use GP-turbo');
+        }
+      } else if (maxFeeMatch) {
+        maxFeePerGasGwei = parseFloat(maxFeeMatch[1]);
+        if (maxFeePerGasGwei <= 0) {
+          errors.push('Max fee must be above 0 gwei. Use MAXFEE-0.5 for 0.5 gwei per gas');
+        }
+      } else if (maxRunMatch) {
+        maxRunFeeEth = parseFloat(maxRunMatch[1]);
+        if (maxRunFeeEth <= 0) {
+          errors.push('Run gas cap must be above 0 ETH. Use MAXRUN-0.002 for 0.002 ETH');
+        }
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    
+    return { gasProfile, maxFeePerGasGwei, maxRunFeeEth, remainingArgs };
+  }
+  
+  /**
+   * Parse token safety options (MAXRISK-60, FORCE)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with maxRiskScore (null if not given), force flag and remainingArgs
+   */
+  static parseRiskCheck(args) {
+    let maxRiskScore = null;
+    let force = false;
+    const remainingArgs = [];
+    const errors = [];
+    
+    for (const arg of args) {
+      const riskMatch = arg.match(/^MAXRISK-(\d+)$/i);
+      
+      if (riskMatch) {
+        maxRiskScore = parseInt(riskMatch[1]);
+        if (maxRiskScore > 100) {
+          errors.push('Max risk score must be between 0 and 100. Use MAXRISK-60');
+        }
+      } else if (arg.toUpperCase() === 'FORCE') {
+        force = true;
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    
+    return { maxRiskScore, force, remainingArgs };
+  }
+  
+  /**
+   * Parse execution venue override (VENUE-AUTO, VENUE-TRUSTSWAP, VENUE-V2)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with forcedVenue ('AUTO', 'TRUSTSWAP', 'UNISWAP_V2' or null) and remainingArgs
+   */
+  static parseVenue(args) {
+    const venues = { AUTO: 'AUTO', TRUSTSWAP: 'TRUSTSWAP', V2: 'UNISWAP_V2' };
+    let forcedVenue = null;
+    const remainingArgs = [];
+    const errors = [];
+    
+    for (const arg of args) {
+      const venueMatch = arg.match(/^VENUE-(\w+)$/i);
+      
+      if (venueMatch) {
+        forcedVenue = venues[venueMatch[1].toUpperCase()] || null;
+        if (!forcedVenue) {
+          errors.push(`Unknown venue: ${venueMatch[1]}. Use VENUE-AUTO, VENUE-TRUSTSWAP or VENUE-V2`);
+        }
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    
+    return { forcedVenue, remainingArgs };
+  }
+
+  /**
+   * Parse TWAP execution algorithm and price limit (ALGO-RTWAP, ALGO-VWAP, ALGO-POV-10, LIMIT-0.0012)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with algo ('TWAP', 'RTWAP', 'VWAP' or 'POV'), participationPct, priceLimit (null if not given) and remainingArgs
+   */
+  static parseExecutionAlgo(args) {
+    let algo = 'TWAP';
+    let participationPct = null;
+    let priceLimit = null;
+    const remainingArgs = [];
+    const errors = [];
+
+    for (const arg of args) {
+      const algoMatch = arg.match(/^ALGO-(TWAP|RTWAP|VWAP|POV)(?:-(\d+(?:\.\d+)?))?$/i);
+      const limitMatch = arg.match(/^LIMIT-(\d*\.?\d+)$/i);
+
+      if (algoMatch) {
+        algo = algoMatch[1].toUpperCase();
+        if (algo === 'POV') {
+          participationPct = algoMatch[2] ? parseFloat(algoMatch[2]) : 10;
+          if (participationPct <= 0 || participationPct > 100) {
+            errors.push('POV participation must be between 0 and 100%. Use ALGO-POV-10 for 10% of pool volume');
+          }
+        } else if (algoMatch[2]) {
+          errors.push(`ALGO-${algo} takes no value. Only POV has a participation rate (ALGO-POV-10)`);
+        }
+      } else if (arg.match(/^ALGO-/i)) {
+        errors.push(`Unknown execution algorithm: ${arg}. Use ALGO-TWAP, ALGO-RTWAP, ALGO-VWAP or ALGO-POV-<percent>`);
+      } else if (limitMatch) {
+        priceLimit = parseFloat(limitMatch[1]);
+        if (priceLimit <= 0) {
+          errors.push('Price limit must be above 0. Use LIMIT-0.0012 for 0.0012 VIRTUAL per token');
+        }
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    return { algo, participationPct, priceLimit, remainingArgs };
+  }
+
+  /**
+   * Parse dry-run flag (DRY-RUN)
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Object} Result with dryRun flag and remainingArgs
+   */
+  static parseDryRun(args) {
+    let dryRun = false;
+    const remainingArgs = [];
+    
+    for (const arg of args) {
+      const upperArg = arg.toUpperCase();
+      if (upperArg === 'DRY-RUN' || upperArg === 'DRYRUN') {
+        dryRun = true;
+      } else {
+        remainingArgs.push(arg);
+      }
+    }
+    
+    return { dryRun, remainingArgs };
+  }
+  
   /**
    * Parse percentage argument (25% format)
    * @param {string} arg - Argument to parse
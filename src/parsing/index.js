@@ -33,6 +33,30 @@ class LegacyArgumentParser {
     return NewArgumentParser.parseLoops(args, botType);
   }
   
+  static parseSlippage(args) {
+    return NewArgumentParser.parseSlippage(args);
+  }
+  
+  static parseDryRun(args) {
+    return NewArgumentParser.parseDryRun(args);
+  }
+  
+  static parseGasProfile(args) {
+    return NewArgumentParser.parseGasProfile(args);
+  }
+  
+  static parseRiskCheck(args) {
+    return NewArgumentParser.parseRiskCheck(args);
+  }
+  
+  static parseVenue(args) {
+    return NewArgumentParser.parseVenue(args);
+  }
+  
+  static parseExecutionAlgo(args) {
+    return NewArgumentParser.parseExecutionAlgo(args);
+  }
+  
   static parseExecutionMode(args) {
     const result = NewArgumentParser.parseExecutionMode(args);
     return {
@@ -104,6 +128,11 @@ export function parseCompleteArguments(args, options = {}) {
     parseGas = true,
     parseLoops = true,
     parseDelay = true,
+    parseSlippage = true,
+    parseDryRun = true,
+    parseGasProfile = true,
+    parseRiskCheck = true,
+    parseVenue = true,
     parseMode = true,
     wallets = tradingWallets
   } = options;
@@ -140,6 +169,44 @@ export function parseCompleteArguments(args, options = {}) {
     remainingArgs = delayResult.remainingArgs;
   }
   
+  // Parse slippage
+  if (parseSlippage) {
+    const slippageResult = NewArgumentParser.parseSlippage(remainingArgs);
+    parsed.slippageBps = slippageResult.slippageBps;
+    remainingArgs = slippageResult.remainingArgs;
+  }
+  
+  // Parse dry-run flag
+  if (parseDryRun) {
+    const dryRunResult = NewArgumentParser.parseDryRun(remainingArgs);
+    parsed.dryRun = dryRunResult.dryRun;
+    remainingArgs = dryRunResult.remainingArgs;
+  }
+  
+  // Parse gas profile and fee caps
+  if (parseGasProfile) {
+    const gasProfileResult = NewArgumentParser.parseGasProfile(remainingArgs);
+    parsed.gasProfile = gasProfileResult.gasProfile;
+    parsed.maxFeePerGasGwei = gasProfileResult.maxFeePerGasGwei;
+    parsed.maxRunFeeEth = gasProfileResult.maxRunFeeEth;
+    remainingArgs = gasProfileResult.remainingArgs;
+  }
+  
+  // Parse token safety options
+  if (parseRiskCheck) {
+    const riskResult = NewArgumentParser.parseRiskCheck(remainingArgs);
+    parsed.maxRiskScore = riskResult.maxRiskScore;
+    parsed.force = riskResult.force;
+    remainingArgs = riskResult.remainingArgs;
+  }
+  
+  // Parse execution venue override
+  if (parseVenue) {
+    const venueResult = NewArgumentParser.parseVenue(remainingArgs);
+    parsed.forcedVenue = venueResult.forcedVenue;
+    remainingArgs = venueResult.remainingArgs;
+  }
+  
   // Parse execution mode
   if (parseMode) {
     const modeResult = NewArgumentParser.parseExecutionMode(remainingArgs);
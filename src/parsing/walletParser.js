@@ -1,9 +1,12 @@
 /**
  * WalletParser - Handles parsing of wallet selectors from command line arguments
  */
+import { WalletGroups } from '../wallets/groups.js';
+
 export class WalletParser {
   /**
-   * Parse wallet selectors (B1, B2, B3...) from arguments
+   * Parse wallet selectors (B1, B2, B3...) from arguments.
+   * Group (G:name) and tag (T:tag) selectors are expanded to B selectors first.
    * @param {Array<string>} args - Command line arguments
    * @param {Array} availableWallets - Available wallet instances
    * @param {Object} options - Parsing options
@@ -26,7 +29,7 @@ export class WalletParser {
     }
     
     // Parse arguments
-    for (const arg of args) {
+    for (const arg of WalletGroups.expandSelectors(args)) {
       const walletMatch = arg.match(/^B(\d+)$/i);
       
       if (walletMatch) {
@@ -0,0 +1,318 @@
+/**
+ * Dry-Run Service
+ * Simulates bot writes with eth_call/estimateGas (or sends them to an Anvil/Hardhat fork)
+ * instead of broadcasting to Base
+ */
+import { ethers } from 'ethers';
+import { ABIS } from '../bots/config/constants.js';
+import { configLoader } from '../config/loader.js';
+
+// Known interfaces used to label simulated calls in the summary
+const KNOWN_INTERFACES = [ABIS.TRUSTSWAP, ABIS.UNISWAP_V2, ABIS.WETH, ABIS.ERC20_MINIMAL].map(abi => new ethers.Interface(abi));
+
+/**
+ * DryRunProvider - JSON-RPC provider that simulates signed transactions instead of broadcasting them
+ */
+export class DryRunProvider extends ethers.JsonRpcProvider {
+  constructor(url, providerName, recorder) {
+    super(url);
+    this._providerName = `${providerName} (dry-run)`;
+    this.recorder = recorder;
+    this.simulatedReceipts = new Map();
+  }
+
+  /**
+   * Simulate a signed transaction with eth_call and estimateGas against the latest block
+   * @param {string} signedTx - Signed raw transaction
+   * @returns {Promise<ethers.TransactionResponse>} Response whose receipt is the simulated outcome
+   */
+  async broadcastTransaction(signedTx) {
+    const tx = ethers.Transaction.from(signedTx);
+    const network = await this.getNetwork();
+    const blockNumber = await this.getBlockNumber();
+    const request = { from: tx.from, to: tx.to, data: tx.data, value: tx.value };
+
+    let status = 1;
+    let gasUsed = tx.gasLimit;
+    let revertReason = null;
+
+    try {
+      await this.call({ ...request, blockTag: blockNumber });
+      gasUsed = await this.estimateGas(request);
+    } catch (error) {
+      status = 0;
+      revertReason = error.reason || error.shortMessage || error.message;
+    }
+
+    const receipt = new ethers.TransactionReceipt({
+      to: tx.to,
+      from: tx.from,
+      contractAddress: null,
+      hash: tx.hash,
+      index: 0,
+      blockHash: ethers.ZeroHash,
+      blockNumber,
+      logsBloom: ethers.zeroPadValue('0x', 256),
+      logs: [],
+      gasUsed,
+      blobGasUsed: null,
+      cumulativeGasUsed: gasUsed,
+      gasPrice: tx.maxFeePerGas ?? tx.gasPrice ?? 0n,
+      blobGasPrice: null,
+      type: tx.type,
+      status,
+      root: null
+    }, this);
+
+    this.simulatedReceipts.set(tx.hash, receipt);
+    this.recorder.recordSimulation(tx, { status, gasUsed, revertReason, blockNumber, mode: 'eth_call' });
+
+    return this._wrapTransactionResponse(tx, network);
+  }
+
+  /**
+   * Return simulated receipts for dry-run hashes, otherwise query the chain
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<ethers.TransactionReceipt|null>} Receipt
+   */
+  async getTransactionReceipt(hash) {
+    if (this.simulatedReceipts.has(hash)) {
+      return this.simulatedReceipts.get(hash);
+    }
+    return await super.getTransactionReceipt(hash);
+  }
+}
+
+/**
+ * ForkProvider - JSON-RPC provider for an Anvil/Hardhat fork that records every write it broadcasts
+ */
+export class ForkProvider extends ethers.JsonRpcProvider {
+  constructor(url, recorder) {
+    super(url);
+    this._providerName = 'Fork';
+    this.recorder = recorder;
+  }
+
+  /**
+   * Broadcast to the fork and record the mined outcome
+   * @param {string} signedTx - Signed raw transaction
+   * @returns {Promise<ethers.TransactionResponse>} Fork transaction response
+   */
+  async broadcastTransaction(signedTx) {
+    const response = await super.broadcastTransaction(signedTx);
+    const tx = ethers.Transaction.from(signedTx);
+    const receipt = await this.waitForTransaction(tx.hash, 1);
+
+    this.recorder.recordSimulation(tx, {
+      status: receipt.status,
+      gasUsed: receipt.gasUsed,
+      revertReason: receipt.status === 1 ? null : 'reverted on fork',
+      blockNumber: receipt.blockNumber,
+      mode: 'fork'
+    });
+
+    return response;
+  }
+}
+
+/**
+ * DryRunService - Routes bot writes away from Base when DRY-RUN is given
+ */
+export class DryRunService {
+  constructor() {
+    this.enabled = false;
+    this.forkUrl = null;
+    this.forkProvider = null;
+    this.simulationProviders = new Map();
+    this.simulations = [];
+  }
+
+  /**
+   * Enable dry-run mode for this process
+   * @param {Object|null} options - Dry-run options (defaults to wallets.json dryRunForkUrl)
+   * @param {string|null} options.forkUrl - Anvil/Hardhat fork URL (eth_call simulation when omitted)
+   */
+  enable(options = null) {
+    if (!options) {
+      try {
+        options = configLoader.getDryRunConfig();
+      } catch (error) {
+        options = {};
+      }
+    }
+
+    this.enabled = true;
+    this.forkUrl = options.forkUrl || null;
+
+    console.log('🧪 DRY-RUN MODE: no transactions will be broadcast to Base');
+    if (this.forkUrl) {
+      console.log(`🧪 Writes are sent to the local fork: ${this.forkUrl}`);
+    } else {
+      console.log('🧪 Writes are simulated with eth_call/estimateGas against the latest block');
+      console.log('🧪 Tip: set dryRunForkUrl in wallets.json to rehearse approve → swap chains on an Anvil/Hardhat fork');
+    }
+  }
+
+  /**
+   * Check whether dry-run mode is active
+   * @returns {boolean} True if writes must not reach Base
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Get the provider that replaces a live provider for writes
+   * @param {ethers.JsonRpcProvider} baseProvider - Live provider to simulate against
+   * @returns {ethers.JsonRpcProvider} Fork provider or eth_call simulation provider
+   */
+  getProvider(baseProvider) {
+    if (this.forkUrl) {
+      if (!this.forkProvider) {
+        this.forkProvider = new ForkProvider(this.forkUrl, this);
+      }
+      return this.forkProvider;
+    }
+
+    if (!baseProvider || typeof baseProvider._getConnection !== 'function') {
+      throw new Error('Dry run: no JSON-RPC provider available to simulate against');
+    }
+
+    const providerName = baseProvider._providerName || 'RPC';
+    if (!this.simulationProviders.has(providerName)) {
+      const url = baseProvider._getConnection().url;
+      this.simulationProviders.set(providerName, new DryRunProvider(url, providerName, this));
+    }
+    return this.simulationProviders.get(providerName);
+  }
+
+  /**
+   * Reconnect wallets to the dry-run provider so direct sends are simulated too
+   * @param {Array} wallets - Wallet instances
+   * @returns {Array} Wallets connected to the dry-run provider (unchanged when disabled)
+   */
+  connectWallets(wallets) {
+    if (!this.enabled) {
+      return wallets;
+    }
+
+    return wallets.map((wallet) => {
+      const connected = wallet.connect(this.getProvider(wallet.provider));
+      // Keep bot-specific fields such as metadata and name
+      Object.keys(wallet).forEach((key) => {
+        if (!(key in connected)) {
+          connected[key] = wallet[key];
+        }
+      });
+      return connected;
+    });
+  }
+
+  /**
+   * Execute a transaction function once against the dry-run provider
+   * Used by executeTransactionWithReplacementFee instead of its broadcast loop
+   * @param {Function} transactionFunction - Function that takes (provider, gasParams) and returns transaction
+   * @param {Object|null} gasParams - Gas parameters
+   * @param {ethers.JsonRpcProvider} baseProvider - Live provider to simulate against
+   * @returns {Promise<Object>} Transaction result with hash, receipt and provider info
+   */
+  async executeTransaction(transactionFunction, gasParams, baseProvider) {
+    const provider = this.getProvider(baseProvider);
+    console.log(`🧪 DRY-RUN: executing transaction via ${provider._providerName}`);
+
+    const tx = await transactionFunction(provider, gasParams);
+    const receipt = await tx.wait(1);
+
+    console.log(`🧪 DRY-RUN: simulated ${tx.hash.slice(0, 10)}... (gas ${receipt.gasUsed.toString()})`);
+
+    return {
+      success: true,
+      hash: tx.hash,
+      receipt,
+      provider: provider._providerName,
+      dryRun: true
+    };
+  }
+
+  /**
+   * Record a simulated write for the dry-run summary
+   * @param {Object} tx - Transaction (to, from, data, value)
+   * @param {Object} outcome - Simulation outcome
+   */
+  recordSimulation(tx, outcome) {
+    const simulation = {
+      timestamp: new Date(),
+      from: tx.from,
+      to: tx.to,
+      method: this.describeCall(tx.data),
+      value: tx.value ?? 0n,
+      ...outcome
+    };
+    this.simulations.push(simulation);
+
+    if (outcome.status === 1) {
+      console.log(`   🧪 Simulated ${simulation.method} on ${tx.to?.slice(0, 10)}...: OK (gas ${outcome.gasUsed.toString()})`);
+    } else {
+      console.log(`   🧪 Simulated ${simulation.method} on ${tx.to?.slice(0, 10)}...: WOULD REVERT (${outcome.revertReason})`);
+    }
+  }
+
+  /**
+   * Label calldata with a method name from the known bot ABIs
+   * @param {string} data - Transaction calldata
+   * @returns {string} Method name or 4-byte selector
+   */
+  describeCall(data) {
+    if (!data || data === '0x') {
+      return 'transfer';
+    }
+    for (const iface of KNOWN_INTERFACES) {
+      const parsed = iface.parseTransaction({ data });
+      if (parsed) {
+        return parsed.name;
+      }
+    }
+    return data.slice(0, 10);
+  }
+
+  /**
+   * Pick the amount to report for a swap
+   * Live balances do not move during a dry run, so report the pre-sign quote instead
+   * @param {number} measured - Amount measured from balance deltas
+   * @param {number|null} quoted - Quoted amount for the swap
+   * @returns {number} Amount to report
+   */
+  receivedAmount(measured, quoted) {
+    if (this.enabled && quoted) {
+      return quoted;
+    }
+    return measured;
+  }
+
+  /**
+   * Display the dry-run summary (no-op when dry-run is disabled)
+   */
+  displaySummary() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const reverted = this.simulations.filter(sim => sim.status !== 1);
+    const totalGas = this.simulations
+      .filter(sim => sim.status === 1)
+      .reduce((sum, sim) => sum + BigInt(sim.gasUsed ?? 0n), 0n);
+
+    console.log(`\n🧪 DRY-RUN SUMMARY (${this.forkUrl ? 'fork' : 'eth_call'}):`);
+    console.log(`════════════════════════`);
+    this.simulations.forEach((sim, index) => {
+      const outcome = sim.status === 1 ? `✅ gas ${sim.gasUsed.toString()}` : `❌ would revert: ${sim.revertReason}`;
+      console.log(`   ${index + 1}. ${sim.from?.slice(0, 8)}... → ${sim.method} @ ${sim.to?.slice(0, 10)}... ${outcome}`);
+    });
+    console.log(`\n📈 Simulated writes: ${this.simulations.length} (${reverted.length} would revert)`);
+    console.log(`⛽ Estimated gas (successful writes): ${totalGas.toString()} units`);
+    console.log('🧪 Nothing was broadcast to Base');
+  }
+}
+
+// Create singleton instance
+export const dryRun = new DryRunService();
@@ -1,68 +1,122 @@
 /**
- * Gas Price Service using Alchemy API for Base Network
- * Provides dynamic gas price estimation with 30% priority fee
+ * Gas Price Service for Base Network
+ * Estimates EIP-1559 fees from eth_feeHistory percentiles and applies the selected gas profile
+ * (economy / normal / turbo / custom) plus the per-transaction and per-run fee caps
  */
 import { ethers } from 'ethers';
 import { providerManager } from './manager.js';
-import { TRANSACTION_CONFIG } from '../config/constants.js';
+import { configLoader } from '../config/loader.js';
+import { GAS_PROFILES, GAS_DEFAULTS } from '../config/constants.js';
 
 export class GasPriceService {
   constructor() {
-    this.cachedGasPrice = null;
+    this.networkFees = null; // Cached eth_feeHistory estimate
     this.cacheTimestamp = 0;
-    this.cacheValidityMs = 60000; // 60 seconds cache - only update when needed
-    this.fallbackGasPrice = '0.02'; // fallback gas price in gwei
-    this.priorityFeePercentage = 50; // 50% priority fee to match gas helper
-    this.gasMultiplier = 2; // 2x multiplier for all bots (JeetBot will be handled separately)
+    this.cacheValidityMs = GAS_DEFAULTS.cacheValidityMs;
+    this.fallbackGasPrice = GAS_DEFAULTS.fallbackGasPrice; // fallback gas price in gwei
+    this.profile = GAS_DEFAULTS.profile;
+    this.customGasPrice = null; // gwei, used by the custom profile
+    this.maxFeePerGasGwei = GAS_DEFAULTS.maxFeePerGasGwei;
+    this.maxRunFeeEth = GAS_DEFAULTS.maxRunFeeEth;
+    this.runFeeSpentWei = 0n;
+    this.countedTxHashes = new Set();
   }
 
   /**
-   * Get current gas price from Alchemy with 50% priority fee and 2x multiplier
-   * @returns {Promise<{gasPrice: string, priorityFee: string, totalGasFee: string}>} Gas price data in gwei
+   * Select the gas profile and fee caps for this run
+   * Priority: GP-<profile> argument > wallets.json gasProfile > bot default
+   * @param {Object} options - Run gas options
+   * @param {string|null} options.profile - Profile from the GP- argument
+   * @param {string|null} options.customGasPrice - Gas price in gwei from the gas<price> argument (custom profile)
+   * @param {number|null} options.maxFeePerGasGwei - MAXFEE-<gwei> cap
+   * @param {number|null} options.maxRunFeeEth - MAXRUN-<eth> cap
+   * @param {string} options.defaultProfile - Profile used when nothing else selects one
    */
-  async getCurrentGasPrice() {
+  configure(options = {}) {
+    const {
+      profile = null,
+      customGasPrice = null,
+      maxFeePerGasGwei = null,
+      maxRunFeeEth = null,
+      defaultProfile = GAS_DEFAULTS.profile
+    } = options;
+
+    let config = { profile: null, maxFeePerGasGwei: GAS_DEFAULTS.maxFeePerGasGwei, maxRunFeeEth: GAS_DEFAULTS.maxRunFeeEth };
     try {
-      // Return cached price if still valid
-      if (this.cachedGasPrice && (Date.now() - this.cacheTimestamp) < this.cacheValidityMs) {
-        return this.cachedGasPrice;
-      }
+      config = configLoader.getGasConfig();
+    } catch (error) {
+      console.log(`⚠️ Gas config unavailable (${error.message}), using defaults`);
+    }
 
-      // Get gas price from Alchemy
-      const alchemyConfig = providerManager.getAlchemyConfig();
-      if (!alchemyConfig.available) {
-        console.log('⚠️ Alchemy not available, using fallback gas price');
-        return this._getFallbackGasPrice();
-      }
+    const selected = profile || config.profile || defaultProfile;
+    this.setProfile(selected, customGasPrice);
+    this.setCaps({
+      maxFeePerGasGwei: maxFeePerGasGwei ?? config.maxFeePerGasGwei,
+      maxRunFeeEth: maxRunFeeEth ?? config.maxRunFeeEth
+    });
+  }
 
-      const baseGasPrice = await this._fetchAlchemyGasPrice(alchemyConfig);
-      
-      // Apply 2x multiplier to base gas price
-      const multipliedGasPrice = (parseFloat(baseGasPrice) * this.gasMultiplier).toFixed(6);
-      
-      // Calculate priority fee (50% of multiplied gas price)
-      const priorityFee = (parseFloat(multipliedGasPrice) * this.priorityFeePercentage / 100).toFixed(6);
-      const totalGasFee = (parseFloat(multipliedGasPrice) + parseFloat(priorityFee)).toFixed(6);
-
-      const result = {
-        gasPrice: multipliedGasPrice,
-        priorityFee: priorityFee,
-        totalGasFee: totalGasFee,
-        baseGasPrice: baseGasPrice, // Keep original for logging
-        source: 'Alchemy',
-        timestamp: Date.now()
-      };
+  /**
+   * Select a named gas profile
+   * @param {string} name - economy, normal, turbo or custom
+   * @param {string|null} customGasPrice - Gas price in gwei (required for custom)
+   */
+  setProfile(name, customGasPrice = null) {
+    const profile = String(name).toLowerCase();
+    if (!GAS_PROFILES[profile]) {
+      throw new Error(`Unknown gas profile: ${name}. Use ${Object.keys(GAS_PROFILES).join(', ')}`);
+    }
+    if (profile === 'custom' && !customGasPrice) {
+      throw new Error('The custom gas profile needs a gas price, e.g. GP-custom gas0.05');
+    }
 
-      // Cache the result
-      this.cachedGasPrice = result;
-      this.cacheTimestamp = Date.now();
+    this.profile = profile;
+    this.customGasPrice = customGasPrice;
+    const settings = GAS_PROFILES[profile];
+    console.log(profile === 'custom'
+      ? `⛽ Gas profile: custom (${customGasPrice} gwei)`
+      : `⛽ Gas profile: ${profile} (p${settings.rewardPercentile} priority fee, ${settings.multiplier}x, +${settings.priorityPercentage}% priority)`);
+  }
 
-      console.log(`⛽ Alchemy Gas: ${baseGasPrice} gwei × ${this.gasMultiplier} = ${multipliedGasPrice} gwei + ${priorityFee} gwei priority (${this.priorityFeePercentage}%) = ${totalGasFee} gwei total`);
-      return result;
+  /**
+   * Set the fee caps
+   * @param {Object} caps - Fee caps
+   * @param {number|null} caps.maxFeePerGasGwei - Highest maxFeePerGas any transaction may use
+   * @param {number|null} caps.maxRunFeeEth - Total gas (ETH) the run may spend
+   */
+  setCaps({ maxFeePerGasGwei = null, maxRunFeeEth = null } = {}) {
+    this.maxFeePerGasGwei = maxFeePerGasGwei;
+    this.maxRunFeeEth = maxRunFeeEth;
+    if (maxFeePerGasGwei !== null) {
+      console.log(`🧢 Gas cap: max ${maxFeePerGasGwei} gwei per gas on every transaction`);
+    }
+    if (maxRunFeeEth !== null) {
+      console.log(`🧢 Gas cap: max ${maxRunFeeEth} ETH gas for this run`);
+    }
+  }
 
-    } catch (error) {
-      console.log(`❌ Gas price estimation failed: ${error.message}`);
-      return this._getFallbackGasPrice();
+  /**
+   * Get current gas price for a profile
+   * @param {string|null} profileName - Profile to price (defaults to the selected one)
+   * @returns {Promise<{gasPrice: string, priorityFee: string, totalGasFee: string}>} Gas price data in gwei
+   */
+  async getCurrentGasPrice(profileName = null) {
+    const profile = profileName || this.profile;
+    const settings = GAS_PROFILES[profile];
+    if (!settings) {
+      throw new Error(`Unknown gas profile: ${profileName}`);
     }
+
+    if (profile === 'custom') {
+      return this._applyProfile(profile, this.customGasPrice || this.fallbackGasPrice, 'Custom');
+    }
+
+    const networkFees = await this._getNetworkFees();
+    const baseGasPrice = networkFees
+      ? ethers.formatUnits(networkFees.baseFee + networkFees.rewards[settings.rewardPercentile], 'gwei')
+      : this.fallbackGasPrice;
+
+    return this._applyProfile(profile, baseGasPrice, networkFees ? networkFees.source : 'Fallback');
   }
 
   /**
@@ -70,12 +124,13 @@ export class GasPriceService {
    * @returns {Promise<{maxFeePerGas: BigInt, maxPriorityFeePerGas: BigInt}>} Gas parameters
    */
   async getGasParams() {
+    this.assertWithinRunBudget();
     const gasPriceData = await this.getCurrentGasPrice();
-    
-    return {
+
+    return this.applyFeeCap({
       maxFeePerGas: ethers.parseUnits(gasPriceData.totalGasFee, 'gwei'),
       maxPriorityFeePerGas: ethers.parseUnits(gasPriceData.priorityFee, 'gwei')
-    };
+    });
   }
 
   /**
@@ -83,163 +138,188 @@ export class GasPriceService {
    * @returns {Promise<BigInt>} Gas price in wei
    */
   async getLegacyGasPrice() {
+    this.assertWithinRunBudget();
     const gasPriceData = await this.getCurrentGasPrice();
-    return ethers.parseUnits(gasPriceData.totalGasFee, 'gwei');
+    return this.applyFeeCap({ maxFeePerGas: ethers.parseUnits(gasPriceData.totalGasFee, 'gwei') }).maxFeePerGas;
   }
 
   /**
-   * Fetch gas price from Alchemy API
-   * @private
-   * @param {Object} alchemyConfig - Alchemy configuration
-   * @returns {Promise<string>} Gas price in gwei
+   * Clamp gas parameters (including escalated replacement fees) to the MAXFEE- cap
+   * @param {Object} gasParams - { maxFeePerGas, maxPriorityFeePerGas? }
+   * @returns {Object} Capped gas parameters
    */
-  async _fetchAlchemyGasPrice(alchemyConfig) {
-    try {
-      // Method 1: Try eth_gasPrice first (most reliable)
-      const provider = providerManager.getPrimaryProvider();
-      const gasPriceWei = await provider.getGasPrice();
-      const gasPriceGwei = ethers.formatUnits(gasPriceWei, 'gwei');
-      
-      console.log(`📊 Alchemy eth_gasPrice: ${gasPriceGwei} gwei`);
-      return parseFloat(gasPriceGwei).toFixed(6);
-      
-    } catch (error) {
-      console.log(`⚠️ eth_gasPrice failed: ${error.message}`);
-      
-      try {
-        // Method 2: Try eth_feeHistory for EIP-1559
-        const provider = providerManager.getPrimaryProvider();
-        const feeData = await provider.getFeeData();
-        
-        if (feeData.gasPrice) {
-          const gasPriceGwei = ethers.formatUnits(feeData.gasPrice, 'gwei');
-          console.log(`📊 Alchemy feeData.gasPrice: ${gasPriceGwei} gwei`);
-          return parseFloat(gasPriceGwei).toFixed(6);
-        }
-        
-        // Use base fee if available
-        if (feeData.maxFeePerGas) {
-          const gasPriceGwei = ethers.formatUnits(feeData.maxFeePerGas, 'gwei');
-          console.log(`📊 Alchemy feeData.maxFeePerGas: ${gasPriceGwei} gwei`);
-          return parseFloat(gasPriceGwei).toFixed(6);
-        }
-        
-      } catch (feeError) {
-        console.log(`⚠️ feeData failed: ${feeError.message}`);
-      }
-      
-      throw new Error('All Alchemy gas price methods failed');
+  applyFeeCap(gasParams) {
+    if (this.maxFeePerGasGwei === null || this.maxFeePerGasGwei === undefined) {
+      return gasParams;
+    }
+
+    const cap = ethers.parseUnits(String(this.maxFeePerGasGwei), 'gwei');
+    if (gasParams.maxFeePerGas <= cap) {
+      return gasParams;
     }
+
+    console.log(`🧢 maxFeePerGas ${ethers.formatUnits(gasParams.maxFeePerGas, 'gwei')} gwei capped to ${this.maxFeePerGasGwei} gwei`);
+    const capped = { ...gasParams, maxFeePerGas: cap };
+    if (capped.maxPriorityFeePerGas !== undefined && capped.maxPriorityFeePerGas > cap) {
+      capped.maxPriorityFeePerGas = cap;
+    }
+    return capped;
   }
 
   /**
-   * Get fallback gas price with 2x multiplier and 50% priority fee
-   * @returns {Object} Fallback gas price data
-   * @private
+   * Throw when the run already spent its MAXRUN- budget
    */
-  _getFallbackGasPrice() {
-    // Apply 2x multiplier to fallback gas price
-    const multipliedFallback = (parseFloat(this.fallbackGasPrice) * this.gasMultiplier).toFixed(6);
-    
-    // Calculate priority fee (50% of multiplied fallback)
-    const priorityFee = (parseFloat(multipliedFallback) * this.priorityFeePercentage / 100).toFixed(6);
-    const totalGasFee = (parseFloat(multipliedFallback) + parseFloat(priorityFee)).toFixed(6);
-
-    console.log(`⛽ Fallback Gas: ${this.fallbackGasPrice} gwei × ${this.gasMultiplier} = ${multipliedFallback} gwei + ${priorityFee} gwei priority (${this.priorityFeePercentage}%) = ${totalGasFee} gwei total`);
-    
-    return {
-      gasPrice: multipliedFallback,
-      priorityFee: priorityFee,
-      totalGasFee: totalGasFee,
-      baseGasPrice: this.fallbackGasPrice, // Keep original for logging
-      source: 'Fallback',
-      timestamp: Date.now()
-    };
+  assertWithinRunBudget() {
+    if (this.maxRunFeeEth === null || this.maxRunFeeEth === undefined) {
+      return;
+    }
+
+    const budget = ethers.parseEther(String(this.maxRunFeeEth));
+    if (this.runFeeSpentWei >= budget) {
+      throw new Error(`Gas budget reached: spent ${ethers.formatEther(this.runFeeSpentWei)} ETH of the ${this.maxRunFeeEth} ETH run cap`);
+    }
   }
 
   /**
-   * Get current gas price with custom multiplier and 50% priority fee
-   * @param {number} multiplier - Gas multiplier (1x for JeetBot, 2x for others)
-   * @returns {Promise<{gasPrice: string, priorityFee: string, totalGasFee: string}>} Gas price data in gwei
+   * Add a confirmed transaction's fee to the run total (each hash is counted once)
+   * @param {Object} receipt - Transaction receipt
    */
-  async getCurrentGasPriceWithMultiplier(multiplier = 2) {
-    try {
-      // Return cached price if still valid and multiplier matches
-      if (this.cachedGasPrice && (Date.now() - this.cacheTimestamp) < this.cacheValidityMs && this.cachedGasPrice.multiplier === multiplier) {
-        return this.cachedGasPrice;
-      }
+  recordFeeSpent(receipt) {
+    if (!receipt?.gasUsed || this.countedTxHashes.has(receipt.hash)) {
+      return;
+    }
+    this.countedTxHashes.add(receipt.hash);
 
-      // Get gas price from Alchemy
-      const alchemyConfig = providerManager.getAlchemyConfig();
-      if (!alchemyConfig.available) {
-        console.log('⚠️ Alchemy not available, using fallback gas price');
-        return this._getFallbackGasPriceWithMultiplier(multiplier);
-      }
+    const gasPrice = BigInt(receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0);
+    this.runFeeSpentWei += BigInt(receipt.gasUsed) * gasPrice;
+
+    if (this.maxRunFeeEth !== null && this.maxRunFeeEth !== undefined) {
+      console.log(`⛽ Run gas spent: ${ethers.formatEther(this.runFeeSpentWei)} / ${this.maxRunFeeEth} ETH`);
+    }
+  }
 
-      const baseGasPrice = await this._fetchAlchemyGasPrice(alchemyConfig);
-      
-      // Apply custom multiplier to base gas price
-      const multipliedGasPrice = (parseFloat(baseGasPrice) * multiplier).toFixed(6);
-      
-      // Calculate priority fee (50% of multiplied gas price)
-      const priorityFee = (parseFloat(multipliedGasPrice) * this.priorityFeePercentage / 100).toFixed(6);
-      const totalGasFee = (parseFloat(multipliedGasPrice) + parseFloat(priorityFee)).toFixed(6);
-
-      const result = {
-        gasPrice: multipliedGasPrice,
-        priorityFee: priorityFee,
-        totalGasFee: totalGasFee,
-        baseGasPrice: baseGasPrice, // Keep original for logging
-        multiplier: multiplier, // Store multiplier for cache validation
-        source: 'Alchemy',
+  /**
+   * Apply a profile's multiplier and priority percentage to a network gas price
+   * @private
+   * @param {string} profile - Profile name
+   * @param {string} baseGasPrice - Network (or custom) gas price in gwei
+   * @param {string} source - Where the price came from
+   * @returns {Object} Gas price data in gwei
+   */
+  _applyProfile(profile, baseGasPrice, source) {
+    const settings = GAS_PROFILES[profile];
+
+    // Custom prices are the final maxFeePerGas, the priority share is carved out of it
+    if (profile === 'custom') {
+      const totalGasFee = parseFloat(baseGasPrice).toFixed(6);
+      const priorityFee = (parseFloat(totalGasFee) * settings.priorityPercentage / 100).toFixed(6);
+      return {
+        gasPrice: totalGasFee,
+        priorityFee,
+        totalGasFee,
+        baseGasPrice,
+        profile,
+        source,
         timestamp: Date.now()
       };
+    }
 
-      // Cache the result
-      this.cachedGasPrice = result;
-      this.cacheTimestamp = Date.now();
+    const multipliedGasPrice = (parseFloat(baseGasPrice) * settings.multiplier).toFixed(6);
+    const priorityFee = (parseFloat(multipliedGasPrice) * settings.priorityPercentage / 100).toFixed(6);
+    const totalGasFee = (parseFloat(multipliedGasPrice) + parseFloat(priorityFee)).toFixed(6);
 
-      console.log(`⛽ Alchemy Gas: ${baseGasPrice} gwei × ${multiplier} = ${multipliedGasPrice} gwei + ${priorityFee} gwei priority (${this.priorityFeePercentage}%) = ${totalGasFee} gwei total`);
-      return result;
+    console.log(`⛽ ${source} Gas (${profile}): ${parseFloat(baseGasPrice).toFixed(6)} gwei × ${settings.multiplier} = ${multipliedGasPrice} gwei + ${priorityFee} gwei priority (${settings.priorityPercentage}%) = ${totalGasFee} gwei total`);
 
-    } catch (error) {
-      console.log(`❌ Gas price estimation failed: ${error.message}`);
-      return this._getFallbackGasPriceWithMultiplier(multiplier);
+    return {
+      gasPrice: multipliedGasPrice,
+      priorityFee,
+      totalGasFee,
+      baseGasPrice: parseFloat(baseGasPrice).toFixed(6), // Keep original for logging
+      profile,
+      source,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get the next block's base fee and priority-fee percentiles (cached)
+   * Tries eth_feeHistory on every provider, then getFeeData
+   * @private
+   * @returns {Promise<Object|null>} { baseFee, rewards: { percentile: wei }, source } or null
+   */
+  async _getNetworkFees() {
+    if (this.networkFees && (Date.now() - this.cacheTimestamp) < this.cacheValidityMs) {
+      return this.networkFees;
+    }
+
+    const providers = providerManager.getSendProviders();
+    for (const provider of providers) {
+      try {
+        this.networkFees = await this._fetchFeeHistory(provider);
+        this.cacheTimestamp = Date.now();
+        return this.networkFees;
+      } catch (error) {
+        console.log(`⚠️ eth_feeHistory failed on ${provider._providerName}: ${error.message}`);
+      }
     }
+
+    for (const provider of providers) {
+      try {
+        const feeData = await provider.getFeeData();
+        if (feeData.gasPrice) {
+          const rewards = {};
+          Object.values(GAS_PROFILES).forEach(({ rewardPercentile }) => {
+            rewards[rewardPercentile] = 0n;
+          });
+          this.networkFees = { baseFee: feeData.gasPrice, rewards, source: `eth_gasPrice (${provider._providerName})` };
+          this.cacheTimestamp = Date.now();
+          return this.networkFees;
+        }
+      } catch (error) {
+        console.log(`⚠️ getFeeData failed on ${provider._providerName}: ${error.message}`);
+      }
+    }
+
+    console.log('⚠️ No provider returned fee data, using fallback gas price');
+    return null;
   }
 
   /**
-   * Get fallback gas price with custom multiplier and 50% priority fee
-   * @param {number} multiplier - Gas multiplier (1x for JeetBot, 2x for others)
-   * @returns {Object} Fallback gas price data
+   * Fetch eth_feeHistory and reduce it to the next base fee and the median reward per percentile
    * @private
+   * @param {ethers.Provider} provider - Provider to query
+   * @returns {Promise<Object>} { baseFee, rewards, source }
    */
-  _getFallbackGasPriceWithMultiplier(multiplier) {
-    // Apply custom multiplier to fallback gas price
-    const multipliedFallback = (parseFloat(this.fallbackGasPrice) * multiplier).toFixed(6);
-    
-    // Calculate priority fee (50% of multiplied fallback)
-    const priorityFee = (parseFloat(multipliedFallback) * this.priorityFeePercentage / 100).toFixed(6);
-    const totalGasFee = (parseFloat(multipliedFallback) + parseFloat(priorityFee)).toFixed(6);
-
-    console.log(`⛽ Fallback Gas: ${this.fallbackGasPrice} gwei × ${multiplier} = ${multipliedFallback} gwei + ${priorityFee} gwei priority (${this.priorityFeePercentage}%) = ${totalGasFee} gwei total`);
-    
-    return {
-      gasPrice: multipliedFallback,
-      priorityFee: priorityFee,
-      totalGasFee: totalGasFee,
-      baseGasPrice: this.fallbackGasPrice, // Keep original for logging
-      multiplier: multiplier, // Store multiplier for cache validation
-      source: 'Fallback',
-      timestamp: Date.now()
-    };
+  async _fetchFeeHistory(provider) {
+    const percentiles = [...new Set(Object.values(GAS_PROFILES).map(profile => profile.rewardPercentile))].sort((a, b) => a - b);
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(GAS_DEFAULTS.feeHistoryBlocks),
+      'latest',
+      percentiles
+    ]);
+
+    if (!history?.baseFeePerGas?.length || !history.reward?.length) {
+      throw new Error('empty fee history');
+    }
+
+    // The last baseFeePerGas entry is the base fee of the next (pending) block
+    const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = {};
+    percentiles.forEach((percentile, index) => {
+      const samples = history.reward
+        .map(blockRewards => BigInt(blockRewards[index] ?? 0))
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      rewards[percentile] = samples[Math.floor(samples.length / 2)];
+    });
+
+    return { baseFee, rewards, source: `feeHistory (${provider._providerName})` };
   }
 
   /**
    * Clear gas price cache
    */
   clearCache() {
-    this.cachedGasPrice = null;
+    this.networkFees = null;
     this.cacheTimestamp = 0;
   }
 
@@ -254,19 +334,21 @@ export class GasPriceService {
 
   /**
    * Get detailed gas price breakdown for logging
+   * @param {string|null} profileName - Profile to price (defaults to the selected one)
    * @returns {Promise<Object>} Detailed gas price information
    */
-  async getGasPriceBreakdown() {
-    const gasPriceData = await this.getCurrentGasPrice();
+  async getGasPriceBreakdown(profileName = null) {
+    const gasPriceData = await this.getCurrentGasPrice(profileName);
     return {
       baseGasPrice: gasPriceData.baseGasPrice,
       priorityFee: gasPriceData.priorityFee,
       totalGasPrice: gasPriceData.totalGasFee,
+      profile: gasPriceData.profile,
       source: gasPriceData.source,
-      priorityPercentage: this.priorityFeePercentage
+      priorityPercentage: GAS_PROFILES[gasPriceData.profile].priorityPercentage
     };
   }
 }
 
 // Create singleton instance
-export const gasPriceService = new GasPriceService(); 
\ No newline at end of file
+export const gasPriceService = new GasPriceService();
@@ -0,0 +1,163 @@
+import { PROVIDER_CONFIG } from '../config/constants.js';
+
+/**
+ * Rolling health statistics and scores for RPC providers
+ * Tracks latency, error rate, block-height lag against the other providers and WebSocket disconnects
+ */
+export class ProviderHealthTracker {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || PROVIDER_CONFIG.healthWindow;
+    this.stats = new Map();
+  }
+
+  /**
+   * Get (or create) the statistics record for a provider
+   * @private
+   * @param {string} name - Provider name
+   * @returns {Object} Statistics record
+   */
+  _get(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, {
+        samples: [], // { ok, latency, at }
+        blockNumber: null,
+        blockSeenAt: null,
+        wsDisconnects: [], // timestamps
+        cooldownUntil: 0,
+        lastError: null
+      });
+    }
+    return this.stats.get(name);
+  }
+
+  /**
+   * Add a sample, keeping only the rolling window
+   * @private
+   */
+  _addSample(record, sample) {
+    record.samples.push(sample);
+    if (record.samples.length > this.windowSize) {
+      record.samples.shift();
+    }
+  }
+
+  /**
+   * Record a successful call
+   * @param {string} name - Provider name
+   * @param {number} latencyMs - Call latency in milliseconds
+   */
+  recordSuccess(name, latencyMs) {
+    this._addSample(this._get(name), { ok: true, latency: latencyMs, at: Date.now() });
+  }
+
+  /**
+   * Record a failed call
+   * @param {string} name - Provider name
+   * @param {Error|string} error - Failure reason
+   */
+  recordFailure(name, error) {
+    const record = this._get(name);
+    this._addSample(record, { ok: false, latency: null, at: Date.now() });
+    record.lastError = error?.message || String(error);
+  }
+
+  /**
+   * Record the latest block height a provider reported
+   * @param {string} name - Provider name
+   * @param {number} blockNumber - Block number
+   */
+  recordBlockNumber(name, blockNumber) {
+    const record = this._get(name);
+    record.blockNumber = Number(blockNumber);
+    record.blockSeenAt = Date.now();
+  }
+
+  /**
+   * Record a WebSocket disconnect
+   * @param {string} name - Provider name
+   */
+  recordWsDisconnect(name) {
+    const record = this._get(name);
+    record.wsDisconnects.push(Date.now());
+
+    const cutoff = Date.now() - PROVIDER_CONFIG.wsDisconnectWindow;
+    record.wsDisconnects = record.wsDisconnects.filter(at => at >= cutoff);
+  }
+
+  /**
+   * Keep a provider out of routing for a short time after it exhausted its retries
+   * @param {string} name - Provider name
+   * @param {number} durationMs - Cooldown in milliseconds
+   */
+  startCooldown(name, durationMs = PROVIDER_CONFIG.failedProviderCooldown) {
+    this._get(name).cooldownUntil = Date.now() + durationMs;
+  }
+
+  /**
+   * Get the highest block number reported by any provider recently
+   * @returns {number|null} Leading block number
+   */
+  getLeadingBlock() {
+    const cutoff = Date.now() - PROVIDER_CONFIG.healthCheckInterval * 2;
+    let leading = null;
+    for (const record of this.stats.values()) {
+      if (record.blockNumber !== null && record.blockSeenAt >= cutoff && (leading === null || record.blockNumber > leading)) {
+        leading = record.blockNumber;
+      }
+    }
+    return leading;
+  }
+
+  /**
+   * Get the health summary and score for a provider
+   * Score starts at 100 and loses points for latency, errors, block lag and WebSocket disconnects
+   * @param {string} name - Provider name
+   * @returns {Object} Health summary
+   */
+  getHealth(name) {
+    const record = this._get(name);
+    const now = Date.now();
+
+    const successes = record.samples.filter(sample => sample.ok);
+    const latencyMs = successes.length > 0
+      ? Math.round(successes.reduce((sum, sample) => sum + sample.latency, 0) / successes.length)
+      : null;
+    const errorRate = record.samples.length > 0
+      ? (record.samples.length - successes.length) / record.samples.length
+      : 0;
+
+    const leadingBlock = this.getLeadingBlock();
+    const blockLag = leadingBlock !== null && record.blockNumber !== null
+      ? Math.max(0, leadingBlock - record.blockNumber)
+      : 0;
+
+    const cutoff = now - PROVIDER_CONFIG.wsDisconnectWindow;
+    const wsDisconnects = record.wsDisconnects.filter(at => at >= cutoff).length;
+
+    const penalties = PROVIDER_CONFIG.healthPenalties;
+    const score = Math.max(0, Math.round(100
+      - Math.min(penalties.maxLatency, (latencyMs || 0) / penalties.latencyMsPerPoint)
+      - errorRate * penalties.errorRate
+      - Math.min(penalties.maxBlockLag, blockLag * penalties.perBlockLag)
+      - Math.min(penalties.maxWsDisconnects, wsDisconnects * penalties.perWsDisconnect)));
+
+    const coolingDown = record.cooldownUntil > now;
+
+    return {
+      name,
+      latencyMs,
+      errorRate,
+      samples: record.samples.length,
+      blockNumber: record.blockNumber,
+      blockLag,
+      wsDisconnects,
+      score,
+      coolingDown,
+      healthy: !coolingDown
+        && score >= PROVIDER_CONFIG.minHealthScore
+        && errorRate <= PROVIDER_CONFIG.maxErrorRate
+        && blockLag <= PROVIDER_CONFIG.maxBlockLag,
+      lastError: record.lastError
+    };
+  }
+}
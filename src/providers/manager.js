@@ -1,17 +1,32 @@
 import { ethers } from 'ethers';
 import { configLoader } from '../config/loader.js';
 import { PROVIDER_CONFIG } from '../config/constants.js';
+import { ProviderHealthTracker } from './healthTracker.js';
+import { ReconnectingWebSocket } from './reconnectingWebSocket.js';
 
 /**
- * Provider manager for handling multiple RPC providers with failover
+ * Provider manager for handling multiple RPC providers with health-scored routing
  */
 export class ProviderManager {
   constructor() {
     this.httpProviders = [];
     this.wsProviders = [];
-    this.failedProviders = new Set();
-    this.lastResetTime = Date.now();
+    this.health = new ProviderHealthTracker();
+    this._healthCheckTimer = null;
     this._initialized = false;
+    this.httpOnly = false;
+  }
+
+  /**
+   * Use plain HTTP providers only: no WebSocket connections and no background health probes
+   * For processes that only read on demand (the Electron main process); call before the first provider use
+   */
+  useHttpOnly() {
+    if (this._initialized && !this.httpOnly) {
+      console.log('⚠️ Provider pool already initialized with WebSockets, HTTP-only mode not applied');
+      return;
+    }
+    this.httpOnly = true;
   }
 
   /**
@@ -41,12 +56,10 @@ export class ProviderManager {
     }
 
     // Initialize WebSocket providers
-    for (const config of rpcConfigs) {
+    for (const config of this.httpOnly ? [] : rpcConfigs) {
       if (config.wsUrl) {
         try {
-          const wsProvider = new ethers.WebSocketProvider(config.wsUrl);
-          wsProvider._providerName = config.name;
-          this.wsProviders.push(wsProvider);
+          this.wsProviders.push(this._createWsProvider(config.name, config.wsUrl));
           console.log(`✅ ${config.name} WebSocket provider initialized`);
         } catch (error) {
           console.log(`❌ Failed to initialize ${config.name} WebSocket provider: ${error.message}`);
@@ -63,6 +76,7 @@ export class ProviderManager {
 
     console.log(`🚀 Multi-Provider Pool initialized with ${this.httpProviders.length} HTTP + ${this.wsProviders.length} WebSocket providers`);
     this._initialized = true;
+    this._startHealthChecks();
   }
 
   /**
@@ -84,40 +98,103 @@ export class ProviderManager {
   }
 
   /**
-   * Get all available HTTP providers
+   * Sort providers by health score, healthy ones first
+   * @private
+   * @param {Array} providers - Providers to sort
+   * @returns {Array} Providers, best first
+   */
+  _sortByHealth(providers) {
+    return [...providers].sort((a, b) => {
+      const healthA = this.health.getHealth(a._providerName);
+      const healthB = this.health.getHealth(b._providerName);
+      if (healthA.healthy !== healthB.healthy) {
+        return healthA.healthy ? -1 : 1;
+      }
+      return healthB.score - healthA.score;
+    });
+  }
+
+  /**
+   * Get healthy HTTP providers, best score first (all providers when none are healthy)
    * @returns {Array<ethers.JsonRpcProvider>} Available providers
    */
   getAllProviders() {
     this._ensureInitialized();
-    this._resetFailedProvidersIfNeeded();
-    return this.httpProviders.filter(p => !this.failedProviders.has(p._providerName));
+    const healthy = this.httpProviders.filter(p => this.health.getHealth(p._providerName).healthy);
+    return this._sortByHealth(healthy.length > 0 ? healthy : this.httpProviders);
   }
 
   /**
-   * Get all available WebSocket providers
+   * Get healthy WebSocket providers, best score first (all providers when none are healthy)
    * @returns {Array<ethers.WebSocketProvider>} Available WebSocket providers
    */
   getAllWsProviders() {
     this._ensureInitialized();
-    this._resetFailedProvidersIfNeeded();
-    return this.wsProviders.filter(p => !this.failedProviders.has(p._providerName));
+    const healthy = this.wsProviders.filter(p => this.health.getHealth(p._providerName).healthy);
+    return this._sortByHealth(healthy.length > 0 ? healthy : this.wsProviders);
   }
 
   /**
-   * Get random available provider
-   * @returns {ethers.JsonRpcProvider} Random available provider
+   * Get a provider for a read, spread across healthy providers weighted by score
+   * @returns {ethers.JsonRpcProvider} Selected provider
    */
   getRandomProvider() {
     const availableProviders = this.getAllProviders();
-    
-    if (availableProviders.length === 0) {
-      // Reset failed providers if all are marked as failed
-      this.failedProviders.clear();
-      return this.httpProviders[0];
+    const weights = availableProviders.map(p => Math.max(1, this.health.getHealth(p._providerName).score));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let pick = Math.random() * total;
+    for (let i = 0; i < availableProviders.length; i++) {
+      pick -= weights[i];
+      if (pick <= 0) {
+        return availableProviders[i];
+      }
     }
-    
-    const randomIndex = Math.floor(Math.random() * availableProviders.length);
-    return availableProviders[randomIndex];
+    return availableProviders[availableProviders.length - 1];
+  }
+
+  /**
+   * Get providers in the order reads should try them: one score-weighted pick, then the rest by score
+   * @returns {Array<ethers.JsonRpcProvider>} Providers to try in order
+   */
+  getReadProviders() {
+    const first = this.getRandomProvider();
+    return [first, ...this._sortByHealth(this.httpProviders.filter(p => p !== first))];
+  }
+
+  /**
+   * Get providers in the order sends should try them: fastest healthy provider first, then the rest by score
+   * @returns {Array<ethers.JsonRpcProvider>} Providers to try in order
+   */
+  getSendProviders() {
+    this._ensureInitialized();
+    const withHealth = this.httpProviders.map(p => ({ provider: p, health: this.health.getHealth(p._providerName) }));
+
+    // Providers without latency samples yet rank after measured healthy ones
+    const healthy = withHealth
+      .filter(entry => entry.health.healthy)
+      .sort((a, b) => (a.health.latencyMs ?? Infinity) - (b.health.latencyMs ?? Infinity) || b.health.score - a.health.score)
+      .map(entry => entry.provider);
+    const unhealthy = this._sortByHealth(withHealth.filter(entry => !entry.health.healthy).map(entry => entry.provider));
+
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * Get matching HTTP + WebSocket providers for services that subscribe over WebSocket and read over HTTP
+   * @param {Object} options - Pair options
+   * @param {boolean} options.requireSubscriptions - Skip providers whose WebSocket does not support eth_subscribe
+   * @returns {Array<Object>} { name, rpcProvider, wsProvider, supportsSubscriptions } pairs, best health first
+   */
+  getProviderPairs(options = {}) {
+    return this.getAllWsProviders()
+      .map(wsProvider => ({
+        name: wsProvider._providerName,
+        rpcProvider: this.httpProviders.find(p => p._providerName === wsProvider._providerName),
+        wsProvider,
+        supportsSubscriptions: wsProvider._supportsSubscriptions
+      }))
+      .filter(pair => pair.rpcProvider && (!options.requireSubscriptions || pair.supportsSubscriptions));
   }
 
   /**
@@ -141,27 +218,121 @@ export class ProviderManager {
   }
 
   /**
-   * Mark provider as failed
+   * Record a successful call for health scoring
+   * @param {string} providerName - Provider name
+   * @param {number} latencyMs - Call latency in milliseconds
+   */
+  recordSuccess(providerName, latencyMs) {
+    this.health.recordSuccess(providerName, latencyMs);
+  }
+
+  /**
+   * Record a failed call for health scoring
+   * @param {string} providerName - Provider name
+   * @param {Error|string} error - Failure reason
+   */
+  recordFailure(providerName, error) {
+    this.health.recordFailure(providerName, error);
+  }
+
+  /**
+   * Record a WebSocket disconnect for health scoring
+   * @param {string} providerName - Provider name
+   */
+  recordWsDisconnect(providerName) {
+    this.health.recordWsDisconnect(providerName);
+    console.log(`⚠️ ${providerName} WebSocket disconnected`);
+  }
+
+  /**
+   * Mark provider as failed (records a failure and keeps it out of routing for a short cooldown)
    * @param {string} providerName - Provider name to mark as failed
    */
   markProviderFailed(providerName) {
-    this.failedProviders.add(providerName);
-    console.log(`⚠️ Provider ${providerName} marked as failed`);
+    this.health.recordFailure(providerName, 'exhausted retries');
+    this.health.startCooldown(providerName);
+    console.log(`⚠️ Provider ${providerName} marked as failed for ${PROVIDER_CONFIG.failedProviderCooldown / 1000}s`);
   }
 
   /**
-   * Reset failed providers after timeout
+   * Create a WebSocket provider that reconnects itself and reports disconnects for health scoring
    * @private
+   * @param {string} name - Provider name
+   * @param {string} wsUrl - WebSocket URL
+   * @returns {ethers.WebSocketProvider} Reconnecting WebSocket provider
    */
-  _resetFailedProvidersIfNeeded() {
-    const now = Date.now();
-    if (now - this.lastResetTime > PROVIDER_CONFIG.failedProviderResetTime) {
-      this.failedProviders.clear();
-      this.lastResetTime = now;
-      console.log(`🔄 Failed providers reset`);
+  _createWsProvider(name, wsUrl) {
+    const { provider: wsProvider } = new ReconnectingWebSocket(name, wsUrl, {
+      onDisconnect: (providerName) => this.recordWsDisconnect(providerName),
+      onReconnect: (providerName, attempts) => console.log(`✅ ${providerName} WebSocket reconnected after ${attempts} attempt(s)`)
+    });
+    wsProvider._providerName = name;
+    wsProvider._supportsSubscriptions = !PROVIDER_CONFIG.noSubscriptionProviders.some(pattern =>
+      name.toLowerCase().includes(pattern) || wsUrl.toLowerCase().includes(pattern)
+    );
+    return wsProvider;
+  }
+
+  /**
+   * Probe block height and latency on every HTTP provider
+   * @returns {Promise<void>}
+   */
+  async probeProviders() {
+    this._ensureInitialized();
+
+    await Promise.all(this.httpProviders.map(async (provider) => {
+      const startedAt = Date.now();
+      try {
+        const timeoutPromise = new Promise((_, reject) =>
+          setTimeout(() => reject(new Error(`${provider._providerName} probe timeout`)), PROVIDER_CONFIG.healthCheckInterval / 3)
+        );
+        const blockNumber = await Promise.race([provider.getBlockNumber(), timeoutPromise]);
+        this.health.recordSuccess(provider._providerName, Date.now() - startedAt);
+        this.health.recordBlockNumber(provider._providerName, blockNumber);
+      } catch (error) {
+        this.health.recordFailure(provider._providerName, error);
+      }
+    }));
+  }
+
+  /**
+   * Probe providers in the background so block lag stays current between calls
+   * @private
+   */
+  _startHealthChecks() {
+    if (this._healthCheckTimer || this.httpOnly || this.httpProviders.length < 2) {
+      return;
+    }
+
+    this._healthCheckTimer = setInterval(() => {
+      this.probeProviders().catch(() => {});
+    }, PROVIDER_CONFIG.healthCheckInterval);
+
+    // Never keep a bot process alive just for health checks
+    if (this._healthCheckTimer.unref) {
+      this._healthCheckTimer.unref();
     }
   }
 
+  /**
+   * Get health scores for every configured provider
+   * @returns {Array<Object>} Health summaries, best score first
+   */
+  getHealthScores() {
+    this._ensureInitialized();
+    const sendProvider = this.getSendProviders()[0];
+    const names = [...new Set([...this.httpProviders, ...this.wsProviders].map(p => p._providerName))];
+
+    return names
+      .map(name => ({
+        ...this.health.getHealth(name),
+        http: this.httpProviders.some(p => p._providerName === name),
+        websocket: this.wsProviders.some(p => p._providerName === name),
+        preferredForSends: sendProvider?._providerName === name
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
   /**
    * Ensure providers are initialized
    * @private
@@ -259,7 +430,7 @@ export class ProviderManager {
       status.http.push({
         name: provider._providerName,
         healthy: isHealthy,
-        isFailed: this.failedProviders.has(provider._providerName)
+        isFailed: this.health.getHealth(provider._providerName).coolingDown
       });
       if (isHealthy) {
         status.summary.healthyHttp++;
@@ -272,7 +443,7 @@ export class ProviderManager {
       status.websocket.push({
         name: provider._providerName,
         healthy: isHealthy,
-        isFailed: this.failedProviders.has(provider._providerName)
+        isFailed: this.health.getHealth(provider._providerName).coolingDown
       });
       if (isHealthy) {
         status.summary.healthyWs++;
@@ -286,6 +457,11 @@ export class ProviderManager {
    * Clean up WebSocket connections
    */
   async cleanup() {
+    if (this._healthCheckTimer) {
+      clearInterval(this._healthCheckTimer);
+      this._healthCheckTimer = null;
+    }
+
     for (const wsProvider of this.wsProviders) {
       try {
         if (wsProvider.removeAllListeners) {
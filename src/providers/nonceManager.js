@@ -0,0 +1,469 @@
+/**
+ * Nonce Manager
+ * Hands out per-wallet nonces to every executor in the bot process so parallel sends never share a nonce,
+ * tracks broadcast transactions until they are mined and replaces stuck ones with a same-nonce transaction.
+ * Pending transactions are kept in pending-transactions.json next to wallets.json so the GUI can list them;
+ * every bot process and the GUI update that file under a lock file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { withFileLock } from '../utils/fileLock.js';
+import { providerManager } from './manager.js';
+import { gasPriceService } from './gasPriceService.js';
+import { dryRun } from './dryRun.js';
+import { NONCE_CONFIG } from '../config/constants.js';
+
+/**
+ * NonceManager - nonce reservations, pending transaction tracking and stuck transaction replacement
+ */
+export class NonceManager {
+  constructor() {
+    this.reservations = new Map(); // address -> Set of reserved nonces not broadcast yet
+    this.locks = new Map(); // address -> tail of the reservation queue
+  }
+
+  /**
+   * Get the pending transactions file path (stored beside wallets.json)
+   * @returns {string} Absolute path to pending-transactions.json
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), 'pending-transactions.json');
+  }
+
+  /**
+   * Load tracked transactions from disk
+   * @returns {Object} { wallets: { address: { nonce: entry } } }
+   */
+  load() {
+    const pendingPath = this.getPath();
+    if (!fs.existsSync(pendingPath)) {
+      return { wallets: {} };
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
+      return { wallets: data.wallets || {} };
+    } catch (error) {
+      console.log(`⚠️ Could not read pending-transactions.json: ${error.message}`);
+      return { wallets: {} };
+    }
+  }
+
+  /**
+   * Write tracked transactions to disk (temp file + rename so readers never see a partial file)
+   * @param {Object} data - { wallets }
+   */
+  save(data) {
+    const pendingPath = this.getPath();
+    const tempPath = `${pendingPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, pendingPath);
+  }
+
+  /**
+   * Read, change and write the tracked transactions under the file lock
+   * @param {Function} mutator - Receives { wallets } and returns false when nothing changed
+   * @returns {*} Whatever the mutator returns
+   */
+  update(mutator) {
+    return withFileLock(this.getPath(), () => {
+      const data = this.load();
+      const result = mutator(data);
+      if (result !== false) {
+        this.save(data);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Reserve consecutive nonces for a wallet
+   * Picks the lowest free run at or above the node's pending count, skipping nonces this process has reserved
+   * and tracked transactions the node still knows, so a nonce released by a failed send or dropped from the
+   * mempool is handed out again instead of leaving a gap
+   * @param {string} address - Wallet address
+   * @param {Object} provider - Provider used to read the pending transaction count
+   * @param {number} count - Number of consecutive nonces
+   * @returns {Promise<number>} First reserved nonce
+   */
+  async reserve(address, provider = providerManager.getPrimaryProvider(), count = 1) {
+    return this._withLock(address, async () => {
+      const reserved = this._getReservations(address);
+      const chainNonce = await provider.getTransactionCount(address, 'pending');
+      const tracked = await this._dropUnknown(address, provider, chainNonce);
+      const inUse = new Set([...reserved, ...tracked]);
+
+      let base = chainNonce;
+      for (let offset = 0; offset < count; offset++) {
+        if (inUse.has(base + offset)) {
+          base = base + offset + 1;
+          offset = -1;
+        }
+      }
+
+      for (let offset = 0; offset < count; offset++) {
+        reserved.add(base + offset);
+      }
+      return base;
+    });
+  }
+
+  /**
+   * Give back a reserved nonce that was never broadcast
+   * @param {string} address - Wallet address
+   * @param {number} nonce - Reserved nonce
+   */
+  release(address, nonce) {
+    this._getReservations(address).delete(nonce);
+  }
+
+  /**
+   * Reserve a nonce, send with it and track the result (the nonce is released if the send fails)
+   * @param {Object} wallet - Wallet instance with a provider
+   * @param {Function} sendFunction - Takes the nonce and returns a transaction response
+   * @param {string} label - Short description shown in the stuck transactions view
+   * @returns {Promise<Object>} Transaction response
+   */
+  async send(wallet, sendFunction, label = null) {
+    const nonce = await this.reserve(wallet.address, wallet.provider || undefined);
+    return this.trackSend(wallet.address, nonce, Promise.resolve().then(() => sendFunction(nonce)), label);
+  }
+
+  /**
+   * Track a send made with a reserved nonce once it is broadcast, or release the nonce if it fails
+   * @param {string} address - Wallet address
+   * @param {number} nonce - Reserved nonce the send uses
+   * @param {Promise<Object>} txPromise - Pending send
+   * @param {string} label - Short description shown in the stuck transactions view
+   * @returns {Promise<Object>} The same transaction response
+   */
+  trackSend(address, nonce, txPromise, label = null) {
+    return txPromise.then(
+      (tx) => {
+        this.track(tx, label);
+        return tx;
+      },
+      (error) => {
+        this.release(address, nonce);
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Track a broadcast transaction until it is mined
+   * Replacing a tracked nonce keeps the earlier hashes, since any version of it may be the one that gets mined
+   * @param {Object} tx - Transaction response
+   * @param {string} label - Short description shown in the stuck transactions view
+   */
+  track(tx, label = null) {
+    if (dryRun.isEnabled() || !tx?.hash || !tx.from || tx.nonce === undefined || tx.nonce === null) {
+      return;
+    }
+
+    this.release(tx.from, tx.nonce);
+
+    this.update((data) => {
+      const key = tx.from.toLowerCase();
+      const wallet = data.wallets[key] || (data.wallets[key] = {});
+      const previous = wallet[tx.nonce];
+
+      wallet[tx.nonce] = {
+        nonce: tx.nonce,
+        from: tx.from,
+        hash: tx.hash,
+        hashes: [...(previous?.hashes || []), tx.hash],
+        to: tx.to,
+        data: tx.data,
+        value: (tx.value ?? 0n).toString(),
+        gasLimit: tx.gasLimit?.toString() ?? null,
+        maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null,
+        gasPrice: tx.gasPrice?.toString() ?? null,
+        label: label || previous?.label || null,
+        firstSentAt: previous?.firstSentAt || Date.now(),
+        sentAt: Date.now()
+      };
+    });
+  }
+
+  /**
+   * Stop tracking a nonce once any version of it is mined
+   * @param {string} address - Wallet address
+   * @param {number} nonce - Mined nonce
+   */
+  confirm(address, nonce) {
+    if (!address || nonce === undefined || nonce === null) {
+      return;
+    }
+
+    this.update((data) => {
+      const wallet = data.wallets[address.toLowerCase()];
+      if (!wallet || !wallet[nonce]) {
+        return false;
+      }
+
+      delete wallet[nonce];
+      if (Object.keys(wallet).length === 0) {
+        delete data.wallets[address.toLowerCase()];
+      }
+    });
+  }
+
+  /**
+   * List tracked transactions, lowest nonce first
+   * @param {string|null} address - Wallet address (all wallets when null)
+   * @returns {Array<Object>} Tracked transactions
+   */
+  getPending(address = null) {
+    const { wallets } = this.load();
+    const keys = address ? [address.toLowerCase()] : Object.keys(wallets);
+
+    return keys
+      .flatMap(key => Object.values(wallets[key] || {}))
+      .sort((a, b) => a.from.localeCompare(b.from) || a.nonce - b.nonce);
+  }
+
+  /**
+   * Get a tracked transaction
+   * @param {string} address - Wallet address
+   * @param {number} nonce - Nonce
+   * @returns {Object|null} Tracked transaction
+   */
+  getEntry(address, nonce) {
+    return this.load().wallets[address.toLowerCase()]?.[nonce] || null;
+  }
+
+  /**
+   * Find the receipt of whichever broadcast version of a nonce was mined
+   * @param {Array<string>} hashes - Hashes sent with the same nonce
+   * @param {Object} provider - Provider to query
+   * @returns {Promise<Object|null>} Receipt or null while none is mined
+   */
+  async findReceipt(hashes, provider = providerManager.getPrimaryProvider()) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compare a wallet's tracked transactions with the chain
+   * Drops mined nonces and classifies the rest: pending, stuck (pending longer than stuckAfterMs),
+   * blocked (waiting behind a gap) or gap (a nonce nothing was broadcast for)
+   * @param {string} address - Wallet address
+   * @param {Object} provider - Provider to query
+   * @returns {Promise<Object>} { address, latestNonce, pendingNonce, transactions, gaps, stuck }
+   */
+  async inspect(address, provider = providerManager.getPrimaryProvider()) {
+    const [latestNonce, pendingNonce] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending')
+    ]);
+
+    const key = address.toLowerCase();
+    this.update((data) => {
+      const tracked = data.wallets[key] || {};
+      const minedNonces = Object.keys(tracked).filter(nonce => Number(nonce) < latestNonce);
+      if (minedNonces.length === 0) {
+        return false;
+      }
+      minedNonces.forEach(nonce => delete tracked[nonce]);
+      if (Object.keys(tracked).length === 0) {
+        delete data.wallets[key];
+      }
+    });
+
+    // Nonces past the node's pending count are only real if the node still holds them (queued behind a gap)
+    await this._dropUnknown(address, provider, pendingNonce);
+    const wallet = this.load().wallets[key] || {};
+
+    const now = Date.now();
+    const highestNonce = Math.max(pendingNonce, ...Object.keys(wallet).map(nonce => Number(nonce) + 1));
+    const transactions = [];
+
+    for (let nonce = latestNonce; nonce < highestNonce; nonce++) {
+      const entry = wallet[nonce];
+      if (!entry) {
+        // In the node's pool but sent by another app or an earlier session, or missing altogether
+        transactions.push({ nonce, from: address, tracked: false, status: nonce < pendingNonce ? 'pending' : 'gap' });
+        continue;
+      }
+
+      const ageMs = now - entry.firstSentAt;
+      let status = ageMs >= NONCE_CONFIG.stuckAfterMs ? 'stuck' : 'pending';
+      if (nonce >= pendingNonce) {
+        status = 'blocked';
+      }
+      transactions.push({ ...entry, tracked: true, status, ageMs });
+    }
+
+    return {
+      address,
+      latestNonce,
+      pendingNonce,
+      transactions,
+      gaps: transactions.filter(tx => tx.status === 'gap').map(tx => tx.nonce),
+      stuck: transactions.filter(tx => tx.status === 'stuck' || tx.status === 'blocked').map(tx => tx.nonce)
+    };
+  }
+
+  /**
+   * Fees for a same-nonce replacement: the current profile fees, raised to at least replacementBumpPercent
+   * over the replaced transaction (legacy gasPrice counts as both fee fields) and capped by MAXFEE-
+   * @param {Object|null} previous - Replaced transaction (response or tracked entry), null when unknown
+   * @param {Object|null} current - Current { maxFeePerGas, maxPriorityFeePerGas } (fetched when null)
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async getReplacementFees(previous, current = null) {
+    const fees = current || await gasPriceService.getGasParams();
+    if (!previous) {
+      return fees;
+    }
+
+    const bump = (value) => value === null || value === undefined
+      ? 0n
+      : BigInt(value) * BigInt(100 + NONCE_CONFIG.replacementBumpPercent) / 100n;
+    const max = (a, b) => a > b ? a : b;
+
+    const maxFeePerGas = max(fees.maxFeePerGas, bump(previous.maxFeePerGas ?? previous.gasPrice));
+    const maxPriorityFeePerGas = max(fees.maxPriorityFeePerGas, bump(previous.maxPriorityFeePerGas ?? previous.gasPrice));
+
+    return gasPriceService.applyFeeCap({
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    });
+  }
+
+  /**
+   * Speed up a tracked transaction by resending it with the same nonce and higher fees
+   * @param {Object} wallet - Wallet instance with a provider
+   * @param {number} nonce - Nonce of the stuck transaction
+   * @returns {Promise<Object>} Replacement transaction response
+   */
+  async speedUp(wallet, nonce) {
+    const entry = this.getEntry(wallet.address, nonce);
+    if (!entry) {
+      throw new Error(`Nonce ${nonce} is not tracked for ${wallet.address} - it can only be cancelled`);
+    }
+
+    const fees = await this.getReplacementFees(entry);
+    const tx = await wallet.sendTransaction({
+      to: entry.to,
+      data: entry.data,
+      value: BigInt(entry.value),
+      gasLimit: entry.gasLimit ? BigInt(entry.gasLimit) : undefined,
+      nonce,
+      ...fees
+    });
+
+    this.track(tx, entry.label);
+    console.log(`🚀 Nonce ${nonce} sped up for ${wallet.address}: ${tx.hash}`);
+    return tx;
+  }
+
+  /**
+   * Cancel a stuck transaction, or fill a nonce gap, with a 0 ETH transfer to the wallet itself
+   * @param {Object} wallet - Wallet instance with a provider
+   * @param {number} nonce - Nonce to replace or fill
+   * @returns {Promise<Object>} Cancel transaction response
+   */
+  async cancel(wallet, nonce) {
+    const entry = this.getEntry(wallet.address, nonce);
+    const fees = await this.getReplacementFees(entry);
+    const tx = await wallet.sendTransaction({
+      to: wallet.address,
+      value: 0n,
+      gasLimit: NONCE_CONFIG.cancelGasLimit,
+      nonce,
+      ...fees
+    });
+
+    this.track(tx, entry ? `cancel ${entry.label || ''}`.trim() : 'cancel');
+    console.log(`🚫 Nonce ${nonce} cancelled for ${wallet.address}: ${tx.hash}`);
+    return tx;
+  }
+
+  /**
+   * Get (or create) the reserved nonce set for a wallet
+   * @private
+   */
+  _getReservations(address) {
+    const key = address.toLowerCase();
+    if (!this.reservations.has(key)) {
+      this.reservations.set(key, new Set());
+    }
+    return this.reservations.get(key);
+  }
+
+  /**
+   * Stop tracking nonces at or above fromNonce whose broadcast versions the node no longer knows
+   * (dropped from the mempool), so they stop blocking new reservations
+   * @private
+   * @returns {Promise<Array<number>>} Tracked nonces at or above fromNonce that are still known
+   */
+  async _dropUnknown(address, provider, fromNonce) {
+    const entries = this.getPending(address).filter(entry => entry.nonce >= fromNonce);
+    const known = [];
+    const dropped = [];
+
+    for (const entry of entries) {
+      if (Date.now() - entry.sentAt < NONCE_CONFIG.droppedAfterMs) {
+        known.push(entry);
+        continue;
+      }
+
+      let found = false;
+      for (const hash of entry.hashes || [entry.hash]) {
+        try {
+          found = Boolean(await provider.getTransaction(hash));
+        } catch {
+          found = true; // Can't tell - keep the nonce rather than risk reusing it
+        }
+        if (found) break;
+      }
+      (found ? known : dropped).push(entry);
+    }
+
+    if (dropped.length > 0) {
+      this.update((data) => {
+        const wallet = data.wallets[address.toLowerCase()];
+        let changed = false;
+        dropped.forEach(entry => {
+          // A replacement tracked in the meantime has a new hash and is kept
+          if (wallet?.[entry.nonce]?.hash === entry.hash) {
+            delete wallet[entry.nonce];
+            changed = true;
+          }
+        });
+        if (wallet && Object.keys(wallet).length === 0) {
+          delete data.wallets[address.toLowerCase()];
+        }
+        return changed;
+      });
+      console.log(`🧹 Nonce ${dropped.map(entry => entry.nonce).join(', ')} of ${address} no longer known to the node - freed`);
+    }
+
+    return known.map(entry => entry.nonce);
+  }
+
+  /**
+   * Run reservations for one wallet one at a time
+   * @private
+   */
+  _withLock(address, fn) {
+    const key = address.toLowerCase();
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    this.locks.set(key, run.catch(() => {}));
+    return run;
+  }
+}
+
+// Export singleton instance
+export const nonceManager = new NonceManager();
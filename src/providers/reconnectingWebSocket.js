@@ -0,0 +1,437 @@
+import { ethers } from 'ethers';
+import { PROVIDER_CONFIG } from '../config/constants.js';
+
+// Listener methods handled by the wrapper so subscriptions survive reconnects
+const LISTENER_METHODS = new Set(['on', 'addListener', 'once', 'off', 'removeListener', 'removeAllListeners']);
+
+// Recently delivered log ids kept per subscription to skip duplicates while backfilling
+const SEEN_LOG_LIMIT = 1000;
+
+/**
+ * Check whether an event is a log filter (Transfer/Swap/Approval subscriptions) rather than a named event
+ * @param {string|Object} event - Event name or filter
+ * @returns {boolean} True for log filters
+ */
+function isLogFilter(event) {
+  return event !== null && typeof event === 'object' && (event.address !== undefined || event.topics !== undefined);
+}
+
+/**
+ * Compare two events the way the caller would expect off() to match them
+ * @param {string|Object} a - Event name or filter
+ * @param {string|Object} b - Event name or filter
+ * @returns {boolean} True when they describe the same subscription
+ */
+function sameEvent(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (isLogFilter(a) && isLogFilter(b)) {
+    return JSON.stringify({ address: a.address, topics: a.topics }) === JSON.stringify({ address: b.address, topics: b.topics });
+  }
+  return false;
+}
+
+/**
+ * Unique id of a log for duplicate detection
+ * @param {Object} log - ethers Log
+ * @returns {string} Log id
+ */
+function logId(log) {
+  return `${log.blockNumber}:${log.transactionHash}:${log.index ?? log.logIndex}`;
+}
+
+/**
+ * WebSocket provider that reconnects itself
+ * - Heartbeat: eth_blockNumber ping; a missed reply forces a reconnect (catches half-open sockets)
+ * - Reconnect: exponential backoff between attempts
+ * - Replay: every Transfer/Swap/Approval/block (newHeads)/pending subscription is registered again
+ * - Backfill: logs emitted while disconnected are fetched with eth_getLogs and delivered once
+ *
+ * Consumers use `.provider`, which behaves like an ethers.WebSocketProvider whose socket never changes.
+ */
+export class ReconnectingWebSocket {
+  /**
+   * @param {string} name - Provider name
+   * @param {string} wsUrl - WebSocket URL
+   * @param {Object} hooks - { onDisconnect(name), onReconnect(name, attempt) }
+   */
+  constructor(name, wsUrl, hooks = {}) {
+    this.name = name;
+    this.wsUrl = wsUrl;
+    this.hooks = hooks;
+    this.subscriptions = []; // { event, listener, handler, once, seenLogs }
+    this.meta = {}; // Properties callers set on the provider (_providerName, _supportsSubscriptions, ...)
+    this.inner = null;
+    this.lastBlock = null;
+    this.reconnectAttempt = 0;
+    this._heartbeatTimer = null;
+    this._reconnectTimer = null;
+    this._destroyed = false;
+
+    this.provider = this._createProxy();
+    this._connect();
+  }
+
+  /**
+   * Open a new socket and attach close/error handlers
+   * @private
+   */
+  _connect() {
+    const inner = new ethers.WebSocketProvider(this.wsUrl);
+    inner._providerName = this.name;
+    this.inner = inner;
+
+    try {
+      // Socket errors are followed by 'close', which schedules the reconnect
+      inner.websocket.addEventListener('error', (event) => {
+        console.log(`⚠️ ${this.name} WebSocket error: ${event?.message || event?.error?.message || 'connection error'}`);
+      });
+      inner.websocket.addEventListener('close', () => {
+        if (inner === this.inner && !this._destroyed) {
+          this._handleDisconnect();
+        }
+      });
+    } catch (error) {
+      // Socket already closed; the heartbeat will reconnect
+    }
+
+    this._startHeartbeat();
+  }
+
+  /**
+   * Ping the node and reconnect when it stops answering
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+
+    this._heartbeatTimer = setInterval(async () => {
+      const inner = this.inner;
+      try {
+        const timeoutPromise = new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('heartbeat timeout')), PROVIDER_CONFIG.wsHeartbeatTimeout)
+        );
+        const blockNumber = Number(await Promise.race([inner.send('eth_blockNumber', []), timeoutPromise]));
+        if (inner === this.inner) {
+          // A socket that answers pings has recovered; the next drop starts backoff from the beginning
+          this.reconnectAttempt = 0;
+          if (this.lastBlock === null || blockNumber > this.lastBlock) {
+            this.lastBlock = blockNumber;
+          }
+        }
+      } catch (error) {
+        if (inner === this.inner && !this._destroyed) {
+          console.log(`💔 ${this.name} WebSocket heartbeat failed: ${error.message}`);
+          this._handleDisconnect();
+        }
+      }
+    }, PROVIDER_CONFIG.wsHeartbeatInterval);
+
+    // Never keep a bot process alive just for heartbeats
+    if (this._heartbeatTimer.unref) {
+      this._heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the heartbeat timer
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Drop the dead socket and schedule a reconnect with exponential backoff
+   * @private
+   */
+  _handleDisconnect() {
+    if (this._reconnectTimer || this._destroyed) {
+      return;
+    }
+
+    this._stopHeartbeat();
+    this._destroyInner(this.inner);
+    this.inner = null;
+
+    if (this.hooks.onDisconnect) {
+      this.hooks.onDisconnect(this.name);
+    }
+
+    const delay = Math.min(
+      PROVIDER_CONFIG.wsReconnectBaseDelay * Math.pow(2, this.reconnectAttempt),
+      PROVIDER_CONFIG.wsReconnectMaxDelay
+    );
+    this.reconnectAttempt++;
+    console.log(`🔄 ${this.name} WebSocket reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempt})`);
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._destroyed) {
+        return;
+      }
+
+      try {
+        this._connect();
+      } catch (error) {
+        console.log(`❌ ${this.name} WebSocket reconnect failed: ${error.message}`);
+        this._handleDisconnect();
+        return;
+      }
+
+      this._replaySubscriptions();
+      const inner = this.inner;
+      this._recover(inner).catch(error => {
+        if (inner === this.inner) {
+          console.log(`⚠️ ${this.name} backfill failed: ${error.message}`);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Destroy a socket without reporting it as a disconnect
+   * @private
+   * @param {ethers.WebSocketProvider} inner - Socket provider to destroy
+   */
+  _destroyInner(inner) {
+    if (!inner) {
+      return;
+    }
+    try {
+      inner.removeAllListeners().catch(() => {});
+      inner.destroy();
+    } catch (error) {
+      // Socket is already gone
+    }
+  }
+
+  /**
+   * Register every recorded subscription on the current socket
+   * @private
+   */
+  _replaySubscriptions() {
+    if (this.subscriptions.length === 0) {
+      return;
+    }
+
+    for (const subscription of this.subscriptions) {
+      this.inner.on(subscription.event, subscription.handler).catch(error => {
+        console.log(`⚠️ ${this.name} failed to re-register subscription: ${error.message}`);
+      });
+    }
+    console.log(`📡 ${this.name} WebSocket re-registered ${this.subscriptions.length} subscription(s)`);
+  }
+
+  /**
+   * Confirm a new socket answers, then backfill the gap
+   * @private
+   * @param {ethers.WebSocketProvider} inner - Socket provider opened by the reconnect
+   */
+  async _recover(inner) {
+    const currentBlock = Number(await inner.send('eth_blockNumber', []));
+    if (inner !== this.inner) {
+      return;
+    }
+
+    const attempts = this.reconnectAttempt;
+    this.reconnectAttempt = 0;
+    if (this.hooks.onReconnect) {
+      this.hooks.onReconnect(this.name, attempts);
+    }
+
+    await this._backfillLogs(inner, currentBlock);
+  }
+
+  /**
+   * Deliver logs emitted while the socket was down (eth_getLogs over the gap)
+   * @private
+   * @param {ethers.WebSocketProvider} inner - Reconnected socket provider
+   * @param {number} currentBlock - Block number reported after reconnecting
+   */
+  async _backfillLogs(inner, currentBlock) {
+    const logSubscriptions = this.subscriptions.filter(subscription => isLogFilter(subscription.event));
+    if (logSubscriptions.length === 0 || this.lastBlock === null) {
+      return;
+    }
+
+    let fromBlock = this.lastBlock + 1;
+    if (currentBlock < fromBlock) {
+      return;
+    }
+    if (currentBlock - fromBlock + 1 > PROVIDER_CONFIG.wsBackfillMaxBlocks) {
+      fromBlock = currentBlock - PROVIDER_CONFIG.wsBackfillMaxBlocks + 1;
+      console.log(`⚠️ ${this.name} gap exceeds ${PROVIDER_CONFIG.wsBackfillMaxBlocks} blocks, backfilling the most recent ones only`);
+    }
+
+    let delivered = 0;
+    for (const subscription of logSubscriptions) {
+      const logs = await inner.getLogs({ ...subscription.event, fromBlock, toBlock: currentBlock });
+      for (const log of logs) {
+        // Skip logs the live subscription already delivered (or one that was removed meanwhile)
+        if (subscription.seenLogs.has(logId(log)) || !this.subscriptions.includes(subscription)) {
+          continue;
+        }
+        subscription.handler(log);
+        delivered++;
+      }
+    }
+
+    if (inner === this.inner && currentBlock > this.lastBlock) {
+      this.lastBlock = currentBlock;
+    }
+    console.log(`📥 ${this.name} backfilled ${delivered} missed log(s) from blocks ${fromBlock}-${currentBlock}`);
+  }
+
+  /**
+   * Remember a delivered log so backfill does not deliver it twice to the same subscription
+   * @private
+   * @param {Object} subscription - Recorded subscription
+   * @param {Object} log - ethers Log
+   */
+  _markLogSeen(subscription, log) {
+    subscription.seenLogs.add(logId(log));
+    if (subscription.seenLogs.size > SEEN_LOG_LIMIT) {
+      subscription.seenLogs.delete(subscription.seenLogs.values().next().value);
+    }
+    if (log.blockNumber !== undefined && (this.lastBlock === null || log.blockNumber > this.lastBlock)) {
+      this.lastBlock = log.blockNumber;
+    }
+  }
+
+  /**
+   * Record a subscription and register it on the current socket
+   * @private
+   */
+  _addSubscription(event, listener, once) {
+    const subscription = { event, listener, once, handler: null, seenLogs: new Set() };
+
+    subscription.handler = (...args) => {
+      if (isLogFilter(event) && args[0]) {
+        this._markLogSeen(subscription, args[0]);
+      } else if (event === 'block' && typeof args[0] === 'number' && (this.lastBlock === null || args[0] > this.lastBlock)) {
+        this.lastBlock = args[0];
+      }
+      if (once) {
+        this._removeSubscription(event, listener);
+      }
+      return listener(...args);
+    };
+
+    this.subscriptions.push(subscription);
+    if (this.inner) {
+      this.inner.on(event, subscription.handler).catch(error => {
+        console.log(`⚠️ ${this.name} subscription failed: ${error.message}`);
+      });
+    }
+    return this.provider;
+  }
+
+  /**
+   * Forget a subscription and remove it from the current socket
+   * @private
+   */
+  _removeSubscription(event, listener) {
+    const index = this.subscriptions.findIndex(subscription =>
+      sameEvent(subscription.event, event) && (!listener || subscription.listener === listener)
+    );
+    if (index === -1) {
+      return this.provider;
+    }
+
+    const [subscription] = this.subscriptions.splice(index, 1);
+    if (this.inner) {
+      this.inner.off(subscription.event, subscription.handler).catch(() => {});
+    }
+    return this.provider;
+  }
+
+  /**
+   * Remove every subscription (or every subscription for one event)
+   * @private
+   */
+  _removeAllSubscriptions(event) {
+    const removed = this.subscriptions.filter(subscription => event === undefined || sameEvent(subscription.event, event));
+    this.subscriptions = this.subscriptions.filter(subscription => !removed.includes(subscription));
+    if (this.inner) {
+      for (const subscription of removed) {
+        this.inner.off(subscription.event, subscription.handler).catch(() => {});
+      }
+    }
+    return this.provider;
+  }
+
+  /**
+   * Stop reconnecting and close the socket
+   */
+  async destroy() {
+    this._destroyed = true;
+    this._stopHeartbeat();
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this.subscriptions = [];
+    this._destroyInner(this.inner);
+    this.inner = null;
+  }
+
+  /**
+   * Build the stable provider handed to callers; everything except listeners goes to the current socket
+   * @private
+   * @returns {Proxy} Provider proxy
+   */
+  _createProxy() {
+    const wrapper = this;
+    const listenerMethods = {
+      on: (event, listener) => wrapper._addSubscription(event, listener, false),
+      addListener: (event, listener) => wrapper._addSubscription(event, listener, false),
+      once: (event, listener) => wrapper._addSubscription(event, listener, true),
+      off: (event, listener) => wrapper._removeSubscription(event, listener),
+      removeListener: (event, listener) => wrapper._removeSubscription(event, listener),
+      removeAllListeners: (event) => wrapper._removeAllSubscriptions(event)
+    };
+
+    return new Proxy({}, {
+      get(target, prop, receiver) {
+        if (LISTENER_METHODS.has(prop)) {
+          return listenerMethods[prop];
+        }
+        if (prop === 'provider') {
+          return receiver;
+        }
+        if (prop === 'destroy') {
+          return () => wrapper.destroy();
+        }
+        if (prop === 'isReconnecting') {
+          return wrapper.inner === null;
+        }
+        if (prop in wrapper.meta) {
+          return wrapper.meta[prop];
+        }
+        if (!wrapper.inner) {
+          if (prop === 'then') {
+            return undefined;
+          }
+          throw new Error(`${wrapper.name} WebSocket is reconnecting`);
+        }
+        const value = Reflect.get(wrapper.inner, prop, wrapper.inner);
+        return typeof value === 'function' ? value.bind(wrapper.inner) : value;
+      },
+      set(target, prop, value) {
+        wrapper.meta[prop] = value;
+        return true;
+      },
+      has(target, prop) {
+        return prop in wrapper.meta || LISTENER_METHODS.has(prop) || (wrapper.inner !== null && prop in wrapper.inner);
+      },
+      getPrototypeOf() {
+        return ethers.WebSocketProvider.prototype;
+      }
+    });
+  }
+}
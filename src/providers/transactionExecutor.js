@@ -2,14 +2,18 @@ import { ethers } from 'ethers';
 import { providerManager } from './manager.js';
 import { PROVIDER_CONFIG, TRANSACTION_CONFIG } from '../config/constants.js';
 import { wsTransactionService } from '../bots/services/websocketTransactionService.js';
+import { revertDecoder } from '../bots/services/revertDecoder.js';
 import { gasPriceService } from './gasPriceService.js';
+import { dryRun } from './dryRun.js';
+import { tradeLedger } from '../tradeLedger.js';
+import { nonceManager } from './nonceManager.js';
 
 /**
- * Transaction executor with retry logic and provider fallback
+ * Transaction executor with retry logic and health-scored provider fallback
  */
 export class TransactionExecutor {
   /**
-   * Execute RPC call with provider fallback
+   * Execute RPC call with provider fallback (reads are spread across healthy providers by score)
    * @param {Function} rpcCall - Function that takes provider and returns promise
    * @param {number} maxRetries - Maximum retries per provider
    * @param {number} timeout - Timeout in milliseconds
@@ -20,11 +24,12 @@ export class TransactionExecutor {
     maxRetries = PROVIDER_CONFIG.maxRpcRetries, 
     timeout = PROVIDER_CONFIG.rpcTimeout
   ) {
-    const availableProviders = providerManager.getAllProviders();
+    const availableProviders = providerManager.getReadProviders();
     let lastError = null;
     
     for (const provider of availableProviders) {
       for (let attempt = 0; attempt < maxRetries; attempt++) {
+        const startedAt = Date.now();
         try {
           console.log(`📡 RPC call via ${provider._providerName} (attempt ${attempt + 1}/${maxRetries})`);
           
@@ -35,6 +40,7 @@ export class TransactionExecutor {
           
           const result = await Promise.race([rpcCall(provider), timeoutPromise]);
           
+          providerManager.recordSuccess(provider._providerName, Date.now() - startedAt);
           console.log(`✅ RPC call successful via ${provider._providerName}`);
           return result;
           
@@ -42,8 +48,9 @@ export class TransactionExecutor {
           lastError = error;
           console.log(`❌ RPC call failed via ${provider._providerName} (attempt ${attempt + 1}): ${error.message}`);
           
-          // Check if error is retryable
+          // Check if error is retryable (only network errors count against the provider's health)
           if (this._isRetryableError(error)) {
+            providerManager.recordFailure(provider._providerName, error);
             if (attempt < maxRetries - 1) {
               console.log(`🔄 Retrying RPC call with ${provider._providerName} in 1 second...`);
               await this._sleep(TRANSACTION_CONFIG.networkRetryDelay);
@@ -66,20 +73,24 @@ export class TransactionExecutor {
 
   /**
    * Execute transaction with replacement fee escalation and WebSocket confirmation
-   * @param {Function} transactionFunction - Function that takes (provider, gasParams) and returns transaction
-   * @param {number} maxRetries - Maximum total retry attempts
-   * @param {number} maxProviderRetries - Maximum retries per provider
+   * Every retry reuses one nonce, so a retry after a broadcast replaces the pending transaction
+   * @param {Function} transactionFunction - Function that takes (provider, gasParams) and returns transaction (gasParams.nonce is the nonce to send with)
+   * @param {Object} options - Execution options
+   * @param {number} options.maxRetries - Maximum total retry attempts
+   * @param {number} options.maxProviderRetries - Maximum retries per provider
+   * @param {Object} options.wallet - Sending wallet; reserves the nonce up front (otherwise taken from the first broadcast)
+   * @param {string} options.label - Name shown in the stuck transactions view
    * @returns {Promise<Object>} Transaction result with hash, receipt, and provider info
    */
-  static async executeTransactionWithReplacementFee(
-    transactionFunction, 
-    maxRetries = TRANSACTION_CONFIG.maxRetries, 
-    maxProviderRetries = TRANSACTION_CONFIG.maxProviderRetries
-  ) {
-    const allProviders = providerManager.getAllProviders();
+  static async executeTransactionWithReplacementFee(transactionFunction, {
+    maxRetries = TRANSACTION_CONFIG.maxRetries,
+    maxProviderRetries = TRANSACTION_CONFIG.maxProviderRetries,
+    wallet = null,
+    label = null
+  } = {}) {
     let lastError = null;
     
-    // Get dynamic gas prices from Alchemy
+    // Gas from the selected profile (throws once the MAXRUN- run budget is spent)
     const dynamicGasParams = await gasPriceService.getGasParams();
     console.log(`🔥 Dynamic Gas Prices: ${ethers.formatUnits(dynamicGasParams.maxFeePerGas, 'gwei')} gwei (maxFee) + ${ethers.formatUnits(dynamicGasParams.maxPriorityFeePerGas, 'gwei')} gwei (priority)`);
     
@@ -87,6 +98,18 @@ export class TransactionExecutor {
     const baseMaxFee = dynamicGasParams.maxFeePerGas;
     const basePriorityFee = dynamicGasParams.maxPriorityFeePerGas;
     
+    // DRY-RUN: simulate once instead of broadcasting to Base
+    if (dryRun.isEnabled()) {
+      return await dryRun.executeTransaction(transactionFunction, this._calculateGasParams(baseMaxFee, basePriorityFee, 0), providerManager.getSendProviders()[0]);
+    }
+    
+    const nonceState = {
+      wallet,
+      label,
+      nonce: wallet ? await nonceManager.reserve(wallet.address, providerManager.getSendProviders()[0]) : null,
+      sentTxs: []
+    };
+    
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       // Calculate gas prices with escalation
       const gasParams = this._calculateGasParams(baseMaxFee, basePriorityFee, attempt);
@@ -95,9 +118,9 @@ export class TransactionExecutor {
         console.log(`🔄 Escalating gas prices for attempt ${attempt + 1}: ${ethers.formatUnits(gasParams.maxFeePerGas, 'gwei')} gwei (maxFee) + ${ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei')} gwei (priority)`);
       }
       
-      // Random provider selection
-      const orderedProviders = this._getRandomProviderOrder(allProviders);
-      console.log(`🎲 Random provider selection: Starting with ${orderedProviders[0]._providerName}, fallback to [${orderedProviders.slice(1).map(p => p._providerName).join(', ')}]`);
+      // Fastest healthy provider first (re-ranked every cycle as health scores change)
+      const orderedProviders = providerManager.getSendProviders();
+      console.log(`⚡ Provider selection: Starting with ${orderedProviders[0]._providerName}, fallback to [${orderedProviders.slice(1).map(p => p._providerName).join(', ')}]`);
       
       // Try each provider
       for (const currentProvider of orderedProviders) {
@@ -106,7 +129,8 @@ export class TransactionExecutor {
           transactionFunction, 
           gasParams, 
           maxProviderRetries, 
-          attempt
+          attempt,
+          nonceState
         );
         
         if (result.success) {
@@ -127,37 +151,51 @@ export class TransactionExecutor {
       await this._sleep(TRANSACTION_CONFIG.retryDelay);
     }
     
-    throw new Error(`❌ Transaction failed after ${maxRetries} broadcast cycles across all providers. Last error: ${lastError?.message}`);
+    // A broadcast nonce stays tracked so it shows up as stuck
+    if (wallet && nonceState.sentTxs.length === 0) {
+      nonceManager.release(wallet.address, nonceState.nonce);
+    }
+    const failure = revertDecoder.fromError(lastError);
+    if (failure) {
+      revertDecoder.record(failure, label, lastError.receipt?.hash || null);
+    }
+    const finalError = new Error(`❌ Transaction failed after ${maxRetries} broadcast cycles across all providers. Last error: ${lastError?.message}`);
+    finalError.failure = failure;
+    throw finalError;
   }
 
   /**
    * Try transaction with a specific provider using WebSocket confirmation
    * @private
    */
-  static async _tryProviderWithRetries(provider, transactionFunction, gasParams, maxRetries, attemptNumber) {
+  static async _tryProviderWithRetries(provider, transactionFunction, gasParams, maxRetries, attemptNumber, nonceState) {
     for (let providerAttempt = 0; providerAttempt < maxRetries; providerAttempt++) {
       try {
         const retryInfo = providerAttempt > 0 ? ` (retry ${providerAttempt + 1}/${maxRetries})` : '';
         console.log(`📡 Attempting transaction via ${provider._providerName}${retryInfo} (broadcast attempt ${attemptNumber + 1})`);
         
-        // Execute transaction
-        const tx = await transactionFunction(provider, gasParams);
+        // Re-sending a broadcast nonce needs higher fees than the pending version
+        const { sentTxs } = nonceState;
+        const sendParams = sentTxs.length > 0
+          ? { ...await nonceManager.getReplacementFees(sentTxs[sentTxs.length - 1], gasParams), nonce: nonceState.nonce }
+          : { ...gasParams, nonce: nonceState.nonce };
+        
+        // Execute transaction (submission latency feeds the provider's health score)
+        const startedAt = Date.now();
+        const tx = await transactionFunction(provider, sendParams);
+        providerManager.recordSuccess(provider._providerName, Date.now() - startedAt);
         
         console.log(`✅ Transaction submitted via ${provider._providerName}: ${tx.hash}`);
-        console.log(`⛽ Gas settings: ${ethers.formatUnits(gasParams.maxFeePerGas, 'gwei')} gwei (maxFee) + ${ethers.formatUnits(gasParams.maxPriorityFeePerGas, 'gwei')} gwei (priority)`);
+        console.log(`⛽ Gas settings: ${ethers.formatUnits(sendParams.maxFeePerGas, 'gwei')} gwei (maxFee) + ${ethers.formatUnits(sendParams.maxPriorityFeePerGas, 'gwei')} gwei (priority)`);
+        this._recordBroadcast(nonceState, tx);
         
-        // 🚀 WEBSOCKET REPLACEMENT: Use WebSocket confirmation instead of polling
-        let receipt;
-        try {
-          console.log(`📡 WebSocket: Monitoring transaction confirmation (replacing polling)...`);
-          receipt = await wsTransactionService.waitForTransactionConfirmation(tx.hash, 1, 60000);
-          console.log(`🎯 WebSocket: Transaction confirmed in block ${receipt.blockNumber} (instant vs 2s polling)`);
-        } catch (wsError) {
-          console.log(`⚠️ WebSocket confirmation failed, falling back to polling: ${wsError.message}`);
-          // Fallback to original polling method
-          receipt = await tx.wait(1);
-          console.log(`🎯 Polling fallback: Transaction confirmed in block ${receipt.blockNumber}`);
-        }
+        // 🚀 WEBSOCKET REPLACEMENT: Use WebSocket confirmation instead of polling (polling fallback inside)
+        // A revert throws with its decoded failure class
+        console.log(`📡 WebSocket: Monitoring transaction confirmation (replacing polling)...`);
+        const receipt = await wsTransactionService.watchTransaction(tx, { confirmations: 1, timeout: 60000 });
+        console.log(`🎯 Transaction confirmed in block ${receipt.blockNumber}`);
+        
+        this.recordConfirmed(tx, receipt, provider._providerName);
         
         return { 
           success: true,
@@ -169,9 +207,23 @@ export class TransactionExecutor {
       } catch (error) {
         const retryInfo = providerAttempt > 0 ? ` (retry ${providerAttempt + 1}/${maxRetries})` : '';
         console.log(`❌ Transaction failed via ${provider._providerName}${retryInfo}: ${error.message}`);
+        if (this._isRetryableError(error)) {
+          providerManager.recordFailure(provider._providerName, error);
+        }
+        
+        const failure = revertDecoder.fromError(error);
+        if (failure) {
+          console.log(`🧾 Revert classified: ${revertDecoder.describe(failure)}`);
+        }
+        
+        // A version of this nonce may have been mined while waiting or retrying
+        const mined = await this._checkPinnedNonce(nonceState, error, provider);
+        if (mined) {
+          return mined;
+        }
         
         // Handle specific error cases
-        const handled = await this._handleTransactionError(error, provider);
+        const handled = await this._handleTransactionError(error, provider, nonceState, failure);
         if (handled.shouldReturn) {
           return handled.result;
         }
@@ -201,11 +253,79 @@ export class TransactionExecutor {
     return { success: false, error: new Error(`Provider ${provider._providerName} failed all retries`) };
   }
 
+  /**
+   * Book a mined transaction: its fee counts toward the MAXRUN- run budget, its nonce stops being tracked
+   * and it is recorded in the trade ledger. Called by every sender once the receipt is in
+   * @param {Object} tx - Transaction response
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} providerName - Provider the transaction was sent through
+   */
+  static recordConfirmed(tx, receipt, providerName = null) {
+    if (dryRun.isEnabled() || !receipt) {
+      return;
+    }
+    gasPriceService.recordFeeSpent(receipt);
+    nonceManager.confirm(receipt.from || tx?.from, tx?.nonce);
+    tradeLedger.recordTransaction(tx, receipt, providerName);
+  }
+
+  /**
+   * Pin the call's nonce to a broadcast transaction and start tracking it
+   * @private
+   */
+  static _recordBroadcast(nonceState, tx) {
+    const { wallet, sentTxs } = nonceState;
+    if (wallet && sentTxs.length === 0 && tx.nonce !== nonceState.nonce) {
+      nonceManager.release(wallet.address, nonceState.nonce);
+    }
+    nonceState.nonce = tx.nonce;
+    sentTxs.push(tx);
+    nonceManager.track(tx, nonceState.label);
+  }
+
+  /**
+   * After a failure, return the result if a broadcast version of the nonce was mined successfully;
+   * move to a fresh nonce when it reverted or another transaction took it
+   * @private
+   */
+  static async _checkPinnedNonce(nonceState, error, provider) {
+    const { wallet, sentTxs } = nonceState;
+    const nonceTaken = error.message?.toLowerCase().includes('nonce too low');
+    if (sentTxs.length === 0 && !nonceTaken) {
+      return null;
+    }
+
+    const receipt = sentTxs.length > 0
+      ? await nonceManager.findReceipt(sentTxs.map(sent => sent.hash), provider).catch(() => null)
+      : null;
+
+    if (receipt?.status === 1) {
+      console.log(`🎯 Transaction ${receipt.hash} already confirmed in block ${receipt.blockNumber}`);
+      this.recordConfirmed(sentTxs.find(sent => sent.hash === receipt.hash), receipt, provider._providerName);
+      return { success: true, hash: receipt.hash, receipt, provider: provider._providerName };
+    }
+
+    if (receipt || nonceTaken) {
+      // A reverted version still paid for its gas
+      if (receipt) {
+        gasPriceService.recordFeeSpent(receipt);
+      }
+      if (sentTxs.length > 0) {
+        nonceManager.confirm(sentTxs[0].from, nonceState.nonce);
+      } else if (wallet) {
+        nonceManager.release(wallet.address, nonceState.nonce);
+      }
+      nonceState.nonce = wallet ? await nonceManager.reserve(wallet.address, provider) : null;
+      nonceState.sentTxs = [];
+    }
+    return null;
+  }
+
   /**
    * Handle specific transaction errors
    * @private
    */
-  static async _handleTransactionError(error, provider) {
+  static async _handleTransactionError(error, provider, nonceState, failure = null) {
     // Already known transaction
     if (error.message?.includes('already known')) {
       console.log(`🔄 Transaction already known - likely already in mempool. Waiting for confirmation...`);
@@ -228,8 +348,15 @@ export class TransactionExecutor {
       return { shouldBreak: true };
     }
     
-    // Permanent errors
-    if (this._isPermanentError(error)) {
+    // Permanent errors and reverts no retry can fix (an unsent reservation goes back to the nonce manager)
+    if (this._isPermanentError(error) || failure?.retryable === false) {
+      if (nonceState.wallet && nonceState.sentTxs.length === 0) {
+        nonceManager.release(nonceState.wallet.address, nonceState.nonce);
+      }
+      if (failure) {
+        revertDecoder.record(failure, nonceState.label, error.receipt?.hash || null);
+        error.failure = failure;
+      }
       throw error;
     }
     
@@ -237,7 +364,7 @@ export class TransactionExecutor {
   }
 
   /**
-   * Calculate gas parameters with escalation
+   * Calculate gas parameters with escalation (never above the MAXFEE- cap)
    * @private
    */
   static _calculateGasParams(baseMaxFee, basePriorityFee, attempt) {
@@ -249,21 +376,10 @@ export class TransactionExecutor {
     }
     
     const escalationFactor = Math.pow(TRANSACTION_CONFIG.gasEscalationFactor, attempt);
-    return {
+    return gasPriceService.applyFeeCap({
       maxFeePerGas: baseMaxFee * BigInt(Math.floor(escalationFactor * 100)) / 100n,
       maxPriorityFeePerGas: basePriorityFee * BigInt(Math.floor(escalationFactor * 100)) / 100n
-    };
-  }
-
-  /**
-   * Get random provider order
-   * @private
-   */
-  static _getRandomProviderOrder(providers) {
-    const providerPool = [...providers];
-    const randomIndex = Math.floor(Math.random() * providerPool.length);
-    const randomProvider = providerPool.splice(randomIndex, 1)[0];
-    return [randomProvider, ...providerPool];
+    });
   }
 
   /**
@@ -308,7 +424,6 @@ export class TransactionExecutor {
       'insufficient funds',
       'gas required exceeds',
       'execution reverted',
-      'nonce too low',
       'invalid argument'
     ];
     
@@ -6,6 +6,7 @@ import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import { getRandomProvider, executeTransactionWithReplacementFee } from './config.js';
+import { tradeLedger } from './tradeLedger.js';
 
 // Load configuration from wallets.json database
 const WALLETS_DB_PATH = 'wallets.json';
@@ -191,6 +192,16 @@ class StargateVirtualBridge {
       console.log(`📋 Transaction hash: ${result.txHash}`);
       console.log(`🔗 View on Solscan: https://solscan.io/tx/${result.txHash}`);
       
+      tradeLedger.recordTransfer({
+        type: 'bridge',
+        txHash: result.txHash,
+        wallet: this.solanaWallet.publicKey.toString(),
+        token: 'VIRTUAL',
+        amount,
+        counterparty: toAddress,
+        metadata: { fromChain: 'Solana', toChain: 'Base' }
+      });
+      
       return {
         success: true,
         hash: result.txHash,
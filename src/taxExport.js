@@ -0,0 +1,251 @@
+/**
+ * Tax Export
+ * Builds accountant-ready CSV files (generic, Koinly, CoinTracking) from the trade ledger
+ * Gas and the TRUSTSWAP platform fee are reported separately
+ */
+import { ethers } from 'ethers';
+import { executeRpcWithFallback } from './config.js';
+import { CONTRACTS, ABIS } from './bots/config/constants.js';
+import { tradeLedger } from './tradeLedger.js';
+
+// Supported CSV layouts
+export const EXPORT_FORMATS = ['generic', 'koinly', 'cointracking'];
+
+// Used when calculatePlatformFee cannot be reached (TRUSTSWAP charges 0.25%)
+const DEFAULT_PLATFORM_FEE_RATE = 0.0025;
+
+const HEADERS = {
+  generic: ['Date (UTC)', 'Type', 'Bot', 'Wallet', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+    'Gas Fee', 'Gas Fee Currency', 'Platform Fee', 'Platform Fee Currency', 'Counterparty', 'Tx Hash', 'Provider'],
+  koinly: ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency',
+    'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+  cointracking: ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency',
+    'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID']
+};
+
+/**
+ * TaxExporter - Converts ledger rows into tax/accounting CSV layouts
+ */
+export class TaxExporter {
+  constructor() {
+    this.platformFeeRate = null;
+  }
+
+  /**
+   * Get the TRUSTSWAP platform fee rate from calculatePlatformFee (cached)
+   * @returns {Promise<number>} Fee rate (0.0025 = 0.25%)
+   */
+  async getPlatformFeeRate() {
+    if (this.platformFeeRate !== null) {
+      return this.platformFeeRate;
+    }
+
+    try {
+      const reference = ethers.parseUnits('10000', 18);
+      const fee = await executeRpcWithFallback(async (provider) => {
+        const trustSwap = new ethers.Contract(CONTRACTS.TRUSTSWAP, ABIS.TRUSTSWAP, provider);
+        return await trustSwap.calculatePlatformFee(reference);
+      }, 2, 3000);
+      this.platformFeeRate = Number(fee * 1000000n / reference) / 1000000;
+    } catch (error) {
+      console.log(`⚠️ calculatePlatformFee unavailable (${error.message}), using ${DEFAULT_PLATFORM_FEE_RATE * 100}%`);
+      this.platformFeeRate = DEFAULT_PLATFORM_FEE_RATE;
+    }
+
+    return this.platformFeeRate;
+  }
+
+  /**
+   * Normalise a ledger row into an export entry
+   * Swap amounts are reported net of the platform fee, which gets its own column/row
+   * @param {Object} row - Ledger row
+   * @param {number} feeRate - TRUSTSWAP platform fee rate
+   * @returns {Object|null} Entry, or null if the row has nothing to report
+   */
+  toEntry(row, feeRate) {
+    const entry = {
+      date: new Date(row.timestamp),
+      bot: row.bot_type,
+      wallet: row.wallet,
+      txHash: row.tx_hash || '',
+      provider: row.provider || '',
+      counterparty: row.counterparty || '',
+      gasFee: row.gas_paid_eth || 0,
+      platformFee: 0,
+      platformFeeCurrency: '',
+      sentAmount: 0,
+      sentCurrency: '',
+      receivedAmount: 0,
+      receivedCurrency: ''
+    };
+
+    if (row.type === 'swap' && row.spent_amount > 0 && row.received_amount > 0) {
+      const platformFee = row.method && row.method.endsWith('WithFee') ? row.spent_amount * feeRate : 0;
+      return {
+        ...entry,
+        kind: 'trade',
+        sentAmount: row.spent_amount - platformFee,
+        sentCurrency: row.spent_token,
+        receivedAmount: row.received_amount,
+        receivedCurrency: row.received_token,
+        platformFee,
+        platformFeeCurrency: platformFee > 0 ? row.spent_token : ''
+      };
+    }
+
+    if ((row.type === 'transfer' || row.type === 'bridge') && row.spent_amount > 0) {
+      return {
+        ...entry,
+        kind: row.type,
+        sentAmount: row.spent_amount,
+        sentCurrency: row.spent_token
+      };
+    }
+
+    // Approvals, wraps and swaps without recorded amounts only cost gas
+    if (entry.gasFee > 0) {
+      return { ...entry, kind: 'fee', description: `Gas for ${row.type}${row.method ? ` (${row.method})` : ''}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Format an amount without exponent notation (15 significant digits, up to 18 decimals)
+   * @param {number} amount - Amount
+   * @returns {string} Formatted amount ('' for zero)
+   */
+  formatAmount(amount) {
+    if (!amount) return '';
+    const decimals = Math.min(18, Math.max(0, 15 - Math.ceil(Math.log10(Math.abs(amount)))));
+    const fixed = amount.toFixed(decimals);
+    return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+  }
+
+  /**
+   * Format a date for a CSV layout
+   * @param {Date} date - Date
+   * @param {string} format - Export format
+   * @returns {string} Formatted date
+   */
+  formatDate(date, format) {
+    const iso = date.toISOString();
+    if (format === 'koinly') {
+      return `${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`;
+    }
+    if (format === 'cointracking') {
+      return `${iso.slice(8, 10)}.${iso.slice(5, 7)}.${iso.slice(0, 4)} ${iso.slice(11, 19)}`;
+    }
+    return iso;
+  }
+
+  /**
+   * Describe an entry for Koinly/CoinTracking comment columns
+   * @param {Object} entry - Export entry
+   * @returns {string} Description
+   */
+  describe(entry) {
+    if (entry.kind === 'trade') return `TRUSTBOT ${entry.bot} swap (${entry.wallet})`;
+    if (entry.kind === 'transfer') return `TRUSTBOT transfer ${entry.wallet} → ${entry.counterparty}`;
+    if (entry.kind === 'bridge') return `TRUSTBOT Stargate bridge Solana → Base ${entry.wallet} → ${entry.counterparty}`;
+    return `TRUSTBOT ${entry.bot}: ${entry.description}`;
+  }
+
+  /**
+   * Convert an entry into CSV rows for a layout
+   * Koinly and CoinTracking have a single fee column, so the platform fee becomes its own cost row
+   * @param {Object} entry - Export entry
+   * @param {string} format - Export format
+   * @returns {Array<Array>} CSV rows
+   */
+  toRows(entry, format) {
+    const date = this.formatDate(entry.date, format);
+    const amount = (value) => this.formatAmount(value);
+    const gas = amount(entry.gasFee);
+    const gasCurrency = gas ? 'ETH' : '';
+
+    if (format === 'generic') {
+      const type = entry.kind === 'fee' ? entry.description : entry.kind;
+      return [[date, type, entry.bot, entry.wallet, amount(entry.sentAmount), entry.sentCurrency,
+        amount(entry.receivedAmount), entry.receivedCurrency, gas, gasCurrency,
+        amount(entry.platformFee), entry.platformFeeCurrency, entry.counterparty, entry.txHash, entry.provider]];
+    }
+
+    const rows = [];
+    const isFee = entry.kind === 'fee';
+
+    if (format === 'koinly') {
+      rows.push(isFee
+        ? [date, gas, 'ETH', '', '', '', '', '', '', 'cost', this.describe(entry), entry.txHash]
+        : [date, amount(entry.sentAmount), entry.sentCurrency, amount(entry.receivedAmount), entry.receivedCurrency,
+          gas, gasCurrency, '', '', '', this.describe(entry), entry.txHash]);
+      if (entry.platformFee > 0) {
+        rows.push([date, amount(entry.platformFee), entry.platformFeeCurrency, '', '', '', '', '', '', 'cost',
+          'TRUSTSWAP platform fee', `${entry.txHash}-fee`]);
+      }
+      return rows;
+    }
+
+    const exchange = entry.kind === 'trade' ? 'TRUSTSWAP' : 'Base';
+    if (isFee) {
+      rows.push(['Other Fee', '', '', gas, 'ETH', '', '', exchange, entry.bot, this.describe(entry), date, entry.txHash]);
+    } else if (entry.kind === 'trade') {
+      rows.push(['Trade', amount(entry.receivedAmount), entry.receivedCurrency, amount(entry.sentAmount), entry.sentCurrency,
+        gas, gasCurrency, exchange, entry.bot, this.describe(entry), date, entry.txHash]);
+    } else {
+      rows.push(['Withdrawal', '', '', amount(entry.sentAmount), entry.sentCurrency,
+        gas, gasCurrency, exchange, entry.bot, this.describe(entry), date, entry.txHash]);
+    }
+    if (entry.platformFee > 0) {
+      rows.push(['Other Fee', '', '', amount(entry.platformFee), entry.platformFeeCurrency, '', '', exchange, entry.bot,
+        'TRUSTSWAP platform fee', date, `${entry.txHash}-fee`]);
+    }
+    return rows;
+  }
+
+  /**
+   * Escape a CSV field
+   * @param {*} value - Field value
+   * @returns {string} CSV-safe field
+   */
+  escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Export ledger entries as CSV
+   * @param {Object} filters - Ledger filters
+   * @param {Array<string>} filters.wallets - Wallet addresses (all when empty)
+   * @param {string} filters.from - Start date (inclusive)
+   * @param {string} filters.to - End date (inclusive)
+   * @param {string} format - generic, koinly or cointracking
+   * @returns {Promise<Object>} { csv, entries, format }
+   */
+  async exportTrades(filters = {}, format = 'generic') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format: ${format}. Use ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const rows = tradeLedger.query({ ...filters, limit: null, order: 'asc' });
+    const feeRate = await this.getPlatformFeeRate();
+    const entries = rows.map(row => this.toEntry(row, feeRate)).filter(Boolean);
+
+    const lines = [HEADERS[format], ...entries.flatMap(entry => this.toRows(entry, format))]
+      .map(fields => fields.map(field => this.escapeField(field)).join(','));
+
+    return { csv: `${lines.join('\n')}\n`, entries: entries.length, format };
+  }
+
+  /**
+   * Default export file name
+   * @param {string} format - Export format
+   * @returns {string} File name
+   */
+  getDefaultFileName(format) {
+    return `trustbot-${format}-${new Date().toISOString().slice(0, 10)}.csv`;
+  }
+}
+
+// Create singleton instance
+export const taxExport = new TaxExporter();
@@ -0,0 +1,501 @@
+/**
+ * Ticker Filters
+ * Named presets of market-cap, liquidity, label, age, chain and volume rules for the ticker databases.
+ * The active preset's minimum market cap gates tokens as the ticker scripts fetch them; the full rule set
+ * prunes base.json, eth.json and sol.json through the ticker sync engine (ticker-runAll.mjs, Settings → Ticker Filters).
+ * Presets live in ticker-filters.json next to wallets.json so the GUI and the scripts share them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { tickerSync } from './tickerSync.js';
+
+export const FILTER_CHAINS = ['BASE', 'ETH', 'SOLANA'];
+
+// Written by ticker-financial.mjs, the source of 24h volume
+const FINANCIAL_FILES = {
+  BASE: 'base-financial.json',
+  ETH: 'eth-financial.json',
+  SOLANA: 'sol-financial.json'
+};
+
+export const DEFAULT_RULES = {
+  chains: [],
+  minMcap: null,
+  minLiquidity: null,
+  labelsInclude: [],
+  labelsExclude: [],
+  minAgeDays: null,
+  maxAgeDays: null,
+  minVolume24h: null,
+  keepMissingData: true
+};
+
+// The fixed 50,000 VIRTUAL filter every ticker command used before presets
+const DEFAULT_PRESET = {
+  description: 'Minimum market cap of 50,000 VIRTUAL',
+  rules: { ...DEFAULT_RULES, minMcap: 50000 }
+};
+
+const PAIR_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+const LIQUIDITY_BATCH_SIZE = 5;
+
+/**
+ * TickerFilterEngine - preset store and rule evaluation for the ticker pipeline
+ */
+export class TickerFilterEngine {
+  /**
+   * Get the presets file path (stored beside wallets.json)
+   * @returns {string} Absolute path to ticker-filters.json
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), 'ticker-filters.json');
+  }
+
+  /**
+   * Load all presets
+   * @returns {Object} { activePreset, presets: { name: { description, rules, updatedAt } } }
+   */
+  load() {
+    const presetsPath = this.getPath();
+    let data = {};
+    if (fs.existsSync(presetsPath)) {
+      try {
+        data = JSON.parse(fs.readFileSync(presetsPath, 'utf8'));
+      } catch (error) {
+        console.log(`⚠️ Could not read ticker-filters.json: ${error.message}`);
+      }
+    }
+
+    const presets = {};
+    for (const [name, preset] of Object.entries(data.presets || {})) {
+      try {
+        presets[name] = { ...preset, rules: this.normalizeRules(preset.rules) };
+      } catch (error) {
+        console.log(`⚠️ Ignoring ticker filter preset ${name}: ${error.message}`);
+      }
+    }
+    if (!presets.default) {
+      presets.default = { ...DEFAULT_PRESET, rules: { ...DEFAULT_PRESET.rules } };
+    }
+
+    return {
+      activePreset: presets[data.activePreset] ? data.activePreset : 'default',
+      presets
+    };
+  }
+
+  /**
+   * Write all presets to disk (temp file + rename so readers never see a partial file)
+   * @param {Object} data - { activePreset, presets }
+   */
+  save(data) {
+    const presetsPath = this.getPath();
+    const tempPath = `${presetsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ activePreset: data.activePreset, presets: data.presets }, null, 2));
+    fs.renameSync(tempPath, presetsPath);
+  }
+
+  /**
+   * Get a preset by name
+   * @param {string} name - Preset name (default the active preset)
+   * @returns {Object} { name, description, rules }
+   */
+  getPreset(name = null) {
+    const data = this.load();
+    const presetName = name || data.activePreset;
+    const preset = data.presets[presetName];
+    if (!preset) {
+      throw new Error(`Ticker filter preset "${presetName}" not found (available: ${Object.keys(data.presets).join(', ')})`);
+    }
+    return { name: presetName, ...preset };
+  }
+
+  /**
+   * Create or replace a preset
+   * @param {string} name - Preset name
+   * @param {Object} rules - Filter rules (see DEFAULT_RULES)
+   * @param {string} description - Optional description
+   * @returns {Object} { success, preset, error }
+   */
+  savePreset(name, rules, description = '') {
+    try {
+      const presetName = String(name || '').trim();
+      if (!/^[\w .-]{1,40}$/.test(presetName)) {
+        throw new Error('Preset name must be 1-40 letters, digits, spaces, dots, dashes or underscores');
+      }
+      const data = this.load();
+      data.presets[presetName] = {
+        description: String(description || '').trim(),
+        rules: this.normalizeRules(rules),
+        updatedAt: new Date().toISOString()
+      };
+      this.save(data);
+      return { success: true, preset: { name: presetName, ...data.presets[presetName] } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a preset (the default preset cannot be deleted)
+   * @param {string} name - Preset name
+   * @returns {Object} { success, error }
+   */
+  deletePreset(name) {
+    if (name === 'default') {
+      return { success: false, error: 'The default preset cannot be deleted' };
+    }
+    const data = this.load();
+    if (!data.presets[name]) {
+      return { success: false, error: `Preset "${name}" not found` };
+    }
+    delete data.presets[name];
+    if (data.activePreset === name) {
+      data.activePreset = 'default';
+    }
+    this.save(data);
+    return { success: true, activePreset: data.activePreset };
+  }
+
+  /**
+   * Make a preset the active one (used by the ticker scripts and ticker-runAll.mjs)
+   * @param {string} name - Preset name
+   * @returns {Object} { success, error }
+   */
+  setActivePreset(name) {
+    const data = this.load();
+    if (!data.presets[name]) {
+      return { success: false, error: `Preset "${name}" not found` };
+    }
+    data.activePreset = name;
+    this.save(data);
+    return { success: true, activePreset: name };
+  }
+
+  /**
+   * Validate and normalize a rule set; empty values switch a rule off
+   * @param {Object} rules - Raw rules (from the GUI or the presets file)
+   * @returns {Object} Normalized rules
+   */
+  normalizeRules(rules = {}) {
+    const number = (field) => {
+      const value = rules[field];
+      if (value === undefined || value === null || value === '') return null;
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new Error(`${field} must be a positive number`);
+      }
+      return parsed;
+    };
+    const list = (field) => {
+      const value = rules[field];
+      const items = Array.isArray(value) ? value : String(value || '').split(',');
+      return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+    };
+
+    const chains = list('chains').map(chain => chain.toUpperCase());
+    const unknownChain = chains.find(chain => !FILTER_CHAINS.includes(chain));
+    if (unknownChain) {
+      throw new Error(`Unknown chain ${unknownChain} (use ${FILTER_CHAINS.join(', ')})`);
+    }
+
+    const normalized = {
+      chains,
+      minMcap: number('minMcap'),
+      minLiquidity: number('minLiquidity'),
+      labelsInclude: list('labelsInclude'),
+      labelsExclude: list('labelsExclude'),
+      minAgeDays: number('minAgeDays'),
+      maxAgeDays: number('maxAgeDays'),
+      minVolume24h: number('minVolume24h'),
+      keepMissingData: rules.keepMissingData !== false && rules.keepMissingData !== 'false'
+    };
+    if (normalized.minAgeDays !== null && normalized.maxAgeDays !== null && normalized.minAgeDays > normalized.maxAgeDays) {
+      throw new Error('minAgeDays is larger than maxAgeDays');
+    }
+    return normalized;
+  }
+
+  /**
+   * Summarize a rule set in one line
+   * @param {Object} rules - Normalized rules
+   * @returns {string} e.g. "mcap ≥ 50,000 VIRTUAL · labels: Genesis"
+   */
+  describeRules(rules) {
+    const amount = value => Number(value).toLocaleString('en-US');
+    const parts = [];
+    if (rules.chains.length > 0) parts.push(`chains: ${rules.chains.join(', ')}`);
+    if (rules.minMcap !== null) parts.push(`mcap ≥ ${amount(rules.minMcap)} VIRTUAL`);
+    if (rules.minLiquidity !== null) parts.push(`liquidity ≥ ${amount(rules.minLiquidity)} VIRTUAL`);
+    if (rules.labelsInclude.length > 0) parts.push(`labels: ${rules.labelsInclude.join(', ')}`);
+    if (rules.labelsExclude.length > 0) parts.push(`not: ${rules.labelsExclude.join(', ')}`);
+    if (rules.minAgeDays !== null) parts.push(`age ≥ ${rules.minAgeDays}d`);
+    if (rules.maxAgeDays !== null) parts.push(`age ≤ ${rules.maxAgeDays}d`);
+    if (rules.minVolume24h !== null) parts.push(`24h volume ≥ ${amount(rules.minVolume24h)}`);
+    if (parts.length === 0) return 'no rules (keeps every token)';
+    return parts.join(' · ') + (rules.keepMissingData ? '' : ' · drops tokens with missing data');
+  }
+
+  /**
+   * Chains a preset applies to; the chains rule limits which databases it touches
+   * @param {Object} rules - Normalized rules
+   * @param {Array} requested - Chains asked for (default all)
+   * @returns {Array} Chain names
+   */
+  getChains(rules, requested) {
+    return (requested || FILTER_CHAINS)
+      .map(chain => String(chain).toUpperCase())
+      .filter(chain => rules.chains.length === 0 || rules.chains.includes(chain));
+  }
+
+  /**
+   * Minimum market cap the ticker scripts apply while fetching (the preset's minMcap)
+   * @param {string} chain - Chain being fetched (BASE, ETH, SOLANA)
+   * @param {string} presetName - Preset to use (default the active preset)
+   * @returns {number} Threshold in VIRTUAL (0 when the preset has no market cap rule or skips the chain)
+   */
+  getMarketCapThreshold(chain = null, presetName = null) {
+    try {
+      const { rules } = this.getPreset(presetName);
+      if (chain && this.getChains(rules, [chain]).length === 0) {
+        return 0;
+      }
+      return rules.minMcap ?? 0;
+    } catch {
+      return DEFAULT_PRESET.rules.minMcap;
+    }
+  }
+
+  /**
+   * Check one token against the rules
+   * @param {Object} token - Ticker database record
+   * @param {Object} rules - Normalized rules
+   * @param {Object} context - { financial: Map, liquidity: Map, now }
+   * @returns {Array} Reasons the token fails ([] when it passes)
+   */
+  check(token, rules, context = {}) {
+    const reasons = [];
+    const key = String(token.tokenAddress).toLowerCase();
+    const financial = context.financial?.get(key) || {};
+    const amount = value => Number(value).toLocaleString('en-US', { maximumFractionDigits: 0 });
+    // A rule without data for this token passes or fails by keepMissingData
+    const missing = (label) => {
+      if (!rules.keepMissingData) reasons.push(`no ${label} data`);
+    };
+
+    if (rules.minMcap !== null) {
+      const mcap = token.mcapInVirtual ?? financial.mcapInVirtual;
+      if (mcap === undefined || mcap === null) missing('market cap');
+      else if (mcap < rules.minMcap) reasons.push(`mcap ${amount(mcap)} < ${amount(rules.minMcap)}`);
+    }
+
+    if (rules.minLiquidity !== null) {
+      const liquidity = context.liquidity?.get(key);
+      if (liquidity === undefined || liquidity === null) missing('liquidity');
+      else if (liquidity < rules.minLiquidity) reasons.push(`liquidity ${amount(liquidity)} < ${amount(rules.minLiquidity)}`);
+    }
+
+    if (rules.labelsInclude.length > 0 || rules.labelsExclude.length > 0) {
+      const labels = [token.label, financial.category, financial.role]
+        .filter(Boolean)
+        .map(label => String(label).toUpperCase());
+      if (rules.labelsInclude.length > 0) {
+        if (labels.length === 0) missing('label');
+        else if (!rules.labelsInclude.some(label => labels.includes(label.toUpperCase()))) {
+          reasons.push(`label ${token.label || labels[0]} not included`);
+        }
+      }
+      const excluded = rules.labelsExclude.find(label => labels.includes(label.toUpperCase()));
+      if (excluded) reasons.push(`label ${excluded} excluded`);
+    }
+
+    if (rules.minAgeDays !== null || rules.maxAgeDays !== null) {
+      const created = Date.parse(token.createdAt || financial.createdAt || '');
+      if (!Number.isFinite(created)) {
+        missing('age');
+      } else {
+        const ageDays = ((context.now || Date.now()) - created) / 86400000;
+        if (rules.minAgeDays !== null && ageDays < rules.minAgeDays) reasons.push(`age ${Math.floor(ageDays)}d < ${rules.minAgeDays}d`);
+        if (rules.maxAgeDays !== null && ageDays > rules.maxAgeDays) reasons.push(`age ${Math.floor(ageDays)}d > ${rules.maxAgeDays}d`);
+      }
+    }
+
+    if (rules.minVolume24h !== null) {
+      const volume = financial.volume24h;
+      if (volume === undefined || volume === null) missing('24h volume');
+      else if (Number(volume) < rules.minVolume24h) reasons.push(`24h volume ${amount(volume)} < ${amount(rules.minVolume24h)}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Evaluate a list of ticker records against a rule set
+   * @param {Array} records - Ticker database records
+   * @param {Object} rules - Normalized rules
+   * @param {Object} options - { chain, dir } - dir holds the *-financial.json files
+   * @returns {Promise<Object>} { kept, pruned: [{ symbol, tokenAddress, reasons }], stats }
+   */
+  async evaluate(records, rules, options = {}) {
+    const chain = options.chain ? String(options.chain).toUpperCase() : null;
+    const context = {
+      chain,
+      now: Date.now(),
+      financial: rules.minVolume24h !== null || rules.labelsInclude.length > 0 || rules.labelsExclude.length > 0 || rules.minAgeDays !== null || rules.maxAgeDays !== null
+        ? this._loadFinancial(chain, options.dir)
+        : new Map(),
+      liquidity: rules.minLiquidity !== null && chain === 'BASE'
+        ? await this._readLiquidity(records)
+        : new Map()
+    };
+
+    const kept = [];
+    const pruned = [];
+    const byReason = {};
+    for (const token of records) {
+      const reasons = this.check(token, rules, context);
+      if (reasons.length === 0) {
+        kept.push(token);
+        continue;
+      }
+      pruned.push({ symbol: token.symbol, tokenAddress: token.tokenAddress, reasons });
+      for (const reason of reasons) {
+        const rule = reason.split(' ')[0] === 'no' ? reason : reason.split(' ')[0];
+        byReason[rule] = (byReason[rule] || 0) + 1;
+      }
+    }
+
+    return {
+      kept,
+      pruned,
+      stats: { chain, total: records.length, kept: kept.length, pruned: pruned.length, byReason }
+    };
+  }
+
+  /**
+   * Show what a preset would prune from each ticker database without writing anything
+   * @param {Object} options - { preset, chains, sync } - sync is the TickerSync instance that owns the files
+   * @returns {Promise<Object>} { success, preset, summary, chains: [{ chain, file, total, kept, pruned, byReason, prunedTokens }] }
+   */
+  async preview(options = {}) {
+    try {
+      const preset = this.getPreset(options.preset);
+      const sync = options.sync || tickerSync;
+      const chains = [];
+      for (const chain of this.getChains(preset.rules, options.chains)) {
+        const records = sync.readRecords(chain);
+        const { pruned, stats } = await this.evaluate(records, preset.rules, {
+          chain,
+          dir: path.dirname(sync.getPaths(chain).file)
+        });
+        chains.push({ ...stats, chain, file: sync.getDataset(chain).file, prunedTokens: pruned });
+      }
+      return { success: true, preset, summary: this.describeRules(preset.rules), chains };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Prune the ticker databases with a preset (staged, validated and logged by the sync engine, so it can be rolled back)
+   * @param {Object} options - { preset, chains, sync }
+   * @returns {Promise<Object>} { success, preset, results: { chain: syncResult }, error }
+   */
+  async apply(options = {}) {
+    let preset;
+    try {
+      preset = this.getPreset(options.preset);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const sync = options.sync || tickerSync;
+    const results = {};
+    for (const chain of this.getChains(preset.rules, options.chains)) {
+      results[chain] = await sync.sync(chain, async ({ current }) => {
+        const { kept, pruned } = await this.evaluate(current, preset.rules, {
+          chain,
+          dir: path.dirname(sync.getPaths(chain).file)
+        });
+        if (pruned.length > 0) {
+          console.log(`🧹 ${chain}: Preset "${preset.name}" prunes ${pruned.length} of ${current.length} tokens`);
+        }
+        return kept;
+      }, { allowShrink: true, source: `filter preset ${preset.name}` });
+    }
+
+    const failed = Object.entries(results).find(([, result]) => !result.success);
+    return {
+      success: !failed,
+      preset,
+      results,
+      error: failed ? `${failed[0]}: ${failed[1].error}` : undefined
+    };
+  }
+
+  /**
+   * Index ticker-financial.mjs output by token address
+   * @private
+   */
+  _loadFinancial(chain, dir) {
+    const financial = new Map();
+    const file = FINANCIAL_FILES[chain];
+    if (!file) return financial;
+
+    const filePath = path.join(dir || process.cwd(), file);
+    try {
+      for (const token of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+        if (token && token.tokenAddress) {
+          financial.set(token.tokenAddress.toLowerCase(), token);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`⚠️ Could not read ${file}: ${error.message}`);
+      }
+    }
+    return financial;
+  }
+
+  /**
+   * Read the VIRTUAL side of each token's V2 pool on-chain
+   * @private
+   */
+  async _readLiquidity(records) {
+    const liquidity = new Map();
+    // config.js needs wallets.json, so it is only loaded when a preset actually filters on liquidity
+    const { executeRpcWithFallback, VIRTUAL_TOKEN_ADDRESS } = await import('./config.js');
+    const virtual = VIRTUAL_TOKEN_ADDRESS.toLowerCase();
+    const pools = records.filter(token => token.lpAddress && ethers.isAddress(token.lpAddress));
+
+    console.log(`💧 Reading VIRTUAL liquidity of ${pools.length} pools...`);
+    for (let i = 0; i < pools.length; i += LIQUIDITY_BATCH_SIZE) {
+      await Promise.all(pools.slice(i, i + LIQUIDITY_BATCH_SIZE).map(async (token) => {
+        try {
+          const [token0, token1, reserves] = await executeRpcWithFallback(async (provider) => {
+            const pair = new ethers.Contract(token.lpAddress, PAIR_ABI, provider);
+            return await Promise.all([pair.token0(), pair.token1(), pair.getReserves()]);
+          }, 2, 5000);
+          if (token0.toLowerCase() === virtual) {
+            liquidity.set(token.tokenAddress.toLowerCase(), Number(ethers.formatEther(reserves.reserve0)));
+          } else if (token1.toLowerCase() === virtual) {
+            liquidity.set(token.tokenAddress.toLowerCase(), Number(ethers.formatEther(reserves.reserve1)));
+          }
+        } catch (error) {
+          console.log(`   ⚠️ ${token.symbol}: Could not read pool ${token.lpAddress} (${error.message})`);
+        }
+      }));
+    }
+    return liquidity;
+  }
+}
+
+export const tickerFilters = new TickerFilterEngine();
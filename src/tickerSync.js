@@ -0,0 +1,526 @@
+/**
+ * Ticker Sync
+ * Staged, validated and reversible updates of the ticker databases (base.json, eth.json, sol.json, bid.json)
+ * written by ticker-fetchAll.mjs, ticker-updateNew.mjs and GenesisBid.js.
+ *
+ * A sync collects the new records, writes them to a staging file, validates the schema and record counts
+ * and only then swaps the staging file over the live one. The live file before the swap is kept as the
+ * previous snapshot for rollback, and every sync appends its added/updated/removed tokens to a changelog.
+ * State lives in ticker-sync/ beside the database files:
+ *   ticker-sync/changelog.jsonl   - one JSON line per sync or rollback
+ *   ticker-sync/provenance.json   - per token: which API it came from and which sync added/changed it
+ *   ticker-sync/<file>.previous   - the snapshot a rollback restores
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+export const TICKER_DATASETS = {
+  BASE: { file: 'base.json', addressPattern: EVM_ADDRESS, numericFields: ['mcapInVirtual'], maxDropRatio: 0.1 },
+  ETH: { file: 'eth.json', addressPattern: EVM_ADDRESS, numericFields: ['mcapInVirtual'], maxDropRatio: 0.1 },
+  SOLANA: { file: 'sol.json', addressPattern: SOLANA_ADDRESS, numericFields: ['mcapInVirtual'], maxDropRatio: 0.1 },
+  // creator.bid only lists its top agents, so tokens legitimately fall out of bid.json
+  BID: { file: 'bid.json', addressPattern: EVM_ADDRESS, numericFields: ['mcapInETH'], maxDropRatio: 0.5 }
+};
+
+// API endpoints; override them to point the ticker scripts at a local fixture server
+export const TICKER_APIS = {
+  VIRTUALS: process.env.VIRTUALS_API_URL || 'https://api.virtuals.io/api/virtuals',
+  CREATOR_BID: process.env.CREATOR_BID_API_URL || 'https://creator.bid/api/agents'
+};
+
+// Error codes of a missing network rather than a broken API
+const OFFLINE_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+const STATE_DIR = 'ticker-sync';
+
+/**
+ * Check whether an error means the API could not be reached at all
+ * @param {Error} error - Error thrown by the fetcher
+ * @returns {boolean} True for DNS/connection failures
+ */
+export function isOfflineError(error) {
+  return Boolean(error) && (OFFLINE_CODES.has(error.code) || OFFLINE_CODES.has(error.errno) || error.offline === true);
+}
+
+/**
+ * TickerSync - sync engine shared by the ticker scripts
+ * HTTP goes through a pluggable fetcher with the fetch() signature, so a local fixture server or a stub
+ * can stand in for virtuals.io and creator.bid
+ */
+export class TickerSync {
+  /**
+   * @param {Object} options - { fetcher, dir, offline }
+   *   fetcher: fetch-compatible function (default node-fetch)
+   *   dir: directory holding the database files (default the working directory, like the ticker scripts)
+   *   offline: never call the fetcher (default TICKER_SYNC_OFFLINE=1)
+   */
+  constructor(options = {}) {
+    this.fetcher = options.fetcher || fetch;
+    this.dir = options.dir || null;
+    this.offline = options.offline ?? process.env.TICKER_SYNC_OFFLINE === '1';
+  }
+
+  /**
+   * Replace the HTTP fetcher
+   * @param {Function} fetcher - fetch-compatible function
+   */
+  setFetcher(fetcher) {
+    this.fetcher = fetcher || fetch;
+  }
+
+  /**
+   * Resolve a dataset name (BASE, ETH, SOLANA, BID) or file name to its definition
+   * @param {string} dataset - Dataset name or file name
+   * @returns {Object} Dataset definition with its name
+   */
+  getDataset(dataset) {
+    const key = String(dataset || '').toUpperCase();
+    const name = TICKER_DATASETS[key]
+      ? key
+      : Object.keys(TICKER_DATASETS).find(candidate => TICKER_DATASETS[candidate].file === dataset);
+    if (!name) {
+      throw new Error(`Unknown ticker dataset ${dataset} (use ${Object.keys(TICKER_DATASETS).join(', ')})`);
+    }
+    return { name, ...TICKER_DATASETS[name] };
+  }
+
+  /**
+   * Get the live, staging and snapshot paths of a dataset
+   * @param {string} dataset - Dataset name or file name
+   * @returns {Object} { file, staging, previous, stateDir }
+   */
+  getPaths(dataset) {
+    const { file } = this.getDataset(dataset);
+    const stateDir = this._stateDir();
+    return {
+      file: path.join(path.dirname(stateDir), file),
+      staging: path.join(stateDir, `${file}.${process.pid}.staging`),
+      previous: path.join(stateDir, `${file}.previous`),
+      stateDir
+    };
+  }
+
+  /**
+   * Fetch and parse a JSON API response through the configured fetcher
+   * @param {string|URL} url - Request URL
+   * @returns {Promise<Object>} Parsed body
+   */
+  async fetchJson(url) {
+    if (this.offline) {
+      const error = new Error('Offline mode - network access disabled');
+      error.offline = true;
+      throw error;
+    }
+
+    const response = await this.fetcher(url);
+    if (!response.ok) {
+      const { host, pathname } = new URL(String(url));
+      throw new Error(`HTTP error! status: ${response.status} (${host}${pathname})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Read the records of a dataset
+   * @param {string} dataset - Dataset name or file name
+   * @param {string} filePath - File to read (default the live file)
+   * @returns {Array} Records ([] when the file does not exist)
+   */
+  readRecords(dataset, filePath = null) {
+    const target = filePath || this.getPaths(dataset).file;
+    if (!fs.existsSync(target)) {
+      return [];
+    }
+    const records = JSON.parse(fs.readFileSync(target, 'utf8'));
+    if (!Array.isArray(records)) {
+      throw new Error(`${path.basename(target)} is not a JSON array`);
+    }
+    return records;
+  }
+
+  /**
+   * Validate records against the dataset schema and the record count of the live file
+   * @param {string} dataset - Dataset name or file name
+   * @param {Array} records - Candidate records
+   * @param {Array} current - Records they would replace
+   * @param {Object} options - { allowShrink }
+   * @returns {Object} { valid, errors }
+   */
+  validate(dataset, records, current = [], options = {}) {
+    const definition = this.getDataset(dataset);
+    const errors = [];
+
+    if (!Array.isArray(records)) {
+      return { valid: false, errors: ['records are not an array'] };
+    }
+
+    const seen = new Set();
+    records.forEach((record, index) => {
+      const label = `#${index} ${record && record.symbol ? record.symbol : ''}`.trim();
+      if (!record || typeof record !== 'object') {
+        errors.push(`${label}: not an object`);
+        return;
+      }
+      if (typeof record.symbol !== 'string' || record.symbol.trim() === '') {
+        errors.push(`${label}: missing symbol`);
+      }
+      if (typeof record.tokenAddress !== 'string' || !definition.addressPattern.test(record.tokenAddress)) {
+        errors.push(`${label}: invalid tokenAddress ${record.tokenAddress}`);
+      } else {
+        const key = record.tokenAddress.toLowerCase();
+        if (seen.has(key)) {
+          errors.push(`${label}: duplicate tokenAddress ${record.tokenAddress}`);
+        }
+        seen.add(key);
+      }
+      if (record.lpAddress && !definition.addressPattern.test(record.lpAddress)) {
+        errors.push(`${label}: invalid lpAddress ${record.lpAddress}`);
+      }
+      for (const field of definition.numericFields) {
+        if (record[field] !== undefined && record[field] !== null && !Number.isFinite(record[field])) {
+          errors.push(`${label}: ${field} is not a number`);
+        }
+      }
+    });
+
+    if (!options.allowShrink && current.length > 0) {
+      if (records.length === 0) {
+        errors.push(`would replace ${current.length} records with an empty list`);
+      } else if (records.length < current.length * (1 - definition.maxDropRatio)) {
+        errors.push(`record count would drop from ${current.length} to ${records.length} (more than ${definition.maxDropRatio * 100}%)`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Compare two record lists by token address
+   * @param {Array} before - Previous records
+   * @param {Array} after - New records
+   * @returns {Object} { added, updated, removed } - updated entries list their changed fields
+   */
+  diff(before, after) {
+    const summary = record => ({ symbol: record.symbol, tokenAddress: record.tokenAddress });
+    const beforeMap = new Map(before.map(record => [String(record.tokenAddress).toLowerCase(), record]));
+    const afterKeys = new Set();
+    const added = [];
+    const updated = [];
+
+    for (const record of after) {
+      const key = String(record.tokenAddress).toLowerCase();
+      afterKeys.add(key);
+      const old = beforeMap.get(key);
+      if (!old) {
+        added.push(summary(record));
+        continue;
+      }
+      const fields = [...new Set([...Object.keys(old), ...Object.keys(record)])]
+        .filter(field => JSON.stringify(old[field]) !== JSON.stringify(record[field]));
+      if (fields.length > 0) {
+        updated.push({ ...summary(record), fields });
+      }
+    }
+
+    const removed = before
+      .filter(record => !afterKeys.has(String(record.tokenAddress).toLowerCase()))
+      .map(summary);
+
+    return { added, updated, removed };
+  }
+
+  /**
+   * Run one sync: collect the new records, validate them and swap them in atomically
+   * A fetch failure, an invalid result or a suspicious drop in records leaves the live file untouched.
+   * @param {string} dataset - Dataset name or file name
+   * @param {Function} collect - async ({ current, fetchJson }) => records
+   * @param {Object} options - { allowShrink, source } - source labels syncs that fetch nothing (default the fetched APIs)
+   * @returns {Promise<Object>} { success, offline, unchanged, error, errors, syncId, before, after, added, updated, removed }
+   */
+  async sync(dataset, collect, options = {}) {
+    const definition = this.getDataset(dataset);
+    const paths = this.getPaths(definition.name);
+    const startedAt = new Date().toISOString();
+    const syncId = `${Date.now().toString(36)}-${process.pid}`;
+    const sources = new Set();
+
+    let current = [];
+    try {
+      current = this.readRecords(definition.name);
+    } catch (error) {
+      console.log(`⚠️ ${definition.file} is unreadable (${error.message}) - a valid sync will replace it`);
+    }
+
+    if (this.offline) {
+      console.log(`📴 Offline - keeping ${definition.file} (${current.length} tokens)`);
+      return { success: true, offline: true, unchanged: true, before: current.length, after: current.length };
+    }
+
+    const fetchJson = async (url) => {
+      const parsed = new URL(String(url));
+      sources.add(`${parsed.host}${parsed.pathname}`);
+      return this.fetchJson(url);
+    };
+
+    let records;
+    try {
+      records = await collect({ current, fetchJson });
+    } catch (error) {
+      if (isOfflineError(error)) {
+        console.log(`📴 ${definition.name}: API unreachable (${error.code || error.message}) - keeping ${definition.file} (${current.length} tokens)`);
+        return { success: false, offline: true, unchanged: true, error: error.message, before: current.length, after: current.length };
+      }
+      console.log(`❌ ${definition.name}: Fetch failed (${error.message}) - keeping ${definition.file}`);
+      return { success: false, unchanged: true, error: error.message, before: current.length, after: current.length };
+    }
+
+    const { valid, errors } = this.validate(definition.name, records, current, options);
+    if (!valid) {
+      console.log(`❌ ${definition.name}: Sync rejected - ${errors.length} problem(s), keeping ${definition.file}`);
+      errors.slice(0, 10).forEach(problem => console.log(`   • ${problem}`));
+      return { success: false, unchanged: true, error: errors[0], errors, before: current.length, after: current.length };
+    }
+
+    const changes = this.diff(current, records);
+    const counts = { before: current.length, after: records.length };
+    if (changes.added.length + changes.updated.length + changes.removed.length === 0 && fs.existsSync(paths.file)) {
+      console.log(`✅ ${definition.name}: No changes - ${definition.file} already up to date`);
+      return { success: true, unchanged: true, syncId, ...counts, added: [], updated: [], removed: [] };
+    }
+
+    try {
+      this._swap(definition, paths, records);
+    } catch (error) {
+      console.log(`❌ ${definition.name}: Could not write ${definition.file}: ${error.message}`);
+      return { success: false, unchanged: true, error: error.message, ...counts };
+    }
+
+    const source = options.source || [...sources].join(', ') || 'local';
+    this._appendChangelog(paths, {
+      id: syncId,
+      action: 'sync',
+      dataset: definition.name,
+      file: definition.file,
+      source,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      ...counts,
+      ...changes
+    });
+    this._recordProvenance(definition, paths, current, changes, { syncId, source, at: startedAt });
+
+    console.log(`💾 ${definition.name}: ${definition.file} ${counts.before} → ${counts.after} tokens (+${changes.added.length} ~${changes.updated.length} -${changes.removed.length})`);
+    return { success: true, syncId, ...counts, ...changes };
+  }
+
+  /**
+   * Restore the snapshot taken before the last sync (the replaced file becomes the new snapshot, so a rollback can be undone)
+   * @param {string} dataset - Dataset name or file name
+   * @returns {Object} { success, error, before, after, added, updated, removed }
+   */
+  rollback(dataset) {
+    const definition = this.getDataset(dataset);
+    const paths = this.getPaths(definition.name);
+    if (!fs.existsSync(paths.previous)) {
+      return { success: false, error: `No previous snapshot of ${definition.file}` };
+    }
+
+    let snapshot;
+    let current = [];
+    try {
+      snapshot = this.readRecords(definition.name, paths.previous);
+      current = this.readRecords(definition.name);
+    } catch (error) {
+      if (!snapshot) {
+        return { success: false, error: `Previous snapshot is unreadable: ${error.message}` };
+      }
+    }
+
+    const { valid, errors } = this.validate(definition.name, snapshot, current, { allowShrink: true });
+    if (!valid) {
+      return { success: false, error: `Previous snapshot is invalid: ${errors[0]}`, errors };
+    }
+
+    try {
+      this._swap(definition, paths, snapshot);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const changes = this.diff(current, snapshot);
+    const at = new Date().toISOString();
+    const syncId = `${Date.now().toString(36)}-${process.pid}`;
+    this._appendChangelog(paths, {
+      id: syncId,
+      action: 'rollback',
+      dataset: definition.name,
+      file: definition.file,
+      source: 'rollback',
+      startedAt: at,
+      finishedAt: at,
+      before: current.length,
+      after: snapshot.length,
+      ...changes
+    });
+    this._recordProvenance(definition, paths, current, changes, { syncId, source: 'rollback', at });
+
+    return { success: true, before: current.length, after: snapshot.length, ...changes };
+  }
+
+  /**
+   * Read the changelog, newest first
+   * @param {Object} options - { dataset, limit }
+   * @returns {Array} Changelog entries
+   */
+  history(options = {}) {
+    const logPath = path.join(this._stateDir(), 'changelog.jsonl');
+    if (!fs.existsSync(logPath)) {
+      return [];
+    }
+
+    const dataset = options.dataset ? this.getDataset(options.dataset).name : null;
+    const entries = [];
+    for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!dataset || entry.dataset === dataset) {
+          entries.push(entry);
+        }
+      } catch {
+        // A torn last line from an interrupted append
+      }
+    }
+    return entries.reverse().slice(0, options.limit || 20);
+  }
+
+  /**
+   * Look up where a token entry came from
+   * @param {string} dataset - Dataset name or file name
+   * @param {string} tokenAddress - Token address
+   * @returns {Object|null} { source, addedBy, addedAt, updatedBy, updatedAt, fields }
+   */
+  getProvenance(dataset, tokenAddress) {
+    const definition = this.getDataset(dataset);
+    const provenance = this._readProvenance(this.getPaths(definition.name));
+    return (provenance[definition.file] || {})[String(tokenAddress).toLowerCase()] || null;
+  }
+
+  /**
+   * Summarize every dataset: live record count, snapshot and last sync
+   * @returns {Array} [{ dataset, file, records, hasSnapshot, lastSync }]
+   */
+  status() {
+    return Object.keys(TICKER_DATASETS).map(name => {
+      const paths = this.getPaths(name);
+      let records = null;
+      try {
+        records = fs.existsSync(paths.file) ? this.readRecords(name).length : null;
+      } catch {
+        records = 'unreadable';
+      }
+      return {
+        dataset: name,
+        file: TICKER_DATASETS[name].file,
+        records,
+        hasSnapshot: fs.existsSync(paths.previous),
+        lastSync: this.history({ dataset: name, limit: 1 })[0] || null
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _stateDir() {
+    return path.join(path.resolve(this.dir || process.cwd()), STATE_DIR);
+  }
+
+  /**
+   * Write records to the staging file, re-validate what landed on disk, snapshot the live file and rename over it
+   * @private
+   */
+  _swap(definition, paths, records) {
+    fs.mkdirSync(paths.stateDir, { recursive: true });
+    fs.writeFileSync(paths.staging, JSON.stringify(records, null, 2));
+
+    try {
+      const staged = this.readRecords(definition.name, paths.staging);
+      if (staged.length !== records.length) {
+        throw new Error(`staging file holds ${staged.length} of ${records.length} records`);
+      }
+      if (fs.existsSync(paths.file)) {
+        fs.copyFileSync(paths.file, paths.previous);
+      }
+      fs.renameSync(paths.staging, paths.file);
+    } catch (error) {
+      try { fs.unlinkSync(paths.staging); } catch {}
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _appendChangelog(paths, entry) {
+    try {
+      fs.appendFileSync(path.join(paths.stateDir, 'changelog.jsonl'), `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.log(`⚠️ Could not write ticker sync changelog: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readProvenance(paths) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(paths.stateDir, 'provenance.json'), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Record the source and sync of every added or updated entry; entries from before the first sync are marked as such
+   * @private
+   */
+  _recordProvenance(definition, paths, previous, changes, { syncId, source, at }) {
+    const provenance = this._readProvenance(paths);
+    const entries = provenance[definition.file] || {};
+
+    for (const record of previous) {
+      const key = String(record.tokenAddress).toLowerCase();
+      if (!entries[key]) {
+        entries[key] = { source: 'existing file (before sync history)', addedBy: null, addedAt: null };
+      }
+    }
+    for (const token of changes.added) {
+      entries[token.tokenAddress.toLowerCase()] = { source, addedBy: syncId, addedAt: at };
+    }
+    for (const token of changes.updated) {
+      const key = token.tokenAddress.toLowerCase();
+      entries[key] = { ...entries[key], updatedBy: syncId, updatedAt: at, updatedFrom: source, fields: token.fields };
+    }
+    for (const token of changes.removed) {
+      delete entries[token.tokenAddress.toLowerCase()];
+    }
+
+    provenance[definition.file] = entries;
+    const provenancePath = path.join(paths.stateDir, 'provenance.json');
+    const tempPath = `${provenancePath}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(provenance, null, 2));
+      fs.renameSync(tempPath, provenancePath);
+    } catch (error) {
+      console.log(`⚠️ Could not write ticker sync provenance: ${error.message}`);
+    }
+  }
+}
+
+export const tickerSync = new TickerSync();
@@ -0,0 +1,955 @@
+/**
+ * Token Registry
+ * One indexed token store (token-registry.json beside wallets.json) shared by every bot and the GUI.
+ * It imports base.json, bid.json, TokenList.json and detected-tokens.json, which the ticker scripts
+ * and scanners keep writing, and re-imports a file whenever it changes on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { log } from './utils.js';
+import { runTickerSearchFallback } from './utils/externalCommands.js';
+import { withFileLock } from './utils/fileLock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REGISTRY_FILE = 'token-registry.json';
+// Version 2 added createdAt; older registries re-import every file once to pick it up
+const REGISTRY_VERSION = 2;
+
+// Pool keys match VENUES in bots/services/dexVenues.js
+export const REGISTRY_VENUES = {
+  UNISWAP_V2: 'UNISWAP_V2',
+  UNISWAP_V3: 'UNISWAP_V3',
+  AERODROME: 'AERODROME'
+};
+
+export const TOKEN_SOURCES = {
+  BASE: 'base',
+  BID: 'bid',
+  TOKEN_LIST: 'tokenList',
+  DETECTED: 'detected',
+  CONTRACT: 'contract'
+};
+
+// How often a process re-checks token-registry.json and the legacy files for changes
+const SYNC_INTERVAL_MS = 5000;
+
+/**
+ * Legacy token files and how their entries map onto the registry schema.
+ * base.json and TokenList.json pools are Uniswap V2 VIRTUAL pairs, bid.json pools are WETH pairs.
+ */
+const LEGACY_SOURCES = [
+  {
+    file: 'base.json',
+    source: TOKEN_SOURCES.BASE,
+    read: (data) => (Array.isArray(data) ? data : []).map(token => ({
+      address: token.tokenAddress,
+      symbol: token.symbol,
+      pools: token.lpAddress ? { [REGISTRY_VENUES.UNISWAP_V2]: { VIRTUAL: token.lpAddress } } : {},
+      labels: token.label ? [token.label] : [],
+      marketCap: token.mcapInVirtual ? { VIRTUAL: token.mcapInVirtual } : {},
+      // Set by ticker-deduplicator.mjs on tickers shared by several contracts
+      liquidity: token.liquidityVirtual !== undefined ? { VIRTUAL: token.liquidityVirtual } : {},
+      // Pool/token creation time from the Virtuals API, written by the ticker fetch scripts
+      createdAt: token.createdAt || token.lpCreatedAt || null
+    }))
+  },
+  {
+    file: 'bid.json',
+    source: TOKEN_SOURCES.BID,
+    read: (data) => (Array.isArray(data) ? data : []).map(token => ({
+      address: token.tokenAddress,
+      symbol: token.symbol,
+      pools: token.lpAddress ? { [REGISTRY_VENUES.UNISWAP_V2]: { WETH: token.lpAddress } } : {},
+      labels: [],
+      marketCap: token.mcapInETH ? { ETH: token.mcapInETH } : {},
+      createdAt: token.createdAt || null
+    }))
+  },
+  {
+    file: 'TokenList.json',
+    source: TOKEN_SOURCES.TOKEN_LIST,
+    read: (data) => Object.values(data?.tokens || {}).map(token => ({
+      address: token.contractAddress,
+      symbol: token.ticker,
+      name: token.name,
+      decimals: token.decimals,
+      pools: token.poolAddress ? { [REGISTRY_VENUES.UNISWAP_V2]: { VIRTUAL: token.poolAddress } } : {},
+      labels: token.categories || [],
+      marketCap: token.marketCap ? { USD: token.marketCap } : {},
+      firstSeen: token.dateAdded
+    }))
+  },
+  {
+    file: 'detected-tokens.json',
+    source: TOKEN_SOURCES.DETECTED,
+    // database.js writes { tokens }, the balance checker writes { wallets: { B1: { balances } } } keyed by address
+    read: (data) => [
+      ...Object.values(data?.tokens || {}).map(token => ({
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        pools: token.poolAddress ? { [REGISTRY_VENUES.UNISWAP_V2]: { VIRTUAL: token.poolAddress } } : {},
+        firstSeen: token.addedAt
+      })),
+      ...Object.values(data?.wallets || {}).flatMap(wallet =>
+        Object.entries(wallet.balances || {}).map(([address, token]) => ({
+          address,
+          symbol: token.symbol,
+          name: token.name,
+          decimals: token.decimals,
+          firstSeen: data.lastUpdated
+        }))
+      )
+    ]
+  }
+];
+
+/**
+ * Split a token argument into a symbol and an optional disambiguator
+ * SYMBOL@0xabc… selects the candidate whose address starts with the prefix, SYMBOL@2 the second candidate.
+ * @param {string} input - Token argument (symbol, SYMBOL@selector or address)
+ * @returns {Object} { symbol, addressPrefix, index } (selector fields null when absent)
+ */
+export function parseTokenInput(input) {
+  const value = String(input || '').trim();
+  const match = value.match(/^\$?([^@\s]+)@(0x[0-9a-fA-F]{1,40}|\d+)$/);
+  if (!match) {
+    return { symbol: value, addressPrefix: null, index: null };
+  }
+
+  const selector = match[2];
+  return {
+    symbol: match[1],
+    addressPrefix: selector.startsWith('0x') ? selector.toLowerCase() : null,
+    index: selector.startsWith('0x') ? null : parseInt(selector, 10)
+  };
+}
+
+/**
+ * Normalize a ticker for indexing ($ prefix and case ignored)
+ * @param {string} symbol - Token symbol
+ * @returns {string} Uppercase symbol
+ */
+function normalizeSymbol(symbol) {
+  return String(symbol || '').trim().replace(/^\$/, '').toUpperCase();
+}
+
+/**
+ * TokenRegistry - Indexed token store with a single schema:
+ * { address, symbol, name, decimals, pools: { venue: { pairedSymbol: pool } }, sources, files, labels,
+ *   marketCap: { unit: value }, liquidity: { unit: pooled amount }, firstSeen, createdAt }
+ * firstSeen is when the registry first saw the token; createdAt is when the token or its pool was created,
+ * known only for tokens whose source file carries it
+ */
+export class TokenRegistry {
+  constructor() {
+    this._data = null;
+    this._mtimeMs = 0;
+    this._checkedAt = 0;
+    this._byAddress = new Map();
+    this._bySymbol = new Map();
+    this._byPool = new Map();
+    this._symbols = [];
+  }
+
+  /**
+   * Get the registry file path (stored beside wallets.json)
+   * @returns {string} Absolute path to token-registry.json
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), REGISTRY_FILE);
+  }
+
+  /**
+   * Locate a legacy token file (working directory, userData, packaged resources, then the app folder)
+   * @param {string} file - File name
+   * @returns {string|null} First existing path
+   * @private
+   */
+  _findLegacyFile(file) {
+    const candidates = [path.resolve(process.cwd(), file)];
+    if (process.env.WALLETS_DB_PATH) {
+      candidates.push(path.join(path.dirname(path.resolve(process.env.WALLETS_DB_PATH)), file));
+    }
+    if (process.resourcesPath) {
+      candidates.push(path.join(process.resourcesPath, file));
+      candidates.push(path.join(process.resourcesPath, 'app.asar.unpacked', file));
+      candidates.push(path.join(process.resourcesPath, 'app.asar', file));
+    }
+    candidates.push(path.join(__dirname, file));
+    candidates.push(path.join(__dirname, '..', file));
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * Load the registry, importing legacy files that are new or changed since the last import
+   * Re-checks the disk at most every few seconds so hot lookups stay in memory.
+   * @returns {Object} Registry data { version, updatedAt, imports: { path: { file, mtimeMs } }, tokens: { lowercaseAddress: token } }
+   */
+  load() {
+    const now = Date.now();
+    if (this._data && now - this._checkedAt < SYNC_INTERVAL_MS) {
+      return this._data;
+    }
+    this._checkedAt = now;
+
+    const registryPath = this.getPath();
+    const mtimeMs = fs.existsSync(registryPath) ? fs.statSync(registryPath).mtimeMs : 0;
+    if (!this._data || mtimeMs !== this._mtimeMs) {
+      this._data = this._read(registryPath);
+      this._mtimeMs = mtimeMs;
+      this._buildIndexes();
+    }
+
+    this.migrate();
+    return this._data;
+  }
+
+  /**
+   * Read token-registry.json
+   * @param {string} registryPath - Registry file path
+   * @returns {Object} Registry data (empty when missing or unreadable)
+   * @private
+   */
+  _read(registryPath) {
+    const empty = { version: REGISTRY_VERSION, updatedAt: null, imports: {}, tokens: {} };
+    if (!fs.existsSync(registryPath)) {
+      return empty;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+      const current = (data.version || 1) >= REGISTRY_VERSION;
+      return { ...empty, ...data, version: REGISTRY_VERSION, imports: current ? data.imports || {} : {}, tokens: data.tokens || {} };
+    } catch (error) {
+      log(`⚠️ Could not read ${REGISTRY_FILE}: ${error.message}`);
+      return empty;
+    }
+  }
+
+  /**
+   * Apply a change to the registry under the file lock
+   * The GUI and every bot share token-registry.json, so the change is made to a fresh read of the file
+   * rather than to this process's possibly stale copy, and another process's update is never overwritten.
+   * @param {Function} mutator - Changes this._data in place, returns false when nothing changed
+   * @returns {*} Whatever the mutator returns (false when the lock could not be taken)
+   * @private
+   */
+  _update(mutator) {
+    const registryPath = this.getPath();
+    try {
+      return withFileLock(registryPath, () => {
+        this._data = this._read(registryPath);
+        this._mtimeMs = fs.existsSync(registryPath) ? fs.statSync(registryPath).mtimeMs : 0;
+        const result = mutator();
+        if (result !== false) {
+          this._save();
+        }
+        this._buildIndexes();
+        return result;
+      });
+    } catch (error) {
+      log(`⚠️ Could not update ${REGISTRY_FILE}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write the registry to disk (temp file + rename so other processes never read a partial file)
+   * Only called from _update(), which holds the file lock
+   * @private
+   */
+  _save() {
+    const registryPath = this.getPath();
+    const tempPath = `${registryPath}.${process.pid}.tmp`;
+    this._data.updatedAt = new Date().toISOString();
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(this._data, null, 2));
+      fs.renameSync(tempPath, registryPath);
+      this._mtimeMs = fs.statSync(registryPath).mtimeMs;
+    } catch (error) {
+      log(`⚠️ Could not write ${REGISTRY_FILE}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import base.json, bid.json, TokenList.json and detected-tokens.json into the registry
+   * Each file is imported again only when its modification time changed since the last import.
+   * Tokens that disappeared from a re-imported file lose that file as a source, and are removed once no
+   * file lists them any more (tokens a bot saw on-chain are kept), so prunes and rollbacks reach lookups.
+   * @param {boolean} force - Re-import every file regardless of modification time
+   * @returns {Object} Imported entry counts by file name
+   */
+  migrate(force = false) {
+    const data = this._data || this.load();
+    const changed = LEGACY_SOURCES
+      .map(legacy => ({ legacy, filePath: this._findLegacyFile(legacy.file) }))
+      // Keyed by path: the GUI and the bots may find different copies (userData vs app folder)
+      .filter(({ filePath }) => filePath && (force || data.imports[filePath]?.mtimeMs !== fs.statSync(filePath).mtimeMs));
+    if (changed.length === 0) {
+      return {};
+    }
+
+    const imported = {};
+    this._update(() => {
+      for (const { legacy, filePath } of changed) {
+        // Another process may have imported this version while we waited for the lock
+        const { mtimeMs } = fs.statSync(filePath);
+        if (!force && this._data.imports[filePath]?.mtimeMs === mtimeMs) {
+          continue;
+        }
+
+        try {
+          const entries = legacy.read(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+          const present = new Set();
+          let count = 0;
+          for (const entry of entries) {
+            if (this._merge(entry, legacy.source, filePath)) {
+              count++;
+            }
+            present.add(String(entry.address || '').trim().toLowerCase());
+          }
+          const removed = this._dropMissing(filePath, legacy.source, present);
+          this._data.imports[filePath] = { file: legacy.file, source: legacy.source, mtimeMs, count, removed, importedAt: new Date().toISOString() };
+          imported[legacy.file] = removed > 0 ? `${count} (-${removed})` : count;
+        } catch (error) {
+          log(`⚠️ Token registry: could not import ${filePath}: ${error.message}`);
+        }
+      }
+      return Object.keys(imported).length > 0;
+    });
+
+    if (Object.keys(imported).length > 0) {
+      const summary = Object.entries(imported).map(([file, count]) => `${file} ${count}`).join(', ');
+      log(`📦 Token registry: imported ${summary} (${Object.keys(this._data.tokens).length} tokens)`);
+    }
+    return imported;
+  }
+
+  /**
+   * Remove a re-imported file from the tokens it no longer lists
+   * Registries written before files were tracked have tokens with a source tag but no file; those count as
+   * listed by whichever file of that source is being imported.
+   * @param {string} filePath - Imported file path
+   * @param {string} source - Source tag of the file
+   * @param {Set<string>} present - Lowercase addresses the file still lists
+   * @returns {number} Number of tokens deleted from the registry
+   * @private
+   */
+  _dropMissing(filePath, source, present) {
+    const fileSource = (file) => this._data.imports[file]?.source
+      || LEGACY_SOURCES.find(legacy => legacy.file === this._data.imports[file]?.file)?.source;
+    let deleted = 0;
+
+    for (const [key, token] of Object.entries(this._data.tokens)) {
+      const files = token.files || [];
+      const listed = files.includes(filePath) ||
+        (token.sources.includes(source) && !files.some(file => fileSource(file) === source));
+      if (!listed || present.has(key)) {
+        continue;
+      }
+
+      token.files = files.filter(file => file !== filePath);
+      if (!token.files.some(file => fileSource(file) === source)) {
+        token.sources = token.sources.filter(tag => tag !== source);
+      }
+      if (token.sources.length === 0) {
+        delete this._data.tokens[key];
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Merge one token into the registry without rebuilding indexes or saving
+   * Symbol, name and decimals are kept once known; pools, market caps, labels, sources and files accumulate.
+   * @param {Object} input - Partial token in registry schema (address required)
+   * @param {string} source - Source tag from TOKEN_SOURCES
+   * @param {string|null} filePath - Imported file that lists the token (null for tokens seen by a bot)
+   * @returns {boolean} True when the entry was added or changed
+   * @private
+   */
+  _merge(input, source, filePath = null) {
+    let address;
+    try {
+      address = ethers.getAddress(String(input.address || '').trim().toLowerCase());
+    } catch {
+      return false;
+    }
+
+    const key = address.toLowerCase();
+    const existing = this._data.tokens[key];
+    const token = existing ? JSON.parse(JSON.stringify(existing)) : {
+      address,
+      symbol: null,
+      name: null,
+      decimals: null,
+      pools: {},
+      sources: [],
+      files: [],
+      labels: [],
+      marketCap: {},
+      liquidity: {},
+      firstSeen: null,
+      createdAt: null
+    };
+
+    const symbol = String(input.symbol || '').trim().replace(/^\$/, '');
+    if (!token.symbol && symbol) token.symbol = symbol;
+    if (!token.name && input.name) token.name = String(input.name).trim();
+    if (token.decimals === null && input.decimals !== undefined && input.decimals !== null) {
+      token.decimals = Number(input.decimals);
+    }
+
+    for (const [venue, pools] of Object.entries(input.pools || {})) {
+      token.pools[venue] = { ...token.pools[venue], ...pools };
+    }
+    token.marketCap = { ...token.marketCap, ...input.marketCap };
+    token.liquidity = { ...token.liquidity, ...input.liquidity };
+    token.labels = [...new Set([...token.labels, ...(input.labels || [])])];
+    if (!token.sources.includes(source)) token.sources.push(source);
+    token.files = token.files || [];
+    if (filePath && !token.files.includes(filePath)) token.files.push(filePath);
+
+    const firstSeen = input.firstSeen && !isNaN(Date.parse(input.firstSeen)) ? new Date(input.firstSeen).toISOString() : new Date().toISOString();
+    if (!token.firstSeen || firstSeen < token.firstSeen) token.firstSeen = firstSeen;
+    if (input.createdAt && !isNaN(Date.parse(input.createdAt))) {
+      const createdAt = new Date(input.createdAt).toISOString();
+      if (!token.createdAt || createdAt < token.createdAt) token.createdAt = createdAt;
+    }
+
+    if (existing && JSON.stringify(existing) === JSON.stringify(token)) {
+      return false;
+    }
+    this._data.tokens[key] = token;
+    return true;
+  }
+
+  /**
+   * Rebuild the address, symbol, pool and prefix indexes
+   * @private
+   */
+  _buildIndexes() {
+    this._byAddress = new Map();
+    this._bySymbol = new Map();
+    this._byPool = new Map();
+
+    for (const token of Object.values(this._data.tokens)) {
+      this._byAddress.set(token.address.toLowerCase(), token);
+      const symbol = normalizeSymbol(token.symbol);
+      if (symbol) {
+        const bucket = this._bySymbol.get(symbol) || [];
+        bucket.push(token);
+        this._bySymbol.set(symbol, bucket);
+      }
+      for (const pools of Object.values(token.pools)) {
+        for (const pool of Object.values(pools)) {
+          if (pool) this._byPool.set(pool.toLowerCase(), token);
+        }
+      }
+    }
+
+    // Sorted unique normalized symbols: prefix lookups are a binary search plus a forward scan
+    this._symbols = [...this._bySymbol.keys()].sort();
+  }
+
+  /**
+   * Add or update a token seen by a bot (e.g. decimals read from the contract) and persist it
+   * @param {Object} token - Partial token in registry schema (address required)
+   * @param {string} source - Source tag from TOKEN_SOURCES
+   * @returns {Object|null} Registry entry, or null for an invalid address
+   */
+  upsert(token, source = TOKEN_SOURCES.CONTRACT) {
+    this.load();
+    // Merging into the in-memory copy first only tells whether anything would change, so the lock is skipped otherwise
+    if (this._merge(token, source)) {
+      this._update(() => this._merge(token, source));
+    }
+    return this.get(token.address);
+  }
+
+  /**
+   * Look up a token by contract address
+   * @param {string} address - Token address
+   * @returns {Object|null} Registry entry
+   */
+  get(address) {
+    this.load();
+    return this._byAddress.get(String(address || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Look up the token a pool belongs to
+   * @param {string} poolAddress - Pool/pair address
+   * @returns {Object|null} Registry entry
+   */
+  getByPool(poolAddress) {
+    this.load();
+    return this._byPool.get(String(poolAddress || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Tokens with an exact symbol, best candidate first
+   * @param {string} symbol - Token symbol ($ prefix and case ignored)
+   * @param {Object} options - { bidMode, pairedSymbol, source }
+   * @returns {Array<Object>} Registry entries
+   */
+  findBySymbol(symbol, options = {}) {
+    this.load();
+    const scope = this._scope(options);
+    const tokens = (this._bySymbol.get(normalizeSymbol(symbol)) || []).filter(token => this._inScope(token, scope));
+    return this._rank(tokens, scope.pairedSymbol);
+  }
+
+  /**
+   * Tokens whose symbol starts with a prefix, exact and shorter symbols first
+   * @param {string} prefix - Symbol prefix
+   * @param {Object} options - { limit, bidMode, pairedSymbol, source }
+   * @returns {Array<Object>} Registry entries
+   */
+  findByPrefix(prefix, options = {}) {
+    this.load();
+    const { limit = 10 } = options;
+    const want = normalizeSymbol(prefix);
+    if (!want) {
+      return [];
+    }
+
+    let low = 0;
+    let high = this._symbols.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this._symbols[mid] < want) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < this._symbols.length && this._symbols[i].startsWith(want); i++) {
+      matches.push(...this.findBySymbol(this._symbols[i], options));
+    }
+
+    matches.sort((a, b) => a.symbol.length - b.symbol.length);
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Normalize lookup options: BID-MODE limits lookups to bid.json tokens and prefers WETH pools
+   * @param {Object} options - { bidMode, pairedSymbol, source }
+   * @returns {Object} { pairedSymbol, source }
+   * @private
+   */
+  _scope(options = {}) {
+    return {
+      pairedSymbol: options.pairedSymbol || (options.bidMode ? 'WETH' : 'VIRTUAL'),
+      source: options.source || (options.bidMode ? TOKEN_SOURCES.BID : null)
+    };
+  }
+
+  /**
+   * Check a token against an optional source filter
+   * @param {Object} token - Registry entry
+   * @param {Object} options - { source } (e.g. 'bid' for BID-MODE)
+   * @returns {boolean} True when the token is in scope
+   * @private
+   */
+  _inScope(token, options) {
+    return !options.source || token.sources.includes(options.source);
+  }
+
+  /**
+   * Order same-symbol candidates: a pool against the wanted pair first, then liquidity, market cap and age
+   * The order is stable for a given registry, so SYMBOL@<n> keeps pointing at the same token.
+   * @param {Array<Object>} tokens - Registry entries
+   * @param {string} pairedSymbol - Paired token symbol (VIRTUAL, WETH)
+   * @returns {Array<Object>} Sorted copy
+   * @private
+   */
+  _rank(tokens, pairedSymbol = 'VIRTUAL') {
+    const score = token => (this.getPool(token, pairedSymbol) ? 1 : 0);
+    const largest = values => Math.max(0, ...Object.values(values || {}).map(Number).filter(Number.isFinite));
+    return [...tokens].sort((a, b) =>
+      score(b) - score(a) ||
+      largest(b.liquidity) - largest(a.liquidity) ||
+      largest(b.marketCap) - largest(a.marketCap) ||
+      String(a.firstSeen).localeCompare(String(b.firstSeen)) ||
+      a.address.localeCompare(b.address)
+    );
+  }
+
+  /**
+   * Confidence signals of a token for choosing between tokens that share a ticker
+   * @param {Object} token - Registry entry
+   * @param {number} index - 1-based position among the candidates (SYMBOL@<n>)
+   * @param {Object} options - { bidMode, pairedSymbol }
+   * @returns {Object} { index, address, symbol, name, labels, liquidity, marketCap, lpAddress, firstSeen, createdAt, ageDays, inRegistry, sources }
+   *   ageDays is null when the creation time is unknown; the first import time would make every token look new
+   */
+  describe(token, index = 1, options = {}) {
+    const { pairedSymbol } = this._scope(options);
+    const createdAt = token.createdAt ? Date.parse(token.createdAt) : NaN;
+    return {
+      index,
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name || token.symbol,
+      labels: token.labels,
+      liquidity: token.liquidity || {},
+      marketCap: token.marketCap,
+      lpAddress: this.getPool(token, pairedSymbol),
+      firstSeen: token.firstSeen,
+      createdAt: token.createdAt || null,
+      ageDays: Number.isFinite(createdAt) ? Math.floor((Date.now() - createdAt) / 86400000) : null,
+      // Tokens only ever seen as a typed-in contract address are not vouched for by any token list
+      inRegistry: token.sources.some(source => source !== TOKEN_SOURCES.CONTRACT),
+      sources: token.sources
+    };
+  }
+
+  /**
+   * Every token with an exact symbol, ranked, with confidence signals
+   * @param {string} symbol - Token symbol ($ prefix and case ignored)
+   * @param {Object} options - { bidMode, pairedSymbol, source }
+   * @returns {Array<Object>} Candidates from describe()
+   */
+  candidates(symbol, options = {}) {
+    return this.findBySymbol(symbol, options).map((token, i) => this.describe(token, i + 1, options));
+  }
+
+  /**
+   * One-line summary of a candidate for console output
+   * @param {Object} candidate - Candidate from describe()
+   * @returns {string} e.g. "2. SAGE 0x8dd5…8859 · Genesis · 12,400 VIRTUAL liquidity · 5.07M VIRTUAL mcap · 412d · registry"
+   */
+  formatCandidate(candidate) {
+    const amount = (values) => Object.entries(values || {})
+      .map(([unit, value]) => `${Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 })} ${unit}`)
+      .join(' / ');
+    const parts = [
+      `${candidate.index}. ${candidate.symbol} ${candidate.address.slice(0, 6)}…${candidate.address.slice(-4)}`,
+      candidate.labels.length > 0 ? candidate.labels.slice(0, 2).join(', ') : null,
+      Object.keys(candidate.liquidity).length > 0 ? `${amount(candidate.liquidity)} liquidity` : (candidate.lpAddress ? null : 'no pool'),
+      Object.keys(candidate.marketCap).length > 0 ? `${amount(candidate.marketCap)} mcap` : null,
+      candidate.ageDays !== null ? `${candidate.ageDays}d` : null,
+      candidate.inRegistry ? 'registry' : 'typed-in CA'
+    ];
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Known pool of a token against a paired token
+   * @param {Object} token - Registry entry
+   * @param {string} pairedSymbol - Paired token symbol (VIRTUAL, WETH)
+   * @param {string} venue - Venue from REGISTRY_VENUES
+   * @returns {string|null} Pool address
+   */
+  getPool(token, pairedSymbol = 'VIRTUAL', venue = REGISTRY_VENUES.UNISWAP_V2) {
+    return token?.pools?.[venue]?.[pairedSymbol] || null;
+  }
+
+  /**
+   * Find a token by address, pool address, SYMBOL@0xprefix / SYMBOL@<n>, or a symbol only one token uses
+   * (no network access). A symbol shared by several tokens gives null rather than the top-ranked one; list
+   * them with candidates(). Symbol prefixes are never matched.
+   * @param {string} input - Address, symbol or SYMBOL@selector
+   * @param {Object} options - { bidMode, pairedSymbol, source }
+   * @returns {Object|null} Registry entry
+   */
+  lookup(input, options = {}) {
+    const scope = this._scope(options);
+    const value = String(input || '').trim();
+    if (ethers.isAddress(value)) {
+      const token = this.get(value) || this.getByPool(value);
+      return token && this._inScope(token, scope) ? token : null;
+    }
+
+    const parsed = parseTokenInput(value);
+    const tokens = this.findBySymbol(parsed.symbol, scope);
+    if (parsed.index) {
+      return tokens[parsed.index - 1] || null;
+    }
+    if (parsed.addressPrefix) {
+      const matches = tokens.filter(token => token.address.toLowerCase().startsWith(parsed.addressPrefix));
+      return matches.length === 1 ? matches[0] : null;
+    }
+    return tokens.length === 1 ? tokens[0] : null;
+  }
+
+  /**
+   * Resolve a token for trading: address, SYMBOL@0xprefix / SYMBOL@<n>, or a symbol shared by no other token
+   * Unknown symbols and known tokens without a pool go through the ticker search script first.
+   * A symbol shared by several tokens is refused so a copycat is never picked silently.
+   * @param {string} input - Address, symbol or SYMBOL@selector
+   * @param {Object} options - { bidMode, pairedSymbol, tickerSearch }
+   * @returns {Promise<Object>} { success, source, address, symbol, name, decimals, lpAddress, pools, labels, marketCap, mcapInETH, candidate, candidates }
+   *   or { success: false, source: 'not_found' | 'ambiguous', input, isAddress, error, candidates }
+   */
+  async resolve(input, options = {}) {
+    const { bidMode = false, tickerSearch = true } = options;
+    const scope = this._scope(options);
+    const value = String(input || '').trim();
+    const isAddress = ethers.isAddress(value);
+    log(`🔍 Resolving token${bidMode ? ' (BID-MODE)' : ''}: ${value}`);
+
+    if (isAddress) {
+      const token = this.lookup(value, scope);
+      return token ? this._toResult(token, 'registry', scope) : this._notFound(value, isAddress, []);
+    }
+
+    const parsed = parseTokenInput(value);
+    if (parsed.addressPrefix || parsed.index) {
+      return this._resolveSelected(value, parsed, scope);
+    }
+
+    let candidates = this.candidates(parsed.symbol, scope);
+    if (candidates.length > 1) {
+      return this._ambiguous(value, parsed.symbol, candidates);
+    }
+
+    const token = candidates.length === 1 ? this.get(candidates[0].address) : null;
+    if (token && this.getPool(token, scope.pairedSymbol)) {
+      log(`✅ Found ${token.symbol} (${token.address}) in token registry`);
+      return this._toResult(token, 'registry', scope);
+    }
+
+    // Unknown tokens and known tokens without a pool: the ticker search script may add them to base.json
+    if (tickerSearch) {
+      log(`📡 ${token ? `No ${scope.pairedSymbol} pool for ${token.symbol}` : 'Token not found in token registry'}, trying ticker search...`);
+      const searchSuccess = await runTickerSearchFallback(normalizeSymbol(parsed.symbol));
+      if (searchSuccess) {
+        this._checkedAt = 0;
+        candidates = this.candidates(parsed.symbol, scope);
+        if (candidates.length > 1) {
+          return this._ambiguous(value, parsed.symbol, candidates);
+        }
+        const updated = candidates.length === 1 ? this.get(candidates[0].address) : null;
+        if (updated && (!token || this.getPool(updated, scope.pairedSymbol))) {
+          log(`✅ Found ${updated.symbol} (${updated.address}) after ticker search`);
+          return this._toResult(updated, 'ticker_search', scope);
+        }
+      }
+    }
+
+    if (token) {
+      log(`✅ Found ${token.symbol} (${token.address}) in token registry (no ${scope.pairedSymbol} pool)`);
+      return this._toResult(token, 'registry', scope);
+    }
+
+    // Near misses are suggested, never traded
+    const suggestions = this.findByPrefix(parsed.symbol, { ...scope, limit: 5 }).map((entry, i) => this.describe(entry, i + 1, scope));
+    return this._notFound(value, false, suggestions);
+  }
+
+  /**
+   * Resolve SYMBOL@0xprefix or SYMBOL@<n> against the candidates of SYMBOL
+   * @param {string} value - Original input
+   * @param {Object} parsed - Result of parseTokenInput
+   * @param {Object} scope - Lookup scope
+   * @returns {Object} Resolve result
+   * @private
+   */
+  _resolveSelected(value, parsed, scope) {
+    const candidates = this.candidates(parsed.symbol, scope);
+    const matches = parsed.index
+      ? candidates.filter(candidate => candidate.index === parsed.index)
+      : candidates.filter(candidate => candidate.address.toLowerCase().startsWith(parsed.addressPrefix));
+
+    if (matches.length === 1) {
+      log(`✅ ${value} → ${matches[0].symbol} (${matches[0].address})`);
+      return this._toResult(this.get(matches[0].address), 'registry', scope);
+    }
+    if (matches.length > 1) {
+      return this._ambiguous(value, parsed.symbol, matches);
+    }
+
+    // A full address is explicit even when the registry files it under another ticker
+    const token = parsed.addressPrefix && ethers.isAddress(parsed.addressPrefix) ? this.get(parsed.addressPrefix) : null;
+    if (token && this._inScope(token, scope)) {
+      log(`⚠️ ${parsed.addressPrefix} is listed as ${token.symbol}, not ${normalizeSymbol(parsed.symbol)} - using the address`);
+      return this._toResult(token, 'registry', scope);
+    }
+
+    const selector = parsed.index ? `#${parsed.index}` : `an address starting with ${parsed.addressPrefix}`;
+    log(`❌ No ${normalizeSymbol(parsed.symbol)} token with ${selector} in token registry`);
+    candidates.forEach(candidate => log(`   ${this.formatCandidate(candidate)}`));
+    return {
+      success: false,
+      source: 'not_found',
+      input: value,
+      isAddress: false,
+      error: `No ${normalizeSymbol(parsed.symbol)} token with ${selector} (${candidates.length} known); pass a contract address to trade a token that is not in the registry`,
+      candidates
+    };
+  }
+
+  /**
+   * Refuse a ticker that matches several tokens and list them
+   * @param {string} value - Original input
+   * @param {string} symbol - Symbol part of the input
+   * @param {Array<Object>} candidates - Candidates from describe()
+   * @returns {Object} Failed resolve result with the candidates
+   * @private
+   */
+  _ambiguous(value, symbol, candidates) {
+    const ticker = normalizeSymbol(symbol);
+    log(`⚠️ ${value} is ambiguous: ${candidates.length} tokens use the ticker ${ticker}`);
+    candidates.forEach(candidate => log(`   ${this.formatCandidate(candidate)}`));
+    log(`   👉 Pick one with ${ticker}@0x<address prefix> or ${ticker}@<number>`);
+    return {
+      success: false,
+      source: 'ambiguous',
+      input: value,
+      isAddress: false,
+      error: `Ticker ${ticker} matches ${candidates.length} tokens; use ${ticker}@0x<address prefix> or ${ticker}@<number>`,
+      candidates
+    };
+  }
+
+  /**
+   * Not-found resolve result
+   * @param {string} value - Original input
+   * @param {boolean} isAddress - Whether the input was an address
+   * @param {Array<Object>} suggestions - Similar tickers (never traded automatically)
+   * @returns {Object} Failed resolve result
+   * @private
+   */
+  _notFound(value, isAddress, suggestions) {
+    log(`❌ Token not found in token registry: ${value}`);
+    if (suggestions.length > 0) {
+      log(`   💡 Similar tickers: ${suggestions.map(candidate => `${candidate.symbol} (${candidate.address.slice(0, 8)}…)`).join(', ')}`);
+    }
+    return {
+      success: false,
+      source: 'not_found',
+      input: value,
+      isAddress,
+      error: `Token ${value} not found in token registry`,
+      candidates: suggestions
+    };
+  }
+
+  /**
+   * Shape a registry entry as a resolve result
+   * @param {Object} token - Registry entry
+   * @param {string} source - How the token was found
+   * @param {Object} scope - Lookup scope (paired token for lpAddress, candidate ranking)
+   * @returns {Object} Resolve result
+   * @private
+   */
+  _toResult(token, source, scope) {
+    const { pairedSymbol } = scope;
+    const candidates = this.candidates(token.symbol, scope);
+    return {
+      success: true,
+      source,
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name || token.symbol,
+      decimals: token.decimals,
+      lpAddress: this.getPool(token, pairedSymbol),
+      pools: token.pools,
+      labels: token.labels,
+      marketCap: token.marketCap,
+      mcapInETH: token.marketCap.ETH ?? null,
+      candidate: candidates.find(candidate => candidate.address === token.address) || this.describe(token, 1, scope),
+      candidates
+    };
+  }
+
+  /**
+   * Search for the GUI: address prefix, then exact/prefix symbol, then symbol substring
+   * @param {string} query - Partial address or symbol
+   * @param {Object} options - { limit, bidMode }
+   * @returns {Array<Object>} Registry entries
+   */
+  search(query, options = {}) {
+    this.load();
+    const { limit = 10 } = options;
+    const scope = this._scope(options);
+    const value = String(query || '').trim();
+    if (!value) {
+      return [];
+    }
+
+    if (/^0x/i.test(value)) {
+      const exact = this.lookup(value, scope);
+      if (exact) {
+        return [exact];
+      }
+      const lower = value.toLowerCase();
+      return [...this._byAddress.values()]
+        .filter(token => token.address.toLowerCase().startsWith(lower) && this._inScope(token, scope))
+        .slice(0, limit);
+    }
+
+    const results = this.findByPrefix(value, { ...scope, limit });
+    if (results.length < limit) {
+      const want = normalizeSymbol(value);
+      const seen = new Set(results);
+      for (const symbol of this._symbols) {
+        if (results.length >= limit) break;
+        if (!symbol.startsWith(want) && symbol.includes(want)) {
+          results.push(...this.findBySymbol(symbol, scope).filter(token => !seen.has(token)));
+        }
+      }
+    }
+    return results.slice(0, limit);
+  }
+
+  /**
+   * GUI search with confidence signals, so tokens sharing a ticker can be compared side by side
+   * @param {string} query - Partial address or symbol
+   * @param {Object} options - { limit, bidMode }
+   * @returns {Array<Object>} Candidates from describe() plus tickerCount (tokens using the same ticker)
+   */
+  searchCandidates(query, options = {}) {
+    return this.search(query, options).map(token => {
+      const siblings = this.candidates(token.symbol, options);
+      const candidate = siblings.find(sibling => sibling.address === token.address) || this.describe(token, 1, options);
+      return { ...candidate, tickerCount: Math.max(1, siblings.length) };
+    });
+  }
+
+  /**
+   * All tokens, optionally limited to one source or to tokens pooled against a paired token
+   * @param {Object} options - { source, pairedSymbol }
+   * @returns {Array<Object>} Registry entries
+   */
+  list(options = {}) {
+    this.load();
+    return [...this._byAddress.values()].filter(token =>
+      this._inScope(token, options) && (!options.pairedSymbol || this.getPool(token, options.pairedSymbol))
+    );
+  }
+
+  /**
+   * Registry statistics
+   * @returns {Object} { totalTokens, uniqueSymbols, bySource, withDecimals, imports, updatedAt }
+   */
+  stats() {
+    const data = this.load();
+    const tokens = Object.values(data.tokens);
+    const bySource = {};
+    tokens.forEach(token => token.sources.forEach(source => { bySource[source] = (bySource[source] || 0) + 1; }));
+
+    return {
+      totalTokens: tokens.length,
+      uniqueSymbols: this._symbols.length,
+      bySource,
+      withDecimals: tokens.filter(token => token.decimals !== null).length,
+      imports: data.imports,
+      updatedAt: data.updatedAt
+    };
+  }
+}
+
+// Create singleton instance
+export const tokenRegistry = new TokenRegistry();
@@ -0,0 +1,536 @@
+/**
+ * Trade Ledger
+ * Persistent SQLite ledger of every swap, approval, transfer and bridge sent by the bots
+ * Lives next to wallets.json so it survives bot process exits and app updates.
+ * SQLite runs as WebAssembly (sql.js), so the same build loads under system node (bots) and Electron (GUI).
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import initSqlJs from 'sql.js';
+import { dryRun } from './providers/dryRun.js';
+import { withFileLock } from './utils/fileLock.js';
+
+// Ledger file name (stored beside wallets.json)
+const LEDGER_FILE = 'trade-ledger.db';
+
+// Currencies a bot receives when selling (used to infer trade direction)
+const BASE_CURRENCIES = ['VIRTUAL', 'ETH', 'WETH'];
+
+// Default row limit for History queries
+const DEFAULT_QUERY_LIMIT = 500;
+
+// Columns added after the first ledger release (added to existing databases on open)
+const MIGRATION_COLUMNS = {
+  token_address: 'TEXT',
+  counterparty: 'TEXT'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    bot_type TEXT NOT NULL,
+    type TEXT NOT NULL,
+    direction TEXT,
+    tx_hash TEXT UNIQUE,
+    wallet TEXT NOT NULL,
+    contract TEXT,
+    method TEXT,
+    token TEXT,
+    token_address TEXT,
+    spent_token TEXT,
+    spent_amount REAL,
+    received_token TEXT,
+    received_amount REAL,
+    gas_used TEXT,
+    gas_paid_eth REAL,
+    provider TEXT,
+    block_number INTEGER,
+    counterparty TEXT,
+    metadata TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_trades_wallet ON trades (wallet);
+  CREATE INDEX IF NOT EXISTS idx_trades_token ON trades (token);
+  CREATE INDEX IF NOT EXISTS idx_trades_bot_type ON trades (bot_type);
+  CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades (timestamp);
+`;
+
+// Loaded once per process; a failed load disables the ledger instead of stopping the bot
+const SQL = await initSqlJs().catch((error) => {
+  console.log(`⚠️ Trade ledger disabled: ${error.message.split('\n')[0]}`);
+  return null;
+});
+
+/**
+ * TradeLedger - Writes bot transactions to SQLite and answers History queries
+ */
+export class TradeLedger {
+  constructor() {
+    this.db = null;
+    this.loadedStamp = null;
+    this.runId = crypto.randomUUID();
+    this.botType = null;
+  }
+
+  /**
+   * Resolve the ledger file path (same directory as wallets.json)
+   * @returns {string} Absolute ledger path
+   */
+  getPath() {
+    const walletsPath = process.env.WALLETS_DB_PATH || 'wallets.json';
+    return path.join(path.dirname(path.resolve(walletsPath)), LEDGER_FILE);
+  }
+
+  /**
+   * Open the ledger database as it is on disk, creating the schema on first use
+   * The in-memory copy is reloaded whenever another process has written the file since the last read
+   * @returns {Object|null} sql.js database, or null when SQLite is unavailable
+   */
+  getDatabase() {
+    if (!SQL) {
+      return null;
+    }
+
+    const ledgerPath = this.getPath();
+    const stat = fs.existsSync(ledgerPath) ? fs.statSync(ledgerPath) : null;
+    const stamp = stat ? `${ledgerPath}:${stat.mtimeMs}:${stat.size}` : `${ledgerPath}:new`;
+    if (this.db && stamp === this.loadedStamp) {
+      return this.db;
+    }
+
+    this.close();
+    this.db = stat ? new SQL.Database(fs.readFileSync(ledgerPath)) : new SQL.Database();
+    this.db.run(SCHEMA);
+    this.migrate();
+    this.loadedStamp = stamp;
+    return this.db;
+  }
+
+  /**
+   * Add columns missing from ledgers created by older versions
+   * (saved with the next write; until then only the in-memory copy has them)
+   */
+  migrate() {
+    const existing = this.db.exec('PRAGMA table_info(trades)')[0].values.map(column => column[1]);
+    Object.entries(MIGRATION_COLUMNS).forEach(([name, type]) => {
+      if (!existing.includes(name)) {
+        this.db.run(`ALTER TABLE trades ADD COLUMN ${name} ${type}`);
+      }
+    });
+  }
+
+  /**
+   * Run a write against a fresh read of the ledger file under the cross-process lock, then save it
+   * (temp file + rename so readers never see a partial file)
+   * @param {string} sql - Statement to run
+   * @param {Object} params - Named parameters (without the @ prefix)
+   * @returns {boolean} True when the write was saved
+   * @private
+   */
+  _write(sql, params) {
+    if (!SQL) {
+      return false;
+    }
+
+    const ledgerPath = this.getPath();
+    fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+
+    withFileLock(ledgerPath, () => {
+      const db = this.getDatabase();
+      db.run(sql, this._bind(params));
+
+      const tempPath = `${ledgerPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, Buffer.from(db.export()));
+      fs.renameSync(tempPath, ledgerPath);
+
+      const stat = fs.statSync(ledgerPath);
+      this.loadedStamp = `${ledgerPath}:${stat.mtimeMs}:${stat.size}`;
+    });
+    return true;
+  }
+
+  /**
+   * Run a query and return every row as an object
+   * @param {string} sql - Query to run
+   * @param {Object} params - Named parameters (without the @ prefix)
+   * @returns {Array<Object>} Rows
+   * @private
+   */
+  _all(sql, params = {}) {
+    const db = this.getDatabase();
+    if (!db) {
+      return [];
+    }
+
+    const statement = db.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(this._bind(params));
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  /**
+   * Prefix parameter names for sql.js and turn undefined into NULL
+   * @param {Object} params - Named parameters
+   * @returns {Object} sql.js bind object
+   * @private
+   */
+  _bind(params) {
+    return Object.fromEntries(Object.entries(params).map(([name, value]) => [`@${name}`, value === undefined ? null : value]));
+  }
+
+  /**
+   * Get the bot type for this process
+   * Defaults to the entry script name (buybot.mjs → buybot)
+   * @returns {string} Bot type
+   */
+  getBotType() {
+    if (!this.botType) {
+      const script = process.argv[1] ? path.basename(process.argv[1]) : 'unknown';
+      this.botType = script.replace(/\.(mjs|cjs|js)$/, '');
+    }
+    return this.botType;
+  }
+
+  /**
+   * Start a new run (optional - a run id is created per process automatically)
+   * @param {string} botType - Bot type to record rows under
+   * @returns {string} Run id
+   */
+  startRun(botType) {
+    this.botType = botType;
+    this.runId = crypto.randomUUID();
+    return this.runId;
+  }
+
+  /**
+   * Classify a transaction from its method name
+   * @param {string} method - Decoded method name or selector
+   * @returns {string} swap, approval, transfer, bridge, wrap or contract
+   */
+  classify(method) {
+    if (method === 'approve') return 'approval';
+    if (this.getBotType().startsWith('stargate')) return 'bridge';
+    if (method === 'transfer' || method === 'transferFrom') return 'transfer';
+    if (method === 'deposit' || method === 'withdraw') return 'wrap';
+    if (method.startsWith('swap')) return 'swap';
+    return 'contract';
+  }
+
+  /**
+   * Record a confirmed on-chain transaction (called by TransactionExecutor.recordConfirmed)
+   * Amounts are filled in later by recordTrade() for swaps
+   * @param {Object} tx - Transaction response (hash, from, to, data)
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} providerName - Provider the transaction was sent through (defaults to tx.provider)
+   */
+  recordTransaction(tx, receipt, providerName = null) {
+    if (dryRun.isEnabled() || !receipt) {
+      return;
+    }
+
+    try {
+      const method = dryRun.describeCall(tx?.data);
+      const gasUsed = BigInt(receipt.gasUsed ?? 0);
+      const gasPrice = BigInt(receipt.gasPrice ?? 0);
+      const contract = receipt.to ? receipt.to.toLowerCase() : null;
+      const type = this.classify(method);
+      // Approvals and ERC20 transfers are keyed by the token contract, plain transfers by ETH
+      const token = type === 'approval' || type === 'transfer'
+        ? (tx?.data && tx.data !== '0x' ? contract : 'ETH')
+        : null;
+
+      this._write(`
+        INSERT INTO trades (timestamp, run_id, bot_type, type, tx_hash, wallet, contract, method, token,
+                            gas_used, gas_paid_eth, provider, block_number)
+        VALUES (@timestamp, @runId, @botType, @type, @txHash, @wallet, @contract, @method, @token,
+                @gasUsed, @gasPaidEth, @provider, @blockNumber)
+        ON CONFLICT(tx_hash) DO UPDATE SET
+          contract = excluded.contract,
+          token = COALESCE(trades.token, excluded.token),
+          method = excluded.method,
+          gas_used = excluded.gas_used,
+          gas_paid_eth = excluded.gas_paid_eth,
+          provider = COALESCE(excluded.provider, trades.provider),
+          block_number = excluded.block_number
+      `, {
+        timestamp: new Date().toISOString(),
+        runId: this.runId,
+        botType: this.getBotType(),
+        type,
+        txHash: receipt.hash || tx?.hash,
+        wallet: (receipt.from || tx?.from || '').toLowerCase(),
+        contract,
+        method,
+        token,
+        gasUsed: gasUsed.toString(),
+        gasPaidEth: Number(gasUsed * gasPrice) / 1e18,
+        provider: providerName ?? tx?.provider?._providerName ?? null,
+        blockNumber: receipt.blockNumber ?? null
+      });
+    } catch (error) {
+      console.log(`⚠️ Trade ledger: failed to record ${tx?.hash?.slice(0, 10) || 'transaction'}... (${error.message})`);
+    }
+  }
+
+  /**
+   * Record a trade with amounts (called by the bot trackers)
+   * Merges into the executor row when the tx hash is already recorded
+   * @param {Object} trade - Trade details
+   * @param {string} trade.wallet - Wallet address
+   * @param {string} trade.spentToken - Currency/token spent
+   * @param {number} trade.spentAmount - Amount spent
+   * @param {string} trade.receivedToken - Currency/token received
+   * @param {number} trade.receivedAmount - Amount received
+   * @param {string} trade.txHash - Swap transaction hash
+   * @param {string} trade.tokenAddress - Traded token contract (used for PnL pricing)
+   * @param {string} trade.direction - buy or sell (inferred from receivedToken when omitted)
+   * @param {string} trade.provider - Provider used
+   * @param {Object} trade.metadata - Extra fields stored as JSON
+   */
+  recordTrade(trade) {
+    if (dryRun.isEnabled()) {
+      return;
+    }
+
+    try {
+      const { wallet, spentToken, spentAmount, receivedToken, receivedAmount, txHash = null, tokenAddress = null, provider = null, metadata = {} } = trade;
+      const direction = trade.direction || (BASE_CURRENCIES.includes(String(receivedToken).toUpperCase()) ? 'sell' : 'buy');
+
+      this._write(`
+        INSERT INTO trades (timestamp, run_id, bot_type, type, direction, tx_hash, wallet, token, token_address,
+                            spent_token, spent_amount, received_token, received_amount, provider, metadata)
+        VALUES (@timestamp, @runId, @botType, 'swap', @direction, @txHash, @wallet, @token, @tokenAddress,
+                @spentToken, @spentAmount, @receivedToken, @receivedAmount, @provider, @metadata)
+        ON CONFLICT(tx_hash) DO UPDATE SET
+          type = 'swap',
+          direction = excluded.direction,
+          token = excluded.token,
+          token_address = COALESCE(excluded.token_address, trades.token_address),
+          spent_token = excluded.spent_token,
+          spent_amount = excluded.spent_amount,
+          received_token = excluded.received_token,
+          received_amount = excluded.received_amount,
+          provider = COALESCE(trades.provider, excluded.provider),
+          metadata = excluded.metadata
+      `, {
+        timestamp: new Date().toISOString(),
+        runId: this.runId,
+        botType: this.getBotType(),
+        direction,
+        txHash,
+        wallet: String(wallet).toLowerCase(),
+        token: direction === 'buy' ? receivedToken : spentToken,
+        tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null,
+        spentToken,
+        spentAmount: Number(spentAmount) || 0,
+        receivedToken,
+        receivedAmount: Number(receivedAmount) || 0,
+        provider,
+        metadata: JSON.stringify(metadata)
+      });
+    } catch (error) {
+      console.log(`⚠️ Trade ledger: failed to record trade (${error.message})`);
+    }
+  }
+
+  /**
+   * Record a transfer or bridge with its amount (called by TransferBot and the Stargate bridge)
+   * Merges into the executor row when the tx hash is already recorded
+   * @param {Object} transfer - Transfer details
+   * @param {string} transfer.type - transfer or bridge
+   * @param {string} transfer.txHash - Transaction hash (Solana signature for bridges)
+   * @param {string} transfer.wallet - Sending wallet
+   * @param {string} transfer.token - Token symbol
+   * @param {string} transfer.tokenAddress - Token contract (null for ETH)
+   * @param {number} transfer.amount - Amount sent
+   * @param {string} transfer.counterparty - Receiving address
+   * @param {Object} transfer.metadata - Extra fields stored as JSON
+   */
+  recordTransfer(transfer) {
+    if (dryRun.isEnabled()) {
+      return;
+    }
+
+    try {
+      const { type = 'transfer', txHash = null, wallet, token, tokenAddress = null, amount, counterparty = null, metadata = {} } = transfer;
+
+      this._write(`
+        INSERT INTO trades (timestamp, run_id, bot_type, type, direction, tx_hash, wallet, token, token_address,
+                            spent_token, spent_amount, counterparty, metadata)
+        VALUES (@timestamp, @runId, @botType, @type, 'out', @txHash, @wallet, @token, @tokenAddress,
+                @token, @amount, @counterparty, @metadata)
+        ON CONFLICT(tx_hash) DO UPDATE SET
+          type = excluded.type,
+          direction = 'out',
+          token = excluded.token,
+          token_address = excluded.token_address,
+          spent_token = excluded.spent_token,
+          spent_amount = excluded.spent_amount,
+          counterparty = excluded.counterparty,
+          metadata = excluded.metadata
+      `, {
+        timestamp: new Date().toISOString(),
+        runId: this.runId,
+        botType: this.getBotType(),
+        type,
+        txHash,
+        wallet: this.normalizeAddress(wallet),
+        token,
+        tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null,
+        amount: Number(amount) || 0,
+        counterparty: counterparty ? this.normalizeAddress(counterparty) : null,
+        metadata: JSON.stringify(metadata)
+      });
+    } catch (error) {
+      console.log(`⚠️ Trade ledger: failed to record ${transfer.type || 'transfer'} (${error.message})`);
+    }
+  }
+
+  /**
+   * Lowercase EVM addresses (Solana addresses are case-sensitive and kept as-is)
+   * @param {string} address - Address
+   * @returns {string} Normalised address
+   */
+  normalizeAddress(address) {
+    const value = String(address);
+    return value.startsWith('0x') ? value.toLowerCase() : value;
+  }
+
+  /**
+   * Add a wallet filter to a WHERE clause
+   * @param {Array<string>} wallets - Wallet addresses (no condition when empty)
+   * @param {Array<string>} conditions - WHERE conditions to extend
+   * @param {Object} params - Named parameters to extend
+   * @private
+   */
+  _whereWallets(wallets, conditions, params) {
+    if (wallets.length === 0) {
+      return;
+    }
+    const names = wallets.map((wallet, index) => {
+      params[`wallet${index}`] = this.normalizeAddress(wallet);
+      return `@wallet${index}`;
+    });
+    conditions.push(`wallet IN (${names.join(', ')})`);
+  }
+
+  /**
+   * Parse the stored metadata JSON of a row
+   * @param {Object} row - Ledger row
+   * @returns {Object} Row with metadata as an object
+   * @private
+   */
+  _parseRow(row) {
+    return { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : {} };
+  }
+
+  /**
+   * Query ledger rows for the History tab
+   * @param {Object} filters - Query filters
+   * @param {string} filters.wallet - Wallet address
+   * @param {Array<string>} filters.wallets - Wallet addresses (alternative to wallet)
+   * @param {string} filters.token - Token symbol or address (partial, case-insensitive match)
+   * @param {string} filters.botType - Bot type
+   * @param {string} filters.from - ISO start date (inclusive)
+   * @param {string} filters.to - ISO end date (inclusive)
+   * @param {number|null} filters.limit - Maximum rows (default 500, null for all rows)
+   * @param {string} filters.order - desc (newest first, default) or asc
+   * @returns {Array<Object>} Ledger rows
+   */
+  query(filters = {}) {
+    if (!SQL) {
+      throw new Error('Trade ledger is unavailable (sql.js could not be loaded)');
+    }
+
+    const { wallet, wallets = [], token, botType, from, to, limit = DEFAULT_QUERY_LIMIT, order = 'desc' } = filters;
+    const conditions = [];
+    const params = {};
+
+    this._whereWallets(wallet ? [wallet, ...wallets] : wallets, conditions, params);
+    if (token) {
+      conditions.push('(token LIKE @token OR token_address LIKE @token OR spent_token LIKE @token OR received_token LIKE @token OR contract LIKE @token)');
+      params.token = `%${token}%`;
+    }
+    if (botType) {
+      conditions.push('bot_type = @botType');
+      params.botType = botType;
+    }
+    if (from) {
+      conditions.push('timestamp >= @from');
+      params.from = new Date(from).toISOString();
+    }
+    if (to) {
+      conditions.push('timestamp <= @to');
+      params.to = new Date(to).toISOString();
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    let sql = `SELECT * FROM trades ${where} ORDER BY timestamp ${direction}, id ${direction}`;
+    if (limit !== null) {
+      sql += ' LIMIT @limit';
+      params.limit = Math.max(1, Math.min(parseInt(limit) || DEFAULT_QUERY_LIMIT, 10000));
+    }
+
+    return this._all(sql, params).map(row => this._parseRow(row));
+  }
+
+  /**
+   * Get recorded swaps with amounts in execution order (used for cost-basis tracking)
+   * @param {Object} filters - Swap filters
+   * @param {Array<string>} filters.wallets - Wallet addresses (all wallets when omitted)
+   * @param {string} filters.token - Token symbol or address
+   * @returns {Array<Object>} Swap rows, oldest first
+   */
+  getSwaps(filters = {}) {
+    const { wallets = [], token } = filters;
+    const conditions = ["type = 'swap'", 'direction IS NOT NULL', 'spent_amount > 0', 'received_amount > 0'];
+    const params = {};
+
+    this._whereWallets(wallets, conditions, params);
+    if (token) {
+      conditions.push('(UPPER(token) = @symbol OR token_address = @tokenAddress)');
+      params.symbol = String(token).toUpperCase();
+      params.tokenAddress = String(token).toLowerCase();
+    }
+
+    return this._all(`SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY timestamp ASC, id ASC`, params)
+      .map(row => this._parseRow(row));
+  }
+
+  /**
+   * Get distinct wallets, tokens and bot types for the History filters
+   * @returns {Object} Filter options
+   */
+  getFilterOptions() {
+    const column = (sql) => this._all(sql).map(row => Object.values(row)[0]);
+    return {
+      wallets: column('SELECT DISTINCT wallet FROM trades ORDER BY wallet'),
+      tokens: column('SELECT DISTINCT token FROM trades WHERE token IS NOT NULL ORDER BY token'),
+      botTypes: column('SELECT DISTINCT bot_type FROM trades ORDER BY bot_type')
+    };
+  }
+
+  /**
+   * Close the in-memory copy of the database (the next call reads the file again)
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.loadedStamp = null;
+  }
+}
+
+// Create singleton instance
+export const tradeLedger = new TradeLedger();
@@ -3,12 +3,14 @@ import fs from 'fs';
 import path from 'path';
 import { ERC20_ABI, executeTransactionWithReplacementFee, getRandomProvider } from './config.js';
 import { tradingWallets, walletsReady, getWalletBySelector, getWalletByAddress } from './wallets/index.js';
+import { tradeLedger } from './tradeLedger.js';
+import { TokenBlacklist } from './bots/services/tokenBlacklist.js';
+import { tokenRegistry, TOKEN_SOURCES } from './tokenRegistry.js';
+import { WalletGroups } from './wallets/groups.js';
 
 // Constants
 const CONTACTS_DB_FILE = 'Contacts.json';
 
-// Token resolution will be handled dynamically via baseDatabase.js
-
 // Enhanced token resolution - check sender wallet first, then databases
 async function resolveTokenInfo(tokenInput, senderIdentifier = 'B1') {
   console.log(`🔍 Resolving token: ${tokenInput} for sender: ${senderIdentifier}`);
@@ -41,8 +43,8 @@ async function resolveTokenInfo(tokenInput, senderIdentifier = 'B1') {
   
   console.log(`⚠️ Token not found in sender wallet, checking databases...`);
   
-  // Step 2: Check base.json and bid.json databases
-  console.log(`📚 Step 2: Checking base.json and bid.json databases...`);
+  // Step 2: Check the token registry
+  console.log(`📚 Step 2: Checking token registry...`);
   const databaseResult = await checkDatabasesForToken(tokenInput);
   
   if (databaseResult.success) {
@@ -53,7 +55,7 @@ async function resolveTokenInfo(tokenInput, senderIdentifier = 'B1') {
   console.log(`❌ Token not found in any source: ${tokenInput}`);
   return {
     success: false,
-    error: `Token "${tokenInput}" not found. Checked: sender wallet ${senderIdentifier}, base.json, bid.json databases.`
+    error: `Token "${tokenInput}" not found. Checked: sender wallet ${senderIdentifier}, token registry.`
   };
 }
 
@@ -114,96 +116,49 @@ async function checkSenderWalletForToken(tokenSymbol, senderIdentifier) {
   }
 }
 
-// Check base.json and bid.json databases for token
+// Check the token registry (base.json, bid.json, TokenList.json and detected tokens) for token
 async function checkDatabasesForToken(tokenInput) {
   try {
-    // First try base.json database
-    console.log(`   📖 Checking base.json database...`);
-    try {
-      const { resolveToken } = await import('./baseDatabase.js');
-      const baseResult = await resolveToken(tokenInput);
-      
-      if (baseResult.success) {
-        // Get decimals from contract
-        let decimals = 18; // Default
-        if (baseResult.address) {
-          try {
-            const provider = getRandomProvider();
-            const tokenContract = new ethers.Contract(
-              baseResult.address,
-              ['function decimals() view returns (uint8)'],
-              provider
-            );
-            decimals = await tokenContract.decimals();
-          } catch (error) {
-            console.log(`   ⚠️ Could not get decimals for ${baseResult.symbol}, using default 18`);
-          }
-        }
-        
-        return {
-          success: true,
-          symbol: baseResult.symbol,
-          address: baseResult.address,
-          decimals: decimals,
-          name: baseResult.name,
-          source: baseResult.source
-        };
-      }
-    } catch (error) {
-      console.log(`   ⚠️ Error checking base.json: ${error.message}`);
+    console.log(`   📖 Checking token registry...`);
+    const result = await tokenRegistry.resolve(tokenInput);
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error
+      };
     }
     
-    // Then try bid.json database
-    console.log(`   📖 Checking bid.json database...`);
-    try {
-      const fs = await import('fs');
-      const path = await import('path');
-      
-      const bidJsonPath = 'bid.json';
-      if (fs.existsSync(bidJsonPath)) {
-        const bidData = JSON.parse(fs.readFileSync(bidJsonPath, 'utf8'));
-        
-        // Check if token exists in bid.json
-        const tokenData = bidData[tokenInput.toUpperCase()];
-        if (tokenData && tokenData.address) {
-          // Get decimals from contract
-          let decimals = 18; // Default
-          try {
-            const provider = getRandomProvider();
-            const tokenContract = new ethers.Contract(
-              tokenData.address,
-              ['function decimals() view returns (uint8)'],
-              provider
-            );
-            decimals = await tokenContract.decimals();
-          } catch (error) {
-            console.log(`   ⚠️ Could not get decimals for ${tokenInput}, using default 18`);
-          }
-          
-          return {
-            success: true,
-            symbol: tokenInput.toUpperCase(),
-            address: tokenData.address,
-            decimals: decimals,
-            name: tokenData.name || tokenInput.toUpperCase(),
-            source: 'bid.json'
-          };
-        }
+    let decimals = result.decimals;
+    if (decimals === null) {
+      decimals = 18; // Default
+      try {
+        const provider = getRandomProvider();
+        const tokenContract = new ethers.Contract(
+          result.address,
+          ['function decimals() view returns (uint8)'],
+          provider
+        );
+        decimals = Number(await tokenContract.decimals());
+        tokenRegistry.upsert({ address: result.address, decimals }, TOKEN_SOURCES.CONTRACT);
+      } catch (error) {
+        console.log(`   ⚠️ Could not get decimals for ${result.symbol}, using default 18`);
       }
-    } catch (error) {
-      console.log(`   ⚠️ Error checking bid.json: ${error.message}`);
     }
     
     return {
-      success: false,
-      error: `Token ${tokenInput} not found in base.json or bid.json databases`
+      success: true,
+      symbol: result.symbol,
+      address: result.address,
+      decimals: decimals,
+      name: result.name,
+      source: result.source
     };
     
   } catch (error) {
-    console.log(`   ❌ Error checking databases: ${error.message}`);
+    console.log(`   ❌ Error checking token registry: ${error.message}`);
     return {
       success: false,
-      error: `Database check failed: ${error.message}`
+      error: `Token registry check failed: ${error.message}`
     };
   }
 }
@@ -436,23 +391,24 @@ function getAddressFromPrivateKey(privateKey) {
   }
 }
 
-// Function to get address from wallet identifier (B1, B2, etc.) or direct address
+// Function to get address from wallet identifier (B1, B2, G:group, T:tag) or direct address
 async function resolveAddress(identifier) {
   // Check if input is already an Ethereum address
   if (identifier.startsWith('0x') && identifier.length === 42) {
     return identifier;
   }
   
-  // Check if this is a wallet identifier (e.g., B1, B2)
+  // Check if this is a wallet identifier (e.g., B1, B2, T:cold)
   if (isWalletIdentifier(identifier)) {
+    const selector = toWalletSelector(identifier);
     // First try to get the wallet from the global wallet system
-    const wallet = getWalletBySelector(identifier);
+    const wallet = getWalletBySelector(selector);
     if (wallet && wallet.address) {
       return wallet.address;
     }
     
     // Legacy fallback: Get the private key and derive the address
-    const privateKey = getPrivateKey(identifier);
+    const privateKey = getPrivateKey(selector);
     if (privateKey) {
       return getAddressFromPrivateKey(privateKey);
     } else {
@@ -470,7 +426,7 @@ async function resolveAddress(identifier) {
   return null;
 }
 
-// Function to check if input is a wallet identifier (B1, B2, etc.)
+// Function to check if input is a wallet identifier (B1, B2, etc. or a G:group / T:tag selector)
 function isWalletIdentifier(input) {
   if (!input || typeof input !== 'string') {
     return false;
@@ -478,7 +434,21 @@ function isWalletIdentifier(input) {
   
   // Match patterns like B1, B2, B3, etc.
   const walletPattern = /^B\d+$/i;
-  return walletPattern.test(input);
+  return walletPattern.test(input) || WalletGroups.isGroupSelector(input);
+}
+
+// Function to turn a G:group / T:tag selector into the one B<n> selector it names (other input is returned unchanged)
+// A transfer has exactly one sender and one receiver, so a selector that matches several wallets is refused
+function toWalletSelector(input) {
+  if (!WalletGroups.isGroupSelector(input)) {
+    return input;
+  }
+  
+  const selectors = WalletGroups.expandSelectors([input]);
+  if (selectors.length !== 1) {
+    throw new Error(`${input} matches ${selectors.length} wallets (${selectors.join(' ')}); a transfer needs exactly one wallet, so use a B<n> selector or a group/tag with a single wallet`);
+  }
+  return selectors[0];
 }
 
 // Function to get private key from wallet identifier using global wallet system
@@ -625,7 +595,15 @@ async function transferTokens(fromPrivateKey, toAddress, token, amount) {
         });
       };
       
-      const result = await executeTransactionWithReplacementFee(transactionFunction);
+      const result = await executeTransactionWithReplacementFee(transactionFunction, { wallet, label: 'transfer' });
+      tradeLedger.recordTransfer({
+        txHash: result.hash,
+        wallet: wallet.address,
+        token: token.symbol,
+        tokenAddress: null,
+        amount,
+        counterparty: toAddress
+      });
       return {
         hash: result.hash,
         gasUsed: result.receipt ? result.receipt.gasUsed : null,
@@ -645,7 +623,15 @@ async function transferTokens(fromPrivateKey, toAddress, token, amount) {
         return await connectedContract.transfer(toAddress, sendAmount, gasParams);
       };
       
-      const result = await executeTransactionWithReplacementFee(transactionFunction);
+      const result = await executeTransactionWithReplacementFee(transactionFunction, { wallet, label: 'transfer' });
+      tradeLedger.recordTransfer({
+        txHash: result.hash,
+        wallet: wallet.address,
+        token: token.symbol,
+        tokenAddress: token.address,
+        amount,
+        counterparty: toAddress
+      });
       return {
         hash: result.hash,
         gasUsed: result.receipt ? result.receipt.gasUsed : null,
@@ -699,7 +685,7 @@ export async function runTransferBot(args) {
         console.log(`⛽ Custom gas price: ${customGasPrice} gwei`);
       }
       if (arg.startsWith('from:')) {
-        senderIdentifier = arg.replace('from:', '');
+        senderIdentifier = toWalletSelector(arg.replace('from:', ''));
         console.log(`📤 Explicitly selected sender wallet: ${senderIdentifier}`);
       }
     }
@@ -727,6 +713,11 @@ export async function runTransferBot(args) {
     const token = tokenResult;
     console.log(`✅ Token resolved: ${token.symbol} (${token.address || 'ETH'}) - Decimals: ${token.decimals}`);
     
+    // Native ETH has no address and is never on the token lists
+    if (token.address) {
+      TokenBlacklist.assertAllowed(token.address, token.symbol, 'transfer');
+    }
+    
     // Resolve receiver address
     console.log(`🔍 Resolving receiver: ${receiverInput}...`);
     const receiverAddress = await resolveAddress(receiverInput);
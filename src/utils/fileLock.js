@@ -0,0 +1,58 @@
+/**
+ * Cross-process file lock
+ * The GUI and every bot process share the JSON stores beside wallets.json; a read-modify-write of one of
+ * them runs under an exclusive `<file>.lock` so concurrent writers cannot overwrite each other's changes
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SLEEP_CELL = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run a synchronous function while holding the lock for a file
+ * A lock older than staleMs is treated as left behind by a crashed process and taken over
+ * @param {string} filePath - File the lock protects
+ * @param {Function} fn - Synchronous function to run under the lock
+ * @param {Object} options - { timeoutMs, staleMs, retryMs }
+ * @returns {*} Whatever fn returns
+ */
+export function withFileLock(filePath, fn, { timeoutMs = 5000, staleMs = 30000, retryMs = 20 } = {}) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  let fd = null;
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      let ageMs = 0;
+      try {
+        ageMs = Date.now() - fs.statSync(lockPath).mtimeMs;
+      } catch {
+        continue; // Released between our open and stat
+      }
+
+      if (ageMs > staleMs) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${path.basename(lockPath)}`);
+      }
+      Atomics.wait(SLEEP_CELL, 0, 0, retryMs);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
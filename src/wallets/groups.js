@@ -0,0 +1,259 @@
+/**
+ * Wallet groups and tags
+ * Named groups (G:snipers) and free-form tags (T:cold) that expand to the
+ * positional B1, B2... selectors every bot already understands
+ */
+
+import fs from 'fs';
+
+const WALLETS_PATH = process.env.WALLETS_DB_PATH || 'wallets.json';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const SELECTOR_PATTERN = /^([GT]):(.+)$/i;
+
+/**
+ * Pure helpers over the wallets.json document. Group membership is stored by
+ * address in a top-level `walletGroups` map so deleting or reordering wallets
+ * never moves a wallet into the wrong group; tags live on each wallet entry.
+ */
+export class WalletGroups {
+  /**
+   * Check whether an argument is a group or tag selector
+   * @param {string} arg - Command line argument
+   * @returns {boolean} True for G:name or T:tag
+   */
+  static isGroupSelector(arg) {
+    return typeof arg === 'string' && SELECTOR_PATTERN.test(arg);
+  }
+
+  /**
+   * Normalise and validate a group or tag name
+   * @param {string} name - Raw name
+   * @param {string} kind - 'group' or 'tag', used in the error message
+   * @returns {string} Lowercased name
+   */
+  static normalizeName(name, kind = 'group') {
+    const normalized = String(name || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(normalized)) {
+      throw new Error(`Invalid ${kind} name "${name}". Use 1-32 letters, digits, "-" or "_"`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Read the wallets database from disk
+   * @param {string} filePath - Path to wallets.json
+   * @returns {Object} Parsed database
+   */
+  static readDatabase(filePath = WALLETS_PATH) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Wallet database not found at ${filePath}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Resolve a single G:/T: selector to 0-based wallet indices
+   * @param {string} selector - G:name or T:tag
+   * @param {Object} db - Wallets database
+   * @returns {Array<number>} Indices into db.wallets
+   */
+  static resolveSelector(selector, db) {
+    const match = String(selector).match(SELECTOR_PATTERN);
+    if (!match) {
+      throw new Error(`Not a group or tag selector: ${selector}`);
+    }
+
+    const wallets = Array.isArray(db?.wallets) ? db.wallets : [];
+    const isGroup = match[1].toUpperCase() === 'G';
+    const name = this.normalizeName(match[2], isGroup ? 'group' : 'tag');
+    const indices = [];
+
+    if (isGroup) {
+      const groups = db?.walletGroups || {};
+      if (!groups[name]) {
+        const known = Object.keys(groups);
+        throw new Error(`Unknown wallet group "${name}"${known.length ? `. Known groups: ${known.join(', ')}` : ''}`);
+      }
+      const members = new Set(groups[name].map(address => address.toLowerCase()));
+      wallets.forEach((wallet, index) => {
+        if (wallet.address && members.has(wallet.address.toLowerCase())) {
+          indices.push(index);
+        }
+      });
+    } else {
+      wallets.forEach((wallet, index) => {
+        if (Array.isArray(wallet.tags) && wallet.tags.includes(name)) {
+          indices.push(index);
+        }
+      });
+    }
+
+    if (indices.length === 0) {
+      throw new Error(`${isGroup ? 'Wallet group' : 'Tag'} "${name}" does not match any wallet`);
+    }
+    return indices;
+  }
+
+  /**
+   * Replace every G:/T: selector in an argument list with B<n> selectors
+   * @param {Array<string>} args - Command line arguments
+   * @param {Object} db - Wallets database (read from disk when omitted)
+   * @returns {Array<string>} Arguments with groups expanded in place
+   */
+  static expandSelectors(args, db = null) {
+    if (!Array.isArray(args) || !args.some(arg => this.isGroupSelector(arg))) {
+      return args;
+    }
+
+    const database = db || this.readDatabase();
+    const explicit = new Set(args.filter(arg => /^B\d+$/i.test(arg)).map(arg => arg.toUpperCase()));
+    const expanded = [];
+
+    for (const arg of args) {
+      if (!this.isGroupSelector(arg)) {
+        expanded.push(arg);
+        continue;
+      }
+
+      const selectors = this.resolveSelector(arg, database)
+        .map(index => `B${index + 1}`)
+        .filter(selector => !explicit.has(selector));
+      selectors.forEach(selector => explicit.add(selector));
+      expanded.push(...selectors);
+      console.log(`👥 ${arg} → ${selectors.length ? selectors.join(' ') : '(already selected)'}`);
+    }
+
+    return expanded;
+  }
+
+  /**
+   * List groups with the wallets they currently resolve to
+   * @param {Object} db - Wallets database
+   * @returns {Array<Object>} Groups with name, addresses, indices and missing count
+   */
+  static listGroups(db) {
+    const wallets = Array.isArray(db?.wallets) ? db.wallets : [];
+    return Object.entries(db?.walletGroups || {}).map(([name, addresses]) => {
+      const indices = [];
+      addresses.forEach(address => {
+        const index = wallets.findIndex(w => w.address && w.address.toLowerCase() === address.toLowerCase());
+        if (index !== -1) indices.push(index);
+      });
+      return {
+        name,
+        addresses,
+        indices: indices.sort((a, b) => a - b),
+        missing: addresses.length - indices.length
+      };
+    });
+  }
+
+  /**
+   * List tags with the wallet indices carrying them
+   * @param {Object} db - Wallets database
+   * @returns {Array<Object>} Tags with name and indices
+   */
+  static listTags(db) {
+    const tags = new Map();
+    (db?.wallets || []).forEach((wallet, index) => {
+      (wallet.tags || []).forEach(tag => {
+        if (!tags.has(tag)) tags.set(tag, []);
+        tags.get(tag).push(index);
+      });
+    });
+    return [...tags.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, indices]) => ({ name, indices }));
+  }
+
+  /**
+   * Create or replace a group
+   * @param {Object} db - Wallets database, modified in place
+   * @param {string} name - Group name
+   * @param {Array<string>} addresses - Member wallet addresses
+   * @returns {string} Normalised group name
+   */
+  static setGroup(db, name, addresses) {
+    const groupName = this.normalizeName(name, 'group');
+    const known = new Set((db.wallets || []).map(w => (w.address || '').toLowerCase()));
+    const members = [...new Set((addresses || []).map(a => String(a).toLowerCase()))];
+
+    if (members.length === 0) {
+      throw new Error('A wallet group needs at least one wallet');
+    }
+    const unknown = members.filter(address => !known.has(address));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown wallet address: ${unknown.join(', ')}`);
+    }
+
+    db.walletGroups = { ...(db.walletGroups || {}), [groupName]: members };
+    return groupName;
+  }
+
+  /**
+   * Delete a group; wallets themselves are untouched
+   * @param {Object} db - Wallets database, modified in place
+   * @param {string} name - Group name
+   * @returns {boolean} True if the group existed
+   */
+  static deleteGroup(db, name) {
+    const groupName = this.normalizeName(name, 'group');
+    if (!db.walletGroups || !db.walletGroups[groupName]) {
+      return false;
+    }
+    delete db.walletGroups[groupName];
+    return true;
+  }
+
+  /**
+   * Add a tag to, or remove it from, a set of wallets
+   * @param {Object} db - Wallets database, modified in place
+   * @param {Array<string>} addresses - Wallet addresses
+   * @param {string} tag - Tag name
+   * @param {boolean} enabled - True to add, false to remove
+   * @returns {number} Number of wallets changed
+   */
+  static setTag(db, addresses, tag, enabled = true) {
+    const tagName = this.normalizeName(tag, 'tag');
+    const targets = new Set((addresses || []).map(a => String(a).toLowerCase()));
+    let changed = 0;
+
+    (db.wallets || []).forEach(wallet => {
+      if (!wallet.address || !targets.has(wallet.address.toLowerCase())) return;
+      const tags = Array.isArray(wallet.tags) ? wallet.tags : [];
+      const has = tags.includes(tagName);
+      if (enabled && !has) {
+        wallet.tags = [...tags, tagName].sort();
+        changed++;
+      } else if (!enabled && has) {
+        wallet.tags = tags.filter(t => t !== tagName);
+        changed++;
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Drop group members whose wallet no longer exists
+   * @param {Object} db - Wallets database, modified in place
+   * @returns {number} Number of stale memberships removed
+   */
+  static pruneGroups(db) {
+    const known = new Set((db.wallets || []).map(w => (w.address || '').toLowerCase()));
+    let removed = 0;
+
+    Object.entries(db.walletGroups || {}).forEach(([name, addresses]) => {
+      const kept = addresses.filter(address => known.has(address.toLowerCase()));
+      removed += addresses.length - kept.length;
+      if (kept.length === 0) {
+        delete db.walletGroups[name];
+      } else {
+        db.walletGroups[name] = kept;
+      }
+    });
+
+    return removed;
+  }
+}
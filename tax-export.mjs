@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { taxExport, EXPORT_FORMATS } from './src/taxExport.js';
+import { tradeLedger } from './src/tradeLedger.js';
+
+// Show usage information
+function showUsage() {
+  console.log('📄 TAX EXPORT - Export the trade ledger for tax/accounting software');
+  console.log('==================================================================');
+  console.log('');
+  console.log('Usage: npm run tax:export [format] [from:YYYY-MM-DD] [to:YYYY-MM-DD] [wallet:0x...] [out:file.csv]');
+  console.log('');
+  console.log(`Formats: ${EXPORT_FORMATS.join(', ')} (default: generic)`);
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run tax:export koinly from:2025-01-01 to:2025-12-31');
+  console.log('  npm run tax:export cointracking wallet:0x1234... out:trades.csv');
+  console.log('');
+  console.log('💡 from:/to: dates are UTC days');
+  console.log('💡 wallet: can be repeated; all wallets are exported when omitted');
+}
+
+// Parse CLI arguments into format, filters and output path
+function parseArgs(args) {
+  const options = { format: 'generic', filters: { wallets: [] }, out: null };
+
+  args.forEach((arg) => {
+    const [key, ...rest] = arg.split(':');
+    const value = rest.join(':');
+
+    if (EXPORT_FORMATS.includes(arg.toLowerCase())) {
+      options.format = arg.toLowerCase();
+    } else if (key === 'from' && value) {
+      // Plain dates are UTC days, so the tax year does not shift with the machine's time zone
+      options.filters.from = value.includes('T') ? value : `${value}T00:00:00Z`;
+    } else if (key === 'to' && value) {
+      // A plain date includes the whole (UTC) day
+      options.filters.to = value.includes('T') ? value : `${value}T23:59:59.999Z`;
+    } else if (key === 'wallet' && value) {
+      options.filters.wallets.push(value);
+    } else if (key === 'out' && value) {
+      options.out = value;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+
+  return options;
+}
+
+// Parse arguments and execute
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    showUsage();
+    process.exit(0);
+  }
+
+  try {
+    const { format, filters, out } = parseArgs(args);
+    const outputPath = path.resolve(out || taxExport.getDefaultFileName(format));
+
+    console.log(`📄 Exporting trade ledger (${format})...`);
+    const result = await taxExport.exportTrades(filters, format);
+
+    fs.writeFileSync(outputPath, result.csv);
+    tradeLedger.close();
+
+    console.log(`✅ Exported ${result.entries} entries to ${outputPath}`);
+    process.exit(0);
+
+  } catch (error) {
+    console.log(`\n❌ Tax export error: ${error.message}`);
+    console.log(`💡 Use 'npm run tax:export help' to see usage`);
+    process.exit(1);
+  }
+}
+
+// Only run main if this file is executed directly
+if (process.argv[1].endsWith('tax-export.mjs')) {
+  main();
+}
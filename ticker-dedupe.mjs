@@ -7,7 +7,7 @@ TICKER DEDUPE - STANDALONE DEDUPLICATION COMMAND
 =================================================================
 
 FEATURES:
-✅ Standalone Deduplication: Deduplicate existing databases without fetching new data
+✅ Standalone Deduplication: Remove repeated contracts and rank duplicate tickers without fetching new data
 ✅ Single Chain Mode: Deduplicate specific chain (BASE, ETH, SOLANA)
 ✅ Multi Chain Mode: Deduplicate all chains at once
 ✅ Backup Creation: Creates .backup files before deduplication
@@ -181,8 +181,8 @@ async function main() {
         console.log(`🔧 TICKER DEDUPLICATION TOOL`);
         console.log(`============================`);
         console.log(``);
-        console.log(`This tool deduplicates ticker databases by keeping only the token`);
-        console.log(`with the highest VIRTUAL reserves for each duplicate ticker symbol.`);
+        console.log(`This tool removes repeated contract entries from the ticker databases and ranks`);
+        console.log(`tokens that share a ticker by VIRTUAL reserves (every contract is kept).`);
         console.log(``);
         console.log(`Usage:`);
         console.log(`  npm run ticker:dedupe              # Deduplicate all chains`);
@@ -193,7 +193,7 @@ async function main() {
         console.log(`Features:`);
         console.log(`  • 🔍 Finds duplicate ticker symbols`);
         console.log(`  • 🏊 Checks Uniswap V2 pool reserves via find-pool.mjs`);
-        console.log(`  • 🏆 Keeps token with highest VIRTUAL reserves`);
+        console.log(`  • 🏆 Ranks tokens of a ticker by VIRTUAL reserves, most liquid first`);
         console.log(`  • 📄 Creates backup files before processing`);
         console.log(`  • 📊 Provides detailed before/after statistics`);
         console.log(``);
@@ -201,8 +201,8 @@ async function main() {
         console.log(`  📊 Found 3 ticker(s) with duplicates:`);
         console.log(`     • TRUST: 2 instances`);
         console.log(`     • VADER: 3 instances`);
-        console.log(`  🏆 Keeping tokens with highest VIRTUAL reserves`);
-        console.log(`  🗑️  Removed 3 duplicate ticker(s) with lower reserves`);
+        console.log(`  ✅ Kept 2 TRUST tokens, most liquid first: 0x…`);
+        console.log(`  🗑️  Repeated entries removed: 1`);
         
         // Default to all chains
         await deduplicateAllChains();
@@ -3,13 +3,13 @@ import { ethers } from 'ethers';
 
 /*
 =================================================================
-TICKER DEDUPLICATOR - VIRTUAL RESERVES BASED DEDUPLICATION
+TICKER DEDUPLICATOR - VIRTUAL RESERVES BASED RANKING
 =================================================================
 
 FEATURES:
 ✅ Duplicate Ticker Detection: Finds tokens with same symbol
 ✅ Pool Reserve Analysis: Uses find-pool.mjs to check VIRTUAL reserves
-✅ Highest Liquidity Priority: Keeps token with most VIRTUAL in pool
+✅ Liquidity Ranking: Keeps every contract of a ticker, most VIRTUAL in pool first
 ✅ Multi-chain Support: Works with BASE, ETH, SOLANA databases
 ✅ Comprehensive Logging: Shows deduplication process step by step
 
@@ -21,7 +21,7 @@ USAGE:
 INTEGRATION:
 • Called by all ticker commands after data processing
 • Updates base.json, eth.json, sol.json with deduplicated data
-• Ensures only highest liquidity tokens remain in database
+• Removes repeated entries for the same contract; bots disambiguate tickers with SYMBOL@0x… or SYMBOL@<n>
 =================================================================
 */
 
@@ -138,10 +138,13 @@ async function checkPoolReserves(tokenAddress) {
 }
 
 /**
- * Deduplicate tokens by keeping the one with highest VIRTUAL reserves
+ * Rank tokens that share a ticker by VIRTUAL reserves
+ * Every distinct contract is kept (the token registry lets bots and the GUI choose between them);
+ * only repeated entries for the same contract address are removed. Each ranked token gets a
+ * liquidityVirtual field and the most liquid token of a ticker comes first.
  * @param {Array} tokens - Array of token objects
  * @param {string} chainName - Chain name for logging (BASE, ETH, SOLANA)
- * @returns {Promise<Array>} - Deduplicated array of tokens
+ * @returns {Promise<Array>} - Tokens with repeated addresses removed and duplicate tickers ranked
  */
 async function deduplicateByReserves(tokens, chainName = 'UNKNOWN') {
     console.log(`\n🔄 Starting deduplication process for ${chainName} chain...`);
@@ -169,12 +172,34 @@ async function deduplicateByReserves(tokens, chainName = 'UNKNOWN') {
         console.log(`\n🎯 Processing duplicates for ticker: ${symbol}`);
         console.log(`   📊 Found ${duplicateTokens.length} tokens with symbol ${symbol}`);
         
-        // Step 3: Check pool reserves for each duplicate
+        // Step 3: Drop repeated entries for the same contract
+        const seenAddresses = new Set();
+        const distinctTokens = [];
+        duplicateTokens.forEach(token => {
+            const key = String(token.tokenAddress || '').toLowerCase();
+            if (seenAddresses.has(key)) {
+                const index = deduplicatedTokens.indexOf(token);
+                if (index !== -1) {
+                    deduplicatedTokens.splice(index, 1);
+                    totalRemoved++;
+                    console.log(`   🗑️  Removed repeated entry: ${token.tokenAddress}`);
+                }
+                return;
+            }
+            seenAddresses.add(key);
+            distinctTokens.push(token);
+        });
+        
+        if (distinctTokens.length < 2) {
+            continue;
+        }
+        
+        // Step 4: Check pool reserves for each distinct contract
         const reserveResults = [];
         
-        for (let i = 0; i < duplicateTokens.length; i++) {
-            const token = duplicateTokens[i];
-            console.log(`   🔍 Checking token ${i + 1}/${duplicateTokens.length}: ${token.tokenAddress}`);
+        for (let i = 0; i < distinctTokens.length; i++) {
+            const token = distinctTokens[i];
+            console.log(`   🔍 Checking token ${i + 1}/${distinctTokens.length}: ${token.tokenAddress}`);
             
             const reserveResult = await checkPoolReserves(token.tokenAddress);
             reserveResults.push({
@@ -183,82 +208,40 @@ async function deduplicateByReserves(tokens, chainName = 'UNKNOWN') {
             });
             
             // Add small delay to avoid overwhelming RPC
-            if (i < duplicateTokens.length - 1) {
+            if (i < distinctTokens.length - 1) {
                 await new Promise(resolve => setTimeout(resolve, 500));
             }
         }
         
-        // Step 4: Find token with highest VIRTUAL reserves
-        let bestToken = null;
-        let highestReserves = 0n;
+        // Step 5: Rank by VIRTUAL reserves (tokens without a VIRTUAL pool last)
+        reserveResults.sort((a, b) => {
+            const reservesA = a.success ? BigInt(a.virtualReserves || '0') : -1n;
+            const reservesB = b.success ? BigInt(b.virtualReserves || '0') : -1n;
+            return reservesB > reservesA ? 1 : reservesB < reservesA ? -1 : 0;
+        });
         
-        console.log(`   📊 Reserve comparison for ${symbol}:`);
+        console.log(`   📊 Reserve ranking for ${symbol}:`);
         reserveResults.forEach((result, index) => {
-            const reserves = BigInt(result.virtualReserves || '0');
-            const virtualAmount = result.virtualAmount || '0';
-            
+            result.token.liquidityVirtual = result.success ? parseFloat(result.virtualAmount || '0') : 0;
             console.log(`      ${index + 1}. ${result.token.tokenAddress}`);
-            console.log(`         VIRTUAL reserves: ${virtualAmount} VIRTUAL`);
-            
-            if (result.success && reserves > highestReserves) {
-                highestReserves = reserves;
-                bestToken = result.token;
-                console.log(`         🏆 NEW HIGHEST - This token selected`);
-            } else if (!result.success) {
-                console.log(`         ❌ ${result.error}`);
-            } else {
-                console.log(`         ⚠️  Lower reserves`);
-            }
+            console.log(`         ${result.success ? `VIRTUAL reserves: ${result.virtualAmount} VIRTUAL` : `❌ ${result.error}`}`);
         });
         
-        // Step 5: Remove all duplicates except the best one
-        if (bestToken) {
-            console.log(`   ✅ Keeping token with highest reserves: ${bestToken.tokenAddress}`);
-            console.log(`      VIRTUAL reserves: ${ethers.formatEther(highestReserves)} VIRTUAL`);
-            
-            // Remove all duplicates except the best one
-            const tokensToRemove = duplicateTokens.filter(token => 
-                token.tokenAddress !== bestToken.tokenAddress
-            );
-            
-            tokensToRemove.forEach(tokenToRemove => {
-                const index = deduplicatedTokens.findIndex(t => 
-                    t.tokenAddress === tokenToRemove.tokenAddress
-                );
-                if (index !== -1) {
-                    deduplicatedTokens.splice(index, 1);
-                    totalRemoved++;
-                    console.log(`   🗑️  Removed: ${tokenToRemove.tokenAddress}`);
-                }
-            });
-        } else {
-            console.log(`   ⚠️  No token with valid pool found for ${symbol}`);
-            console.log(`   📋  Keeping all instances (unable to determine best)`);
-            
-            // If no valid pools found, keep the first one and remove others
-            // This prevents leaving duplicates when pool checking fails
-            const firstToken = duplicateTokens[0];
-            const tokensToRemove = duplicateTokens.slice(1);
-            
-            console.log(`   🎲 Defaulting to first token: ${firstToken.tokenAddress}`);
-            
-            tokensToRemove.forEach(tokenToRemove => {
-                const index = deduplicatedTokens.findIndex(t => 
-                    t.tokenAddress === tokenToRemove.tokenAddress
-                );
-                if (index !== -1) {
-                    deduplicatedTokens.splice(index, 1);
-                    totalRemoved++;
-                    console.log(`   🗑️  Removed (default): ${tokenToRemove.tokenAddress}`);
-                }
-            });
-        }
+        // Step 6: Write the group back in ranked order, in the slots it already occupied
+        const slots = distinctTokens
+            .map(token => deduplicatedTokens.indexOf(token))
+            .filter(index => index !== -1)
+            .sort((a, b) => a - b);
+        slots.forEach((slot, i) => {
+            deduplicatedTokens[slot] = reserveResults[i].token;
+        });
+        console.log(`   ✅ Kept ${distinctTokens.length} ${symbol} tokens, most liquid first: ${reserveResults[0].token.tokenAddress}`);
     }
     
     console.log(`\n🎉 Deduplication completed for ${chainName} chain:`);
     console.log(`   📊 Original tokens: ${tokens.length}`);
     console.log(`   🔍 Duplicate groups processed: ${duplicateCount}`);
-    console.log(`   🗑️  Tokens removed: ${totalRemoved}`);
+    console.log(`   🗑️  Repeated entries removed: ${totalRemoved}`);
     console.log(`   ✅ Final tokens: ${deduplicatedTokens.length}`);
     
     return deduplicatedTokens;
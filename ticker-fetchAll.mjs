@@ -1,42 +1,32 @@
-import fs from 'fs/promises';
-import fetch from 'node-fetch';
 import { deduplicateByReserves, findDuplicateTickers } from './ticker-deduplicator.mjs';
-import { processTokensWithMarketCapFilter } from './ticker-market-filter.mjs';
-
-// Function to load existing data from file
-async function loadExistingData(filename) {
-    try {
-        const data = await fs.readFile(filename, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.log(`No existing data found in ${filename}, starting fresh.`);
-        return [];
-    }
-}
+import { processTokensWithMarketCapFilter, getMarketCapThreshold } from './ticker-market-filter.mjs';
+import { tickerSync, TICKER_APIS } from './src/tickerSync.js';
 
 // Function to merge and deduplicate data
 function mergeAndDeduplicate(existingData, newData) {
     const merged = [...existingData];
-    const existingAddresses = new Set(existingData.map(item => item.tokenAddress));
+    const existingAddresses = new Set(existingData.map(item => String(item.tokenAddress).toLowerCase()));
     
     newData.forEach(newItem => {
-        if (!existingAddresses.has(newItem.tokenAddress)) {
+        const key = String(newItem.tokenAddress).toLowerCase();
+        if (!existingAddresses.has(key)) {
             merged.push(newItem);
-            existingAddresses.add(newItem.tokenAddress);
+            existingAddresses.add(key);
         }
     });
     
     return merged;
 }
 
-async function fetchAllVirtuals() {
-    const baseUrl = 'https://api.virtuals.io/api/virtuals';
+// Fetch every chain through the staged sync (options.preset: filter preset whose minimum market cap applies)
+async function fetchAllVirtuals(options = {}) {
     const chains = ['BASE', 'ETH', 'SOLANA'];
     const outputFiles = {
         'BASE': 'base.json',
         'ETH': 'eth.json',
         'SOLANA': 'sol.json'
     };
+    const results = {};
     
     for (const chain of chains) {
         const params = {
@@ -52,29 +42,26 @@ async function fetchAllVirtuals() {
             'noCache': 0
         };
         
-        // Load existing data
-        const existingData = await loadExistingData(outputFiles[chain]);
-        console.log(`📊 ${chain}: Loaded ${existingData.length} existing records`);
-        
-        const newResults = [];
-        let hasMore = true;
-        console.log(`🔍 ${chain}: Fetching new data...`);
-        
-        while (hasMore) {
-            try {
-                const url = new URL(baseUrl);
+        // The sync engine only swaps the file in once every page arrived and the result validates
+        results[chain] = await tickerSync.sync(chain, async ({ current: existingData, fetchJson }) => {
+            console.log(`📊 ${chain}: Loaded ${existingData.length} existing records`);
+            
+            const newResults = [];
+            let hasMore = true;
+            console.log(`🔍 ${chain}: Fetching new data...`);
+            
+            while (hasMore) {
+                const url = new URL(TICKER_APIS.VIRTUALS);
                 Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
                 console.log(`   📄 ${chain}: Fetching page ${params['pagination[page]']}...`);
                 
-                const response = await fetch(url);
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                const data = await fetchJson(url);
+                if (!Array.isArray(data.data) || !data.meta || !data.meta.pagination) {
+                    throw new Error(`Unexpected API response on page ${params['pagination[page]']}`);
                 }
                 
-                const data = await response.json();
-                
-                // Process tokens with market cap filtering (50k VIRTUAL minimum)
-                const filteredVirtuals = processTokensWithMarketCapFilter(data.data, chain);
+                // Process tokens with the preset's market cap filter
+                const filteredVirtuals = processTokensWithMarketCapFilter(data.data, chain, options.preset);
                 
                 newResults.push(...filteredVirtuals);
                 const { page, pageCount } = data.meta.pagination;
@@ -85,57 +72,50 @@ async function fetchAllVirtuals() {
                 if (!hasMore) {
                     console.log(`🏁 ${chain}: All pages fetched`);
                 }
-            } catch (error) {
-                console.error(`Error fetching data for ${chain}:`, error);
-                break;
             }
-        }
-        
-        if (newResults.length > 0) {
-            try {
-                // Merge new data with existing data and remove duplicates
-                const mergedData = mergeAndDeduplicate(existingData, newResults);
-                const newEntriesAdded = mergedData.length - existingData.length;
-                
-                console.log(`📊 ${chain}: Merged ${mergedData.length} total records (${newEntriesAdded} new entries added)`);
-                
-                // Check if duplicates exist before running deduplication
-                const duplicates = findDuplicateTickers(mergedData);
-                const duplicateCount = Object.keys(duplicates).length;
-                
-                let finalData = mergedData;
-                let duplicatesRemoved = 0;
-                
-                if (duplicateCount > 0) {
-                    console.log(`🔍 ${chain}: Found ${duplicateCount} ticker(s) with duplicates - running deduplication...`);
-                    Object.keys(duplicates).forEach(symbol => {
-                        console.log(`   • ${symbol}: ${duplicates[symbol].length} instances`);
-                    });
-                    
-                    // Apply VIRTUAL reserves-based deduplication
-                    console.log(`🔄 ${chain}: Starting deduplication by VIRTUAL reserves...`);
-                    const deduplicatedData = await deduplicateByReserves(mergedData, chain);
-                    duplicatesRemoved = mergedData.length - deduplicatedData.length;
-                    finalData = deduplicatedData;
-                    
-                    if (duplicatesRemoved > 0) {
-                        console.log(`🗑️  ${chain}: Removed ${duplicatesRemoved} duplicate ticker(s) with lower reserves`);
-                    }
-                } else {
-                    console.log(`✅ ${chain}: No duplicate tickers found - skipping deduplication process`);
-                }
-                
-                await fs.writeFile(outputFiles[chain], JSON.stringify(finalData, null, 2));
-                console.log(`💾 ${chain}: Updated ${outputFiles[chain]}`);
-                console.log(`   📊 Final records: ${finalData.length}${duplicatesRemoved > 0 ? ' (after deduplication)' : ''}`);
-            } catch (error) {
-                console.error(`❌ ${chain}: Error writing to ${outputFiles[chain]}:`, error);
+            
+            if (newResults.length === 0) {
+                console.log(`⚠️  ${chain}: No new data fetched`);
+                return existingData;
+            }
+            
+            // Merge new data with existing data and remove duplicates
+            const mergedData = mergeAndDeduplicate(existingData, newResults);
+            const newEntriesAdded = mergedData.length - existingData.length;
+            
+            console.log(`📊 ${chain}: Merged ${mergedData.length} total records (${newEntriesAdded} new entries added)`);
+            
+            // Check if duplicates exist before running deduplication
+            const duplicates = findDuplicateTickers(mergedData);
+            const duplicateCount = Object.keys(duplicates).length;
+            
+            if (duplicateCount === 0) {
+                console.log(`✅ ${chain}: No duplicate tickers found - skipping deduplication process`);
+                return mergedData;
             }
-        } else {
-            console.log(`⚠️  ${chain}: No new data fetched`);
+            
+            console.log(`🔍 ${chain}: Found ${duplicateCount} ticker(s) with duplicates - running deduplication...`);
+            Object.keys(duplicates).forEach(symbol => {
+                console.log(`   • ${symbol}: ${duplicates[symbol].length} instances`);
+            });
+            
+            // Apply VIRTUAL reserves-based deduplication
+            console.log(`🔄 ${chain}: Starting deduplication by VIRTUAL reserves...`);
+            const deduplicatedData = await deduplicateByReserves(mergedData, chain);
+            const duplicatesRemoved = mergedData.length - deduplicatedData.length;
+            
+            if (duplicatesRemoved > 0) {
+                console.log(`🗑️  ${chain}: Removed ${duplicatesRemoved} repeated token entr${duplicatesRemoved === 1 ? 'y' : 'ies'}`);
+            }
+            return deduplicatedData;
+        }, options);
+        
+        if (results[chain].success && !results[chain].unchanged) {
+            console.log(`💾 ${chain}: Updated ${outputFiles[chain]}`);
         }
     }
     console.log('🎯 Finished processing all chains (BASE, ETH, SOLANA)');
+    return results;
 }
 
 // Main function
@@ -144,12 +124,21 @@ async function main() {
     console.log('====================================================');
     console.log('📊 This will fetch all Virtual tokens data from API');
     console.log('🔗 Chains: BASE, ETH, SOLANA');
-    console.log('💰 Market Cap Filter: Excludes tokens < 50,000 VIRTUAL');
+    const presetIndex = process.argv.indexOf('--preset');
+    const preset = presetIndex !== -1 ? process.argv[presetIndex + 1] : null;
+    console.log(`💰 Market Cap Filter: Excludes tokens < ${getMarketCapThreshold(null, preset).toLocaleString()} VIRTUAL (${preset ? `preset ${preset}` : 'active filter preset'})`);
     console.log('🔄 Includes automatic deduplication by VIRTUAL reserves');
     console.log('📁 Output: base.json, eth.json, sol.json');
+    console.log('🛡️ Staged sync: a failed or partial fetch keeps the current files (--offline skips the API, --allow-shrink accepts a large drop in records)');
     console.log('');
     
-    await fetchAllVirtuals();
+    if (process.argv.includes('--offline')) {
+        tickerSync.offline = true;
+    }
+    const results = await fetchAllVirtuals({ preset, allowShrink: process.argv.includes('--allow-shrink') });
+    if (Object.values(results).some(result => !result.success && !result.offline)) {
+        process.exitCode = 1;
+    }
 }
 
 // Only run main if this file is executed directly
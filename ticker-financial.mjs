@@ -128,6 +128,7 @@ function processTokenWithFinancials(token) {
         
         // Additional data
         tokenomics: token.tokenomics || null,
+        createdAt: token.lpCreatedAt || token.createdAt || null,
         lastUpdated: new Date().toISOString(),
         
         // Metadata
@@ -268,7 +269,7 @@ async function fetchFinancialData(chainFilter = null, searchSymbol = null) {
                 finalData = deduplicatedData;
                 
                 if (duplicatesRemoved > 0) {
-                    console.log(`🗑️  ${chain}: Removed ${duplicatesRemoved} duplicate ticker(s) with lower reserves`);
+                    console.log(`🗑️  ${chain}: Removed ${duplicatesRemoved} repeated token entr${duplicatesRemoved === 1 ? 'y' : 'ies'}`);
                 }
             } else {
                 console.log(`✅ ${chain}: No duplicate tickers found - skipping deduplication`);
@@ -1,36 +1,38 @@
+import { tickerFilters } from './src/tickerFilters.js';
+
 /*
 =================================================================
 TICKER MARKET CAP FILTER - SHARED UTILITY
 =================================================================
 
 FEATURES:
-✅ Market Cap Filtering: Exclude tokens with mcapInVirtual < 50,000
+✅ Market Cap Filtering: Exclude tokens below the active filter preset's minimum market cap
 ✅ Shared Logic: Used by all ticker commands for consistency
 ✅ Statistics Tracking: Shows how many tokens were filtered out
-✅ Flexible Threshold: Can be easily adjusted if needed
+✅ Configurable Threshold: Set by the active preset in ticker-filters.json (default 50,000 VIRTUAL)
 
 INTEGRATION:
 • Used by ticker:search, ticker:fetchAll, ticker:updateNew, ticker:runAll
 • Ensures only tokens with significant market cap are saved
 • Improves database quality by filtering micro-cap tokens
+• The other preset rules (liquidity, labels, age, volume) prune the databases in ticker:runAll
 =================================================================
 */
 
-// Market cap threshold in VIRTUAL tokens
-const MIN_MARKET_CAP = 50000; // 50,000 VIRTUAL tokens
-
 /**
  * Filters tokens based on market cap threshold
  * @param {Array} tokens - Array of token objects with mcapInVirtual property
  * @param {string} chain - Chain name for logging (BASE, ETH, SOLANA)
+ * @param {string} preset - Filter preset whose minimum applies (default the active preset)
  * @returns {Object} - { filteredTokens: Array, stats: Object }
  */
-export function filterByMarketCap(tokens, chain = '') {
+export function filterByMarketCap(tokens, chain = '', preset = null) {
     if (!Array.isArray(tokens)) {
         console.log(`⚠️  ${chain}: Invalid tokens array for market cap filtering`);
         return { filteredTokens: [], stats: { total: 0, filtered: 0, excluded: 0 } };
     }
 
+    const minMarketCap = getMarketCapThreshold(chain, preset);
     const total = tokens.length;
     let excluded = 0;
     let noMarketCapData = 0;
@@ -44,7 +46,7 @@ export function filterByMarketCap(tokens, chain = '') {
         }
 
         // Check if market cap meets minimum threshold
-        if (token.mcapInVirtual < MIN_MARKET_CAP) {
+        if (token.mcapInVirtual < minMarketCap) {
             excluded++;
             return false;
         }
@@ -60,7 +62,7 @@ export function filterByMarketCap(tokens, chain = '') {
         filtered,
         excluded,
         noMarketCapData,
-        threshold: MIN_MARKET_CAP
+        threshold: minMarketCap
     };
 
     // Log filtering results if there were exclusions
@@ -69,13 +71,13 @@ export function filterByMarketCap(tokens, chain = '') {
         console.log(`   📊 Total tokens processed: ${total}`);
         console.log(`   ✅ Tokens kept: ${filtered}`);
         if (excluded > 0) {
-            console.log(`   🚫 Tokens excluded (< ${MIN_MARKET_CAP.toLocaleString()} VIRTUAL): ${excluded}`);
+            console.log(`   🚫 Tokens excluded (< ${minMarketCap.toLocaleString()} VIRTUAL): ${excluded}`);
         }
         if (noMarketCapData > 0) {
             console.log(`   ❓ Tokens with no market cap data (kept): ${noMarketCapData}`);
         }
     } else if (total > 0) {
-        console.log(`✅ ${chain}: All ${total} tokens passed market cap filter (>= ${MIN_MARKET_CAP.toLocaleString()} VIRTUAL)`);
+        console.log(`✅ ${chain}: All ${total} tokens passed market cap filter (>= ${minMarketCap.toLocaleString()} VIRTUAL)`);
     }
 
     return { filteredTokens, stats };
@@ -85,9 +87,10 @@ export function filterByMarketCap(tokens, chain = '') {
  * Enhanced token data processor with market cap filtering
  * @param {Array} apiTokens - Raw tokens from API
  * @param {string} chain - Chain name for logging
+ * @param {string} preset - Filter preset whose minimum applies (default the active preset)
  * @returns {Array} - Processed and filtered tokens
  */
-export function processTokensWithMarketCapFilter(apiTokens, chain = '') {
+export function processTokensWithMarketCapFilter(apiTokens, chain = '', preset = null) {
     if (!Array.isArray(apiTokens)) {
         return [];
     }
@@ -98,21 +101,25 @@ export function processTokensWithMarketCapFilter(apiTokens, chain = '') {
         tokenAddress: item.tokenAddress,
         lpAddress: item.lpAddress,
         name: item.name || item.symbol,
-        mcapInVirtual: item.mcapInVirtual || null // Include market cap data
+        mcapInVirtual: item.mcapInVirtual || null, // Include market cap data
+        label: item.genesis ? 'Genesis' : 'Sentient',
+        createdAt: item.lpCreatedAt || item.createdAt || null // Age rule of the filter presets
     }));
 
     // Apply market cap filter
-    const { filteredTokens, stats } = filterByMarketCap(processedTokens, chain);
+    const { filteredTokens, stats } = filterByMarketCap(processedTokens, chain, preset);
 
     return filteredTokens;
 }
 
 /**
  * Get current market cap threshold
+ * @param {string} chain - Chain name (a preset limited to other chains does not filter it)
+ * @param {string} preset - Filter preset name (default the active preset)
  * @returns {number} - Current minimum market cap threshold
  */
-export function getMarketCapThreshold() {
-    return MIN_MARKET_CAP;
+export function getMarketCapThreshold(chain = null, preset = null) {
+    return tickerFilters.getMarketCapThreshold(chain, preset);
 }
 
 /**
@@ -126,5 +133,5 @@ export function tokenMeetsMarketCapRequirement(token) {
         return true;
     }
     
-    return token.mcapInVirtual >= MIN_MARKET_CAP;
+    return token.mcapInVirtual >= getMarketCapThreshold();
 } 
\ No newline at end of file
@@ -1,31 +1,109 @@
-import { fetchAllVirtuals } from './ticker-fetchAll.js';
-import { createExcelFile } from './ticker-exportSheet.js';
+import { fetchAllVirtuals } from './ticker-fetchAll.mjs';
+import { tickerFilters } from './src/tickerFilters.js';
+
+/**
+ * Parse runAll flags: --preset NAME, --preview (report what the preset would prune without writing), --offline
+ * @returns {Object} { preset, preview, offline }
+ */
+function parseArgs(argv) {
+    const presetIndex = argv.indexOf('--preset');
+    return {
+        preset: presetIndex !== -1 ? argv[presetIndex + 1] : null,
+        preview: argv.includes('--preview'),
+        offline: argv.includes('--offline')
+    };
+}
+
+/**
+ * Print what a filter preset keeps and prunes per chain
+ * @param {Object} preview - Result of tickerFilters.preview()
+ */
+function printPreview(preview) {
+    for (const chain of preview.chains) {
+        console.log(`   • ${chain.chain} (${chain.file}): keeps ${chain.kept} of ${chain.total}, prunes ${chain.pruned}`);
+        Object.entries(chain.byReason).forEach(([reason, count]) => {
+            console.log(`      - ${reason}: ${count}`);
+        });
+        chain.prunedTokens.slice(0, 10).forEach(token => {
+            console.log(`      🗑️  ${token.symbol} ${token.tokenAddress} - ${token.reasons.join(', ')}`);
+        });
+        if (chain.prunedTokens.length > 10) {
+            console.log(`      … and ${chain.prunedTokens.length - 10} more`);
+        }
+    }
+}
 
 async function runAll() {
     try {
+        const args = parseArgs(process.argv.slice(2));
+        const preset = tickerFilters.getPreset(args.preset);
+        
         console.log('🚀 TICKER DATA MANAGEMENT - RUN ALL');
         console.log('====================================');
-        console.log('📊 This will fetch all Virtual tokens data and export to Excel');
+        console.log('📊 This will fetch all Virtual tokens data, apply the filter preset and export to Excel');
         console.log('🔗 Chains: BASE, ETH, SOLANA');
+        console.log(`🧹 Filter preset: ${preset.name} - ${tickerFilters.describeRules(preset.rules)}${args.preview ? ' (preview only)' : ''}`);
         console.log('📁 Output: base.json, eth.json, sol.json + Excel export');
         console.log('');
         
         console.log('📡 Step 1: Fetching all virtual tokens data...');
         const startTime = Date.now();
-        await fetchAllVirtuals();
+        if (args.offline) {
+            const { tickerSync } = await import('./src/tickerSync.js');
+            tickerSync.offline = true;
+        }
+        const syncResults = await fetchAllVirtuals({ preset: preset.name });
         const fetchTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ Data fetch completed in ${fetchTime}s`);
+        // A failed or rejected chain keeps its current file; the remaining steps still run on it
+        const failedChains = Object.entries(syncResults).filter(([, result]) => !result.success).map(([chain]) => chain);
+        if (failedChains.length > 0) {
+            console.log(`⚠️ Data fetch finished in ${fetchTime}s - sync failed for ${failedChains.join(', ')}`);
+        } else {
+            console.log(`✅ Data fetch completed in ${fetchTime}s`);
+        }
+        console.log('');
+        
+        console.log(`🧹 Step 2: ${args.preview ? 'Previewing' : 'Applying'} filter preset "${preset.name}"...`);
+        const filterStartTime = Date.now();
+        if (args.preview) {
+            const preview = await tickerFilters.preview({ preset: preset.name });
+            if (!preview.success) {
+                throw new Error(preview.error);
+            }
+            printPreview(preview);
+        } else {
+            const applied = await tickerFilters.apply({ preset: preset.name });
+            if (!applied.success) {
+                throw new Error(`Filter preset not applied - ${applied.error}`);
+            }
+            console.log('   ↩️  Undo with: npm run ticker:sync rollback <BASE|ETH|SOLANA>');
+        }
+        const filterTime = ((Date.now() - filterStartTime) / 1000).toFixed(2);
+        console.log(`✅ Filter ${args.preview ? 'preview' : 'step'} completed in ${filterTime}s`);
         console.log('');
         
-        console.log('📊 Step 2: Creating Excel export...');
+        console.log('📊 Step 3: Creating Excel export...');
         const exportStartTime = Date.now();
-        await createExcelFile();
-        const exportTime = ((Date.now() - exportStartTime) / 1000).toFixed(2);
-        console.log(`✅ Excel export completed in ${exportTime}s`);
+        let createExcelFile = null;
+        try {
+            ({ createExcelFile } = await import('./ticker-exportSheet.js'));
+        } catch {
+            console.log('⚠️  ticker-exportSheet.js not available - skipping Excel export');
+        }
+        if (createExcelFile) {
+            await createExcelFile();
+            const exportTime = ((Date.now() - exportStartTime) / 1000).toFixed(2);
+            console.log(`✅ Excel export completed in ${exportTime}s`);
+        }
         
         const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log('');
-        console.log('🎉 ALL OPERATIONS COMPLETED SUCCESSFULLY!');
+        if (failedChains.length > 0) {
+            console.log(`❌ COMPLETED WITH ERRORS: ${failedChains.join(', ')} not synced (current files kept)`);
+            process.exitCode = 1;
+        } else {
+            console.log('🎉 ALL OPERATIONS COMPLETED SUCCESSFULLY!');
+        }
         console.log(`⏱️ Total time: ${totalTime}s`);
         console.log('');
         console.log('📝 Available commands:');
@@ -33,7 +111,9 @@ async function runAll() {
         console.log('  • npm run ticker:search <0x...>      - Search by contract address');
         console.log('  • npm run ticker:fetchAll            - Fetch all tokens data');
         console.log('  • npm run ticker:export              - Export to Excel');
-        console.log('  • npm run ticker:runAll              - Run fetch + export');
+        console.log('  • npm run ticker:runAll              - Run fetch + filter + export');
+        console.log('  • npm run ticker:runAll -- --preset NAME [--preview]  - Use another filter preset, or only show what it prunes');
+        console.log('  • npm run ticker:sync                - Sync history and rollback');
         
     } catch (error) {
         console.error('❌ Error during execution:', error.message);
@@ -44,4 +124,4 @@ async function runAll() {
 
 // Show startup banner
 console.log('🔄 Starting ticker data management operations...');
-runAll(); 
\ No newline at end of file
+runAll();
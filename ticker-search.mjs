@@ -1,7 +1,7 @@
 import fs from 'fs/promises';
 import fetch from 'node-fetch';
 import { deduplicateByReserves, findDuplicateTickers } from './ticker-deduplicator.mjs';
-import { tokenMeetsMarketCapRequirement } from './ticker-market-filter.mjs';
+import { tokenMeetsMarketCapRequirement, getMarketCapThreshold } from './ticker-market-filter.mjs';
 
 /*
 =================================================================
@@ -139,7 +139,7 @@ async function searchTicker(searchInput) {
                     // Check market cap filter
                     if (!tokenMeetsMarketCapRequirement(tokenData)) {
                         excludedByMarketCap++;
-                        console.log(`  🚫 Excluded: ${token.symbol} (Market cap: ${token.mcapInVirtual?.toFixed(2) || 'N/A'} VIRTUAL < 50,000)`);
+                        console.log(`  🚫 Excluded: ${token.symbol} (Market cap: ${token.mcapInVirtual?.toFixed(2) || 'N/A'} VIRTUAL < ${getMarketCapThreshold().toLocaleString()})`);
                         continue;
                     }
                     
@@ -170,7 +170,7 @@ async function searchTicker(searchInput) {
                 
                 // Show market cap filtering summary
                 if (excludedByMarketCap > 0) {
-                    console.log(`💰 Market cap filter excluded ${excludedByMarketCap} token(s) with < 50,000 VIRTUAL market cap`);
+                    console.log(`💰 Market cap filter excluded ${excludedByMarketCap} token(s) with < ${getMarketCapThreshold().toLocaleString()} VIRTUAL market cap`);
                 }
                 
                 if (newAdded > 0) {
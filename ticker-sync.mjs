@@ -0,0 +1,105 @@
+import { tickerSync, TICKER_DATASETS } from './src/tickerSync.js';
+
+/*
+=================================================================
+TICKER SYNC - HISTORY, PROVENANCE AND ROLLBACK
+=================================================================
+
+FEATURES:
+✅ Status: Record count, snapshot and last sync of every ticker database
+✅ History: Added, updated and removed tokens per sync (ticker-sync/changelog.jsonl)
+✅ Provenance: Which API and which sync an entry came from
+✅ Rollback: Restore the snapshot taken before the last sync (works offline)
+
+USAGE:
+• npm run ticker:sync                          - Show status of all databases
+• npm run ticker:sync history [BASE] [N]       - Show the last N syncs (default 10)
+• npm run ticker:sync rollback BASE            - Restore the previous base.json
+• npm run ticker:sync provenance BASE 0x...    - Show where a token entry came from
+
+DATASETS: BASE (base.json), ETH (eth.json), SOLANA (sol.json), BID (bid.json)
+=================================================================
+*/
+
+/**
+ * Print one changelog entry
+ * @param {Object} entry - Changelog entry
+ */
+function printEntry(entry) {
+    const when = new Date(entry.finishedAt).toLocaleString();
+    console.log(`${entry.action === 'rollback' ? '↩️ ' : '🔄'} ${when} ${entry.dataset} (${entry.file}) ${entry.before} → ${entry.after} tokens - source: ${entry.source}`);
+    const list = (tokens) => tokens.slice(0, 10).map(token => token.symbol).join(', ') + (tokens.length > 10 ? `, … +${tokens.length - 10}` : '');
+    if (entry.added.length > 0) console.log(`   ➕ Added ${entry.added.length}: ${list(entry.added)}`);
+    if (entry.updated.length > 0) console.log(`   ✏️  Updated ${entry.updated.length}: ${list(entry.updated)}`);
+    if (entry.removed.length > 0) console.log(`   ➖ Removed ${entry.removed.length}: ${list(entry.removed)}`);
+}
+
+function showStatus() {
+    console.log('📊 TICKER DATABASES');
+    for (const status of tickerSync.status()) {
+        const records = status.records === null ? 'missing' : `${status.records} tokens`;
+        const lastSync = status.lastSync ? `last ${status.lastSync.action} ${new Date(status.lastSync.finishedAt).toLocaleString()}` : 'never synced';
+        console.log(`   • ${status.dataset.padEnd(6)} ${status.file.padEnd(9)} ${records} - ${lastSync}${status.hasSnapshot ? ' - rollback available' : ''}`);
+    }
+}
+
+function showHistory(args) {
+    const dataset = args.find(arg => TICKER_DATASETS[arg.toUpperCase()]);
+    const limit = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 10;
+    const entries = tickerSync.history({ dataset, limit });
+    if (entries.length === 0) {
+        console.log('📭 No syncs recorded yet');
+        return;
+    }
+    entries.forEach(printEntry);
+}
+
+function rollback(dataset) {
+    if (!dataset) {
+        throw new Error('Usage: npm run ticker:sync rollback <BASE|ETH|SOLANA|BID>');
+    }
+    const result = tickerSync.rollback(dataset);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    console.log(`↩️  Restored ${tickerSync.getDataset(dataset).file}: ${result.before} → ${result.after} tokens (+${result.added.length} ~${result.updated.length} -${result.removed.length})`);
+    console.log('   Run the same rollback again to undo it');
+}
+
+function showProvenance(dataset, address) {
+    if (!dataset || !address) {
+        throw new Error('Usage: npm run ticker:sync provenance <BASE|ETH|SOLANA|BID> <tokenAddress>');
+    }
+    const provenance = tickerSync.getProvenance(dataset, address);
+    if (!provenance) {
+        console.log(`❓ No provenance recorded for ${address} in ${tickerSync.getDataset(dataset).file}`);
+        return;
+    }
+    console.log(`📜 ${address}`);
+    console.log(`   Source: ${provenance.source}`);
+    if (provenance.addedAt) console.log(`   Added: ${new Date(provenance.addedAt).toLocaleString()} (sync ${provenance.addedBy})`);
+    if (provenance.updatedAt) console.log(`   Updated: ${new Date(provenance.updatedAt).toLocaleString()} from ${provenance.updatedFrom} (sync ${provenance.updatedBy}): ${provenance.fields.join(', ')}`);
+}
+
+const [command = 'status', ...args] = process.argv.slice(2);
+try {
+    switch (command.toLowerCase()) {
+        case 'status':
+            showStatus();
+            break;
+        case 'history':
+            showHistory(args);
+            break;
+        case 'rollback':
+            rollback(args[0]);
+            break;
+        case 'provenance':
+            showProvenance(args[0], args[1]);
+            break;
+        default:
+            throw new Error(`Unknown command ${command} (use status, history, rollback or provenance)`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
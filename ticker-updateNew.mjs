@@ -1,42 +1,15 @@
-import fs from 'fs/promises';
-import fetch from 'node-fetch';
-
-// Function to load existing data from file
-async function loadExistingData(filename) {
-    try {
-        const data = await fs.readFile(filename, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.log(`No existing data found in ${filename}, starting fresh.`);
-        return [];
-    }
-}
-
-// Function to save data to file
-async function saveData(filename, data) {
-    await fs.writeFile(filename, JSON.stringify(data, null, 2));
-}
+import { tickerSync, TICKER_APIS } from './src/tickerSync.js';
+import { getMarketCapThreshold } from './ticker-market-filter.mjs';
 
 // Function to fetch only new tokens (stops when encountering existing ones)
-async function fetchNewTokensOnly() {
-    const baseUrl = 'https://api.virtuals.io/api/virtuals';
+async function fetchNewTokensOnly(options = {}) {
     const chains = ['BASE'];
     const outputFiles = {
         'BASE': 'base.json'
     };
+    const syncResults = {};
 
     for (const chain of chains) {
-        let existingTokens = new Set();
-        try {
-            const existingData = await fs.readFile(outputFiles[chain], 'utf8');
-            const existingRecords = JSON.parse(existingData);
-            existingTokens = new Set(existingRecords.map(item => item.tokenAddress));
-            console.log(`Loaded ${existingTokens.size} existing tokens from ${outputFiles[chain]}`);
-        } catch (error) {
-            console.error(`Error reading ${outputFiles[chain]}:`, error);
-            existingTokens = new Set(); // Start fresh if file doesn't exist or is invalid
-        }
-
         const params = {
             'filters[status]': 2,
             'filters[chain]': chain,
@@ -49,36 +22,44 @@ async function fetchNewTokensOnly() {
             'pagination[pageSize]': 25,
             'noCache': 0
         };
-        const results = [];
-        let hasMore = true;
-        let consecutiveExistingTokens = 0;
 
-        while (hasMore && consecutiveExistingTokens < 20) {
-            try {
-                const url = new URL(baseUrl);
+        const minMarketCap = getMarketCapThreshold(chain);
+        syncResults[chain] = await tickerSync.sync(chain, async ({ current: existingRecords, fetchJson }) => {
+            const existingTokens = new Set(existingRecords.map(item => String(item.tokenAddress).toLowerCase()));
+            console.log(`Loaded ${existingTokens.size} existing tokens from ${outputFiles[chain]}`);
+
+            const results = [];
+            let hasMore = true;
+            let consecutiveExistingTokens = 0;
+
+            while (hasMore && consecutiveExistingTokens < 20) {
+                const url = new URL(TICKER_APIS.VIRTUALS);
                 Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
                 console.log(`Fetching page ${params['pagination[page]']}...`);
-                const response = await fetch(url);
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                const data = await fetchJson(url);
+                if (!Array.isArray(data.data) || !data.meta || !data.meta.pagination) {
+                    throw new Error(`Unexpected API response on page ${params['pagination[page]']}`);
                 }
-                const data = await response.json();
                 const virtuals = data.data
-                    .filter(item => item.mcapInVirtual >= 50000)
+                    .filter(item => item.mcapInVirtual >= minMarketCap)
                     .map(item => ({
                         symbol: item.symbol,
                         tokenAddress: item.tokenAddress,
                         lpAddress: item.lpAddress,
                         mcapInVirtual: item.mcapInVirtual,
-                        label: item.genesis ? 'Genesis' : 'Sentient'
+                        label: item.genesis ? 'Genesis' : 'Sentient',
+                        createdAt: item.lpCreatedAt || item.createdAt || null
                     }));
 
                 let newTokensOnPage = 0;
                 for (const virtual of virtuals) {
-                    if (existingTokens.has(virtual.tokenAddress)) {
+                    const key = String(virtual.tokenAddress).toLowerCase();
+                    if (existingTokens.has(key)) {
                         consecutiveExistingTokens++;
                     } else {
+                        // Also skips a token the shifting pagination served twice
                         consecutiveExistingTokens = 0;
+                        existingTokens.add(key);
                         results.push(virtual);
                         newTokensOnPage++;
                     }
@@ -97,34 +78,31 @@ async function fetchNewTokensOnly() {
                 const { page, pageCount } = data.meta.pagination;
                 hasMore = page < pageCount && consecutiveExistingTokens < 20;
                 params['pagination[page]'] = page + 1;
-            } catch (error) {
-                console.error(`Error fetching data for ${chain}:`, error);
-                break;
             }
-        }
 
-        if (results.length > 0) {
-            try {
-                const existingRecords = existingTokens.size > 0
-                    ? JSON.parse(await fs.readFile(outputFiles[chain], 'utf8'))
-                    : [];
-                const updatedRecords = [...existingRecords, ...results];
-                await fs.writeFile(outputFiles[chain], JSON.stringify(updatedRecords, null, 2));
-                console.log(`Finished fetching, added ${results.length} to ${outputFiles[chain]}`);
-            } catch (error) {
-                console.error(`Error writing to ${outputFiles[chain]}:`, error);
+            if (results.length === 0) {
+                console.log(`No new tokens to add to ${outputFiles[chain]}`);
+                return existingRecords;
             }
-        } else {
-            console.log(`No new tokens to add to ${outputFiles[chain]}`);
-        }
+            console.log(`Finished fetching, adding ${results.length} to ${outputFiles[chain]}`);
+            return [...existingRecords, ...results];
+        }, options);
     }
+    return syncResults;
 }
 
 // Main function
 async function main() {
     console.log('🚀 Starting NEW tokens only update for BASE chain...');
-    console.log('💰 Market Cap Filter: Excludes tokens < 50,000 VIRTUAL');
-    await fetchNewTokensOnly();
+    console.log(`💰 Market Cap Filter: Excludes tokens < ${getMarketCapThreshold('BASE').toLocaleString()} VIRTUAL (active filter preset)`);
+    if (process.argv.includes('--offline')) {
+        tickerSync.offline = true;
+    }
+    const results = await fetchNewTokensOnly();
+    // Offline is not a failure: the app keeps working from the current base.json
+    if (Object.values(results).some(result => !result.success && !result.offline)) {
+        process.exitCode = 1;
+    }
 }
 
 // Only run main if this file is executed directly
@@ -132,7 +110,7 @@ if (process.argv[1] && process.argv[1].endsWith('ticker-updateNew.mjs')) {
     main()
         .then(() => {
             // Ensure the process exits promptly so the parent resolves
-            process.exit(0);
+            process.exit(process.exitCode || 0);
         })
         .catch((err) => {
             console.error(err);